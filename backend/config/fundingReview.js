@@ -0,0 +1,34 @@
+/**
+ * Funding Review Configuration
+ * Decision rule applied once enough reviewers have submitted their reviews
+ * Every value can be overridden through environment variables
+ */
+
+const toNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+const decisionRule = {
+  // Minimum number of completed reviews before a decision is made
+  quorum: toNumber(process.env.FUNDING_REVIEW_QUORUM, 2),
+
+  // Average score (0-100) at or above which the application is approved
+  approveScore: toNumber(process.env.FUNDING_APPROVE_SCORE, 70),
+
+  // Average score below which the application is rejected
+  rejectScore: toNumber(process.env.FUNDING_REJECT_SCORE, 50),
+
+  // Apply the decision automatically when quorum is reached;
+  // otherwise an admin finalizes it through the decision endpoint
+  autoDecide: process.env.FUNDING_AUTO_DECIDE === 'true',
+};
+
+// Reviewer score standard deviation (0-100 scale) at or above which an
+// application is flagged for a calibration discussion
+const calibrationStdDev = toNumber(process.env.FUNDING_CALIBRATION_STDDEV, 15);
+
+module.exports = {
+  decisionRule,
+  calibrationStdDev,
+};
@@ -199,7 +199,9 @@ const optionalAuth = async (req, res, next) => {
 
 /**
  * Require verified email middleware
- * Use after protect middleware to require email verification
+ * Use after protect middleware to require email verification. Gates the
+ * actions that commit money or act for a startup: submitting a funding
+ * application, inviting team members by email and accepting ownership
  */
 const requireVerified = (req, res, next) => {
   if (!req.user) {
@@ -223,11 +225,15 @@ const requireVerified = (req, res, next) => {
 
 /**
  * Check ownership middleware factory
- * Creates middleware that checks if user owns the resource
- * @param {Function} getOwnerId - Function to extract owner ID from request
+ * Creates middleware that checks if user owns the resource.
+ * When getOwnerId resolves to a startup document, team membership with
+ * at least `options.role` grants access instead, and the startup and the
+ * user's team role are attached as req.startup and req.startupRole
+ * @param {Function} getOwnerId - Function to extract owner ID (or the startup) from request
+ * @param {Object} options - { role } lowest team role allowed (default 'editor')
  * @returns {Function} Express middleware
  */
-const checkOwnership = (getOwnerId) => {
+const checkOwnership = (getOwnerId, { role = 'editor' } = {}) => {
   return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
@@ -240,6 +246,24 @@ const checkOwnership = (getOwnerId) => {
     try {
       const ownerId = await getOwnerId(req);
 
+      // Startups are owned by their team
+      if (ownerId && typeof ownerId.getMemberRole === 'function') {
+        req.startup = ownerId;
+        req.startupRole = ownerId.getMemberRole(req.user._id);
+
+        if (req.user.role === 'admin' || ownerId.hasMemberRole(req.user._id, role)) {
+          return next();
+        }
+
+        return res.status(403).json({
+          success: false,
+          message: req.startupRole
+            ? `This requires the ${role} role on the startup team`
+            : 'You do not have permission to access this resource',
+          code: req.startupRole ? 'INSUFFICIENT_TEAM_ROLE' : 'NOT_OWNER',
+        });
+      }
+
       // Admin can access any resource
       if (req.user.role === 'admin') {
         return next();
@@ -265,10 +289,61 @@ const checkOwnership = (getOwnerId) => {
   };
 };
 
+/**
+ * Socket.IO authentication middleware
+ * Verifies the same JWT as `protect` during the socket handshake
+ * Token is read from `auth.token` or the Authorization header
+ * @param {Socket} socket - Socket.IO socket
+ * @param {Function} next - Socket.IO next callback
+ */
+const authenticateSocket = async (socket, next) => {
+  const rejectWith = (message, code) => {
+    const error = new Error(message);
+    error.data = { code };
+    next(error);
+  };
+
+  let token = socket.handshake.auth && socket.handshake.auth.token;
+
+  const authHeader = socket.handshake.headers && socket.handshake.headers.authorization;
+  if (!token && authHeader && authHeader.startsWith('Bearer ')) {
+    token = authHeader.split(' ')[1];
+  }
+
+  if (!token) {
+    return rejectWith('Access denied. No authentication token provided.', 'NO_TOKEN');
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (!decoded.id) {
+      return rejectWith('Invalid token format', 'INVALID_TOKEN');
+    }
+
+    const user = await User.findById(decoded.id).select('-password');
+
+    if (!user || !user.isActive) {
+      return rejectWith('User not found or deactivated', 'USER_NOT_FOUND');
+    }
+
+    socket.data.user = user;
+    next();
+
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return rejectWith('Token has expired. Please login again.', 'TOKEN_EXPIRED');
+    }
+
+    return rejectWith('Authentication failed', 'AUTH_FAILED');
+  }
+};
+
 module.exports = {
   protect,
   authorize,
   optionalAuth,
   requireVerified,
   checkOwnership,
+  authenticateSocket,
 };
@@ -17,6 +17,7 @@ const uploadDirs = [
   path.join(__dirname, '..', 'uploads', 'pitchdecks'),
   path.join(__dirname, '..', 'uploads', 'resources'),
   path.join(__dirname, '..', 'uploads', 'avatars'),
+  path.join(__dirname, '..', 'private', 'funding'),
 ];
 
 uploadDirs.forEach(dir => {
@@ -155,6 +156,22 @@ const avatarStorage = multer.diskStorage({
   },
 });
 
+/**
+ * Local storage configuration for funding application documents
+ * Stored outside the public /uploads mount - served only through
+ * authorized download URLs
+ */
+const FUNDING_DOCUMENTS_DIR = path.join(__dirname, '..', 'private', 'funding');
+
+const fundingDocumentStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, FUNDING_DOCUMENTS_DIR);
+  },
+  filename: (req, file, cb) => {
+    cb(null, generateFilename(file));
+  },
+});
+
 // =============================================================================
 // S3 CONFIGURATION (Optional)
 // =============================================================================
@@ -242,6 +259,18 @@ const uploadAvatar = multer({
   fileFilter: createFileFilter('images'),
 });
 
+/**
+ * Upload configuration for funding application documents
+ */
+const uploadFundingDocument = multer({
+  storage: fundingDocumentStorage,
+  limits: {
+    fileSize: 25 * 1024 * 1024, // 25MB for financial documents
+    files: 1,
+  },
+  fileFilter: createFileFilter('documents'),
+});
+
 // =============================================================================
 // ERROR HANDLING WRAPPER
 // =============================================================================
@@ -323,5 +352,7 @@ module.exports = upload;
 module.exports.uploadPitchDeck = uploadPitchDeck;
 module.exports.uploadResource = uploadResource;
 module.exports.uploadAvatar = uploadAvatar;
+module.exports.uploadFundingDocument = uploadFundingDocument;
+module.exports.FUNDING_DOCUMENTS_DIR = FUNDING_DOCUMENTS_DIR;
 module.exports.handleUpload = handleUpload;
 module.exports.createFileFilter = createFileFilter;
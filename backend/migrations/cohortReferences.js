@@ -0,0 +1,137 @@
+/**
+ * Migration: Cohort names to Cohort documents
+ * Startups used to store their batch as a plain string in `cohort`. This
+ * points each of them at a Cohort document of that name, creating the
+ * cohort when none exists, keeps the old name in `legacyCohort` and
+ * recounts the seats of every cohort it touched
+ *
+ * Safe to run more than once.
+ *
+ * Run with: node migrations/cohortReferences.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Cohort = require('../models/Cohort');
+const Startup = require('../models/Startup');
+
+// Cohorts created by the migration get a placeholder schedule for admins to fix
+const PLACEHOLDER_DAYS = 180;
+
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Find a cohort by name, ignoring case, or create one
+ * @param {string} name - Legacy batch name
+ * @param {number} members - Startups in the batch
+ * @returns {Promise<Object>} { cohort, created }
+ */
+async function findOrCreateCohort(name, members) {
+    const existing = await Cohort.findOne({ name: new RegExp(`^${escapeRegex(name)}$`, 'i') });
+    if (existing) {
+        return { cohort: existing, created: false };
+    }
+
+    const startDate = new Date();
+    const cohort = await Cohort.create({
+        name,
+        description: 'Created from startups that listed this batch before cohorts were tracked',
+        status: 'Active',
+        startDate,
+        endDate: new Date(startDate.getTime() + PLACEHOLDER_DAYS * 24 * 60 * 60 * 1000),
+        capacity: Math.min(Math.max(members, 1), 500),
+    });
+    return { cohort, created: true };
+}
+
+/**
+ * Point every startup with a string cohort at a Cohort document
+ * Works on the raw collection: legacy values do not cast to ObjectId
+ * @returns {Promise<Object>} { startups, cohortsCreated, cohortsLinked }
+ */
+async function migrateLegacyCohorts() {
+    const legacy = await Startup.collection
+        .find({ cohort: { $type: 'string' } }, { projection: { cohort: 1 } })
+        .toArray();
+
+    // Group by trimmed name so " Spring 2024" and "Spring 2024" share a cohort
+    const byName = new Map();
+    for (const startup of legacy) {
+        const raw = startup.cohort;
+        const name = raw.trim();
+
+        if (mongoose.isObjectIdOrHexString(raw)) {
+            await Startup.collection.updateOne(
+                { _id: startup._id },
+                { $set: { cohort: new mongoose.Types.ObjectId(raw) } }
+            );
+            continue;
+        }
+        if (!name) {
+            await Startup.collection.updateOne({ _id: startup._id }, { $unset: { cohort: 1 } });
+            continue;
+        }
+
+        const key = name.toLowerCase();
+        if (!byName.has(key)) byName.set(key, { name, ids: [] });
+        byName.get(key).ids.push(startup._id);
+    }
+
+    let cohortsCreated = 0;
+    const touched = new Set();
+
+    for (const { name, ids } of byName.values()) {
+        const { cohort, created } = await findOrCreateCohort(name, ids.length);
+        if (created) cohortsCreated += 1;
+
+        // Legacy names are kept as they were written
+        await Startup.collection.updateMany(
+            { _id: { $in: ids }, cohort: { $type: 'string' } },
+            [{ $set: { legacyCohort: '$cohort', cohort: cohort._id } }]
+        );
+        touched.add(cohort._id.toString());
+    }
+
+    for (const cohortId of touched) {
+        await Cohort.syncMemberCount(cohortId);
+    }
+
+    // Cohorts from before memberCount start from their real membership
+    const uncounted = await Cohort.find({ memberCount: { $exists: false } }).select('_id');
+    for (const cohort of uncounted) {
+        await Cohort.syncMemberCount(cohort._id);
+    }
+
+    return {
+        startups: legacy.length,
+        cohortsCreated,
+        cohortsLinked: touched.size,
+    };
+}
+
+async function run() {
+    try {
+        const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/business-incubator';
+
+        console.log('🔌 Connecting to MongoDB...');
+        await mongoose.connect(mongoUri);
+        console.log('✅ Connected to MongoDB');
+
+        const { startups, cohortsCreated, cohortsLinked } = await migrateLegacyCohorts();
+        console.log(`✅ Migrated ${startups} startup(s) into ${cohortsLinked} cohort(s), ${cohortsCreated} created`);
+
+        await mongoose.disconnect();
+        console.log('🔌 Disconnected from MongoDB');
+
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error migrating cohorts:', error.message);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    run();
+}
+
+module.exports = { migrateLegacyCohorts };
@@ -0,0 +1,192 @@
+const mongoose = require('mongoose');
+
+/**
+ * CheckInReport Model
+ * A startup's structured monthly update to the program
+ * Reports are opened as Pending ahead of their due date so reminders,
+ * overdue detection and compliance all work from the same documents
+ */
+
+const SECTION_MAX_LENGTH = 2000;
+
+const checkInReportSchema = new mongoose.Schema(
+  {
+    startup: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Startup',
+      required: [true, 'Startup reference is required'],
+    },
+
+    // Cohort the startup was in when the report was opened
+    cohort: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Cohort',
+    },
+
+    // Month the report covers, as YYYY-MM
+    period: {
+      type: String,
+      required: [true, 'Reporting period is required'],
+      match: [/^\d{4}-(0[1-9]|1[0-2])$/, 'Period must be in YYYY-MM format'],
+    },
+
+    dueDate: {
+      type: Date,
+      required: [true, 'Due date is required'],
+    },
+
+    status: {
+      type: String,
+      enum: {
+        values: ['Pending', 'Submitted', 'Reviewed'],
+        message: '{VALUE} is not a valid check-in status',
+      },
+      default: 'Pending',
+    },
+
+    highlights: {
+      type: String,
+      trim: true,
+      maxlength: [SECTION_MAX_LENGTH, `Highlights cannot exceed ${SECTION_MAX_LENGTH} characters`],
+    },
+    lowlights: {
+      type: String,
+      trim: true,
+      maxlength: [SECTION_MAX_LENGTH, `Lowlights cannot exceed ${SECTION_MAX_LENGTH} characters`],
+    },
+    asks: {
+      type: String,
+      trim: true,
+      maxlength: [SECTION_MAX_LENGTH, `Asks cannot exceed ${SECTION_MAX_LENGTH} characters`],
+    },
+
+    // Answers to the cohort's template questions
+    // The prompt is copied so the report reads the same after the template changes
+    answers: [{
+      question: mongoose.Schema.Types.ObjectId,
+      prompt: String,
+      answer: {
+        type: String,
+        trim: true,
+        maxlength: [SECTION_MAX_LENGTH, `Answers cannot exceed ${SECTION_MAX_LENGTH} characters`],
+      },
+    }],
+
+    // KPIs as they stood when the report was submitted
+    kpis: {
+      revenue: Number,
+      users: Number,
+      growth: Number,
+      funding: Number,
+      monthlyBurnRate: Number,
+      runway: Number,
+    },
+
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    submittedAt: Date,
+    revisedAt: Date,
+
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reviewedAt: Date,
+    reviewNote: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Review note cannot exceed 1000 characters'],
+    },
+
+    // Notification bookkeeping, so each is sent once
+    remindedAt: Date,
+    overdueNotifiedAt: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// =============================================================================
+// INDEXES
+// =============================================================================
+
+checkInReportSchema.index(
+  { startup: 1, period: 1 },
+  { unique: true, name: 'startup_period_unique_idx' }
+);
+
+checkInReportSchema.index({ status: 1, dueDate: 1 }, { name: 'status_due_idx' });
+checkInReportSchema.index({ cohort: 1, period: 1 });
+
+// =============================================================================
+// VIRTUALS
+// =============================================================================
+
+// Submitted after the due date
+checkInReportSchema.virtual('isLate').get(function () {
+  return !!this.submittedAt && this.submittedAt > this.dueDate;
+});
+
+// =============================================================================
+// INSTANCE METHODS
+// =============================================================================
+
+/**
+ * Whether the report is still missing past its due date
+ * @param {Date} now - Reference time
+ * @returns {boolean}
+ */
+checkInReportSchema.methods.isOverdue = function (now = new Date()) {
+  return this.status === 'Pending' && this.dueDate < now;
+};
+
+/**
+ * Compliance state of the report
+ * @param {Date} now - Reference time
+ * @returns {string} on_time | late | overdue | open
+ */
+checkInReportSchema.methods.getComplianceState = function (now = new Date()) {
+  if (this.submittedAt) return this.isLate ? 'late' : 'on_time';
+  return this.isOverdue(now) ? 'overdue' : 'open';
+};
+
+// =============================================================================
+// STATIC METHODS
+// =============================================================================
+
+/**
+ * Due date of a month's report
+ * @param {string} period - YYYY-MM
+ * @param {number} dueDay - Day of the following month
+ * @returns {Date} End of the due day (UTC)
+ */
+checkInReportSchema.statics.dueDateFor = function (period, dueDay) {
+  const [year, month] = period.split('-').map(Number);
+  return new Date(Date.UTC(year, month, dueDay, 23, 59, 59, 999));
+};
+
+/**
+ * Get Pending reports past their due date
+ * @param {Date} now - Reference time
+ * @param {Object} filter - Extra conditions
+ * @returns {Query}
+ */
+checkInReportSchema.statics.getOverdue = function (now = new Date(), filter = {}) {
+  return this.find({ ...filter, status: 'Pending', dueDate: { $lt: now } }).sort({ dueDate: 1 });
+};
+
+/**
+ * IDs of startups with at least one overdue report
+ * @param {Date} now - Reference time
+ * @returns {Promise<ObjectId[]>}
+ */
+checkInReportSchema.statics.getOverdueStartupIds = function (now = new Date()) {
+  return this.distinct('startup', { status: 'Pending', dueDate: { $lt: now } });
+};
+
+module.exports = mongoose.model('CheckInReport', checkInReportSchema);
@@ -0,0 +1,475 @@
+const mongoose = require('mongoose');
+
+// Check-in settings for startups outside a cohort and new cohorts
+const CHECK_IN_DEFAULTS = {
+  enabled: true,
+  dueDay: 5,
+  reminderDays: 3,
+};
+
+/**
+ * Cohort Model
+ * An incubation batch with dates, capacity, a program manager,
+ * program milestones and an application window
+ * Membership lives on Startup.cohort
+ */
+const cohortSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Cohort name is required'],
+      trim: true,
+      minlength: [2, 'Name must be at least 2 characters'],
+      maxlength: [100, 'Name cannot exceed 100 characters'],
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Description cannot exceed 2000 characters'],
+    },
+
+    status: {
+      type: String,
+      enum: {
+        values: ['Planned', 'Active', 'Completed', 'Archived'],
+        message: '{VALUE} is not a valid status',
+      },
+      default: 'Planned',
+    },
+
+    startDate: {
+      type: Date,
+      required: [true, 'Start date is required'],
+    },
+
+    endDate: {
+      type: Date,
+      required: [true, 'End date is required'],
+      validate: {
+        validator: function (value) {
+          return !this.startDate || value > this.startDate;
+        },
+        message: 'End date must be after the start date',
+      },
+    },
+
+    capacity: {
+      type: Number,
+      required: [true, 'Capacity is required'],
+      min: [1, 'Capacity must be at least 1'],
+      max: [500, 'Capacity cannot exceed 500'],
+    },
+
+    // Seats taken; only changed through addMember and removeMember
+    memberCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    programManager: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    // Period during which startups may apply
+    applicationWindow: {
+      opensAt: Date,
+      closesAt: {
+        type: Date,
+        validate: {
+          validator: function (value) {
+            const opensAt = this.applicationWindow && this.applicationWindow.opensAt;
+            return !value || !opensAt || value > opensAt;
+          },
+          message: 'Application window must close after it opens',
+        },
+      },
+    },
+
+    // Program milestones shared by the whole cohort
+    milestones: [{
+      title: {
+        type: String,
+        required: [true, 'Milestone title is required'],
+        trim: true,
+        maxlength: [200, 'Milestone title cannot exceed 200 characters'],
+      },
+      description: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Milestone description cannot exceed 1000 characters'],
+      },
+      dueDate: Date,
+      completedAt: Date,
+    }],
+
+    // Monthly check-in report template
+    // A month's report is due on dueDay of the following month
+    checkIns: {
+      enabled: {
+        type: Boolean,
+        default: CHECK_IN_DEFAULTS.enabled,
+      },
+      dueDay: {
+        type: Number,
+        default: CHECK_IN_DEFAULTS.dueDay,
+        min: [1, 'Check-in due day must be 1-28'],
+        max: [28, 'Check-in due day must be 1-28'],
+      },
+      // Days before the due date that founders are reminded
+      reminderDays: {
+        type: Number,
+        default: CHECK_IN_DEFAULTS.reminderDays,
+        min: [0, 'Reminder days must be 0-14'],
+        max: [14, 'Reminder days must be 0-14'],
+      },
+      // Questions asked on top of highlights, lowlights and asks
+      questions: [{
+        prompt: {
+          type: String,
+          required: [true, 'Question prompt is required'],
+          trim: true,
+          maxlength: [500, 'Question prompt cannot exceed 500 characters'],
+        },
+        required: {
+          type: Boolean,
+          default: false,
+        },
+      }],
+    },
+
+    applications: [{
+      startup: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Startup',
+        required: true,
+      },
+      appliedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      appliedAt: {
+        type: Date,
+        default: Date.now,
+      },
+      motivation: {
+        type: String,
+        trim: true,
+        maxlength: [2000, 'Motivation cannot exceed 2000 characters'],
+      },
+      status: {
+        type: String,
+        enum: ['Pending', 'Accepted', 'Rejected', 'Withdrawn'],
+        default: 'Pending',
+      },
+      decidedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      decidedAt: Date,
+      note: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Note cannot exceed 1000 characters'],
+      },
+    }],
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// =============================================================================
+// INDEXES
+// =============================================================================
+
+cohortSchema.index(
+  { name: 1 },
+  { unique: true, collation: { locale: 'en', strength: 2 }, name: 'cohort_name_unique_idx' }
+);
+cohortSchema.index({ status: 1, startDate: -1 });
+cohortSchema.index({ 'applicationWindow.opensAt': 1, 'applicationWindow.closesAt': 1 });
+cohortSchema.index({ 'applications.startup': 1 });
+
+// =============================================================================
+// VIRTUALS
+// =============================================================================
+
+// Whether the application window is open right now
+cohortSchema.virtual('isAcceptingApplications').get(function () {
+  return this.isApplicationWindowOpen();
+});
+
+cohortSchema.virtual('pendingApplicationCount').get(function () {
+  return (this.applications || []).filter(a => a.status === 'Pending').length;
+});
+
+// =============================================================================
+// INSTANCE METHODS
+// =============================================================================
+
+/**
+ * Check whether applications are accepted at a given time
+ * @param {Date} now - Reference time
+ * @returns {boolean}
+ */
+cohortSchema.methods.isApplicationWindowOpen = function (now = new Date()) {
+  const window = this.applicationWindow || {};
+  if (!window.opensAt || !window.closesAt) return false;
+  if (['Completed', 'Archived'].includes(this.status)) return false;
+  return now >= window.opensAt && now <= window.closesAt;
+};
+
+/**
+ * Check whether a user manages this cohort
+ * @param {User} user - User to check
+ * @returns {boolean}
+ */
+cohortSchema.methods.isManagedBy = function (user) {
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+  return !!this.programManager && this.programManager.toString() === user._id.toString();
+};
+
+/**
+ * Count startups currently in the cohort
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Promise<number>}
+ */
+cohortSchema.methods.getMemberCount = async function (session = null) {
+  return mongoose.model('Startup').countDocuments({ cohort: this._id }).session(session);
+};
+
+/**
+ * Add a startup to the cohort, moving it out of any previous cohort
+ * The seat is taken before the startup is saved so concurrent enrollments
+ * cannot push the cohort past its capacity
+ * @param {Startup} startup - Startup document
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Promise<Startup>}
+ */
+cohortSchema.methods.addMember = async function (startup, session = null) {
+  if (startup.cohort && startup.cohort.toString() === this._id.toString()) {
+    throw new Error('Startup is already in this cohort');
+  }
+
+  const Cohort = this.constructor;
+  if (!(await Cohort.reserveSeat(this._id, session))) {
+    throw new Error('Cohort is at capacity');
+  }
+
+  const previous = startup.cohort;
+  startup.cohort = this._id;
+  try {
+    await startup.save({ session });
+  } catch (error) {
+    startup.cohort = previous;
+    await Cohort.releaseSeat(this._id, session);
+    throw error;
+  }
+
+  if (previous) {
+    await Cohort.releaseSeat(previous, session);
+  }
+  return startup;
+};
+
+/**
+ * Take a startup out of the cohort and free its seat
+ * @param {Startup} startup - Startup document
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Promise<Startup>}
+ */
+cohortSchema.methods.removeMember = async function (startup, session = null) {
+  if (!startup.cohort || startup.cohort.toString() !== this._id.toString()) {
+    throw new Error('Startup is not in this cohort');
+  }
+
+  startup.cohort = undefined;
+  await startup.save({ session });
+  await this.constructor.releaseSeat(this._id, session);
+  return startup;
+};
+
+/**
+ * Record an application from a startup
+ * @param {ObjectId} startupId - Applying startup
+ * @param {ObjectId} userId - User applying
+ * @param {string} motivation - Why the startup wants to join
+ * @returns {Promise<Object>} The new application
+ */
+cohortSchema.methods.submitApplication = async function (startupId, userId, motivation) {
+  if (!this.isApplicationWindowOpen()) {
+    throw new Error('Applications for this cohort are closed');
+  }
+
+  const existing = this.applications.find(
+    a => a.startup.toString() === startupId.toString() && ['Pending', 'Accepted'].includes(a.status)
+  );
+  if (existing) {
+    throw new Error('Startup has already applied to this cohort');
+  }
+
+  this.applications.push({ startup: startupId, appliedBy: userId, motivation });
+  await this.save();
+  return this.applications[this.applications.length - 1];
+};
+
+/**
+ * Get aggregated KPIs for the cohort's members
+ * @returns {Promise<Object>}
+ */
+cohortSchema.methods.getDashboard = async function () {
+  const Startup = mongoose.model('Startup');
+  const members = await Startup.find({ cohort: this._id })
+    .populate('founder', 'name email')
+    .select('name status stage domain kpis kpiTrends milestones mentors founder');
+
+  const sum = (field) => members.reduce((total, s) => total + ((s.kpis && s.kpis[field]) || 0), 0);
+  const average = (total) => (members.length > 0 ? Math.round((total / members.length) * 10) / 10 : 0);
+
+  const byStatus = members.reduce((acc, s) => {
+    acc[s.status] = (acc[s.status] || 0) + 1;
+    return acc;
+  }, {});
+
+  const now = new Date();
+  const milestones = this.milestones || [];
+  const candidates = await Startup.getGraduationCandidates({ cohort: this._id });
+
+  return {
+    cohort: {
+      _id: this._id,
+      name: this.name,
+      status: this.status,
+      startDate: this.startDate,
+      endDate: this.endDate,
+      capacity: this.capacity,
+    },
+    members: {
+      count: members.length,
+      capacity: this.capacity,
+      utilization: Math.round((members.length / this.capacity) * 100),
+      byStatus,
+      withoutMentor: members.filter(s => !s.mentors || s.mentors.length === 0).length,
+    },
+    kpis: {
+      totalRevenue: sum('revenue'),
+      totalFunding: sum('funding'),
+      totalUsers: sum('users'),
+      avgRevenue: average(sum('revenue')),
+      avgGrowth: average(sum('growth')),
+      avgRunway: average(sum('runway')),
+      avgProgressScore: average(members.reduce((total, s) => total + s.calculateProgressScore(), 0)),
+    },
+    milestones: {
+      total: milestones.length,
+      completed: milestones.filter(m => m.completedAt).length,
+      overdue: milestones.filter(m => !m.completedAt && m.dueDate && m.dueDate < now).length,
+      upcoming: milestones
+        .filter(m => !m.completedAt && m.dueDate && m.dueDate >= now)
+        .sort((a, b) => a.dueDate - b.dueDate)
+        .slice(0, 5),
+    },
+    applications: {
+      pending: this.pendingApplicationCount,
+      total: (this.applications || []).length,
+    },
+    graduationCandidates: candidates.map(s => ({ _id: s._id, name: s.name, stage: s.stage })),
+    startups: members.map(s => ({
+      _id: s._id,
+      name: s.name,
+      status: s.status,
+      stage: s.stage,
+      domain: s.domain,
+      kpis: s.kpis,
+      founder: s.founder,
+      progressScore: s.calculateProgressScore(),
+    })),
+  };
+};
+
+// =============================================================================
+// STATIC METHODS
+// =============================================================================
+
+/**
+ * Take a seat if the cohort has one free
+ * The capacity check and the increment are a single update
+ * @param {ObjectId} cohortId - Cohort
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Promise<Cohort|null>} The updated cohort, or null when full
+ */
+cohortSchema.statics.reserveSeat = function (cohortId, session = null) {
+  return this.findOneAndUpdate(
+    { _id: cohortId, $expr: { $lt: [{ $ifNull: ['$memberCount', 0] }, '$capacity'] } },
+    { $inc: { memberCount: 1 } },
+    { new: true, session }
+  );
+};
+
+/**
+ * Give back a seat taken by reserveSeat
+ * @param {ObjectId} cohortId - Cohort
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Promise<Object>} Update result
+ */
+cohortSchema.statics.releaseSeat = function (cohortId, session = null) {
+  return this.updateOne(
+    { _id: cohortId, memberCount: { $gt: 0 } },
+    { $inc: { memberCount: -1 } },
+    { session }
+  );
+};
+
+/**
+ * Recount a cohort's seats from its members
+ * For cohorts created before memberCount and after manual data fixes
+ * @param {ObjectId} cohortId - Cohort
+ * @returns {Promise<number>} Member count
+ */
+cohortSchema.statics.syncMemberCount = async function (cohortId) {
+  const memberCount = await mongoose.model('Startup').countDocuments({ cohort: cohortId });
+  await this.updateOne({ _id: cohortId }, { $set: { memberCount } });
+  return memberCount;
+};
+
+/**
+ * Check-in settings that apply to a startup's cohort
+ * @param {Cohort|null} cohort - The startup's cohort, if any
+ * @returns {Object} { enabled, dueDay, reminderDays, questions }
+ */
+cohortSchema.statics.getCheckInSettings = function (cohort) {
+  const settings = (cohort && cohort.checkIns) || {};
+
+  return {
+    enabled: settings.enabled !== undefined ? settings.enabled : CHECK_IN_DEFAULTS.enabled,
+    dueDay: settings.dueDay || CHECK_IN_DEFAULTS.dueDay,
+    reminderDays: settings.reminderDays !== undefined ? settings.reminderDays : CHECK_IN_DEFAULTS.reminderDays,
+    questions: settings.questions || [],
+  };
+};
+
+/**
+ * Get cohorts currently accepting applications
+ * @param {Date} now - Reference time
+ * @returns {Promise<Cohort[]>}
+ */
+cohortSchema.statics.getAcceptingApplications = async function (now = new Date()) {
+  return this.find({
+    status: { $in: ['Planned', 'Active'] },
+    'applicationWindow.opensAt': { $lte: now },
+    'applicationWindow.closesAt': { $gte: now },
+  }).sort({ 'applicationWindow.closesAt': 1 });
+};
+
+module.exports = mongoose.model('Cohort', cohortSchema);
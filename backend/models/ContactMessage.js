@@ -0,0 +1,243 @@
+const mongoose = require('mongoose');
+
+/**
+ * ContactMessage Model
+ * Inquiries submitted through the public contact form
+ * Worked through an admin inbox: assign, reply and close
+ */
+const contactMessageSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters'],
+    },
+
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      trim: true,
+      lowercase: true,
+      match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email'],
+    },
+
+    subject: {
+      type: String,
+      required: [true, 'Subject is required'],
+      trim: true,
+      maxlength: [200, 'Subject cannot exceed 200 characters'],
+    },
+
+    message: {
+      type: String,
+      required: [true, 'Message is required'],
+      trim: true,
+      maxlength: [5000, 'Message cannot exceed 5000 characters'],
+    },
+
+    status: {
+      type: String,
+      enum: {
+        values: ['New', 'Open', 'Replied', 'Closed', 'Spam'],
+        message: '{VALUE} is not a valid status',
+      },
+      default: 'New',
+    },
+
+    // Registered user who sent the message, if logged in
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    assignedAt: {
+      type: Date,
+    },
+
+    replies: [{
+      message: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: [5000, 'Reply cannot exceed 5000 characters'],
+      },
+      sentBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      sentAt: {
+        type: Date,
+        default: Date.now,
+      },
+      // Queued OutboundEmail carrying the reply
+      email: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'OutboundEmail',
+      },
+    }],
+
+    closedAt: {
+      type: Date,
+    },
+
+    closedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    // Reasons the spam screen flagged this message
+    spamReasons: [{
+      type: String,
+    }],
+
+    // Request metadata for abuse investigation
+    ipAddress: {
+      type: String,
+      trim: true,
+    },
+
+    userAgent: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// =============================================================================
+// INDEXES
+// =============================================================================
+
+contactMessageSchema.index({ status: 1, createdAt: -1 });
+contactMessageSchema.index({ assignedTo: 1, status: 1 });
+contactMessageSchema.index({ email: 1, createdAt: -1 });
+contactMessageSchema.index({ name: 'text', subject: 'text', message: 'text' });
+
+// =============================================================================
+// VIRTUALS
+// =============================================================================
+
+// Whether the message still needs attention
+contactMessageSchema.virtual('isOpen').get(function () {
+  return ['New', 'Open'].includes(this.status);
+});
+
+contactMessageSchema.virtual('lastRepliedAt').get(function () {
+  const replies = this.replies || [];
+  return replies.length > 0 ? replies[replies.length - 1].sentAt : null;
+});
+
+// =============================================================================
+// INSTANCE METHODS
+// =============================================================================
+
+/**
+ * Assign the message to an admin
+ * @param {ObjectId} userId - Assignee user ID
+ * @returns {Promise<ContactMessage>}
+ */
+contactMessageSchema.methods.assignTo = async function (userId) {
+  if (['Closed', 'Spam'].includes(this.status)) {
+    throw new Error('Cannot assign a closed message');
+  }
+
+  this.assignedTo = userId;
+  this.assignedAt = new Date();
+  if (this.status === 'New') {
+    this.status = 'Open';
+  }
+  return this.save();
+};
+
+/**
+ * Record a reply sent to the sender
+ * @param {string} message - Reply text
+ * @param {ObjectId} userId - Admin sending the reply
+ * @param {ObjectId} emailId - Queued OutboundEmail ID
+ * @returns {Promise<ContactMessage>}
+ */
+contactMessageSchema.methods.addReply = async function (message, userId, emailId) {
+  if (this.status === 'Spam') {
+    throw new Error('Cannot reply to a spam message');
+  }
+
+  this.replies.push({ message, sentBy: userId, sentAt: new Date(), email: emailId });
+  this.status = 'Replied';
+  this.closedAt = undefined;
+  this.closedBy = undefined;
+
+  if (!this.assignedTo) {
+    this.assignedTo = userId;
+    this.assignedAt = new Date();
+  }
+  return this.save();
+};
+
+/**
+ * Close the message
+ * @param {ObjectId} userId - Admin closing the message
+ * @param {boolean} spam - Close as spam
+ * @returns {Promise<ContactMessage>}
+ */
+contactMessageSchema.methods.close = async function (userId, spam = false) {
+  this.status = spam ? 'Spam' : 'Closed';
+  this.closedAt = new Date();
+  this.closedBy = userId;
+  return this.save();
+};
+
+/**
+ * Reopen a closed message
+ * @returns {Promise<ContactMessage>}
+ */
+contactMessageSchema.methods.reopen = async function () {
+  this.status = this.assignedTo ? 'Open' : 'New';
+  this.closedAt = undefined;
+  this.closedBy = undefined;
+  return this.save();
+};
+
+// =============================================================================
+// STATIC METHODS
+// =============================================================================
+
+/**
+ * Count messages by status for the inbox header
+ * @returns {Promise<Object>} { New: n, Open: n, ... }
+ */
+contactMessageSchema.statics.getStatusCounts = async function () {
+  const rows = await this.aggregate([
+    { $group: { _id: '$status', count: { $sum: 1 } } },
+  ]);
+
+  return rows.reduce((acc, row) => {
+    acc[row._id] = row.count;
+    return acc;
+  }, {});
+};
+
+/**
+ * Count recent messages from an email address
+ * @param {string} email - Sender email
+ * @param {number} windowMs - Look-back window
+ * @returns {Promise<number>}
+ */
+contactMessageSchema.statics.countRecentFrom = async function (email, windowMs) {
+  return this.countDocuments({
+    email: String(email).toLowerCase(),
+    createdAt: { $gte: new Date(Date.now() - windowMs) },
+  });
+};
+
+module.exports = mongoose.model('ContactMessage', contactMessageSchema);
@@ -50,7 +50,7 @@ const fundingApplicationSchema = new mongoose.Schema(
       type: String,
       required: true,
       enum: {
-        values: ['Draft', 'Submitted', 'Under Review', 'Approved', 'Rejected', 'Withdrawn'],
+        values: ['Draft', 'Submitted', 'Under Review', 'Needs More Info', 'Approved', 'Rejected', 'Withdrawn'],
         message: '{VALUE} is not a valid status',
       },
       default: 'Draft',
@@ -129,6 +129,7 @@ const fundingApplicationSchema = new mongoose.Schema(
         type: String,
         required: true,
       },
+      // Authorized API path - files are never served from /uploads
       url: {
         type: String,
         required: true,
@@ -142,6 +143,45 @@ const fundingApplicationSchema = new mongoose.Schema(
         default: Date.now,
       },
       fileSize: Number,
+      mimeType: String,
+      uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      // Current version number (matches the last entry in versions)
+      version: {
+        type: Number,
+        default: 1,
+      },
+      // Full version history, oldest first
+      versions: [{
+        _id: false,
+        version: {
+          type: Number,
+          required: true,
+        },
+        storedName: {
+          type: String,
+          required: true,
+        },
+        originalName: String,
+        mimeType: String,
+        fileSize: Number,
+        uploadedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        uploadedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      }],
+      // Deleted documents keep their history but are hidden from listings
+      deletedAt: Date,
+      deletedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
     }],
 
     // Review process
@@ -160,13 +200,37 @@ const fundingApplicationSchema = new mongoose.Schema(
         maxlength: 2000,
       },
       reviewedAt: Date,
+      // Composite score (0-100); weighted from criteriaScores when a rubric is used
       score: {
         type: Number,
         min: 0,
         max: 100,
       },
+      // Per-criterion scores against the application's rubric
+      criteriaScores: [{
+        _id: false,
+        criterion: {
+          type: String,
+          required: true,
+        },
+        score: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+      }],
     }],
 
+    // Scoring rubric version used by this application's reviewers
+    rubric: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ScoringRubric',
+    },
+
+    rubricVersion: {
+      type: Number,
+    },
+
     assignedTo: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -255,6 +319,30 @@ fundingApplicationSchema.index(
   { name: 'reviewers_idx' }
 );
 
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Mean, population variance and standard deviation of a list of numbers
+ * @param {number[]} values - Values
+ * @returns {Object|null} { mean, variance, stdDev, count }
+ */
+const summarizeScores = (values) => {
+  if (!values || values.length === 0) return null;
+
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / values.length;
+  const round = (n) => Math.round(n * 10) / 10;
+
+  return {
+    mean: round(mean),
+    variance: round(variance),
+    stdDev: round(Math.sqrt(variance)),
+    count: values.length,
+  };
+};
+
 // =============================================================================
 // VIRTUALS
 // =============================================================================
@@ -269,11 +357,19 @@ fundingApplicationSchema.virtual('reviewProgress').get(function () {
 // Average review score
 fundingApplicationSchema.virtual('averageScore').get(function () {
   if (!this.reviewers || this.reviewers.length === 0) return null;
-  const scores = this.reviewers.filter(r => r.score).map(r => r.score);
+  const scores = this.reviewers.filter(r => typeof r.score === 'number').map(r => r.score);
   if (scores.length === 0) return null;
   return Math.round(scores.reduce((a, b) => a + b, 0) / scores.length);
 });
 
+// Variance of reviewer composite scores (reviewer disagreement)
+fundingApplicationSchema.virtual('scoreVariance').get(function () {
+  const stats = summarizeScores((this.reviewers || [])
+    .filter(r => typeof r.score === 'number')
+    .map(r => r.score));
+  return stats && stats.count > 1 ? stats.variance : null;
+});
+
 // Days since submission
 fundingApplicationSchema.virtual('daysSinceSubmission').get(function () {
   if (!this.submittedAt) return null;
@@ -336,7 +432,7 @@ fundingApplicationSchema.pre('save', function (next) {
  * @returns {boolean}
  */
 fundingApplicationSchema.methods.isEditable = function () {
-  return ['Draft', 'Submitted'].includes(this.status);
+  return ['Draft', 'Submitted', 'Needs More Info'].includes(this.status);
 };
 
 /**
@@ -344,7 +440,7 @@ fundingApplicationSchema.methods.isEditable = function () {
  * @returns {boolean}
  */
 fundingApplicationSchema.methods.canWithdraw = function () {
-  return ['Submitted', 'Under Review'].includes(this.status);
+  return ['Submitted', 'Under Review', 'Needs More Info'].includes(this.status);
 };
 
 /**
@@ -412,15 +508,216 @@ fundingApplicationSchema.methods.submitReview = async function (reviewerId, revi
     throw new Error('Reviewer not assigned to this application');
   }
 
+  if (!['Approved', 'Rejected', 'Needs More Info'].includes(reviewData.decision)) {
+    throw new Error('Review decision must be Approved, Rejected or Needs More Info');
+  }
+
   reviewer.decision = reviewData.decision;
   reviewer.comments = reviewData.comments;
   reviewer.score = reviewData.score;
+  reviewer.criteriaScores = reviewData.criteriaScores || [];
   reviewer.reviewedAt = new Date();
 
   await this.save();
   return reviewer;
 };
 
+/**
+ * Evaluate the decision rule against submitted reviews
+ * Majority "Needs More Info" votes take precedence; otherwise the
+ * average score is compared with the approve/reject thresholds
+ * @param {Object} rule - { quorum, approveScore, rejectScore }
+ * @returns {Object} { ready, decision, averageScore, completedReviews, quorum }
+ */
+fundingApplicationSchema.methods.evaluateDecision = function (rule) {
+  const completed = this.reviewers.filter(r => r.decision !== 'Pending');
+  const quorum = Math.max(1, Math.min(rule.quorum, this.reviewers.length || rule.quorum));
+  const result = {
+    ready: false,
+    decision: null,
+    averageScore: this.averageScore,
+    completedReviews: completed.length,
+    quorum,
+  };
+
+  if (completed.length < quorum) {
+    return result;
+  }
+
+  const needsInfoVotes = completed.filter(r => r.decision === 'Needs More Info').length;
+
+  result.ready = true;
+
+  if (needsInfoVotes > completed.length / 2) {
+    result.decision = 'Needs More Info';
+  } else if (result.averageScore === null) {
+    // No scores given - fall back to the majority decision
+    const approvals = completed.filter(r => r.decision === 'Approved').length;
+    result.decision = approvals > completed.length / 2 ? 'Approved' : 'Rejected';
+  } else if (result.averageScore >= rule.approveScore) {
+    result.decision = 'Approved';
+  } else if (result.averageScore < rule.rejectScore) {
+    result.decision = 'Rejected';
+  } else {
+    result.decision = 'Needs More Info';
+  }
+
+  return result;
+};
+
+/**
+ * Apply a review decision to the application
+ * @param {string} decision - 'Approved', 'Rejected' or 'Needs More Info'
+ * @param {Object} details - { amountApproved, terms, rejectionReason, adminNotes }
+ */
+fundingApplicationSchema.methods.applyDecision = async function (decision, details = {}) {
+  if (!['Under Review', 'Needs More Info'].includes(this.status)) {
+    throw new Error('Only applications under review can be decided');
+  }
+
+  this.status = decision;
+
+  if (decision === 'Approved') {
+    this.amountApproved = details.amountApproved !== undefined
+      ? details.amountApproved
+      : this.amountRequested;
+    if (details.terms) {
+      this.terms = details.terms;
+    }
+    this.rejectionReason = undefined;
+  } else if (decision === 'Rejected') {
+    this.amountApproved = 0;
+    if (details.rejectionReason) {
+      this.rejectionReason = details.rejectionReason;
+    }
+  }
+
+  if (details.adminNotes) {
+    this.adminNotes = details.adminNotes;
+  }
+
+  await this.save();
+  return this;
+};
+
+/**
+ * Return an application with a "Needs More Info" decision to review
+ * Reviewer decisions are reset so the updated application is re-scored
+ */
+fundingApplicationSchema.methods.resubmit = async function () {
+  if (this.status !== 'Needs More Info') {
+    throw new Error('Only applications needing more information can be resubmitted');
+  }
+
+  this.status = 'Under Review';
+  this.reviewers.forEach((r) => {
+    r.decision = 'Pending';
+    r.score = undefined;
+    r.criteriaScores = [];
+    r.reviewedAt = undefined;
+  });
+  await this.save();
+
+  return this;
+};
+
+/**
+ * Add a document, or a new version of an existing document
+ * @param {Object} file - Stored file ({ filename, originalname, mimetype, size })
+ * @param {Object} details - { name, type, documentId }
+ * @param {ObjectId} userId - Uploading user
+ * @returns {Promise<Object>} The document entry
+ */
+fundingApplicationSchema.methods.addDocumentVersion = async function (file, details, userId) {
+  let doc;
+
+  if (details.documentId) {
+    doc = this.documents.id(details.documentId);
+    if (!doc || doc.deletedAt) {
+      throw new Error('Document not found');
+    }
+    doc.version += 1;
+  } else {
+    this.documents.push({
+      name: details.name || file.originalname,
+      type: details.type || 'Other',
+      url: 'pending',
+      version: 1,
+    });
+    doc = this.documents[this.documents.length - 1];
+    doc.url = `/api/funding/applications/${this._id}/documents/${doc._id}/download`;
+  }
+
+  if (details.documentId && details.name) doc.name = details.name;
+  if (details.documentId && details.type) doc.type = details.type;
+
+  doc.fileSize = file.size;
+  doc.mimeType = file.mimetype;
+  doc.uploadedBy = userId;
+  doc.uploadedAt = new Date();
+  doc.versions.push({
+    version: doc.version,
+    storedName: file.filename,
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+    fileSize: file.size,
+    uploadedBy: userId,
+    uploadedAt: doc.uploadedAt,
+  });
+
+  await this.save();
+  return doc;
+};
+
+/**
+ * Get documents that have not been deleted
+ * @returns {Array}
+ */
+fundingApplicationSchema.methods.getActiveDocuments = function () {
+  return this.documents.filter(d => !d.deletedAt);
+};
+
+/**
+ * Summarize reviewer scores and disagreement
+ * Per-criterion figures are normalized to 0-100 so criteria with
+ * different max scores are comparable
+ * @param {ScoringRubric|null} rubric - Rubric used by the application
+ * @param {number} calibrationStdDev - Std deviation that flags disagreement
+ * @returns {Object} { composite, criteria, needsCalibration }
+ */
+fundingApplicationSchema.methods.getScoreBreakdown = function (rubric, calibrationStdDev) {
+  const scored = this.reviewers.filter(r => typeof r.score === 'number');
+  const composite = summarizeScores(scored.map(r => r.score));
+
+  const criteria = rubric
+    ? rubric.criteria.map((c) => {
+      const values = scored
+        .map(r => (r.criteriaScores || []).find(s => s.criterion === c.key))
+        .filter(Boolean)
+        .map(s => (s.score / c.maxScore) * 100);
+      const stats = summarizeScores(values);
+
+      return {
+        key: c.key,
+        label: c.label,
+        weight: c.weight,
+        maxScore: c.maxScore,
+        ...(stats || { mean: null, variance: null, stdDev: null, count: 0 }),
+        needsCalibration: !!stats && stats.count > 1 && stats.stdDev >= calibrationStdDev,
+      };
+    })
+    : [];
+
+  const compositeDisagreement = !!composite && composite.count > 1 && composite.stdDev >= calibrationStdDev;
+
+  return {
+    rubricVersion: this.rubricVersion || null,
+    composite,
+    criteria,
+    needsCalibration: compositeDisagreement || criteria.some(c => c.needsCalibration),
+  };
+};
+
 /**
  * Calculate funding efficiency score
  * @returns {number}
@@ -455,6 +752,26 @@ fundingApplicationSchema.statics.getPendingReview = async function (limit = 10)
     .limit(limit);
 };
 
+/**
+ * Get applications assigned to a reviewer
+ * @param {ObjectId} reviewerId - Reviewer's user ID
+ * @param {Object} options - { pendingOnly }
+ * @returns {Promise<FundingApplication[]>}
+ */
+fundingApplicationSchema.statics.getForReviewer = function (reviewerId, { pendingOnly = true } = {}) {
+  const reviewerMatch = pendingOnly
+    ? { $elemMatch: { reviewer: reviewerId, decision: 'Pending' } }
+    : { $elemMatch: { reviewer: reviewerId } };
+
+  return this.find({
+    status: pendingOnly ? 'Under Review' : { $in: ['Under Review', 'Needs More Info', 'Approved', 'Rejected'] },
+    reviewers: reviewerMatch,
+  })
+    .populate('startup', 'name domain stage')
+    .populate('applicant', 'name email')
+    .sort({ priority: -1, submittedAt: 1 });
+};
+
 /**
  * Get funding statistics
  * @param {Object} filters - Query filters
@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+
+/**
+ * KpiSnapshot Model
+ * One month of a startup's reported metrics
+ * Growth and runway are derived from the series when a month is saved,
+ * so they stay consistent with the figures around them
+ */
+
+const PERIOD_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+const kpiSnapshotSchema = new mongoose.Schema(
+  {
+    startup: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Startup',
+      required: [true, 'Startup reference is required'],
+    },
+
+    // Reporting month as YYYY-MM
+    period: {
+      type: String,
+      required: [true, 'Reporting period is required'],
+      match: [PERIOD_PATTERN, 'Period must be in YYYY-MM format'],
+    },
+
+    // Reported figures
+    revenue: {
+      type: Number,
+      required: [true, 'Revenue is required'],
+      min: [0, 'Revenue cannot be negative'],
+    },
+    users: {
+      type: Number,
+      required: [true, 'Users is required'],
+      min: [0, 'Users cannot be negative'],
+    },
+    // Total raised to date
+    funding: {
+      type: Number,
+      default: 0,
+      min: [0, 'Funding cannot be negative'],
+    },
+    monthlyBurnRate: {
+      type: Number,
+      default: 0,
+      min: [0, 'Burn rate cannot be negative'],
+    },
+    cashBalance: {
+      type: Number,
+      min: [0, 'Cash balance cannot be negative'],
+    },
+
+    // Derived from the previous month and the cash position
+    growth: Number, // Month-over-month revenue growth, percent
+    userGrowth: Number, // Month-over-month user growth, percent
+    runway: Number, // Months of cash at the current burn
+
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+    },
+
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    revisedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// =============================================================================
+// INDEXES
+// =============================================================================
+
+kpiSnapshotSchema.index(
+  { startup: 1, period: 1 },
+  { unique: true, name: 'startup_period_unique_idx' }
+);
+
+kpiSnapshotSchema.index({ period: 1 }, { name: 'period_idx' });
+
+// =============================================================================
+// STATIC METHODS
+// =============================================================================
+
+/**
+ * Reporting period of a date
+ * @param {Date} date - Any instant in the month
+ * @returns {string} YYYY-MM (UTC)
+ */
+kpiSnapshotSchema.statics.periodOf = function (date = new Date()) {
+  return date.toISOString().slice(0, 7);
+};
+
+/**
+ * Shift a period by whole months
+ * @param {string} period - YYYY-MM
+ * @param {number} months - Months to add (negative to go back)
+ * @returns {string} YYYY-MM
+ */
+kpiSnapshotSchema.statics.shiftPeriod = function (period, months) {
+  const [year, month] = period.split('-').map(Number);
+  return this.periodOf(new Date(Date.UTC(year, month - 1 + months, 1)));
+};
+
+/**
+ * Check a period string
+ * @param {string} period - Candidate period
+ * @returns {boolean}
+ */
+kpiSnapshotSchema.statics.isValidPeriod = function (period) {
+  return typeof period === 'string' && PERIOD_PATTERN.test(period);
+};
+
+/**
+ * Get a startup's snapshots, oldest first
+ * @param {ObjectId} startupId - Startup ID
+ * @param {Object} options - { from, to } periods, inclusive
+ * @returns {Query}
+ */
+kpiSnapshotSchema.statics.getSeries = function (startupId, { from, to } = {}) {
+  const period = {};
+  if (from) period.$gte = from;
+  if (to) period.$lte = to;
+
+  return this.find({
+    startup: startupId,
+    ...(from || to ? { period } : {}),
+  }).sort({ period: 1 });
+};
+
+/**
+ * Sum the figures of many startups per month
+ * @param {Array} startupIds - Startup IDs
+ * @param {string} from - First period
+ * @returns {Promise<Array>} [{ period, revenue, users, funding, monthlyBurnRate, startups }]
+ */
+kpiSnapshotSchema.statics.getPortfolioSeries = async function (startupIds, from) {
+  const rows = await this.aggregate([
+    { $match: { startup: { $in: startupIds }, period: { $gte: from } } },
+    {
+      $group: {
+        _id: '$period',
+        revenue: { $sum: '$revenue' },
+        users: { $sum: '$users' },
+        funding: { $sum: '$funding' },
+        monthlyBurnRate: { $sum: '$monthlyBurnRate' },
+        startups: { $sum: 1 },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  return rows.map(({ _id, ...totals }) => ({ period: _id, ...totals }));
+};
+
+module.exports = mongoose.model('KpiSnapshot', kpiSnapshotSchema);
@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+
+/**
+ * MatchingConfig Model
+ * Versioned weights and thresholds for mentor matching
+ * Published versions are never edited - changes create a new version
+ */
+
+// Components every weight set must cover
+const WEIGHT_KEYS = ['skill', 'domain', 'availability', 'rating', 'capacity', 'semantic'];
+
+const weightField = label => ({
+  type: Number,
+  required: [true, `${label} weight is required`],
+  min: [0, `${label} weight cannot be negative`],
+  max: [1, `${label} weight cannot exceed 1`],
+});
+
+const matchingConfigSchema = new mongoose.Schema(
+  {
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+      unique: true,
+    },
+
+    // Relative weight of each component score; normalized when scoring
+    weights: {
+      skill: weightField('Skill'),
+      domain: weightField('Domain'),
+      availability: weightField('Availability'),
+      rating: weightField('Rating'),
+      capacity: weightField('Capacity'),
+      semantic: weightField('Semantic'),
+    },
+
+    // Matches scoring below this are not suggested
+    minScore: {
+      type: Number,
+      default: 0,
+      min: [0, 'Minimum score cannot be negative'],
+      max: [100, 'Minimum score cannot exceed 100'],
+    },
+
+    // Matches stored per request
+    maxResults: {
+      type: Number,
+      default: 10,
+      min: [1, 'Max results must be at least 1'],
+      max: [20, 'Max results cannot exceed 20'],
+    },
+
+    // Only one version is active at a time
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    notes: {
+      type: String,
+      maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// =============================================================================
+// INDEXES
+// =============================================================================
+
+matchingConfigSchema.index(
+  { isActive: 1, version: -1 },
+  { name: 'active_version_idx' }
+);
+
+// =============================================================================
+// HOOKS
+// =============================================================================
+
+// Scoring needs at least one non-semantic weight, since semantic scores are optional
+matchingConfigSchema.pre('validate', function (next) {
+  const weights = this.weights || {};
+  if (!WEIGHT_KEYS.some(key => key !== 'semantic' && weights[key] > 0)) {
+    this.invalidate('weights', 'At least one non-semantic weight must be positive');
+  }
+  next();
+});
+
+// =============================================================================
+// VIRTUALS
+// =============================================================================
+
+// Sum of component weights
+matchingConfigSchema.virtual('totalWeight').get(function () {
+  return WEIGHT_KEYS.reduce((sum, key) => sum + ((this.weights && this.weights[key]) || 0), 0);
+});
+
+// =============================================================================
+// STATIC METHODS
+// =============================================================================
+
+/**
+ * Get the active matching configuration
+ * @returns {Promise<MatchingConfig|null>}
+ */
+matchingConfigSchema.statics.getActive = function () {
+  return this.findOne({ isActive: true }).sort({ version: -1 });
+};
+
+/**
+ * Publish a new configuration version
+ * The new version becomes active and earlier versions are deactivated
+ * @param {Object} data - { weights, minScore, maxResults, notes }
+ * @param {ObjectId} userId - Admin creating the version
+ * @returns {Promise<MatchingConfig>}
+ */
+matchingConfigSchema.statics.publishVersion = async function (data, userId) {
+  const latest = await this.findOne().sort({ version: -1 }).select('version');
+
+  const config = await this.create({
+    version: latest ? latest.version + 1 : 1,
+    weights: data.weights,
+    minScore: data.minScore,
+    maxResults: data.maxResults,
+    notes: data.notes,
+    createdBy: userId,
+    isActive: true,
+  });
+
+  await this.updateMany(
+    { _id: { $ne: config._id } },
+    { $set: { isActive: false } }
+  );
+
+  return config;
+};
+
+/**
+ * Re-activate an earlier configuration version
+ * @param {ObjectId} configId - Configuration to activate
+ * @returns {Promise<MatchingConfig|null>}
+ */
+matchingConfigSchema.statics.activateVersion = async function (configId) {
+  const config = await this.findById(configId);
+  if (!config) return null;
+
+  await this.updateMany(
+    { _id: { $ne: config._id } },
+    { $set: { isActive: false } }
+  );
+
+  config.isActive = true;
+  await config.save();
+
+  return config;
+};
+
+module.exports = mongoose.model('MatchingConfig', matchingConfigSchema);
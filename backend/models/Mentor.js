@@ -120,6 +120,20 @@ const mentorSchema = new mongoose.Schema(
       default: 'UTC',
     },
 
+    // Minutes kept free before and after each session
+    sessionBufferMinutes: {
+      type: Number,
+      default: 15,
+      min: [0, 'Buffer cannot be negative'],
+      max: [120, 'Buffer cannot exceed 120 minutes'],
+    },
+
+    // Short-lived lock held while a session is booked on this calendar
+    scheduleLockedUntil: {
+      type: Date,
+      select: false,
+    },
+
     maxMentees: {
       type: Number,
       default: 5,
@@ -180,6 +194,19 @@ const mentorSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+
+    // Cached semantic matching vector, built from bio and expertise
+    embedding: {
+      provider: String,
+      model: String,
+      sourceHash: String,
+      vector: {
+        type: [Number],
+        default: undefined,
+        select: false,
+      },
+      updatedAt: Date,
+    },
   },
   {
     timestamps: true,
@@ -233,6 +260,14 @@ mentorSchema.pre('save', function (next) {
   next();
 });
 
+// Drop the cached matching vector when the text it was built from changes
+mentorSchema.pre('save', function (next) {
+  if (!this.isNew && (this.isModified('bio') || this.isModified('expertise'))) {
+    this.embedding = undefined;
+  }
+  next();
+});
+
 // =============================================================================
 // INSTANCE METHODS
 // =============================================================================
@@ -240,16 +275,17 @@ mentorSchema.pre('save', function (next) {
 /**
  * Add a mentee to the mentor
  * @param {ObjectId} startupId - Startup to add
+ * @param {ClientSession} session - Optional transaction session
  * @returns {Promise<boolean>} Success status
  */
-mentorSchema.methods.addMentee = async function (startupId) {
+mentorSchema.methods.addMentee = async function (startupId, session = null) {
   if (this.isAtCapacity) {
     return false;
   }
 
   if (!this.currentMentees.includes(startupId)) {
     this.currentMentees.push(startupId);
-    await this.save();
+    await this.save({ session });
   }
 
   return true;
@@ -258,12 +294,13 @@ mentorSchema.methods.addMentee = async function (startupId) {
 /**
  * Remove a mentee from the mentor
  * @param {ObjectId} startupId - Startup to remove
+ * @param {ClientSession} session - Optional transaction session
  */
-mentorSchema.methods.removeMentee = async function (startupId) {
+mentorSchema.methods.removeMentee = async function (startupId, session = null) {
   this.currentMentees = this.currentMentees.filter(
     m => m.toString() !== startupId.toString()
   );
-  await this.save();
+  await this.save({ session });
 };
 
 /**
@@ -397,4 +434,43 @@ mentorSchema.statics.search = function (query) {
     .populate('user', 'name email avatar');
 };
 
+/**
+ * Take the booking lock on a mentor's calendar
+ * Uses a conditional update so only one writer can hold it; an expired
+ * lock (e.g. from a crashed request) can be taken over
+ * @param {ObjectId} mentorId - Mentor ID
+ * @param {number} ttlMs - How long the lock is held at most
+ * @returns {Promise<Date|null>} Lock expiry, or null when already held
+ */
+mentorSchema.statics.acquireScheduleLock = async function (mentorId, ttlMs = 10000) {
+  const now = new Date();
+  const lockedUntil = new Date(now.getTime() + ttlMs);
+
+  const result = await this.updateOne(
+    {
+      _id: mentorId,
+      $or: [
+        { scheduleLockedUntil: { $exists: false } },
+        { scheduleLockedUntil: null },
+        { scheduleLockedUntil: { $lte: now } },
+      ],
+    },
+    { $set: { scheduleLockedUntil: lockedUntil } }
+  );
+
+  return result.modifiedCount === 1 ? lockedUntil : null;
+};
+
+/**
+ * Release a booking lock taken with acquireScheduleLock
+ * @param {ObjectId} mentorId - Mentor ID
+ * @param {Date} lockedUntil - Expiry returned when the lock was taken
+ */
+mentorSchema.statics.releaseScheduleLock = async function (mentorId, lockedUntil) {
+  await this.updateOne(
+    { _id: mentorId, scheduleLockedUntil: lockedUntil },
+    { $unset: { scheduleLockedUntil: 1 } }
+  );
+};
+
 module.exports = mongoose.model('Mentor', mentorSchema);
@@ -1,4 +1,17 @@
 const mongoose = require('mongoose');
+const { sessionDetailFields, feedbackFields } = require('./sessionFields');
+
+// Hours before a session after which it can no longer be cancelled or moved
+const SESSION_CHANGE_CUTOFF_HOURS = parseInt(process.env.SESSION_CHANGE_CUTOFF_HOURS) || 24;
+
+// Founder no-shows on one request before it is flagged for attention
+const FOUNDER_NO_SHOW_THRESHOLD = 2;
+
+// Days a request may stay Pending before it is flagged
+const STALE_PENDING_DAYS = 3;
+
+// Hours a proposed mentor has to accept before the next match is asked
+const MENTOR_PROPOSAL_TTL_HOURS = parseInt(process.env.MENTOR_PROPOSAL_TTL_HOURS) || 48;
 
 /**
  * MentorshipRequest Model
@@ -79,6 +92,12 @@ const mentorshipRequestSchema = new mongoose.Schema(
       timeSlot: String, // e.g., "09:00-11:00"
     }],
 
+    // Timezone of the preferred times (IANA name)
+    timezone: {
+      type: String,
+      default: 'UTC',
+    },
+
     status: {
       type: String,
       enum: {
@@ -104,11 +123,29 @@ const mentorshipRequestSchema = new mongoose.Schema(
       availabilityScore: Number,
       ratingScore: Number,
       semanticScore: Number,
+      capacityScore: Number,
+      // Weight set the score was computed with
+      matchingConfig: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MatchingConfig',
+      },
+      matchingConfigVersion: Number,
+      weights: {
+        skill: Number,
+        domain: Number,
+        availability: Number,
+        rating: Number,
+        capacity: Number,
+        semantic: Number,
+      },
+      // Pending while the founder's proposal awaits the mentor's answer
       status: {
         type: String,
-        enum: ['Suggested', 'Accepted', 'Declined', 'Pending'],
+        enum: ['Suggested', 'Accepted', 'Declined', 'Pending', 'Expired'],
         default: 'Suggested',
       },
+      proposedAt: Date,
+      expiresAt: Date,
       acceptedAt: Date,
       declinedAt: Date,
       declineReason: String,
@@ -126,59 +163,64 @@ const mentorshipRequestSchema = new mongoose.Schema(
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Mentor',
       },
-      scheduledAt: {
-        type: Date,
-        required: true,
-      },
-      duration: {
-        type: Number, // minutes
-        default: 60,
-        min: 15,
-        max: 240,
-      },
-      meetingLink: String,
-      calendarEventId: String,
+      // scheduledAt, duration, meetingLink, calendarEventId, sequence, notes
+      ...sessionDetailFields(),
       status: {
         type: String,
         enum: ['Scheduled', 'Completed', 'Cancelled', 'No-Show', 'Rescheduled'],
         default: 'Scheduled',
       },
-      notes: {
+      // Lifecycle tracking
+      completedAt: Date,
+      cancelledAt: Date,
+      cancellationReason: {
+        type: String,
+        maxlength: 500,
+      },
+      cancelledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      // Who failed to attend a No-Show session
+      noShowParty: {
         type: String,
-        maxlength: 2000,
+        enum: ['founder', 'mentor'],
+      },
+      reportedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
       },
+      // Links between a rescheduled session and its replacement
+      rescheduledFrom: mongoose.Schema.Types.ObjectId,
+      rescheduledTo: mongoose.Schema.Types.ObjectId,
       // Session outcomes
       actionItems: [{
-        description: String,
+        description: {
+          type: String,
+          required: [true, 'Action item description is required'],
+          trim: true,
+          maxlength: [500, 'Action item cannot exceed 500 characters'],
+        },
+        // Which side of the session is responsible for the item
+        owner: {
+          type: String,
+          enum: ['founder', 'mentor'],
+          default: 'founder',
+        },
         completed: { type: Boolean, default: false },
+        completedAt: Date,
         dueDate: Date,
+        createdBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        // Set once the due-date reminder has been sent
+        reminderSentAt: Date,
       }],
       // Founder feedback
-      founderFeedback: {
-        rating: {
-          type: Number,
-          min: 1,
-          max: 5,
-        },
-        comment: {
-          type: String,
-          maxlength: 1000,
-        },
-        submittedAt: Date,
-      },
+      founderFeedback: feedbackFields(),
       // Mentor feedback
-      mentorFeedback: {
-        rating: {
-          type: Number,
-          min: 1,
-          max: 5,
-        },
-        comment: {
-          type: String,
-          maxlength: 1000,
-        },
-        submittedAt: Date,
-      },
+      mentorFeedback: feedbackFields(),
     }],
 
     // Overall rating
@@ -193,6 +235,12 @@ const mentorshipRequestSchema = new mongoose.Schema(
       maxlength: 2000,
     },
 
+    // Sessions the founder side missed
+    founderNoShows: {
+      type: Number,
+      default: 0,
+    },
+
     // Cancellation tracking
     cancelledAt: Date,
     cancellationReason: String,
@@ -237,6 +285,16 @@ mentorshipRequestSchema.index(
   { name: 'selected_mentor_idx' }
 );
 
+mentorshipRequestSchema.index(
+  { 'sessions.actionItems.dueDate': 1 },
+  { name: 'action_item_due_idx', sparse: true }
+);
+
+mentorshipRequestSchema.index(
+  { 'matchedMentors.status': 1, 'matchedMentors.expiresAt': 1 },
+  { name: 'mentor_proposal_expiry_idx' }
+);
+
 // =============================================================================
 // VIRTUALS
 // =============================================================================
@@ -252,6 +310,21 @@ mentorshipRequestSchema.virtual('completedSessionCount').get(function () {
   return this.sessions.filter(s => s.status === 'Completed').length;
 });
 
+// Reasons an admin should look at this request
+mentorshipRequestSchema.virtual('attentionFlags').get(function () {
+  const flags = [];
+  const staleBefore = Date.now() - STALE_PENDING_DAYS * 24 * 60 * 60 * 1000;
+
+  if (this.status === 'Pending' && this.createdAt && this.createdAt < staleBefore) {
+    flags.push('stale_pending');
+  }
+  if ((this.founderNoShows || 0) >= FOUNDER_NO_SHOW_THRESHOLD && !['Completed', 'Cancelled'].includes(this.status)) {
+    flags.push('repeated_no_shows');
+  }
+
+  return flags;
+});
+
 // =============================================================================
 // HOOKS
 // =============================================================================
@@ -298,13 +371,40 @@ mentorshipRequestSchema.pre('save', function (next) {
 
 /**
  * Get completion rate
+ * Once action items exist, held sessions and completed action items
+ * weigh equally. Rescheduled sessions are replaced and not counted.
  * @returns {number} Percentage (0-100)
  */
 mentorshipRequestSchema.methods.getCompletionRate = function () {
-  if (!this.sessions || this.sessions.length === 0) return 0;
+  const sessions = (this.sessions || []).filter(s => s.status !== 'Rescheduled');
+  if (sessions.length === 0) return 0;
+
+  const sessionRate = sessions.filter(s => s.status === 'Completed').length / sessions.length;
+  const items = this.getActionItemStats();
+  if (items.total === 0) return Math.round(sessionRate * 100);
+
+  return Math.round(((sessionRate + items.completed / items.total) / 2) * 100);
+};
+
+/**
+ * Count action items across all sessions
+ * @param {Date} now - Reference time for overdue items
+ * @returns {Object} { total, completed, open, overdue, completionRate }
+ */
+mentorshipRequestSchema.methods.getActionItemStats = function (now = new Date()) {
+  const items = (this.sessions || [])
+    .filter(s => !['Cancelled', 'Rescheduled'].includes(s.status))
+    .flatMap(s => s.actionItems || []);
+
+  const completed = items.filter(i => i.completed).length;
 
-  const completed = this.sessions.filter(s => s.status === 'Completed').length;
-  return Math.round((completed / this.sessions.length) * 100);
+  return {
+    total: items.length,
+    completed,
+    open: items.length - completed,
+    overdue: items.filter(i => !i.completed && i.dueDate && i.dueDate < now).length,
+    completionRate: items.length ? Math.round((completed / items.length) * 100) : 0,
+  };
 };
 
 /**
@@ -330,12 +430,129 @@ mentorshipRequestSchema.methods.cancel = async function (cancelledBy, reason = '
   this.cancelledBy = cancelledBy;
   this.cancellationReason = reason;
 
+  // Free the mentor's calendar and cancel calendar invites
+  const now = new Date();
+  this.sessions
+    .filter(s => s.status === 'Scheduled' && s.scheduledAt > now)
+    .forEach((s) => {
+      s.status = 'Cancelled';
+      s.sequence = (s.sequence || 0) + 1;
+    });
+
+  await this.save();
+};
+
+/**
+ * Get the match whose proposal is awaiting the mentor's answer
+ * @returns {Object|undefined} matchedMentors entry
+ */
+mentorshipRequestSchema.methods.getActiveProposal = function () {
+  return this.matchedMentors.find(m => m.status === 'Pending');
+};
+
+/**
+ * Get why a mentor cannot be proposed, or null if they can
+ * @param {ObjectId} mentorId - Mentor ID
+ * @returns {string|null} Error message
+ */
+mentorshipRequestSchema.methods.getProposalError = function (mentorId) {
+  const match = this.matchedMentors.find(m => m.mentor.toString() === mentorId.toString());
+
+  if (['Completed', 'Cancelled'].includes(this.status)) return `Request is ${this.status.toLowerCase()}`;
+  if (this.selectedMentor) return 'A mentor has already accepted this request';
+  if (!match) return 'Mentor not in matched list';
+  if (match.status === 'Declined') return 'This mentor has declined the request';
+  if (match.status === 'Expired') return 'This mentor did not respond in time';
+  if (match.status === 'Pending') return 'This mentor has already been asked';
+
+  return null;
+};
+
+/**
+ * Propose a matched mentor; they must accept before being assigned
+ * Any earlier unanswered proposal is withdrawn
+ * @param {ObjectId} mentorId - Mentor to ask
+ * @param {Object} options - { now }
+ * @returns {Promise<Object>} The proposed matchedMentors entry
+ */
+mentorshipRequestSchema.methods.proposeMentor = async function (mentorId, options = {}) {
+  const { now = new Date() } = options;
+  const error = this.getProposalError(mentorId);
+  if (error) {
+    throw new Error(error);
+  }
+
+  const previous = this.getActiveProposal();
+  if (previous) {
+    previous.status = 'Suggested';
+    previous.proposedAt = undefined;
+    previous.expiresAt = undefined;
+  }
+
+  const match = this.matchedMentors.find(m => m.mentor.toString() === mentorId.toString());
+  match.status = 'Pending';
+  match.proposedAt = now;
+  match.expiresAt = new Date(now.getTime() + MENTOR_PROPOSAL_TTL_HOURS * 60 * 60 * 1000);
+
+  if (this.status === 'Pending') {
+    this.status = 'Matched';
+  }
+
+  await this.save();
+  return match;
+};
+
+/**
+ * Get the pending proposal to a mentor, or null
+ * @param {ObjectId} mentorId - Mentor ID
+ * @param {Date} now - Reference time; expired proposals are not returned
+ * @returns {Object|null} matchedMentors entry
+ */
+mentorshipRequestSchema.methods.getProposalFor = function (mentorId, now = new Date()) {
+  const proposal = this.getActiveProposal();
+  if (!proposal || proposal.mentor.toString() !== mentorId.toString()) return null;
+  if (proposal.expiresAt && proposal.expiresAt <= now) return null;
+  return proposal;
+};
+
+/**
+ * Accept a pending proposal and assign the mentor
+ * @param {ObjectId} mentorId - Accepting mentor
+ * @returns {Promise<void>}
+ */
+mentorshipRequestSchema.methods.acceptProposal = async function (mentorId) {
+  if (!this.getProposalFor(mentorId)) {
+    throw new Error('No pending proposal for this mentor');
+  }
+
+  await this.selectMentor(mentorId);
+};
+
+/**
+ * Close a pending proposal without assigning the mentor
+ * @param {ObjectId} mentorId - Mentor who was asked
+ * @param {string} reason - Why the proposal closed
+ * @param {string} status - 'Declined', or 'Expired' when nobody answered
+ * @returns {Promise<Object>} The closed matchedMentors entry
+ */
+mentorshipRequestSchema.methods.closeProposal = async function (mentorId, reason = '', status = 'Declined') {
+  const proposal = this.getActiveProposal();
+  if (!proposal || proposal.mentor.toString() !== mentorId.toString()) {
+    throw new Error('No pending proposal for this mentor');
+  }
+
+  proposal.status = status;
+  proposal.declinedAt = new Date();
+  proposal.declineReason = reason;
+
   await this.save();
+  return proposal;
 };
 
 /**
- * Select a mentor from matched list
- * @param {ObjectId} mentorId - Mentor to select
+ * Assign a matched mentor to the request
+ * Call through acceptProposal so the mentor has agreed
+ * @param {ObjectId} mentorId - Mentor ID
  */
 mentorshipRequestSchema.methods.selectMentor = async function (mentorId) {
   const matchedMentor = this.matchedMentors.find(
@@ -390,6 +607,8 @@ mentorshipRequestSchema.methods.submitFeedback = async function (sessionId, isFo
     throw new Error('Session not found');
   }
 
+  const wasPaired = !!(session.founderFeedback?.submittedAt && session.mentorFeedback?.submittedAt);
+
   const feedback = {
     rating: feedbackData.rating,
     comment: feedbackData.comment,
@@ -402,16 +621,25 @@ mentorshipRequestSchema.methods.submitFeedback = async function (sessionId, isFo
     session.mentorFeedback = feedback;
   }
 
-  // Mark complete if both feedbacks are in
-  if (session.founderFeedback && session.mentorFeedback) {
+  // Mark complete once both sides have given feedback
+  const bothSubmitted = !!(session.founderFeedback?.submittedAt && session.mentorFeedback?.submittedAt);
+  const completing = bothSubmitted && session.status === 'Scheduled';
+  if (completing) {
     session.status = 'Completed';
+    session.completedAt = new Date();
+  }
+
+  await this.save();
 
-    // Update mentor rating
+  // Update mentor rating the first time both feedbacks are in
+  if (bothSubmitted && !wasPaired) {
     try {
       const Mentor = mongoose.model('Mentor');
       const mentor = await Mentor.findById(session.mentor);
       if (mentor && session.founderFeedback.rating) {
         await mentor.updateRating(session.founderFeedback.rating);
+      }
+      if (mentor && completing) {
         await mentor.completeSession();
       }
     } catch (error) {
@@ -419,31 +647,489 @@ mentorshipRequestSchema.methods.submitFeedback = async function (sessionId, isFo
     }
   }
 
+  return session;
+};
+
+/**
+ * Explain why a session lifecycle action is not allowed
+ * @param {Object} session - Session subdocument
+ * @param {string} action - 'cancel', 'reschedule', 'complete' or 'no-show'
+ * @param {Object} options - { now, enforceCutoff }
+ * @returns {string|null} Reason, or null when the action is allowed
+ */
+mentorshipRequestSchema.methods.getSessionActionError = function (session, action, options = {}) {
+  const { now = new Date(), enforceCutoff = true } = options;
+
+  if (!session) return 'Session not found';
+  if (session.status !== 'Scheduled') {
+    return `Session is already ${session.status.toLowerCase()}`;
+  }
+
+  const started = session.scheduledAt <= now;
+
+  if (action === 'cancel' || action === 'reschedule') {
+    if (started) {
+      return 'Session has already started';
+    }
+    const cutoff = new Date(session.scheduledAt.getTime() - SESSION_CHANGE_CUTOFF_HOURS * 60 * 60 * 1000);
+    if (enforceCutoff && now > cutoff) {
+      return `Sessions cannot be ${action === 'cancel' ? 'cancelled' : 'rescheduled'} within ${SESSION_CHANGE_CUTOFF_HOURS} hours of the start`;
+    }
+  }
+
+  if ((action === 'complete' || action === 'no-show') && !started) {
+    return 'Session has not started yet';
+  }
+
+  return null;
+};
+
+/**
+ * Cancel a single session
+ * @param {ObjectId} sessionId - Session to cancel
+ * @param {ObjectId} cancelledBy - User cancelling
+ * @param {string} reason - Cancellation reason
+ * @param {Object} options - { enforceCutoff } (admins may skip the cutoff)
+ * @returns {Promise<Object>} The cancelled session
+ */
+mentorshipRequestSchema.methods.cancelSession = async function (sessionId, cancelledBy, reason = '', options = {}) {
+  const session = this.sessions.id(sessionId);
+  const error = this.getSessionActionError(session, 'cancel', options);
+  if (error) {
+    throw new Error(error);
+  }
+
+  session.status = 'Cancelled';
+  session.cancelledAt = new Date();
+  session.cancelledBy = cancelledBy;
+  session.cancellationReason = reason;
+  // Calendar clients only apply updates with a higher sequence
+  session.sequence = (session.sequence || 0) + 1;
+
+  await this.save();
+  return session;
+};
+
+/**
+ * Move a session to a new time
+ * The original is kept as 'Rescheduled' and linked to its replacement,
+ * which takes over the calendar UID so subscribed calendars move the event
+ * @param {ObjectId} sessionId - Session to move
+ * @param {Object} sessionData - { scheduledAt, duration, meetingLink, notes, calendarEventId }
+ * @param {Object} options - { enforceCutoff }
+ * @returns {Promise<Object>} The replacement session
+ */
+mentorshipRequestSchema.methods.rescheduleSession = async function (sessionId, sessionData, options = {}) {
+  const original = this.sessions.id(sessionId);
+  const error = this.getSessionActionError(original, 'reschedule', options);
+  if (error) {
+    throw new Error(error);
+  }
+
+  this.sessions.push({
+    mentor: original.mentor,
+    scheduledAt: new Date(sessionData.scheduledAt),
+    duration: sessionData.duration || original.duration,
+    meetingLink: sessionData.meetingLink || original.meetingLink,
+    notes: sessionData.notes || original.notes,
+    status: 'Scheduled',
+    calendarEventId: sessionData.calendarEventId || original.calendarEventId,
+    sequence: (original.sequence || 0) + 1,
+    rescheduledFrom: original._id,
+  });
+
+  const replacement = this.sessions[this.sessions.length - 1];
+  original.status = 'Rescheduled';
+  original.rescheduledTo = replacement._id;
+
+  await this.save();
+  return replacement;
+};
+
+/**
+ * Mark a session as held and credit the mentor
+ * @param {ObjectId} sessionId - Session to complete
+ * @returns {Promise<Object>} The completed session
+ */
+mentorshipRequestSchema.methods.completeSession = async function (sessionId) {
+  const session = this.sessions.id(sessionId);
+  const error = this.getSessionActionError(session, 'complete');
+  if (error) {
+    throw new Error(error);
+  }
+
+  session.status = 'Completed';
+  session.completedAt = new Date();
+  await this.save();
+
+  try {
+    const mentor = await mongoose.model('Mentor').findById(session.mentor);
+    if (mentor) {
+      await mentor.completeSession();
+    }
+  } catch (err) {
+    console.error('Error updating mentor sessions:', err.message);
+  }
+
+  return session;
+};
+
+/**
+ * Record that one side did not attend a session
+ * Founder no-shows are counted so repeat offenders get flagged
+ * @param {ObjectId} sessionId - Session that was missed
+ * @param {string} party - 'founder' or 'mentor'
+ * @param {ObjectId} reportedBy - User reporting the no-show
+ * @returns {Promise<Object>} The updated session
+ */
+mentorshipRequestSchema.methods.markSessionNoShow = async function (sessionId, party, reportedBy) {
+  const session = this.sessions.id(sessionId);
+  const error = this.getSessionActionError(session, 'no-show');
+  if (error) {
+    throw new Error(error);
+  }
+
+  session.status = 'No-Show';
+  session.noShowParty = party;
+  session.reportedBy = reportedBy;
+
+  if (party === 'founder') {
+    this.founderNoShows = (this.founderNoShows || 0) + 1;
+  }
+
   await this.save();
   return session;
 };
 
+/**
+ * Add an action item to a session
+ * @param {ObjectId} sessionId - Session the item came out of
+ * @param {Object} itemData - { description, owner, dueDate }
+ * @param {ObjectId} createdBy - User adding the item
+ * @returns {Promise<Object>} The new action item
+ */
+mentorshipRequestSchema.methods.addActionItem = async function (sessionId, itemData, createdBy) {
+  const session = this.sessions.id(sessionId);
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  if (['Cancelled', 'Rescheduled'].includes(session.status)) {
+    throw new Error(`Action items cannot be added to a ${session.status.toLowerCase()} session`);
+  }
+
+  session.actionItems.push({
+    description: itemData.description,
+    owner: itemData.owner || 'founder',
+    dueDate: itemData.dueDate,
+    createdBy,
+  });
+  await this.save();
+
+  return session.actionItems[session.actionItems.length - 1];
+};
+
+/**
+ * Update an action item
+ * Moving the due date re-arms its reminder
+ * @param {ObjectId} sessionId - Session holding the item
+ * @param {ObjectId} itemId - Action item ID
+ * @param {Object} updates - { description, owner, dueDate, completed }
+ * @returns {Promise<Object>} The updated action item
+ */
+mentorshipRequestSchema.methods.updateActionItem = async function (sessionId, itemId, updates) {
+  const session = this.sessions.id(sessionId);
+  const item = session && session.actionItems.id(itemId);
+  if (!item) {
+    throw new Error('Action item not found');
+  }
+
+  if (updates.description !== undefined) item.description = updates.description;
+  if (updates.owner !== undefined) item.owner = updates.owner;
+  if (updates.dueDate !== undefined) {
+    item.dueDate = updates.dueDate || undefined;
+    item.reminderSentAt = undefined;
+  }
+  if (updates.completed !== undefined && updates.completed !== item.completed) {
+    item.completed = updates.completed;
+    item.completedAt = updates.completed ? new Date() : undefined;
+  }
+
+  await this.save();
+  return item;
+};
+
+/**
+ * Remove an action item
+ * @param {ObjectId} sessionId - Session holding the item
+ * @param {ObjectId} itemId - Action item ID
+ * @returns {Promise<void>}
+ */
+mentorshipRequestSchema.methods.removeActionItem = async function (sessionId, itemId) {
+  const session = this.sessions.id(sessionId);
+  const item = session && session.actionItems.id(itemId);
+  if (!item) {
+    throw new Error('Action item not found');
+  }
+
+  item.deleteOne();
+  await this.save();
+};
+
 // =============================================================================
 // STATIC METHODS
 // =============================================================================
 
 /**
  * Get requests needing attention
+ * Stale pending requests and active requests with repeated founder
+ * no-shows; see the attentionFlags virtual for the reason
  * @returns {Promise<MentorshipRequest[]>}
  */
 mentorshipRequestSchema.statics.getNeedingAttention = async function () {
-  const threeDaysAgo = new Date();
-  threeDaysAgo.setDate(threeDaysAgo.getDate() - 3);
+  const staleBefore = new Date();
+  staleBefore.setDate(staleBefore.getDate() - STALE_PENDING_DAYS);
 
   return this.find({
-    status: 'Pending',
-    createdAt: { $lt: threeDaysAgo },
+    $or: [
+      { status: 'Pending', createdAt: { $lt: staleBefore } },
+      {
+        founderNoShows: { $gte: FOUNDER_NO_SHOW_THRESHOLD },
+        status: { $nin: ['Completed', 'Cancelled'] },
+      },
+    ],
+  })
+    .populate('startup', 'name')
+    .populate('requestedBy', 'name email')
+    .sort({ urgency: -1, createdAt: 1 });
+};
+
+/**
+ * Get booked sessions for mentors within a time range
+ * @param {Array} mentorIds - Mentor IDs
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Promise<Map>} Mentor ID string -> [{ scheduledAt, duration, status, request, session }]
+ */
+mentorshipRequestSchema.statics.getScheduledSessionsForMentors = async function (mentorIds, from, to) {
+  const rows = await this.aggregate([
+    { $match: { 'sessions.mentor': { $in: mentorIds } } },
+    { $unwind: '$sessions' },
+    {
+      $match: {
+        'sessions.mentor': { $in: mentorIds },
+        'sessions.status': 'Scheduled',
+        'sessions.scheduledAt': { $lt: to, $gte: new Date(from.getTime() - 24 * 60 * 60 * 1000) },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        request: '$_id',
+        session: '$sessions._id',
+        mentor: '$sessions.mentor',
+        scheduledAt: '$sessions.scheduledAt',
+        duration: '$sessions.duration',
+        status: '$sessions.status',
+      },
+    },
+  ]);
+
+  return rows.reduce((byMentor, row) => {
+    const key = row.mentor.toString();
+    if (!byMentor.has(key)) byMentor.set(key, []);
+    byMentor.get(key).push(row);
+    return byMentor;
+  }, new Map());
+};
+
+/**
+ * Find requests with the people calendar invites need populated
+ * @param {Object} filter - Query filter
+ * @returns {Query}
+ */
+mentorshipRequestSchema.statics.findForCalendar = function (filter) {
+  return this.find(filter)
+    .populate('startup', 'name founder team')
+    .populate('requestedBy', 'name email')
+    .populate({
+      path: 'sessions.mentor',
+      select: 'name user',
+      populate: { path: 'user', select: 'name email' },
+    });
+};
+
+/**
+ * Get the sessions a user takes part in, as mentor or on the startup side
+ * @param {ObjectId} userId - User ID
+ * @param {Date} since - Earliest session start to include
+ * @returns {Promise<Array>} [{ request, session }] ordered by start time
+ */
+mentorshipRequestSchema.statics.getCalendarSessionsForUser = async function (userId, since) {
+  const scope = await this.getParticipantScope(userId);
+
+  const requests = await this.findForCalendar({
+    ...scope.filter,
+    'sessions.scheduledAt': { $gte: since },
+  });
+
+  return requests
+    .flatMap(request => request.sessions
+      .filter(session => session.scheduledAt >= since && session.status !== 'Rescheduled')
+      .filter(session => scope.getRole(request, session))
+      .map(session => ({ request, session })))
+    .sort((a, b) => a.session.scheduledAt - b.session.scheduledAt);
+};
+
+/**
+ * Resolve which requests and sessions a user takes part in
+ * Founders own their requests and those of every startup they are on the
+ * team of; mentors own the sessions they run
+ * @param {ObjectId} userId - User ID
+ * @returns {Promise<Object>} { filter, getRole(request, session) -> 'founder' | 'mentor' | null }
+ */
+mentorshipRequestSchema.statics.getParticipantScope = async function (userId) {
+  const mentor = await mongoose.model('Mentor').findOne({ user: userId }).select('_id');
+  const startupIds = await mongoose.model('Startup').getMemberStartupIds(userId);
+
+  const participant = [{ requestedBy: userId }, { startup: { $in: startupIds } }];
+  if (mentor) participant.push({ 'sessions.mentor': mentor._id });
+
+  const idOf = value => (value && value._id ? value._id : value)?.toString();
+
+  const getRole = (request, session) => {
+    if (idOf(request.requestedBy) === userId.toString()
+      || startupIds.some(id => id.toString() === idOf(request.startup))) {
+      return 'founder';
+    }
+    if (mentor && session && idOf(session.mentor) === mentor._id.toString()) {
+      return 'mentor';
+    }
+    return null;
+  };
+
+  return { filter: { $or: participant }, getRole };
+};
+
+/**
+ * Get a user's action items across all of their mentorship requests
+ * @param {ObjectId} userId - User ID
+ * @param {Object} options - { status: 'open' | 'completed' | 'all', scope: 'mine' | 'all' }
+ *   'mine' keeps items owned by the user's side of each session
+ * @returns {Promise<Array>} [{ request, session, item, role }] soonest due first
+ */
+mentorshipRequestSchema.statics.getActionItemsForUser = async function (userId, options = {}) {
+  const { status = 'open', scope = 'mine' } = options;
+  const participant = await this.getParticipantScope(userId);
+
+  const requests = await this.find({
+    ...participant.filter,
+    'sessions.actionItems.0': { $exists: true },
   })
+    .select('topic status startup requestedBy sessions')
     .populate('startup', 'name')
+    .populate('sessions.mentor', 'name');
+
+  const matchesStatus = item => status === 'all' || item.completed === (status === 'completed');
+  const noDueDate = Number.MAX_SAFE_INTEGER;
+
+  return requests
+    .flatMap(request => request.sessions
+      .filter(session => !['Cancelled', 'Rescheduled'].includes(session.status))
+      .flatMap((session) => {
+        const role = participant.getRole(request, session);
+        if (!role) return [];
+
+        return session.actionItems
+          .filter(item => matchesStatus(item) && (scope === 'all' || item.owner === role))
+          .map(item => ({ request, session, item, role }));
+      }))
+    .sort((a, b) => (a.item.dueDate || noDueDate) - (b.item.dueDate || noDueDate));
+};
+
+/**
+ * Get open action items due before a time that have not been reminded yet
+ * @param {Date} before - Due date cutoff
+ * @returns {Promise<Array>} [{ request, requestedBy, topic, session, mentor, item }]
+ */
+mentorshipRequestSchema.statics.getDueActionItems = function (before) {
+  return this.aggregate([
+    {
+      $match: {
+        status: { $ne: 'Cancelled' },
+        'sessions.actionItems': {
+          $elemMatch: { completed: false, dueDate: { $lte: before }, reminderSentAt: null },
+        },
+      },
+    },
+    { $unwind: '$sessions' },
+    { $match: { 'sessions.status': { $nin: ['Cancelled', 'Rescheduled'] } } },
+    { $unwind: '$sessions.actionItems' },
+    {
+      $match: {
+        'sessions.actionItems.completed': false,
+        'sessions.actionItems.dueDate': { $lte: before },
+        'sessions.actionItems.reminderSentAt': null,
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        request: '$_id',
+        requestedBy: 1,
+        topic: 1,
+        session: '$sessions._id',
+        mentor: '$sessions.mentor',
+        item: '$sessions.actionItems',
+      },
+    },
+  ]);
+};
+
+/**
+ * Record that an action item's due-date reminder was sent
+ * @param {ObjectId} requestId - Request ID
+ * @param {ObjectId} sessionId - Session ID
+ * @param {ObjectId} itemId - Action item ID
+ * @param {Date} sentAt - When the reminder went out
+ * @returns {Promise}
+ */
+mentorshipRequestSchema.statics.markActionItemReminded = function (requestId, sessionId, itemId, sentAt = new Date()) {
+  return this.updateOne(
+    { _id: requestId },
+    { $set: { 'sessions.$[session].actionItems.$[item].reminderSentAt': sentAt } },
+    { arrayFilters: [{ 'session._id': sessionId }, { 'item._id': itemId }] }
+  );
+};
+
+/**
+ * Get requests waiting on a mentor's answer
+ * @param {ObjectId} mentorId - Mentor ID
+ * @returns {Promise<MentorshipRequest[]>}
+ */
+mentorshipRequestSchema.statics.getProposalsForMentor = function (mentorId) {
+  return this.find({
+    matchedMentors: {
+      $elemMatch: { mentor: mentorId, status: 'Pending', expiresAt: { $gt: new Date() } },
+    },
+    status: 'Matched',
+  })
+    .populate('startup', 'name domain stage')
     .populate('requestedBy', 'name email')
     .sort({ urgency: -1, createdAt: 1 });
 };
 
+/**
+ * Get requests whose mentor proposal has run out
+ * @param {Date} now - Reference time
+ * @returns {Promise<MentorshipRequest[]>}
+ */
+mentorshipRequestSchema.statics.getExpiredProposals = function (now = new Date()) {
+  return this.find({
+    matchedMentors: { $elemMatch: { status: 'Pending', expiresAt: { $lte: now } } },
+    status: { $nin: ['Completed', 'Cancelled'] },
+  });
+};
+
 /**
  * Get pending requests for a mentor
  * @param {ObjectId} mentorId - Mentor ID
@@ -23,14 +23,32 @@ const notificationSchema = new mongoose.Schema(
           'mentorship_request_created',
           'mentorship_matched',
           'mentor_selected',
+          'mentor_accepted',
+          'mentor_declined',
           'session_scheduled',
           'session_reminder',
           'session_cancelled',
+          'session_no_show',
+          'action_item_assigned',
+          'action_item_due',
+          'office_hours_promoted',
+          'office_hours_updated',
+          'office_hours_cancelled',
           'feedback_received',
           'feedback_requested',
           'resource_published',
           'funding_application_submitted',
           'funding_status_changed',
+          'contact_message_received',
+          'cohort_update',
+          'check_in_due',
+          'check_in_overdue',
+          'milestone_overdue',
+          'milestone_signoff_requested',
+          'milestone_signed_off',
+          'team_invitation',
+          'team_update',
+          'ownership_transfer',
           'system_announcement',
           'welcome',
           'password_changed',
@@ -89,7 +107,7 @@ const notificationSchema = new mongoose.Schema(
     // Related entity
     relatedModel: {
       type: String,
-      enum: ['Startup', 'User', 'Mentor', 'MentorshipRequest', 'Resource', 'FundingApplication', null],
+      enum: ['Startup', 'User', 'Mentor', 'MentorshipRequest', 'OfficeHours', 'Resource', 'FundingApplication', 'ContactMessage', 'Cohort', 'CheckInReport', null],
     },
 
     relatedId: {
@@ -191,6 +209,9 @@ notificationSchema.virtual('timeAgo').get(function () {
 
 // Set expiration date if not set
 notificationSchema.pre('save', function (next) {
+  // Remember whether this is a new notification for the post-save push
+  this.$locals.wasNew = this.isNew;
+
   if (!this.expiresAt) {
     // Default: 30 days for read, 90 days for unread
     const days = this.read ? 30 : 90;
@@ -215,14 +236,32 @@ notificationSchema.pre('save', function (next) {
       'mentorship_request_created': '🤝',
       'mentorship_matched': '✅',
       'mentor_selected': '⭐',
+      'mentor_accepted': '👍',
+      'mentor_declined': '↩️',
       'session_scheduled': '📅',
       'session_reminder': '⏰',
       'session_cancelled': '❌',
+      'session_no_show': '🚫',
+      'action_item_assigned': '📌',
+      'action_item_due': '⏳',
+      'office_hours_promoted': '🎟️',
+      'office_hours_updated': '🔄',
+      'office_hours_cancelled': '❌',
       'feedback_received': '💬',
       'feedback_requested': '📝',
       'resource_published': '📚',
       'funding_application_submitted': '💰',
       'funding_status_changed': '📊',
+      'contact_message_received': '✉️',
+      'cohort_update': '🎓',
+      'check_in_due': '🗓️',
+      'check_in_overdue': '⚠️',
+      'milestone_overdue': '⏰',
+      'milestone_signoff_requested': '🏁',
+      'milestone_signed_off': '🏆',
+      'team_invitation': '✉️',
+      'team_update': '👥',
+      'ownership_transfer': '🔑',
       'system_announcement': '📢',
       'welcome': '👋',
       'password_changed': '🔐',
@@ -235,6 +274,27 @@ notificationSchema.pre('save', function (next) {
   next();
 });
 
+// Push new notifications to the recipient's Socket.IO room and queue email
+notificationSchema.post('save', function (doc) {
+  if (!doc.$locals.wasNew) return;
+
+  // Required lazily - the services depend on this model
+  const { pushNotification } = require('../services/notificationService');
+  const { queueNotificationEmail } = require('../services/emailQueue');
+  pushNotification(doc);
+  queueNotificationEmail(doc);
+});
+
+// Deliver bulk-created notifications as well
+notificationSchema.post('insertMany', function (docs) {
+  const { pushNotification } = require('../services/notificationService');
+  const { queueNotificationEmail } = require('../services/emailQueue');
+  (docs || []).forEach((doc) => {
+    pushNotification(doc);
+    queueNotificationEmail(doc);
+  });
+});
+
 // =============================================================================
 // INSTANCE METHODS
 // =============================================================================
@@ -318,6 +378,7 @@ notificationSchema.statics.getForUser = async function (userId, options = {}) {
     page = 1,
     limit = 20,
     unreadOnly = false,
+    read = null,
     priority = null,
     type = null,
   } = options;
@@ -326,6 +387,8 @@ notificationSchema.statics.getForUser = async function (userId, options = {}) {
 
   if (unreadOnly) {
     query.read = false;
+  } else if (typeof read === 'boolean') {
+    query.read = read;
   }
 
   if (priority) {
@@ -0,0 +1,474 @@
+const mongoose = require('mongoose');
+const { sessionDetailFields, feedbackFields } = require('./sessionFields');
+
+/**
+ * OfficeHours Model
+ * Recurring group sessions a mentor runs for several startups at once
+ * Each occurrence has a fixed number of seats; founders beyond capacity
+ * join a waitlist and are promoted in order when a seat frees up
+ */
+
+const attendeeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  startup: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Startup',
+  },
+  status: {
+    type: String,
+    enum: ['Booked', 'Waitlisted', 'Cancelled'],
+    default: 'Booked',
+  },
+  bookedAt: Date,
+  waitlistedAt: Date,
+  promotedAt: Date,
+  cancelledAt: Date,
+  // Recorded by the mentor once the session has run
+  attended: Boolean,
+  feedback: feedbackFields(),
+});
+
+const officeHoursSessionSchema = new mongoose.Schema({
+  // scheduledAt, duration, meetingLink, calendarEventId, sequence, notes
+  ...sessionDetailFields(),
+  status: {
+    type: String,
+    enum: ['Scheduled', 'Completed', 'Cancelled'],
+    default: 'Scheduled',
+  },
+  completedAt: Date,
+  cancelledAt: Date,
+  cancellationReason: {
+    type: String,
+    maxlength: 500,
+  },
+  attendees: [attendeeSchema],
+});
+
+const officeHoursSchema = new mongoose.Schema(
+  {
+    mentor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Mentor',
+      required: [true, 'Mentor reference is required'],
+    },
+
+    title: {
+      type: String,
+      required: [true, 'Title is required'],
+      trim: true,
+      maxlength: [200, 'Title cannot exceed 200 characters'],
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Description cannot exceed 2000 characters'],
+    },
+
+    format: {
+      type: String,
+      enum: {
+        values: ['Office Hours', 'Workshop'],
+        message: '{VALUE} is not a valid format',
+      },
+      default: 'Office Hours',
+    },
+
+    topics: [{
+      type: String,
+      trim: true,
+    }],
+
+    // Seats per occurrence
+    capacity: {
+      type: Number,
+      required: [true, 'Capacity is required'],
+      min: [1, 'Capacity must be at least 1'],
+      max: [50, 'Capacity cannot exceed 50'],
+    },
+
+    recurrence: {
+      frequency: {
+        type: String,
+        enum: ['once', 'weekly', 'biweekly'],
+        default: 'weekly',
+      },
+      occurrences: {
+        type: Number,
+        min: 1,
+        max: 12,
+        default: 1,
+      },
+    },
+
+    // Wall-clock time of the series is kept in this timezone across DST
+    timezone: {
+      type: String,
+      default: 'UTC',
+    },
+
+    sessions: [officeHoursSessionSchema],
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    // Concurrent bookings of the last seat fail instead of overbooking
+    optimisticConcurrency: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// =============================================================================
+// INDEXES
+// =============================================================================
+
+officeHoursSchema.index(
+  { mentor: 1, 'sessions.scheduledAt': 1 },
+  { name: 'mentor_sessions_idx' }
+);
+
+officeHoursSchema.index(
+  { isActive: 1, 'sessions.scheduledAt': 1 },
+  { name: 'active_sessions_idx' }
+);
+
+officeHoursSchema.index(
+  { 'sessions.attendees.user': 1 },
+  { name: 'attendee_user_idx' }
+);
+
+// =============================================================================
+// HOOKS
+// =============================================================================
+
+// Give every occurrence a stable calendar UID
+officeHoursSchema.pre('save', function (next) {
+  this.sessions.forEach((session) => {
+    if (!session.calendarEventId) {
+      session.calendarEventId = `office-hours-${session._id}@tasavur`;
+    }
+  });
+  next();
+});
+
+// =============================================================================
+// INSTANCE METHODS
+// =============================================================================
+
+// Attendee user ID whether or not the user is populated
+const attendeeUserId = attendee => (attendee.user._id || attendee.user).toString();
+
+/**
+ * Get seat usage of an occurrence
+ * @param {Object} session - Occurrence subdocument
+ * @returns {Object} { booked, waitlisted, available }
+ */
+officeHoursSchema.methods.getSeatCounts = function (session) {
+  const booked = session.attendees.filter(a => a.status === 'Booked').length;
+  const waitlisted = session.attendees.filter(a => a.status === 'Waitlisted').length;
+
+  return {
+    booked,
+    waitlisted,
+    available: Math.max(0, this.capacity - booked),
+  };
+};
+
+/**
+ * Get a user's active booking on an occurrence
+ * @param {Object} session - Occurrence subdocument
+ * @param {ObjectId} userId - Attendee user
+ * @returns {Object|null} Attendee entry
+ */
+officeHoursSchema.methods.getAttendee = function (session, userId) {
+  return session.attendees.find(
+    a => attendeeUserId(a) === userId.toString() && a.status !== 'Cancelled'
+  ) || null;
+};
+
+/**
+ * Get a user's position on an occurrence's waitlist
+ * @param {Object} session - Occurrence subdocument
+ * @param {ObjectId} userId - Attendee user
+ * @returns {number|null} 1-based position
+ */
+officeHoursSchema.methods.getWaitlistPosition = function (session, userId) {
+  const index = session.attendees
+    .filter(a => a.status === 'Waitlisted')
+    .sort((a, b) => a.waitlistedAt - b.waitlistedAt)
+    .findIndex(a => attendeeUserId(a) === userId.toString());
+
+  return index === -1 ? null : index + 1;
+};
+
+/**
+ * Book a seat, or join the waitlist when the occurrence is full
+ * @param {ObjectId} sessionId - Occurrence ID
+ * @param {Object} booking - { userId, startupId, now }
+ * @returns {Promise<Object>} Attendee entry
+ */
+officeHoursSchema.methods.bookSeat = async function (sessionId, { userId, startupId, now = new Date() }) {
+  const session = this.sessions.id(sessionId);
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  if (!this.isActive || session.status !== 'Scheduled' || session.scheduledAt <= now) {
+    throw new Error('This session is not open for booking');
+  }
+  if (this.getAttendee(session, userId)) {
+    throw new Error('You are already registered for this session');
+  }
+
+  const full = this.getSeatCounts(session).available === 0;
+  session.attendees.push({
+    user: userId,
+    startup: startupId,
+    status: full ? 'Waitlisted' : 'Booked',
+    bookedAt: full ? undefined : now,
+    waitlistedAt: full ? now : undefined,
+  });
+
+  await this.save();
+  return session.attendees[session.attendees.length - 1];
+};
+
+/**
+ * Promote waitlisted attendees into free seats, earliest first
+ * @param {Object} session - Occurrence subdocument
+ * @param {Date} now - Promotion time
+ * @returns {Array} Promoted attendee entries
+ */
+officeHoursSchema.methods.promoteWaitlist = function (session, now = new Date()) {
+  const waiting = session.attendees
+    .filter(a => a.status === 'Waitlisted')
+    .sort((a, b) => a.waitlistedAt - b.waitlistedAt);
+
+  const promoted = waiting.slice(0, this.getSeatCounts(session).available);
+  promoted.forEach((attendee) => {
+    attendee.status = 'Booked';
+    attendee.bookedAt = now;
+    attendee.promotedAt = now;
+  });
+
+  return promoted;
+};
+
+/**
+ * Cancel a user's seat or waitlist place and fill the seat from the waitlist
+ * @param {ObjectId} sessionId - Occurrence ID
+ * @param {ObjectId} userId - Attendee user
+ * @param {Date} now - Cancellation time
+ * @returns {Promise<Object>} { attendee, promoted }
+ */
+officeHoursSchema.methods.cancelSeat = async function (sessionId, userId, now = new Date()) {
+  const session = this.sessions.id(sessionId);
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  if (session.status !== 'Scheduled') {
+    throw new Error('This session can no longer be changed');
+  }
+
+  const attendee = this.getAttendee(session, userId);
+  if (!attendee) {
+    throw new Error('You are not registered for this session');
+  }
+
+  attendee.status = 'Cancelled';
+  attendee.cancelledAt = now;
+
+  const promoted = this.promoteWaitlist(session, now);
+
+  await this.save();
+  return { attendee, promoted };
+};
+
+/**
+ * Change the meeting details of an occurrence
+ * @param {ObjectId} sessionId - Occurrence ID
+ * @param {Object} updates - { meetingLink, notes }
+ * @returns {Promise<Object>} Updated occurrence
+ */
+officeHoursSchema.methods.updateSession = async function (sessionId, { meetingLink, notes }) {
+  const session = this.sessions.id(sessionId);
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  if (session.status !== 'Scheduled') {
+    throw new Error('Only scheduled sessions can be updated');
+  }
+
+  if (meetingLink !== undefined) session.meetingLink = meetingLink;
+  if (notes !== undefined) session.notes = notes;
+  session.sequence = (session.sequence || 0) + 1;
+
+  await this.save();
+  return session;
+};
+
+/**
+ * Cancel an occurrence for everyone
+ * @param {ObjectId} sessionId - Occurrence ID
+ * @param {string} reason - Cancellation reason
+ * @param {Date} now - Cancellation time
+ * @returns {Promise<Object>} Cancelled occurrence
+ */
+officeHoursSchema.methods.cancelSession = async function (sessionId, reason, now = new Date()) {
+  const session = this.sessions.id(sessionId);
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  if (session.status !== 'Scheduled') {
+    throw new Error('Only scheduled sessions can be cancelled');
+  }
+
+  session.status = 'Cancelled';
+  session.cancelledAt = now;
+  session.cancellationReason = reason;
+  session.sequence = (session.sequence || 0) + 1;
+
+  if (this.sessions.every(s => s.status !== 'Scheduled')) {
+    this.isActive = false;
+  }
+
+  await this.save();
+  return session;
+};
+
+/**
+ * Record who attended and mark the occurrence completed
+ * Booked attendees not listed are recorded as absent
+ * @param {ObjectId} sessionId - Occurrence ID
+ * @param {Array} attendedUserIds - Users who attended
+ * @param {Date} now - Completion time
+ * @returns {Promise<Object>} Completed occurrence
+ */
+officeHoursSchema.methods.recordAttendance = async function (sessionId, attendedUserIds, now = new Date()) {
+  const session = this.sessions.id(sessionId);
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  if (session.status === 'Cancelled') {
+    throw new Error('Attendance cannot be recorded for a cancelled session');
+  }
+  if (session.scheduledAt > now) {
+    throw new Error('Attendance can only be recorded once the session has started');
+  }
+
+  const attended = new Set(attendedUserIds.map(id => id.toString()));
+  session.attendees
+    .filter(a => a.status === 'Booked')
+    .forEach((attendee) => {
+      attendee.attended = attended.has(attendeeUserId(attendee));
+    });
+
+  if (session.status !== 'Completed') {
+    session.status = 'Completed';
+    session.completedAt = now;
+  }
+
+  await this.save();
+  return session;
+};
+
+/**
+ * Record an attendee's feedback on a completed occurrence
+ * @param {ObjectId} sessionId - Occurrence ID
+ * @param {ObjectId} userId - Attendee user
+ * @param {Object} feedback - { rating, comment }
+ * @returns {Promise<Object>} Attendee entry
+ */
+officeHoursSchema.methods.submitFeedback = async function (sessionId, userId, { rating, comment }) {
+  const session = this.sessions.id(sessionId);
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  if (session.status !== 'Completed') {
+    throw new Error('Feedback can only be given after the session');
+  }
+
+  const attendee = this.getAttendee(session, userId);
+  if (!attendee || attendee.status !== 'Booked' || !attendee.attended) {
+    throw new Error('Only attendees can give feedback on this session');
+  }
+  if (attendee.feedback && attendee.feedback.submittedAt) {
+    throw new Error('Feedback already submitted');
+  }
+
+  attendee.feedback = { rating, comment, submittedAt: new Date() };
+
+  await this.save();
+  return attendee;
+};
+
+// =============================================================================
+// STATIC METHODS
+// =============================================================================
+
+/**
+ * Get scheduled office-hours sessions for mentors in a time range
+ * Rows match MentorshipRequest.getScheduledSessionsForMentors so both
+ * can be checked for conflicts together
+ * @param {Array} mentorIds - Mentor IDs
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Promise<Map>} Mentor ID -> [{ officeHours, session, scheduledAt, duration, status }]
+ */
+officeHoursSchema.statics.getScheduledSessionsForMentors = async function (mentorIds, from, to) {
+  const rows = await this.aggregate([
+    { $match: { mentor: { $in: mentorIds } } },
+    { $unwind: '$sessions' },
+    {
+      $match: {
+        'sessions.status': 'Scheduled',
+        'sessions.scheduledAt': { $lt: to, $gte: new Date(from.getTime() - 24 * 60 * 60 * 1000) },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        officeHours: '$_id',
+        session: '$sessions._id',
+        mentor: '$mentor',
+        scheduledAt: '$sessions.scheduledAt',
+        duration: '$sessions.duration',
+        status: '$sessions.status',
+      },
+    },
+  ]);
+
+  return rows.reduce((byMentor, row) => {
+    const key = row.mentor.toString();
+    if (!byMentor.has(key)) byMentor.set(key, []);
+    byMentor.get(key).push(row);
+    return byMentor;
+  }, new Map());
+};
+
+/**
+ * Get office hours a user has booked or is waitlisted for
+ * @param {ObjectId} userId - Attendee user
+ * @returns {Query}
+ */
+officeHoursSchema.statics.findForAttendee = function (userId) {
+  return this.find({ 'sessions.attendees.user': userId })
+    .populate('mentor', 'name avatar expertise')
+    .sort({ 'sessions.scheduledAt': 1 });
+};
+
+module.exports = mongoose.model('OfficeHours', officeHoursSchema);
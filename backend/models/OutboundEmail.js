@@ -0,0 +1,189 @@
+const mongoose = require('mongoose');
+
+/**
+ * OutboundEmail Model
+ * Persistent outbound email queue
+ * Emails are retried with exponential backoff until sent or attempts run out
+ */
+const outboundEmailSchema = new mongoose.Schema(
+  {
+    to: {
+      type: String,
+      required: [true, 'Recipient email is required'],
+      lowercase: true,
+      trim: true,
+    },
+
+    // Recipient user (optional for system emails)
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    subject: {
+      type: String,
+      required: [true, 'Subject is required'],
+      trim: true,
+      maxlength: [300, 'Subject cannot exceed 300 characters'],
+    },
+
+    text: {
+      type: String,
+    },
+
+    html: {
+      type: String,
+    },
+
+    kind: {
+      type: String,
+      enum: {
+        values: ['notification', 'digest', 'transactional'],
+        message: '{VALUE} is not a valid email kind',
+      },
+      default: 'notification',
+    },
+
+    // Notifications delivered by this email (one for immediate, many for digests)
+    notifications: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Notification',
+    }],
+
+    status: {
+      type: String,
+      enum: {
+        values: ['Pending', 'Sending', 'Sent', 'Failed'],
+        message: '{VALUE} is not a valid status',
+      },
+      default: 'Pending',
+    },
+
+    attempts: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    maxAttempts: {
+      type: Number,
+      default: 5,
+      min: 1,
+    },
+
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    lastError: {
+      type: String,
+      maxlength: 1000,
+    },
+
+    // Transport that delivered the email and its message ID
+    transport: String,
+    providerMessageId: String,
+
+    sentAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// =============================================================================
+// INDEXES
+// =============================================================================
+
+// Queue polling index
+outboundEmailSchema.index(
+  { status: 1, nextAttemptAt: 1 },
+  { name: 'status_next_attempt_idx' }
+);
+
+outboundEmailSchema.index(
+  { user: 1, createdAt: -1 },
+  { name: 'user_date_idx' }
+);
+
+// Remove sent emails after 30 days
+outboundEmailSchema.index(
+  { sentAt: 1 },
+  { expireAfterSeconds: 30 * 24 * 60 * 60, name: 'sent_ttl_idx' }
+);
+
+// =============================================================================
+// INSTANCE METHODS
+// =============================================================================
+
+/**
+ * Calculate the delay before the next retry (exponential backoff)
+ * 1 min, 2 min, 4 min, ... capped at 1 hour
+ * @returns {number} Delay in milliseconds
+ */
+outboundEmailSchema.methods.getRetryDelay = function () {
+  const baseDelay = 60 * 1000;
+  const maxDelay = 60 * 60 * 1000;
+  return Math.min(baseDelay * Math.pow(2, Math.max(this.attempts - 1, 0)), maxDelay);
+};
+
+/**
+ * Record a successful delivery
+ * @param {Object} result - Transport result ({ id, transport })
+ */
+outboundEmailSchema.methods.markSent = async function (result = {}) {
+  this.status = 'Sent';
+  this.sentAt = new Date();
+  this.transport = result.transport;
+  this.providerMessageId = result.id;
+  this.lastError = undefined;
+  await this.save();
+};
+
+/**
+ * Record a failed delivery and schedule a retry if attempts remain
+ * @param {Error} error - Delivery error
+ */
+outboundEmailSchema.methods.markFailed = async function (error) {
+  this.lastError = (error && error.message ? error.message : String(error)).substring(0, 1000);
+
+  if (this.attempts >= this.maxAttempts) {
+    this.status = 'Failed';
+  } else {
+    this.status = 'Pending';
+    this.nextAttemptAt = new Date(Date.now() + this.getRetryDelay());
+  }
+
+  await this.save();
+};
+
+// =============================================================================
+// STATIC METHODS
+// =============================================================================
+
+/**
+ * Atomically claim the next due email for sending
+ * @returns {Promise<OutboundEmail|null>}
+ */
+outboundEmailSchema.statics.claimNext = function () {
+  return this.findOneAndUpdate(
+    { status: 'Pending', nextAttemptAt: { $lte: new Date() } },
+    { $set: { status: 'Sending' }, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Release emails stuck in Sending (e.g. after a crash) back to the queue
+ * @param {number} olderThanMs - How long an email may stay in Sending
+ * @returns {Promise<Object>} Update result
+ */
+outboundEmailSchema.statics.releaseStale = function (olderThanMs = 10 * 60 * 1000) {
+  return this.updateMany(
+    { status: 'Sending', updatedAt: { $lt: new Date(Date.now() - olderThanMs) } },
+    { $set: { status: 'Pending', nextAttemptAt: new Date() } }
+  );
+};
+
+module.exports = mongoose.model('OutboundEmail', outboundEmailSchema);
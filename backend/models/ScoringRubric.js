@@ -0,0 +1,239 @@
+const mongoose = require('mongoose');
+
+/**
+ * ScoringRubric Model
+ * Versioned, weighted scoring criteria for funding reviews per round type
+ * Published versions are never edited - changes create a new version
+ */
+const criterionSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: [true, 'Criterion key is required'],
+      trim: true,
+      lowercase: true,
+      match: [/^[a-z][a-z0-9_]*$/, 'Criterion key must be lowercase letters, numbers or underscores'],
+    },
+    label: {
+      type: String,
+      required: [true, 'Criterion label is required'],
+      trim: true,
+      maxlength: [100, 'Criterion label cannot exceed 100 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Criterion description cannot exceed 500 characters'],
+    },
+    weight: {
+      type: Number,
+      required: [true, 'Criterion weight is required'],
+      min: [0.01, 'Criterion weight must be positive'],
+    },
+    // Highest score a reviewer can give for this criterion
+    maxScore: {
+      type: Number,
+      default: 10,
+      min: [1, 'Max score must be at least 1'],
+    },
+  },
+  { _id: false }
+);
+
+const scoringRubricSchema = new mongoose.Schema(
+  {
+    roundType: {
+      type: String,
+      required: [true, 'Round type is required'],
+      enum: {
+        values: ['Pre-Seed', 'Seed', 'Series A', 'Series B', 'Series C', 'Bridge', 'Grant', 'Other'],
+        message: '{VALUE} is not a valid round type',
+      },
+    },
+
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters'],
+    },
+
+    criteria: {
+      type: [criterionSchema],
+      validate: [
+        {
+          validator: (criteria) => criteria.length > 0,
+          message: 'A rubric needs at least one criterion',
+        },
+        {
+          validator: (criteria) => new Set(criteria.map(c => c.key)).size === criteria.length,
+          message: 'Criterion keys must be unique',
+        },
+      ],
+    },
+
+    // Only one version per round type is active at a time
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    notes: {
+      type: String,
+      maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// =============================================================================
+// INDEXES
+// =============================================================================
+
+scoringRubricSchema.index(
+  { roundType: 1, version: -1 },
+  { unique: true, name: 'round_version_idx' }
+);
+
+scoringRubricSchema.index(
+  { roundType: 1, isActive: 1 },
+  { name: 'round_active_idx' }
+);
+
+// =============================================================================
+// VIRTUALS
+// =============================================================================
+
+// Sum of criterion weights
+scoringRubricSchema.virtual('totalWeight').get(function () {
+  return (this.criteria || []).reduce((sum, c) => sum + c.weight, 0);
+});
+
+// =============================================================================
+// INSTANCE METHODS
+// =============================================================================
+
+/**
+ * Validate per-criterion scores against the rubric
+ * @param {Array} criteriaScores - [{ criterion, score }]
+ * @returns {string[]} Error messages (empty when valid)
+ */
+scoringRubricSchema.methods.validateScores = function (criteriaScores = []) {
+  const errors = [];
+  const byKey = new Map(criteriaScores.map(s => [s.criterion, s.score]));
+
+  this.criteria.forEach((c) => {
+    const score = byKey.get(c.key);
+    if (typeof score !== 'number' || Number.isNaN(score)) {
+      errors.push(`Score for "${c.label}" is required`);
+    } else if (score < 0 || score > c.maxScore) {
+      errors.push(`Score for "${c.label}" must be between 0 and ${c.maxScore}`);
+    }
+  });
+
+  criteriaScores.forEach((s) => {
+    if (!this.criteria.some(c => c.key === s.criterion)) {
+      errors.push(`Unknown criterion "${s.criterion}"`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Compute the weighted composite score (0-100)
+ * Each criterion is normalized by its max score before weighting
+ * @param {Array} criteriaScores - [{ criterion, score }]
+ * @returns {number} Composite score rounded to one decimal
+ */
+scoringRubricSchema.methods.computeScore = function (criteriaScores = []) {
+  const byKey = new Map(criteriaScores.map(s => [s.criterion, s.score]));
+  const totalWeight = this.totalWeight;
+
+  if (!totalWeight) return 0;
+
+  const weighted = this.criteria.reduce((sum, c) => {
+    const score = byKey.get(c.key) || 0;
+    return sum + (score / c.maxScore) * c.weight;
+  }, 0);
+
+  return Math.round((weighted / totalWeight) * 1000) / 10;
+};
+
+// =============================================================================
+// STATIC METHODS
+// =============================================================================
+
+/**
+ * Get the active rubric for a round type
+ * @param {string} roundType - Funding round type
+ * @returns {Promise<ScoringRubric|null>}
+ */
+scoringRubricSchema.statics.getActive = function (roundType) {
+  return this.findOne({ roundType, isActive: true }).sort({ version: -1 });
+};
+
+/**
+ * Publish a new rubric version for a round type
+ * The new version becomes active and earlier versions are deactivated
+ * @param {string} roundType - Funding round type
+ * @param {Object} data - { name, criteria, notes }
+ * @param {ObjectId} userId - Admin creating the version
+ * @returns {Promise<ScoringRubric>}
+ */
+scoringRubricSchema.statics.publishVersion = async function (roundType, data, userId) {
+  const latest = await this.findOne({ roundType }).sort({ version: -1 }).select('version');
+
+  const rubric = await this.create({
+    roundType,
+    version: latest ? latest.version + 1 : 1,
+    name: data.name,
+    criteria: data.criteria,
+    notes: data.notes,
+    createdBy: userId,
+    isActive: true,
+  });
+
+  await this.updateMany(
+    { roundType, _id: { $ne: rubric._id } },
+    { $set: { isActive: false } }
+  );
+
+  return rubric;
+};
+
+/**
+ * Re-activate an earlier rubric version
+ * @param {ObjectId} rubricId - Rubric to activate
+ * @returns {Promise<ScoringRubric|null>}
+ */
+scoringRubricSchema.statics.activateVersion = async function (rubricId) {
+  const rubric = await this.findById(rubricId);
+  if (!rubric) return null;
+
+  await this.updateMany(
+    { roundType: rubric.roundType, _id: { $ne: rubric._id } },
+    { $set: { isActive: false } }
+  );
+
+  rubric.isActive = true;
+  await rubric.save();
+
+  return rubric;
+};
+
+module.exports = mongoose.model('ScoringRubric', scoringRubricSchema);
@@ -1,5 +1,17 @@
 const mongoose = require('mongoose');
 
+// Monthly reports needed before progress is scored on KPI trends
+const KPI_TREND_MIN_MONTHS = 3;
+
+// Milestones that no longer count as outstanding work
+const CLOSED_MILESTONE_STATUSES = ['Completed', 'Cancelled'];
+
+// Team roles, least to most privileged
+const TEAM_ROLES = ['viewer', 'editor', 'owner'];
+
+// How long a new owner has to accept an ownership transfer
+const TRANSFER_TTL_DAYS = parseInt(process.env.OWNERSHIP_TRANSFER_TTL_DAYS, 10) || 7;
+
 /**
  * Startup Model
  * Represents a startup entity in the incubator platform
@@ -13,6 +25,50 @@ const startupSchema = new mongoose.Schema(
       ref: 'User',
     },
 
+    // Linked team accounts besides the founder (who is always an owner)
+    team: [{
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Team member is required'],
+      },
+      role: {
+        type: String,
+        enum: {
+          values: TEAM_ROLES,
+          message: '{VALUE} is not a valid team role',
+        },
+        default: 'editor',
+      },
+      invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      joinedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    }],
+
+    // Ownership handover the founder started; the new owner must accept it
+    pendingTransfer: {
+      to: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      requestedAt: Date,
+      expiresAt: Date,
+      note: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Note cannot exceed 500 characters'],
+      },
+    },
+
     // Basic Information
     name: {
       type: String,
@@ -166,6 +222,112 @@ const startupSchema = new mongoose.Schema(
       },
     },
 
+    // Summary of the monthly KPI series (see KpiSnapshot)
+    kpiTrends: {
+      monthsReported: {
+        type: Number,
+        default: 0,
+      },
+      lastPeriod: String,
+      revenueGrowth: Number, // Average monthly percent
+      userGrowth: Number, // Average monthly percent
+      growthConsistency: Number, // Share of months with revenue growth, 0-1
+      burnChange: Number, // Percent
+      runway: Number, // Months
+      updatedAt: Date,
+    },
+
+    // Concrete goals, e.g. "launch MVP by March" or "reach 1k users"
+    // Completed milestones count once a mentor (or admin) signs them off
+    milestones: [{
+      title: {
+        type: String,
+        required: [true, 'Milestone title is required'],
+        trim: true,
+        maxlength: [200, 'Milestone title cannot exceed 200 characters'],
+      },
+      description: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Milestone description cannot exceed 1000 characters'],
+      },
+      targetDate: {
+        type: Date,
+        required: [true, 'Target date is required'],
+      },
+      // Team member responsible (defaults to the founder)
+      owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      status: {
+        type: String,
+        enum: {
+          values: ['Planned', 'In Progress', 'Completed', 'Cancelled'],
+          message: '{VALUE} is not a valid milestone status',
+        },
+        default: 'Planned',
+      },
+      // Optional measurable goal against the startup's KPIs
+      target: {
+        metric: {
+          type: String,
+          enum: {
+            values: ['revenue', 'users', 'funding'],
+            message: '{VALUE} is not a trackable metric',
+          },
+        },
+        value: {
+          type: Number,
+          min: [0, 'Target value cannot be negative'],
+        },
+      },
+      evidence: [{
+        url: {
+          type: String,
+          required: [true, 'Evidence link is required'],
+          trim: true,
+          match: [/^https?:\/\/.+/, 'Evidence must be an http(s) link'],
+        },
+        label: {
+          type: String,
+          trim: true,
+          maxlength: [200, 'Evidence label cannot exceed 200 characters'],
+        },
+        addedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        addedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      }],
+      completedAt: Date,
+      signOff: {
+        status: {
+          type: String,
+          enum: ['Pending', 'Approved', 'Rejected'],
+        },
+        requestedAt: Date,
+        by: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        at: Date,
+        note: {
+          type: String,
+          trim: true,
+          maxlength: [1000, 'Sign-off note cannot exceed 1000 characters'],
+        },
+      },
+      createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      overdueNotifiedAt: Date,
+    }],
+
     // Assigned mentors
     mentors: [{
       type: mongoose.Schema.Types.ObjectId,
@@ -208,8 +370,14 @@ const startupSchema = new mongoose.Schema(
       maxlength: [2000, 'Notes cannot exceed 2000 characters'],
     },
 
-    // Cohort/batch information
+    // Cohort/batch membership
     cohort: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Cohort',
+    },
+
+    // Batch name from before cohorts were documents; see migrations/cohortReferences.js
+    legacyCohort: {
       type: String,
       trim: true,
     },
@@ -254,7 +422,10 @@ startupSchema.index(
 startupSchema.index({ stage: 1, domain: 1 }, { name: 'stage_domain_idx' });
 startupSchema.index({ status: 1, createdAt: -1 }, { name: 'status_date_idx' });
 startupSchema.index({ founder: 1 }, { name: 'founder_idx' });
+startupSchema.index({ 'team.user': 1 }, { name: 'team_user_idx' });
+startupSchema.index({ 'pendingTransfer.to': 1 }, { sparse: true, name: 'pending_transfer_to_idx' });
 startupSchema.index({ mentors: 1 }, { name: 'mentors_idx' });
+startupSchema.index({ cohort: 1, status: 1 }, { name: 'cohort_status_idx' });
 startupSchema.index(
   { name: 1 },
   { unique: true, collation: { locale: 'en', strength: 2 }, name: 'name_unique_idx' }
@@ -274,6 +445,12 @@ startupSchema.virtual('mentorCount').get(function () {
   return this.mentors ? this.mentors.length : 0;
 });
 
+// Virtual for open milestones past their target date
+startupSchema.virtual('overdueMilestoneCount').get(function () {
+  const now = new Date();
+  return (this.milestones || []).filter(m => isMilestoneOverdue(m, now)).length;
+});
+
 // Virtual for progress score
 startupSchema.virtual('progressScore').get(function () {
   return this.calculateProgressScore();
@@ -283,6 +460,15 @@ startupSchema.virtual('progressScore').get(function () {
 // HOOKS
 // =============================================================================
 
+// Init hook: Startups saved before cohorts were documents hold the batch
+// name in cohort; keep it aside so the document still loads and saves
+startupSchema.pre('init', function (doc) {
+  if (typeof doc.cohort === 'string' && !mongoose.isObjectIdOrHexString(doc.cohort)) {
+    doc.legacyCohort = doc.legacyCohort || doc.cohort;
+    delete doc.cohort;
+  }
+});
+
 // Pre-save hook: Normalize and validate fields
 startupSchema.pre('save', function (next) {
   try {
@@ -317,8 +503,11 @@ startupSchema.pre('save', function (next) {
       }
     }
 
-    // Track status changes
-    if (this.isModified('status') && !this.isNew) {
+    // Post-save only announces saves that changed the status
+    this.$locals.statusChanged = this.isModified('status');
+
+    // Track status changes (updateStatus records its own entry)
+    if (this.isModified('status') && !this.isNew && !this.$locals.statusHistoryRecorded) {
       this.statusHistory.push({
         status: this.status,
         changedAt: new Date(),
@@ -339,8 +528,8 @@ startupSchema.post('save', async function (doc, next) {
   }
 
   try {
-    // Only for new documents with a founder
-    if (!doc.founder) {
+    // Only for status changes on startups with a founder
+    if (!doc.founder || !doc.$locals.statusChanged) {
       return next();
     }
 
@@ -380,17 +569,48 @@ startupSchema.post('save', async function (doc, next) {
 startupSchema.pre('deleteOne', { document: true, query: false }, async function (next) {
   try {
     const startupId = this._id;
+    // Keep cleanup inside the caller's transaction, if any
+    const session = this.$session();
+
+    // Free the startup's cohort seat
+    if (this.cohort) {
+      await mongoose.model('Cohort').releaseSeat(this.cohort, session);
+    }
+
+    // Unlink the founder and every team member who had it as their startup
+    await mongoose.model('User').updateMany({ startup: startupId }, { $unset: { startup: 1 } }).session(session);
 
     // Delete related mentorship requests
     try {
-      await mongoose.model('MentorshipRequest').deleteMany({ startup: startupId });
+      await mongoose.model('MentorshipRequest').deleteMany({ startup: startupId }).session(session);
+    } catch (e) {
+      // Model may not exist
+    }
+
+    // Delete monthly check-in reports
+    try {
+      await mongoose.model('CheckInReport').deleteMany({ startup: startupId }).session(session);
+    } catch (e) {
+      // Model may not exist
+    }
+
+    // Delete monthly KPI snapshots
+    try {
+      await mongoose.model('KpiSnapshot').deleteMany({ startup: startupId }).session(session);
+    } catch (e) {
+      // Model may not exist
+    }
+
+    // Delete team invitations
+    try {
+      await mongoose.model('StartupInvitation').deleteMany({ startup: startupId }).session(session);
     } catch (e) {
       // Model may not exist
     }
 
     // Delete related notifications
     try {
-      await mongoose.model('Notification').deleteMany({ relatedId: startupId });
+      await mongoose.model('Notification').deleteMany({ relatedId: startupId }).session(session);
     } catch (e) {
       // Model may not exist
     }
@@ -417,19 +637,84 @@ startupSchema.methods.isEligibleForFunding = function () {
   );
 };
 
+/**
+ * Whether a milestone is still open past its target date
+ * @param {Object} milestone - Milestone subdocument
+ * @param {Date} now - Reference time
+ * @returns {boolean}
+ */
+const isMilestoneOverdue = (milestone, now) => (
+  !CLOSED_MILESTONE_STATUSES.includes(milestone.status) && milestone.targetDate < now
+);
+
+/**
+ * Score KPI trends (0-40)
+ * Sustained growth counts for more than a single good month
+ * @param {Object} kpis - Latest KPI values
+ * @param {Object} trends - kpiTrends summary
+ * @returns {number}
+ */
+const scoreKpiTrends = (kpis, trends) => {
+  let score = kpis.revenue > 0 ? 5 : 0;
+
+  if (trends.revenueGrowth > 0) {
+    score += Math.min(10, 5 + trends.revenueGrowth / 2) * (trends.growthConsistency ?? 1);
+  }
+  if (trends.userGrowth > 0) {
+    score += Math.min(10, 5 + trends.userGrowth / 2);
+  }
+  if (kpis.funding > 0) score += 5;
+
+  // Runway only counts once it is known
+  if (typeof trends.runway === 'number') {
+    if (trends.runway >= 12) score += 10;
+    else if (trends.runway >= 6) score += 5;
+  } else if (kpis.users > 100) {
+    score += 5;
+  }
+
+  return Math.round(score);
+};
+
+/**
+ * Share of due milestones completed and signed off
+ * A milestone is due once its target date has passed or it has been
+ * completed; cancelled milestones do not count
+ * @param {Date} now - Reference time
+ * @returns {number|null} 0-1, or null while no milestone is due
+ */
+startupSchema.methods.getMilestoneCompletionRate = function (now = new Date()) {
+  const due = (this.milestones || []).filter(m => (
+    m.status !== 'Cancelled' && (m.status === 'Completed' || m.targetDate < now)
+  ));
+  if (due.length === 0) return null;
+
+  const verified = due.filter(m => m.status === 'Completed' && m.signOff && m.signOff.status === 'Approved');
+  return verified.length / due.length;
+};
+
 /**
  * Calculate progress score (0-100)
+ * KPIs are scored on their trend once at least KPI_TREND_MIN_MONTHS
+ * monthly reports exist, and on the latest values before that.
+ * Once milestones fall due, signed-off milestones earn half of the
+ * stage weight, so progress is not only self-declared
+ * @param {Object} trends - KPI trend summary (defaults to kpiTrends)
  * @returns {number}
  */
-startupSchema.methods.calculateProgressScore = function () {
+startupSchema.methods.calculateProgressScore = function (trends = this.kpiTrends) {
   let score = 0;
 
   // KPIs weight (40%)
   const kpis = this.kpis || {};
-  if (kpis.revenue > 0) score += 10;
-  if (kpis.users > 100) score += 10;
-  if (kpis.growth > 0) score += 10;
-  if (kpis.funding > 0) score += 10;
+  if (trends && trends.monthsReported >= KPI_TREND_MIN_MONTHS) {
+    score += scoreKpiTrends(kpis, trends);
+  } else {
+    if (kpis.revenue > 0) score += 10;
+    if (kpis.users > 100) score += 10;
+    if (kpis.growth > 0) score += 10;
+    if (kpis.funding > 0) score += 10;
+  }
 
   // Mentors (20%)
   const mentors = this.mentors || [];
@@ -447,7 +732,7 @@ startupSchema.methods.calculateProgressScore = function () {
   };
   score += statusScores[this.status] || 0;
 
-  // Stage (20%)
+  // Stage and milestones (20%)
   const stageScores = {
     Idea: 5,
     MVP: 10,
@@ -455,7 +740,11 @@ startupSchema.methods.calculateProgressScore = function () {
     Growth: 16,
     'Scale-up': 20,
   };
-  score += stageScores[this.stage] || 0;
+  const stageScore = stageScores[this.stage] || 0;
+  const milestoneRate = this.getMilestoneCompletionRate();
+  score += milestoneRate === null
+    ? stageScore
+    : Math.round(stageScore / 2 + milestoneRate * 10);
 
   return Math.min(score, 100);
 };
@@ -474,7 +763,13 @@ startupSchema.methods.updateStatus = async function (newStatus, changedBy, reaso
     changedBy,
     reason,
   });
-  await this.save();
+  this.$locals.statusHistoryRecorded = true;
+
+  try {
+    await this.save();
+  } finally {
+    this.$locals.statusHistoryRecorded = false;
+  }
 };
 
 /**
@@ -497,22 +792,387 @@ startupSchema.methods.removeMentor = async function (mentorId) {
   await this.save();
 };
 
+// =============================================================================
+// TEAM MEMBERSHIP
+// =============================================================================
+
+/**
+ * Whether a team role grants at least the given role
+ * @param {string|null} role - Role held
+ * @param {string} minRole - Role required
+ * @returns {boolean}
+ */
+const roleAtLeast = (role, minRole) => (
+  !!role && TEAM_ROLES.indexOf(role) >= TEAM_ROLES.indexOf(minRole)
+);
+
+/**
+ * Find a user's entry in a team array (user may be populated)
+ */
+const findMember = (team, userId) => {
+  const id = (userId._id || userId).toString();
+  return (team || []).find(m => m.user && (m.user._id || m.user).toString() === id);
+};
+
+/**
+ * The user's role on the startup's team
+ * @param {ObjectId} userId - User ID
+ * @returns {string|null} owner | editor | viewer, or null for non-members
+ */
+startupSchema.methods.getMemberRole = function (userId) {
+  if (!userId) return null;
+  const id = (userId._id || userId).toString();
+
+  const founderId = this.founder && (this.founder._id || this.founder);
+  if (founderId && founderId.toString() === id) return 'owner';
+
+  const member = findMember(this.team, id);
+  return member ? member.role : null;
+};
+
+/**
+ * Whether the user is a team member with at least the given role
+ * @param {ObjectId} userId - User ID
+ * @param {string} minRole - viewer | editor | owner
+ * @returns {boolean}
+ */
+startupSchema.methods.hasMemberRole = function (userId, minRole = 'viewer') {
+  return roleAtLeast(this.getMemberRole(userId), minRole);
+};
+
+/**
+ * Add a user to the team (or change the role of an existing member)
+ * @param {ObjectId} userId - User joining
+ * @param {string} role - viewer | editor | owner
+ * @param {ObjectId} invitedBy - User who invited them
+ * @returns {Promise<Object>} The team entry
+ */
+startupSchema.methods.addMember = async function (userId, role, invitedBy) {
+  if (this.founder && this.founder.toString() === userId.toString()) {
+    throw new Error('The founder is already an owner');
+  }
+
+  let member = findMember(this.team, userId);
+  if (member) {
+    member.role = role;
+  } else {
+    this.team.push({ user: userId, role, invitedBy });
+    member = this.team[this.team.length - 1];
+  }
+
+  await this.save();
+  return member;
+};
+
+/**
+ * Change a member's role
+ * @param {ObjectId} userId - Member
+ * @param {string} role - viewer | editor | owner
+ * @returns {Promise<Object>} The team entry
+ */
+startupSchema.methods.updateMemberRole = async function (userId, role) {
+  const member = findMember(this.team, userId);
+  if (!member) {
+    throw new Error('Team member not found');
+  }
+
+  member.role = role;
+  await this.save();
+  return member;
+};
+
+/**
+ * Remove a member from the team
+ * @param {ObjectId} userId - Member
+ * @returns {Promise<void>}
+ */
+startupSchema.methods.removeMember = async function (userId) {
+  const member = findMember(this.team, userId);
+  if (!member) {
+    throw new Error('Team member not found');
+  }
+
+  member.deleteOne();
+  await this.save();
+};
+
+/**
+ * Whether an ownership transfer is waiting to be accepted
+ * @param {Date} now - Reference time
+ * @returns {boolean}
+ */
+startupSchema.methods.isTransferOpen = function (now = new Date()) {
+  const transfer = this.pendingTransfer;
+  return !!(transfer && transfer.to && transfer.expiresAt > now);
+};
+
+/**
+ * Offer ownership to a team member; nothing changes until they accept
+ * Replaces any earlier offer
+ * @param {ObjectId} toUserId - Proposed new owner
+ * @param {ObjectId} requestedBy - User making the offer
+ * @param {string} note - Optional message to the new owner
+ * @returns {Promise<Object>} The pending transfer
+ */
+startupSchema.methods.requestOwnershipTransfer = async function (toUserId, requestedBy, note) {
+  if (this.founder && this.founder.toString() === toUserId.toString()) {
+    throw new Error('The new owner already owns this startup');
+  }
+  if (!findMember(this.team, toUserId)) {
+    throw new Error('The new owner must be a team member');
+  }
+
+  const now = new Date();
+  this.pendingTransfer = {
+    to: toUserId,
+    requestedBy,
+    requestedAt: now,
+    expiresAt: new Date(now.getTime() + TRANSFER_TTL_DAYS * 24 * 60 * 60 * 1000),
+    note,
+  };
+
+  await this.save();
+  return this.pendingTransfer;
+};
+
+/**
+ * Withdraw or decline the pending ownership transfer
+ * @returns {Promise<void>}
+ */
+startupSchema.methods.cancelOwnershipTransfer = async function () {
+  if (!this.pendingTransfer || !this.pendingTransfer.to) {
+    throw new Error('No ownership transfer pending');
+  }
+
+  this.pendingTransfer = undefined;
+  await this.save();
+};
+
+/**
+ * Make another user the founder and record it in statusHistory
+ * The new owner leaves the team list; the previous founder either stays
+ * on as an owner or is dropped (e.g. when their account is closed)
+ * @param {ObjectId} newOwnerId - New founder
+ * @param {ObjectId} changedBy - User performing the transfer
+ * @param {Object} options - { reason, keepPreviousOwner, session }
+ * @returns {Promise<ObjectId|undefined>} The previous founder
+ */
+startupSchema.methods.transferOwnership = async function (newOwnerId, changedBy, options = {}) {
+  const { reason = 'Ownership transferred', keepPreviousOwner = true, session = null } = options;
+  const previousOwner = this.founder;
+
+  if (previousOwner && previousOwner.toString() === newOwnerId.toString()) {
+    throw new Error('The new owner already owns this startup');
+  }
+
+  const member = findMember(this.team, newOwnerId);
+  if (member) {
+    member.deleteOne();
+  }
+  if (previousOwner && keepPreviousOwner) {
+    this.team.push({ user: previousOwner, role: 'owner', invitedBy: changedBy });
+  }
+
+  this.founder = newOwnerId;
+  this.pendingTransfer = undefined;
+  this.statusHistory.push({
+    status: this.status,
+    changedAt: new Date(),
+    changedBy,
+    reason,
+  });
+
+  await this.save({ session });
+  return previousOwner;
+};
+
+/**
+ * The team owner who takes over if the founder leaves: the longest-serving
+ * member with the owner role
+ * @returns {ObjectId|null}
+ */
+startupSchema.methods.getSuccessor = function () {
+  const owners = (this.team || [])
+    .filter(m => m.role === 'owner')
+    .sort((a, b) => a.joinedAt - b.joinedAt);
+
+  return owners.length ? (owners[0].user._id || owners[0].user) : null;
+};
+
+/**
+ * Add a milestone
+ * One added as already completed asks for sign-off straight away
+ * @param {Object} data - { title, description, targetDate, owner, status, target }
+ * @param {ObjectId} createdBy - User adding it
+ * @returns {Promise<Object>} The new milestone
+ */
+startupSchema.methods.addMilestone = async function (data, createdBy) {
+  const status = data.status || 'Planned';
+  const completed = status === 'Completed';
+
+  this.milestones.push({
+    title: data.title,
+    description: data.description,
+    targetDate: data.targetDate,
+    owner: data.owner || this.founder,
+    status,
+    target: data.target,
+    completedAt: completed ? new Date() : undefined,
+    signOff: completed ? { status: 'Pending', requestedAt: new Date() } : undefined,
+    createdBy,
+  });
+  await this.save();
+
+  return this.milestones[this.milestones.length - 1];
+};
+
+/**
+ * Update a milestone
+ * Completing it asks for sign-off; reopening it withdraws the request.
+ * Moving the target date re-arms the overdue notice
+ * @param {ObjectId} milestoneId - Milestone ID
+ * @param {Object} updates - { title, description, targetDate, owner, status, target }
+ * @returns {Promise<Object>} The updated milestone
+ */
+startupSchema.methods.updateMilestone = async function (milestoneId, updates) {
+  const milestone = this.milestones.id(milestoneId);
+  if (!milestone) {
+    throw new Error('Milestone not found');
+  }
+
+  ['title', 'description', 'owner', 'target'].forEach((field) => {
+    if (updates[field] !== undefined) milestone[field] = updates[field];
+  });
+  if (updates.targetDate !== undefined) {
+    milestone.targetDate = updates.targetDate;
+    milestone.overdueNotifiedAt = undefined;
+  }
+
+  if (updates.status !== undefined && updates.status !== milestone.status) {
+    if (updates.status === 'Completed') {
+      milestone.completedAt = new Date();
+      milestone.signOff = { status: 'Pending', requestedAt: new Date() };
+    } else if (milestone.status === 'Completed') {
+      milestone.completedAt = undefined;
+      milestone.signOff = undefined;
+    }
+    milestone.status = updates.status;
+  }
+
+  await this.save();
+  return milestone;
+};
+
+/**
+ * Attach an evidence link to a milestone
+ * @param {ObjectId} milestoneId - Milestone ID
+ * @param {Object} evidence - { url, label }
+ * @param {ObjectId} addedBy - User adding it
+ * @returns {Promise<Object>} The milestone
+ */
+startupSchema.methods.addMilestoneEvidence = async function (milestoneId, evidence, addedBy) {
+  const milestone = this.milestones.id(milestoneId);
+  if (!milestone) {
+    throw new Error('Milestone not found');
+  }
+
+  milestone.evidence.push({ url: evidence.url, label: evidence.label, addedBy });
+  await this.save();
+  return milestone;
+};
+
+/**
+ * Sign off (or send back) a completed milestone
+ * A rejected milestone goes back to In Progress with the reviewer's note
+ * @param {ObjectId} milestoneId - Milestone ID
+ * @param {string} decision - Approved | Rejected
+ * @param {ObjectId} userId - Signing mentor or admin
+ * @param {string} note - Optional note
+ * @returns {Promise<Object>} The milestone
+ */
+startupSchema.methods.signOffMilestone = async function (milestoneId, decision, userId, note) {
+  const milestone = this.milestones.id(milestoneId);
+  if (!milestone) {
+    throw new Error('Milestone not found');
+  }
+  if (milestone.status !== 'Completed' || !milestone.signOff || milestone.signOff.status !== 'Pending') {
+    throw new Error('Milestone is not awaiting sign-off');
+  }
+
+  milestone.signOff = {
+    status: decision,
+    requestedAt: milestone.signOff.requestedAt,
+    by: userId,
+    at: new Date(),
+    note,
+  };
+  if (decision === 'Rejected') {
+    milestone.status = 'In Progress';
+    milestone.completedAt = undefined;
+  }
+
+  await this.save();
+  return milestone;
+};
+
+/**
+ * Remove a milestone
+ * @param {ObjectId} milestoneId - Milestone ID
+ * @returns {Promise<void>}
+ */
+startupSchema.methods.removeMilestone = async function (milestoneId) {
+  const milestone = this.milestones.id(milestoneId);
+  if (!milestone) {
+    throw new Error('Milestone not found');
+  }
+
+  milestone.deleteOne();
+  await this.save();
+};
+
 // =============================================================================
 // STATIC METHODS
 // =============================================================================
 
 /**
- * Get startups needing attention (inactive for 30+ days)
+ * IDs of startups the user founded or belongs to
+ * @param {ObjectId} userId - User ID
+ * @param {string} minRole - Lowest team role to include
+ * @returns {Promise<ObjectId[]>}
+ */
+startupSchema.statics.getMemberStartupIds = async function (userId, minRole = 'viewer') {
+  const roles = TEAM_ROLES.filter(role => roleAtLeast(role, minRole));
+
+  return this.distinct('_id', {
+    $or: [
+      { founder: userId },
+      { team: { $elemMatch: { user: userId, role: { $in: roles } } } },
+    ],
+  });
+};
+
+startupSchema.statics.TEAM_ROLES = TEAM_ROLES;
+startupSchema.statics.roleAtLeast = roleAtLeast;
+
+/**
+ * Get startups needing attention
+ * Active startups inactive for 30+ days without a mentor, or with an
+ * overdue monthly check-in report
+ * @param {Date} now - Reference time
  * @returns {Promise<Startup[]>}
  */
-startupSchema.statics.getNeedingAttention = async function () {
-  const oneMonthAgo = new Date();
+startupSchema.statics.getNeedingAttention = async function (now = new Date()) {
+  const oneMonthAgo = new Date(now);
   oneMonthAgo.setMonth(oneMonthAgo.getMonth() - 1);
 
+  const overdueCheckIns = await mongoose.model('CheckInReport').getOverdueStartupIds(now);
+
   return this.find({
     status: 'Active',
-    updatedAt: { $lt: oneMonthAgo },
-    mentors: { $size: 0 },
+    $or: [
+      { updatedAt: { $lt: oneMonthAgo }, mentors: { $size: 0 } },
+      { _id: { $in: overdueCheckIns } },
+    ],
   })
     .populate('founder', 'name email')
     .limit(10);
@@ -520,17 +1180,82 @@ startupSchema.statics.getNeedingAttention = async function () {
 
 /**
  * Get graduation candidates
+ * Startups with open milestones past their target date are held back
+ * until they finish or reschedule them
+ * @param {Object} filter - Extra conditions (e.g. { cohort })
+ * @param {Date} now - Reference time
  * @returns {Promise<Startup[]>}
  */
-startupSchema.statics.getGraduationCandidates = async function () {
+startupSchema.statics.getGraduationCandidates = async function (filter = {}, now = new Date()) {
   return this.find({
+    ...filter,
     status: 'Active',
     stage: { $in: ['Growth', 'Scale-up'] },
     'kpis.funding': { $gte: 1000000 },
     'kpis.revenue': { $gte: 500000 },
+    milestones: {
+      $not: {
+        $elemMatch: { status: { $nin: CLOSED_MILESTONE_STATUSES }, targetDate: { $lt: now } },
+      },
+    },
   }).populate('founder', 'name email');
 };
 
+/**
+ * Get open milestones past their target date that have not been flagged
+ * @param {Date} now - Reference time
+ * @returns {Promise<Array>} [{ startup, name, founder, mentors, milestone }]
+ */
+startupSchema.statics.getOverdueMilestones = function (now = new Date()) {
+  return this.aggregate([
+    {
+      $match: {
+        status: { $in: ['Approved', 'Active'] },
+        milestones: {
+          $elemMatch: {
+            status: { $nin: CLOSED_MILESTONE_STATUSES },
+            targetDate: { $lt: now },
+            overdueNotifiedAt: null,
+          },
+        },
+      },
+    },
+    { $unwind: '$milestones' },
+    {
+      $match: {
+        'milestones.status': { $nin: CLOSED_MILESTONE_STATUSES },
+        'milestones.targetDate': { $lt: now },
+        'milestones.overdueNotifiedAt': null,
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        startup: '$_id',
+        name: 1,
+        founder: 1,
+        mentors: 1,
+        milestone: '$milestones',
+      },
+    },
+  ]);
+};
+
+/**
+ * Record that a milestone's overdue notice was sent
+ * @param {ObjectId} startupId - Startup ID
+ * @param {ObjectId} milestoneId - Milestone ID
+ * @param {Date} sentAt - Time sent
+ * @returns {Promise}
+ */
+startupSchema.statics.markMilestoneNotified = function (startupId, milestoneId, sentAt = new Date()) {
+  return this.updateOne(
+    { _id: startupId },
+    { $set: { 'milestones.$[milestone].overdueNotifiedAt': sentAt } },
+    { arrayFilters: [{ 'milestone._id': milestoneId }], timestamps: false }
+  );
+};
+
 /**
  * Get startups by domain with stats
  * @param {string} domain - Domain to filter
@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+/**
+ * StartupInvitation Model
+ * An emailed invitation to join a startup's team
+ * Only a hash of the token is stored; the raw token travels in the link
+ */
+
+// How long an invitation link stays valid
+const INVITATION_TTL_DAYS = parseInt(process.env.TEAM_INVITATION_TTL_DAYS, 10) || 7;
+
+const startupInvitationSchema = new mongoose.Schema(
+  {
+    startup: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Startup',
+      required: [true, 'Startup reference is required'],
+    },
+
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      lowercase: true,
+      trim: true,
+      match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email'],
+    },
+
+    role: {
+      type: String,
+      enum: {
+        values: ['viewer', 'editor', 'owner'],
+        message: '{VALUE} is not a valid team role',
+      },
+      default: 'editor',
+    },
+
+    status: {
+      type: String,
+      enum: {
+        values: ['Pending', 'Accepted', 'Revoked'],
+        message: '{VALUE} is not a valid invitation status',
+      },
+      default: 'Pending',
+    },
+
+    // SHA-256 of the raw token
+    token: {
+      type: String,
+      required: true,
+      select: false,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Inviting user is required'],
+    },
+
+    acceptedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    acceptedAt: Date,
+    revokedAt: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// =============================================================================
+// INDEXES
+// =============================================================================
+
+startupInvitationSchema.index({ token: 1 }, { unique: true, name: 'token_unique_idx' });
+startupInvitationSchema.index({ startup: 1, status: 1 });
+
+// One open invitation per address and startup
+startupInvitationSchema.index(
+  { startup: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: 'Pending' }, name: 'startup_email_pending_idx' }
+);
+
+// =============================================================================
+// VIRTUALS
+// =============================================================================
+
+startupInvitationSchema.virtual('isExpired').get(function () {
+  return this.expiresAt < new Date();
+});
+
+// =============================================================================
+// INSTANCE METHODS
+// =============================================================================
+
+/**
+ * Generate a new token and reset the expiry
+ * @returns {string} Raw token for the invitation link
+ */
+startupInvitationSchema.methods.generateToken = function () {
+  const rawToken = crypto.randomBytes(32).toString('hex');
+
+  this.token = this.constructor.hashToken(rawToken);
+  this.expiresAt = new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  return rawToken;
+};
+
+/**
+ * Whether the invitation can still be accepted
+ * @param {Date} now - Reference time
+ * @returns {boolean}
+ */
+startupInvitationSchema.methods.isOpen = function (now = new Date()) {
+  return this.status === 'Pending' && this.expiresAt > now;
+};
+
+// =============================================================================
+// STATIC METHODS
+// =============================================================================
+
+/**
+ * Hash a raw invitation token for lookup
+ * @param {string} rawToken - Token from the link
+ * @returns {string}
+ */
+startupInvitationSchema.statics.hashToken = function (rawToken) {
+  return crypto.createHash('sha256').update(rawToken).digest('hex');
+};
+
+/**
+ * Find an invitation by its raw token
+ * @param {string} rawToken - Token from the link
+ * @returns {Query}
+ */
+startupInvitationSchema.statics.findByToken = function (rawToken) {
+  return this.findOne({ token: this.hashToken(rawToken) });
+};
+
+module.exports = mongoose.model('StartupInvitation', startupInvitationSchema);
@@ -68,6 +68,16 @@ const userSchema = new mongoose.Schema(
       select: false,
     },
 
+    // Hashed secret for the subscribable iCalendar feed
+    calendarFeedToken: {
+      type: String,
+      select: false,
+    },
+
+    calendarFeedCreatedAt: {
+      type: Date,
+    },
+
     refreshTokens: {
       type: [{
         // Unique identifier for the refresh token (JWT ID)
@@ -125,6 +135,22 @@ const userSchema = new mongoose.Schema(
       ref: 'Mentor',
     },
 
+    // Email notification delivery preferences
+    notificationPreferences: {
+      emailFrequency: {
+        type: String,
+        enum: {
+          values: ['immediate', 'daily', 'none'],
+          message: '{VALUE} is not a valid email frequency',
+        },
+        default: 'immediate',
+      },
+      // Last time a daily digest was sent
+      lastDigestAt: {
+        type: Date,
+      },
+    },
+
     isActive: {
       type: Boolean,
       default: true,
@@ -178,6 +204,12 @@ userSchema.index(
   { name: 'last_login_idx' }
 );
 
+// Lookup for calendar feed requests
+userSchema.index(
+  { calendarFeedToken: 1 },
+  { sparse: true, name: 'calendar_feed_token_idx' }
+);
+
 // =============================================================================
 // VIRTUALS
 // =============================================================================
@@ -397,6 +429,19 @@ userSchema.methods.verifyResetToken = function (token) {
   );
 };
 
+/**
+ * Generate a calendar feed token, replacing any previous one
+ * @returns {string} Raw feed token
+ */
+userSchema.methods.generateCalendarFeedToken = function () {
+  const rawToken = crypto.randomBytes(24).toString('hex');
+
+  this.calendarFeedToken = hashToken(rawToken);
+  this.calendarFeedCreatedAt = new Date();
+
+  return rawToken;
+};
+
 /**
  * Handle failed login attempt
  * Implements account lockout after multiple failures
@@ -438,6 +483,7 @@ userSchema.methods.toJSON = function () {
   delete obj.verificationTokenExpire;
   delete obj.passwordResetToken;
   delete obj.passwordResetExpire;
+  delete obj.calendarFeedToken;
   delete obj.loginAttempts;
   delete obj.lockUntil;
   delete obj.__v;
@@ -458,6 +504,49 @@ userSchema.statics.findByEmail = function (email) {
   return this.findOne({ email: email.toLowerCase() });
 };
 
+/**
+ * Hash a raw token the same way the token generators store it
+ * @param {string} token - Raw token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Find user by a raw email verification token
+ * @param {string} token - Raw verification token
+ * @returns {Promise<User|null>} User with token fields selected
+ */
+userSchema.statics.findByVerificationToken = function (token) {
+  return this.findOne({
+    verificationToken: hashToken(token),
+    verificationTokenExpire: { $gt: Date.now() },
+  }).select('+verificationToken +verificationTokenExpire');
+};
+
+/**
+ * Find user by a raw password reset token
+ * @param {string} token - Raw reset token
+ * @returns {Promise<User|null>} User with token fields selected
+ */
+userSchema.statics.findByResetToken = function (token) {
+  return this.findOne({
+    passwordResetToken: hashToken(token),
+    passwordResetExpire: { $gt: Date.now() },
+  }).select('+password +passwordResetToken +passwordResetExpire');
+};
+
+/**
+ * Find an active user by a raw calendar feed token
+ * @param {string} token - Raw feed token
+ * @returns {Promise<User|null>}
+ */
+userSchema.statics.findByCalendarFeedToken = function (token) {
+  return this.findOne({
+    calendarFeedToken: hashToken(token),
+    isActive: true,
+  });
+};
+
 /**
  * Find active users by role
  * @param {string} role - Role to filter by
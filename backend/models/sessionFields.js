@@ -0,0 +1,48 @@
+/**
+ * Session Fields
+ * Schema definitions shared by one-to-one mentorship sessions and
+ * group office-hours sessions, so both carry the same meeting details,
+ * calendar identity and feedback shape
+ */
+
+const sessionDetailFields = () => ({
+  scheduledAt: {
+    type: Date,
+    required: true,
+  },
+  duration: {
+    type: Number, // minutes
+    default: 60,
+    min: 15,
+    max: 240,
+  },
+  meetingLink: String,
+  // iCalendar UID and revision, bumped whenever the event changes
+  calendarEventId: String,
+  sequence: {
+    type: Number,
+    default: 0,
+  },
+  notes: {
+    type: String,
+    maxlength: 2000,
+  },
+});
+
+const feedbackFields = () => ({
+  rating: {
+    type: Number,
+    min: 1,
+    max: 5,
+  },
+  comment: {
+    type: String,
+    maxlength: 1000,
+  },
+  submittedAt: Date,
+});
+
+module.exports = {
+  sessionDetailFields,
+  feedbackFields,
+};
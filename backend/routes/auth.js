@@ -1,13 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Startup = require('../models/Startup');
 const { protect } = require('../middleware/auth');
+const mailService = require('../services/mailService');
+const { sendNotification } = require('../services/notificationService');
+const { escapeHtml } = require('../services/emailTemplates');
+const { releaseUserStartups, notifyOwnershipTransfer } = require('../services/ownershipService');
+const { withOptionalTransaction } = require('../utils/transaction');
 
 /**
  * Authentication Routes
- * Handles user registration, login, profile management
+ * Handles user registration, login, profile management,
+ * email verification and password reset
  */
 
 // =============================================================================
@@ -45,6 +52,38 @@ const formatErrors = (errors) => {
   }));
 };
 
+/**
+ * Send email verification link
+ * @param {Object} user - User document
+ * @param {string} rawToken - Raw verification token
+ */
+const sendVerificationEmail = async (user, rawToken) => {
+  const url = mailService.buildFrontendUrl(`/verify-email/${rawToken}`);
+
+  await mailService.sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\nPlease verify your email address by opening this link:\n${url}\n\nThis link expires in 24 hours.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please verify your email address by clicking the link below:</p><p><a href="${url}">Verify email</a></p><p>This link expires in 24 hours.</p>`,
+  });
+};
+
+/**
+ * Send password reset link
+ * @param {Object} user - User document
+ * @param {string} rawToken - Raw reset token
+ */
+const sendPasswordResetEmail = async (user, rawToken) => {
+  const url = mailService.buildFrontendUrl(`/reset-password/${rawToken}`);
+
+  await mailService.sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name},\n\nWe received a request to reset your password. Open this link to choose a new one:\n${url}\n\nThis link expires in 10 minutes. If you did not request a reset, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>We received a request to reset your password.</p><p><a href="${url}">Choose a new password</a></p><p>This link expires in 10 minutes. If you did not request a reset, you can ignore this email.</p>`,
+  });
+};
+
 // =============================================================================
 // ROUTES
 // =============================================================================
@@ -111,6 +150,15 @@ router.post(
         bio,
       });
 
+      // Send verification email (registration succeeds even if mail fails)
+      try {
+        const verificationToken = user.generateVerificationToken();
+        await user.save();
+        await sendVerificationEmail(user, verificationToken);
+      } catch (mailError) {
+        console.error('Verification email error:', mailError.message);
+      }
+
       // Generate token
       const token = generateToken(user);
 
@@ -566,9 +614,235 @@ router.post('/logout', async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/auth/verify-email/:token
+ * @desc    Verify email address with token from verification email
+ * @access  Public
+ */
+router.post(
+  '/verify-email/:token',
+  [param('token').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Invalid verification token')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired verification link',
+          code: 'INVALID_TOKEN',
+        });
+      }
+
+      const user = await User.findByVerificationToken(req.params.token);
+
+      if (!user || !user.verifyVerificationToken(req.params.token)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired verification link',
+          code: 'INVALID_TOKEN',
+        });
+      }
+
+      user.verified = true;
+      user.verificationToken = undefined;
+      user.verificationTokenExpire = undefined;
+      await user.save();
+
+      res.status(200).json({
+        success: true,
+        message: 'Email verified successfully',
+      });
+
+    } catch (error) {
+      console.error('Verify email error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error verifying email',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Resend the email verification link
+ * @access  Protected
+ */
+router.post('/resend-verification', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (user.verified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified',
+        code: 'ALREADY_VERIFIED',
+      });
+    }
+
+    const verificationToken = user.generateVerificationToken();
+    await user.save();
+    await sendVerificationEmail(user, verificationToken);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent',
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending verification email',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Send a password reset link
+ * @access  Public
+ */
+router.post(
+  '/forgot-password',
+  [
+    body('email')
+      .isEmail()
+      .withMessage('Valid email is required')
+      .normalizeEmail(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: formatErrors(errors),
+        });
+      }
+
+      const user = await User.findOne({ email: req.body.email.toLowerCase() });
+
+      // Only send for active accounts, but respond identically to avoid email enumeration
+      if (user && user.isActive) {
+        const resetToken = user.generatePasswordResetToken();
+        await user.save();
+
+        try {
+          await sendPasswordResetEmail(user, resetToken);
+        } catch (mailError) {
+          console.error('Password reset email error:', mailError.message);
+        }
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'If an account exists for that email, a reset link has been sent',
+      });
+
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error processing password reset request',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/auth/reset-password/:token
+ * @desc    Reset password with token from reset email
+ * @access  Public
+ */
+router.post(
+  '/reset-password/:token',
+  [
+    param('token').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Invalid reset token'),
+    body('password')
+      .isLength({ min: 6 })
+      .withMessage('Password must be at least 6 characters')
+      .matches(/^(?=.*[a-zA-Z])(?=.*[0-9])/)
+      .withMessage('Password must contain at least one letter and one number'),
+    body('confirmPassword')
+      .optional()
+      .custom((value, { req }) => value === req.body.password)
+      .withMessage('Passwords do not match'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: formatErrors(errors),
+        });
+      }
+
+      const user = await User.findByResetToken(req.params.token);
+
+      if (!user || !user.verifyResetToken(req.params.token)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired reset link',
+          code: 'INVALID_TOKEN',
+        });
+      }
+
+      user.password = req.body.password;
+      user.passwordResetToken = undefined;
+      user.passwordResetExpire = undefined;
+
+      // Unlock the account and sign out other sessions
+      user.loginAttempts = 0;
+      user.lockUntil = undefined;
+      user.refreshTokens = [];
+
+      await user.save();
+
+      await sendNotification(
+        user._id,
+        'password_changed',
+        'Password Changed',
+        'Your password was reset. If this was not you, contact support immediately.',
+        'User',
+        user._id,
+        { priority: 'high' }
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Password reset successfully. You can now log in.',
+      });
+
+    } catch (error) {
+      console.error('Reset password error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error resetting password',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
 /**
  * @route   DELETE /api/auth/account
- * @desc    Deactivate user account
+ * @desc    Deactivate user account; founded startups pass to their
+ *          longest-serving team owner, and the account cannot be closed
+ *          while a startup has nobody to take it over
  * @access  Protected
  */
 router.delete('/account', protect, async (req, res) => {
@@ -582,9 +856,32 @@ router.delete('/account', protect, async (req, res) => {
       });
     }
 
-    // Soft delete - deactivate account
-    user.isActive = false;
-    await user.save();
+    const founded = await Startup.find({ founder: user._id }).select('name team');
+    const stranded = founded.filter(startup => !startup.getSuccessor());
+    if (stranded.length > 0) {
+      return res.status(400).json({
+        success: false,
+        code: 'OWNERSHIP_TRANSFER_REQUIRED',
+        message: `Transfer ownership of ${stranded.map(s => s.name).join(', ')} or make a team member an owner before deactivating your account`,
+        data: stranded.map(s => ({ _id: s._id, name: s.name })),
+      });
+    }
+
+    // Handovers and the deactivation land together or not at all
+    const { result: transfers } = await withOptionalTransaction(async (session) => {
+      const released = await releaseUserStartups(user._id, session);
+
+      // Soft delete - deactivate account
+      user.isActive = false;
+      user.startup = undefined;
+      await user.save({ session });
+
+      return released;
+    });
+
+    for (const transfer of transfers) {
+      await notifyOwnershipTransfer(transfer, user._id);
+    }
 
     res.status(200).json({
       success: true,
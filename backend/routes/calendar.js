@@ -0,0 +1,169 @@
+const express = require('express');
+const router = express.Router();
+const { param, validationResult } = require('express-validator');
+const User = require('../models/User');
+const MentorshipRequest = require('../models/MentorshipRequest');
+const { protect } = require('../middleware/auth');
+const {
+  buildSessionEvent,
+  getSessionPeople,
+  buildCalendar,
+} = require('../services/calendarService');
+
+/**
+ * Calendar Routes
+ * Subscribable iCalendar feeds of a user's mentorship sessions
+ * Feeds are addressed by a secret token because calendar apps cannot send
+ * the user's JWT; only a hash of the token is stored
+ */
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Past sessions kept in the feed so recent history stays visible
+const FEED_PAST_DAYS = 30;
+
+/**
+ * Build the public URL of a feed
+ */
+const buildFeedUrl = (req, token) => `${req.protocol}://${req.get('host')}/api/calendar/${token}.ics`;
+
+// =============================================================================
+// FEED MANAGEMENT
+// =============================================================================
+
+/**
+ * @route   GET /api/calendar/feed
+ * @desc    Get whether the current user has a calendar feed
+ * @access  Protected
+ */
+router.get('/feed', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+calendarFeedToken calendarFeedCreatedAt');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        enabled: !!user.calendarFeedToken,
+        createdAt: user.calendarFeedCreatedAt || null,
+      },
+    });
+
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching calendar feed',
+    });
+  }
+});
+
+/**
+ * @route   POST /api/calendar/feed
+ * @desc    Create the current user's feed URL, replacing any previous one
+ *          The URL is only shown once
+ * @access  Protected
+ */
+router.post('/feed', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const token = user.generateCalendarFeedToken();
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Calendar feed created. Previous feed links no longer work.',
+      data: {
+        url: buildFeedUrl(req, token),
+        createdAt: user.calendarFeedCreatedAt,
+      },
+    });
+
+  } catch (error) {
+    console.error('Create calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating calendar feed',
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/calendar/feed
+ * @desc    Revoke the current user's feed URL
+ * @access  Protected
+ */
+router.delete('/feed', protect, async (req, res) => {
+  try {
+    await User.updateOne(
+      { _id: req.user._id },
+      { $unset: { calendarFeedToken: 1, calendarFeedCreatedAt: 1 } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Calendar feed revoked',
+    });
+
+  } catch (error) {
+    console.error('Revoke calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking calendar feed',
+    });
+  }
+});
+
+// =============================================================================
+// FEED
+// =============================================================================
+
+/**
+ * @route   GET /api/calendar/:token.ics
+ * @desc    iCalendar feed of the user's upcoming and recent sessions
+ *          Cancelled sessions stay in the feed with STATUS:CANCELLED
+ * @access  Public (secret feed token)
+ */
+router.get(
+  '/:token.ics',
+  [
+    param('token').isHexadecimal().isLength({ min: 32, max: 64 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      const user = errors.isEmpty() ? await User.findByCalendarFeedToken(req.params.token) : null;
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'Calendar feed not found',
+        });
+      }
+
+      const since = new Date(Date.now() - FEED_PAST_DAYS * DAY_MS);
+      const entries = await MentorshipRequest.getCalendarSessionsForUser(user._id, since);
+
+      const calendar = buildCalendar(
+        entries.map(({ request, session }) => buildSessionEvent(request, session, getSessionPeople(request, session))),
+        { name: `Mentorship sessions - ${user.name}` }
+      );
+
+      res.set('Content-Type', 'text/calendar; charset=utf-8');
+      res.set('Cache-Control', 'private, max-age=300');
+      res.status(200).send(calendar);
+
+    } catch (error) {
+      console.error('Calendar feed error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error building calendar feed',
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,393 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const CheckInReport = require('../models/CheckInReport');
+const Cohort = require('../models/Cohort');
+const KpiSnapshot = require('../models/KpiSnapshot');
+const Startup = require('../models/Startup');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  getDefaultPeriod,
+  submitCheckIn,
+  getCompliance,
+} = require('../services/checkInService');
+
+/**
+ * Check-in Routes
+ * Monthly founder reports (highlights, lowlights, asks and KPIs),
+ * program review and submission compliance
+ */
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Format validation errors
+ */
+const formatErrors = (errors) => {
+  return errors.array().map(err => ({
+    field: err.path || err.param,
+    message: err.msg,
+  }));
+};
+
+const MAX_COMPLIANCE_MONTHS = 12;
+
+/**
+ * Whether the user may read a report: the startup's team, an admin or
+ * the cohort's program manager
+ */
+const canView = (report, user, cohort) => {
+  if (user.role === 'admin') return true;
+  if (report.startup && report.startup.hasMemberRole(user._id)) return true;
+  return !!cohort && cohort.isManagedBy(user);
+};
+
+/**
+ * Load the report with its startup and cohort
+ */
+const loadReport = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: formatErrors(errors),
+      });
+    }
+
+    const report = await CheckInReport.findById(req.params.id)
+      .populate('startup', 'name founder team cohort')
+      .populate('submittedBy', 'name')
+      .populate('reviewedBy', 'name');
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Check-in report not found',
+      });
+    }
+
+    req.report = report;
+    req.cohort = report.cohort ? await Cohort.findById(report.cohort).select('name programManager') : null;
+    next();
+  } catch (error) {
+    console.error('Load check-in error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching check-in report',
+    });
+  }
+};
+
+// All check-in routes require authentication
+router.use(protect);
+
+// =============================================================================
+// FOUNDER ROUTES
+// =============================================================================
+
+/**
+ * @route   GET /api/check-ins/mine
+ * @desc    The startups the current founder is on the team of, with their
+ *          check-in templates and reports, newest first
+ * @access  Protected (Founder)
+ */
+router.get('/mine', authorize('founder'), async (req, res) => {
+  try {
+    const startupIds = await Startup.getMemberStartupIds(req.user._id);
+    const startups = await Startup.find({ _id: { $in: startupIds } })
+      .select('name status cohort')
+      .populate('cohort', 'name checkIns');
+
+    const reports = await CheckInReport.find({ startup: { $in: startups.map(s => s._id) } })
+      .sort({ period: -1 })
+      .limit(100);
+
+    const now = new Date();
+
+    res.status(200).json({
+      success: true,
+      count: reports.length,
+      data: {
+        defaultPeriod: getDefaultPeriod(now),
+        startups: startups.map(s => ({
+          _id: s._id,
+          name: s.name,
+          status: s.status,
+          cohort: s.cohort ? { _id: s.cohort._id, name: s.cohort.name } : null,
+          checkIns: Cohort.getCheckInSettings(s.cohort),
+        })),
+        reports: reports.map(r => ({ ...r.toJSON(), state: r.getComplianceState(now) })),
+      },
+    });
+
+  } catch (error) {
+    console.error('Get my check-ins error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching check-in reports',
+    });
+  }
+});
+
+/**
+ * @route   POST /api/check-ins
+ * @desc    Submit or revise a monthly check-in (defaults to last month)
+ *          KPIs sent with the report are recorded for that month
+ * @access  Protected (Startup editor or admin)
+ */
+router.post(
+  '/',
+  [
+    body('startup').isMongoId().withMessage('Valid startup ID is required'),
+    body('period')
+      .optional()
+      .custom((value) => {
+        if (!KpiSnapshot.isValidPeriod(value)) {
+          throw new Error('Period must be in YYYY-MM format');
+        }
+        if (value > KpiSnapshot.periodOf(new Date())) {
+          throw new Error('Period cannot be in the future');
+        }
+        return true;
+      }),
+    body('highlights').optional().isLength({ max: 2000 }).withMessage('Highlights cannot exceed 2000 characters'),
+    body('lowlights').optional().isLength({ max: 2000 }).withMessage('Lowlights cannot exceed 2000 characters'),
+    body('asks').optional().isLength({ max: 2000 }).withMessage('Asks cannot exceed 2000 characters'),
+    body('answers').optional().isArray({ max: 20 }).withMessage('Answers must be an array'),
+    body('answers.*.question').optional().isMongoId().withMessage('Invalid question ID'),
+    body('answers.*.answer').optional().isLength({ max: 2000 }).withMessage('Answers cannot exceed 2000 characters'),
+    body('kpis.revenue').if(body('kpis').exists()).isFloat({ min: 0 }).withMessage('Revenue must be a non-negative number'),
+    body('kpis.users').if(body('kpis').exists()).isInt({ min: 0 }).withMessage('Users must be a non-negative integer'),
+    body('kpis.funding').optional().isFloat({ min: 0 }).withMessage('Funding must be a non-negative number'),
+    body('kpis.monthlyBurnRate').optional().isFloat({ min: 0 }).withMessage('Burn rate must be a non-negative number'),
+    body('kpis.cashBalance').optional().isFloat({ min: 0 }).withMessage('Cash balance must be a non-negative number'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: formatErrors(errors),
+        });
+      }
+
+      const startup = await Startup.findById(req.body.startup).select('name founder team cohort status kpis');
+
+      if (!startup) {
+        return res.status(404).json({
+          success: false,
+          message: 'Startup not found',
+        });
+      }
+
+      if (!startup.hasMemberRole(req.user._id, 'editor') && req.user.role !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to report for this startup',
+        });
+      }
+
+      const period = req.body.period || getDefaultPeriod();
+      const existing = await CheckInReport.findOne({ startup: startup._id, period }).select('status');
+      if (existing && existing.status === 'Reviewed') {
+        return res.status(400).json({
+          success: false,
+          message: `The ${period} check-in has already been reviewed`,
+        });
+      }
+
+      const { kpis } = req.body;
+      const { report, created } = await submitCheckIn(startup, {
+        period,
+        highlights: req.body.highlights,
+        lowlights: req.body.lowlights,
+        asks: req.body.asks,
+        answers: req.body.answers,
+        kpis: kpis && {
+          revenue: Number(kpis.revenue),
+          users: Number(kpis.users),
+          funding: kpis.funding !== undefined ? Number(kpis.funding) : undefined,
+          monthlyBurnRate: kpis.monthlyBurnRate !== undefined ? Number(kpis.monthlyBurnRate) : undefined,
+          cashBalance: kpis.cashBalance !== undefined ? Number(kpis.cashBalance) : undefined,
+        },
+      }, req.user._id);
+
+      res.status(created ? 201 : 200).json({
+        success: true,
+        message: created
+          ? `Check-in for ${report.period} submitted${report.isLate ? ' (late)' : ''}`
+          : `Check-in for ${report.period} updated`,
+        data: report,
+      });
+
+    } catch (error) {
+      console.error('Submit check-in error:', error);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: Object.values(error.errors).map(e => ({ field: e.path, message: e.message })),
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Error submitting check-in',
+      });
+    }
+  }
+);
+
+// =============================================================================
+// PROGRAM ROUTES
+// =============================================================================
+
+/**
+ * @route   GET /api/check-ins/compliance
+ * @desc    Submission compliance per Active startup over recent months
+ *          Program managers must pass one of their cohorts
+ * @access  Protected (Admin or program manager)
+ */
+router.get(
+  '/compliance',
+  authorize('admin', 'mentor'),
+  [
+    query('cohort').optional().isMongoId().withMessage('Invalid cohort ID'),
+    query('months').optional().isInt({ min: 1, max: MAX_COMPLIANCE_MONTHS }).withMessage(`Months must be 1-${MAX_COMPLIANCE_MONTHS}`),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: formatErrors(errors),
+        });
+      }
+
+      let cohort = null;
+      if (req.query.cohort) {
+        cohort = await Cohort.findById(req.query.cohort).select('name programManager');
+        if (!cohort) {
+          return res.status(404).json({
+            success: false,
+            message: 'Cohort not found',
+          });
+        }
+      }
+
+      if (req.user.role !== 'admin' && !(cohort && cohort.isManagedBy(req.user))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to view check-in compliance',
+        });
+      }
+
+      const compliance = await getCompliance({
+        cohort: cohort ? cohort._id : null,
+        months: parseInt(req.query.months) || 6,
+      });
+
+      res.status(200).json({
+        success: true,
+        count: compliance.startups.length,
+        data: {
+          cohort: cohort ? { _id: cohort._id, name: cohort.name } : null,
+          ...compliance,
+        },
+      });
+
+    } catch (error) {
+      console.error('Check-in compliance error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching check-in compliance',
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/check-ins/:id
+ * @desc    A single check-in report
+ * @access  Protected (Startup team, admin or program manager)
+ */
+router.get(
+  '/:id',
+  [param('id').isMongoId().withMessage('Invalid check-in ID')],
+  loadReport,
+  async (req, res) => {
+    if (!canView(req.report, req.user, req.cohort)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this check-in',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { ...req.report.toJSON(), state: req.report.getComplianceState() },
+    });
+  }
+);
+
+/**
+ * @route   PUT /api/check-ins/:id/review
+ * @desc    Mark a submitted check-in as reviewed
+ * @access  Protected (Admin or program manager)
+ */
+router.put(
+  '/:id/review',
+  [
+    param('id').isMongoId().withMessage('Invalid check-in ID'),
+    body('note').optional().isLength({ max: 1000 }).withMessage('Review note cannot exceed 1000 characters'),
+  ],
+  loadReport,
+  async (req, res) => {
+    try {
+      const { report } = req;
+
+      if (req.user.role !== 'admin' && !(req.cohort && req.cohort.isManagedBy(req.user))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to review this check-in',
+        });
+      }
+
+      if (report.status !== 'Submitted') {
+        return res.status(400).json({
+          success: false,
+          message: report.status === 'Pending'
+            ? 'This check-in has not been submitted yet'
+            : 'This check-in has already been reviewed',
+        });
+      }
+
+      report.status = 'Reviewed';
+      report.reviewedBy = req.user._id;
+      report.reviewedAt = new Date();
+      if (req.body.note !== undefined) report.reviewNote = req.body.note;
+      await report.save();
+
+      res.status(200).json({
+        success: true,
+        message: 'Check-in marked as reviewed',
+        data: report,
+      });
+
+    } catch (error) {
+      console.error('Review check-in error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error reviewing check-in',
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,856 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const Cohort = require('../models/Cohort');
+const Startup = require('../models/Startup');
+const User = require('../models/User');
+const { protect, authorize } = require('../middleware/auth');
+const { sendNotification } = require('../services/notificationService');
+
+/**
+ * Cohort Routes
+ * Cohort CRUD, application windows, membership, dashboards and graduation
+ */
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Format validation errors
+ */
+const formatErrors = (errors) => {
+  return errors.array().map(err => ({
+    field: err.path || err.param,
+    message: err.msg,
+  }));
+};
+
+const COHORT_STATUSES = Cohort.schema.path('status').enumValues;
+
+// Startup statuses that may join a cohort
+const JOINABLE_STATUSES = ['Pending', 'Approved', 'Active'];
+
+// Cohort model errors caused by the request rather than the server
+const APPLICATION_ERRORS = [
+  'Applications for this cohort are closed',
+  'Startup has already applied to this cohort',
+];
+const MEMBERSHIP_ERRORS = [
+  'Startup is already in this cohort',
+  'Cohort is at capacity',
+];
+
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'status',
+  'startDate',
+  'endDate',
+  'capacity',
+  'programManager',
+  'applicationWindow',
+  'milestones',
+  'checkIns',
+];
+
+/**
+ * Validation rules shared by create and update
+ * @param {boolean} isUpdate - Make required fields optional
+ */
+const cohortValidation = (isUpdate = false) => {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+
+  return [
+    required(body('name')).trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters'),
+    body('description').optional().isLength({ max: 2000 }).withMessage('Description cannot exceed 2000 characters'),
+    body('status').optional().isIn(COHORT_STATUSES).withMessage('Invalid status'),
+    required(body('startDate')).isISO8601().withMessage('Valid start date is required'),
+    required(body('endDate')).isISO8601().withMessage('Valid end date is required'),
+    required(body('capacity')).isInt({ min: 1, max: 500 }).withMessage('Capacity must be 1-500'),
+    body('programManager').optional({ values: 'null' }).isMongoId().withMessage('Invalid program manager ID'),
+    body('applicationWindow.opensAt').optional().isISO8601().withMessage('Invalid application window start'),
+    body('applicationWindow.closesAt').optional().isISO8601().withMessage('Invalid application window end'),
+    body('milestones').optional().isArray({ max: 50 }).withMessage('Milestones must be an array of up to 50 items'),
+    body('milestones.*.title').optional().trim().isLength({ min: 1, max: 200 }).withMessage('Milestone title must be 1-200 characters'),
+    body('milestones.*.dueDate').optional().isISO8601().withMessage('Invalid milestone due date'),
+    body('checkIns.enabled').optional().isBoolean().withMessage('checkIns.enabled must be a boolean'),
+    body('checkIns.dueDay').optional().isInt({ min: 1, max: 28 }).withMessage('Check-in due day must be 1-28'),
+    body('checkIns.reminderDays').optional().isInt({ min: 0, max: 14 }).withMessage('Reminder days must be 0-14'),
+    body('checkIns.questions').optional().isArray({ max: 20 }).withMessage('Check-in questions must be an array of up to 20 items'),
+    body('checkIns.questions.*.prompt').optional().trim().isLength({ min: 1, max: 500 }).withMessage('Question prompt must be 1-500 characters'),
+  ];
+};
+
+/**
+ * Check that a program manager is an active admin or mentor
+ * @param {string} userId - Candidate user ID
+ * @returns {Promise<boolean>}
+ */
+const isValidProgramManager = async (userId) => {
+  if (!userId) return true;
+  return !!(await User.exists({ _id: userId, role: { $in: ['admin', 'mentor'] }, isActive: true }));
+};
+
+/**
+ * Notify a startup's founder about a cohort change
+ * @param {Startup} startup - Startup document
+ * @param {Cohort} cohort - Cohort document
+ * @param {string} title - Notification title
+ * @param {string} message - Notification message
+ */
+const notifyFounder = async (startup, cohort, title, message) => {
+  if (!startup.founder) return null;
+
+  return sendNotification(
+    startup.founder,
+    'cohort_update',
+    title,
+    message,
+    'Cohort',
+    cohort._id,
+    { actionUrl: `/startups/${startup._id}` }
+  );
+};
+
+/**
+ * Load the cohort and require the current user to manage it
+ */
+const loadManagedCohort = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: formatErrors(errors),
+      });
+    }
+
+    const cohort = await Cohort.findById(req.params.id);
+
+    if (!cohort) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cohort not found',
+      });
+    }
+
+    if (!cohort.isManagedBy(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage this cohort',
+      });
+    }
+
+    req.cohort = cohort;
+    next();
+  } catch (error) {
+    console.error('Load cohort error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching cohort',
+    });
+  }
+};
+
+// All cohort routes require authentication
+router.use(protect);
+
+// =============================================================================
+// COHORT CRUD
+// =============================================================================
+
+/**
+ * @route   GET /api/cohorts
+ * @desc    List cohorts (optionally only those accepting applications)
+ * @access  Protected
+ */
+router.get(
+  '/',
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100'),
+    query('status').optional().isIn(COHORT_STATUSES).withMessage('Invalid status'),
+    query('accepting').optional().isIn(['true', 'false']).withMessage('accepting must be true or false'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: formatErrors(errors),
+        });
+      }
+
+      const { status, accepting, page = 1, limit = 20 } = req.query;
+      const filter = {};
+
+      if (status) {
+        filter.status = status;
+      }
+
+      if (accepting === 'true') {
+        const now = new Date();
+        filter.status = { $in: ['Planned', 'Active'] };
+        filter['applicationWindow.opensAt'] = { $lte: now };
+        filter['applicationWindow.closesAt'] = { $gte: now };
+      }
+
+      const [cohorts, count] = await Promise.all([
+        Cohort.find(filter)
+          .populate('programManager', 'name email')
+          .select('-applications')
+          .sort({ startDate: -1 })
+          .limit(parseInt(limit))
+          .skip((parseInt(page) - 1) * parseInt(limit)),
+        Cohort.countDocuments(filter),
+      ]);
+
+      const memberCounts = await Startup.aggregate([
+        { $match: { cohort: { $in: cohorts.map(c => c._id) } } },
+        { $group: { _id: '$cohort', count: { $sum: 1 } } },
+      ]);
+      const countById = new Map(memberCounts.map(row => [row._id.toString(), row.count]));
+
+      res.status(200).json({
+        success: true,
+        count,
+        totalPages: Math.ceil(count / limit),
+        currentPage: parseInt(page),
+        data: cohorts.map(cohort => ({
+          ...cohort.toJSON(),
+          memberCount: countById.get(cohort._id.toString()) || 0,
+        })),
+      });
+
+    } catch (error) {
+      console.error('Get cohorts error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching cohorts',
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/cohorts/:id
+ * @desc    Get a cohort with its members
+ *          Applications are only included for admins and the program manager
+ * @access  Protected
+ */
+router.get(
+  '/:id',
+  [param('id').isMongoId().withMessage('Invalid cohort ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: formatErrors(errors),
+        });
+      }
+
+      const cohort = await Cohort.findById(req.params.id)
+        .populate('programManager', 'name email')
+        .populate('applications.startup', 'name stage domain status');
+
+      if (!cohort) {
+        return res.status(404).json({
+          success: false,
+          message: 'Cohort not found',
+        });
+      }
+
+      const members = await Startup.find({ cohort: cohort._id })
+        .select('name shortDesc stage domain status logoUrl')
+        .sort({ name: 1 });
+
+      const data = cohort.toJSON();
+      data.members = members;
+      data.memberCount = members.length;
+
+      if (!cohort.isManagedBy(req.user)) {
+        delete data.applications;
+      }
+
+      res.status(200).json({
+        success: true,
+        data,
+      });
+
+    } catch (error) {
+      console.error('Get cohort error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching cohort',
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/cohorts
+ * @desc    Create a cohort
+ * @access  Protected (Admin)
+ */
+router.post(
+  '/',
+  authorize('admin'),
+  cohortValidation(),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: formatErrors(errors),
+        });
+      }
+
+      if (!(await isValidProgramManager(req.body.programManager))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Program manager must be an active admin or mentor',
+        });
+      }
+
+      const data = {};
+      EDITABLE_FIELDS.forEach((field) => {
+        if (req.body[field] !== undefined) data[field] = req.body[field];
+      });
+
+      const cohort = await Cohort.create({ ...data, createdBy: req.user._id });
+
+      res.status(201).json({
+        success: true,
+        message: 'Cohort created successfully',
+        data: cohort,
+      });
+
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'A cohort with this name already exists',
+          code: 'DUPLICATE_NAME',
+        });
+      }
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: Object.values(error.errors).map(e => ({ field: e.path, message: e.message })),
+        });
+      }
+      console.error('Create cohort error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error creating cohort',
+      });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/cohorts/:id
+ * @desc    Update a cohort
+ * @access  Protected (Admin or program manager)
+ */
+router.put(
+  '/:id',
+  [param('id').isMongoId().withMessage('Invalid cohort ID'), ...cohortValidation(true)],
+  loadManagedCohort,
+  async (req, res) => {
+    try {
+      const { cohort } = req;
+
+      // Only admins can hand the cohort to another program manager
+      if (req.body.programManager !== undefined && req.user.role !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only admins can change the program manager',
+        });
+      }
+
+      if (!(await isValidProgramManager(req.body.programManager))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Program manager must be an active admin or mentor',
+        });
+      }
+
+      if (req.body.capacity !== undefined) {
+        const memberCount = await cohort.getMemberCount();
+        if (parseInt(req.body.capacity) < memberCount) {
+          return res.status(400).json({
+            success: false,
+            message: `Capacity cannot be below the current ${memberCount} members`,
+          });
+        }
+      }
+
+      EDITABLE_FIELDS.forEach((field) => {
+        if (req.body[field] !== undefined) cohort.set(field, req.body[field]);
+      });
+
+      await cohort.save();
+
+      res.status(200).json({
+        success: true,
+        message: 'Cohort updated successfully',
+        data: cohort,
+      });
+
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'A cohort with this name already exists',
+          code: 'DUPLICATE_NAME',
+        });
+      }
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: Object.values(error.errors).map(e => ({ field: e.path, message: e.message })),
+        });
+      }
+      console.error('Update cohort error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error updating cohort',
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/cohorts/:id
+ * @desc    Delete an empty cohort
+ * @access  Protected (Admin)
+ */
+router.delete(
+  '/:id',
+  authorize('admin'),
+  [param('id').isMongoId().withMessage('Invalid cohort ID')],
+  loadManagedCohort,
+  async (req, res) => {
+    try {
+      const memberCount = await req.cohort.getMemberCount();
+      if (memberCount > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Cohort still has ${memberCount} member${memberCount === 1 ? '' : 's'}. Remove them or archive the cohort instead.`,
+        });
+      }
+
+      await req.cohort.deleteOne();
+
+      res.status(200).json({
+        success: true,
+        message: 'Cohort deleted successfully',
+      });
+
+    } catch (error) {
+      console.error('Delete cohort error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error deleting cohort',
+      });
+    }
+  }
+);
+
+// =============================================================================
+// APPLICATIONS
+// =============================================================================
+
+/**
+ * @route   POST /api/cohorts/:id/apply
+ * @desc    Apply to a cohort with the given startup, or the founder's own
+ * @access  Protected (Founder; startup owner or editor)
+ */
+router.post(
+  '/:id/apply',
+  authorize('founder'),
+  [
+    param('id').isMongoId().withMessage('Invalid cohort ID'),
+    body('startup').optional().isMongoId().withMessage('Invalid startup ID'),
+    body('motivation').optional().isLength({ max: 2000 }).withMessage('Motivation cannot exceed 2000 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: formatErrors(errors),
+        });
+      }
+
+      const cohort = await Cohort.findById(req.params.id);
+      if (!cohort) {
+        return res.status(404).json({
+          success: false,
+          message: 'Cohort not found',
+        });
+      }
+
+      const startupId = req.body.startup || req.user.startup;
+      const startup = startupId ? await Startup.findById(startupId) : null;
+
+      if (!startup) {
+        return res.status(400).json({
+          success: false,
+          message: 'You need a startup profile to apply to a cohort',
+        });
+      }
+
+      if (!startup.hasMemberRole(req.user._id, 'editor')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to apply for this startup',
+        });
+      }
+
+      if (!JOINABLE_STATUSES.includes(startup.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `A ${startup.status} startup cannot apply to a cohort`,
+        });
+      }
+
+      if (startup.cohort) {
+        return res.status(400).json({
+          success: false,
+          message: 'Your startup is already in a cohort',
+        });
+      }
+
+      const application = await cohort.submitApplication(startup._id, req.user._id, req.body.motivation);
+
+      if (cohort.programManager) {
+        await sendNotification(
+          cohort.programManager,
+          'cohort_update',
+          'New Cohort Application',
+          `${startup.name} applied to join ${cohort.name}.`,
+          'Cohort',
+          cohort._id
+        );
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Application submitted successfully',
+        data: application,
+      });
+
+    } catch (error) {
+      if (APPLICATION_ERRORS.includes(error.message)) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      console.error('Apply to cohort error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error applying to cohort',
+      });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/cohorts/:id/applications/:applicationId
+ * @desc    Accept or reject a cohort application
+ * @access  Protected (Admin or program manager)
+ */
+router.put(
+  '/:id/applications/:applicationId',
+  [
+    param('id').isMongoId().withMessage('Invalid cohort ID'),
+    param('applicationId').isMongoId().withMessage('Invalid application ID'),
+    body('decision').isIn(['Accepted', 'Rejected']).withMessage('Decision must be Accepted or Rejected'),
+    body('note').optional().isLength({ max: 1000 }).withMessage('Note cannot exceed 1000 characters'),
+  ],
+  loadManagedCohort,
+  async (req, res) => {
+    try {
+      const { cohort } = req;
+      const { decision, note } = req.body;
+      const application = cohort.applications.id(req.params.applicationId);
+
+      if (!application) {
+        return res.status(404).json({
+          success: false,
+          message: 'Application not found',
+        });
+      }
+
+      if (application.status !== 'Pending') {
+        return res.status(400).json({
+          success: false,
+          message: `Application is already ${application.status}`,
+        });
+      }
+
+      const startup = await Startup.findById(application.startup);
+      if (!startup) {
+        return res.status(404).json({
+          success: false,
+          message: 'Startup not found',
+        });
+      }
+
+      if (decision === 'Accepted') {
+        if (startup.cohort) {
+          return res.status(400).json({
+            success: false,
+            message: 'Startup is already in a cohort',
+          });
+        }
+        await cohort.addMember(startup);
+      }
+
+      application.status = decision;
+      application.decidedBy = req.user._id;
+      application.decidedAt = new Date();
+      application.note = note;
+      await cohort.save();
+
+      await notifyFounder(
+        startup,
+        cohort,
+        `Cohort Application ${decision}`,
+        decision === 'Accepted'
+          ? `${startup.name} has been accepted into ${cohort.name}.`
+          : `${startup.name}'s application to ${cohort.name} was not accepted.${note ? ` Note: ${note}` : ''}`
+      );
+
+      res.status(200).json({
+        success: true,
+        message: `Application ${decision.toLowerCase()}`,
+        data: application,
+      });
+
+    } catch (error) {
+      if (MEMBERSHIP_ERRORS.includes(error.message)) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      console.error('Decide cohort application error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error updating application',
+      });
+    }
+  }
+);
+
+// =============================================================================
+// MEMBERSHIP
+// =============================================================================
+
+/**
+ * @route   POST /api/cohorts/:id/members
+ * @desc    Add a startup to the cohort directly
+ * @access  Protected (Admin or program manager)
+ */
+router.post(
+  '/:id/members',
+  [
+    param('id').isMongoId().withMessage('Invalid cohort ID'),
+    body('startupId').isMongoId().withMessage('Valid startup ID is required'),
+  ],
+  loadManagedCohort,
+  async (req, res) => {
+    try {
+      const { cohort } = req;
+      const startup = await Startup.findById(req.body.startupId);
+
+      if (!startup) {
+        return res.status(404).json({
+          success: false,
+          message: 'Startup not found',
+        });
+      }
+
+      if (startup.cohort) {
+        return res.status(400).json({
+          success: false,
+          message: startup.cohort.toString() === cohort._id.toString()
+            ? 'Startup is already in this cohort'
+            : 'Startup is already in another cohort',
+        });
+      }
+
+      await cohort.addMember(startup);
+      await notifyFounder(startup, cohort, 'Added to Cohort', `${startup.name} has joined ${cohort.name}.`);
+
+      res.status(200).json({
+        success: true,
+        message: `${startup.name} added to ${cohort.name}`,
+        data: { startup: startup._id, cohort: cohort._id },
+      });
+
+    } catch (error) {
+      if (MEMBERSHIP_ERRORS.includes(error.message)) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      console.error('Add cohort member error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error adding startup to cohort',
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/cohorts/:id/members/:startupId
+ * @desc    Remove a startup from the cohort
+ * @access  Protected (Admin or program manager)
+ */
+router.delete(
+  '/:id/members/:startupId',
+  [
+    param('id').isMongoId().withMessage('Invalid cohort ID'),
+    param('startupId').isMongoId().withMessage('Invalid startup ID'),
+  ],
+  loadManagedCohort,
+  async (req, res) => {
+    try {
+      const startup = await Startup.findOne({ _id: req.params.startupId, cohort: req.cohort._id });
+
+      if (!startup) {
+        return res.status(404).json({
+          success: false,
+          message: 'Startup is not in this cohort',
+        });
+      }
+
+      await req.cohort.removeMember(startup);
+
+      res.status(200).json({
+        success: true,
+        message: `${startup.name} removed from ${req.cohort.name}`,
+      });
+
+    } catch (error) {
+      console.error('Remove cohort member error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error removing startup from cohort',
+      });
+    }
+  }
+);
+
+// =============================================================================
+// DASHBOARD & GRADUATION
+// =============================================================================
+
+/**
+ * @route   GET /api/cohorts/:id/dashboard
+ * @desc    KPIs aggregated across the cohort's startups
+ * @access  Protected (Admin or program manager)
+ */
+router.get(
+  '/:id/dashboard',
+  [param('id').isMongoId().withMessage('Invalid cohort ID')],
+  loadManagedCohort,
+  async (req, res) => {
+    try {
+      const dashboard = await req.cohort.getDashboard();
+
+      res.status(200).json({
+        success: true,
+        data: dashboard,
+      });
+
+    } catch (error) {
+      console.error('Cohort dashboard error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching cohort dashboard',
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/cohorts/:id/graduate
+ * @desc    Graduate cohort startups through Startup.updateStatus
+ *          Without startupIds, the cohort's graduation candidates graduate
+ * @access  Protected (Admin or program manager)
+ */
+router.post(
+  '/:id/graduate',
+  [
+    param('id').isMongoId().withMessage('Invalid cohort ID'),
+    body('startupIds').optional().isArray({ min: 1, max: 500 }).withMessage('startupIds must be a non-empty array'),
+    body('startupIds.*').optional().isMongoId().withMessage('Invalid startup ID'),
+    body('reason').optional().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+    body('completeCohort').optional().isBoolean().withMessage('completeCohort must be a boolean'),
+  ],
+  loadManagedCohort,
+  async (req, res) => {
+    try {
+      const { cohort } = req;
+      const reason = req.body.reason || `Graduated from ${cohort.name}`;
+
+      const startups = req.body.startupIds
+        ? await Startup.find({ _id: { $in: req.body.startupIds }, cohort: cohort._id })
+        : await Startup.getGraduationCandidates({ cohort: cohort._id });
+
+      const results = [];
+      for (const startup of startups) {
+        if (startup.status === 'Graduated') {
+          results.push({ id: startup._id, name: startup.name, success: false, message: 'Already graduated' });
+          continue;
+        }
+
+        await startup.updateStatus('Graduated', req.user._id, reason);
+        await notifyFounder(startup, cohort, 'Congratulations on Graduating!', `${startup.name} has graduated from ${cohort.name}.`);
+        results.push({ id: startup._id, name: startup.name, success: true, message: 'Graduated' });
+      }
+
+      const graduated = results.filter(r => r.success).length;
+
+      if (req.body.completeCohort === true || req.body.completeCohort === 'true') {
+        cohort.status = 'Completed';
+        await cohort.save();
+      }
+
+      res.status(200).json({
+        success: true,
+        message: `Graduated ${graduated} startup${graduated === 1 ? '' : 's'} from ${cohort.name}`,
+        data: {
+          graduated,
+          cohortStatus: cohort.status,
+          results,
+        },
+      });
+
+    } catch (error) {
+      console.error('Graduate cohort error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error graduating startups',
+      });
+    }
+  }
+);
+
+module.exports = router;
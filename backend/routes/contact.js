@@ -0,0 +1,495 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const ContactMessage = require('../models/ContactMessage');
+const User = require('../models/User');
+const { protect, authorize, optionalAuth } = require('../middleware/auth');
+const { sendNotification } = require('../services/notificationService');
+const { enqueueEmail } = require('../services/emailQueue');
+const { renderContactReplyEmail } = require('../services/emailTemplates');
+const { screenSubmission } = require('../utils/sanitizer');
+
+/**
+ * Contact Routes
+ * Public contact form submission and the admin inbox
+ * Request bodies have already passed through sanitizeMiddleware
+ */
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Format validation errors
+ */
+const formatErrors = (errors) => {
+  return errors.array().map(err => ({
+    field: err.path || err.param,
+    message: err.msg,
+  }));
+};
+
+const CONTACT_STATUSES = ContactMessage.schema.path('status').enumValues;
+
+// Messages accepted from one email address per hour
+const MAX_MESSAGES_PER_EMAIL = parseInt(process.env.CONTACT_MAX_PER_EMAIL) || 5;
+const EMAIL_WINDOW_MS = 60 * 60 * 1000;
+
+const SUCCESS_MESSAGE = 'Message sent successfully! We\'ll get back to you soon.';
+
+/**
+ * Notify every active admin about a new inquiry
+ * @param {ContactMessage} contactMessage - Saved message
+ */
+const notifyAdmins = async (contactMessage) => {
+  const admins = await User.find({ role: 'admin', isActive: true }).select('_id').lean();
+
+  await Promise.all(admins.map(admin => sendNotification(
+    admin._id,
+    'contact_message_received',
+    `New inquiry: ${contactMessage.subject}`,
+    `${contactMessage.name} (${contactMessage.email}) sent a message through the contact form.`,
+    'ContactMessage',
+    contactMessage._id,
+    { actionUrl: '/admin/contact', actionText: 'Open Inbox' }
+  )));
+};
+
+/**
+ * Check validation and load the contact message for inbox routes
+ */
+const loadMessage = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: formatErrors(errors),
+      });
+    }
+
+    const contactMessage = await ContactMessage.findById(req.params.id);
+
+    if (!contactMessage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found',
+      });
+    }
+
+    req.contactMessage = contactMessage;
+    next();
+  } catch (error) {
+    console.error('Load contact message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching message',
+    });
+  }
+};
+
+// =============================================================================
+// PUBLIC ROUTES
+// =============================================================================
+
+/**
+ * @route   POST /api/contact
+ * @desc    Submit the public contact form
+ * @access  Public (rate limited)
+ */
+router.post(
+  '/',
+  optionalAuth,
+  [
+    body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters'),
+    body('email').trim().isEmail().withMessage('Please provide a valid email'),
+    body('subject').trim().isLength({ min: 3, max: 200 }).withMessage('Subject must be 3-200 characters'),
+    body('message').trim().isLength({ min: 10, max: 5000 }).withMessage('Message must be 10-5000 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const { name, email, subject, message, website, formStartedAt } = req.body;
+
+      const screen = screenSubmission({
+        honeypot: website,
+        startedAt: formStartedAt,
+        text: `${subject || ''} ${message || ''}`,
+      });
+
+      // Bots get the normal success response so they don't retry
+      if (screen.isBot) {
+        return res.status(201).json({
+          success: true,
+          message: SUCCESS_MESSAGE,
+        });
+      }
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: formatErrors(errors),
+        });
+      }
+
+      const recentCount = await ContactMessage.countRecentFrom(email, EMAIL_WINDOW_MS);
+      if (recentCount >= MAX_MESSAGES_PER_EMAIL) {
+        return res.status(429).json({
+          success: false,
+          message: 'Too many messages from this email address, please try again later',
+        });
+      }
+
+      const contactMessage = await ContactMessage.create({
+        name,
+        email,
+        subject,
+        message,
+        user: req.user?._id,
+        status: screen.isSpam ? 'Spam' : 'New',
+        spamReasons: screen.reasons,
+        ipAddress: req.ip,
+        userAgent: (req.get('user-agent') || '').slice(0, 500),
+      });
+
+      if (!screen.isSpam) {
+        await notifyAdmins(contactMessage);
+      }
+
+      res.status(201).json({
+        success: true,
+        message: SUCCESS_MESSAGE,
+      });
+
+    } catch (error) {
+      console.error('Submit contact message error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error sending message',
+      });
+    }
+  }
+);
+
+// =============================================================================
+// ADMIN INBOX
+// =============================================================================
+
+/**
+ * @route   GET /api/contact/messages
+ * @desc    List contact messages (filterable by status, assignee, search)
+ * @access  Protected (Admin)
+ */
+router.get(
+  '/messages',
+  protect,
+  authorize('admin'),
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100'),
+    query('status').optional().isIn([...CONTACT_STATUSES, 'open']).withMessage('Invalid status'),
+    query('assignedTo').optional().custom(value => value === 'me' || value === 'none' || /^[a-fA-F0-9]{24}$/.test(value))
+      .withMessage('assignedTo must be me, none or a user ID'),
+    query('search').optional().isString(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: formatErrors(errors),
+        });
+      }
+
+      const { status, assignedTo, search, page = 1, limit = 20 } = req.query;
+      const filter = {};
+
+      if (status === 'open') {
+        filter.status = { $in: ['New', 'Open'] };
+      } else if (status) {
+        filter.status = status;
+      } else {
+        // Spam stays out of the inbox unless asked for
+        filter.status = { $ne: 'Spam' };
+      }
+
+      if (assignedTo === 'me') {
+        filter.assignedTo = req.user._id;
+      } else if (assignedTo === 'none') {
+        filter.assignedTo = null;
+      } else if (assignedTo) {
+        filter.assignedTo = assignedTo;
+      }
+
+      if (search) {
+        filter.$text = { $search: search };
+      }
+
+      const [messages, count, statusCounts] = await Promise.all([
+        ContactMessage.find(filter)
+          .populate('assignedTo', 'name email')
+          .sort({ createdAt: -1 })
+          .limit(parseInt(limit))
+          .skip((parseInt(page) - 1) * parseInt(limit))
+          .lean(),
+        ContactMessage.countDocuments(filter),
+        ContactMessage.getStatusCounts(),
+      ]);
+
+      res.status(200).json({
+        success: true,
+        count,
+        totalPages: Math.ceil(count / limit),
+        currentPage: parseInt(page),
+        statusCounts,
+        data: messages,
+      });
+
+    } catch (error) {
+      console.error('Get contact messages error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching messages',
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/contact/messages/:id
+ * @desc    Get a contact message with its replies
+ * @access  Protected (Admin)
+ */
+router.get(
+  '/messages/:id',
+  protect,
+  authorize('admin'),
+  [param('id').isMongoId().withMessage('Invalid message ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: formatErrors(errors),
+        });
+      }
+
+      const contactMessage = await ContactMessage.findById(req.params.id)
+        .populate('assignedTo', 'name email')
+        .populate('closedBy', 'name email')
+        .populate('replies.sentBy', 'name email')
+        .populate('user', 'name email role');
+
+      if (!contactMessage) {
+        return res.status(404).json({
+          success: false,
+          message: 'Message not found',
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: contactMessage,
+      });
+
+    } catch (error) {
+      console.error('Get contact message error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching message',
+      });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/contact/messages/:id/assign
+ * @desc    Assign a message to an admin (defaults to the current user)
+ * @access  Protected (Admin)
+ */
+router.put(
+  '/messages/:id/assign',
+  protect,
+  authorize('admin'),
+  [
+    param('id').isMongoId().withMessage('Invalid message ID'),
+    body('assigneeId').optional().isMongoId().withMessage('Invalid assignee ID'),
+  ],
+  loadMessage,
+  async (req, res) => {
+    try {
+      const assigneeId = req.body.assigneeId || req.user._id.toString();
+      const assignee = await User.findOne({ _id: assigneeId, role: 'admin', isActive: true }).select('name email');
+
+      if (!assignee) {
+        return res.status(400).json({
+          success: false,
+          message: 'Assignee must be an active admin',
+        });
+      }
+
+      await req.contactMessage.assignTo(assignee._id);
+
+      if (assignee._id.toString() !== req.user._id.toString()) {
+        await sendNotification(
+          assignee._id,
+          'contact_message_received',
+          `Inquiry assigned to you: ${req.contactMessage.subject}`,
+          `${req.user.name} assigned you the message from ${req.contactMessage.name}.`,
+          'ContactMessage',
+          req.contactMessage._id,
+          { actionUrl: '/admin/contact', actionText: 'Open Inbox' }
+        );
+      }
+
+      res.status(200).json({
+        success: true,
+        message: `Message assigned to ${assignee.name}`,
+        data: req.contactMessage,
+      });
+
+    } catch (error) {
+      if (error.message === 'Cannot assign a closed message') {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      console.error('Assign contact message error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error assigning message',
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/contact/messages/:id/reply
+ * @desc    Email a reply to the sender and record it on the message
+ * @access  Protected (Admin)
+ */
+router.post(
+  '/messages/:id/reply',
+  protect,
+  authorize('admin'),
+  [
+    param('id').isMongoId().withMessage('Invalid message ID'),
+    body('message').trim().isLength({ min: 1, max: 5000 }).withMessage('Reply must be 1-5000 characters'),
+  ],
+  loadMessage,
+  async (req, res) => {
+    try {
+      const { contactMessage } = req;
+
+      if (contactMessage.status === 'Spam') {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot reply to a spam message',
+        });
+      }
+
+      const { subject, text, html } = renderContactReplyEmail(contactMessage, req.body.message);
+      const email = await enqueueEmail({
+        to: contactMessage.email,
+        user: contactMessage.user,
+        subject,
+        text,
+        html,
+        kind: 'transactional',
+      });
+
+      await contactMessage.addReply(req.body.message, req.user._id, email._id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Reply queued for delivery',
+        data: contactMessage,
+      });
+
+    } catch (error) {
+      console.error('Reply contact message error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error sending reply',
+      });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/contact/messages/:id/close
+ * @desc    Close a message (optionally as spam)
+ * @access  Protected (Admin)
+ */
+router.put(
+  '/messages/:id/close',
+  protect,
+  authorize('admin'),
+  [
+    param('id').isMongoId().withMessage('Invalid message ID'),
+    body('spam').optional().isBoolean().withMessage('Spam must be a boolean'),
+  ],
+  loadMessage,
+  async (req, res) => {
+    try {
+      const spam = req.body.spam === true || req.body.spam === 'true';
+      await req.contactMessage.close(req.user._id, spam);
+
+      res.status(200).json({
+        success: true,
+        message: spam ? 'Message marked as spam' : 'Message closed',
+        data: req.contactMessage,
+      });
+
+    } catch (error) {
+      console.error('Close contact message error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error closing message',
+      });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/contact/messages/:id/reopen
+ * @desc    Reopen a closed message
+ * @access  Protected (Admin)
+ */
+router.put(
+  '/messages/:id/reopen',
+  protect,
+  authorize('admin'),
+  [param('id').isMongoId().withMessage('Invalid message ID')],
+  loadMessage,
+  async (req, res) => {
+    try {
+      if (req.contactMessage.isOpen) {
+        return res.status(400).json({
+          success: false,
+          message: 'Message is already open',
+        });
+      }
+
+      await req.contactMessage.reopen();
+
+      res.status(200).json({
+        success: true,
+        message: 'Message reopened',
+        data: req.contactMessage,
+      });
+
+    } catch (error) {
+      console.error('Reopen contact message error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error reopening message',
+      });
+    }
+  }
+);
+
+module.exports = router;
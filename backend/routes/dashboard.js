@@ -1,17 +1,179 @@
 const express = require('express');
 const router = express.Router();
+const { body, validationResult } = require('express-validator');
 const { protect, authorize } = require('../middleware/auth');
 const Startup = require('../models/Startup');
 const User = require('../models/User');
+const Mentor = require('../models/Mentor');
+const Cohort = require('../models/Cohort');
 const MentorshipRequest = require('../models/MentorshipRequest');
 const Resource = require('../models/Resource');
 const Notification = require('../models/Notification');
+const KpiSnapshot = require('../models/KpiSnapshot');
+const CheckInReport = require('../models/CheckInReport');
+const { buildChartSeries, deriveMetrics } = require('../services/kpiService');
+const { withOptionalTransaction } = require('../utils/transaction');
 
 /**
  * Dashboard Routes
  * Provides role-specific dashboard data and statistics
  */
 
+/**
+ * Format validation errors
+ */
+const formatErrors = (errors) => {
+  return errors.array().map(err => ({
+    field: err.path || err.param,
+    message: err.msg,
+  }));
+};
+
+// Bulk actions that map directly to a startup status
+const BULK_STATUS_ACTIONS = {
+  approve: 'Approved',
+  activate: 'Active',
+  reject: 'Rejected',
+  deactivate: 'Inactive',
+  graduate: 'Graduated',
+};
+
+const BULK_ACTIONS = [
+  ...Object.keys(BULK_STATUS_ACTIONS),
+  'status',
+  'flag',
+  'assign-mentor',
+  'remove-mentor',
+  'assign-cohort',
+  'tag',
+  'untag',
+  'delete',
+];
+
+const BULK_ACTION_LABELS = {
+  approve: 'Approved',
+  activate: 'Activated',
+  reject: 'Rejected',
+  deactivate: 'Deactivated',
+  graduate: 'Graduated',
+  status: 'Updated status of',
+  flag: 'Flagged',
+  'assign-mentor': 'Assigned mentor to',
+  'remove-mentor': 'Removed mentor from',
+  'assign-cohort': 'Assigned cohort to',
+  tag: 'Tagged',
+  untag: 'Untagged',
+  delete: 'Deleted',
+};
+
+// Tag used by the "Flag for Review" bulk action
+const FLAG_TAG = 'flagged';
+
+/**
+ * Error for a single item of a bulk action - reported, not thrown to the client
+ */
+class BulkItemError extends Error {}
+
+/**
+ * Apply a bulk action to one startup
+ * @param {Startup} startup - Startup document (bound to the session, if any)
+ * @param {string} action - Bulk action
+ * @param {Object} params - { status, reason, mentor, cohort, tags }
+ *                          (cohort is a Cohort document, or null to remove)
+ * @param {Object} context - { user, session }
+ * @returns {Promise<string>} Result message
+ */
+const applyBulkAction = async (startup, action, params, { user, session }) => {
+  const newStatus = action === 'status' ? params.status : BULK_STATUS_ACTIONS[action];
+
+  if (newStatus) {
+    if (startup.status === newStatus) {
+      throw new BulkItemError(`Startup is already ${newStatus}`);
+    }
+    await startup.updateStatus(newStatus, user._id, params.reason || `Bulk action: ${action}`);
+    return `Status changed to ${newStatus}`;
+  }
+
+  switch (action) {
+    case 'flag':
+      if (!startup.tags.includes(FLAG_TAG)) {
+        startup.tags.push(FLAG_TAG);
+      }
+      if (params.reason) {
+        startup.notes = `${startup.notes ? `${startup.notes}\n` : ''}Flagged: ${params.reason}`.substring(0, 2000);
+      }
+      await startup.save();
+      return 'Flagged for review';
+
+    case 'assign-mentor': {
+      const { mentor } = params;
+      if (startup.mentors.some(m => m.toString() === mentor._id.toString())) {
+        throw new BulkItemError('Mentor is already assigned');
+      }
+      const added = await mentor.addMentee(startup._id, session);
+      if (!added) {
+        throw new BulkItemError('Mentor is at capacity');
+      }
+      startup.mentors.push(mentor._id);
+      await startup.save();
+      return 'Mentor assigned';
+    }
+
+    case 'remove-mentor': {
+      const { mentor } = params;
+      if (!startup.mentors.some(m => m.toString() === mentor._id.toString())) {
+        throw new BulkItemError('Mentor is not assigned');
+      }
+      startup.mentors = startup.mentors.filter(m => m.toString() !== mentor._id.toString());
+      await startup.save();
+      await mentor.removeMentee(startup._id, session);
+      return 'Mentor removed';
+    }
+
+    case 'assign-cohort': {
+      const { cohort } = params;
+      if (!cohort) {
+        if (!startup.cohort) {
+          throw new BulkItemError('Startup is not in a cohort');
+        }
+        const previous = startup.cohort;
+        startup.cohort = undefined;
+        await startup.save();
+        await Cohort.releaseSeat(previous, session);
+        return 'Removed from cohort';
+      }
+      try {
+        await cohort.addMember(startup, session);
+      } catch (error) {
+        if (['Startup is already in this cohort', 'Cohort is at capacity'].includes(error.message)) {
+          throw new BulkItemError(error.message);
+        }
+        throw error;
+      }
+      return `Assigned to cohort ${cohort.name}`;
+    }
+
+    case 'tag':
+      params.tags.forEach((tag) => {
+        if (!startup.tags.includes(tag)) startup.tags.push(tag);
+      });
+      await startup.save();
+      return `Tags: ${startup.tags.join(', ')}`;
+
+    case 'untag':
+      startup.tags = startup.tags.filter(tag => !params.tags.includes(tag));
+      await startup.save();
+      return `Tags: ${startup.tags.join(', ') || 'none'}`;
+
+    case 'delete':
+      await startup.deleteOne();
+      return 'Deleted';
+
+    default:
+      throw new BulkItemError(`Unsupported action: ${action}`);
+  }
+};
+
 /**
  * @route   GET /api/dashboard
  * @desc    Get dashboard data based on user role
@@ -83,6 +245,8 @@ async function getAdminDashboard() {
       startupsByDomain,
       recentStartups,
       recentUsers,
+      needingAttention,
+      overdueCheckIns,
     ] = await Promise.all([
       Startup.countDocuments(),
       Startup.countDocuments({ status: 'Pending' }),
@@ -114,6 +278,9 @@ async function getAdminDashboard() {
         .limit(5)
         .select('name email role createdAt')
         .lean(),
+      // Stale or missing monthly check-ins
+      Startup.getNeedingAttention(),
+      CheckInReport.countDocuments({ status: 'Pending', dueDate: { $lt: new Date() } }),
     ]);
 
     // Calculate growth (compare to 30 days ago)
@@ -148,9 +315,16 @@ async function getAdminDashboard() {
         startups: recentStartups,
         users: recentUsers,
       },
+      needingAttention: needingAttention.map(s => ({
+        _id: s._id,
+        name: s.name,
+        founder: s.founder,
+        updatedAt: s.updatedAt,
+      })),
       actions: [
         { label: 'Review Pending Startups', count: pendingStartups, link: '/admin/startups?status=Pending' },
         { label: 'Process Mentorship Requests', count: pendingRequests, link: '/admin/mentorship' },
+        { label: 'Chase Overdue Check-ins', count: overdueCheckIns, link: '/check-ins' },
       ],
     };
   } catch (error) {
@@ -184,13 +358,14 @@ async function getFounderDashboard(user) {
           }),
           MentorshipRequest.find({ startup: startupId })
             .select('sessions selectedMentor status')
-            .populate('selectedMentor', 'name')
-            .lean(),
+            .populate('selectedMentor', 'name'),
         ]);
 
-        // Calculate completed sessions
+        // Calculate completed sessions and action item progress
         let completedSessions = 0;
         let upcomingSessions = [];
+        const actionItems = { total: 0, completed: 0, open: 0, overdue: 0 };
+        const completionRates = [];
 
         sessions.forEach(req => {
           if (req.sessions) {
@@ -200,11 +375,19 @@ async function getFounderDashboard(user) {
             );
             upcomingSessions = upcomingSessions.concat(
               upcoming.map(s => ({
-                ...s,
+                ...s.toObject(),
                 mentorName: req.selectedMentor?.name || 'TBD',
               }))
             );
           }
+
+          const itemStats = req.getActionItemStats();
+          Object.keys(actionItems).forEach((key) => {
+            actionItems[key] += itemStats[key];
+          });
+          if (req.sessions && req.sessions.length > 0) {
+            completionRates.push(req.getCompletionRate());
+          }
         });
 
         mentorshipStats = {
@@ -212,6 +395,15 @@ async function getFounderDashboard(user) {
           activeRequests,
           completedSessions,
           upcomingSessions: upcomingSessions.slice(0, 5),
+          actionItems: {
+            ...actionItems,
+            completionRate: actionItems.total
+              ? Math.round((actionItems.completed / actionItems.total) * 100)
+              : 0,
+          },
+          completionRate: completionRates.length
+            ? Math.round(completionRates.reduce((sum, rate) => sum + rate, 0) / completionRates.length)
+            : 0,
         };
       }
     }
@@ -269,11 +461,17 @@ async function getMentorDashboard(user) {
     }
 
     // Get mentorship requests
-    const [pendingRequests, activeMentees, completedSessions, recentRequests] = await Promise.all([
+    const [pendingRequests, pendingProposals, activeMentees, completedSessions, recentRequests] = await Promise.all([
       MentorshipRequest.countDocuments({
         'matchedMentors.mentor': mentor._id,
         status: { $in: ['Pending', 'Matched'] },
       }),
+      MentorshipRequest.countDocuments({
+        matchedMentors: {
+          $elemMatch: { mentor: mentor._id, status: 'Pending', expiresAt: { $gt: new Date() } },
+        },
+        status: 'Matched',
+      }),
       Startup.countDocuments({ mentors: mentor._id }),
       MentorshipRequest.aggregate([
         { $match: { selectedMentor: mentor._id } },
@@ -334,6 +532,7 @@ async function getMentorDashboard(user) {
       },
       stats: {
         pendingRequests,
+        pendingProposals,
         activeMentees,
         completedSessions: completedSessions[0]?.count || 0,
       },
@@ -360,7 +559,7 @@ async function getInvestorDashboard() {
       Startup.find({ status: 'Active' })
         .sort({ 'kpis.funding': -1 })
         .limit(10)
-        .select('name domain stage kpis founders')
+        .select('name domain stage kpis kpiTrends founders')
         .lean(),
       Startup.countDocuments({ 'kpis.funding': { $gt: 0 } }),
       Startup.aggregate([
@@ -375,6 +574,14 @@ async function getInvestorDashboard() {
       { $group: { _id: null, total: { $sum: '$kpis.funding' } } },
     ]);
 
+    // Monthly totals across active startups for the last year
+    const activeIds = await Startup.distinct('_id', { status: 'Active' });
+    const portfolioSeries = await KpiSnapshot.getPortfolioSeries(
+      activeIds,
+      KpiSnapshot.shiftPeriod(KpiSnapshot.periodOf(new Date()), -11)
+    );
+    portfolioSeries.forEach((month, i) => deriveMetrics(month, portfolioSeries[i - 1] || null));
+
     return {
       role: 'investor',
       overview: {
@@ -384,6 +591,7 @@ async function getInvestorDashboard() {
       },
       charts: {
         byStage: startupsByStage,
+        kpis: buildChartSeries(portfolioSeries),
       },
       featured: activeStartups.slice(0, 5),
       actions: [
@@ -450,4 +658,156 @@ router.get('/recent-activity', protect, async (req, res) => {
   }
 });
 
+/**
+ * @route   PUT /api/dashboard/bulk-action
+ * @desc    Apply an admin action to many startups at once
+ *          Returns a per-startup report; runs in a transaction when the
+ *          deployment supports it
+ * @access  Protected (Admin)
+ */
+router.put(
+  '/bulk-action',
+  protect,
+  authorize('admin'),
+  [
+    body('action')
+      .isIn(BULK_ACTIONS)
+      .withMessage(`Action must be one of: ${BULK_ACTIONS.join(', ')}`),
+    body('startupIds')
+      .isArray({ min: 1, max: 100 })
+      .withMessage('startupIds must be an array of 1-100 IDs'),
+    body('startupIds.*').isMongoId().withMessage('Invalid startup ID'),
+    body('status')
+      .if(body('action').equals('status'))
+      .isIn(Startup.schema.path('status').enumValues)
+      .withMessage('Invalid status'),
+    body('mentorId')
+      .if(body('action').isIn(['assign-mentor', 'remove-mentor']))
+      .isMongoId()
+      .withMessage('Valid mentor ID is required'),
+    body('cohortId')
+      .if(body('action').equals('assign-cohort'))
+      .optional({ values: 'falsy' })
+      .isMongoId()
+      .withMessage('Invalid cohort ID'),
+    body('tags')
+      .if(body('action').isIn(['tag', 'untag']))
+      .isArray({ min: 1, max: 20 })
+      .withMessage('Tags must be an array of 1-20 tags'),
+    body('tags.*')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Each tag must be 1-50 characters'),
+    body('reason')
+      .optional()
+      .isLength({ max: 500 })
+      .withMessage('Reason cannot exceed 500 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: formatErrors(errors),
+        });
+      }
+
+      const { action, reason } = req.body;
+      const startupIds = [...new Set(req.body.startupIds)];
+      const params = {
+        status: req.body.status,
+        reason,
+        tags: (req.body.tags || []).map(t => t.toLowerCase().trim()),
+      };
+
+      if (['assign-mentor', 'remove-mentor'].includes(action)) {
+        const mentorExists = await Mentor.exists({ _id: req.body.mentorId, isActive: true });
+        if (!mentorExists) {
+          return res.status(404).json({
+            success: false,
+            message: 'Mentor not found',
+          });
+        }
+      }
+
+      if (action === 'assign-cohort' && req.body.cohortId) {
+        const cohortExists = await Cohort.exists({ _id: req.body.cohortId });
+        if (!cohortExists) {
+          return res.status(404).json({
+            success: false,
+            message: 'Cohort not found',
+          });
+        }
+      }
+
+      const { result: results, transactional } = await withOptionalTransaction(async (session) => {
+        // Built fresh on every attempt - the driver may retry the transaction
+        const report = [];
+
+        if (['assign-mentor', 'remove-mentor'].includes(action)) {
+          params.mentor = await Mentor.findById(req.body.mentorId).session(session);
+        }
+
+        if (action === 'assign-cohort') {
+          params.cohort = req.body.cohortId
+            ? await Cohort.findById(req.body.cohortId).session(session)
+            : null;
+        }
+
+        const startups = await Startup.find({ _id: { $in: startupIds } }).session(session);
+        const byId = new Map(startups.map(s => [s._id.toString(), s]));
+
+        for (const id of startupIds) {
+          const startup = byId.get(id);
+
+          if (!startup) {
+            report.push({ id, success: false, message: 'Startup not found' });
+            continue;
+          }
+
+          try {
+            const message = await applyBulkAction(startup, action, params, { user: req.user, session });
+            report.push({ id, name: startup.name, success: true, message });
+          } catch (error) {
+            if (!(error instanceof BulkItemError) && error.name !== 'ValidationError') {
+              // Unexpected errors abort the whole batch
+              throw error;
+            }
+            report.push({ id, name: startup.name, success: false, message: error.message });
+          }
+        }
+
+        return report;
+      });
+
+      const succeeded = results.filter(r => r.success).length;
+      const failed = results.length - succeeded;
+
+      res.status(200).json({
+        success: succeeded > 0,
+        message: `${BULK_ACTION_LABELS[action]} ${succeeded} of ${results.length} startup${results.length === 1 ? '' : 's'}${failed ? ` (${failed} failed)` : ''}`,
+        data: {
+          action,
+          transactional,
+          succeeded,
+          failed,
+          results,
+        },
+      });
+
+    } catch (error) {
+      console.error('Bulk action error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error applying bulk action',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
 module.exports = router;
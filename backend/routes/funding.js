@@ -1,9 +1,18 @@
 const express = require('express');
 const router = express.Router();
-const { body, validationResult, query } = require('express-validator');
+const fs = require('fs');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { body, param, validationResult, query } = require('express-validator');
 const FundingApplication = require('../models/FundingApplication');
 const Startup = require('../models/Startup');
-const { protect, authorize } = require('../middleware/auth');
+const User = require('../models/User');
+const ScoringRubric = require('../models/ScoringRubric');
+const { protect, authorize, requireVerified } = require('../middleware/auth');
+const { uploadFundingDocument, handleUpload, FUNDING_DOCUMENTS_DIR } = require('../middleware/upload');
+const { sanitizeString, isValidObjectId } = require('../utils/sanitizer');
+const { sendNotification } = require('../services/notificationService');
+const { decisionRule, calibrationStdDev } = require('../config/fundingReview');
 
 /**
  * Funding Routes
@@ -21,6 +30,178 @@ const formatErrors = (errors) => {
   }));
 };
 
+const ROUND_TYPES = ['Pre-Seed', 'Seed', 'Series A', 'Series B', 'Series C', 'Bridge', 'Grant', 'Other'];
+
+// Roles allowed to review funding applications
+const REVIEWER_ROLES = ['admin', 'investor', 'mentor'];
+
+/**
+ * Check whether a user is an assigned reviewer of an application
+ */
+const isAssignedReviewer = (application, userId) => {
+  return application.reviewers.some(r => {
+    const reviewerId = r.reviewer?._id || r.reviewer;
+    return reviewerId && reviewerId.toString() === userId.toString();
+  });
+};
+
+const DOCUMENT_TYPES = ['Pitch Deck', 'Financial Statements', 'Cap Table', 'Business Plan', 'Legal Documents', 'Other'];
+
+// Lifetime of signed document download URLs
+const DOCUMENT_URL_TTL = process.env.DOCUMENT_URL_TTL || '10m';
+
+/**
+ * Secret for signed document URLs (separate audience from auth tokens)
+ */
+const getDocumentUrlSecret = () => process.env.DOCUMENT_URL_SECRET || process.env.JWT_SECRET;
+
+/**
+ * The user's role on the team of the application's startup (or null)
+ */
+const getTeamRole = async (application, user) => {
+  const startupId = application.startup?._id || application.startup;
+  const startup = await Startup.findById(startupId).select('founder team');
+  return startup ? startup.getMemberRole(user._id) : null;
+};
+
+/**
+ * Check whether the user is the applicant
+ */
+const isApplicant = (application, user) => {
+  const applicantId = application.applicant?._id || application.applicant;
+  return applicantId.toString() === user._id.toString();
+};
+
+/**
+ * Check whether a user may see an application and its documents:
+ * the applicant, anyone on the startup's team, assigned reviewers and admins
+ */
+const canAccessApplication = (application, user, teamRole) => {
+  return user.role === 'admin' ||
+    isApplicant(application, user) ||
+    !!teamRole ||
+    isAssignedReviewer(application, user._id);
+};
+
+/**
+ * Check whether a user may edit, submit or withdraw an application:
+ * the applicant or an editor on the startup's team
+ */
+const canManageApplication = (application, user, teamRole) => {
+  return isApplicant(application, user) || Startup.roleAtLeast(teamRole, 'editor');
+};
+
+/**
+ * Application data as shown outside the selection committee: reviewer
+ * names, scores and comments are left out
+ * @param {FundingApplication|Object} application - Document or lean object
+ * @returns {Object}
+ */
+const withoutReviews = (application) => {
+  const data = typeof application.toJSON === 'function' ? application.toJSON() : { ...application };
+  delete data.reviewers;
+  return data;
+};
+
+/**
+ * Remove a file stored by multer (e.g. when the request is rejected)
+ */
+const removeUploadedFile = (file) => {
+  if (!file || !file.path) return;
+  fs.promises.unlink(file.path).catch(err => {
+    console.error('Error removing uploaded file:', err.message);
+  });
+};
+
+/**
+ * Load the application for document routes and check access
+ * Write access is limited to the applicant while the application is
+ * editable, and to admins
+ * @param {Object} options - { write }
+ */
+const loadDocumentApplication = ({ write = false } = {}) => async (req, res, next) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid application ID',
+      });
+    }
+
+    const application = await FundingApplication.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Funding application not found',
+      });
+    }
+
+    const teamRole = await getTeamRole(application, req.user);
+
+    if (!canAccessApplication(application, req.user, teamRole)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access documents for this application',
+      });
+    }
+
+    if (write && req.user.role !== 'admin') {
+      if (!canManageApplication(application, req.user, teamRole)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the applicant or a startup editor can change application documents',
+        });
+      }
+
+      if (!application.isEditable()) {
+        return res.status(400).json({
+          success: false,
+          message: `Documents cannot be changed while the application is ${application.status}`,
+        });
+      }
+    }
+
+    req.application = application;
+    next();
+  } catch (error) {
+    console.error('Load application error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error loading funding application',
+    });
+  }
+};
+
+/**
+ * Notify the applicant about a change to their application
+ */
+const notifyApplicant = (application, title, message, priority = 'medium') => {
+  return sendNotification(
+    application.applicant._id || application.applicant,
+    'funding_status_changed',
+    title,
+    message,
+    'FundingApplication',
+    application._id,
+    { priority, actionUrl: '/my-applications', metadata: { status: application.status } }
+  );
+};
+
+/**
+ * Build the applicant-facing message for a decision
+ */
+const decisionMessage = (application) => {
+  switch (application.status) {
+    case 'Approved':
+      return `Your ${application.roundType} application has been approved for ${application.amountApproved.toLocaleString()} ${application.currency}.`;
+    case 'Rejected':
+      return `Your ${application.roundType} application was not approved.${application.rejectionReason ? ` Reason: ${application.rejectionReason}` : ''}`;
+    default:
+      return `Reviewers need more information about your ${application.roundType} application. Please update it and resubmit.`;
+  }
+};
+
 // =============================================================================
 // ROUTES
 // =============================================================================
@@ -28,7 +209,7 @@ const formatErrors = (errors) => {
 /**
  * @route   POST /api/funding/applications
  * @desc    Create a new funding application
- * @access  Protected (founders)
+ * @access  Protected (startup editors, admin)
  */
 router.post(
   '/applications',
@@ -71,12 +252,10 @@ router.post(
         });
       }
 
-      // Check if user is admin or founder of this startup
+      // Admins and startup editors can apply
       const isAdmin = req.user.role === 'admin';
-      const isFounder = startup.founders?.some(f => f.email === req.user.email) || 
-                        startup.user?.toString() === req.user._id.toString();
 
-      if (!isAdmin && !isFounder) {
+      if (!isAdmin && !startup.hasMemberRole(req.user._id, 'editor')) {
         return res.status(403).json({
           success: false,
           message: 'Not authorized to apply for funding for this startup',
@@ -134,9 +313,13 @@ router.get(
 
       let filter = {};
 
-      // Admins see all, others see only their own
+      // Admins see all, others see their own and their startups'
       if (req.user.role !== 'admin') {
-        filter.applicant = req.user._id;
+        const startupIds = await Startup.getMemberStartupIds(req.user._id);
+        filter.$or = [
+          { applicant: req.user._id },
+          { startup: { $in: startupIds } },
+        ];
       }
 
       if (status) filter.status = status;
@@ -161,7 +344,7 @@ router.get(
         count: total,
         totalPages: Math.ceil(total / limit),
         currentPage: parseInt(page),
-        data: applications,
+        data: req.user.role === 'admin' ? applications : applications.map(withoutReviews),
       });
 
     } catch (error) {
@@ -187,7 +370,8 @@ router.get(
       const application = await FundingApplication.findById(req.params.id)
         .populate('startup', 'name domain stage shortDesc founders contact kpis')
         .populate('applicant', 'name email')
-        .populate('reviews.reviewer', 'name email');
+        .populate('reviewers.reviewer', 'name email')
+        .populate('rubric');
 
       if (!application) {
         return res.status(404).json({
@@ -198,9 +382,10 @@ router.get(
 
       // Check access
       const isAdmin = req.user.role === 'admin';
-      const isOwner = application.applicant._id.toString() === req.user._id.toString();
+      const isReviewer = isAssignedReviewer(application, req.user._id);
+      const teamRole = isAdmin || isReviewer ? null : await getTeamRole(application, req.user);
 
-      if (!isAdmin && !isOwner) {
+      if (!isAdmin && !isReviewer && !canAccessApplication(application, req.user, teamRole)) {
         return res.status(403).json({
           success: false,
           message: 'Not authorized to view this application',
@@ -209,7 +394,12 @@ router.get(
 
       res.json({
         success: true,
-        data: application,
+        data: isAdmin || isReviewer ? application : withoutReviews(application),
+        reviewSummary: application.evaluateDecision(decisionRule),
+        // Reviewer disagreement is only shown to the committee
+        scoreBreakdown: isAdmin || isReviewer
+          ? application.getScoreBreakdown(application.rubric, calibrationStdDev)
+          : undefined,
       });
 
     } catch (error) {
@@ -225,7 +415,7 @@ router.get(
 /**
  * @route   PUT /api/funding/applications/:id
  * @desc    Update funding application
- * @access  Protected (owner only, draft status only)
+ * @access  Protected (applicant or startup editor, Draft or Needs More Info status)
  */
 router.put(
   '/applications/:id',
@@ -241,18 +431,18 @@ router.put(
         });
       }
 
-      // Only owner can update, and only if in Draft status
-      if (application.applicant.toString() !== req.user._id.toString()) {
+      // Only the applicant or a startup editor can update, and only while editable
+      if (!canManageApplication(application, req.user, await getTeamRole(application, req.user))) {
         return res.status(403).json({
           success: false,
           message: 'Not authorized to update this application',
         });
       }
 
-      if (application.status !== 'Draft') {
+      if (!['Draft', 'Needs More Info'].includes(application.status)) {
         return res.status(400).json({
           success: false,
-          message: 'Can only update applications in Draft status',
+          message: 'Can only update applications in Draft or Needs More Info status',
         });
       }
 
@@ -273,7 +463,7 @@ router.put(
       res.json({
         success: true,
         message: 'Application updated successfully',
-        data: application,
+        data: withoutReviews(application),
       });
 
     } catch (error) {
@@ -288,12 +478,14 @@ router.put(
 
 /**
  * @route   POST /api/funding/applications/:id/submit
- * @desc    Submit funding application for review
- * @access  Protected (owner only)
+ * @desc    Submit funding application for review (or resubmit after
+ *          reviewers asked for more information)
+ * @access  Protected (applicant or startup editor, verified email required)
  */
 router.post(
   '/applications/:id/submit',
   protect,
+  requireVerified,
   async (req, res) => {
     try {
       const application = await FundingApplication.findById(req.params.id);
@@ -305,23 +497,47 @@ router.post(
         });
       }
 
-      if (application.applicant.toString() !== req.user._id.toString()) {
+      if (!canManageApplication(application, req.user, await getTeamRole(application, req.user))) {
         return res.status(403).json({
           success: false,
           message: 'Not authorized to submit this application',
         });
       }
 
-      if (application.status !== 'Draft') {
+      if (!['Draft', 'Needs More Info'].includes(application.status)) {
         return res.status(400).json({
           success: false,
           message: 'Application has already been submitted',
         });
       }
 
-      application.status = 'Submitted';
-      application.submittedAt = new Date();
-      await application.save();
+      const isResubmission = application.status === 'Needs More Info';
+
+      if (isResubmission) {
+        await application.resubmit();
+
+        // Ask reviewers to take another look
+        await Promise.all(application.reviewers.map(r => sendNotification(
+          r.reviewer,
+          'feedback_requested',
+          'Funding Application Resubmitted',
+          `A ${application.roundType} application you reviewed has been updated and needs a new review.`,
+          'FundingApplication',
+          application._id
+        )));
+      } else {
+        // Lock the application to the rubric in force when it was submitted,
+        // so every application in a round is scored the same way
+        const rubric = await ScoringRubric.getActive(application.roundType);
+        if (rubric) {
+          application.rubric = rubric._id;
+          application.rubricVersion = rubric.version;
+        }
+
+        application.status = 'Submitted';
+        application.submittedAt = new Date();
+        await application.save();
+      }
 
       await application.populate([
         { path: 'startup', select: 'name domain stage' },
@@ -330,8 +546,8 @@ router.post(
 
       res.json({
         success: true,
-        message: 'Application submitted successfully',
-        data: application,
+        message: isResubmission ? 'Application resubmitted for review' : 'Application submitted successfully',
+        data: withoutReviews(application),
       });
 
     } catch (error) {
@@ -347,7 +563,7 @@ router.post(
 /**
  * @route   POST /api/funding/applications/:id/withdraw
  * @desc    Withdraw funding application
- * @access  Protected (owner only)
+ * @access  Protected (applicant or startup editor)
  */
 router.post(
   '/applications/:id/withdraw',
@@ -363,7 +579,7 @@ router.post(
         });
       }
 
-      if (application.applicant.toString() !== req.user._id.toString()) {
+      if (!canManageApplication(application, req.user, await getTeamRole(application, req.user))) {
         return res.status(403).json({
           success: false,
           message: 'Not authorized to withdraw this application',
@@ -384,7 +600,7 @@ router.post(
       res.json({
         success: true,
         message: 'Application withdrawn successfully',
-        data: application,
+        data: withoutReviews(application),
       });
 
     } catch (error) {
@@ -397,6 +613,1062 @@ router.post(
   }
 );
 
+// =============================================================================
+// REVIEW WORKFLOW
+// =============================================================================
+
+/**
+ * @route   GET /api/funding/reviews/queue
+ * @desc    Get applications awaiting the current user's review
+ *          (admins also see every application under review)
+ * @access  Protected (admin, investor, mentor)
+ */
+router.get(
+  '/reviews/queue',
+  protect,
+  authorize(...REVIEWER_ROLES),
+  async (req, res) => {
+    try {
+      const [assigned, pending] = await Promise.all([
+        FundingApplication.getForReviewer(req.user._id),
+        req.user.role === 'admin'
+          ? FundingApplication.getPendingReview(50)
+          : Promise.resolve([]),
+      ]);
+
+      res.json({
+        success: true,
+        count: assigned.length,
+        data: {
+          assigned,
+          underReview: pending,
+        },
+      });
+
+    } catch (error) {
+      console.error('Get review queue error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching review queue',
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/funding/applications/:id/reviewers
+ * @desc    Assign a reviewer to an application
+ * @access  Protected (admin)
+ */
+router.post(
+  '/applications/:id/reviewers',
+  protect,
+  authorize('admin'),
+  [
+    param('id').isMongoId().withMessage('Invalid application ID'),
+    body('reviewerId').isMongoId().withMessage('Valid reviewer ID is required'),
+    body('lead').optional().isBoolean().withMessage('Lead must be a boolean'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: formatErrors(errors),
+        });
+      }
+
+      const application = await FundingApplication.findById(req.params.id);
+
+      if (!application) {
+        return res.status(404).json({
+          success: false,
+          message: 'Funding application not found',
+        });
+      }
+
+      if (!['Submitted', 'Under Review', 'Needs More Info'].includes(application.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot assign reviewers to an application in ${application.status} status`,
+        });
+      }
+
+      const reviewer = await User.findById(req.body.reviewerId).select('name email role isActive');
+
+      if (!reviewer || !reviewer.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'Reviewer not found',
+        });
+      }
+
+      if (!REVIEWER_ROLES.includes(reviewer.role)) {
+        return res.status(400).json({
+          success: false,
+          message: `Reviewers must have one of these roles: ${REVIEWER_ROLES.join(', ')}`,
+        });
+      }
+
+      if (isApplicant(application, reviewer) || await getTeamRole(application, reviewer)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Applicants and startup team members cannot review their own application',
+        });
+      }
+
+      if (isAssignedReviewer(application, reviewer._id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Reviewer is already assigned to this application',
+        });
+      }
+
+      const startsReview = application.status === 'Submitted';
+
+      application.reviewers.push({ reviewer: reviewer._id, decision: 'Pending' });
+      if (req.body.lead || !application.assignedTo) {
+        application.assignedTo = reviewer._id;
+      }
+      if (startsReview) {
+        application.status = 'Under Review';
+      }
+      await application.save();
+
+      await sendNotification(
+        reviewer._id,
+        'feedback_requested',
+        'Funding Review Assigned',
+        `You have been assigned to review a ${application.roundType} funding application.`,
+        'FundingApplication',
+        application._id,
+        { priority: 'high' }
+      );
+
+      if (startsReview) {
+        await notifyApplicant(
+          application,
+          'Application Under Review',
+          `Your ${application.roundType} application is now being reviewed by the selection committee.`
+        );
+      }
+
+      await application.populate('reviewers.reviewer', 'name email');
+
+      res.json({
+        success: true,
+        message: 'Reviewer assigned successfully',
+        data: application,
+      });
+
+    } catch (error) {
+      console.error('Assign reviewer error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error assigning reviewer',
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/funding/applications/:id/reviewers/:reviewerId
+ * @desc    Remove a reviewer who has not submitted a review yet
+ * @access  Protected (admin)
+ */
+router.delete(
+  '/applications/:id/reviewers/:reviewerId',
+  protect,
+  authorize('admin'),
+  [
+    param('id').isMongoId().withMessage('Invalid application ID'),
+    param('reviewerId').isMongoId().withMessage('Invalid reviewer ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: formatErrors(errors),
+        });
+      }
+
+      const application = await FundingApplication.findById(req.params.id);
+
+      if (!application) {
+        return res.status(404).json({
+          success: false,
+          message: 'Funding application not found',
+        });
+      }
+
+      const entry = application.reviewers.find(
+        r => r.reviewer && r.reviewer.toString() === req.params.reviewerId
+      );
+
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: 'Reviewer not assigned to this application',
+        });
+      }
+
+      if (entry.decision !== 'Pending') {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot remove a reviewer who has already submitted a review',
+        });
+      }
+
+      application.reviewers.pull(entry._id);
+      if (application.assignedTo?.toString() === req.params.reviewerId) {
+        application.assignedTo = application.reviewers[0]?.reviewer;
+      }
+      await application.save();
+
+      res.json({
+        success: true,
+        message: 'Reviewer removed successfully',
+        data: application,
+      });
+
+    } catch (error) {
+      console.error('Remove reviewer error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error removing reviewer',
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/funding/applications/:id/review
+ * @desc    Submit the current reviewer's scored review
+ *          Applications with a rubric take per-criterion scores and the
+ *          composite score is weighted from them; otherwise a single score
+ *          is required. Applies the decision rule automatically when configured
+ * @access  Protected (assigned reviewers)
+ */
+router.post(
+  '/applications/:id/review',
+  protect,
+  [
+    param('id').isMongoId().withMessage('Invalid application ID'),
+    body('decision')
+      .isIn(['Approved', 'Rejected', 'Needs More Info'])
+      .withMessage('Decision must be Approved, Rejected or Needs More Info'),
+    body('score')
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Score must be between 0 and 100')
+      .toFloat(),
+    body('criteriaScores')
+      .optional()
+      .isArray()
+      .withMessage('Criteria scores must be an array'),
+    body('criteriaScores.*.criterion')
+      .isString()
+      .withMessage('Each criterion score needs a criterion key'),
+    body('criteriaScores.*.score')
+      .isFloat({ min: 0 })
+      .withMessage('Each criterion score must be a positive number'),
+    body('comments')
+      .optional()
+      .isLength({ max: 2000 })
+      .withMessage('Comments cannot exceed 2000 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: formatErrors(errors),
+        });
+      }
+
+      const application = await FundingApplication.findById(req.params.id);
+
+      if (!application) {
+        return res.status(404).json({
+          success: false,
+          message: 'Funding application not found',
+        });
+      }
+
+      if (!isAssignedReviewer(application, req.user._id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not assigned to review this application',
+        });
+      }
+
+      if (application.status !== 'Under Review') {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot review an application in ${application.status} status`,
+        });
+      }
+
+      const { decision, comments } = req.body;
+      let score;
+      let criteriaScores = [];
+
+      // A rubric that has since been deleted falls back to a single score
+      const rubric = application.rubric ? await ScoringRubric.findById(application.rubric) : null;
+
+      if (rubric) {
+        criteriaScores = (req.body.criteriaScores || []).map(s => ({
+          criterion: String(s.criterion).toLowerCase(),
+          score: parseFloat(s.score),
+        }));
+
+        const rubricErrors = rubric.validateScores(criteriaScores);
+        if (rubricErrors.length > 0) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid rubric scores',
+            errors: rubricErrors.map(message => ({ field: 'criteriaScores', message })),
+          });
+        }
+
+        score = rubric.computeScore(criteriaScores);
+      } else {
+        if (req.body.score === undefined) {
+          return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: [{ field: 'score', message: 'Score is required' }],
+          });
+        }
+        score = req.body.score;
+      }
+
+      const review = await application.submitReview(req.user._id, {
+        decision,
+        score,
+        criteriaScores,
+        comments,
+      });
+
+      const summary = application.evaluateDecision(decisionRule);
+
+      if (decisionRule.autoDecide && summary.ready) {
+        await application.applyDecision(summary.decision);
+        await notifyApplicant(
+          application,
+          `Funding Application ${application.status}`,
+          decisionMessage(application),
+          'high'
+        );
+      } else {
+        await notifyApplicant(
+          application,
+          'Review Received',
+          `A reviewer has submitted a review for your ${application.roundType} application (${summary.completedReviews} of ${application.reviewers.length} reviews complete).`,
+          'low'
+        );
+      }
+
+      res.json({
+        success: true,
+        message: 'Review submitted successfully',
+        data: {
+          review,
+          status: application.status,
+          reviewProgress: application.reviewProgress,
+          averageScore: application.averageScore,
+          summary,
+        },
+      });
+
+    } catch (error) {
+      console.error('Submit review error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error submitting review',
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/funding/applications/:id/decision
+ * @desc    Finalize an application using the decision rule, or an
+ *          explicit admin override, and record approved amount/terms
+ * @access  Protected (admin)
+ */
+router.post(
+  '/applications/:id/decision',
+  protect,
+  authorize('admin'),
+  [
+    param('id').isMongoId().withMessage('Invalid application ID'),
+    body('decision')
+      .optional()
+      .isIn(['Approved', 'Rejected', 'Needs More Info'])
+      .withMessage('Decision must be Approved, Rejected or Needs More Info'),
+    body('amountApproved')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Approved amount must be a positive number'),
+    body('terms').optional().isObject().withMessage('Terms must be an object'),
+    body('terms.equityPercentage')
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Equity percentage must be 0-100'),
+    body('terms.valuation')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Valuation must be a positive number'),
+    body('terms.investmentType')
+      .optional()
+      .isIn(['Equity', 'Convertible Note', 'SAFE', 'Grant', 'Debt', 'Other'])
+      .withMessage('Invalid investment type'),
+    body('rejectionReason')
+      .optional()
+      .isLength({ max: 1000 })
+      .withMessage('Rejection reason cannot exceed 1000 characters'),
+    body('adminNotes')
+      .optional()
+      .isLength({ max: 2000 })
+      .withMessage('Admin notes cannot exceed 2000 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: formatErrors(errors),
+        });
+      }
+
+      const application = await FundingApplication.findById(req.params.id);
+
+      if (!application) {
+        return res.status(404).json({
+          success: false,
+          message: 'Funding application not found',
+        });
+      }
+
+      if (!['Under Review', 'Needs More Info'].includes(application.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot decide an application in ${application.status} status`,
+        });
+      }
+
+      const summary = application.evaluateDecision(decisionRule);
+      const decision = req.body.decision || summary.decision;
+
+      if (!decision) {
+        return res.status(400).json({
+          success: false,
+          message: `Decision rule needs ${summary.quorum} completed reviews (currently ${summary.completedReviews})`,
+          data: summary,
+        });
+      }
+
+      const amountApproved = req.body.amountApproved !== undefined
+        ? parseFloat(req.body.amountApproved)
+        : undefined;
+
+      if (decision === 'Approved' && amountApproved > application.amountRequested) {
+        return res.status(400).json({
+          success: false,
+          message: 'Approved amount cannot exceed the requested amount',
+        });
+      }
+
+      await application.applyDecision(decision, {
+        amountApproved,
+        terms: req.body.terms,
+        rejectionReason: req.body.rejectionReason,
+        adminNotes: req.body.adminNotes,
+      });
+
+      await notifyApplicant(
+        application,
+        `Funding Application ${application.status}`,
+        decisionMessage(application),
+        'high'
+      );
+
+      res.json({
+        success: true,
+        message: `Application marked as ${application.status}`,
+        data: application,
+        reviewSummary: summary,
+      });
+
+    } catch (error) {
+      console.error('Funding decision error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error recording funding decision',
+      });
+    }
+  }
+);
+
+// =============================================================================
+// DOCUMENTS
+// =============================================================================
+
+/**
+ * @route   GET /api/funding/applications/:id/documents
+ * @desc    List application documents with their version history
+ *          (admins can include deleted documents)
+ * @access  Protected (applicant, startup team, assigned reviewers, admin)
+ */
+router.get(
+  '/applications/:id/documents',
+  protect,
+  loadDocumentApplication(),
+  async (req, res) => {
+    const includeDeleted = req.user.role === 'admin' && req.query.includeDeleted === 'true';
+    const documents = includeDeleted
+      ? req.application.documents
+      : req.application.getActiveDocuments();
+
+    res.json({
+      success: true,
+      count: documents.length,
+      data: documents,
+    });
+  }
+);
+
+/**
+ * @route   POST /api/funding/applications/:id/documents
+ * @desc    Upload a new application document (multipart field "document")
+ * @access  Protected (applicant or startup editor while editable, admin)
+ */
+router.post(
+  '/applications/:id/documents',
+  protect,
+  loadDocumentApplication({ write: true }),
+  handleUpload(uploadFundingDocument.single('document')),
+  [
+    body('type').isIn(DOCUMENT_TYPES).withMessage('Invalid document type'),
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Name must be 1-200 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        removeUploadedFile(req.file);
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: formatErrors(errors),
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'A document file is required',
+        });
+      }
+
+      const document = await req.application.addDocumentVersion(req.file, {
+        name: req.body.name ? sanitizeString(req.body.name) : undefined,
+        type: req.body.type,
+      }, req.user._id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Document uploaded successfully',
+        data: document,
+      });
+
+    } catch (error) {
+      removeUploadedFile(req.file);
+      console.error('Upload funding document error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error uploading document',
+      });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/funding/applications/:id/documents/:docId
+ * @desc    Replace a document with a new version (earlier versions are kept)
+ * @access  Protected (applicant or startup editor while editable, admin)
+ */
+router.put(
+  '/applications/:id/documents/:docId',
+  protect,
+  loadDocumentApplication({ write: true }),
+  handleUpload(uploadFundingDocument.single('document')),
+  [
+    param('docId').isMongoId().withMessage('Invalid document ID'),
+    body('type').optional().isIn(DOCUMENT_TYPES).withMessage('Invalid document type'),
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Name must be 1-200 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        removeUploadedFile(req.file);
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: formatErrors(errors),
+        });
+      }
+
+      const existing = req.application.documents.id(req.params.docId);
+      if (!existing || existing.deletedAt) {
+        removeUploadedFile(req.file);
+        return res.status(404).json({
+          success: false,
+          message: 'Document not found',
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'A document file is required',
+        });
+      }
+
+      const document = await req.application.addDocumentVersion(req.file, {
+        documentId: req.params.docId,
+        name: req.body.name ? sanitizeString(req.body.name) : undefined,
+        type: req.body.type,
+      }, req.user._id);
+
+      res.json({
+        success: true,
+        message: `Document updated to version ${document.version}`,
+        data: document,
+      });
+
+    } catch (error) {
+      removeUploadedFile(req.file);
+      console.error('Replace funding document error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error replacing document',
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/funding/applications/:id/documents/:docId
+ * @desc    Delete a document (files and version history are retained)
+ * @access  Protected (applicant or startup editor while editable, admin)
+ */
+router.delete(
+  '/applications/:id/documents/:docId',
+  protect,
+  loadDocumentApplication({ write: true }),
+  [param('docId').isMongoId().withMessage('Invalid document ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: formatErrors(errors),
+        });
+      }
+
+      const document = req.application.documents.id(req.params.docId);
+      if (!document || document.deletedAt) {
+        return res.status(404).json({
+          success: false,
+          message: 'Document not found',
+        });
+      }
+
+      document.deletedAt = new Date();
+      document.deletedBy = req.user._id;
+      await req.application.save();
+
+      res.json({
+        success: true,
+        message: 'Document deleted successfully',
+      });
+
+    } catch (error) {
+      console.error('Delete funding document error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error deleting document',
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/funding/applications/:id/documents/:docId/download
+ * @desc    Get a short-lived signed download URL for a document version
+ *          (defaults to the latest version; ?version=N for history)
+ * @access  Protected (applicant, startup team, assigned reviewers, admin)
+ */
+router.get(
+  '/applications/:id/documents/:docId/download',
+  protect,
+  loadDocumentApplication(),
+  [
+    param('docId').isMongoId().withMessage('Invalid document ID'),
+    query('version').optional().isInt({ min: 1 }).withMessage('Version must be a positive integer'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: formatErrors(errors),
+        });
+      }
+
+      const document = req.application.documents.id(req.params.docId);
+      const includeDeleted = req.user.role === 'admin';
+
+      if (!document || (document.deletedAt && !includeDeleted)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Document not found',
+        });
+      }
+
+      const version = req.query.version ? parseInt(req.query.version) : document.version;
+      if (!document.versions.some(v => v.version === version)) {
+        return res.status(404).json({
+          success: false,
+          message: `Version ${version} not found`,
+        });
+      }
+
+      const token = jwt.sign(
+        {
+          app: req.application._id.toString(),
+          doc: document._id.toString(),
+          v: version,
+          sub: req.user._id.toString(),
+        },
+        getDocumentUrlSecret(),
+        { expiresIn: DOCUMENT_URL_TTL, audience: 'funding-document' }
+      );
+
+      const { exp } = jwt.decode(token);
+
+      res.json({
+        success: true,
+        data: {
+          url: `/api/funding/documents/download/${token}`,
+          version,
+          expiresAt: new Date(exp * 1000),
+        },
+      });
+
+    } catch (error) {
+      console.error('Document download URL error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error creating download URL',
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/funding/documents/download/:token
+ * @desc    Download a document through a signed URL
+ * @access  Public (signed, short-lived token)
+ */
+router.get(
+  '/documents/download/:token',
+  async (req, res) => {
+    let payload;
+
+    try {
+      payload = jwt.verify(req.params.token, getDocumentUrlSecret(), { audience: 'funding-document' });
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: error.name === 'TokenExpiredError' ? 'Download link has expired' : 'Invalid download link',
+        code: error.name === 'TokenExpiredError' ? 'LINK_EXPIRED' : 'INVALID_LINK',
+      });
+    }
+
+    try {
+      const application = await FundingApplication.findById(payload.app).select('documents');
+      const document = application?.documents.id(payload.doc);
+      const version = document?.versions.find(v => v.version === payload.v);
+
+      if (!version) {
+        return res.status(404).json({
+          success: false,
+          message: 'Document not found',
+        });
+      }
+
+      const filePath = path.join(FUNDING_DOCUMENTS_DIR, path.basename(version.storedName));
+
+      res.set('Cache-Control', 'private, no-store');
+      res.download(filePath, version.originalName || document.name, (err) => {
+        if (err && !res.headersSent) {
+          res.status(404).json({
+            success: false,
+            message: 'Document file is missing',
+          });
+        }
+      });
+
+    } catch (error) {
+      console.error('Document download error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error downloading document',
+      });
+    }
+  }
+);
+
+// =============================================================================
+// SCORING RUBRICS
+// =============================================================================
+
+/**
+ * @route   GET /api/funding/rubrics
+ * @desc    List rubric versions, optionally for one round type
+ * @access  Protected (admin)
+ */
+router.get(
+  '/rubrics',
+  protect,
+  authorize('admin'),
+  [query('roundType').optional().isIn(ROUND_TYPES).withMessage('Invalid round type')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: formatErrors(errors),
+        });
+      }
+
+      const filter = {};
+      if (req.query.roundType) filter.roundType = req.query.roundType;
+
+      const rubrics = await ScoringRubric.find(filter)
+        .populate('createdBy', 'name')
+        .sort({ roundType: 1, version: -1 });
+
+      res.json({
+        success: true,
+        count: rubrics.length,
+        data: rubrics,
+      });
+
+    } catch (error) {
+      console.error('Get rubrics error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching rubrics',
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/funding/rubrics/active/:roundType
+ * @desc    Get the active rubric for a round type
+ * @access  Protected (admin, investor, mentor)
+ */
+router.get(
+  '/rubrics/active/:roundType',
+  protect,
+  authorize(...REVIEWER_ROLES),
+  [param('roundType').isIn(ROUND_TYPES).withMessage('Invalid round type')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: formatErrors(errors),
+        });
+      }
+
+      const rubric = await ScoringRubric.getActive(req.params.roundType);
+
+      if (!rubric) {
+        return res.status(404).json({
+          success: false,
+          message: `No active rubric for ${req.params.roundType}`,
+        });
+      }
+
+      res.json({
+        success: true,
+        data: rubric,
+      });
+
+    } catch (error) {
+      console.error('Get active rubric error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching rubric',
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/funding/rubrics
+ * @desc    Publish a new rubric version for a round type
+ *          Applications already submitted keep their rubric version
+ * @access  Protected (admin)
+ */
+router.post(
+  '/rubrics',
+  protect,
+  authorize('admin'),
+  [
+    body('roundType').isIn(ROUND_TYPES).withMessage('Invalid round type'),
+    body('name').optional().isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters'),
+    body('criteria').isArray({ min: 1 }).withMessage('At least one criterion is required'),
+    body('criteria.*.key')
+      .matches(/^[a-z][a-z0-9_]*$/)
+      .withMessage('Criterion key must be lowercase letters, numbers or underscores'),
+    body('criteria.*.label').notEmpty().withMessage('Criterion label is required'),
+    body('criteria.*.weight')
+      .isFloat({ gt: 0 })
+      .withMessage('Criterion weight must be positive'),
+    body('criteria.*.maxScore')
+      .optional()
+      .isFloat({ min: 1 })
+      .withMessage('Max score must be at least 1'),
+    body('notes').optional().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: formatErrors(errors),
+        });
+      }
+
+      const { roundType, name, criteria, notes } = req.body;
+
+      const rubric = await ScoringRubric.publishVersion(roundType, {
+        name,
+        notes,
+        criteria: criteria.map(c => ({
+          key: c.key,
+          label: c.label,
+          description: c.description,
+          weight: parseFloat(c.weight),
+          maxScore: c.maxScore !== undefined ? parseFloat(c.maxScore) : undefined,
+        })),
+      }, req.user._id);
+
+      res.status(201).json({
+        success: true,
+        message: `Rubric version ${rubric.version} published for ${roundType}`,
+        data: rubric,
+      });
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: Object.values(error.errors).map(e => ({ field: e.path, message: e.message })),
+        });
+      }
+
+      console.error('Create rubric error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error creating rubric',
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/funding/rubrics/:id/activate
+ * @desc    Make an earlier rubric version the active one again
+ * @access  Protected (admin)
+ */
+router.post(
+  '/rubrics/:id/activate',
+  protect,
+  authorize('admin'),
+  [param('id').isMongoId().withMessage('Invalid rubric ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: formatErrors(errors),
+        });
+      }
+
+      const rubric = await ScoringRubric.activateVersion(req.params.id);
+
+      if (!rubric) {
+        return res.status(404).json({
+          success: false,
+          message: 'Rubric not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Rubric version ${rubric.version} is now active for ${rubric.roundType}`,
+        data: rubric,
+      });
+
+    } catch (error) {
+      console.error('Activate rubric error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error activating rubric',
+      });
+    }
+  }
+);
+
 /**
  * @route   GET /api/funding/statistics
  * @desc    Get funding statistics (admin only)
@@ -4,9 +4,29 @@ const { body, validationResult, param, query } = require('express-validator');
 const MentorshipRequest = require('../models/MentorshipRequest');
 const Mentor = require('../models/Mentor');
 const Startup = require('../models/Startup');
-const Notification = require('../models/Notification');
+const MatchingConfig = require('../models/MatchingConfig');
 const { protect, authorize } = require('../middleware/auth');
-const { matchMentors, getAIRecommendationSummary } = require('../services/matchingService');
+const {
+  matchMentors,
+  loadMatchingConfig,
+  explainMatch,
+  getAIRecommendationSummary,
+} = require('../services/matchingService');
+const { sendNotification } = require('../services/notificationService');
+const { bookSession, rescheduleSession, getBookedSessionsForMentors } = require('../services/schedulingService');
+const { proposeMentor, respondToProposal, canTakeMentee } = require('../services/mentorProposalService');
+const { buildSessionInvite, getSessionPeople, isSessionCancelled } = require('../services/calendarService');
+const { evaluateMatching, applyEvaluation } = require('../services/matchingEvaluationService');
+const {
+  DAYS,
+  MATCHING_HORIZON_DAYS,
+  normalizeTimezone,
+  resolveTimezone,
+  parseTime,
+  parseTimeSlot,
+  getOpenSlots,
+  formatSlot,
+} = require('../services/availabilityService');
 
 /**
  * Mentorship Routes
@@ -27,24 +47,155 @@ const formatErrors = (errors) => {
   }));
 };
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest range the slots endpoint will expand
+const MAX_SLOT_RANGE_DAYS = 31;
+
 /**
- * Send notification helper
+ * Validate a timezone field (sanitized input has "/" escaped)
  */
-const sendNotification = async (recipientId, type, title, message, relatedModel, relatedId) => {
-  try {
-    await Notification.create({
-      recipient: recipientId,
-      type,
-      title,
-      message,
-      relatedModel,
-      relatedId,
+const timezoneValidator = (value) => {
+  if (!normalizeTimezone(value)) {
+    throw new Error('Invalid timezone');
+  }
+  return true;
+};
+
+/**
+ * Respond 409 when a booking could not be written
+ * @returns {boolean} Whether a response was sent
+ */
+const sendScheduleConflict = (res, booking, request) => {
+  if (booking.busy) {
+    res.status(409).json({
+      success: false,
+      message: 'The mentor\'s calendar is being updated, please try again',
+      code: 'CALENDAR_BUSY',
+    });
+    return true;
+  }
+
+  if (!booking.booked) {
+    const timezone = resolveTimezone(request.timezone);
+    res.status(409).json({
+      success: false,
+      message: booking.conflicts.length > 0
+        ? 'The mentor already has a session at this time'
+        : 'The requested time is outside the mentor\'s availability',
+      code: 'SCHEDULE_CONFLICT',
+      data: {
+        conflicts: booking.conflicts,
+        outsideAvailability: booking.outsideAvailability,
+        bufferMinutes: booking.bufferMinutes,
+        suggestions: booking.suggestions.map(slot => formatSlot(slot, timezone)),
+      },
     });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Load a request's session for one of its participants
+ * Sets req.mentorshipRequest, req.mentorshipSession, req.sessionMentor and
+ * req.participantRole ('admin', 'founder' or 'mentor')
+ */
+const loadSessionParticipant = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: formatErrors(errors),
+      });
+    }
+
+    const request = await MentorshipRequest.findById(req.params.id);
+    const session = request && request.sessions.id(req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+      });
+    }
+
+    const mentor = await Mentor.findById(session.mentor).populate('user', 'name email');
+    const startup = await Startup.findById(request.startup).select('name founder team');
+    const userId = req.user._id.toString();
+
+    let role = null;
+    if (req.user.role === 'admin') {
+      role = 'admin';
+    } else if (request.requestedBy.toString() === userId || (startup && startup.hasMemberRole(userId, 'editor'))) {
+      role = 'founder';
+    } else if (mentor && mentor.user && mentor.user._id.toString() === userId) {
+      role = 'mentor';
+    }
+
+    if (!role) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized',
+      });
+    }
+
+    req.mentorshipRequest = request;
+    req.mentorshipSession = session;
+    req.sessionMentor = mentor;
+    req.sessionStartup = startup;
+    req.participantRole = role;
+    next();
+
   } catch (error) {
-    console.error('Error sending notification:', error.message);
+    console.error('Load session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error loading session',
+    });
+  }
+};
+
+/**
+ * Notify the session participants other than the acting user
+ */
+const notifySessionParticipants = async (req, type, title, message) => {
+  const recipients = [];
+  if (req.participantRole !== 'founder') {
+    recipients.push(req.mentorshipRequest.requestedBy);
+  }
+  if (req.participantRole !== 'mentor' && req.sessionMentor && req.sessionMentor.user) {
+    recipients.push(req.sessionMentor.user._id);
+  }
+
+  for (const recipient of recipients) {
+    await sendNotification(recipient, type, title, message, 'MentorshipRequest', req.mentorshipRequest._id);
+  }
+};
+
+/**
+ * Notify the owner of an action item unless they made the change
+ */
+const notifyActionItemOwner = async (req, item, title, message) => {
+  const recipient = item.owner === 'mentor'
+    ? req.sessionMentor && req.sessionMentor.user && req.sessionMentor.user._id
+    : req.mentorshipRequest.requestedBy;
+
+  if (recipient && recipient.toString() !== req.user._id.toString()) {
+    await sendNotification(recipient, 'action_item_assigned', title, message, 'MentorshipRequest', req.mentorshipRequest._id);
   }
 };
 
+/**
+ * Validators shared by the session lifecycle routes
+ */
+const sessionParamValidators = [
+  param('id').isMongoId().withMessage('Invalid request ID'),
+  param('sessionId').isMongoId().withMessage('Invalid session ID'),
+];
+
 // =============================================================================
 // MENTOR ROUTES
 // =============================================================================
@@ -109,14 +260,37 @@ router.get('/mentors', protect, async (req, res) => {
 });
 
 /**
- * @route   GET /api/mentorship/mentors/:id
- * @desc    Get single mentor details
- * @access  Protected
+ * @route   PUT /api/mentorship/mentors/me/availability
+ * @desc    Set the current mentor's weekly availability windows, timezone
+ *          and the buffer kept around sessions
+ * @access  Protected (Mentor)
  */
-router.get(
-  '/mentors/:id',
+router.put(
+  '/mentors/me/availability',
   protect,
-  [param('id').isMongoId().withMessage('Invalid mentor ID')],
+  authorize('mentor'),
+  [
+    body('timezone').optional().custom(timezoneValidator),
+    body('availability')
+      .optional()
+      .isIn(Mentor.schema.path('availability').enumValues)
+      .withMessage('Invalid availability status'),
+    body('sessionBufferMinutes')
+      .optional()
+      .isInt({ min: 0, max: 120 })
+      .withMessage('Buffer must be 0-120 minutes'),
+    body('preferredTimes')
+      .optional()
+      .isArray({ max: 50 })
+      .withMessage('preferredTimes must be an array of up to 50 windows'),
+    body('preferredTimes.*.day').optional().isIn(DAYS).withMessage('Invalid day'),
+    body('preferredTimes.*').optional().custom((window) => {
+      if (!window || !window.day || parseTime(window.startTime) === null || parseTime(window.endTime) === null) {
+        throw new Error('Each window needs a day, startTime and endTime (HH:mm)');
+      }
+      return true;
+    }),
+  ],
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -127,69 +301,70 @@ router.get(
         });
       }
 
-      const mentor = await Mentor.findById(req.params.id)
-        .populate('user', 'name email avatar bio')
-        .populate('currentMentees', 'name domain stage');
-
+      const mentor = await Mentor.findOne({ user: req.user._id });
       if (!mentor) {
         return res.status(404).json({
           success: false,
-          message: 'Mentor not found',
+          message: 'Mentor profile not found',
         });
       }
 
+      if (req.body.timezone !== undefined) {
+        mentor.timezone = normalizeTimezone(req.body.timezone);
+      }
+      if (req.body.availability !== undefined) {
+        mentor.availability = req.body.availability;
+      }
+      if (req.body.sessionBufferMinutes !== undefined) {
+        mentor.sessionBufferMinutes = parseInt(req.body.sessionBufferMinutes);
+      }
+      if (req.body.preferredTimes !== undefined) {
+        mentor.preferredTimes = req.body.preferredTimes.map(w => ({
+          day: w.day,
+          startTime: w.startTime,
+          endTime: w.endTime,
+        }));
+      }
+
+      await mentor.save();
+
       res.status(200).json({
         success: true,
-        data: mentor,
+        message: 'Availability updated successfully',
+        data: {
+          timezone: mentor.timezone,
+          availability: mentor.availability,
+          sessionBufferMinutes: mentor.sessionBufferMinutes,
+          preferredTimes: mentor.preferredTimes,
+        },
       });
 
     } catch (error) {
-      console.error('Get mentor error:', error);
+      console.error('Update availability error:', error);
       res.status(500).json({
         success: false,
-        message: 'Error fetching mentor',
+        message: 'Error updating availability',
       });
     }
   }
 );
 
-// =============================================================================
-// MENTORSHIP REQUEST ROUTES
-// =============================================================================
-
 /**
- * @route   POST /api/mentorship/requests
- * @desc    Create new mentorship request
- * @access  Protected (Founders)
+ * @route   GET /api/mentorship/mentors/:id/slots
+ * @desc    Get a mentor's open, bookable slots in a date range
+ *          Weekly windows are expanded in the mentor's timezone and booked
+ *          sessions are removed; tz sets the timezone of the local times
+ * @access  Protected
  */
-router.post(
-  '/requests',
+router.get(
+  '/mentors/:id/slots',
   protect,
-  authorize('founder', 'admin'),
   [
-    body('topic')
-      .trim()
-      .notEmpty()
-      .withMessage('Topic is required')
-      .isLength({ max: 200 })
-      .withMessage('Topic cannot exceed 200 characters'),
-    body('description')
-      .trim()
-      .notEmpty()
-      .withMessage('Description is required')
-      .isLength({ max: 1000 })
-      .withMessage('Description cannot exceed 1000 characters'),
-    body('skills')
-      .isArray({ min: 1 })
-      .withMessage('At least one skill is required'),
-    body('domains')
-      .optional()
-      .isArray()
-      .withMessage('Domains must be an array'),
-    body('urgency')
-      .optional()
-      .isIn(['Low', 'Medium', 'High', 'Critical'])
-      .withMessage('Invalid urgency level'),
+    param('id').isMongoId().withMessage('Invalid mentor ID'),
+    query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+    query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+    query('duration').optional().isInt({ min: 15, max: 240 }).withMessage('Duration must be 15-240 minutes'),
+    query('tz').optional().custom(timezoneValidator),
   ],
   async (req, res) => {
     try {
@@ -197,188 +372,990 @@ router.post(
       if (!errors.isEmpty()) {
         return res.status(400).json({
           success: false,
-          message: 'Validation failed',
           errors: formatErrors(errors),
         });
       }
 
-      // Get user's startup
-      const startup = await Startup.findById(req.user.startup);
-      if (!startup) {
+      const from = req.query.from ? new Date(req.query.from) : new Date();
+      const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 7 * DAY_MS);
+
+      if (to <= from) {
         return res.status(400).json({
           success: false,
-          message: 'You must have a registered startup to request mentorship',
-          code: 'NO_STARTUP',
+          message: 'to must be after from',
         });
       }
 
-      // Check if startup is active
-      if (!['Approved', 'Active'].includes(startup.status)) {
+      if (to - from > MAX_SLOT_RANGE_DAYS * DAY_MS) {
         return res.status(400).json({
           success: false,
-          message: 'Your startup must be approved to request mentorship',
-          code: 'STARTUP_NOT_APPROVED',
+          message: `Range cannot exceed ${MAX_SLOT_RANGE_DAYS} days`,
         });
       }
 
-      const { topic, description, skills, domains, urgency, preferredTimes } = req.body;
+      const mentor = await Mentor.findById(req.params.id)
+        .select('name timezone preferredTimes availability sessionBufferMinutes isActive');
 
-      // Create the request
-      const request = await MentorshipRequest.create({
-        startup: startup._id,
-        requestedBy: req.user._id,
-        topic,
-        description,
-        skills,
-        domains: domains || [startup.domain],
-        urgency: urgency || 'Medium',
-        preferredTimes: preferredTimes || [],
-        status: 'Pending',
-      });
+      if (!mentor || !mentor.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'Mentor not found',
+        });
+      }
 
-      // Trigger mentor matching
-      const mentors = await Mentor.find({
-        isActive: true,
-        availability: { $ne: 'Unavailable' },
+      const duration = parseInt(req.query.duration) || 60;
+      const sessionsByMentor = await getBookedSessionsForMentors([mentor._id], from, to);
+      const slots = getOpenSlots(mentor, sessionsByMentor.get(mentor._id.toString()) || [], {
+        from,
+        to,
+        duration,
+        bufferMinutes: mentor.sessionBufferMinutes || 0,
       });
 
-      if (mentors.length > 0) {
-        try {
-          const matches = await matchMentors(request, mentors);
-
-          // Store top matches (limit to 10)
-          request.matchedMentors = matches.slice(0, 10);
-
-          // Get AI recommendation if available
-          const aiSummary = await getAIRecommendationSummary(request, matches);
-          if (aiSummary) {
-            request.notes = aiSummary;
-          }
-
-          if (matches.length > 0) {
-            request.status = 'Matched';
-          }
-
-          await request.save();
-
-          // Notify matched mentors
-          for (const match of matches.slice(0, 3)) {
-            await sendNotification(
-              match.mentorData.user,
-              'mentorship_request_created',
-              'New Mentorship Request',
-              `${startup.name} is looking for mentorship in ${topic}`,
-              'MentorshipRequest',
-              request._id
-            );
-          }
-        } catch (matchError) {
-          console.error('Matching error:', matchError);
-          // Continue without matches
-        }
-      }
-
-      // Populate response
-      await request.populate('matchedMentors.mentor', 'name expertise rating avatar');
+      const displayTimezone = normalizeTimezone(req.query.tz) || resolveTimezone(mentor.timezone);
 
-      res.status(201).json({
+      res.status(200).json({
         success: true,
-        message: 'Mentorship request created successfully',
-        data: request,
+        count: slots.length,
+        data: {
+          mentor: mentor._id,
+          mentorTimezone: resolveTimezone(mentor.timezone),
+          timezone: displayTimezone,
+          from: from.toISOString(),
+          to: to.toISOString(),
+          duration,
+          slots: slots.map(slot => formatSlot(slot, displayTimezone)),
+        },
       });
 
     } catch (error) {
-      console.error('Create request error:', error);
+      console.error('Get mentor slots error:', error);
       res.status(500).json({
         success: false,
-        message: 'Error creating mentorship request',
-        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+        message: 'Error fetching mentor slots',
       });
     }
   }
 );
 
 /**
- * @route   GET /api/mentorship/requests
- * @desc    Get mentorship requests (filtered by role)
- * @access  Protected
+ * @route   GET /api/mentorship/mentors/me/proposals
+ * @desc    Requests waiting for the current mentor to accept or decline
+ * @access  Protected (Mentor)
  */
-router.get('/requests', protect, async (req, res) => {
+router.get('/mentors/me/proposals', protect, authorize('mentor'), async (req, res) => {
   try {
-    const { status, page = 1, limit = 10 } = req.query;
-
-    let filter = {};
-
-    // Role-based filtering
-    if (req.user.role === 'founder') {
-      // Founders see only their startup's requests
-      if (req.user.startup) {
-        filter.startup = req.user.startup;
-      } else {
-        return res.status(200).json({
-          success: true,
-          count: 0,
-          data: [],
-        });
-      }
-    } else if (req.user.role === 'mentor') {
-      // Mentors see requests they're matched with
-      const mentor = await Mentor.findOne({ user: req.user._id });
-      if (mentor) {
-        filter['matchedMentors.mentor'] = mentor._id;
-      } else {
-        return res.status(200).json({
-          success: true,
-          count: 0,
-          data: [],
-        });
-      }
-    }
-    // Admins see all
+    const mentor = await Mentor.findOne({ user: req.user._id });
 
-    if (status) {
-      filter.status = status;
+    if (!mentor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Mentor profile not found',
+      });
     }
 
-    const [requests, count] = await Promise.all([
-      MentorshipRequest.find(filter)
-        .populate('startup', 'name domain stage')
-        .populate('requestedBy', 'name email')
-        .populate('selectedMentor', 'name expertise rating')
-        .populate('matchedMentors.mentor', 'name expertise rating avatar')
-        .limit(parseInt(limit))
-        .skip((parseInt(page) - 1) * parseInt(limit))
-        .sort({ createdAt: -1 })
-        .lean(),
-      MentorshipRequest.countDocuments(filter),
-    ]);
+    const requests = await MentorshipRequest.getProposalsForMentor(mentor._id);
+
+    const data = requests.map((request) => {
+      const proposal = request.getProposalFor(mentor._id);
+      return {
+        _id: request._id,
+        topic: request.topic,
+        description: request.description,
+        skills: request.skills,
+        urgency: request.urgency,
+        startup: request.startup,
+        requestedBy: request.requestedBy,
+        score: proposal.score,
+        proposedAt: proposal.proposedAt,
+        expiresAt: proposal.expiresAt,
+      };
+    });
 
     res.status(200).json({
       success: true,
-      count,
-      totalPages: Math.ceil(count / limit),
-      currentPage: parseInt(page),
-      data: requests,
+      count: data.length,
+      data,
     });
 
   } catch (error) {
-    console.error('Get requests error:', error);
+    console.error('Get proposals error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error fetching requests',
+      message: 'Error fetching mentorship proposals',
     });
   }
 });
 
 /**
- * @route   GET /api/mentorship/requests/:id
- * @desc    Get single mentorship request
+ * @route   GET /api/mentorship/mentors/:id
+ * @desc    Get single mentor details
+ * @access  Protected
+ */
+router.get(
+  '/mentors/:id',
+  protect,
+  [param('id').isMongoId().withMessage('Invalid mentor ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: formatErrors(errors),
+        });
+      }
+
+      const mentor = await Mentor.findById(req.params.id)
+        .populate('user', 'name email avatar bio')
+        .populate('currentMentees', 'name domain stage');
+
+      if (!mentor) {
+        return res.status(404).json({
+          success: false,
+          message: 'Mentor not found',
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: mentor,
+      });
+
+    } catch (error) {
+      console.error('Get mentor error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching mentor',
+      });
+    }
+  }
+);
+
+// =============================================================================
+// MATCHING CONFIGURATION ROUTES
+// =============================================================================
+
+const WEIGHT_KEYS = ['skill', 'domain', 'availability', 'rating', 'capacity', 'semantic'];
+
+/**
+ * @route   GET /api/mentorship/matching/config
+ * @desc    List matching weight versions
+ * @access  Protected (Admin)
+ */
+router.get('/matching/config', protect, authorize('admin'), async (req, res) => {
+  try {
+    const configs = await MatchingConfig.find()
+      .populate('createdBy', 'name')
+      .sort({ version: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: configs.length,
+      data: configs,
+    });
+
+  } catch (error) {
+    console.error('Get matching configs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching matching configurations',
+    });
+  }
+});
+
+/**
+ * @route   GET /api/mentorship/matching/config/active
+ * @desc    Get the weights new requests are matched with
+ *          Falls back to the built-in defaults (version 0) until one is published
+ * @access  Protected (Admin)
+ */
+router.get('/matching/config/active', protect, authorize('admin'), async (req, res) => {
+  try {
+    const config = await loadMatchingConfig();
+
+    res.status(200).json({
+      success: true,
+      data: config,
+    });
+
+  } catch (error) {
+    console.error('Get active matching config error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching matching configuration',
+    });
+  }
+});
+
+/**
+ * @route   POST /api/mentorship/matching/config
+ * @desc    Publish a new matching weight version
+ *          Existing matches keep the version they were scored with
+ * @access  Protected (Admin)
+ */
+router.post(
+  '/matching/config',
+  protect,
+  authorize('admin'),
+  [
+    ...WEIGHT_KEYS.map(key => body(`weights.${key}`)
+      .isFloat({ min: 0, max: 1 })
+      .withMessage(`${key.charAt(0).toUpperCase()}${key.slice(1)} weight must be between 0 and 1`)),
+    body('minScore')
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Minimum score must be between 0 and 100'),
+    body('maxResults')
+      .optional()
+      .isInt({ min: 1, max: 20 })
+      .withMessage('Max results must be between 1 and 20'),
+    body('notes').optional().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: formatErrors(errors),
+        });
+      }
+
+      const { weights, minScore, maxResults, notes } = req.body;
+
+      const config = await MatchingConfig.publishVersion({
+        weights: WEIGHT_KEYS.reduce((acc, key) => ({ ...acc, [key]: parseFloat(weights[key]) }), {}),
+        minScore: minScore !== undefined ? parseFloat(minScore) : undefined,
+        maxResults: maxResults !== undefined ? parseInt(maxResults, 10) : undefined,
+        notes,
+      }, req.user._id);
+
+      res.status(201).json({
+        success: true,
+        message: `Matching configuration version ${config.version} published`,
+        data: config,
+      });
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: Object.values(error.errors).map(e => ({ field: e.path, message: e.message })),
+        });
+      }
+
+      console.error('Create matching config error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error creating matching configuration',
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/mentorship/matching/config/:id/activate
+ * @desc    Make an earlier matching weight version the active one again
+ * @access  Protected (Admin)
+ */
+router.post(
+  '/matching/config/:id/activate',
+  protect,
+  authorize('admin'),
+  [param('id').isMongoId().withMessage('Invalid configuration ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: formatErrors(errors),
+        });
+      }
+
+      const config = await MatchingConfig.activateVersion(req.params.id);
+
+      if (!config) {
+        return res.status(404).json({
+          success: false,
+          message: 'Matching configuration not found',
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: `Matching configuration version ${config.version} is now active`,
+        data: config,
+      });
+
+    } catch (error) {
+      console.error('Activate matching config error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error activating matching configuration',
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/mentorship/matching/evaluation
+ * @desc    Dry-run evaluation of matching quality against past outcomes
+ *          Reports per-component predictive value and proposed weights,
+ *          replayed over historical requests; nothing is applied
+ * @access  Protected (Admin)
+ */
+router.get(
+  '/matching/evaluation',
+  protect,
+  authorize('admin'),
+  [query('days').optional().isInt({ min: 7, max: 730 }).withMessage('Days must be between 7 and 730')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: formatErrors(errors),
+        });
+      }
+
+      const report = await evaluateMatching({
+        days: req.query.days ? parseInt(req.query.days, 10) : undefined,
+      });
+
+      res.status(200).json({
+        success: true,
+        data: report,
+      });
+
+    } catch (error) {
+      console.error('Matching evaluation error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error evaluating matching quality',
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/mentorship/matching/evaluation/apply
+ * @desc    Re-run the evaluation and publish its proposed weights as a new version
+ *          Refused when the replay shows no improvement unless force is set
+ * @access  Protected (Admin)
+ */
+router.post(
+  '/matching/evaluation/apply',
+  protect,
+  authorize('admin'),
+  [
+    body('days').optional().isInt({ min: 7, max: 730 }).withMessage('Days must be between 7 and 730'),
+    body('force').optional().isBoolean().withMessage('Force must be a boolean'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: formatErrors(errors),
+        });
+      }
+
+      const report = await evaluateMatching({
+        days: req.body.days ? parseInt(req.body.days, 10) : undefined,
+      });
+
+      if (!report.changed) {
+        return res.status(400).json({
+          success: false,
+          message: 'Not enough outcomes to propose different weights',
+          data: report,
+        });
+      }
+
+      if (!report.dryRun.improves && req.body.force !== true) {
+        return res.status(400).json({
+          success: false,
+          message: 'Proposed weights do not improve ranking on historical requests',
+          data: report,
+        });
+      }
+
+      const config = await applyEvaluation(report, req.user._id);
+
+      res.status(201).json({
+        success: true,
+        message: `Matching configuration version ${config.version} published from evaluation`,
+        data: { config, report },
+      });
+
+    } catch (error) {
+      console.error('Apply matching evaluation error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error applying matching evaluation',
+      });
+    }
+  }
+);
+
+// =============================================================================
+// MENTORSHIP REQUEST ROUTES
+// =============================================================================
+
+/**
+ * @route   POST /api/mentorship/requests
+ * @desc    Create new mentorship request
+ * @access  Protected (Founders)
+ */
+router.post(
+  '/requests',
+  protect,
+  authorize('founder', 'admin'),
+  [
+    body('topic')
+      .trim()
+      .notEmpty()
+      .withMessage('Topic is required')
+      .isLength({ max: 200 })
+      .withMessage('Topic cannot exceed 200 characters'),
+    body('description')
+      .trim()
+      .notEmpty()
+      .withMessage('Description is required')
+      .isLength({ max: 1000 })
+      .withMessage('Description cannot exceed 1000 characters'),
+    body('skills')
+      .isArray({ min: 1 })
+      .withMessage('At least one skill is required'),
+    body('domains')
+      .optional()
+      .isArray()
+      .withMessage('Domains must be an array'),
+    body('urgency')
+      .optional()
+      .isIn(['Low', 'Medium', 'High', 'Critical'])
+      .withMessage('Invalid urgency level'),
+    body('timezone').optional().custom(timezoneValidator),
+    body('preferredTimes')
+      .optional()
+      .isArray({ max: 21 })
+      .withMessage('preferredTimes must be an array of up to 21 entries'),
+    body('preferredTimes.*.day').optional().isIn(DAYS).withMessage('Invalid day'),
+    body('preferredTimes.*.timeSlot')
+      .optional()
+      .custom((value) => {
+        if (!parseTimeSlot(value)) {
+          throw new Error('timeSlot must look like 09:00-11:00');
+        }
+        return true;
+      }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: formatErrors(errors),
+        });
+      }
+
+      // Get user's startup
+      const startup = await Startup.findById(req.user.startup);
+      if (!startup) {
+        return res.status(400).json({
+          success: false,
+          message: 'You must have a registered startup to request mentorship',
+          code: 'NO_STARTUP',
+        });
+      }
+
+      // Check if startup is active
+      if (!['Approved', 'Active'].includes(startup.status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Your startup must be approved to request mentorship',
+          code: 'STARTUP_NOT_APPROVED',
+        });
+      }
+
+      const { topic, description, skills, domains, urgency, preferredTimes, timezone } = req.body;
+
+      // Create the request
+      const request = await MentorshipRequest.create({
+        startup: startup._id,
+        requestedBy: req.user._id,
+        topic,
+        description,
+        skills,
+        domains: domains || [startup.domain],
+        urgency: urgency || 'Medium',
+        preferredTimes: preferredTimes || [],
+        timezone: normalizeTimezone(timezone) || 'UTC',
+        status: 'Pending',
+      });
+
+      // Trigger mentor matching
+      const mentors = await Mentor.find({
+        isActive: true,
+        availability: { $ne: 'Unavailable' },
+      }).select('+embedding.vector');
+
+      if (mentors.length > 0) {
+        try {
+          // Booked sessions reduce the time a mentor actually has open
+          const now = new Date();
+          const sessionsByMentor = await getBookedSessionsForMentors(
+            mentors.map(m => m._id),
+            now,
+            new Date(now.getTime() + MATCHING_HORIZON_DAYS * DAY_MS)
+          );
+
+          // Active weight set; each match records the version it was scored with
+          const config = await loadMatchingConfig();
+          const matches = await matchMentors(request, mentors, { config, sessionsByMentor });
+
+          // Store top matches
+          request.matchedMentors = matches.slice(0, config.maxResults);
+
+          // Get AI recommendation if available
+          const aiSummary = await getAIRecommendationSummary(request, matches);
+          if (aiSummary) {
+            request.notes = aiSummary;
+          }
+
+          if (matches.length > 0) {
+            request.status = 'Matched';
+          }
+
+          await request.save();
+
+          // Notify matched mentors
+          for (const match of matches.slice(0, 3)) {
+            await sendNotification(
+              match.mentorData.user,
+              'mentorship_request_created',
+              'New Mentorship Request',
+              `${startup.name} is looking for mentorship in ${topic}`,
+              'MentorshipRequest',
+              request._id
+            );
+          }
+        } catch (matchError) {
+          console.error('Matching error:', matchError);
+          // Continue without matches
+        }
+      }
+
+      // Populate response
+      await request.populate('matchedMentors.mentor', 'name expertise rating avatar');
+
+      res.status(201).json({
+        success: true,
+        message: 'Mentorship request created successfully',
+        data: request,
+      });
+
+    } catch (error) {
+      console.error('Create request error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error creating mentorship request',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/mentorship/requests
+ * @desc    Get mentorship requests (filtered by role)
+ * @access  Protected
+ */
+router.get('/requests', protect, async (req, res) => {
+  try {
+    const { status, page = 1, limit = 10 } = req.query;
+
+    let filter = {};
+
+    // Role-based filtering
+    if (req.user.role === 'founder') {
+      // Founders see the requests of every startup they are on the team of
+      const startupIds = await Startup.getMemberStartupIds(req.user._id);
+      if (startupIds.length > 0) {
+        filter.startup = { $in: startupIds };
+      } else {
+        return res.status(200).json({
+          success: true,
+          count: 0,
+          data: [],
+        });
+      }
+    } else if (req.user.role === 'mentor') {
+      // Mentors see requests they're matched with
+      const mentor = await Mentor.findOne({ user: req.user._id });
+      if (mentor) {
+        filter['matchedMentors.mentor'] = mentor._id;
+      } else {
+        return res.status(200).json({
+          success: true,
+          count: 0,
+          data: [],
+        });
+      }
+    }
+    // Admins see all
+
+    if (status) {
+      filter.status = status;
+    }
+
+    const [requests, count] = await Promise.all([
+      MentorshipRequest.find(filter)
+        .populate('startup', 'name domain stage')
+        .populate('requestedBy', 'name email')
+        .populate('selectedMentor', 'name expertise rating')
+        .populate('matchedMentors.mentor', 'name expertise rating avatar')
+        .limit(parseInt(limit))
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .sort({ createdAt: -1 })
+        .lean(),
+      MentorshipRequest.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: parseInt(page),
+      data: requests,
+    });
+
+  } catch (error) {
+    console.error('Get requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching requests',
+    });
+  }
+});
+
+/**
+ * @route   GET /api/mentorship/requests/attention
+ * @desc    Requests needing admin follow-up (stale or repeated founder no-shows)
+ * @access  Protected (Admin)
+ */
+router.get('/requests/attention', protect, authorize('admin'), async (req, res) => {
+  try {
+    const requests = await MentorshipRequest.getNeedingAttention();
+
+    res.status(200).json({
+      success: true,
+      count: requests.length,
+      data: requests,
+    });
+
+  } catch (error) {
+    console.error('Get attention requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching requests needing attention',
+    });
+  }
+});
+
+/**
+ * @route   GET /api/mentorship/requests/:id
+ * @desc    Get single mentorship request
  * @access  Protected
  */
 router.get(
   '/requests/:id',
   protect,
-  [param('id').isMongoId().withMessage('Invalid request ID')],
+  [param('id').isMongoId().withMessage('Invalid request ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: formatErrors(errors),
+        });
+      }
+
+      const request = await MentorshipRequest.findById(req.params.id)
+        .populate('startup', 'name domain stage founders')
+        .populate('requestedBy', 'name email avatar')
+        .populate('selectedMentor', 'name expertise rating avatar bio')
+        .populate('matchedMentors.mentor', 'name expertise domains rating sessionsCompleted avatar bio company')
+        .populate('sessions.mentor', 'name');
+
+      if (!request) {
+        return res.status(404).json({
+          success: false,
+          message: 'Request not found',
+        });
+      }
+
+      // Explain each suggestion from the scores and weights it was matched with
+      const data = request.toObject();
+      data.matchedMentors = request.matchedMentors.map((match, index) => ({
+        ...data.matchedMentors[index],
+        explanation: explainMatch(match, request, match.mentor || {}),
+      }));
+
+      res.status(200).json({
+        success: true,
+        data,
+      });
+
+    } catch (error) {
+      console.error('Get request error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching request',
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/mentorship/requests/:id/select-mentor
+ * @desc    Propose a mentor from the matched list
+ *          The mentor is assigned only once they accept; unanswered
+ *          proposals expire and move on to the next-best match
+ * @access  Protected (Founders)
+ */
+router.post(
+  '/requests/:id/select-mentor',
+  protect,
+  authorize('founder', 'admin'),
+  [
+    param('id').isMongoId().withMessage('Invalid request ID'),
+    body('mentorId').isMongoId().withMessage('Invalid mentor ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: formatErrors(errors),
+        });
+      }
+
+      const request = await MentorshipRequest.findById(req.params.id);
+
+      if (!request) {
+        return res.status(404).json({
+          success: false,
+          message: 'Request not found',
+        });
+      }
+
+      // Verify the founder can act for the startup
+      if (req.user.role === 'founder') {
+        const startup = await Startup.findById(request.startup).select('founder team');
+        if (!startup || !startup.hasMemberRole(req.user._id, 'editor')) {
+          return res.status(403).json({
+            success: false,
+            message: 'Not authorized',
+          });
+        }
+      }
+
+      const proposalError = request.getProposalError(req.body.mentorId);
+      if (proposalError) {
+        return res.status(400).json({
+          success: false,
+          message: proposalError,
+        });
+      }
+
+      const mentor = await Mentor.findById(req.body.mentorId);
+
+      if (!canTakeMentee(mentor)) {
+        return res.status(400).json({
+          success: false,
+          message: 'This mentor is not taking new mentees',
+        });
+      }
+
+      const proposal = await proposeMentor(request, mentor);
+
+      res.status(200).json({
+        success: true,
+        message: `Mentor invited. They have until ${proposal.expiresAt.toLocaleString()} to respond.`,
+        data: request,
+      });
+
+    } catch (error) {
+      console.error('Select mentor error:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Error selecting mentor',
+      });
+    }
+  }
+);
+
+/**
+ * Load a request and the current user's mentor profile for a proposal answer
+ */
+const loadProposal = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: formatErrors(errors),
+      });
+    }
+
+    const [request, mentor] = await Promise.all([
+      MentorshipRequest.findById(req.params.id),
+      Mentor.findOne({ user: req.user._id }),
+    ]);
+
+    if (!request || !mentor) {
+      return res.status(404).json({
+        success: false,
+        message: request ? 'Mentor profile not found' : 'Request not found',
+      });
+    }
+
+    if (!request.getProposalFor(mentor._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'No pending proposal for you on this request, or it has expired',
+      });
+    }
+
+    req.mentorshipRequest = request;
+    req.mentor = mentor;
+    next();
+
+  } catch (error) {
+    console.error('Load proposal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error loading proposal',
+    });
+  }
+};
+
+/**
+ * @route   POST /api/mentorship/requests/:id/accept
+ * @desc    Accept a mentorship proposal; assigns the mentor to the request
+ * @access  Protected (Proposed mentor)
+ */
+router.post(
+  '/requests/:id/accept',
+  protect,
+  authorize('mentor'),
+  [param('id').isMongoId().withMessage('Invalid request ID')],
+  loadProposal,
+  async (req, res) => {
+    try {
+      if (!canTakeMentee(req.mentor)) {
+        return res.status(400).json({
+          success: false,
+          message: 'You are at your mentee capacity',
+        });
+      }
+
+      await respondToProposal(req.mentorshipRequest, req.mentor, true);
+      await req.mentorshipRequest.populate('selectedMentor', 'name expertise rating');
+
+      res.status(200).json({
+        success: true,
+        message: 'Mentorship accepted',
+        data: req.mentorshipRequest,
+      });
+
+    } catch (error) {
+      console.error('Accept proposal error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error accepting mentorship',
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/mentorship/requests/:id/decline
+ * @desc    Decline a mentorship proposal; the next-best match is asked
+ * @access  Protected (Proposed mentor)
+ */
+router.post(
+  '/requests/:id/decline',
+  protect,
+  authorize('mentor'),
+  [
+    param('id').isMongoId().withMessage('Invalid request ID'),
+    body('reason')
+      .optional()
+      .isLength({ max: 500 })
+      .withMessage('Reason cannot exceed 500 characters'),
+  ],
+  loadProposal,
+  async (req, res) => {
+    try {
+      await respondToProposal(req.mentorshipRequest, req.mentor, false, req.body.reason);
+
+      res.status(200).json({
+        success: true,
+        message: 'Mentorship declined',
+      });
+
+    } catch (error) {
+      console.error('Decline proposal error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error declining mentorship',
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/mentorship/requests/:id/schedule
+ * @desc    Schedule a mentorship session
+ *          Responds 409 with the clashing sessions and nearby free slots when
+ *          the time overlaps another session (plus buffer) or falls outside
+ *          the mentor's availability
+ * @access  Protected (request founder, selected mentor or admin)
+ */
+router.post(
+  '/requests/:id/schedule',
+  protect,
+  [
+    param('id').isMongoId().withMessage('Invalid request ID'),
+    body('scheduledAt')
+      .isISO8601()
+      .withMessage('Valid date is required')
+      .custom((value) => {
+        if (new Date(value) < new Date()) {
+          throw new Error('Date must be in the future');
+        }
+        return true;
+      }),
+    body('duration')
+      .optional()
+      .isInt({ min: 15, max: 240 })
+      .withMessage('Duration must be 15-240 minutes'),
+    body('meetingLink')
+      .optional()
+      .isURL()
+      .withMessage('Valid meeting link URL required'),
+  ],
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -389,219 +1366,452 @@ router.get(
         });
       }
 
-      const request = await MentorshipRequest.findById(req.params.id)
-        .populate('startup', 'name domain stage founders')
-        .populate('requestedBy', 'name email avatar')
-        .populate('selectedMentor', 'name expertise rating avatar bio')
-        .populate('matchedMentors.mentor', 'name expertise rating avatar bio company')
-        .populate('sessions.mentor', 'name');
+      const request = await MentorshipRequest.findById(req.params.id);
+
+      if (!request) {
+        return res.status(404).json({
+          success: false,
+          message: 'Request not found',
+        });
+      }
+
+      if (!request.selectedMentor) {
+        return res.status(400).json({
+          success: false,
+          message: request.getActiveProposal()
+            ? 'Waiting for the proposed mentor to accept'
+            : 'Please select a mentor first',
+        });
+      }
+
+      const mentor = await Mentor.findById(request.selectedMentor).populate('user');
+
+      if (!mentor) {
+        return res.status(404).json({
+          success: false,
+          message: 'Mentor not found',
+        });
+      }
+
+      // Verify the user is part of this mentorship
+      const startup = await Startup.findById(request.startup).select('founder team');
+      const isFounder = request.requestedBy.toString() === req.user._id.toString()
+        || (startup && startup.hasMemberRole(req.user._id, 'editor'));
+      const isMentor = mentor.user && mentor.user._id.toString() === req.user._id.toString();
+      if (req.user.role !== 'admin' && !isFounder && !isMentor) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized',
+        });
+      }
+
+      const { scheduledAt, meetingLink, notes } = req.body;
+      const duration = parseInt(req.body.duration) || 60;
+
+      // Book the session unless it clashes with the mentor's calendar
+      const booking = await bookSession(request, mentor, {
+        scheduledAt,
+        duration,
+        meetingLink,
+        notes,
+      });
+
+      if (sendScheduleConflict(res, booking, request)) {
+        return;
+      }
+
+      const { session } = booking;
+
+      // Notify both parties
+      if (mentor.user) {
+        await sendNotification(
+          mentor.user._id,
+          'session_scheduled',
+          'Session Scheduled',
+          `Session with ${startup?.name || 'Startup'} scheduled for ${new Date(scheduledAt).toLocaleString()}`,
+          'MentorshipRequest',
+          request._id
+        );
+      }
+
+      await sendNotification(
+        request.requestedBy,
+        'session_scheduled',
+        'Session Scheduled',
+        `Your mentorship session is scheduled for ${new Date(scheduledAt).toLocaleString()}`,
+        'MentorshipRequest',
+        request._id
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Session scheduled successfully',
+        data: {
+          request,
+          session,
+          inviteUrl: `/api/mentorship/requests/${request._id}/sessions/${session._id}/ics`,
+        },
+      });
+
+    } catch (error) {
+      console.error('Schedule error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error scheduling session',
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/mentorship/requests/:id/sessions/:sessionId/ics
+ * @desc    Download a session as an iCalendar invite
+ * @access  Protected (request founder, session mentor or admin)
+ */
+router.get(
+  '/requests/:id/sessions/:sessionId/ics',
+  protect,
+  [
+    param('id').isMongoId().withMessage('Invalid request ID'),
+    param('sessionId').isMongoId().withMessage('Invalid session ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: formatErrors(errors),
+        });
+      }
+
+      const [request] = await MentorshipRequest.findForCalendar({ _id: req.params.id });
+      const session = request && request.sessions.id(req.params.sessionId);
+
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found',
+        });
+      }
+
+      const userId = req.user._id.toString();
+      const isFounder = request.requestedBy?._id?.toString() === userId
+        || (request.startup && request.startup.hasMemberRole(userId));
+      const isMentor = session.mentor?.user?._id?.toString() === userId;
+      if (req.user.role !== 'admin' && !isFounder && !isMentor) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized',
+        });
+      }
+
+      // The replacement session carries the calendar event now
+      if (session.status === 'Rescheduled') {
+        return res.status(410).json({
+          success: false,
+          message: 'Session was rescheduled',
+          data: { rescheduledTo: session.rescheduledTo },
+        });
+      }
+
+      const invite = buildSessionInvite(request, session, getSessionPeople(request, session));
+
+      const method = isSessionCancelled(session, request) ? 'CANCEL' : 'REQUEST';
+
+      res.set('Content-Type', `text/calendar; charset=utf-8; method=${method}`);
+      res.set('Content-Disposition', `attachment; filename="mentorship-session-${session._id}.ics"`);
+      res.status(200).send(invite);
+
+    } catch (error) {
+      console.error('Session invite error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error creating calendar invite',
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/mentorship/requests/:id/sessions/:sessionId/reschedule
+ * @desc    Move a session to a new time
+ *          The original is kept as Rescheduled and linked to the new session;
+ *          same cutoff and conflict rules as cancelling and scheduling
+ * @access  Protected (request founder, session mentor or admin)
+ */
+router.post(
+  '/requests/:id/sessions/:sessionId/reschedule',
+  protect,
+  [
+    ...sessionParamValidators,
+    body('scheduledAt')
+      .isISO8601()
+      .withMessage('Valid date is required')
+      .custom((value) => {
+        if (new Date(value) < new Date()) {
+          throw new Error('Date must be in the future');
+        }
+        return true;
+      }),
+    body('duration')
+      .optional()
+      .isInt({ min: 15, max: 240 })
+      .withMessage('Duration must be 15-240 minutes'),
+    body('meetingLink')
+      .optional()
+      .isURL()
+      .withMessage('Valid meeting link URL required'),
+  ],
+  loadSessionParticipant,
+  async (req, res) => {
+    try {
+      const request = req.mentorshipRequest;
+      const original = req.mentorshipSession;
+      const options = { enforceCutoff: req.participantRole !== 'admin' };
+
+      const actionError = request.getSessionActionError(original, 'reschedule', options);
+      if (actionError) {
+        return res.status(400).json({
+          success: false,
+          message: actionError,
+        });
+      }
+
+      if (!req.sessionMentor) {
+        return res.status(404).json({
+          success: false,
+          message: 'Mentor not found',
+        });
+      }
+
+      const { scheduledAt, meetingLink, notes } = req.body;
+      const booking = await rescheduleSession(request, req.sessionMentor, original._id, {
+        scheduledAt,
+        duration: req.body.duration ? parseInt(req.body.duration) : undefined,
+        meetingLink,
+        notes,
+      }, options);
+
+      if (sendScheduleConflict(res, booking, request)) {
+        return;
+      }
+
+      await notifySessionParticipants(
+        req,
+        'session_scheduled',
+        'Session Rescheduled',
+        `Your mentorship session on "${request.topic}" moved to ${new Date(scheduledAt).toLocaleString()}`
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Session rescheduled successfully',
+        data: {
+          session: booking.session,
+          previousSession: original,
+          inviteUrl: `/api/mentorship/requests/${request._id}/sessions/${booking.session._id}/ics`,
+        },
+      });
+
+    } catch (error) {
+      console.error('Reschedule session error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error rescheduling session',
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/mentorship/requests/:id/sessions/:sessionId/cancel
+ * @desc    Cancel a single session
+ *          Not allowed within the cutoff window before the start (admins exempt)
+ * @access  Protected (request founder, session mentor or admin)
+ */
+router.post(
+  '/requests/:id/sessions/:sessionId/cancel',
+  protect,
+  [
+    ...sessionParamValidators,
+    body('reason')
+      .optional()
+      .isLength({ max: 500 })
+      .withMessage('Reason cannot exceed 500 characters'),
+  ],
+  loadSessionParticipant,
+  async (req, res) => {
+    try {
+      const request = req.mentorshipRequest;
+      const options = { enforceCutoff: req.participantRole !== 'admin' };
 
-      if (!request) {
-        return res.status(404).json({
+      const actionError = request.getSessionActionError(req.mentorshipSession, 'cancel', options);
+      if (actionError) {
+        return res.status(400).json({
           success: false,
-          message: 'Request not found',
+          message: actionError,
         });
       }
 
+      const session = await request.cancelSession(req.mentorshipSession._id, req.user._id, req.body.reason, options);
+
+      await notifySessionParticipants(
+        req,
+        'session_cancelled',
+        'Session Cancelled',
+        `The session on ${session.scheduledAt.toLocaleString()} for "${request.topic}" was cancelled`
+      );
+
       res.status(200).json({
         success: true,
-        data: request,
+        message: 'Session cancelled',
+        data: session,
       });
 
     } catch (error) {
-      console.error('Get request error:', error);
+      console.error('Cancel session error:', error);
       res.status(500).json({
         success: false,
-        message: 'Error fetching request',
+        message: 'Error cancelling session',
       });
     }
   }
 );
 
 /**
- * @route   POST /api/mentorship/requests/:id/select-mentor
- * @desc    Select a mentor from matched list
- * @access  Protected (Founders)
+ * @route   POST /api/mentorship/requests/:id/sessions/:sessionId/complete
+ * @desc    Mark a session as held; credits the mentor's completed sessions
+ * @access  Protected (session mentor or admin)
  */
 router.post(
-  '/requests/:id/select-mentor',
+  '/requests/:id/sessions/:sessionId/complete',
   protect,
-  authorize('founder', 'admin'),
-  [
-    param('id').isMongoId().withMessage('Invalid request ID'),
-    body('mentorId').isMongoId().withMessage('Invalid mentor ID'),
-  ],
+  sessionParamValidators,
+  loadSessionParticipant,
   async (req, res) => {
     try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
+      const request = req.mentorshipRequest;
+
+      if (req.participantRole === 'founder') {
+        return res.status(403).json({
           success: false,
-          errors: formatErrors(errors),
+          message: 'Only the mentor can mark a session as completed',
         });
       }
 
-      const request = await MentorshipRequest.findById(req.params.id);
-
-      if (!request) {
-        return res.status(404).json({
+      const actionError = request.getSessionActionError(req.mentorshipSession, 'complete');
+      if (actionError) {
+        return res.status(400).json({
           success: false,
-          message: 'Request not found',
+          message: actionError,
         });
       }
 
-      // Verify ownership (if founder)
-      if (req.user.role === 'founder') {
-        const startup = await Startup.findById(request.startup);
-        if (!startup || startup.founder.toString() !== req.user._id.toString()) {
-          return res.status(403).json({
-            success: false,
-            message: 'Not authorized',
-          });
-        }
-      }
-
-      // Select the mentor
-      await request.selectMentor(req.body.mentorId);
-
-      // Get mentor details for notification
-      const mentor = await Mentor.findById(req.body.mentorId).populate('user', 'name');
-
-      // Notify the mentor
-      if (mentor) {
-        await sendNotification(
-          mentor.user._id,
-          'mentor_selected',
-          'You have been selected!',
-          `A startup has selected you for mentorship in "${request.topic}"`,
-          'MentorshipRequest',
-          request._id
-        );
-
-        // Add startup to mentor's mentees
-        await mentor.addMentee(request.startup);
-      }
+      const session = await request.completeSession(req.mentorshipSession._id);
 
-      await request.populate('selectedMentor', 'name expertise rating');
+      await sendNotification(
+        request.requestedBy,
+        'feedback_requested',
+        'How was your session?',
+        `Your session on "${request.topic}" is complete. Please share your feedback.`,
+        'MentorshipRequest',
+        request._id
+      );
 
       res.status(200).json({
         success: true,
-        message: 'Mentor selected successfully',
-        data: request,
+        message: 'Session marked as completed',
+        data: session,
       });
 
     } catch (error) {
-      console.error('Select mentor error:', error);
+      console.error('Complete session error:', error);
       res.status(500).json({
         success: false,
-        message: error.message || 'Error selecting mentor',
+        message: 'Error completing session',
       });
     }
   }
 );
 
 /**
- * @route   POST /api/mentorship/requests/:id/schedule
- * @desc    Schedule a mentorship session
- * @access  Protected
+ * @route   POST /api/mentorship/requests/:id/sessions/:sessionId/no-show
+ * @desc    Report that the other side did not attend
+ *          Mentors report founders and founders report mentors; admins pass party
+ * @access  Protected (request founder, session mentor or admin)
  */
 router.post(
-  '/requests/:id/schedule',
+  '/requests/:id/sessions/:sessionId/no-show',
   protect,
   [
-    param('id').isMongoId().withMessage('Invalid request ID'),
-    body('scheduledAt')
-      .isISO8601()
-      .withMessage('Valid date is required')
-      .custom((value) => {
-        if (new Date(value) < new Date()) {
-          throw new Error('Date must be in the future');
-        }
-        return true;
-      }),
-    body('duration')
-      .optional()
-      .isInt({ min: 15, max: 240 })
-      .withMessage('Duration must be 15-240 minutes'),
-    body('meetingLink')
+    ...sessionParamValidators,
+    body('party')
       .optional()
-      .isURL()
-      .withMessage('Valid meeting link URL required'),
+      .isIn(['founder', 'mentor'])
+      .withMessage('Party must be founder or mentor'),
   ],
+  loadSessionParticipant,
   async (req, res) => {
     try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
+      const request = req.mentorshipRequest;
+      const role = req.participantRole;
+      const counterpart = role === 'mentor' ? 'founder' : 'mentor';
+      const party = role === 'admin' ? req.body.party : counterpart;
+
+      if (!party) {
         return res.status(400).json({
           success: false,
-          errors: formatErrors(errors),
+          message: 'Party is required',
         });
       }
 
-      const request = await MentorshipRequest.findById(req.params.id);
-
-      if (!request) {
-        return res.status(404).json({
+      if (role !== 'admin' && req.body.party && req.body.party !== counterpart) {
+        return res.status(403).json({
           success: false,
-          message: 'Request not found',
+          message: 'You can only report the other participant',
         });
       }
 
-      if (!request.selectedMentor) {
+      const actionError = request.getSessionActionError(req.mentorshipSession, 'no-show');
+      if (actionError) {
         return res.status(400).json({
           success: false,
-          message: 'Please select a mentor first',
+          message: actionError,
         });
       }
 
-      const { scheduledAt, duration, meetingLink, notes } = req.body;
-
-      // Schedule the session
-      const session = await request.scheduleSession({
-        scheduledAt,
-        duration,
-        meetingLink,
-        notes,
-      });
-
-      // Notify both parties
-      const startup = await Startup.findById(request.startup);
-      const mentor = await Mentor.findById(request.selectedMentor).populate('user');
+      const session = await request.markSessionNoShow(req.mentorshipSession._id, party, req.user._id);
 
-      if (mentor) {
+      const absentUser = party === 'founder'
+        ? request.requestedBy
+        : req.sessionMentor && req.sessionMentor.user && req.sessionMentor.user._id;
+      if (absentUser) {
         await sendNotification(
-          mentor.user._id,
-          'session_scheduled',
-          'Session Scheduled',
-          `Session with ${startup?.name || 'Startup'} scheduled for ${new Date(scheduledAt).toLocaleString()}`,
+          absentUser,
+          'session_no_show',
+          'Missed Session',
+          `You were marked as absent from the session on ${session.scheduledAt.toLocaleString()} for "${request.topic}"`,
           'MentorshipRequest',
           request._id
         );
       }
 
-      await sendNotification(
-        request.requestedBy,
-        'session_scheduled',
-        'Session Scheduled',
-        `Your mentorship session is scheduled for ${new Date(scheduledAt).toLocaleString()}`,
-        'MentorshipRequest',
-        request._id
-      );
-
       res.status(200).json({
         success: true,
-        message: 'Session scheduled successfully',
+        message: 'No-show recorded',
         data: {
-          request,
           session,
+          founderNoShows: request.founderNoShows,
+          attentionFlags: request.attentionFlags,
         },
       });
 
     } catch (error) {
-      console.error('Schedule error:', error);
+      console.error('No-show error:', error);
       res.status(500).json({
         success: false,
-        message: 'Error scheduling session',
+        message: 'Error recording no-show',
       });
     }
   }
@@ -650,8 +1860,8 @@ router.post(
       // Determine if user is founder or mentor
       let isFounder = false;
       if (req.user.role === 'founder') {
-        const startup = await Startup.findById(request.startup);
-        isFounder = startup && startup.founder.toString() === req.user._id.toString();
+        const startup = await Startup.findById(request.startup).select('founder team');
+        isFounder = !!startup && startup.hasMemberRole(req.user._id, 'editor');
       }
 
       // Submit feedback
@@ -710,10 +1920,10 @@ router.post(
         });
       }
 
-      // Verify ownership
+      // Verify the founder can act for the startup
       if (req.user.role === 'founder') {
-        const startup = await Startup.findById(request.startup);
-        if (!startup || startup.founder.toString() !== req.user._id.toString()) {
+        const startup = await Startup.findById(request.startup).select('founder team');
+        if (!startup || !startup.hasMemberRole(req.user._id, 'editor')) {
           return res.status(403).json({
             success: false,
             message: 'Not authorized',
@@ -740,4 +1950,251 @@ router.post(
   }
 );
 
+// =============================================================================
+// ACTION ITEM ROUTES
+// =============================================================================
+
+/**
+ * @route   GET /api/mentorship/action-items
+ * @desc    Action items across all of the current user's mentorship requests
+ *          scope=mine keeps items owned by the user's side of each session
+ * @access  Protected
+ */
+router.get(
+  '/action-items',
+  protect,
+  [
+    query('status').optional().isIn(['open', 'completed', 'all']).withMessage('Invalid status'),
+    query('scope').optional().isIn(['mine', 'all']).withMessage('Invalid scope'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: formatErrors(errors),
+        });
+      }
+
+      const entries = await MentorshipRequest.getActionItemsForUser(req.user._id, {
+        status: req.query.status || 'open',
+        scope: req.query.scope || 'mine',
+      });
+      const now = new Date();
+
+      const data = entries.map(({ request, session, item, role }) => ({
+        ...item.toObject(),
+        overdue: !item.completed && !!item.dueDate && item.dueDate < now,
+        role,
+        request: { _id: request._id, topic: request.topic, status: request.status, startup: request.startup },
+        session: { _id: session._id, scheduledAt: session.scheduledAt, status: session.status, mentor: session.mentor },
+      }));
+
+      res.status(200).json({
+        success: true,
+        count: data.length,
+        overdue: data.filter(item => item.overdue).length,
+        data,
+      });
+
+    } catch (error) {
+      console.error('Get action items error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching action items',
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/mentorship/requests/:id/sessions/:sessionId/action-items
+ * @desc    Add an action item to a session
+ * @access  Protected (request founder, session mentor or admin)
+ */
+router.post(
+  '/requests/:id/sessions/:sessionId/action-items',
+  protect,
+  [
+    ...sessionParamValidators,
+    body('description')
+      .trim()
+      .notEmpty()
+      .withMessage('Description is required')
+      .isLength({ max: 500 })
+      .withMessage('Description cannot exceed 500 characters'),
+    body('owner')
+      .optional()
+      .isIn(['founder', 'mentor'])
+      .withMessage('Owner must be founder or mentor'),
+    body('dueDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Invalid due date'),
+  ],
+  loadSessionParticipant,
+  async (req, res) => {
+    try {
+      const request = req.mentorshipRequest;
+      const session = req.mentorshipSession;
+
+      if (['Cancelled', 'Rescheduled'].includes(session.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Action items cannot be added to a ${session.status.toLowerCase()} session`,
+        });
+      }
+
+      const item = await request.addActionItem(session._id, {
+        description: req.body.description,
+        owner: req.body.owner,
+        dueDate: req.body.dueDate ? new Date(req.body.dueDate) : undefined,
+      }, req.user._id);
+
+      await notifyActionItemOwner(
+        req,
+        item,
+        'New Action Item',
+        `"${item.description}" was assigned to you for "${request.topic}"`
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Action item added',
+        data: item,
+      });
+
+    } catch (error) {
+      console.error('Add action item error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error adding action item',
+      });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/mentorship/requests/:id/sessions/:sessionId/action-items/:itemId
+ * @desc    Update an action item or mark it done
+ *          Pass dueDate: null to clear the due date
+ * @access  Protected (request founder, session mentor or admin)
+ */
+router.put(
+  '/requests/:id/sessions/:sessionId/action-items/:itemId',
+  protect,
+  [
+    ...sessionParamValidators,
+    param('itemId').isMongoId().withMessage('Invalid action item ID'),
+    body('description')
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage('Description cannot be empty')
+      .isLength({ max: 500 })
+      .withMessage('Description cannot exceed 500 characters'),
+    body('owner')
+      .optional()
+      .isIn(['founder', 'mentor'])
+      .withMessage('Owner must be founder or mentor'),
+    body('dueDate')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('Invalid due date'),
+    body('completed')
+      .optional()
+      .isBoolean()
+      .withMessage('Completed must be a boolean')
+      .toBoolean(),
+  ],
+  loadSessionParticipant,
+  async (req, res) => {
+    try {
+      const request = req.mentorshipRequest;
+      const session = req.mentorshipSession;
+      const existing = session.actionItems.id(req.params.itemId);
+
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Action item not found',
+        });
+      }
+
+      const previousOwner = existing.owner;
+      const { description, owner, completed } = req.body;
+      const updates = { description, owner, completed };
+      if (req.body.dueDate !== undefined) {
+        updates.dueDate = req.body.dueDate ? new Date(req.body.dueDate) : null;
+      }
+
+      const item = await request.updateActionItem(session._id, existing._id, updates);
+
+      if (item.owner !== previousOwner) {
+        await notifyActionItemOwner(
+          req,
+          item,
+          'Action Item Assigned',
+          `"${item.description}" was assigned to you for "${request.topic}"`
+        );
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Action item updated',
+        data: item,
+      });
+
+    } catch (error) {
+      console.error('Update action item error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error updating action item',
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/mentorship/requests/:id/sessions/:sessionId/action-items/:itemId
+ * @desc    Remove an action item
+ * @access  Protected (request founder, session mentor or admin)
+ */
+router.delete(
+  '/requests/:id/sessions/:sessionId/action-items/:itemId',
+  protect,
+  [
+    ...sessionParamValidators,
+    param('itemId').isMongoId().withMessage('Invalid action item ID'),
+  ],
+  loadSessionParticipant,
+  async (req, res) => {
+    try {
+      const session = req.mentorshipSession;
+
+      if (!session.actionItems.id(req.params.itemId)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Action item not found',
+        });
+      }
+
+      await req.mentorshipRequest.removeActionItem(session._id, req.params.itemId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Action item removed',
+      });
+
+    } catch (error) {
+      console.error('Remove action item error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error removing action item',
+      });
+    }
+  }
+);
+
 module.exports = router;
@@ -0,0 +1,403 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { protect } = require('../middleware/auth');
+const { pushUnreadCount } = require('../services/notificationService');
+
+/**
+ * Notification Routes
+ * Lets users read and manage their own notifications
+ */
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Format validation errors
+ */
+const formatErrors = (errors) => {
+  return errors.array().map(err => ({
+    field: err.path || err.param,
+    message: err.msg,
+  }));
+};
+
+const NOTIFICATION_TYPES = Notification.schema.path('type').enumValues;
+const NOTIFICATION_PRIORITIES = Notification.schema.path('priority').enumValues;
+const EMAIL_FREQUENCIES = User.schema.path('notificationPreferences.emailFrequency').enumValues;
+
+// All notification routes require authentication
+router.use(protect);
+
+// =============================================================================
+// ROUTES
+// =============================================================================
+
+/**
+ * @route   GET /api/notifications
+ * @desc    Get current user's notifications (paginated, filterable)
+ * @access  Protected
+ */
+router.get(
+  '/',
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100'),
+    query('type').optional().isIn(NOTIFICATION_TYPES).withMessage('Invalid notification type'),
+    query('priority').optional().isIn(NOTIFICATION_PRIORITIES).withMessage('Invalid priority'),
+    query('read').optional().isIn(['true', 'false']).withMessage('Read must be true or false'),
+    query('unreadOnly').optional().isIn(['true', 'false']).withMessage('unreadOnly must be true or false'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: formatErrors(errors),
+        });
+      }
+
+      const { page = 1, limit = 20, type, priority, read, unreadOnly } = req.query;
+
+      const result = await Notification.getForUser(req.user._id, {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        type: type || null,
+        priority: priority || null,
+        unreadOnly: unreadOnly === 'true',
+        read: read === undefined ? null : read === 'true',
+      });
+
+      res.status(200).json({
+        success: true,
+        count: result.total,
+        unreadCount: result.unreadCount,
+        totalPages: result.pages,
+        currentPage: result.page,
+        data: result.notifications,
+      });
+
+    } catch (error) {
+      console.error('Get notifications error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching notifications',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/notifications/unread-count
+ * @desc    Get unread notification count
+ * @access  Protected
+ */
+router.get('/unread-count', async (req, res) => {
+  try {
+    const count = await Notification.getUnreadCount(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: { count },
+    });
+
+  } catch (error) {
+    console.error('Unread count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching unread count',
+    });
+  }
+});
+
+/**
+ * @route   GET /api/notifications/priority
+ * @desc    Get unread high/urgent priority notifications
+ * @access  Protected
+ */
+router.get(
+  '/priority',
+  [query('limit').optional().isInt({ min: 1, max: 20 }).withMessage('Limit must be 1-20')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: formatErrors(errors),
+        });
+      }
+
+      const notifications = await Notification.getPriorityNotifications(
+        req.user._id,
+        parseInt(req.query.limit) || 5
+      );
+
+      res.status(200).json({
+        success: true,
+        count: notifications.length,
+        data: notifications,
+      });
+
+    } catch (error) {
+      console.error('Priority notifications error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching priority notifications',
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/notifications/preferences
+ * @desc    Get email notification preferences
+ * @access  Protected
+ */
+router.get('/preferences', async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('notificationPreferences');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        emailFrequency: user.notificationPreferences?.emailFrequency || 'immediate',
+        lastDigestAt: user.notificationPreferences?.lastDigestAt || null,
+      },
+    });
+
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching notification preferences',
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/notifications/preferences
+ * @desc    Update email notification preferences
+ * @access  Protected
+ */
+router.put(
+  '/preferences',
+  [
+    body('emailFrequency')
+      .isIn(EMAIL_FREQUENCIES)
+      .withMessage(`Email frequency must be one of: ${EMAIL_FREQUENCIES.join(', ')}`),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: formatErrors(errors),
+        });
+      }
+
+      const user = await User.findByIdAndUpdate(
+        req.user._id,
+        { 'notificationPreferences.emailFrequency': req.body.emailFrequency },
+        { new: true, runValidators: true }
+      ).select('notificationPreferences');
+
+      res.status(200).json({
+        success: true,
+        message: 'Notification preferences updated',
+        data: {
+          emailFrequency: user.notificationPreferences.emailFrequency,
+          lastDigestAt: user.notificationPreferences.lastDigestAt || null,
+        },
+      });
+
+    } catch (error) {
+      console.error('Update notification preferences error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error updating notification preferences',
+      });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/notifications/read-all
+ * @desc    Mark all of the user's notifications as read
+ * @access  Protected
+ */
+router.put('/read-all', async (req, res) => {
+  try {
+    const result = await Notification.markAllAsRead(req.user._id);
+    await pushUnreadCount(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: { modified: result.modifiedCount || 0 },
+    });
+
+  } catch (error) {
+    console.error('Mark all read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error marking notifications as read',
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/notifications/:id/read
+ * @desc    Mark a single notification as read
+ * @access  Protected (recipient only)
+ */
+router.put(
+  '/:id/read',
+  [param('id').isMongoId().withMessage('Invalid notification ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: formatErrors(errors),
+        });
+      }
+
+      // Scope by recipient so users can't touch others' notifications
+      const notification = await Notification.findOne({
+        _id: req.params.id,
+        recipient: req.user._id,
+      });
+
+      if (!notification) {
+        return res.status(404).json({
+          success: false,
+          message: 'Notification not found',
+        });
+      }
+
+      await notification.markAsRead();
+      await pushUnreadCount(req.user._id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Notification marked as read',
+        data: notification,
+      });
+
+    } catch (error) {
+      console.error('Mark read error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error updating notification',
+      });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/notifications/:id/unread
+ * @desc    Mark a single notification as unread
+ * @access  Protected (recipient only)
+ */
+router.put(
+  '/:id/unread',
+  [param('id').isMongoId().withMessage('Invalid notification ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: formatErrors(errors),
+        });
+      }
+
+      const notification = await Notification.findOne({
+        _id: req.params.id,
+        recipient: req.user._id,
+      });
+
+      if (!notification) {
+        return res.status(404).json({
+          success: false,
+          message: 'Notification not found',
+        });
+      }
+
+      await notification.markAsUnread();
+      await pushUnreadCount(req.user._id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Notification marked as unread',
+        data: notification,
+      });
+
+    } catch (error) {
+      console.error('Mark unread error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error updating notification',
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/notifications/:id
+ * @desc    Delete a notification
+ * @access  Protected (recipient only)
+ */
+router.delete(
+  '/:id',
+  [param('id').isMongoId().withMessage('Invalid notification ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: formatErrors(errors),
+        });
+      }
+
+      const notification = await Notification.findOneAndDelete({
+        _id: req.params.id,
+        recipient: req.user._id,
+      });
+
+      if (!notification) {
+        return res.status(404).json({
+          success: false,
+          message: 'Notification not found',
+        });
+      }
+
+      if (!notification.read) {
+        await pushUnreadCount(req.user._id);
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Notification deleted',
+      });
+
+    } catch (error) {
+      console.error('Delete notification error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error deleting notification',
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,758 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult, param, query } = require('express-validator');
+const OfficeHours = require('../models/OfficeHours');
+const Mentor = require('../models/Mentor');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  publishOfficeHours,
+  notifyPromotedAttendees,
+  notifySessionAttendees,
+} = require('../services/officeHoursService');
+const { normalizeTimezone } = require('../services/availabilityService');
+
+/**
+ * Office Hours Routes
+ * Group sessions a mentor publishes for several startups: founders book
+ * seats or join the waitlist, the mentor records attendance and each
+ * attendee can leave feedback
+ */
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Format validation errors
+ */
+const formatErrors = (errors) => {
+  return errors.array().map(err => ({
+    field: err.path || err.param,
+    message: err.msg,
+  }));
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Default window of the upcoming sessions listing
+const DEFAULT_LISTING_DAYS = 30;
+
+/**
+ * Validators shared by the occurrence routes
+ */
+const sessionParamValidators = [
+  param('id').isMongoId().withMessage('Invalid office hours ID'),
+  param('sessionId').isMongoId().withMessage('Invalid session ID'),
+];
+
+/**
+ * Whether the user hosts the series (or is an admin)
+ */
+const canManage = (officeHours, user) => {
+  if (user.role === 'admin') return true;
+  const host = officeHours.mentor && officeHours.mentor.user;
+  return !!host && (host._id || host).toString() === user._id.toString();
+};
+
+/**
+ * Shape an occurrence for a viewer
+ * Meeting links are only shown to booked attendees and the host;
+ * the attendee list only to the host
+ */
+const formatSession = (officeHours, session, user, manage) => {
+  const attendee = officeHours.getAttendee(session, user._id);
+  const booked = manage || (attendee && attendee.status === 'Booked');
+
+  return {
+    _id: session._id,
+    scheduledAt: session.scheduledAt,
+    duration: session.duration,
+    status: session.status,
+    calendarEventId: session.calendarEventId,
+    meetingLink: booked ? session.meetingLink : undefined,
+    notes: booked ? session.notes : undefined,
+    cancellationReason: session.cancellationReason,
+    seats: {
+      capacity: officeHours.capacity,
+      ...officeHours.getSeatCounts(session),
+    },
+    registration: attendee
+      ? {
+        status: attendee.status,
+        waitlistPosition: officeHours.getWaitlistPosition(session, user._id),
+        attended: attendee.attended,
+        feedback: attendee.feedback,
+      }
+      : null,
+    attendees: manage ? session.attendees : undefined,
+  };
+};
+
+/**
+ * Shape a series for a viewer, optionally keeping only some occurrences
+ */
+const formatOfficeHours = (officeHours, user, filter = () => true) => {
+  const manage = canManage(officeHours, user);
+
+  return {
+    _id: officeHours._id,
+    mentor: officeHours.mentor,
+    title: officeHours.title,
+    description: officeHours.description,
+    format: officeHours.format,
+    topics: officeHours.topics,
+    capacity: officeHours.capacity,
+    recurrence: officeHours.recurrence,
+    timezone: officeHours.timezone,
+    isActive: officeHours.isActive,
+    canManage: manage,
+    sessions: officeHours.sessions
+      .filter(filter)
+      .map(session => formatSession(officeHours, session, user, manage)),
+  };
+};
+
+/**
+ * Load a series and one of its occurrences
+ * Sets req.officeHours and req.officeHoursSession
+ */
+const loadSession = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: formatErrors(errors),
+      });
+    }
+
+    const officeHours = await OfficeHours.findById(req.params.id).populate('mentor', 'name user');
+    const session = officeHours && officeHours.sessions.id(req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+      });
+    }
+
+    req.officeHours = officeHours;
+    req.officeHoursSession = session;
+    next();
+
+  } catch (error) {
+    console.error('Load office hours error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error loading session',
+    });
+  }
+};
+
+/**
+ * Only the host mentor or an admin may continue
+ */
+const requireHost = (req, res, next) => {
+  if (!canManage(req.officeHours, req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the hosting mentor can manage this session',
+    });
+  }
+  next();
+};
+
+/**
+ * Respond to an error thrown while changing seats
+ * Two founders taking the last seat at once surface as a VersionError
+ */
+const sendSeatError = (res, error, fallback) => {
+  if (error.name === 'VersionError') {
+    return res.status(409).json({
+      success: false,
+      message: 'Seats changed while you were booking, please try again',
+      code: 'SEATS_CHANGED',
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: error.message || fallback,
+  });
+};
+
+// =============================================================================
+// LISTING ROUTES
+// =============================================================================
+
+/**
+ * @route   GET /api/office-hours
+ * @desc    Upcoming office hours with seat counts
+ * @access  Protected
+ */
+router.get(
+  '/',
+  protect,
+  [
+    query('from').optional().isISO8601().withMessage('Invalid from date'),
+    query('to').optional().isISO8601().withMessage('Invalid to date'),
+    query('mentor').optional().isMongoId().withMessage('Invalid mentor ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: formatErrors(errors),
+        });
+      }
+
+      const from = req.query.from ? new Date(req.query.from) : new Date();
+      const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + DEFAULT_LISTING_DAYS * DAY_MS);
+
+      const filter = {
+        isActive: true,
+        sessions: { $elemMatch: { status: 'Scheduled', scheduledAt: { $gte: from, $lte: to } } },
+      };
+      if (req.query.mentor) {
+        filter.mentor = req.query.mentor;
+      }
+      if (req.query.topic) {
+        filter.topics = { $regex: req.query.topic, $options: 'i' };
+      }
+
+      const series = await OfficeHours.find(filter)
+        .populate('mentor', 'name avatar title company expertise user')
+        .sort({ 'sessions.scheduledAt': 1 });
+
+      const data = series.map(officeHours => formatOfficeHours(
+        officeHours,
+        req.user,
+        s => s.status === 'Scheduled' && s.scheduledAt >= from && s.scheduledAt <= to
+      ));
+
+      res.status(200).json({
+        success: true,
+        count: data.length,
+        data,
+      });
+
+    } catch (error) {
+      console.error('Get office hours error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching office hours',
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/office-hours/mine
+ * @desc    Office hours the current user hosts or is registered for
+ * @access  Protected
+ */
+router.get('/mine', protect, async (req, res) => {
+  try {
+    const mentor = req.user.role === 'mentor'
+      ? await Mentor.findOne({ user: req.user._id }).select('_id')
+      : null;
+
+    const [hosting, attending] = await Promise.all([
+      mentor
+        ? OfficeHours.find({ mentor: mentor._id })
+          .populate('mentor', 'name avatar title company expertise user')
+          .populate('sessions.attendees.user', 'name email avatar')
+          .sort({ 'sessions.scheduledAt': 1 })
+        : [],
+      OfficeHours.findForAttendee(req.user._id),
+    ]);
+
+    const userId = req.user._id.toString();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        hosting: hosting.map(officeHours => formatOfficeHours(officeHours, req.user)),
+        attending: attending.map(officeHours => formatOfficeHours(
+          officeHours,
+          req.user,
+          s => s.attendees.some(a => a.user.toString() === userId)
+        )),
+      },
+    });
+
+  } catch (error) {
+    console.error('Get my office hours error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching your office hours',
+    });
+  }
+});
+
+/**
+ * @route   GET /api/office-hours/:id
+ * @desc    Get a series with all its occurrences
+ *          Attendee lists are only included for the host and admins
+ * @access  Protected
+ */
+router.get(
+  '/:id',
+  protect,
+  [
+    param('id').isMongoId().withMessage('Invalid office hours ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: formatErrors(errors),
+        });
+      }
+
+      const officeHours = await OfficeHours.findById(req.params.id)
+        .populate('mentor', 'name avatar title company expertise user')
+        .populate('sessions.attendees.user', 'name email avatar')
+        .populate('sessions.attendees.startup', 'name');
+
+      if (!officeHours) {
+        return res.status(404).json({
+          success: false,
+          message: 'Office hours not found',
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: formatOfficeHours(officeHours, req.user),
+      });
+
+    } catch (error) {
+      console.error('Get office hours by ID error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching office hours',
+      });
+    }
+  }
+);
+
+// =============================================================================
+// HOST ROUTES
+// =============================================================================
+
+/**
+ * @route   POST /api/office-hours
+ * @desc    Publish a recurring office-hours series
+ *          Rejected with 409 when an occurrence clashes with the mentor's
+ *          sessions; admins publish on behalf of a mentor
+ * @access  Protected (Mentor, Admin)
+ */
+router.post(
+  '/',
+  protect,
+  authorize('mentor', 'admin'),
+  [
+    body('mentor')
+      .if((value, { req }) => req.user.role === 'admin')
+      .isMongoId()
+      .withMessage('Mentor is required'),
+    body('title')
+      .trim()
+      .notEmpty()
+      .withMessage('Title is required')
+      .isLength({ max: 200 })
+      .withMessage('Title cannot exceed 200 characters'),
+    body('description')
+      .optional()
+      .isLength({ max: 2000 })
+      .withMessage('Description cannot exceed 2000 characters'),
+    body('format')
+      .optional()
+      .isIn(['Office Hours', 'Workshop'])
+      .withMessage('Invalid format'),
+    body('topics')
+      .optional()
+      .isArray({ max: 10 })
+      .withMessage('Topics must be an array of up to 10 entries'),
+    body('capacity')
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Capacity must be 1-50'),
+    body('firstSessionAt')
+      .isISO8601()
+      .withMessage('Valid date is required')
+      .custom((value) => {
+        if (new Date(value) < new Date()) {
+          throw new Error('Date must be in the future');
+        }
+        return true;
+      }),
+    body('duration')
+      .optional()
+      .isInt({ min: 15, max: 240 })
+      .withMessage('Duration must be 15-240 minutes'),
+    body('recurrence.frequency')
+      .optional()
+      .isIn(['once', 'weekly', 'biweekly'])
+      .withMessage('Frequency must be once, weekly or biweekly'),
+    body('recurrence.occurrences')
+      .optional()
+      .isInt({ min: 1, max: 12 })
+      .withMessage('Occurrences must be 1-12'),
+    body('timezone')
+      .optional()
+      .custom((value) => {
+        if (!normalizeTimezone(value)) {
+          throw new Error('Invalid timezone');
+        }
+        return true;
+      }),
+    body('meetingLink')
+      .optional()
+      .isURL()
+      .withMessage('Valid meeting link URL required'),
+    body('notes')
+      .optional()
+      .isLength({ max: 2000 })
+      .withMessage('Notes cannot exceed 2000 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: formatErrors(errors),
+        });
+      }
+
+      const mentor = req.user.role === 'admin'
+        ? await Mentor.findById(req.body.mentor)
+        : await Mentor.findOne({ user: req.user._id });
+
+      if (!mentor) {
+        return res.status(404).json({
+          success: false,
+          message: 'Mentor profile not found',
+        });
+      }
+
+      const result = await publishOfficeHours(mentor, {
+        ...req.body,
+        capacity: parseInt(req.body.capacity),
+        duration: req.body.duration ? parseInt(req.body.duration) : undefined,
+        recurrence: req.body.recurrence && {
+          frequency: req.body.recurrence.frequency,
+          occurrences: req.body.recurrence.occurrences ? parseInt(req.body.recurrence.occurrences) : undefined,
+        },
+        timezone: req.body.timezone ? normalizeTimezone(req.body.timezone) : undefined,
+      }, req.user._id);
+
+      if (result.busy) {
+        return res.status(409).json({
+          success: false,
+          message: 'The mentor\'s calendar is being updated, please try again',
+          code: 'CALENDAR_BUSY',
+        });
+      }
+
+      if (!result.created) {
+        return res.status(409).json({
+          success: false,
+          message: `${result.conflicts.length} occurrence(s) clash with the mentor's existing sessions`,
+          code: 'SCHEDULE_CONFLICT',
+          data: { conflicts: result.conflicts },
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: `Office hours published with ${result.officeHours.sessions.length} session(s)`,
+        data: result.officeHours,
+      });
+
+    } catch (error) {
+      console.error('Publish office hours error:', error);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          errors: Object.values(error.errors).map(e => ({ field: e.path, message: e.message })),
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Error publishing office hours',
+      });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/office-hours/:id/sessions/:sessionId
+ * @desc    Update an occurrence's meeting link or notes; attendees are notified
+ * @access  Protected (host mentor or admin)
+ */
+router.put(
+  '/:id/sessions/:sessionId',
+  protect,
+  [
+    ...sessionParamValidators,
+    body('meetingLink')
+      .optional()
+      .isURL()
+      .withMessage('Valid meeting link URL required'),
+    body('notes')
+      .optional()
+      .isLength({ max: 2000 })
+      .withMessage('Notes cannot exceed 2000 characters'),
+  ],
+  loadSession,
+  requireHost,
+  async (req, res) => {
+    try {
+      const officeHours = req.officeHours;
+      const session = await officeHours.updateSession(req.officeHoursSession._id, {
+        meetingLink: req.body.meetingLink,
+        notes: req.body.notes,
+      });
+
+      await notifySessionAttendees(
+        officeHours,
+        session,
+        'office_hours_updated',
+        'Office Hours Updated',
+        `The details of "${officeHours.title}" on ${session.scheduledAt.toLocaleString()} have changed`
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Session updated',
+        data: session,
+      });
+
+    } catch (error) {
+      console.error('Update office hours session error:', error);
+      sendSeatError(res, error, 'Error updating session');
+    }
+  }
+);
+
+/**
+ * @route   POST /api/office-hours/:id/sessions/:sessionId/cancel
+ * @desc    Cancel an occurrence for all attendees
+ * @access  Protected (host mentor or admin)
+ */
+router.post(
+  '/:id/sessions/:sessionId/cancel',
+  protect,
+  [
+    ...sessionParamValidators,
+    body('reason')
+      .optional()
+      .isLength({ max: 500 })
+      .withMessage('Reason cannot exceed 500 characters'),
+  ],
+  loadSession,
+  requireHost,
+  async (req, res) => {
+    try {
+      const officeHours = req.officeHours;
+      const session = await officeHours.cancelSession(req.officeHoursSession._id, req.body.reason);
+
+      await notifySessionAttendees(
+        officeHours,
+        session,
+        'office_hours_cancelled',
+        'Office Hours Cancelled',
+        `"${officeHours.title}" on ${session.scheduledAt.toLocaleString()} was cancelled`
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Session cancelled',
+        data: session,
+      });
+
+    } catch (error) {
+      console.error('Cancel office hours session error:', error);
+      sendSeatError(res, error, 'Error cancelling session');
+    }
+  }
+);
+
+/**
+ * @route   POST /api/office-hours/:id/sessions/:sessionId/attendance
+ * @desc    Record which booked attendees came; completes the occurrence
+ *          and credits the mentor's completed sessions the first time
+ * @access  Protected (host mentor or admin)
+ */
+router.post(
+  '/:id/sessions/:sessionId/attendance',
+  protect,
+  [
+    ...sessionParamValidators,
+    body('attendees')
+      .isArray()
+      .withMessage('Attendees must be an array of user IDs'),
+    body('attendees.*')
+      .isMongoId()
+      .withMessage('Invalid attendee ID'),
+  ],
+  loadSession,
+  requireHost,
+  async (req, res) => {
+    try {
+      const officeHours = req.officeHours;
+      const firstRecord = req.officeHoursSession.status !== 'Completed';
+
+      const session = await officeHours.recordAttendance(req.officeHoursSession._id, req.body.attendees);
+
+      if (firstRecord) {
+        const mentor = await Mentor.findById(officeHours.mentor._id);
+        if (mentor) {
+          await mentor.completeSession();
+        }
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Attendance recorded',
+        data: session,
+      });
+
+    } catch (error) {
+      console.error('Record attendance error:', error);
+      sendSeatError(res, error, 'Error recording attendance');
+    }
+  }
+);
+
+// =============================================================================
+// ATTENDEE ROUTES
+// =============================================================================
+
+/**
+ * @route   POST /api/office-hours/:id/sessions/:sessionId/book
+ * @desc    Book a seat, or join the waitlist when the session is full
+ * @access  Protected (Founder)
+ */
+router.post(
+  '/:id/sessions/:sessionId/book',
+  protect,
+  authorize('founder'),
+  sessionParamValidators,
+  loadSession,
+  async (req, res) => {
+    try {
+      const officeHours = req.officeHours;
+      const session = req.officeHoursSession;
+
+      const attendee = await officeHours.bookSeat(session._id, {
+        userId: req.user._id,
+        startupId: req.user.startup,
+      });
+
+      const waitlisted = attendee.status === 'Waitlisted';
+      const position = waitlisted ? officeHours.getWaitlistPosition(session, req.user._id) : null;
+
+      res.status(201).json({
+        success: true,
+        message: waitlisted
+          ? `Session is full. You are number ${position} on the waitlist.`
+          : 'Seat booked',
+        data: formatSession(officeHours, session, req.user, false),
+      });
+
+    } catch (error) {
+      console.error('Book office hours error:', error);
+      sendSeatError(res, error, 'Error booking seat');
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/office-hours/:id/sessions/:sessionId/book
+ * @desc    Give up a seat or waitlist place; the next waitlisted
+ *          attendee is promoted and notified
+ * @access  Protected (registered attendee)
+ */
+router.delete(
+  '/:id/sessions/:sessionId/book',
+  protect,
+  sessionParamValidators,
+  loadSession,
+  async (req, res) => {
+    try {
+      const officeHours = req.officeHours;
+      const session = req.officeHoursSession;
+
+      const { promoted } = await officeHours.cancelSeat(session._id, req.user._id);
+      await notifyPromotedAttendees(officeHours, session, promoted);
+
+      res.status(200).json({
+        success: true,
+        message: 'Booking cancelled',
+        data: formatSession(officeHours, session, req.user, false),
+      });
+
+    } catch (error) {
+      console.error('Cancel office hours booking error:', error);
+      sendSeatError(res, error, 'Error cancelling booking');
+    }
+  }
+);
+
+/**
+ * @route   POST /api/office-hours/:id/sessions/:sessionId/feedback
+ * @desc    Rate an attended session; the rating counts towards the mentor's
+ * @access  Protected (attendee)
+ */
+router.post(
+  '/:id/sessions/:sessionId/feedback',
+  protect,
+  [
+    ...sessionParamValidators,
+    body('rating')
+      .isInt({ min: 1, max: 5 })
+      .withMessage('Rating must be 1-5'),
+    body('comment')
+      .optional()
+      .isLength({ max: 1000 })
+      .withMessage('Comment cannot exceed 1000 characters'),
+  ],
+  loadSession,
+  async (req, res) => {
+    try {
+      const officeHours = req.officeHours;
+      const rating = parseInt(req.body.rating);
+
+      const attendee = await officeHours.submitFeedback(req.officeHoursSession._id, req.user._id, {
+        rating,
+        comment: req.body.comment,
+      });
+
+      const mentor = await Mentor.findById(officeHours.mentor._id);
+      if (mentor) {
+        await mentor.updateRating(rating);
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Feedback submitted successfully',
+        data: attendee,
+      });
+
+    } catch (error) {
+      console.error('Office hours feedback error:', error);
+      sendSeatError(res, error, 'Error submitting feedback');
+    }
+  }
+);
+
+module.exports = router;
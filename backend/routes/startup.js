@@ -2,9 +2,20 @@ const express = require('express');
 const router = express.Router();
 const { body, validationResult, param, query } = require('express-validator');
 const Startup = require('../models/Startup');
-const { protect, authorize, optionalAuth } = require('../middleware/auth');
+const KpiSnapshot = require('../models/KpiSnapshot');
+const Mentor = require('../models/Mentor');
+const StartupInvitation = require('../models/StartupInvitation');
+const User = require('../models/User');
+const { protect, authorize, optionalAuth, requireVerified, checkOwnership } = require('../middleware/auth');
 const upload = require('../middleware/upload');
 const { handleUpload } = require('../middleware/upload');
+const { recordKpiSnapshot, buildChartSeries } = require('../services/kpiService');
+const { sendNotification } = require('../services/notificationService');
+const { enqueueEmail } = require('../services/emailQueue');
+const { buildFrontendUrl } = require('../services/mailService');
+const { transferStartupOwnership } = require('../services/ownershipService');
+const { isValidObjectId } = require('../utils/sanitizer');
+const { withOptionalTransaction } = require('../utils/transaction');
 
 /**
  * Startup Routes
@@ -39,6 +50,85 @@ const parseJsonField = (value, fieldName) => {
   }
 };
 
+// Longest KPI history returned by the series endpoint
+const MAX_KPI_MONTHS = 36;
+
+/**
+ * Map a Mongoose validation error to field errors
+ */
+const formatModelErrors = (error) => Object.values(error.errors).map(e => ({
+  field: e.path,
+  message: e.message,
+}));
+
+/**
+ * Whether an error is a second first report for the same KPI month
+ */
+const isDuplicateKpiPeriod = error => error.code === 11000 && !!(error.keyPattern && error.keyPattern.period);
+
+/**
+ * Respond to a KPI month reported twice at once
+ */
+const sendDuplicateKpiPeriod = res => res.status(409).json({
+  success: false,
+  message: 'KPIs for this month were submitted at the same time by someone else. Reload and try again.',
+  code: 'DUPLICATE_KPI_PERIOD',
+});
+
+/**
+ * Load the :id startup for checkOwnership
+ * Malformed IDs resolve to null so the route's own validation answers
+ */
+const findRouteStartup = req => (isValidObjectId(req.params.id) ? Startup.findById(req.params.id) : null);
+
+/**
+ * Build middleware that loads the :id startup and the user's team role
+ * Founders only see startups they are on the team of; other signed-in
+ * roles see any. Sets req.startup, req.startupRole and req.canEditStartup
+ * @param {string} area - What the routes show, used in the 403 message
+ * @param {Function} shape - Narrows or populates the startup query
+ */
+const loadTeamStartup = (area, shape) => async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: formatErrors(errors),
+      });
+    }
+
+    const startup = await shape(Startup.findById(req.params.id));
+
+    if (!startup) {
+      return res.status(404).json({
+        success: false,
+        message: 'Startup not found',
+      });
+    }
+
+    const role = startup.getMemberRole(req.user._id);
+    if (req.user.role === 'founder' && !role) {
+      return res.status(403).json({
+        success: false,
+        message: `Not authorized to view this startup's ${area}`,
+      });
+    }
+
+    req.startup = startup;
+    req.startupRole = role;
+    req.canEditStartup = Startup.roleAtLeast(role, 'editor');
+    next();
+
+  } catch (error) {
+    console.error(`Load startup ${area} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error loading startup',
+    });
+  }
+};
+
 // =============================================================================
 // ROUTES
 // =============================================================================
@@ -318,7 +408,8 @@ router.get(
 
       const startup = await Startup.findById(req.params.id)
         .populate('founder', 'name email avatar bio')
-        .populate('mentors', 'name expertise avatar rating company');
+        .populate('mentors', 'name expertise avatar rating company')
+        .populate('cohort', 'name status startDate endDate');
 
       if (!startup) {
         return res.status(404).json({
@@ -346,7 +437,7 @@ router.get(
 /**
  * @route   PUT /api/startups/:id
  * @desc    Update startup details
- * @access  Protected (Founder or Admin)
+ * @access  Protected (Startup editor or Admin)
  */
 router.put(
   '/:id',
@@ -357,6 +448,7 @@ router.put(
     body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
     body('shortDesc').optional().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
   ],
+  checkOwnership(findRouteStartup),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -367,7 +459,8 @@ router.put(
         });
       }
 
-      let startup = await Startup.findById(req.params.id);
+      // Loaded by checkOwnership, which admits editors and owners
+      let startup = req.startup;
 
       if (!startup) {
         return res.status(404).json({
@@ -376,17 +469,8 @@ router.put(
         });
       }
 
-      // Check authorization
-      const isOwner = startup.founder && startup.founder.toString() === req.user._id.toString();
       const isAdmin = req.user.role === 'admin';
 
-      if (!isOwner && !isAdmin) {
-        return res.status(403).json({
-          success: false,
-          message: 'Not authorized to update this startup',
-        });
-      }
-
       // Build update object
       const allowedFields = ['name', 'shortDesc', 'domain', 'stage', 'website', 'tags', 'notes'];
       const updates = {};
@@ -421,10 +505,11 @@ router.put(
         }
       }
 
-      // Handle KPIs update (admin or owner)
+      // KPIs are recorded as this month's report rather than overwritten
+      let kpis = null;
       if (req.body.kpis) {
         try {
-          updates.kpis = parseJsonField(req.body.kpis, 'kpis');
+          kpis = parseJsonField(req.body.kpis, 'kpis');
         } catch (err) {
           return res.status(400).json({
             success: false,
@@ -443,12 +528,27 @@ router.put(
         updates.pitchDeckUrl = req.file.location || `/uploads/pitchdecks/${req.file.filename}`;
       }
 
-      // Update startup
-      startup = await Startup.findByIdAndUpdate(
-        req.params.id,
-        { $set: updates },
-        { new: true, runValidators: true }
-      )
+      // Record the KPI month only once the startup update has passed validation
+      const current = startup.kpis || {};
+      await withOptionalTransaction(async (session) => {
+        await Startup.findByIdAndUpdate(
+          req.params.id,
+          { $set: updates },
+          { runValidators: true, session }
+        );
+
+        if (kpis) {
+          await recordKpiSnapshot(startup._id, {
+            revenue: kpis.revenue ?? current.revenue ?? 0,
+            users: kpis.users ?? current.users ?? 0,
+            funding: kpis.funding ?? current.funding,
+            monthlyBurnRate: kpis.monthlyBurnRate ?? current.monthlyBurnRate,
+            cashBalance: kpis.cashBalance,
+          }, req.user._id, new Date(), session);
+        }
+      });
+
+      startup = await Startup.findById(req.params.id)
         .populate('founder', 'name email')
         .populate('mentors', 'name expertise');
 
@@ -460,6 +560,19 @@ router.put(
 
     } catch (error) {
       console.error('Update startup error:', error);
+
+      if (isDuplicateKpiPeriod(error)) {
+        return sendDuplicateKpiPeriod(res);
+      }
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: formatModelErrors(error),
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Error updating startup',
@@ -503,12 +616,6 @@ router.delete(
       // Delete the startup (pre-delete hook will clean up related data)
       await startup.deleteOne();
 
-      // Clear startup reference from founder user
-      if (startup.founder) {
-        const User = require('../models/User');
-        await User.findByIdAndUpdate(startup.founder, { $unset: { startup: 1 } });
-      }
-
       res.status(200).json({
         success: true,
         message: 'Startup deleted successfully',
@@ -582,4 +689,1410 @@ router.put(
   }
 );
 
+// =============================================================================
+// KPI ROUTES
+// =============================================================================
+
+// Only the fields the KPI routes read
+const loadKpiStartup = loadTeamStartup('KPIs', q => q.select('name founder team kpis kpiTrends'));
+
+/**
+ * @route   GET /api/startups/:id/kpis
+ * @desc    Monthly KPI series, shaped for charts, with derived growth,
+ *          runway and a trend summary
+ * @access  Protected (startup team, admin, mentor, investor)
+ */
+router.get(
+  '/:id/kpis',
+  protect,
+  [
+    param('id').isMongoId().withMessage('Invalid startup ID'),
+    query('months').optional().isInt({ min: 1, max: MAX_KPI_MONTHS }).withMessage(`Months must be 1-${MAX_KPI_MONTHS}`),
+  ],
+  loadKpiStartup,
+  async (req, res) => {
+    try {
+      const months = parseInt(req.query.months) || 12;
+      const to = KpiSnapshot.periodOf(new Date());
+      const from = KpiSnapshot.shiftPeriod(to, -(months - 1));
+
+      const snapshots = await KpiSnapshot.getSeries(req.startup._id, { from, to })
+        .select('-__v')
+        .lean();
+
+      res.status(200).json({
+        success: true,
+        count: snapshots.length,
+        data: {
+          startup: { _id: req.startup._id, name: req.startup.name },
+          ...buildChartSeries(snapshots),
+          snapshots,
+        },
+      });
+
+    } catch (error) {
+      console.error('Get startup KPIs error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching KPIs',
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/startups/:id/kpis
+ * @desc    Submit (or correct) a month of KPIs
+ *          Growth and runway are derived; Startup.kpis follows the latest month
+ * @access  Protected (startup editor or admin)
+ */
+router.post(
+  '/:id/kpis',
+  protect,
+  [
+    param('id').isMongoId().withMessage('Invalid startup ID'),
+    body('period')
+      .optional()
+      .custom((value) => {
+        if (!KpiSnapshot.isValidPeriod(value)) {
+          throw new Error('Period must be in YYYY-MM format');
+        }
+        if (value > KpiSnapshot.periodOf(new Date())) {
+          throw new Error('Period cannot be in the future');
+        }
+        return true;
+      }),
+    body('revenue')
+      .isFloat({ min: 0 })
+      .withMessage('Revenue must be a non-negative number'),
+    body('users')
+      .isInt({ min: 0 })
+      .withMessage('Users must be a non-negative integer'),
+    body('funding')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Funding must be a non-negative number'),
+    body('monthlyBurnRate')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Burn rate must be a non-negative number'),
+    body('cashBalance')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Cash balance must be a non-negative number'),
+    body('notes')
+      .optional()
+      .isLength({ max: 1000 })
+      .withMessage('Notes cannot exceed 1000 characters'),
+  ],
+  loadKpiStartup,
+  async (req, res) => {
+    try {
+      if (!req.canEditStartup && req.user.role !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to report KPIs for this startup',
+        });
+      }
+
+      const toNumber = value => (value === undefined ? undefined : Number(value));
+      const { snapshot, created } = await recordKpiSnapshot(req.startup._id, {
+        period: req.body.period,
+        revenue: toNumber(req.body.revenue),
+        users: toNumber(req.body.users),
+        funding: toNumber(req.body.funding),
+        monthlyBurnRate: toNumber(req.body.monthlyBurnRate),
+        cashBalance: toNumber(req.body.cashBalance),
+        notes: req.body.notes,
+      }, req.user._id);
+
+      res.status(created ? 201 : 200).json({
+        success: true,
+        message: created
+          ? `KPIs for ${snapshot.period} recorded`
+          : `KPIs for ${snapshot.period} updated`,
+        data: snapshot,
+      });
+
+    } catch (error) {
+      console.error('Submit KPIs error:', error);
+
+      if (isDuplicateKpiPeriod(error)) {
+        return sendDuplicateKpiPeriod(res);
+      }
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: formatModelErrors(error),
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Error recording KPIs',
+      });
+    }
+  }
+);
+
+
+// =============================================================================
+// MILESTONE ROUTES
+// =============================================================================
+
+const MILESTONE_STATUSES = ['Planned', 'In Progress', 'Completed', 'Cancelled'];
+const MILESTONE_METRICS = ['revenue', 'users', 'funding'];
+
+const milestoneValidators = (optional) => {
+  const field = name => (optional ? body(name).optional() : body(name));
+  return [
+    field('title')
+      .trim()
+      .notEmpty()
+      .withMessage('Milestone title is required')
+      .isLength({ max: 200 })
+      .withMessage('Title cannot exceed 200 characters'),
+    body('description')
+      .optional()
+      .isLength({ max: 1000 })
+      .withMessage('Description cannot exceed 1000 characters'),
+    field('targetDate')
+      .isISO8601()
+      .withMessage('Valid target date is required'),
+    body('owner').optional().isMongoId().withMessage('Invalid owner ID'),
+    body('status').optional().isIn(MILESTONE_STATUSES).withMessage('Invalid milestone status'),
+    body('target.metric').optional().isIn(MILESTONE_METRICS).withMessage(`Metric must be one of ${MILESTONE_METRICS.join(', ')}`),
+    body('target.value').optional().isFloat({ min: 0 }).withMessage('Target value must be a non-negative number'),
+  ];
+};
+
+const loadMilestoneStartup = loadTeamStartup('milestones', q => q
+  .populate('milestones.owner', 'name email')
+  .populate('milestones.signOff.by', 'name'));
+
+/**
+ * Require an editor on the startup's team or an admin
+ */
+const requireStartupEditor = (req, res, next) => {
+  if (!req.canEditStartup && req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage this startup\'s milestones',
+    });
+  }
+  next();
+};
+
+/**
+ * Look up req.params.milestoneId on the loaded startup
+ */
+const findMilestone = (req, res) => {
+  const milestone = req.startup.milestones.id(req.params.milestoneId);
+  if (!milestone) {
+    res.status(404).json({
+      success: false,
+      message: 'Milestone not found',
+    });
+  }
+  return milestone;
+};
+
+/**
+ * Milestone with its progress toward the KPI target (0-100, or null)
+ */
+const withProgress = (milestone, kpis) => {
+  const { metric, value } = milestone.target || {};
+  const current = metric && kpis ? kpis[metric] || 0 : null;
+
+  return {
+    ...milestone.toJSON(),
+    isOverdue: !['Completed', 'Cancelled'].includes(milestone.status) && milestone.targetDate < new Date(),
+    targetProgress: metric && value ? Math.min(100, Math.round((current / value) * 100)) : null,
+  };
+};
+
+/**
+ * Ask the startup's mentors to sign off a completed milestone
+ */
+const requestSignOff = async (startup, milestone) => {
+  if (!startup.mentors || startup.mentors.length === 0) return;
+
+  const mentors = await Mentor.find({ _id: { $in: startup.mentors } }).select('user');
+  for (const mentor of mentors) {
+    await sendNotification(
+      mentor.user,
+      'milestone_signoff_requested',
+      'Milestone Ready for Sign-off',
+      `${startup.name} marked "${milestone.title}" as completed. Please review the evidence and sign it off.`,
+      'Startup',
+      startup._id,
+      { actionUrl: `/startups/${startup._id}` }
+    );
+  }
+};
+
+/**
+ * Map a milestone save error to a response
+ */
+const sendMilestoneError = (res, error, message) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: formatModelErrors(error),
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+  });
+};
+
+/**
+ * @route   GET /api/startups/:id/milestones
+ * @desc    The startup's milestones, by target date, with progress toward
+ *          their KPI targets and the milestone completion rate
+ * @access  Protected (startup team, admin, mentor, investor)
+ */
+router.get(
+  '/:id/milestones',
+  protect,
+  [param('id').isMongoId().withMessage('Invalid startup ID')],
+  loadMilestoneStartup,
+  async (req, res) => {
+    const { startup } = req;
+    const milestones = [...startup.milestones]
+      .sort((a, b) => a.targetDate - b.targetDate)
+      .map(m => withProgress(m, startup.kpis));
+    const completionRate = startup.getMilestoneCompletionRate();
+
+    res.status(200).json({
+      success: true,
+      count: milestones.length,
+      data: {
+        startup: { _id: startup._id, name: startup.name },
+        completionRate: completionRate === null ? null : Math.round(completionRate * 100),
+        milestones,
+      },
+    });
+  }
+);
+
+/**
+ * @route   POST /api/startups/:id/milestones
+ * @desc    Add a milestone (owner defaults to the founder)
+ * @access  Protected (startup editor or admin)
+ */
+router.post(
+  '/:id/milestones',
+  protect,
+  [
+    param('id').isMongoId().withMessage('Invalid startup ID'),
+    ...milestoneValidators(false),
+  ],
+  loadMilestoneStartup,
+  requireStartupEditor,
+  async (req, res) => {
+    try {
+      const milestone = await req.startup.addMilestone({
+        title: req.body.title,
+        description: req.body.description,
+        targetDate: req.body.targetDate,
+        owner: req.body.owner,
+        status: req.body.status,
+        target: req.body.target,
+      }, req.user._id);
+
+      if (milestone.status === 'Completed') {
+        await requestSignOff(req.startup, milestone);
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Milestone added',
+        data: withProgress(milestone, req.startup.kpis),
+      });
+
+    } catch (error) {
+      console.error('Add milestone error:', error);
+      sendMilestoneError(res, error, 'Error adding milestone');
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/startups/:id/milestones/:milestoneId
+ * @desc    Update a milestone; completing it asks the mentors for sign-off
+ * @access  Protected (startup editor or admin)
+ */
+router.put(
+  '/:id/milestones/:milestoneId',
+  protect,
+  [
+    param('id').isMongoId().withMessage('Invalid startup ID'),
+    param('milestoneId').isMongoId().withMessage('Invalid milestone ID'),
+    ...milestoneValidators(true),
+  ],
+  loadMilestoneStartup,
+  requireStartupEditor,
+  async (req, res) => {
+    try {
+      const existing = findMilestone(req, res);
+      if (!existing) return;
+
+      const wasCompleted = existing.status === 'Completed';
+      const milestone = await req.startup.updateMilestone(req.params.milestoneId, {
+        title: req.body.title,
+        description: req.body.description,
+        targetDate: req.body.targetDate,
+        owner: req.body.owner,
+        status: req.body.status,
+        target: req.body.target,
+      });
+
+      if (!wasCompleted && milestone.status === 'Completed') {
+        await requestSignOff(req.startup, milestone);
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Milestone updated',
+        data: withProgress(milestone, req.startup.kpis),
+      });
+
+    } catch (error) {
+      console.error('Update milestone error:', error);
+      sendMilestoneError(res, error, 'Error updating milestone');
+    }
+  }
+);
+
+/**
+ * @route   POST /api/startups/:id/milestones/:milestoneId/evidence
+ * @desc    Attach an evidence link to a milestone
+ * @access  Protected (startup editor or admin)
+ */
+router.post(
+  '/:id/milestones/:milestoneId/evidence',
+  protect,
+  [
+    param('id').isMongoId().withMessage('Invalid startup ID'),
+    param('milestoneId').isMongoId().withMessage('Invalid milestone ID'),
+    body('url')
+      .trim()
+      .isURL({ protocols: ['http', 'https'], require_protocol: true })
+      .withMessage('Evidence must be a valid http(s) URL'),
+    body('label')
+      .optional()
+      .isLength({ max: 200 })
+      .withMessage('Label cannot exceed 200 characters'),
+  ],
+  loadMilestoneStartup,
+  requireStartupEditor,
+  async (req, res) => {
+    try {
+      if (!findMilestone(req, res)) return;
+
+      const milestone = await req.startup.addMilestoneEvidence(
+        req.params.milestoneId,
+        { url: req.body.url, label: req.body.label },
+        req.user._id
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Evidence added',
+        data: withProgress(milestone, req.startup.kpis),
+      });
+
+    } catch (error) {
+      console.error('Add milestone evidence error:', error);
+      sendMilestoneError(res, error, 'Error adding evidence');
+    }
+  }
+);
+
+/**
+ * @route   POST /api/startups/:id/milestones/:milestoneId/sign-off
+ * @desc    Approve a completed milestone, or send it back to In Progress
+ * @access  Protected (assigned mentor or admin)
+ */
+router.post(
+  '/:id/milestones/:milestoneId/sign-off',
+  protect,
+  authorize('mentor', 'admin'),
+  [
+    param('id').isMongoId().withMessage('Invalid startup ID'),
+    param('milestoneId').isMongoId().withMessage('Invalid milestone ID'),
+    body('decision').isIn(['Approved', 'Rejected']).withMessage('Decision must be Approved or Rejected'),
+    body('note')
+      .optional()
+      .isLength({ max: 1000 })
+      .withMessage('Note cannot exceed 1000 characters'),
+  ],
+  loadMilestoneStartup,
+  async (req, res) => {
+    try {
+      const { startup } = req;
+
+      if (req.user.role !== 'admin') {
+        const mentor = await Mentor.findOne({ user: req.user._id }).select('_id');
+        const assigned = !!mentor && startup.mentors.some(m => m.toString() === mentor._id.toString());
+        if (!assigned) {
+          return res.status(403).json({
+            success: false,
+            message: 'Only mentors assigned to this startup can sign off its milestones',
+          });
+        }
+      }
+
+      const existing = findMilestone(req, res);
+      if (!existing) return;
+
+      if (existing.status !== 'Completed' || !existing.signOff || existing.signOff.status !== 'Pending') {
+        return res.status(400).json({
+          success: false,
+          message: 'This milestone is not awaiting sign-off',
+        });
+      }
+
+      const { decision, note } = req.body;
+      const milestone = await startup.signOffMilestone(req.params.milestoneId, decision, req.user._id, note);
+
+      const recipients = new Set(
+        [milestone.owner && (milestone.owner._id || milestone.owner), startup.founder]
+          .filter(Boolean)
+          .map(id => id.toString())
+      );
+      for (const recipient of recipients) {
+        await sendNotification(
+          recipient,
+          'milestone_signed_off',
+          decision === 'Approved' ? 'Milestone Signed Off' : 'Milestone Sent Back',
+          decision === 'Approved'
+            ? `"${milestone.title}" for ${startup.name} was signed off.`
+            : `"${milestone.title}" for ${startup.name} was sent back for more work${note ? `: ${note}` : '.'}`,
+          'Startup',
+          startup._id,
+          { actionUrl: `/startups/${startup._id}` }
+        );
+      }
+
+      res.status(200).json({
+        success: true,
+        message: decision === 'Approved' ? 'Milestone signed off' : 'Milestone sent back',
+        data: withProgress(milestone, startup.kpis),
+      });
+
+    } catch (error) {
+      console.error('Sign off milestone error:', error);
+      sendMilestoneError(res, error, 'Error signing off milestone');
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/startups/:id/milestones/:milestoneId
+ * @desc    Remove a milestone
+ * @access  Protected (startup editor or admin)
+ */
+router.delete(
+  '/:id/milestones/:milestoneId',
+  protect,
+  [
+    param('id').isMongoId().withMessage('Invalid startup ID'),
+    param('milestoneId').isMongoId().withMessage('Invalid milestone ID'),
+  ],
+  loadMilestoneStartup,
+  requireStartupEditor,
+  async (req, res) => {
+    try {
+      if (!findMilestone(req, res)) return;
+
+      await req.startup.removeMilestone(req.params.milestoneId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Milestone removed',
+      });
+
+    } catch (error) {
+      console.error('Remove milestone error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error removing milestone',
+      });
+    }
+  }
+);
+
+
+// =============================================================================
+// TEAM ROUTES
+// =============================================================================
+
+const teamRoleValidator = field => body(field)
+  .isIn(Startup.TEAM_ROLES)
+  .withMessage(`Role must be one of ${Startup.TEAM_ROLES.join(', ')}`);
+
+/**
+ * Queue the invitation email with its accept link
+ * @param {StartupInvitation} invitation - Invitation document
+ * @param {Startup} startup - Startup document
+ * @param {User} inviter - Inviting user
+ * @param {string} rawToken - Raw invitation token
+ */
+const sendInvitationEmail = (invitation, startup, inviter, rawToken) => {
+  const url = buildFrontendUrl(`/invitations/${rawToken}`);
+  const expires = invitation.expiresAt.toDateString();
+
+  return enqueueEmail({
+    to: invitation.email,
+    subject: `Join ${startup.name} on Tasavur`,
+    text: `${inviter.name} invited you to join ${startup.name} as ${invitation.role}.\n\nAccept the invitation here:\n${url}\n\nThe link expires ${expires}. Sign in or register with this email address to accept.`,
+    html: `<p>${inviter.name} invited you to join <strong>${startup.name}</strong> as ${invitation.role}.</p><p><a href="${url}">Accept invitation</a></p><p>The link expires ${expires}. Sign in or register with this email address to accept.</p>`,
+    kind: 'transactional',
+  });
+};
+
+/**
+ * @route   GET /api/startups/:id/team
+ * @desc    The startup's team; owners also see pending invitations
+ * @access  Protected (startup team or admin)
+ */
+router.get(
+  '/:id/team',
+  protect,
+  [param('id').isMongoId().withMessage('Invalid startup ID')],
+  checkOwnership(findRouteStartup, { role: 'viewer' }),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: formatErrors(errors),
+        });
+      }
+
+      const { startup } = req;
+      if (!startup) {
+        return res.status(404).json({
+          success: false,
+          message: 'Startup not found',
+        });
+      }
+
+      await startup.populate([
+        { path: 'founder', select: 'name email avatar' },
+        { path: 'team.user', select: 'name email avatar' },
+        { path: 'pendingTransfer.to', select: 'name email' },
+      ]);
+
+      const canManage = req.user.role === 'admin' || req.startupRole === 'owner';
+      const invitations = canManage
+        ? await StartupInvitation.find({ startup: startup._id, status: 'Pending' })
+          .populate('invitedBy', 'name')
+          .sort({ createdAt: -1 })
+        : [];
+
+      const members = [
+        ...(startup.founder ? [{ user: startup.founder, role: 'owner', isFounder: true }] : []),
+        ...startup.team.map(m => ({ user: m.user, role: m.role, joinedAt: m.joinedAt, isFounder: false })),
+      ];
+
+      res.status(200).json({
+        success: true,
+        count: members.length,
+        data: {
+          startup: { _id: startup._id, name: startup.name },
+          myRole: req.startupRole,
+          members,
+          invitations,
+          pendingTransfer: startup.isTransferOpen() ? startup.pendingTransfer : null,
+        },
+      });
+
+    } catch (error) {
+      console.error('Get team error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching team',
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/startups/:id/team/invitations
+ * @desc    Invite someone by email; inviting the same address again
+ *          re-issues the link
+ * @access  Protected (startup owner or admin, verified email required)
+ */
+router.post(
+  '/:id/team/invitations',
+  protect,
+  requireVerified,
+  [
+    param('id').isMongoId().withMessage('Invalid startup ID'),
+    body('email').trim().isEmail().withMessage('Valid email is required').normalizeEmail(),
+    teamRoleValidator('role').optional(),
+  ],
+  checkOwnership(findRouteStartup, { role: 'owner' }),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: formatErrors(errors),
+        });
+      }
+
+      const { startup } = req;
+      if (!startup) {
+        return res.status(404).json({
+          success: false,
+          message: 'Startup not found',
+        });
+      }
+
+      const email = req.body.email.toLowerCase();
+      const role = req.body.role || 'editor';
+
+      const invitee = await User.findOne({ email }).select('name email');
+      if (invitee && startup.getMemberRole(invitee._id)) {
+        return res.status(400).json({
+          success: false,
+          message: `${email} is already on the team`,
+        });
+      }
+
+      let invitation = await StartupInvitation.findOne({ startup: startup._id, email, status: 'Pending' });
+      const resent = !!invitation;
+      if (!invitation) {
+        invitation = new StartupInvitation({ startup: startup._id, email });
+      }
+      invitation.role = role;
+      invitation.invitedBy = req.user._id;
+      const rawToken = invitation.generateToken();
+      await invitation.save();
+
+      await sendInvitationEmail(invitation, startup, req.user, rawToken);
+
+      if (invitee) {
+        await sendNotification(
+          invitee._id,
+          'team_invitation',
+          'Team Invitation',
+          `${req.user.name} invited you to join ${startup.name} as ${role}.`,
+          'Startup',
+          startup._id,
+          { actionUrl: `/invitations/${rawToken}` }
+        );
+      }
+
+      res.status(resent ? 200 : 201).json({
+        success: true,
+        message: resent ? `Invitation to ${email} resent` : `Invitation sent to ${email}`,
+        // The token hash stays on the server
+        data: {
+          _id: invitation._id,
+          email: invitation.email,
+          role: invitation.role,
+          status: invitation.status,
+          expiresAt: invitation.expiresAt,
+        },
+      });
+
+    } catch (error) {
+      console.error('Invite team member error:', error);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: formatModelErrors(error),
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Error sending invitation',
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/startups/:id/team/invitations/:invitationId
+ * @desc    Revoke a pending invitation
+ * @access  Protected (startup owner or admin)
+ */
+router.delete(
+  '/:id/team/invitations/:invitationId',
+  protect,
+  [
+    param('id').isMongoId().withMessage('Invalid startup ID'),
+    param('invitationId').isMongoId().withMessage('Invalid invitation ID'),
+  ],
+  checkOwnership(findRouteStartup, { role: 'owner' }),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: formatErrors(errors),
+        });
+      }
+
+      const invitation = req.startup && await StartupInvitation.findOne({
+        _id: req.params.invitationId,
+        startup: req.startup._id,
+      });
+
+      if (!invitation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invitation not found',
+        });
+      }
+
+      if (invitation.status !== 'Pending') {
+        return res.status(400).json({
+          success: false,
+          message: `This invitation has already been ${invitation.status.toLowerCase()}`,
+        });
+      }
+
+      invitation.status = 'Revoked';
+      invitation.revokedAt = new Date();
+      await invitation.save();
+
+      res.status(200).json({
+        success: true,
+        message: 'Invitation revoked',
+        data: invitation,
+      });
+
+    } catch (error) {
+      console.error('Revoke invitation error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error revoking invitation',
+      });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/startups/:id/team/:userId
+ * @desc    Change a member's role (the founder always stays an owner)
+ * @access  Protected (startup owner or admin)
+ */
+router.put(
+  '/:id/team/:userId',
+  protect,
+  [
+    param('id').isMongoId().withMessage('Invalid startup ID'),
+    param('userId').isMongoId().withMessage('Invalid user ID'),
+    teamRoleValidator('role'),
+  ],
+  checkOwnership(findRouteStartup, { role: 'owner' }),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: formatErrors(errors),
+        });
+      }
+
+      const { startup } = req;
+      const role = startup && startup.getMemberRole(req.params.userId);
+
+      if (!role) {
+        return res.status(404).json({
+          success: false,
+          message: 'Team member not found',
+        });
+      }
+
+      if (startup.founder && startup.founder.toString() === req.params.userId) {
+        return res.status(400).json({
+          success: false,
+          message: 'The founder\'s role cannot be changed',
+        });
+      }
+
+      const member = await startup.updateMemberRole(req.params.userId, req.body.role);
+
+      await sendNotification(
+        member.user,
+        'team_update',
+        'Team Role Changed',
+        `Your role on ${startup.name} is now ${member.role}.`,
+        'Startup',
+        startup._id,
+        { actionUrl: `/startups/${startup._id}` }
+      );
+
+      res.status(200).json({
+        success: true,
+        message: `Role updated to ${member.role}`,
+        data: member,
+      });
+
+    } catch (error) {
+      console.error('Update team member error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error updating team member',
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/startups/:id/team/:userId
+ * @desc    Remove a member, or leave the team
+ * @access  Protected (startup owner, admin, or the member themselves)
+ */
+router.delete(
+  '/:id/team/:userId',
+  protect,
+  [
+    param('id').isMongoId().withMessage('Invalid startup ID'),
+    param('userId').isMongoId().withMessage('Invalid user ID'),
+  ],
+  checkOwnership(findRouteStartup, { role: 'viewer' }),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: formatErrors(errors),
+        });
+      }
+
+      const { startup } = req;
+      const isSelf = req.params.userId === req.user._id.toString();
+
+      if (!isSelf && req.user.role !== 'admin' && req.startupRole !== 'owner') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only owners can remove team members',
+        });
+      }
+
+      if (!startup || !startup.getMemberRole(req.params.userId)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Team member not found',
+        });
+      }
+
+      if (startup.founder && startup.founder.toString() === req.params.userId) {
+        return res.status(400).json({
+          success: false,
+          message: 'The founder cannot be removed from the team',
+        });
+      }
+
+      await startup.removeMember(req.params.userId);
+
+      // Drop the user's default startup if it was this one
+      await User.updateOne(
+        { _id: req.params.userId, startup: startup._id },
+        { $unset: { startup: 1 } }
+      );
+
+      if (!isSelf) {
+        await sendNotification(
+          req.params.userId,
+          'team_update',
+          'Removed from Team',
+          `You are no longer a member of ${startup.name}.`,
+          'Startup',
+          startup._id
+        );
+      }
+
+      res.status(200).json({
+        success: true,
+        message: isSelf ? `You left ${startup.name}` : 'Team member removed',
+      });
+
+    } catch (error) {
+      console.error('Remove team member error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error removing team member',
+      });
+    }
+  }
+);
+
+/**
+ * Load an invitation by the token in req.params.token
+ * Sets req.invitation (with its startup)
+ */
+const loadInvitation = async (req, res, next) => {
+  try {
+    const invitation = await StartupInvitation.findByToken(req.params.token)
+      .populate('startup', 'name founder team')
+      .populate('invitedBy', 'name');
+
+    if (!invitation || !invitation.startup) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found',
+      });
+    }
+
+    req.invitation = invitation;
+    next();
+
+  } catch (error) {
+    console.error('Load invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error loading invitation',
+    });
+  }
+};
+
+/**
+ * @route   GET /api/startups/invitations/:token
+ * @desc    Preview an invitation before accepting it
+ * @access  Protected
+ */
+router.get(
+  '/invitations/:token',
+  protect,
+  loadInvitation,
+  (req, res) => {
+    const { invitation } = req;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        startup: { _id: invitation.startup._id, name: invitation.startup.name },
+        email: invitation.email,
+        role: invitation.role,
+        status: invitation.status,
+        invitedBy: invitation.invitedBy,
+        expiresAt: invitation.expiresAt,
+        isExpired: invitation.isExpired,
+        emailMatches: invitation.email === req.user.email.toLowerCase(),
+      },
+    });
+  }
+);
+
+/**
+ * @route   POST /api/startups/invitations/:token/accept
+ * @desc    Accept an invitation and join the startup's team
+ *          The signed-in account must use the invited email address
+ * @access  Protected
+ */
+router.post(
+  '/invitations/:token/accept',
+  protect,
+  loadInvitation,
+  async (req, res) => {
+    try {
+      const { invitation } = req;
+      const { startup } = invitation;
+
+      if (!invitation.isOpen()) {
+        return res.status(400).json({
+          success: false,
+          message: invitation.status === 'Pending'
+            ? 'This invitation has expired. Ask the team for a new one.'
+            : `This invitation has already been ${invitation.status.toLowerCase()}`,
+        });
+      }
+
+      if (invitation.email !== req.user.email.toLowerCase()) {
+        return res.status(403).json({
+          success: false,
+          message: `This invitation was sent to ${invitation.email}. Sign in with that address to accept it.`,
+        });
+      }
+
+      if (startup.founder && startup.founder.toString() === req.user._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: 'You already own this startup',
+        });
+      }
+
+      const member = await startup.addMember(req.user._id, invitation.role, invitation.invitedBy._id);
+
+      invitation.status = 'Accepted';
+      invitation.acceptedBy = req.user._id;
+      invitation.acceptedAt = new Date();
+      await invitation.save();
+
+      // Give new members a default startup for their dashboard
+      if (!req.user.startup) {
+        await User.updateOne({ _id: req.user._id }, { $set: { startup: startup._id } });
+      }
+
+      await sendNotification(
+        invitation.invitedBy._id,
+        'team_update',
+        'Invitation Accepted',
+        `${req.user.name} joined ${startup.name} as ${member.role}.`,
+        'Startup',
+        startup._id,
+        { actionUrl: `/startups/${startup._id}` }
+      );
+
+      res.status(200).json({
+        success: true,
+        message: `You joined ${startup.name} as ${member.role}`,
+        data: { startup: { _id: startup._id, name: startup.name }, role: member.role },
+      });
+
+    } catch (error) {
+      console.error('Accept invitation error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error accepting invitation',
+      });
+    }
+  }
+);
+
+// =============================================================================
+// OWNERSHIP ROUTES
+// =============================================================================
+
+/**
+ * Find an active user who can take over a startup
+ * @param {string} userId - Proposed new owner
+ * @returns {Promise<User|null>}
+ */
+const findActiveUser = userId => User.findOne({ _id: userId, isActive: true }).select('name email');
+
+/**
+ * @route   POST /api/startups/:id/transfer
+ * @desc    Offer ownership to a team member; the founder stays in charge
+ *          until they accept
+ * @access  Protected (founder)
+ */
+router.post(
+  '/:id/transfer',
+  protect,
+  [
+    param('id').isMongoId().withMessage('Invalid startup ID'),
+    body('userId').isMongoId().withMessage('Valid user ID is required'),
+    body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters'),
+  ],
+  checkOwnership(findRouteStartup, { role: 'owner' }),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: formatErrors(errors),
+        });
+      }
+
+      const { startup } = req;
+      if (!startup) {
+        return res.status(404).json({
+          success: false,
+          message: 'Startup not found',
+        });
+      }
+
+      if (!startup.founder || startup.founder.toString() !== req.user._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the founder can transfer ownership',
+        });
+      }
+
+      const { userId, note } = req.body;
+
+      if (userId === req.user._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: 'You already own this startup',
+        });
+      }
+
+      if (!startup.getMemberRole(userId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invite the new owner to the team first',
+        });
+      }
+
+      const newOwner = await findActiveUser(userId);
+      if (!newOwner) {
+        return res.status(400).json({
+          success: false,
+          message: 'The new owner must have an active account',
+        });
+      }
+
+      const transfer = await startup.requestOwnershipTransfer(newOwner._id, req.user._id, note);
+
+      await sendNotification(
+        newOwner._id,
+        'ownership_transfer',
+        'Ownership Transfer Requested',
+        `${req.user.name} wants to make you the owner of ${startup.name}.`,
+        'Startup',
+        startup._id,
+        { actionUrl: `/startups/${startup._id}` }
+      );
+
+      res.status(200).json({
+        success: true,
+        message: `Transfer requested. ${newOwner.name} needs to accept it.`,
+        data: transfer,
+      });
+
+    } catch (error) {
+      console.error('Request ownership transfer error:', error);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: formatModelErrors(error),
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Error requesting ownership transfer',
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/startups/:id/transfer
+ * @desc    Cancel a pending transfer (founder) or decline it (new owner)
+ * @access  Protected (founder, proposed owner or admin)
+ */
+router.delete(
+  '/:id/transfer',
+  protect,
+  [param('id').isMongoId().withMessage('Invalid startup ID')],
+  checkOwnership(findRouteStartup, { role: 'viewer' }),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: formatErrors(errors),
+        });
+      }
+
+      const { startup } = req;
+      if (!startup || !startup.pendingTransfer || !startup.pendingTransfer.to) {
+        return res.status(404).json({
+          success: false,
+          message: 'No ownership transfer pending',
+        });
+      }
+
+      const me = req.user._id.toString();
+      const { to, requestedBy } = startup.pendingTransfer;
+      const isRecipient = to.toString() === me;
+      const isFounder = startup.founder && startup.founder.toString() === me;
+
+      if (!isRecipient && !isFounder && req.user.role !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to cancel this transfer',
+        });
+      }
+
+      await startup.cancelOwnershipTransfer();
+
+      const notify = isRecipient ? requestedBy : to;
+      if (notify && notify.toString() !== me) {
+        await sendNotification(
+          notify,
+          'ownership_transfer',
+          isRecipient ? 'Ownership Transfer Declined' : 'Ownership Transfer Cancelled',
+          isRecipient
+            ? `${req.user.name} declined to take over ${startup.name}.`
+            : `The request to make you the owner of ${startup.name} was cancelled.`,
+          'Startup',
+          startup._id,
+          { actionUrl: `/startups/${startup._id}` }
+        );
+      }
+
+      res.status(200).json({
+        success: true,
+        message: isRecipient ? 'Ownership transfer declined' : 'Ownership transfer cancelled',
+      });
+
+    } catch (error) {
+      console.error('Cancel ownership transfer error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error cancelling ownership transfer',
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/startups/:id/transfer/accept
+ * @desc    Accept ownership; the previous founder stays on as a team owner
+ *          and the founder's open funding applications and mentorship
+ *          requests move to the new owner
+ * @access  Protected (proposed owner, verified email required)
+ */
+router.post(
+  '/:id/transfer/accept',
+  protect,
+  requireVerified,
+  [param('id').isMongoId().withMessage('Invalid startup ID')],
+  checkOwnership(findRouteStartup, { role: 'viewer' }),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: formatErrors(errors),
+        });
+      }
+
+      const { startup } = req;
+      const transfer = startup && startup.pendingTransfer;
+      if (!transfer || !transfer.to) {
+        return res.status(404).json({
+          success: false,
+          message: 'No ownership transfer pending',
+        });
+      }
+
+      if (transfer.to.toString() !== req.user._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'This transfer was offered to someone else',
+        });
+      }
+
+      if (!startup.isTransferOpen()) {
+        return res.status(400).json({
+          success: false,
+          message: 'This transfer request has expired. Ask the founder for a new one.',
+        });
+      }
+
+      const { reassigned } = await transferStartupOwnership(startup._id, req.user._id, {
+        changedBy: req.user._id,
+        note: transfer.note,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: `You are now the owner of ${startup.name}`,
+        data: { startup: { _id: startup._id, name: startup.name }, reassigned },
+      });
+
+    } catch (error) {
+      console.error('Accept ownership transfer error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error accepting ownership transfer',
+      });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/startups/:id/owner
+ * @desc    Reassign ownership immediately, e.g. when the founder has left
+ * @access  Admin
+ */
+router.put(
+  '/:id/owner',
+  protect,
+  authorize('admin'),
+  [
+    param('id').isMongoId().withMessage('Invalid startup ID'),
+    body('userId').isMongoId().withMessage('Valid user ID is required'),
+    body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+    body('keepPreviousOwner').optional().isBoolean().withMessage('keepPreviousOwner must be a boolean').toBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: formatErrors(errors),
+        });
+      }
+
+      const startup = await Startup.findById(req.params.id);
+      if (!startup) {
+        return res.status(404).json({
+          success: false,
+          message: 'Startup not found',
+        });
+      }
+
+      const { userId, reason, keepPreviousOwner = true } = req.body;
+
+      if (startup.founder && startup.founder.toString() === userId) {
+        return res.status(400).json({
+          success: false,
+          message: 'This user already owns the startup',
+        });
+      }
+
+      const newOwner = await findActiveUser(userId);
+      if (!newOwner) {
+        return res.status(400).json({
+          success: false,
+          message: 'The new owner must have an active account',
+        });
+      }
+
+      const { startup: transferred, reassigned } = await transferStartupOwnership(startup._id, newOwner._id, {
+        changedBy: req.user._id,
+        note: reason || 'reassigned by an administrator',
+        keepPreviousOwner,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: `${newOwner.name} now owns ${transferred.name}`,
+        data: { startup: { _id: transferred._id, name: transferred.name, founder: transferred.founder }, reassigned },
+      });
+
+    } catch (error) {
+      console.error('Reassign ownership error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error reassigning ownership',
+      });
+    }
+  }
+);
+
 module.exports = router;
@@ -9,6 +9,10 @@ const { Server } = require('socket.io');
 const connectDB = require('./config/db');
 const { errorHandler, notFound } = require('./utils/errorHandler');
 const { sanitizeMiddleware } = require('./utils/sanitizer');
+const { authenticateSocket } = require('./middleware/auth');
+const { attachSocketServer } = require('./services/notificationService');
+const { startEmailWorker } = require('./services/emailQueue');
+const { startReminderWorker } = require('./services/reminderService');
 
 /**
  * Business Incubator Platform - Main Server
@@ -38,6 +42,10 @@ const validateEnv = () => {
       console.warn('⚠️  Missing recommended environment variables for production:');
       missingRecommended.forEach(key => console.warn(`   - ${key}`));
     }
+
+    if (!process.env.EMAIL_HOST && !process.env.MAIL_TRANSPORT) {
+      console.warn('⚠️  No mail transport configured (EMAIL_HOST or MAIL_TRANSPORT); emails will not be sent');
+    }
   }
 };
 
@@ -61,23 +69,70 @@ const io = new Server(server, {
 // Make io accessible to routes
 app.set('io', io);
 
+// Register io with the notification service for real-time pushes
+attachSocketServer(io);
+
+// Authenticate every socket with the same JWT used by the REST API
+io.use(authenticateSocket);
+
+/**
+ * Check whether a socket's user may join a startup room
+ * Anyone on the startup's team, its mentors and admins may
+ * @param {User} user - Authenticated user
+ * @param {string} startupId - Startup ID
+ * @returns {Promise<boolean>}
+ */
+const canJoinStartupRoom = async (user, startupId) => {
+  if (user.role === 'admin') return true;
+
+  const Startup = require('./models/Startup');
+  const startup = await Startup.findById(startupId).select('founder team');
+  if (!startup) return false;
+  if (startup.hasMemberRole(user._id)) return true;
+
+  if (user.role === 'mentor') {
+    const Mentor = require('./models/Mentor');
+    const mentor = await Mentor.findOne({ user: user._id, currentMentees: startupId });
+    return !!mentor;
+  }
+
+  return false;
+};
+
 // Socket.IO connection handling
 io.on('connection', (socket) => {
-  console.log(`🔌 Client connected: ${socket.id}`);
+  const user = socket.data.user;
+  const userRoom = `user:${user._id}`;
+
+  console.log(`🔌 Client connected: ${socket.id} (user ${user._id})`);
+
+  // Authenticated users always receive their own notifications
+  socket.join(userRoom);
 
-  // Join user-specific room for targeted notifications
+  // Kept for older clients - only the user's own room can be joined
   socket.on('join:user', (userId) => {
-    if (userId) {
-      socket.join(`user:${userId}`);
-      console.log(`👤 User ${userId} joined their room`);
+    if (userId && userId.toString() === user._id.toString()) {
+      socket.join(userRoom);
+    } else {
+      socket.emit('error:forbidden', { room: 'user', message: 'Cannot join another user\'s room' });
     }
   });
 
-  // Join startup-specific room
-  socket.on('join:startup', (startupId) => {
-    if (startupId) {
-      socket.join(`startup:${startupId}`);
-      console.log(`🚀 Joined startup room: ${startupId}`);
+  // Join startup-specific room (members, assigned mentors and admins only)
+  socket.on('join:startup', async (startupId) => {
+    if (!startupId || !/^[a-fA-F0-9]{24}$/.test(String(startupId))) {
+      return;
+    }
+
+    try {
+      if (await canJoinStartupRoom(user, String(startupId))) {
+        socket.join(`startup:${startupId}`);
+        console.log(`🚀 Joined startup room: ${startupId}`);
+      } else {
+        socket.emit('error:forbidden', { room: 'startup', message: 'Not authorized for this startup' });
+      }
+    } catch (error) {
+      console.error(`❌ Startup room check failed for ${socket.id}:`, error.message);
     }
   });
 
@@ -169,6 +224,23 @@ const authLimiter = rateLimit({
 });
 app.use('/api/auth/login', authLimiter);
 app.use('/api/auth/register', authLimiter);
+app.use('/api/auth/forgot-password', authLimiter);
+app.use('/api/auth/reset-password', authLimiter);
+app.use('/api/auth/resend-verification', authLimiter);
+
+// Public contact form - a handful of messages per IP is plenty
+const contactLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5,
+  message: {
+    success: false,
+    message: 'Too many messages sent, please try again later',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: (req) => process.env.NODE_ENV === 'test',
+});
+app.post('/api/contact', contactLimiter);
 
 // Body parser middleware
 app.use(express.json({ limit: '10mb' }));
@@ -232,6 +304,12 @@ app.use('/api/dashboard', require('./routes/dashboard'));
 app.use('/api/mentorship', require('./routes/mentorship'));
 app.use('/api/resources', require('./routes/resource'));
 app.use('/api/funding', require('./routes/funding'));
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/contact', require('./routes/contact'));
+app.use('/api/cohorts', require('./routes/cohorts'));
+app.use('/api/calendar', require('./routes/calendar'));
+app.use('/api/office-hours', require('./routes/officeHours'));
+app.use('/api/check-ins', require('./routes/checkIns'));
 
 // Serve frontend index.html for all non-API routes (SPA support)
 if (process.env.NODE_ENV === 'production') {
@@ -313,6 +391,12 @@ if (process.env.NODE_ENV !== 'test') {
     console.log(`🔌 Socket.IO enabled for real-time updates`);
     console.log('='.repeat(60));
   });
+
+  // Deliver queued email and daily digests in the background
+  startEmailWorker();
+
+  // Remind owners of action items coming due
+  startReminderWorker();
 }
 
 // =============================================================================
@@ -0,0 +1,508 @@
+/**
+ * Availability Service
+ * Timezone-aware slot engine for mentor calendars
+ * Weekly windows ({ day, startTime, endTime } in the owner's timezone) are
+ * expanded into concrete UTC intervals, booked sessions are subtracted and
+ * the remainder is cut into bookable slots
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Session statuses that occupy the mentor's calendar
+const BUSY_SESSION_STATUSES = ['Scheduled'];
+
+// Default look-ahead when scoring availability for matching
+const MATCHING_HORIZON_DAYS = 14;
+
+// =============================================================================
+// TIMEZONE HELPERS
+// =============================================================================
+
+const formatterCache = new Map();
+
+/**
+ * Get a cached formatter that prints date parts in a timezone
+ * @param {string} timeZone - IANA timezone
+ * @returns {Intl.DateTimeFormat}
+ */
+const getFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+  return formatterCache.get(timeZone);
+};
+
+/**
+ * Check whether a string is a timezone Intl understands
+ * @param {string} timeZone - Candidate timezone
+ * @returns {boolean}
+ */
+const isValidTimezone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Normalize a timezone from request input
+ * sanitizeMiddleware escapes "/" so "Europe/Berlin" arrives as "Europe&#x2F;Berlin"
+ * @param {string} value - Raw value
+ * @returns {string|null} Valid timezone or null
+ */
+const normalizeTimezone = (value) => {
+  if (!value || typeof value !== 'string') return null;
+  const timeZone = value.trim().replace(/&#x2F;/gi, '/');
+  return isValidTimezone(timeZone) ? timeZone : null;
+};
+
+/**
+ * Resolve a stored timezone, falling back to UTC when it is invalid
+ * @param {string} timeZone - Stored timezone
+ * @returns {string}
+ */
+const resolveTimezone = (timeZone) => (isValidTimezone(timeZone) ? timeZone : 'UTC');
+
+/**
+ * Get the calendar parts of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  });
+  return parts;
+};
+
+/**
+ * Offset of a timezone from UTC at an instant, in minutes
+ * @param {string} timeZone - IANA timezone
+ * @param {Date} date - Instant
+ * @returns {number} e.g. 120 for UTC+2
+ */
+const getTimezoneOffset = (timeZone, date) => {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / MINUTE_MS);
+};
+
+/**
+ * Convert a wall-clock time on a local date to a UTC instant
+ * Minutes past 24:00 roll into the next day
+ * @param {Object} date - { year, month, day } in the timezone
+ * @param {number} minutes - Minutes after local midnight
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date}
+ */
+const zonedTimeToUtc = ({ year, month, day }, minutes, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+  const firstGuess = wallClock - getTimezoneOffset(timeZone, new Date(wallClock)) * MINUTE_MS;
+  const offset = getTimezoneOffset(timeZone, new Date(firstGuess));
+  return new Date(wallClock - offset * MINUTE_MS);
+};
+
+// =============================================================================
+// TIME PARSING
+// =============================================================================
+
+/**
+ * Parse "HH:mm" into minutes after midnight
+ * @param {string} value - Time string
+ * @returns {number|null}
+ */
+const parseTime = (value) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match) return null;
+
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+
+  return hours * 60 + minutes;
+};
+
+/**
+ * Parse a "09:00-11:00" time slot into a weekly window
+ * @param {string} timeSlot - Slot string
+ * @returns {Object|null} { startTime, endTime }
+ */
+const parseTimeSlot = (timeSlot) => {
+  const [startTime, endTime] = String(timeSlot || '').split('-').map(s => s.trim());
+  if (parseTime(startTime) === null || parseTime(endTime) === null) return null;
+  return { startTime, endTime };
+};
+
+/**
+ * Convert MentorshipRequest.preferredTimes ({ day, timeSlot }) to weekly windows
+ * @param {Array} preferredTimes - Request preferred times
+ * @returns {Array} [{ day, startTime, endTime }]
+ */
+const requestTimesToWindows = (preferredTimes = []) => preferredTimes
+  .map((time) => {
+    const slot = parseTimeSlot(time.timeSlot);
+    return slot && time.day ? { day: time.day, ...slot } : null;
+  })
+  .filter(Boolean);
+
+// =============================================================================
+// INTERVAL MATH
+// =============================================================================
+
+/**
+ * Sort and merge overlapping or touching intervals
+ * @param {Array} intervals - [{ start: Date, end: Date }]
+ * @returns {Array}
+ */
+const mergeIntervals = (intervals) => {
+  const sorted = intervals
+    .filter(i => i.end > i.start)
+    .sort((a, b) => a.start - b.start);
+
+  return sorted.reduce((merged, interval) => {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      if (interval.end > last.end) last.end = interval.end;
+    } else {
+      merged.push({ start: new Date(interval.start), end: new Date(interval.end) });
+    }
+    return merged;
+  }, []);
+};
+
+/**
+ * Remove busy time from free intervals
+ * @param {Array} free - Free intervals
+ * @param {Array} busy - Busy intervals
+ * @returns {Array}
+ */
+const subtractIntervals = (free, busy) => {
+  const blocked = mergeIntervals(busy);
+
+  return mergeIntervals(free).flatMap((interval) => {
+    let pieces = [interval];
+    blocked.forEach((block) => {
+      pieces = pieces.flatMap((piece) => {
+        if (block.end <= piece.start || block.start >= piece.end) return [piece];
+        const remaining = [];
+        if (block.start > piece.start) remaining.push({ start: piece.start, end: block.start });
+        if (block.end < piece.end) remaining.push({ start: block.end, end: piece.end });
+        return remaining;
+      });
+    });
+    return pieces;
+  });
+};
+
+/**
+ * Intersect two sets of intervals
+ * @param {Array} a - Intervals
+ * @param {Array} b - Intervals
+ * @returns {Array}
+ */
+const intersectIntervals = (a, b) => {
+  const left = mergeIntervals(a);
+  const right = mergeIntervals(b);
+  const result = [];
+
+  left.forEach((x) => {
+    right.forEach((y) => {
+      const start = x.start > y.start ? x.start : y.start;
+      const end = x.end < y.end ? x.end : y.end;
+      if (end > start) result.push({ start, end });
+    });
+  });
+
+  return mergeIntervals(result);
+};
+
+/**
+ * Total length of intervals in minutes
+ * @param {Array} intervals - Intervals
+ * @returns {number}
+ */
+const totalMinutes = (intervals) => mergeIntervals(intervals)
+  .reduce((sum, i) => sum + (i.end - i.start) / MINUTE_MS, 0);
+
+// =============================================================================
+// SLOT ENGINE
+// =============================================================================
+
+/**
+ * Expand weekly windows into concrete UTC intervals within a range
+ * Windows whose end is not after their start run past midnight
+ * @param {Array} windows - [{ day, startTime, endTime }] in the timezone
+ * @param {string} timeZone - IANA timezone of the windows
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Array} Merged intervals
+ */
+const expandWeeklyWindows = (windows, timeZone, from, to) => {
+  const zone = resolveTimezone(timeZone);
+  const intervals = [];
+  if (!windows || windows.length === 0 || !(to > from)) return intervals;
+
+  const first = getZonedParts(from, zone);
+  const last = getZonedParts(to, zone);
+  const lastDay = Date.UTC(last.year, last.month - 1, last.day);
+
+  // Start a day early so overnight windows from the previous day are included
+  for (let cursor = Date.UTC(first.year, first.month - 1, first.day) - DAY_MS; cursor <= lastDay; cursor += DAY_MS) {
+    const date = new Date(cursor);
+    const weekday = DAYS[date.getUTCDay()];
+    const localDate = { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+
+    windows.filter(w => w.day === weekday).forEach((window) => {
+      const startMinutes = parseTime(window.startTime);
+      let endMinutes = parseTime(window.endTime);
+      if (startMinutes === null || endMinutes === null) return;
+      if (endMinutes <= startMinutes) endMinutes += 24 * 60;
+
+      const start = zonedTimeToUtc(localDate, startMinutes, zone);
+      const end = zonedTimeToUtc(localDate, endMinutes, zone);
+
+      const clippedStart = start < from ? from : start;
+      const clippedEnd = end > to ? to : end;
+      if (clippedEnd > clippedStart) {
+        intervals.push({ start: clippedStart, end: clippedEnd });
+      }
+    });
+  }
+
+  return mergeIntervals(intervals);
+};
+
+/**
+ * Get the busy intervals for booked sessions
+ * @param {Array} sessions - Sessions ({ scheduledAt, duration, status })
+ * @param {number} bufferMinutes - Extra time blocked before and after each session
+ * @returns {Array}
+ */
+const getBusyIntervals = (sessions = [], bufferMinutes = 0) => sessions
+  .filter(s => s && s.scheduledAt && BUSY_SESSION_STATUSES.includes(s.status || 'Scheduled'))
+  .map((s) => {
+    const start = new Date(s.scheduledAt);
+    return {
+      start: new Date(start.getTime() - bufferMinutes * MINUTE_MS),
+      end: new Date(start.getTime() + ((s.duration || 60) + bufferMinutes) * MINUTE_MS),
+    };
+  });
+
+/**
+ * Cut free intervals into bookable slots
+ * @param {Array} intervals - Free intervals
+ * @param {number} duration - Slot length in minutes
+ * @param {number} step - Minutes between slot starts
+ * @returns {Array} [{ start, end }]
+ */
+const splitIntoSlots = (intervals, duration = 60, step = 30) => {
+  const slots = [];
+  const durationMs = duration * MINUTE_MS;
+  const stepMs = Math.max(step, 5) * MINUTE_MS;
+
+  mergeIntervals(intervals).forEach((interval) => {
+    // Start on a step boundary so slots line up across days
+    let start = Math.ceil(interval.start.getTime() / stepMs) * stepMs;
+    while (start + durationMs <= interval.end.getTime()) {
+      slots.push({ start: new Date(start), end: new Date(start + durationMs) });
+      start += stepMs;
+    }
+  });
+
+  return slots;
+};
+
+/**
+ * Get a mentor's open slots in a range
+ * @param {Object} mentor - Mentor ({ preferredTimes, timezone, availability })
+ * @param {Array} sessions - The mentor's booked sessions
+ * @param {Object} options - { from, to, duration, step, bufferMinutes, now }
+ * @returns {Array} [{ start, end }]
+ */
+const getOpenSlots = (mentor, sessions = [], options = {}) => {
+  const {
+    from,
+    to,
+    duration = 60,
+    step = 30,
+    bufferMinutes = 0,
+    now = new Date(),
+  } = options;
+
+  if (!mentor || mentor.availability === 'Unavailable') return [];
+
+  const rangeStart = from > now ? from : now;
+  const windows = expandWeeklyWindows(mentor.preferredTimes || [], mentor.timezone, rangeStart, to);
+  const free = subtractIntervals(windows, getBusyIntervals(sessions, bufferMinutes));
+
+  return splitIntoSlots(free, duration, step);
+};
+
+/**
+ * Check whether an interval lies entirely inside a mentor's weekly windows
+ * Mentors without windows are treated as available at any time
+ * @param {Object} mentor - Mentor ({ preferredTimes, timezone, availability })
+ * @param {Date} start - Interval start
+ * @param {Date} end - Interval end
+ * @returns {boolean}
+ */
+const isWithinAvailability = (mentor, start, end) => {
+  if (!mentor || mentor.availability === 'Unavailable') return false;
+
+  const windows = mentor.preferredTimes || [];
+  if (windows.length === 0) return true;
+
+  const covered = totalMinutes(expandWeeklyWindows(windows, mentor.timezone, start, end));
+  return covered >= (end - start) / MINUTE_MS;
+};
+
+/**
+ * Find booked sessions that clash with a proposed interval
+ * @param {Array} sessions - Booked sessions ({ scheduledAt, duration, status })
+ * @param {Date} start - Proposed start
+ * @param {Date} end - Proposed end
+ * @param {number} bufferMinutes - Gap required around each session
+ * @returns {Array} Conflicting sessions
+ */
+const findSessionConflicts = (sessions = [], start, end, bufferMinutes = 0) => sessions.filter((session) => {
+  const [busy] = getBusyIntervals([session], bufferMinutes);
+  return busy && busy.start < end && busy.end > start;
+});
+
+/**
+ * Suggest the free slots closest to a requested time
+ * Searches the mentor's windows (or the whole range when none are set)
+ * @param {Object} mentor - Mentor ({ preferredTimes, timezone, availability })
+ * @param {Array} sessions - The mentor's booked sessions
+ * @param {Object} options - { around, duration, bufferMinutes, count, searchDays, step, now }
+ * @returns {Array} [{ start, end }] nearest first
+ */
+const suggestAlternativeSlots = (mentor, sessions = [], options = {}) => {
+  const {
+    around,
+    duration = 60,
+    bufferMinutes = 0,
+    count = 3,
+    searchDays = 7,
+    step = 15,
+    now = new Date(),
+  } = options;
+
+  if (!mentor || mentor.availability === 'Unavailable') return [];
+
+  const earliest = new Date(around.getTime() - searchDays * DAY_MS);
+  const from = earliest > now ? earliest : now;
+  const to = new Date(around.getTime() + searchDays * DAY_MS);
+  if (!(to > from)) return [];
+
+  const windows = (mentor.preferredTimes || []).length > 0
+    ? expandWeeklyWindows(mentor.preferredTimes, mentor.timezone, from, to)
+    : [{ start: from, end: to }];
+  const free = subtractIntervals(windows, getBusyIntervals(sessions, bufferMinutes));
+
+  return splitIntoSlots(free, duration, step)
+    .sort((a, b) => Math.abs(a.start - around) - Math.abs(b.start - around))
+    .slice(0, count)
+    .sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Score how well a mentor's open time covers a founder's preferred times
+ * @param {Object} mentor - Mentor ({ preferredTimes, timezone, availability })
+ * @param {Array} preferredTimes - MentorshipRequest.preferredTimes
+ * @param {Object} options - { requestTimezone, sessions, from, to }
+ * @returns {Object|null} { coverage 0-1, overlapMinutes, requestedMinutes } or
+ *                        null when either side has no usable windows
+ */
+const calculateSlotOverlap = (mentor, preferredTimes, options = {}) => {
+  const requestWindows = requestTimesToWindows(preferredTimes);
+  const mentorWindows = (mentor && mentor.preferredTimes) || [];
+  if (requestWindows.length === 0 || mentorWindows.length === 0) return null;
+
+  const from = options.from || new Date();
+  const to = options.to || new Date(from.getTime() + MATCHING_HORIZON_DAYS * DAY_MS);
+
+  const requested = expandWeeklyWindows(requestWindows, options.requestTimezone, from, to);
+  const open = subtractIntervals(
+    expandWeeklyWindows(mentorWindows, mentor.timezone, from, to),
+    getBusyIntervals(options.sessions || [])
+  );
+
+  const requestedMinutes = totalMinutes(requested);
+  if (requestedMinutes === 0) return null;
+
+  const overlapMinutes = totalMinutes(intersectIntervals(requested, open));
+
+  return {
+    coverage: overlapMinutes / requestedMinutes,
+    overlapMinutes: Math.round(overlapMinutes),
+    requestedMinutes: Math.round(requestedMinutes),
+  };
+};
+
+/**
+ * Format a slot for API responses, with wall-clock times in a timezone
+ * @param {Object} slot - { start, end }
+ * @param {string} timeZone - Display timezone
+ * @returns {Object}
+ */
+const formatSlot = (slot, timeZone) => {
+  const zone = resolveTimezone(timeZone);
+  const pad = n => String(n).padStart(2, '0');
+  const local = (date) => {
+    const p = getZonedParts(date, zone);
+    return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}`;
+  };
+
+  return {
+    start: slot.start.toISOString(),
+    end: slot.end.toISOString(),
+    localStart: local(slot.start),
+    localEnd: local(slot.end),
+    timezone: zone,
+  };
+};
+
+module.exports = {
+  DAYS,
+  BUSY_SESSION_STATUSES,
+  MATCHING_HORIZON_DAYS,
+  isValidTimezone,
+  normalizeTimezone,
+  resolveTimezone,
+  getTimezoneOffset,
+  zonedTimeToUtc,
+  parseTime,
+  parseTimeSlot,
+  requestTimesToWindows,
+  mergeIntervals,
+  subtractIntervals,
+  intersectIntervals,
+  totalMinutes,
+  expandWeeklyWindows,
+  getBusyIntervals,
+  splitIntoSlots,
+  getOpenSlots,
+  isWithinAvailability,
+  findSessionConflicts,
+  suggestAlternativeSlots,
+  calculateSlotOverlap,
+  formatSlot,
+};
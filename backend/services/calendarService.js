@@ -0,0 +1,244 @@
+/**
+ * Calendar Service
+ * Builds iCalendar (RFC 5545) data for mentorship sessions, both as
+ * single-event invites and as subscribable per-user feeds
+ * Clients match events by UID and apply updates with a higher SEQUENCE,
+ * so reschedules and cancellations flow through to subscribed calendars
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+const PRODUCT_ID = '-//Tasavur//Mentorship Sessions//EN';
+
+// Reminders attached to every active session, in minutes before the start
+const REMINDER_MINUTES = [24 * 60, 15];
+
+// Session statuses published as cancelled events
+// Rescheduled sessions are never published: their replacement carries the UID
+const CANCELLED_SESSION_STATUSES = ['Cancelled'];
+
+// =============================================================================
+// FORMATTING HELPERS
+// =============================================================================
+
+/**
+ * Format a date as an iCalendar UTC date-time (20240115T100000Z)
+ * @param {Date} date - Instant
+ * @returns {string}
+ */
+const formatDateTime = (date) => new Date(date).toISOString()
+  .replace(/[-:]/g, '')
+  .replace(/\.\d{3}/, '');
+
+/**
+ * Escape a TEXT value
+ * @param {string} value - Raw text
+ * @returns {string}
+ */
+const escapeText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Quote a parameter value such as CN when it contains separators
+ * @param {string} value - Raw value
+ * @returns {string}
+ */
+const quoteParam = (value) => {
+  const clean = String(value || '').replace(/"/g, '\'');
+  return /[;:,]/.test(clean) ? `"${clean}"` : clean;
+};
+
+/**
+ * Fold a content line to 75 octets as required by RFC 5545
+ * @param {string} line - Unfolded line
+ * @returns {string}
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let size = 0;
+
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74;
+    if (size + charSize > limit) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * Build a calendar user address line (ORGANIZER / ATTENDEE)
+ * @param {string} property - Property name
+ * @param {Object} person - { name, email }
+ * @param {Array} params - Extra parameters
+ * @returns {string|null}
+ */
+const formatPerson = (property, person, params = []) => {
+  if (!person || !person.email) return null;
+  const cn = person.name ? [`CN=${quoteParam(person.name)}`] : [];
+  return `${[property, ...cn, ...params].join(';')}:mailto:${person.email}`;
+};
+
+// =============================================================================
+// EVENTS
+// =============================================================================
+
+/**
+ * Get the iCalendar UID of a session
+ * @param {Object} session - Session subdocument
+ * @returns {string}
+ */
+const getEventUid = session => session.calendarEventId || `mentorship-session-${session._id}@tasavur`;
+
+/**
+ * Whether a session should be published as cancelled
+ * @param {Object} session - Session subdocument
+ * @param {Object} request - Parent request
+ * @returns {boolean}
+ */
+const isSessionCancelled = (session, request = {}) => CANCELLED_SESSION_STATUSES.includes(session.status)
+  || (request.status === 'Cancelled' && session.status === 'Scheduled');
+
+/**
+ * Build the VEVENT lines for a session
+ * @param {Object} request - Parent request (topic, status, startup with name)
+ * @param {Object} session - Session subdocument
+ * @param {Object} people - { organizer: { name, email }, attendees: [{ name, email }] }
+ * @returns {Array} Unfolded content lines
+ */
+const buildSessionEvent = (request, session, { organizer = null, attendees = [] } = {}) => {
+  const start = new Date(session.scheduledAt);
+  const end = new Date(start.getTime() + (session.duration || 60) * MINUTE_MS);
+  const cancelled = isSessionCancelled(session, request);
+  const startupName = request.startup && request.startup.name;
+
+  const description = [
+    startupName ? `Startup: ${startupName}` : null,
+    organizer && organizer.name ? `Mentor: ${organizer.name}` : null,
+    session.meetingLink ? `Join: ${session.meetingLink}` : null,
+    session.notes || null,
+  ].filter(Boolean).join('\n');
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${getEventUid(session)}`,
+    `DTSTAMP:${formatDateTime(new Date())}`,
+    `DTSTART:${formatDateTime(start)}`,
+    `DTEND:${formatDateTime(end)}`,
+    `SEQUENCE:${session.sequence || 0}`,
+    `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+    `SUMMARY:${escapeText(`Mentorship: ${request.topic || 'Session'}`)}`,
+  ];
+
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (session.meetingLink) {
+    lines.push(`LOCATION:${escapeText(session.meetingLink)}`);
+    lines.push(`URL:${session.meetingLink}`);
+  }
+
+  const organizerLine = formatPerson('ORGANIZER', organizer);
+  if (organizerLine) lines.push(organizerLine);
+
+  attendees.forEach((attendee) => {
+    const line = formatPerson('ATTENDEE', attendee, [
+      'ROLE=REQ-PARTICIPANT',
+      `PARTSTAT=${cancelled ? 'DECLINED' : 'ACCEPTED'}`,
+    ]);
+    if (line) lines.push(line);
+  });
+
+  if (!cancelled) {
+    REMINDER_MINUTES.forEach((minutes) => {
+      lines.push(
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${escapeText(`Mentorship: ${request.topic || 'Session'}`)}`,
+        `TRIGGER:-PT${minutes}M`,
+        'END:VALARM'
+      );
+    });
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Get the organizer and attendees of a session from a populated request
+ * The mentor organizes; the founder who requested the session attends
+ * @param {Object} request - Request with requestedBy and sessions.mentor.user populated
+ * @param {Object} session - Session subdocument
+ * @returns {Object} { organizer, attendees }
+ */
+const getSessionPeople = (request, session) => {
+  const mentor = session.mentor || {};
+  const mentorUser = mentor.user || {};
+  const requester = request.requestedBy || {};
+
+  return {
+    organizer: mentorUser.email ? { name: mentor.name || mentorUser.name, email: mentorUser.email } : null,
+    attendees: requester.email ? [{ name: requester.name, email: requester.email }] : [],
+  };
+};
+
+/**
+ * Wrap events into a VCALENDAR document
+ * @param {Array} events - Arrays of VEVENT lines
+ * @param {Object} options - { method, name }
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+const buildCalendar = (events, { method = 'PUBLISH', name = null } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+  ];
+
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+
+  events.forEach(event => lines.push(...event));
+  lines.push('END:VCALENDAR');
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+/**
+ * Build a single-session invite
+ * Cancelled sessions produce a CANCEL message so clients remove the event
+ * @param {Object} request - Parent request
+ * @param {Object} session - Session subdocument
+ * @param {Object} people - { organizer, attendees }
+ * @returns {string}
+ */
+const buildSessionInvite = (request, session, people) => buildCalendar(
+  [buildSessionEvent(request, session, people)],
+  { method: isSessionCancelled(session, request) ? 'CANCEL' : 'REQUEST' }
+);
+
+module.exports = {
+  REMINDER_MINUTES,
+  formatDateTime,
+  escapeText,
+  foldLine,
+  getEventUid,
+  isSessionCancelled,
+  buildSessionEvent,
+  getSessionPeople,
+  buildCalendar,
+  buildSessionInvite,
+};
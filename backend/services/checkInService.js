@@ -0,0 +1,355 @@
+const CheckInReport = require('../models/CheckInReport');
+const Cohort = require('../models/Cohort');
+const KpiSnapshot = require('../models/KpiSnapshot');
+const Startup = require('../models/Startup');
+const { sendNotification } = require('./notificationService');
+const { recordKpiSnapshot } = require('./kpiService');
+
+/**
+ * Check-in Service
+ * Monthly founder check-in reports: opening them per cohort template,
+ * reminding founders, flagging missed reports and summarizing compliance
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// KPI fields copied onto a submitted report
+const KPI_FIELDS = ['revenue', 'users', 'growth', 'funding', 'monthlyBurnRate', 'runway'];
+
+/**
+ * When a month's report opens: once the month is over, or earlier if the
+ * reminder window starts before then
+ * @param {string} period - YYYY-MM
+ * @param {Object} settings - Cohort check-in settings
+ * @returns {Date}
+ */
+const getOpensAt = (period, settings) => {
+  const [year, month] = period.split('-').map(Number);
+  const monthEnd = new Date(Date.UTC(year, month, 1));
+  const reminderStart = new Date(
+    CheckInReport.dueDateFor(period, settings.dueDay).getTime() - settings.reminderDays * DAY_MS
+  );
+
+  return reminderStart < monthEnd ? reminderStart : monthEnd;
+};
+
+/**
+ * The month a report submitted now covers by default: the previous one
+ * @param {Date} now - Reference time
+ * @returns {string} YYYY-MM
+ */
+const getDefaultPeriod = (now = new Date()) => KpiSnapshot.shiftPeriod(KpiSnapshot.periodOf(now), -1);
+
+// =============================================================================
+// OPENING & REMINDERS
+// =============================================================================
+
+/**
+ * Open Pending reports for every Active startup whose reports are due
+ * Startups in a cohort with check-ins turned off are skipped, and no
+ * report is opened for months before the startup joined
+ * @param {Date} now - Reference time
+ * @returns {Promise<number>} Reports opened
+ */
+const openCheckInReports = async (now = new Date()) => {
+  const startups = await Startup.find({ status: 'Active' })
+    .select('cohort createdAt')
+    .populate('cohort', 'checkIns');
+
+  const current = KpiSnapshot.periodOf(now);
+  const periods = [KpiSnapshot.shiftPeriod(current, -1), current];
+  const operations = [];
+
+  startups.forEach((startup) => {
+    const settings = Cohort.getCheckInSettings(startup.cohort);
+    if (!settings.enabled) return;
+
+    const firstPeriod = KpiSnapshot.periodOf(startup.createdAt || now);
+
+    periods
+      .filter(period => period >= firstPeriod && now >= getOpensAt(period, settings))
+      .forEach((period) => {
+        operations.push({
+          updateOne: {
+            filter: { startup: startup._id, period },
+            update: {
+              $setOnInsert: {
+                cohort: startup.cohort ? startup.cohort._id : null,
+                dueDate: CheckInReport.dueDateFor(period, settings.dueDay),
+                status: 'Pending',
+              },
+            },
+            upsert: true,
+          },
+        });
+      });
+  });
+
+  if (operations.length === 0) return 0;
+
+  const result = await CheckInReport.bulkWrite(operations, { ordered: false });
+  return result.upsertedCount || 0;
+};
+
+/**
+ * Remind founders of reports coming due and flag reports that were missed
+ * Each report gets at most one reminder and one overdue notice; the
+ * overdue notice also goes to the cohort's program manager
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object>} { reminded, overdue }
+ */
+const sendCheckInReminders = async (now = new Date()) => {
+  const pending = await CheckInReport.find({
+    status: 'Pending',
+    $or: [
+      { remindedAt: null, dueDate: { $gte: now } },
+      { overdueNotifiedAt: null, dueDate: { $lt: now } },
+    ],
+  })
+    .populate('startup', 'name founder status')
+    .populate('cohort', 'name checkIns programManager');
+
+  const reminded = [];
+  const overdue = [];
+
+  for (const report of pending) {
+    const { startup } = report;
+    if (!startup || startup.status !== 'Active') continue;
+
+    const dueLabel = report.dueDate.toDateString();
+
+    if (report.isOverdue(now)) {
+      if (startup.founder) {
+        await sendNotification(
+          startup.founder,
+          'check_in_overdue',
+          'Check-in Report Overdue',
+          `The ${report.period} check-in for ${startup.name} was due ${dueLabel}. Please submit it as soon as possible.`,
+          'CheckInReport',
+          report._id,
+          { priority: 'high', actionUrl: '/check-ins' }
+        );
+      }
+
+      if (report.cohort && report.cohort.programManager) {
+        await sendNotification(
+          report.cohort.programManager,
+          'check_in_overdue',
+          'Missed Check-in Report',
+          `${startup.name} has not submitted its ${report.period} check-in for ${report.cohort.name} (due ${dueLabel}).`,
+          'CheckInReport',
+          report._id,
+          { actionUrl: '/check-ins' }
+        );
+      }
+
+      overdue.push(report._id);
+      continue;
+    }
+
+    const { reminderDays } = Cohort.getCheckInSettings(report.cohort);
+    if (now.getTime() < report.dueDate.getTime() - reminderDays * DAY_MS) continue;
+
+    if (startup.founder) {
+      await sendNotification(
+        startup.founder,
+        'check_in_due',
+        'Check-in Report Due Soon',
+        `The ${report.period} check-in for ${startup.name} is due ${dueLabel}.`,
+        'CheckInReport',
+        report._id,
+        { actionUrl: '/check-ins' }
+      );
+    }
+    reminded.push(report._id);
+  }
+
+  if (reminded.length > 0) {
+    await CheckInReport.updateMany({ _id: { $in: reminded } }, { $set: { remindedAt: now } });
+  }
+  if (overdue.length > 0) {
+    await CheckInReport.updateMany({ _id: { $in: overdue } }, { $set: { overdueNotifiedAt: now } });
+  }
+
+  return { reminded: reminded.length, overdue: overdue.length };
+};
+
+// =============================================================================
+// SUBMISSION
+// =============================================================================
+
+/**
+ * Submit (or revise) a startup's check-in for a month
+ * Template answers are checked against the cohort's questions. KPIs sent
+ * with the report are recorded for the month; otherwise the month's
+ * recorded KPIs (or the startup's current ones) are attached
+ * @param {Startup} startup - Reporting startup
+ * @param {Object} data - { period, highlights, lowlights, asks, answers, kpis }
+ * @param {ObjectId} userId - Submitting user
+ * @param {Date} now - Submission time
+ * @returns {Promise<Object>} { report, created }
+ */
+const submitCheckIn = async (startup, data, userId, now = new Date()) => {
+  const period = data.period || getDefaultPeriod(now);
+  const cohort = startup.cohort
+    ? await Cohort.findById(startup.cohort).select('name checkIns')
+    : null;
+  const settings = Cohort.getCheckInSettings(cohort);
+
+  let report = await CheckInReport.findOne({ startup: startup._id, period });
+  if (!report) {
+    report = new CheckInReport({
+      startup: startup._id,
+      cohort: cohort ? cohort._id : null,
+      period,
+      dueDate: CheckInReport.dueDateFor(period, settings.dueDay),
+    });
+  }
+  const created = !report.submittedAt;
+
+  ['highlights', 'lowlights', 'asks'].forEach((field) => {
+    if (data[field] !== undefined) report[field] = data[field];
+  });
+  if (!report.highlights) report.invalidate('highlights', 'Highlights are required');
+  if (!report.lowlights) report.invalidate('lowlights', 'Lowlights are required');
+
+  if (data.answers !== undefined || created) {
+    const given = new Map((data.answers || []).map(a => [String(a.question), a.answer]));
+
+    report.answers = settings.questions.map(question => ({
+      question: question._id,
+      prompt: question.prompt,
+      answer: given.get(String(question._id)),
+    }));
+
+    const unanswered = settings.questions.find(
+      (question, i) => question.required && !(report.answers[i].answer || '').trim()
+    );
+    if (unanswered) {
+      report.invalidate('answers', `An answer to "${unanswered.prompt}" is required`);
+    }
+  }
+
+  // Validate before recording KPIs so a rejected report leaves no trace
+  await report.validate();
+
+  let figures = startup.kpis || {};
+  if (data.kpis) {
+    ({ snapshot: figures } = await recordKpiSnapshot(startup._id, { ...data.kpis, period }, userId, now));
+  } else {
+    const recorded = await KpiSnapshot.findOne({ startup: startup._id, period });
+    if (recorded) figures = recorded;
+  }
+  report.kpis = KPI_FIELDS.reduce((kpis, field) => {
+    if (typeof figures[field] === 'number') kpis[field] = figures[field];
+    return kpis;
+  }, {});
+
+  report.status = 'Submitted';
+  report.submittedBy = userId;
+  if (created) {
+    report.submittedAt = now;
+  } else {
+    report.revisedAt = now;
+  }
+
+  await report.save();
+
+  return { report, created };
+};
+
+// =============================================================================
+// COMPLIANCE
+// =============================================================================
+
+/**
+ * Submission compliance across startups for recent months
+ * @param {Object} options - { cohort, months, now }
+ * @returns {Promise<Object>} { periods, summary, startups }
+ */
+const getCompliance = async ({ cohort = null, months = 6, now = new Date() } = {}) => {
+  const to = KpiSnapshot.periodOf(now);
+  const from = KpiSnapshot.shiftPeriod(to, -(months - 1));
+  const periods = [];
+  for (let period = from; period <= to; period = KpiSnapshot.shiftPeriod(period, 1)) {
+    periods.push(period);
+  }
+
+  const startupFilter = { status: 'Active', ...(cohort ? { cohort } : {}) };
+  const startups = await Startup.find(startupFilter)
+    .select('name cohort founder')
+    .populate('cohort', 'name')
+    .populate('founder', 'name email')
+    .sort({ name: 1 });
+
+  const reports = await CheckInReport.find({
+    startup: { $in: startups.map(s => s._id) },
+    period: { $gte: from, $lte: to },
+  }).select('startup period status dueDate submittedAt');
+
+  const byStartup = new Map();
+  reports.forEach((report) => {
+    const key = report.startup.toString();
+    if (!byStartup.has(key)) byStartup.set(key, new Map());
+    byStartup.get(key).set(report.period, report);
+  });
+
+  const totals = { on_time: 0, late: 0, overdue: 0, open: 0 };
+
+  const rows = startups.map((startup) => {
+    const startupReports = byStartup.get(startup._id.toString()) || new Map();
+    const counts = { on_time: 0, late: 0, overdue: 0, open: 0 };
+
+    const states = periods.map((period) => {
+      const report = startupReports.get(period);
+      if (!report) return { period, state: null };
+
+      const state = report.getComplianceState(now);
+      counts[state] += 1;
+      totals[state] += 1;
+      return { period, state, reportId: report._id, dueDate: report.dueDate, submittedAt: report.submittedAt };
+    });
+
+    const due = counts.on_time + counts.late + counts.overdue;
+
+    return {
+      startup: {
+        _id: startup._id,
+        name: startup.name,
+        cohort: startup.cohort,
+        founder: startup.founder,
+      },
+      periods: states,
+      onTime: counts.on_time,
+      late: counts.late,
+      overdue: counts.overdue,
+      open: counts.open,
+      complianceRate: due > 0 ? Math.round((counts.on_time / due) * 100) : null,
+    };
+  });
+
+  const due = totals.on_time + totals.late + totals.overdue;
+
+  return {
+    periods,
+    summary: {
+      startups: rows.length,
+      onTime: totals.on_time,
+      late: totals.late,
+      overdue: totals.overdue,
+      open: totals.open,
+      complianceRate: due > 0 ? Math.round((totals.on_time / due) * 100) : null,
+      withOverdue: rows.filter(r => r.overdue > 0).length,
+    },
+    // Worst offenders first
+    startups: rows.sort((a, b) => b.overdue - a.overdue || (a.complianceRate ?? 101) - (b.complianceRate ?? 101)),
+  };
+};
+
+module.exports = {
+  getDefaultPeriod,
+  openCheckInReports,
+  sendCheckInReminders,
+  submitCheckIn,
+  getCompliance,
+};
@@ -0,0 +1,241 @@
+const OutboundEmail = require('../models/OutboundEmail');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const mailService = require('./mailService');
+const { renderNotificationEmail, renderDigestEmail } = require('./emailTemplates');
+
+/**
+ * Email Queue Service
+ * Persists outbound email, delivers it through the mail service with
+ * retries, and batches notifications into daily digests
+ */
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const DIGEST_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// Maximum notifications listed in a single digest
+const DIGEST_MAX_ITEMS = 50;
+
+// =============================================================================
+// ENQUEUEING
+// =============================================================================
+
+/**
+ * Add an email to the outbound queue
+ * @param {Object} email - { to, subject, text, html, user, kind, notifications, maxAttempts }
+ * @returns {Promise<OutboundEmail>}
+ */
+const enqueueEmail = async (email) => {
+  return OutboundEmail.create(email);
+};
+
+/**
+ * Queue an email for a newly created notification
+ * Honors the recipient's email frequency: 'immediate' queues now,
+ * 'daily' leaves it for the digest (urgent notifications are always
+ * sent immediately) and 'none' skips email entirely.
+ * Never throws - email failures must not break notification creation
+ * @param {Object} notification - Notification document
+ * @returns {Promise<OutboundEmail|null>} Queued email or null
+ */
+const queueNotificationEmail = async (notification) => {
+  try {
+    if (notification.emailSent) return null;
+
+    const user = await User.findById(notification.recipient)
+      .select('name email isActive notificationPreferences');
+
+    if (!user || !user.isActive || !user.email) return null;
+
+    const frequency = user.notificationPreferences?.emailFrequency || 'immediate';
+    if (frequency === 'none') return null;
+    if (frequency === 'daily' && notification.priority !== 'urgent') return null;
+
+    const { subject, text, html } = renderNotificationEmail(notification, user);
+
+    return await enqueueEmail({
+      to: user.email,
+      user: user._id,
+      subject,
+      text,
+      html,
+      kind: 'notification',
+      notifications: [notification._id],
+    });
+  } catch (error) {
+    console.error('Queue notification email error:', error.message);
+    return null;
+  }
+};
+
+// =============================================================================
+// DELIVERY
+// =============================================================================
+
+/**
+ * Deliver a single claimed email
+ * @param {OutboundEmail} email - Email in Sending state
+ * @returns {Promise<boolean>} Whether delivery succeeded
+ */
+const deliver = async (email) => {
+  try {
+    const result = await mailService.sendMail({
+      to: email.to,
+      subject: email.subject,
+      text: email.text,
+      html: email.html,
+    });
+
+    await email.markSent(result);
+
+    if (email.notifications && email.notifications.length > 0) {
+      await Notification.updateMany(
+        { _id: { $in: email.notifications } },
+        { $set: { emailSent: true, emailSentAt: new Date() } }
+      );
+    }
+
+    return true;
+  } catch (error) {
+    console.error(`Email delivery failed (attempt ${email.attempts}/${email.maxAttempts}):`, error.message);
+    await email.markFailed(error);
+    return false;
+  }
+};
+
+/**
+ * Process due emails in the queue
+ * @param {Object} options - { limit }
+ * @returns {Promise<Object>} { processed, sent, failed }
+ */
+const processQueue = async ({ limit = 50 } = {}) => {
+  const stats = { processed: 0, sent: 0, failed: 0 };
+
+  await OutboundEmail.releaseStale();
+
+  while (stats.processed < limit) {
+    const email = await OutboundEmail.claimNext();
+    if (!email) break;
+
+    stats.processed += 1;
+    if (await deliver(email)) {
+      stats.sent += 1;
+    } else {
+      stats.failed += 1;
+    }
+  }
+
+  return stats;
+};
+
+// =============================================================================
+// DIGESTS
+// =============================================================================
+
+/**
+ * Queue daily digests for users who prefer them
+ * Only users whose last digest is at least a day old are included, and
+ * notifications already waiting in the queue (urgent ones go out on their
+ * own) are left out so nothing is emailed twice
+ * @param {Date} now - Reference time (for testing)
+ * @returns {Promise<number>} Number of digests queued
+ */
+const sendDailyDigests = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - DIGEST_INTERVAL_MS);
+
+  const users = await User.find({
+    isActive: true,
+    'notificationPreferences.emailFrequency': 'daily',
+    $or: [
+      { 'notificationPreferences.lastDigestAt': { $exists: false } },
+      { 'notificationPreferences.lastDigestAt': null },
+      { 'notificationPreferences.lastDigestAt': { $lte: cutoff } },
+    ],
+  }).select('name email notificationPreferences');
+
+  let queued = 0;
+
+  for (const user of users) {
+    const since = user.notificationPreferences?.lastDigestAt || cutoff;
+
+    const alreadyQueued = await OutboundEmail.distinct('notifications', {
+      user: user._id,
+      status: { $in: ['Pending', 'Sending'] },
+    });
+
+    const notifications = await Notification.find({
+      _id: { $nin: alreadyQueued },
+      recipient: user._id,
+      emailSent: false,
+      createdAt: { $gt: since, $lte: now },
+    })
+      .sort({ createdAt: -1 })
+      .limit(DIGEST_MAX_ITEMS);
+
+    user.notificationPreferences.lastDigestAt = now;
+    await user.save({ validateBeforeSave: false });
+
+    if (notifications.length === 0) continue;
+
+    const { subject, text, html } = renderDigestEmail(notifications, user);
+
+    await enqueueEmail({
+      to: user.email,
+      user: user._id,
+      subject,
+      text,
+      html,
+      kind: 'digest',
+      notifications: notifications.map(n => n._id),
+    });
+
+    queued += 1;
+  }
+
+  return queued;
+};
+
+// =============================================================================
+// WORKER
+// =============================================================================
+
+/**
+ * Start the background email worker
+ * Processes the queue and queues due digests on every tick
+ * @param {Object} options - { intervalMs }
+ * @returns {Function} Stop function
+ */
+const startEmailWorker = ({ intervalMs } = {}) => {
+  const interval = intervalMs || parseInt(process.env.EMAIL_QUEUE_INTERVAL_MS, 10) || 60 * 1000;
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      await sendDailyDigests();
+      await processQueue();
+    } catch (error) {
+      console.error('Email worker error:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, interval);
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  enqueueEmail,
+  queueNotificationEmail,
+  processQueue,
+  sendDailyDigests,
+  startEmailWorker,
+};
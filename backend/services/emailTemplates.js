@@ -0,0 +1,229 @@
+const { buildFrontendUrl } = require('./mailService');
+
+/**
+ * Email Templates
+ * Renders notification and digest emails as { subject, text, html }
+ */
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Escape a value for safe inclusion in HTML
+ * @param {*} value - Value to escape
+ * @returns {string}
+ */
+const escapeHtml = (value) => String(value == null ? '' : value)
+  .replace(/&(?!(amp|lt|gt|quot|#x27|#x2F);)/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Resolve an action URL against the frontend base URL
+ * @param {string} actionUrl - Relative or absolute URL
+ * @returns {string|null}
+ */
+const resolveActionUrl = (actionUrl) => {
+  if (!actionUrl) return null;
+  if (/^https?:\/\//i.test(actionUrl)) return actionUrl;
+  return buildFrontendUrl(actionUrl.startsWith('/') ? actionUrl : `/${actionUrl}`);
+};
+
+/**
+ * Footer for emails sent because of notification settings
+ * @returns {string}
+ */
+const preferencesFooter = () => `
+        You are receiving this email because of your notification settings.
+        <a href="${buildFrontendUrl('/dashboard')}">Manage preferences</a>`;
+
+/**
+ * Wrap body HTML in the shared email layout
+ * @param {string} bodyHtml - Inner HTML
+ * @param {string} footerHtml - Footer HTML (defaults to the preferences note)
+ * @returns {string}
+ */
+const layout = (bodyHtml, footerHtml = preferencesFooter()) => `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #1f2937; line-height: 1.5;">
+    <div style="max-width: 600px; margin: 0 auto; padding: 24px;">
+      ${bodyHtml}
+      <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 24px 0;" />
+      <p style="font-size: 12px; color: #6b7280;">${footerHtml}
+      </p>
+    </div>
+  </body>
+</html>`;
+
+// =============================================================================
+// NOTIFICATION TEMPLATES
+// =============================================================================
+
+/**
+ * Per-type subject prefix and lead sentence
+ * Every Notification type has an entry; 'other' is the fallback
+ */
+const notificationTemplates = {
+  startup_created: { prefix: 'Startup', lead: 'A new startup has been created.' },
+  startup_status_changed: { prefix: 'Startup update', lead: 'The status of a startup has changed.' },
+  mentorship_request_created: { prefix: 'Mentorship', lead: 'A new mentorship request was created.' },
+  mentorship_matched: { prefix: 'Mentorship', lead: 'Mentor matches are ready for review.' },
+  mentor_selected: { prefix: 'Mentorship', lead: 'A mentor has been selected.' },
+  mentor_accepted: { prefix: 'Mentorship', lead: 'A mentor has accepted your mentorship request.' },
+  mentor_declined: { prefix: 'Mentorship', lead: 'A mentor was unable to take on your mentorship request.' },
+  session_scheduled: { prefix: 'Session', lead: 'A mentorship session has been scheduled.' },
+  session_reminder: { prefix: 'Reminder', lead: 'You have an upcoming mentorship session.' },
+  session_cancelled: { prefix: 'Session', lead: 'A mentorship session has been cancelled.' },
+  session_no_show: { prefix: 'Session', lead: 'A mentorship session was marked as a no-show.' },
+  action_item_assigned: { prefix: 'Action Item', lead: 'You have a new action item from a mentorship session.' },
+  action_item_due: { prefix: 'Action Item', lead: 'An action item from a mentorship session is due soon.' },
+  office_hours_promoted: { prefix: 'Office Hours', lead: 'A seat opened up and you have moved off the waitlist.' },
+  office_hours_updated: { prefix: 'Office Hours', lead: 'The details of an office-hours session you booked have changed.' },
+  office_hours_cancelled: { prefix: 'Office Hours', lead: 'An office-hours session you booked has been cancelled.' },
+  feedback_received: { prefix: 'Feedback', lead: 'You have received new feedback.' },
+  feedback_requested: { prefix: 'Feedback', lead: 'Your feedback has been requested.' },
+  resource_published: { prefix: 'Resources', lead: 'A new resource has been published.' },
+  funding_application_submitted: { prefix: 'Funding', lead: 'A funding application has been submitted.' },
+  funding_status_changed: { prefix: 'Funding', lead: 'A funding application has been updated.' },
+  contact_message_received: { prefix: 'Contact', lead: 'A new inquiry arrived through the contact form.' },
+  cohort_update: { prefix: 'Cohort', lead: 'There is an update about your cohort.' },
+  check_in_due: { prefix: 'Check-in', lead: 'Your monthly check-in report is due soon.' },
+  check_in_overdue: { prefix: 'Check-in', lead: 'A monthly check-in report is overdue.' },
+  milestone_overdue: { prefix: 'Milestone', lead: 'A startup milestone has passed its target date.' },
+  milestone_signoff_requested: { prefix: 'Milestone', lead: 'A completed milestone is waiting for your sign-off.' },
+  milestone_signed_off: { prefix: 'Milestone', lead: 'A milestone you completed has been reviewed.' },
+  team_invitation: { prefix: 'Team', lead: 'You have been invited to join a startup team.' },
+  team_update: { prefix: 'Team', lead: 'There is an update to your startup team.' },
+  ownership_transfer: { prefix: 'Ownership', lead: 'There is an update to the ownership of your startup.' },
+  system_announcement: { prefix: 'Announcement', lead: 'There is a new announcement from the incubator.' },
+  welcome: { prefix: 'Welcome', lead: 'Welcome to the incubator platform.' },
+  password_changed: { prefix: 'Security', lead: 'Your account password was changed.' },
+  account_updated: { prefix: 'Account', lead: 'Your account details were updated.' },
+  other: { prefix: 'Notification', lead: 'You have a new notification.' },
+};
+
+/**
+ * Render an immediate notification email
+ * @param {Object} notification - Notification document
+ * @param {Object} user - Recipient ({ name })
+ * @returns {Object} { subject, text, html }
+ */
+const renderNotificationEmail = (notification, user = {}) => {
+  const template = notificationTemplates[notification.type] || notificationTemplates.other;
+  const url = resolveActionUrl(notification.actionUrl);
+  const actionText = notification.actionText || 'View';
+  const greeting = user.name ? `Hi ${user.name},` : 'Hi,';
+
+  const subject = `[${template.prefix}] ${notification.title}`;
+
+  const text = [
+    greeting,
+    '',
+    template.lead,
+    '',
+    notification.title,
+    notification.message,
+    url ? `\n${actionText}: ${url}` : '',
+  ].join('\n').trim();
+
+  const html = layout(`
+      <p>${escapeHtml(greeting)}</p>
+      <p>${escapeHtml(template.lead)}</p>
+      <h2 style="font-size: 18px;">${escapeHtml(notification.title)}</h2>
+      <p>${escapeHtml(notification.message)}</p>
+      ${url ? `<p><a href="${escapeHtml(url)}">${escapeHtml(actionText)}</a></p>` : ''}`);
+
+  return { subject, text, html };
+};
+
+// =============================================================================
+// DIGEST TEMPLATE
+// =============================================================================
+
+/**
+ * Render a daily digest email
+ * @param {Array} notifications - Notification documents, newest first
+ * @param {Object} user - Recipient ({ name })
+ * @returns {Object} { subject, text, html }
+ */
+const renderDigestEmail = (notifications, user = {}) => {
+  const count = notifications.length;
+  const greeting = user.name ? `Hi ${user.name},` : 'Hi,';
+  const subject = `Your daily summary: ${count} new notification${count === 1 ? '' : 's'}`;
+
+  const textItems = notifications.map((n) => {
+    const url = resolveActionUrl(n.actionUrl);
+    return `- ${n.title}\n  ${n.message}${url ? `\n  ${url}` : ''}`;
+  });
+
+  const htmlItems = notifications.map((n) => {
+    const url = resolveActionUrl(n.actionUrl);
+    const title = url
+      ? `<a href="${escapeHtml(url)}">${escapeHtml(n.title)}</a>`
+      : escapeHtml(n.title);
+    return `<li style="margin-bottom: 12px;"><strong>${title}</strong><br />${escapeHtml(n.message)}</li>`;
+  });
+
+  const text = [
+    greeting,
+    '',
+    `Here is what happened since your last summary:`,
+    '',
+    ...textItems,
+    '',
+    `Open your dashboard: ${buildFrontendUrl('/dashboard')}`,
+  ].join('\n');
+
+  const html = layout(`
+      <p>${escapeHtml(greeting)}</p>
+      <p>Here is what happened since your last summary:</p>
+      <ul style="padding-left: 20px;">${htmlItems.join('')}</ul>
+      <p><a href="${buildFrontendUrl('/dashboard')}">Open your dashboard</a></p>`);
+
+  return { subject, text, html };
+};
+
+// =============================================================================
+// CONTACT REPLY TEMPLATE
+// =============================================================================
+
+/**
+ * Render an admin reply to a contact form inquiry
+ * The sender may not have an account, so there is no preferences footer
+ * @param {Object} contactMessage - ContactMessage document
+ * @param {string} reply - Reply text
+ * @returns {Object} { subject, text, html }
+ */
+const renderContactReplyEmail = (contactMessage, reply) => {
+  const greeting = contactMessage.name ? `Hi ${contactMessage.name},` : 'Hi,';
+  const subject = `Re: ${contactMessage.subject}`;
+
+  const text = [
+    greeting,
+    '',
+    reply,
+    '',
+    '---',
+    'Your original message:',
+    contactMessage.message,
+  ].join('\n');
+
+  const html = layout(`
+      <p>${escapeHtml(greeting)}</p>
+      <p style="white-space: pre-line;">${escapeHtml(reply)}</p>
+      <blockquote style="margin: 16px 0; padding-left: 12px; border-left: 3px solid #e5e7eb; color: #6b7280; white-space: pre-line;">${escapeHtml(contactMessage.message)}</blockquote>`,
+  `
+        You are receiving this email because you contacted us through our website.`);
+
+  return { subject, text, html };
+};
+
+module.exports = {
+  notificationTemplates,
+  renderNotificationEmail,
+  renderDigestEmail,
+  renderContactReplyEmail,
+  escapeHtml,
+};
@@ -0,0 +1,417 @@
+const crypto = require('crypto');
+const Mentor = require('../models/Mentor');
+
+/**
+ * Embedding Service
+ * Text vectors for semantic mentor matching behind a provider interface.
+ * OpenAI embeddings are used when configured; otherwise a local TF-IDF
+ * provider keeps semantic matching working offline and in tests.
+ * Mentor vectors are cached on the Mentor document and rebuilt when the
+ * bio or expertise they were built from changes.
+ */
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+// auto | openai | local | none
+const EMBEDDING_PROVIDER = (process.env.EMBEDDING_PROVIDER || 'auto').toLowerCase();
+
+const OPENAI_EMBEDDING_MODEL = 'text-embedding-3-small';
+
+// Size of the hashed term space used by the local provider
+const LOCAL_DIMENSIONS = 512;
+
+// BM25 term frequency saturation
+const BM25_K1 = 1.2;
+
+const STOPWORDS = new Set([
+  'a', 'about', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'can', 'do',
+  'for', 'from', 'has', 'have', 'help', 'how', 'i', 'in', 'into', 'is', 'it', 'its', 'me',
+  'my', 'need', 'of', 'on', 'or', 'our', 'so', 'that', 'the', 'their', 'them', 'this',
+  'to', 'us', 'want', 'was', 'we', 'were', 'what', 'when', 'which', 'who', 'will', 'with',
+  'you', 'your',
+]);
+
+// =============================================================================
+// VECTOR HELPERS
+// =============================================================================
+
+/**
+ * Calculate cosine similarity between two vectors
+ * @param {Array} vec1 - First vector
+ * @param {Array} vec2 - Second vector
+ * @param {Array} weights - Optional per-dimension weights applied to both
+ * @returns {Number} Similarity score (-1 to 1)
+ */
+const cosineSimilarity = (vec1, vec2, weights = null) => {
+  if (!vec1 || !vec2 || vec1.length !== vec2.length) {
+    return 0;
+  }
+
+  let dotProduct = 0;
+  let mag1 = 0;
+  let mag2 = 0;
+
+  for (let i = 0; i < vec1.length; i++) {
+    const a = weights ? vec1[i] * weights[i] : vec1[i];
+    const b = weights ? vec2[i] * weights[i] : vec2[i];
+    dotProduct += a * b;
+    mag1 += a * a;
+    mag2 += b * b;
+  }
+
+  mag1 = Math.sqrt(mag1);
+  mag2 = Math.sqrt(mag2);
+
+  if (mag1 === 0 || mag2 === 0) {
+    return 0;
+  }
+
+  return dotProduct / (mag1 * mag2);
+};
+
+/**
+ * Convert a similarity to a 0-100 score
+ */
+const toScore = similarity => Math.max(0, Math.min(100, Math.round(similarity * 100)));
+
+// =============================================================================
+// LOCAL PROVIDER
+// =============================================================================
+
+/**
+ * Strip common English suffixes so "scaling", "scaled" and "scales"
+ * land on the same term as "scale"
+ * @param {String} token - Lowercase token
+ * @returns {String}
+ */
+const stem = (token) => {
+  let term = token;
+  if (term.length > 5 && term.endsWith('ing')) term = term.slice(0, -3);
+  else if (term.length > 4 && term.endsWith('ed')) term = term.slice(0, -2);
+  else if (term.length > 3 && term.endsWith('s') && !term.endsWith('ss')) term = term.slice(0, -1);
+  if (term.length > 4 && term.endsWith('e')) term = term.slice(0, -1);
+  return term;
+};
+
+/**
+ * Split text into normalized terms, dropping stopwords
+ * @param {String} text - Raw text
+ * @returns {Array} Terms
+ */
+const tokenize = text => String(text || '')
+  .toLowerCase()
+  .split(/[^a-z0-9+#]+/)
+  .filter(token => token.length > 1 && !STOPWORDS.has(token))
+  .map(stem);
+
+/**
+ * Map a term to a dimension (32-bit FNV-1a)
+ * @param {String} term - Term
+ * @returns {Number} Dimension index
+ */
+const hashTerm = (term) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < term.length; i++) {
+    hash ^= term.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0) % LOCAL_DIMENSIONS;
+};
+
+/**
+ * Build a hashed term-frequency vector with BM25 saturation
+ * Inverse document frequency is applied at scoring time, so cached
+ * vectors stay valid as the mentor pool changes
+ * @param {String} text - Raw text
+ * @returns {Array} Vector of LOCAL_DIMENSIONS numbers
+ */
+const buildTermVector = (text) => {
+  const counts = new Array(LOCAL_DIMENSIONS).fill(0);
+  tokenize(text).forEach((term) => {
+    counts[hashTerm(term)] += 1;
+  });
+
+  return counts.map(tf => (tf > 0 ? Math.round((tf * (BM25_K1 + 1) / (tf + BM25_K1)) * 1000) / 1000 : 0));
+};
+
+/**
+ * BM25 inverse document frequency per dimension over a corpus of vectors
+ * @param {Array} vectors - Term vectors
+ * @returns {Array} Weight per dimension
+ */
+const calculateIdf = (vectors) => {
+  const total = vectors.length;
+  const idf = new Array(LOCAL_DIMENSIONS);
+
+  for (let i = 0; i < LOCAL_DIMENSIONS; i++) {
+    const df = vectors.reduce((count, vector) => count + (vector[i] > 0 ? 1 : 0), 0);
+    idf[i] = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+  }
+
+  return idf;
+};
+
+const localProvider = {
+  name: 'local',
+  model: `tfidf-${LOCAL_DIMENSIONS}`,
+  embed: async texts => texts.map(buildTermVector),
+  weigh: calculateIdf,
+};
+
+// =============================================================================
+// OPENAI PROVIDER
+// =============================================================================
+
+const openaiProvider = {
+  name: 'openai',
+  model: OPENAI_EMBEDDING_MODEL,
+  embed: async (texts) => {
+    const axios = require('axios');
+
+    const response = await axios.post(
+      'https://api.openai.com/v1/embeddings',
+      {
+        input: texts,
+        model: OPENAI_EMBEDDING_MODEL,
+      },
+      {
+        headers: {
+          'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
+          'Content-Type': 'application/json',
+        },
+        timeout: 10000,
+      }
+    );
+
+    const embeddings = response.data.data;
+    if (!embeddings || embeddings.length !== texts.length) {
+      throw new Error('Unexpected embeddings response');
+    }
+
+    return embeddings
+      .sort((a, b) => a.index - b.index)
+      .map(e => e.embedding);
+  },
+  weigh: null,
+};
+
+// =============================================================================
+// PROVIDER SELECTION
+// =============================================================================
+
+/**
+ * Get the configured embedding provider
+ * "auto" uses OpenAI when an API key is set and the local provider otherwise
+ * @returns {Object|null} Provider, or null when semantic matching is disabled
+ */
+const getEmbeddingProvider = () => {
+  switch (EMBEDDING_PROVIDER) {
+    case 'none':
+      return null;
+    case 'local':
+      return localProvider;
+    case 'openai':
+      return process.env.OPENAI_API_KEY ? openaiProvider : null;
+    default:
+      return process.env.OPENAI_API_KEY ? openaiProvider : localProvider;
+  }
+};
+
+/**
+ * Embed texts, falling back to the local provider if the remote one fails
+ * @param {Object} provider - Preferred provider
+ * @param {Array} texts - Texts to embed
+ * @returns {Promise<Object>} { provider, vectors }
+ */
+const embedWithFallback = async (provider, texts) => {
+  try {
+    return { provider, vectors: await provider.embed(texts) };
+  } catch (error) {
+    if (provider === localProvider) throw error;
+    console.error(`${provider.name} embeddings failed, using local provider:`, error.message);
+    return { provider: localProvider, vectors: await localProvider.embed(texts) };
+  }
+};
+
+// =============================================================================
+// MENTOR VECTORS
+// =============================================================================
+
+/**
+ * Text a mentor's vector is built from
+ * @param {Object} mentor - Mentor with bio and expertise
+ * @returns {String}
+ */
+const getMentorText = mentor => [mentor.bio, (mentor.expertise || []).join(', ')]
+  .filter(Boolean)
+  .join('\n');
+
+/**
+ * Fingerprint of the text a vector was built from
+ * @param {String} text - Source text
+ * @returns {String}
+ */
+const hashSource = text => crypto.createHash('sha256').update(text).digest('hex').slice(0, 16);
+
+/**
+ * Whether a mentor's cached vector can be reused with a provider
+ * @param {Object} mentor - Mentor loaded with +embedding.vector
+ * @param {Object} provider - Embedding provider
+ * @returns {boolean}
+ */
+const hasCurrentEmbedding = (mentor, provider) => {
+  const cached = mentor.embedding;
+  return !!cached
+    && cached.provider === provider.name
+    && cached.model === provider.model
+    && cached.sourceHash === hashSource(getMentorText(mentor))
+    && Array.isArray(cached.vector)
+    && cached.vector.length > 0;
+};
+
+/**
+ * Get vectors for mentors, embedding and caching any that are missing or stale
+ * @param {Array} mentors - Mentor documents loaded with +embedding.vector
+ * @param {Object} provider - Embedding provider
+ * @param {Object} options - { cache: false to embed without storing the vectors }
+ * @returns {Promise<Object>} { provider, vectors: Map of mentor ID -> vector }
+ */
+const getMentorVectors = async (mentors, provider, options = {}) => {
+  const { cache = true } = options;
+  const vectors = new Map();
+  const stale = [];
+
+  mentors.forEach((mentor) => {
+    if (!getMentorText(mentor)) return;
+    if (hasCurrentEmbedding(mentor, provider)) {
+      vectors.set(mentor._id.toString(), mentor.embedding.vector);
+    } else {
+      stale.push(mentor);
+    }
+  });
+
+  if (stale.length === 0) {
+    return { provider, vectors };
+  }
+
+  const texts = stale.map(getMentorText);
+  const embedded = await embedWithFallback(provider, texts);
+
+  // A fallback switches the whole run so every vector is comparable.
+  // Its vectors are not cached, so the preferred provider's vectors
+  // survive the outage and are not rebuilt once it recovers.
+  if (embedded.provider !== provider) {
+    return getMentorVectors(mentors, embedded.provider, { cache: false });
+  }
+
+  if (!cache) {
+    stale.forEach((mentor, index) => vectors.set(mentor._id.toString(), embedded.vectors[index]));
+    return { provider, vectors };
+  }
+
+  const now = new Date();
+  const operations = stale.map((mentor, index) => {
+    const embedding = {
+      provider: provider.name,
+      model: provider.model,
+      sourceHash: hashSource(texts[index]),
+      vector: embedded.vectors[index],
+      updatedAt: now,
+    };
+
+    mentor.embedding = embedding;
+    vectors.set(mentor._id.toString(), embedding.vector);
+
+    return {
+      updateOne: {
+        filter: { _id: mentor._id },
+        update: { $set: { embedding } },
+      },
+    };
+  });
+
+  try {
+    await Mentor.bulkWrite(operations, { ordered: false });
+  } catch (error) {
+    console.error('Cache mentor embeddings error:', error.message);
+  }
+
+  return { provider, vectors };
+};
+
+// =============================================================================
+// SIMILARITY
+// =============================================================================
+
+/**
+ * Score how closely each mentor's profile matches a request description
+ * @param {String} text - Request description
+ * @param {Array} mentors - Mentor documents loaded with +embedding.vector
+ * @returns {Promise<Map>} Mentor ID -> score 0-100 (mentors without text are omitted)
+ */
+const scoreMentorSimilarity = async (text, mentors) => {
+  const provider = getEmbeddingProvider();
+  if (!provider || !text || mentors.length === 0) {
+    return new Map();
+  }
+
+  try {
+    const mentorVectors = await getMentorVectors(mentors, provider);
+    const [queryVector] = await mentorVectors.provider.embed([text]);
+
+    const weights = mentorVectors.provider.weigh
+      ? mentorVectors.provider.weigh([...mentorVectors.vectors.values()])
+      : null;
+
+    const scores = new Map();
+    mentorVectors.vectors.forEach((vector, mentorId) => {
+      scores.set(mentorId, toScore(cosineSimilarity(queryVector, vector, weights)));
+    });
+
+    return scores;
+
+  } catch (error) {
+    console.error('Semantic score calculation error:', error.message);
+    return new Map();
+  }
+};
+
+/**
+ * Score the similarity of two texts without caching
+ * @param {String} text1 - First text
+ * @param {String} text2 - Second text
+ * @returns {Promise<Number|null>} Score 0-100 or null if unavailable
+ */
+const calculateTextSimilarity = async (text1, text2) => {
+  const provider = getEmbeddingProvider();
+  if (!provider || !text1 || !text2) {
+    return null;
+  }
+
+  try {
+    const { provider: used, vectors } = await embedWithFallback(provider, [text1, text2]);
+    const weights = used.weigh ? used.weigh(vectors) : null;
+    return toScore(cosineSimilarity(vectors[0], vectors[1], weights));
+
+  } catch (error) {
+    console.error('Semantic score calculation error:', error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  LOCAL_DIMENSIONS,
+  cosineSimilarity,
+  tokenize,
+  buildTermVector,
+  calculateIdf,
+  getEmbeddingProvider,
+  getMentorText,
+  hashSource,
+  hasCurrentEmbedding,
+  getMentorVectors,
+  scoreMentorSimilarity,
+  calculateTextSimilarity,
+};
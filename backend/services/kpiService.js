@@ -0,0 +1,225 @@
+const KpiSnapshot = require('../models/KpiSnapshot');
+const Startup = require('../models/Startup');
+
+/**
+ * KPI Service
+ * Monthly KPI reporting: derives growth and runway from the series,
+ * summarizes trends for scoring and shapes the series for charts
+ */
+
+// Months the trend summary looks back over
+const TREND_WINDOW_MONTHS = 6;
+
+// Figures reported by founders each month
+const REPORTED_FIELDS = ['revenue', 'users', 'funding', 'monthlyBurnRate', 'cashBalance', 'notes'];
+
+// Series returned for charts, in display order
+const CHART_SERIES = [
+  { key: 'revenue', label: 'Revenue', unit: 'currency' },
+  { key: 'users', label: 'Users', unit: 'count' },
+  { key: 'growth', label: 'Revenue growth', unit: 'percent' },
+  { key: 'userGrowth', label: 'User growth', unit: 'percent' },
+  { key: 'monthlyBurnRate', label: 'Burn rate', unit: 'currency' },
+  { key: 'cashBalance', label: 'Cash balance', unit: 'currency' },
+  { key: 'runway', label: 'Runway', unit: 'months' },
+  { key: 'funding', label: 'Total funding', unit: 'currency' },
+];
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+const isNumber = value => typeof value === 'number' && !Number.isNaN(value);
+
+/**
+ * Percent change between two figures
+ * @returns {number|null} null when there is no base to compare with
+ */
+const percentChange = (current, previous) => (
+  isNumber(previous) && previous > 0 && isNumber(current)
+    ? round(((current - previous) / previous) * 100)
+    : null
+);
+
+// =============================================================================
+// DERIVED METRICS
+// =============================================================================
+
+/**
+ * Derive growth and runway for a month
+ * Growth compares with the previous reported month; runway is cash
+ * divided by burn and stays empty without both figures
+ * @param {KpiSnapshot} snapshot - Month to update (mutated)
+ * @param {KpiSnapshot|null} previous - Previous reported month
+ * @returns {KpiSnapshot}
+ */
+const deriveMetrics = (snapshot, previous) => {
+  snapshot.growth = previous ? percentChange(snapshot.revenue, previous.revenue) : null;
+  snapshot.userGrowth = previous ? percentChange(snapshot.users, previous.users) : null;
+  snapshot.runway = isNumber(snapshot.cashBalance) && snapshot.monthlyBurnRate > 0
+    ? round(snapshot.cashBalance / snapshot.monthlyBurnRate)
+    : null;
+
+  return snapshot;
+};
+
+/**
+ * Summarize the recent direction of a series
+ * @param {Array} series - Snapshots, oldest first
+ * @returns {Object} { monthsReported, lastPeriod, revenueGrowth, userGrowth,
+ *                     growthConsistency, burnChange, runway }
+ */
+const calculateTrends = (series = []) => {
+  if (series.length === 0) {
+    return { monthsReported: 0 };
+  }
+
+  const recent = series.slice(-TREND_WINDOW_MONTHS);
+  const latest = recent[recent.length - 1];
+  const average = values => (values.length ? round(values.reduce((sum, v) => sum + v, 0) / values.length) : null);
+
+  const revenueGrowth = recent.map(s => s.growth).filter(isNumber);
+  const userGrowth = recent.map(s => s.userGrowth).filter(isNumber);
+
+  return {
+    monthsReported: series.length,
+    lastPeriod: latest.period,
+    revenueGrowth: average(revenueGrowth),
+    userGrowth: average(userGrowth),
+    // Share of recent months where revenue grew
+    growthConsistency: revenueGrowth.length
+      ? round(revenueGrowth.filter(g => g > 0).length / revenueGrowth.length, 2)
+      : null,
+    burnChange: percentChange(latest.monthlyBurnRate, recent[0].monthlyBurnRate),
+    runway: isNumber(latest.runway) ? latest.runway : null,
+  };
+};
+
+/**
+ * Shape snapshots into chart series
+ * Months without a report are kept as null so charts show the gap
+ * @param {Array} snapshots - Snapshots, oldest first
+ * @returns {Object} { periods, series: [{ key, label, unit, values }], latest, trends }
+ */
+const buildChartSeries = (snapshots = []) => {
+  const periods = [];
+  if (snapshots.length > 0) {
+    const last = snapshots[snapshots.length - 1].period;
+    for (let period = snapshots[0].period; period <= last; period = KpiSnapshot.shiftPeriod(period, 1)) {
+      periods.push(period);
+    }
+  }
+
+  const byPeriod = new Map(snapshots.map(s => [s.period, s]));
+
+  return {
+    periods,
+    series: CHART_SERIES.map(({ key, label, unit }) => ({
+      key,
+      label,
+      unit,
+      values: periods.map((period) => {
+        const value = byPeriod.has(period) ? byPeriod.get(period)[key] : null;
+        return isNumber(value) ? value : null;
+      }),
+    })),
+    latest: snapshots.length > 0 ? snapshots[snapshots.length - 1] : null,
+    trends: calculateTrends(snapshots),
+  };
+};
+
+// =============================================================================
+// REPORTING
+// =============================================================================
+
+/**
+ * Copy the latest month and the trend summary onto the startup
+ * Startup.kpis stays the current-value view used by listings and filters
+ * @param {ObjectId} startupId - Startup ID
+ * @param {Date} now - Update time
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Promise<Object>} { kpis, kpiTrends }
+ */
+const syncStartupKpis = async (startupId, now = new Date(), session = null) => {
+  const series = await KpiSnapshot.getSeries(startupId).session(session);
+  const latest = series[series.length - 1];
+  if (!latest) return null;
+
+  const update = {
+    kpis: {
+      revenue: latest.revenue,
+      users: latest.users,
+      growth: latest.growth || 0,
+      funding: latest.funding || 0,
+      monthlyBurnRate: latest.monthlyBurnRate || 0,
+      runway: latest.runway || 0,
+    },
+    kpiTrends: { ...calculateTrends(series), updatedAt: now },
+  };
+
+  // updateOne so the startup's save hooks (status notifications) do not run
+  await Startup.updateOne({ _id: startupId }, { $set: update }).session(session);
+  return update;
+};
+
+/**
+ * Record a month of KPIs, replacing an earlier report for the same month
+ * Re-derives the following month, whose growth depends on this one.
+ * Two first reports for the same month racing each other fail on the
+ * unique index with a duplicate key error (code 11000).
+ * @param {ObjectId} startupId - Startup ID
+ * @param {Object} data - { period, revenue, users, funding, monthlyBurnRate, cashBalance, notes }
+ * @param {ObjectId} userId - Reporting user
+ * @param {Date} now - Report time
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Promise<Object>} { snapshot, created }
+ */
+const recordKpiSnapshot = async (startupId, data, userId, now = new Date(), session = null) => {
+  const period = data.period || KpiSnapshot.periodOf(now);
+
+  let snapshot = await KpiSnapshot.findOne({ startup: startupId, period }).session(session);
+  const created = !snapshot;
+  if (created) {
+    snapshot = new KpiSnapshot({ startup: startupId, period });
+  }
+
+  REPORTED_FIELDS.forEach((field) => {
+    if (data[field] !== undefined) snapshot[field] = data[field];
+  });
+  snapshot.submittedBy = userId;
+  if (!created) snapshot.revisedAt = now;
+
+  const previous = await KpiSnapshot.findOne({ startup: startupId, period: { $lt: period } })
+    .sort({ period: -1 })
+    .session(session);
+  const next = await KpiSnapshot.findOne({ startup: startupId, period: { $gt: period } })
+    .sort({ period: 1 })
+    .session(session);
+
+  // Funding is cumulative, so it can neither drop below the month before
+  // nor rise above the month after
+  const funding = snapshot.funding || 0;
+  if (previous && funding < (previous.funding || 0)) {
+    snapshot.invalidate('funding', `Total funding cannot be lower than reported for ${previous.period}`);
+  } else if (next && funding > (next.funding || 0)) {
+    snapshot.invalidate('funding', `Total funding cannot be higher than reported for ${next.period}`);
+  }
+
+  deriveMetrics(snapshot, previous);
+  await snapshot.save({ session });
+
+  if (next) {
+    deriveMetrics(next, snapshot);
+    await next.save({ session });
+  }
+
+  await syncStartupKpis(startupId, now, session);
+
+  return { snapshot, created };
+};
+
+module.exports = {
+  deriveMetrics,
+  calculateTrends,
+  buildChartSeries,
+  syncStartupKpis,
+  recordKpiSnapshot,
+};
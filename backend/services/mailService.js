@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Mail Service
+ * Sends transactional email through a pluggable transport
+ * Development and test write to a local outbox instead of sending real email
+ */
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'outbox');
+
+const DEFAULT_FROM = process.env.MAIL_FROM || 'Tasavur <no-reply@tasavur.local>';
+
+/**
+ * Build an absolute link into the frontend app
+ * @param {string} pathname - Path beginning with '/'
+ * @returns {string} Full URL
+ */
+const buildFrontendUrl = (pathname) => {
+  const base = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+  return `${base}${pathname}`;
+};
+
+// =============================================================================
+// TRANSPORTS
+// =============================================================================
+
+/**
+ * Console transport - logs the message instead of sending it
+ */
+const consoleTransport = {
+  name: 'console',
+  send: async (message) => {
+    const id = crypto.randomBytes(8).toString('hex');
+    console.log('📧 [mail:console]', JSON.stringify({ id, ...message }, null, 2));
+    return { id };
+  },
+};
+
+/**
+ * File transport - writes each message as JSON into the local outbox
+ */
+const fileTransport = {
+  name: 'file',
+  send: async (message) => {
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+
+    await fs.promises.mkdir(OUTBOX_DIR, { recursive: true });
+    const filePath = path.join(OUTBOX_DIR, `${id}.json`);
+    await fs.promises.writeFile(
+      filePath,
+      JSON.stringify({ id, sentAt: new Date().toISOString(), ...message }, null, 2)
+    );
+
+    return { id, path: filePath };
+  },
+};
+
+/**
+ * SMTP transport - delivers through nodemailer using EMAIL_* settings
+ * The nodemailer transporter is created lazily on first send
+ */
+let smtpTransporter = null;
+
+const smtpTransport = {
+  name: 'smtp',
+  send: async (message) => {
+    if (!process.env.EMAIL_HOST) {
+      throw new Error('SMTP transport requires EMAIL_HOST');
+    }
+
+    if (!smtpTransporter) {
+      const nodemailer = require('nodemailer');
+      const port = parseInt(process.env.EMAIL_PORT, 10) || 587;
+
+      smtpTransporter = nodemailer.createTransport({
+        host: process.env.EMAIL_HOST,
+        port,
+        secure: port === 465,
+        auth: process.env.EMAIL_USER
+          ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS }
+          : undefined,
+      });
+    }
+
+    const info = await smtpTransporter.sendMail(message);
+    return { id: info.messageId };
+  },
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport,
+  smtp: smtpTransport,
+};
+
+/**
+ * Register an additional transport (e.g. SMTP)
+ * @param {string} name - Transport name used in MAIL_TRANSPORT
+ * @param {Object} transport - Object with an async send(message) method
+ */
+const registerTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  transports[name] = { name, ...transport };
+};
+
+/**
+ * Resolve the active transport from MAIL_TRANSPORT
+ * Defaults to the file outbox outside production, and to SMTP in
+ * production. Production refuses to send without a configured transport,
+ * and never uses the console transport, which would print message bodies
+ * (verification and reset links included) to the logs
+ * @returns {Object} Transport
+ */
+const getTransport = () => {
+  const isProduction = process.env.NODE_ENV === 'production';
+
+  if (isProduction && !process.env.MAIL_TRANSPORT && !process.env.EMAIL_HOST) {
+    throw new Error('No mail transport configured: set EMAIL_HOST or MAIL_TRANSPORT');
+  }
+
+  const fallback = isProduction ? 'smtp' : 'file';
+  let name = process.env.MAIL_TRANSPORT || fallback;
+
+  if (!transports[name]) {
+    console.warn(`⚠️ Unknown mail transport "${name}", falling back to ${fallback}`);
+    name = fallback;
+  }
+
+  if (isProduction && name === 'console') {
+    throw new Error('The console mail transport is only available in development and test');
+  }
+
+  return transports[name];
+};
+
+// =============================================================================
+// SENDING
+// =============================================================================
+
+/**
+ * Send an email
+ * @param {Object} options - { to, subject, text, html, from }
+ * @returns {Promise<Object>} { id, transport }
+ */
+const sendMail = async ({ to, subject, text, html, from }) => {
+  if (!to || !subject) {
+    throw new Error('Email requires a recipient and subject');
+  }
+
+  const transport = getTransport();
+  const result = await transport.send({
+    from: from || DEFAULT_FROM,
+    to,
+    subject,
+    text,
+    html,
+  });
+
+  return { ...result, transport: transport.name };
+};
+
+module.exports = {
+  sendMail,
+  registerTransport,
+  getTransport,
+  buildFrontendUrl,
+  OUTBOX_DIR,
+};
@@ -0,0 +1,328 @@
+const MentorshipRequest = require('../models/MentorshipRequest');
+const MatchingConfig = require('../models/MatchingConfig');
+const { loadMatchingConfig, calculateWeightedScore } = require('./matchingService');
+
+/**
+ * Matching Evaluation Service
+ * Offline feedback loop for the matcher: correlates the component scores
+ * stored on past matches with what happened next (acceptance, completed
+ * sessions, founder ratings), proposes adjusted weights and replays them
+ * over historical requests before anything is applied
+ */
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Outcomes a component needs before its weight is adjusted
+const MIN_SAMPLES = parseInt(process.env.MATCHING_EVALUATION_MIN_SAMPLES, 10) || 20;
+
+// Weights never drop below this share, so a component can recover later
+const MIN_WEIGHT = 0.02;
+
+// Stored component score for each weight key
+const COMPONENT_FIELDS = {
+  skill: 'skillMatchScore',
+  domain: 'domainMatchScore',
+  availability: 'availabilityScore',
+  rating: 'ratingScore',
+  capacity: 'capacityScore',
+  semantic: 'semanticScore',
+};
+
+const FINISHED_STATUSES = ['Completed', 'Cancelled'];
+
+// =============================================================================
+// OUTCOMES
+// =============================================================================
+
+const round = (value, places = 3) => (value === null ? null : Math.round(value * 10 ** places) / 10 ** places);
+
+const mean = values => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+
+/**
+ * Work out what happened after a mentor was suggested
+ * @param {Object} request - Lean request with matchedMentors and sessions
+ * @param {Object} match - matchedMentors entry
+ * @returns {Object} { proposed, accepted, completedSessions, rating, success }
+ *          success is 0-1, or null while the outcome is unknown
+ */
+const getMatchOutcome = (request, match) => {
+  const mentorId = match.mentor.toString();
+  const selected = !!request.selectedMentor && request.selectedMentor.toString() === mentorId;
+  const declined = ['Declined', 'Expired'].includes(match.status);
+  const accepted = selected || match.status === 'Accepted';
+  const proposed = accepted || declined;
+
+  const sessions = (request.sessions || []).filter(s => s.mentor && s.mentor.toString() === mentorId);
+  const completedSessions = sessions.filter(s => s.status === 'Completed').length;
+  const ratings = sessions
+    .map(s => s.founderFeedback && s.founderFeedback.rating)
+    .filter(Boolean);
+  const rating = mean(ratings) || (selected && request.overallRating) || null;
+
+  let success = null;
+  if (declined) {
+    success = 0;
+  } else if (accepted && rating) {
+    success = (rating - 1) / 4;
+  } else if (accepted && completedSessions > 0) {
+    success = 0.75;
+  } else if (accepted && FINISHED_STATUSES.includes(request.status)) {
+    success = 0.25;
+  }
+
+  return {
+    proposed,
+    accepted: proposed ? (accepted ? 1 : 0) : null,
+    completedSessions,
+    rating,
+    success,
+  };
+};
+
+/**
+ * Load historical matches with their outcomes
+ * @param {Object} options - { since }
+ * @returns {Promise<Array>} Requests as { id, matches: [{ mentor, scores, outcome }] }
+ */
+const collectMatchOutcomes = async ({ since }) => {
+  const requests = await MentorshipRequest.find({
+    createdAt: { $gte: since },
+    'matchedMentors.0': { $exists: true },
+  })
+    .select('status selectedMentor overallRating matchedMentors sessions.mentor sessions.status sessions.founderFeedback.rating')
+    .lean();
+
+  return requests.map(request => ({
+    id: request._id,
+    matches: request.matchedMentors
+      .filter(match => match.mentor)
+      .map(match => ({
+        mentor: match.mentor,
+        scores: Object.keys(COMPONENT_FIELDS).reduce((acc, key) => ({
+          ...acc,
+          [key]: typeof match[COMPONENT_FIELDS[key]] === 'number' ? match[COMPONENT_FIELDS[key]] : null,
+        }), {}),
+        outcome: getMatchOutcome(request, match),
+      })),
+  }));
+};
+
+// =============================================================================
+// COMPONENT ANALYSIS
+// =============================================================================
+
+/**
+ * Pearson correlation of paired values
+ * @param {Array} pairs - [x, y] pairs
+ * @returns {Number|null} -1 to 1, or null without variance
+ */
+const correlate = (pairs) => {
+  if (pairs.length < 2) return null;
+
+  const meanX = mean(pairs.map(p => p[0]));
+  const meanY = mean(pairs.map(p => p[1]));
+  let cov = 0;
+  let varX = 0;
+  let varY = 0;
+
+  pairs.forEach(([x, y]) => {
+    cov += (x - meanX) * (y - meanY);
+    varX += (x - meanX) ** 2;
+    varY += (y - meanY) ** 2;
+  });
+
+  if (varX === 0 || varY === 0) return null;
+  return cov / Math.sqrt(varX * varY);
+};
+
+/**
+ * Correlate each component score with each outcome
+ * @param {Array} requests - From collectMatchOutcomes
+ * @returns {Array} [{ key, samples, acceptance, completion, rating, predictiveValue }]
+ */
+const evaluateComponents = (requests) => {
+  const matches = requests.flatMap(r => r.matches).filter(m => m.outcome.proposed);
+
+  return Object.keys(COMPONENT_FIELDS).map((key) => {
+    const scored = matches.filter(m => m.scores[key] !== null);
+    const pairsFor = select => scored
+      .map(m => [m.scores[key], select(m.outcome)])
+      .filter(([, y]) => y !== null && y !== undefined);
+
+    const successPairs = pairsFor(o => o.success);
+
+    return {
+      key,
+      samples: successPairs.length,
+      acceptance: round(correlate(pairsFor(o => o.accepted))),
+      completion: round(correlate(pairsFor(o => (o.accepted ? (o.completedSessions > 0 ? 1 : 0) : null)))),
+      rating: round(correlate(pairsFor(o => o.rating))),
+      predictiveValue: round(correlate(successPairs)),
+    };
+  });
+};
+
+/**
+ * Propose weights from component predictive value
+ * Each weight scales by (1 + correlation); components with too few
+ * outcomes keep their weight. The total weight is preserved.
+ * @param {Array} components - From evaluateComponents
+ * @param {Object} weights - Current weights
+ * @returns {Object} Proposed weights
+ */
+const proposeWeights = (components, weights) => {
+  const total = Object.values(weights).reduce((sum, w) => sum + w, 0);
+
+  const adjusted = {};
+  components.forEach(({ key, samples, predictiveValue }) => {
+    const current = weights[key] || 0;
+    adjusted[key] = samples >= MIN_SAMPLES && predictiveValue !== null && current > 0
+      ? Math.max(MIN_WEIGHT, current * (1 + predictiveValue))
+      : current;
+  });
+
+  const adjustedTotal = Object.values(adjusted).reduce((sum, w) => sum + w, 0);
+
+  return Object.keys(adjusted).reduce((acc, key) => ({
+    ...acc,
+    [key]: round(Math.min(1, (adjusted[key] / adjustedTotal) * total)),
+  }), {});
+};
+
+// =============================================================================
+// DRY RUN
+// =============================================================================
+
+/**
+ * Replay a weight set over historical requests
+ * Pairwise accuracy is the share of same-request mentor pairs with
+ * different outcomes where the better outcome scores higher
+ * @param {Array} requests - From collectMatchOutcomes
+ * @param {Object} weights - Weight set
+ * @returns {Object} { requests, pairwiseAccuracy, meanReciprocalRank, topPicks }
+ */
+const replayWeights = (requests, weights) => {
+  let correctPairs = 0;
+  let totalPairs = 0;
+  const reciprocalRanks = [];
+  const topPicks = new Map();
+
+  requests.forEach((request) => {
+    const ranked = request.matches
+      .map(match => ({ ...match, score: calculateWeightedScore(match.scores, weights) }))
+      .sort((a, b) => b.score - a.score);
+
+    if (ranked.length > 0) {
+      topPicks.set(request.id.toString(), ranked[0].mentor.toString());
+    }
+
+    const known = ranked.filter(m => m.outcome.success !== null);
+    for (let i = 0; i < known.length; i++) {
+      for (let j = i + 1; j < known.length; j++) {
+        const [a, b] = [known[i], known[j]];
+        if (a.outcome.success === b.outcome.success) continue;
+        totalPairs += 1;
+        const better = a.outcome.success > b.outcome.success ? a : b;
+        const worse = better === a ? b : a;
+        if (better.score > worse.score) correctPairs += 1;
+        else if (better.score === worse.score) correctPairs += 0.5;
+      }
+    }
+
+    const best = Math.max(...known.map(m => m.outcome.success));
+    if (known.length > 0 && best > 0) {
+      reciprocalRanks.push(1 / (ranked.findIndex(m => m.outcome.success === best) + 1));
+    }
+  });
+
+  return {
+    requests: reciprocalRanks.length,
+    pairs: totalPairs,
+    pairwiseAccuracy: totalPairs ? round(correctPairs / totalPairs) : null,
+    meanReciprocalRank: round(mean(reciprocalRanks)),
+    topPicks,
+  };
+};
+
+// =============================================================================
+// EVALUATION JOB
+// =============================================================================
+
+/**
+ * Evaluate matching quality and propose new weights (dry run)
+ * @param {Object} options - { days, now }
+ * @returns {Promise<Object>} Report with components, current/proposed weights and replay comparison
+ */
+const evaluateMatching = async ({ days = 180, now = new Date() } = {}) => {
+  const since = new Date(now.getTime() - days * DAY_MS);
+  const config = await loadMatchingConfig();
+  const requests = await collectMatchOutcomes({ since });
+
+  const components = evaluateComponents(requests);
+  const proposedWeights = proposeWeights(components, config.weights);
+
+  const current = replayWeights(requests, config.weights);
+  const proposed = replayWeights(requests, proposedWeights);
+
+  let changedTopPicks = 0;
+  proposed.topPicks.forEach((mentor, requestId) => {
+    if (current.topPicks.get(requestId) !== mentor) changedTopPicks += 1;
+  });
+
+  const summarize = ({ topPicks, ...metrics }) => metrics;
+  const outcomes = requests.flatMap(r => r.matches).filter(m => m.outcome.proposed);
+
+  return {
+    period: { from: since, to: now, days },
+    requests: requests.length,
+    outcomes: outcomes.length,
+    minSamples: MIN_SAMPLES,
+    config: { _id: config._id, version: config.version },
+    components,
+    currentWeights: config.weights,
+    proposedWeights,
+    changed: Object.keys(proposedWeights).some(key => proposedWeights[key] !== config.weights[key]),
+    dryRun: {
+      current: summarize(current),
+      proposed: summarize(proposed),
+      changedTopPicks,
+      improves: proposed.pairwiseAccuracy !== null
+        && proposed.pairwiseAccuracy > current.pairwiseAccuracy,
+    },
+  };
+};
+
+/**
+ * Publish the proposed weights as a new matching configuration version
+ * @param {Object} report - From evaluateMatching
+ * @param {ObjectId} userId - Admin applying the proposal
+ * @returns {Promise<MatchingConfig>}
+ */
+const applyEvaluation = async (report, userId) => {
+  const config = await loadMatchingConfig();
+  const { current, proposed } = report.dryRun;
+
+  return MatchingConfig.publishVersion({
+    weights: report.proposedWeights,
+    minScore: config.minScore,
+    maxResults: config.maxResults,
+    notes: `Proposed by matching evaluation over ${report.outcomes} outcomes (${report.period.days} days). `
+      + `Pairwise accuracy ${current.pairwiseAccuracy} -> ${proposed.pairwiseAccuracy}, `
+      + `MRR ${current.meanReciprocalRank} -> ${proposed.meanReciprocalRank}.`,
+  }, userId);
+};
+
+module.exports = {
+  getMatchOutcome,
+  collectMatchOutcomes,
+  correlate,
+  evaluateComponents,
+  proposeWeights,
+  replayWeights,
+  evaluateMatching,
+  applyEvaluation,
+};
@@ -1,6 +1,15 @@
+const { calculateSlotOverlap } = require('./availabilityService');
+const MatchingConfig = require('../models/MatchingConfig');
+const {
+  cosineSimilarity,
+  scoreMentorSimilarity,
+  calculateTextSimilarity,
+} = require('./embeddingService');
+
 /**
  * Mentor Matching Service
- * Implements score-based matching algorithm with optional AI enhancement
+ * Implements score-based matching algorithm with semantic similarity
+ * from the embedding service
  */
 
 // =============================================================================
@@ -61,11 +70,16 @@ const calculateDomainMatch = (requestDomains, mentorDomains) => {
 
 /**
  * Calculate availability score
+ * With the mentor's weekly windows and the founder's preferred times, the
+ * score is the share of the preferred time the mentor actually has open
+ * (booked sessions excluded), scaled by the availability status. Without
+ * them it falls back to the status alone.
  * @param {Array} preferredTimes - Requested time slots
  * @param {String} mentorAvailability - Mentor availability status
+ * @param {Object} context - { mentor, requestTimezone, sessions, from }
  * @returns {Number} Score 0-100
  */
-const calculateAvailabilityScore = (preferredTimes, mentorAvailability) => {
+const calculateAvailabilityScore = (preferredTimes, mentorAvailability, context = {}) => {
   // Base score on availability status
   const statusScores = {
     'Available': 100,
@@ -74,10 +88,21 @@ const calculateAvailabilityScore = (preferredTimes, mentorAvailability) => {
   };
 
   const baseScore = statusScores[mentorAvailability] ?? 75;
+  if (!context.mentor || baseScore === 0) {
+    return baseScore;
+  }
+
+  const overlap = calculateSlotOverlap(context.mentor, preferredTimes, {
+    requestTimezone: context.requestTimezone,
+    sessions: context.sessions,
+    from: context.from,
+  });
+
+  if (!overlap) {
+    return baseScore;
+  }
 
-  // Could be enhanced with actual time slot matching
-  // For now, return base score
-  return baseScore;
+  return Math.round(overlap.coverage * baseScore);
 };
 
 /**
@@ -116,100 +141,82 @@ const calculateCapacityScore = (currentMentees, maxMentees) => {
 };
 
 // =============================================================================
-// OPTIONAL AI INTEGRATION
+// SEMANTIC SIMILARITY
 // =============================================================================
 
 /**
- * Calculate semantic similarity using OpenAI embeddings (optional)
+ * Calculate semantic similarity between a request description and a mentor bio
+ * Uses the configured embedding provider (OpenAI or local TF-IDF)
  * @param {String} requestDescription - Request description
  * @param {String} mentorBio - Mentor's bio
  * @returns {Number|null} Score 0-100 or null if unavailable
  */
 const calculateSemanticScore = async (requestDescription, mentorBio) => {
-  // Skip if OpenAI is not configured
-  if (!process.env.OPENAI_API_KEY) {
-    return null;
-  }
-
   // Skip if missing data
   if (!requestDescription || !mentorBio) {
     return null;
   }
 
-  try {
-    // Dynamic import for axios (may not be installed)
-    let axios;
-    try {
-      axios = require('axios');
-    } catch (e) {
-      console.log('Axios not available for AI matching');
-      return null;
-    }
-
-    const response = await axios.post(
-      'https://api.openai.com/v1/embeddings',
-      {
-        input: [requestDescription, mentorBio],
-        model: 'text-embedding-3-small',
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-          'Content-Type': 'application/json',
-        },
-        timeout: 5000, // 5 second timeout
-      }
-    );
-
-    const embeddings = response.data.data;
-    if (!embeddings || embeddings.length < 2) {
-      return null;
-    }
-
-    const embedding1 = embeddings[0].embedding;
-    const embedding2 = embeddings[1].embedding;
-
-    // Calculate cosine similarity
-    const similarity = cosineSimilarity(embedding1, embedding2);
+  return calculateTextSimilarity(requestDescription, mentorBio);
+};
 
-    // Convert to 0-100 scale (cosine similarity is -1 to 1, but usually 0 to 1 for embeddings)
-    return Math.round(similarity * 100);
+// =============================================================================
+// WEIGHTS
+// =============================================================================
 
-  } catch (error) {
-    console.error('Semantic score calculation error:', error.message);
-    return null;
-  }
+// Used until an admin publishes a matching configuration
+const DEFAULT_MATCHING_CONFIG = {
+  version: 0,
+  weights: {
+    skill: 0.30,
+    domain: 0.20,
+    availability: 0.15,
+    rating: 0.15,
+    capacity: 0.10,
+    semantic: 0.10,
+  },
+  minScore: 0,
+  maxResults: 10,
 };
 
 /**
- * Calculate cosine similarity between two vectors
- * @param {Array} vec1 - First vector
- * @param {Array} vec2 - Second vector
- * @returns {Number} Similarity score (-1 to 1)
+ * Load the active matching configuration, or the defaults
+ * @returns {Promise<Object>} { _id, version, weights, minScore, maxResults }
  */
-const cosineSimilarity = (vec1, vec2) => {
-  if (!vec1 || !vec2 || vec1.length !== vec2.length) {
-    return 0;
-  }
-
-  let dotProduct = 0;
-  let mag1 = 0;
-  let mag2 = 0;
-
-  for (let i = 0; i < vec1.length; i++) {
-    dotProduct += vec1[i] * vec2[i];
-    mag1 += vec1[i] * vec1[i];
-    mag2 += vec2[i] * vec2[i];
-  }
-
-  mag1 = Math.sqrt(mag1);
-  mag2 = Math.sqrt(mag2);
+const loadMatchingConfig = async () => {
+  const config = await MatchingConfig.getActive();
+  if (!config) return DEFAULT_MATCHING_CONFIG;
+
+  const { skill, domain, availability, rating, capacity, semantic } = config.weights;
+  return {
+    _id: config._id,
+    version: config.version,
+    weights: { skill, domain, availability, rating, capacity, semantic },
+    minScore: config.minScore,
+    maxResults: config.maxResults,
+  };
+};
 
-  if (mag1 === 0 || mag2 === 0) {
-    return 0;
-  }
+/**
+ * Combine component scores with a weight set
+ * Components without a score (semantic when AI is off) are left out and
+ * the remaining weights are scaled up to fill their share
+ * @param {Object} scores - Component key -> score (0-100) or null
+ * @param {Object} weights - Component key -> weight
+ * @returns {Number} Score 0-100 rounded to 2 decimals
+ */
+const calculateWeightedScore = (scores, weights) => {
+  let total = 0;
+  let usedWeight = 0;
+
+  Object.keys(weights).forEach((key) => {
+    if (scores[key] === null || scores[key] === undefined) return;
+    total += scores[key] * weights[key];
+    usedWeight += weights[key];
+  });
 
-  return dotProduct / (mag1 * mag2);
+  if (usedWeight === 0) return 0;
+  return Math.round((total / usedWeight) * 100) / 100;
 };
 
 // =============================================================================
@@ -220,41 +227,44 @@ const cosineSimilarity = (vec1, vec2) => {
  * Main matching algorithm
  * @param {Object} request - Mentorship request object
  * @param {Array} mentors - Available mentors
- * @param {Object} options - Matching options
+ * @param {Object} options - Matching options; config comes from loadMatchingConfig()
  * @returns {Array} Sorted array of mentor matches with scores
  */
 const matchMentors = async (request, mentors, options = {}) => {
   const {
     includeAI = true,
-    minScore = 0,
-    maxResults = 10,
+    config = DEFAULT_MATCHING_CONFIG,
+    sessionsByMentor = null, // Map of mentor ID -> booked sessions
+  } = options;
+  const {
+    minScore = config.minScore,
+    maxResults = config.maxResults,
   } = options;
 
-  const matches = [];
-
-  for (const mentor of mentors) {
-    // Skip if mentor is at capacity
-    const menteesCount = mentor.currentMentees?.length || 0;
-    if (menteesCount >= (mentor.maxMentees || 5)) {
-      continue;
-    }
+  // Skip mentors at capacity, inactive or explicitly unavailable
+  const eligible = mentors.filter(mentor => mentor.isActive
+    && mentor.availability !== 'Unavailable'
+    && (mentor.currentMentees?.length || 0) < (mentor.maxMentees || 5));
 
-    // Skip if mentor is not active
-    if (!mentor.isActive) {
-      continue;
-    }
+  // Semantic scores for the whole pool in one pass; mentor vectors are cached
+  const semanticScores = includeAI
+    ? await scoreMentorSimilarity(request.description, eligible)
+    : new Map();
 
-    // Skip if explicitly unavailable
-    if (mentor.availability === 'Unavailable') {
-      continue;
-    }
+  const matches = [];
 
+  for (const mentor of eligible) {
     // Calculate individual scores
     const skillScore = calculateSkillMatch(request.skills, mentor.expertise);
     const domainScore = calculateDomainMatch(request.domains, mentor.domains);
     const availabilityScore = calculateAvailabilityScore(
       request.preferredTimes,
-      mentor.availability
+      mentor.availability,
+      {
+        mentor,
+        requestTimezone: request.timezone,
+        sessions: sessionsByMentor ? sessionsByMentor.get(mentor._id.toString()) : [],
+      }
     );
     const ratingScore = calculateRatingScore(
       mentor.rating,
@@ -265,44 +275,17 @@ const matchMentors = async (request, mentors, options = {}) => {
       mentor.maxMentees
     );
 
-    // Calculate semantic score (optional, may be null)
-    let semanticScore = null;
-    if (includeAI) {
-      semanticScore = await calculateSemanticScore(
-        request.description,
-        mentor.bio || ''
-      );
-    }
-
-    // Weight configuration
-    const weights = {
-      skill: 0.30,      // 30%
-      domain: 0.20,     // 20%
-      availability: 0.15, // 15%
-      rating: 0.15,     // 15%
-      capacity: 0.10,   // 10%
-      semantic: 0.10,   // 10% (if available)
-    };
-
-    // Calculate base score (without semantic)
-    let finalScore =
-      skillScore * weights.skill +
-      domainScore * weights.domain +
-      availabilityScore * weights.availability +
-      ratingScore * weights.rating +
-      capacityScore * weights.capacity;
-
-    // Add semantic score if available
-    if (semanticScore !== null) {
-      finalScore += semanticScore * weights.semantic;
-    } else {
-      // Redistribute semantic weight proportionally to other scores
-      const redistWeight = weights.semantic / (1 - weights.semantic);
-      finalScore = finalScore * (1 + redistWeight);
-    }
+    // Semantic score (optional, may be null)
+    const semanticScore = semanticScores.get(mentor._id.toString()) ?? null;
 
-    // Round to 2 decimal places
-    finalScore = Math.round(finalScore * 100) / 100;
+    const finalScore = calculateWeightedScore({
+      skill: skillScore,
+      domain: domainScore,
+      availability: availabilityScore,
+      rating: ratingScore,
+      capacity: capacityScore,
+      semantic: semanticScore,
+    }, config.weights);
 
     // Skip if below minimum score
     if (finalScore < minScore) {
@@ -331,6 +314,10 @@ const matchMentors = async (request, mentors, options = {}) => {
       ratingScore: ratingScore,
       capacityScore: capacityScore,
       semanticScore: semanticScore,
+      // Weight set the score was computed with
+      matchingConfig: config._id,
+      matchingConfigVersion: config.version,
+      weights: { ...config.weights },
       status: 'Suggested',
     });
   }
@@ -342,6 +329,122 @@ const matchMentors = async (request, mentors, options = {}) => {
   return matches.slice(0, maxResults);
 };
 
+// =============================================================================
+// MATCH EXPLANATIONS
+// =============================================================================
+
+const COMPONENT_LABELS = {
+  skill: 'Skills',
+  domain: 'Domain',
+  availability: 'Availability',
+  rating: 'Rating & experience',
+  capacity: 'Capacity',
+  semantic: 'Profile similarity',
+};
+
+/**
+ * Get the requested skills a mentor covers, exactly or partially
+ * Uses the same comparison as calculateSkillMatch
+ * @param {Array} requestSkills - Skills requested
+ * @param {Array} mentorSkills - Mentor expertise
+ * @returns {Array} Requested skills that matched
+ */
+const getMatchedSkills = (requestSkills = [], mentorSkills = []) => {
+  const mentorSet = mentorSkills.map(s => s.toLowerCase().trim());
+
+  return requestSkills.filter((skill) => {
+    const normalized = skill.toLowerCase().trim();
+    return mentorSet.some(m => m === normalized || m.includes(normalized) || normalized.includes(m));
+  });
+};
+
+/**
+ * Build one sentence per component explaining its score
+ */
+const describeComponent = (key, score, request, mentor) => {
+  switch (key) {
+    case 'skill': {
+      const requested = request.skills || [];
+      if (requested.length === 0) return null;
+      const matched = getMatchedSkills(requested, mentor.expertise || []);
+      return matched.length > 0
+        ? `Matches ${matched.length} of ${requested.length} requested skills: ${matched.join(', ')}`
+        : 'No direct overlap with the requested skills';
+    }
+    case 'domain': {
+      const requested = request.domains || [];
+      if (requested.length === 0) return null;
+      const overlap = requested.filter(d => (mentor.domains || []).includes(d));
+      return overlap.length > 0
+        ? `Works in ${overlap.join(', ')}`
+        : `No listed experience in ${requested.join(', ')}`;
+    }
+    case 'availability':
+      if (score >= 80) return 'Available for most of your preferred times';
+      if (score >= 40) return 'Available for some of your preferred times';
+      return 'Limited availability at your preferred times';
+    case 'rating':
+      if (!mentor.rating) return null;
+      return `Rated ${mentor.rating.toFixed(1)}/5${mentor.sessionsCompleted ? ` over ${mentor.sessionsCompleted} sessions` : ''}`;
+    case 'capacity':
+      if (score >= 50) return 'Has room for new mentees';
+      return score > 0 ? 'Close to their mentee limit' : null;
+    case 'semantic':
+      return score >= 60 ? 'Background closely matches your description' : null;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Explain why a mentor was suggested from the stored component scores
+ * Components are ordered by how much they contributed to the final score
+ * @param {Object} match - matchedMentors entry
+ * @param {Object} request - Mentorship request (skills, domains)
+ * @param {Object} mentor - Mentor with expertise, domains, rating, sessionsCompleted
+ * @returns {Object} { score, configVersion, summary, reasons, components }
+ */
+const explainMatch = (match, request, mentor = {}) => {
+  const weights = match.weights && typeof match.weights.skill === 'number'
+    ? match.weights
+    : DEFAULT_MATCHING_CONFIG.weights;
+
+  const scores = {
+    skill: match.skillMatchScore,
+    domain: match.domainMatchScore,
+    availability: match.availabilityScore,
+    rating: match.ratingScore,
+    capacity: match.capacityScore,
+    semantic: match.semanticScore,
+  };
+
+  const scored = Object.keys(COMPONENT_LABELS)
+    .filter(key => typeof scores[key] === 'number' && weights[key] > 0);
+  const usedWeight = scored.reduce((sum, key) => sum + weights[key], 0);
+
+  const components = scored
+    .map(key => ({
+      key,
+      label: COMPONENT_LABELS[key],
+      score: scores[key],
+      weight: weights[key],
+      contribution: usedWeight ? Math.round((scores[key] * weights[key] / usedWeight) * 10) / 10 : 0,
+    }))
+    .sort((a, b) => b.contribution - a.contribution);
+
+  const reasons = components
+    .map(component => describeComponent(component.key, component.score, request, mentor))
+    .filter(Boolean);
+
+  return {
+    score: match.score,
+    configVersion: match.matchingConfigVersion || 0,
+    summary: reasons.slice(0, 2).join('. '),
+    reasons,
+    components,
+  };
+};
+
 // =============================================================================
 // AI RECOMMENDATION SUMMARY
 // =============================================================================
@@ -420,7 +523,12 @@ Provide a concise recommendation explaining why these mentors are good matches a
 // =============================================================================
 
 module.exports = {
+  DEFAULT_MATCHING_CONFIG,
+  loadMatchingConfig,
+  calculateWeightedScore,
   matchMentors,
+  explainMatch,
+  getMatchedSkills,
   calculateSkillMatch,
   calculateDomainMatch,
   calculateAvailabilityScore,
@@ -0,0 +1,224 @@
+const MentorshipRequest = require('../models/MentorshipRequest');
+const Mentor = require('../models/Mentor');
+const Startup = require('../models/Startup');
+const { matchMentors, loadMatchingConfig } = require('./matchingService');
+const { sendNotification } = require('./notificationService');
+const { MATCHING_HORIZON_DAYS } = require('./availabilityService');
+const { getBookedSessionsForMentors } = require('./schedulingService');
+
+/**
+ * Mentor Proposal Service
+ * Two-sided mentor selection: the founder proposes a matched mentor, who
+ * accepts or declines. Declined and expired proposals move on to the
+ * next-best match so requests do not stall.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Whether a mentor can take on another mentee right now
+ * @param {Object} mentor - Mentor document
+ * @returns {boolean}
+ */
+const canTakeMentee = mentor => !!mentor
+  && mentor.isActive
+  && mentor.availability !== 'Unavailable'
+  && (mentor.currentMentees?.length || 0) < (mentor.maxMentees || 5);
+
+/**
+ * Notify a mentor that they have been asked to mentor a request
+ */
+const notifyProposedMentor = async (request, mentor, proposal) => {
+  const startup = await Startup.findById(request.startup).select('name');
+
+  await sendNotification(
+    mentor.user,
+    'mentor_selected',
+    'Mentorship Invitation',
+    `${startup ? startup.name : 'A startup'} would like you to mentor them on "${request.topic}". Please respond by ${proposal.expiresAt.toLocaleString()}`,
+    'MentorshipRequest',
+    request._id,
+    { priority: 'high' }
+  );
+};
+
+/**
+ * Re-run matching for mentors not yet on the request
+ * Adds the new matches to matchedMentors as suggestions
+ * @param {MentorshipRequest} request - Request document
+ * @returns {Promise<number>} Matches added
+ */
+const refreshMatches = async (request) => {
+  const known = request.matchedMentors.map(m => m.mentor);
+  const mentors = await Mentor.find({
+    _id: { $nin: known },
+    isActive: true,
+    availability: { $ne: 'Unavailable' },
+  }).select('+embedding.vector');
+  if (mentors.length === 0) return 0;
+
+  const now = new Date();
+  const sessionsByMentor = await getBookedSessionsForMentors(
+    mentors.map(m => m._id),
+    now,
+    new Date(now.getTime() + MATCHING_HORIZON_DAYS * DAY_MS)
+  );
+
+  const config = await loadMatchingConfig();
+  const matches = await matchMentors(request, mentors, { config, sessionsByMentor });
+  const added = matches.slice(0, config.maxResults);
+  added.forEach(match => request.matchedMentors.push(match));
+
+  return added.length;
+};
+
+// =============================================================================
+// PROPOSALS
+// =============================================================================
+
+/**
+ * Propose a matched mentor and notify them
+ * @param {MentorshipRequest} request - Request document
+ * @param {Mentor} mentor - Mentor to ask
+ * @returns {Promise<Object>} The proposed matchedMentors entry
+ */
+const proposeMentor = async (request, mentor) => {
+  const proposal = await request.proposeMentor(mentor._id);
+  await notifyProposedMentor(request, mentor, proposal);
+  return proposal;
+};
+
+/**
+ * Propose the next-best match that can still take a mentee
+ * Stored suggestions are tried by score first; when they run out,
+ * matching is re-run against the remaining mentors.
+ * The founder is told when no mentor is left.
+ * @param {MentorshipRequest} request - Request document
+ * @returns {Promise<Object|null>} { proposal, mentor } or null
+ */
+const proposeNextMentor = async (request) => {
+  const pickCandidate = async () => {
+    const suggestions = request.matchedMentors
+      .filter(m => m.status === 'Suggested')
+      .sort((a, b) => (b.score || 0) - (a.score || 0));
+
+    for (const suggestion of suggestions) {
+      const mentor = await Mentor.findById(suggestion.mentor);
+      if (canTakeMentee(mentor)) return mentor;
+    }
+    return null;
+  };
+
+  let mentor = await pickCandidate();
+  if (!mentor && await refreshMatches(request) > 0) {
+    mentor = await pickCandidate();
+  }
+
+  if (!mentor) {
+    await request.save();
+    await sendNotification(
+      request.requestedBy,
+      'mentor_declined',
+      'No Mentor Available',
+      `None of the matched mentors could take on "${request.topic}" right now. An admin can help find another mentor.`,
+      'MentorshipRequest',
+      request._id,
+      { priority: 'high' }
+    );
+    return null;
+  }
+
+  const proposal = await proposeMentor(request, mentor);
+  return { proposal, mentor };
+};
+
+/**
+ * Record a mentor's answer to a proposal
+ * Accepting assigns the mentor and adds the startup to their mentees;
+ * declining moves on to the next-best match
+ * @param {MentorshipRequest} request - Request document
+ * @param {Mentor} mentor - Responding mentor
+ * @param {boolean} accept - Whether the mentor accepts
+ * @param {string} reason - Decline reason
+ * @returns {Promise<Object>} { accepted, next } where next is the fallback proposal, if any
+ */
+const respondToProposal = async (request, mentor, accept, reason = '') => {
+  if (accept) {
+    await request.acceptProposal(mentor._id);
+    await mentor.addMentee(request.startup);
+
+    await sendNotification(
+      request.requestedBy,
+      'mentor_accepted',
+      'Mentor Accepted',
+      `${mentor.name} accepted your request for "${request.topic}". You can now schedule a session.`,
+      'MentorshipRequest',
+      request._id
+    );
+
+    return { accepted: true, next: null };
+  }
+
+  await request.closeProposal(mentor._id, reason, 'Declined');
+
+  const next = await proposeNextMentor(request);
+  if (next) {
+    await sendNotification(
+      request.requestedBy,
+      'mentor_declined',
+      'Mentor Unavailable',
+      `${mentor.name} could not take on "${request.topic}". We have asked ${next.mentor.name} instead.`,
+      'MentorshipRequest',
+      request._id
+    );
+  }
+
+  return { accepted: false, next };
+};
+
+/**
+ * Expire unanswered proposals and fall back to the next-best match
+ * @param {Date} now - Reference time
+ * @returns {Promise<number>} Proposals expired
+ */
+const expireMentorProposals = async (now = new Date()) => {
+  const requests = await MentorshipRequest.getExpiredProposals(now);
+  let expired = 0;
+
+  for (const request of requests) {
+    try {
+      const proposal = request.getActiveProposal();
+      await request.closeProposal(proposal.mentor, 'No response before the proposal expired', 'Expired');
+      expired += 1;
+
+      const next = await proposeNextMentor(request);
+      if (next) {
+        await sendNotification(
+          request.requestedBy,
+          'mentor_declined',
+          'Mentor Did Not Respond',
+          `Your proposed mentor did not respond in time for "${request.topic}". We have asked ${next.mentor.name} instead.`,
+          'MentorshipRequest',
+          request._id
+        );
+      }
+    } catch (error) {
+      console.error(`Expire proposal error for request ${request._id}:`, error.message);
+    }
+  }
+
+  return expired;
+};
+
+module.exports = {
+  canTakeMentee,
+  refreshMatches,
+  proposeMentor,
+  proposeNextMentor,
+  respondToProposal,
+  expireMentorProposals,
+};
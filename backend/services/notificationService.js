@@ -0,0 +1,114 @@
+const Notification = require('../models/Notification');
+
+/**
+ * Notification Service
+ * Creates notifications and pushes them to connected clients over Socket.IO
+ */
+
+// =============================================================================
+// SOCKET REGISTRY
+// =============================================================================
+
+// Socket.IO server instance, attached once by server.js
+let io = null;
+
+/**
+ * Register the Socket.IO server used for real-time delivery
+ * @param {Server} socketServer - Socket.IO server instance
+ */
+const attachSocketServer = (socketServer) => {
+  io = socketServer;
+};
+
+/**
+ * Emit an event to a user's private room
+ * @param {ObjectId|string} userId - Recipient user ID
+ * @param {string} event - Event name
+ * @param {Object} payload - Event payload
+ * @returns {boolean} Whether the event was emitted
+ */
+const emitToUser = (userId, event, payload) => {
+  if (!io || !userId) return false;
+
+  io.to(`user:${userId}`).emit(event, payload);
+  return true;
+};
+
+// =============================================================================
+// REAL-TIME DELIVERY
+// =============================================================================
+
+/**
+ * Push the current unread count to a user
+ * @param {ObjectId|string} userId - Recipient user ID
+ */
+const pushUnreadCount = async (userId) => {
+  if (!io || !userId) return;
+
+  try {
+    const count = await Notification.getUnreadCount(userId);
+    emitToUser(userId, 'notification:count', { count });
+  } catch (error) {
+    console.error('Error pushing unread count:', error.message);
+  }
+};
+
+/**
+ * Push a newly created notification and the updated unread count
+ * @param {Notification} notification - Saved notification document
+ */
+const pushNotification = async (notification) => {
+  if (!io || !notification) return;
+
+  try {
+    const data = typeof notification.toJSON === 'function'
+      ? notification.toJSON()
+      : notification;
+
+    emitToUser(notification.recipient, 'notification:new', data);
+    await pushUnreadCount(notification.recipient);
+  } catch (error) {
+    console.error('Error pushing notification:', error.message);
+  }
+};
+
+// =============================================================================
+// NOTIFICATION CREATION
+// =============================================================================
+
+/**
+ * Create a notification (delivery happens in the Notification save hook)
+ * Never throws - notification failures must not break the calling request
+ * @param {ObjectId} recipientId - Recipient user ID
+ * @param {string} type - Notification type
+ * @param {string} title - Notification title
+ * @param {string} message - Notification message
+ * @param {string} relatedModel - Related model name
+ * @param {ObjectId} relatedId - Related entity ID
+ * @param {Object} extra - Additional fields (priority, actionUrl, metadata)
+ * @returns {Promise<Notification|null>}
+ */
+const sendNotification = async (recipientId, type, title, message, relatedModel, relatedId, extra = {}) => {
+  try {
+    return await Notification.create({
+      recipient: recipientId,
+      type,
+      title,
+      message,
+      relatedModel,
+      relatedId,
+      ...extra,
+    });
+  } catch (error) {
+    console.error('Error sending notification:', error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  attachSocketServer,
+  emitToUser,
+  pushUnreadCount,
+  pushNotification,
+  sendNotification,
+};
@@ -0,0 +1,194 @@
+const OfficeHours = require('../models/OfficeHours');
+const { sendNotification } = require('./notificationService');
+const {
+  resolveTimezone,
+  getTimezoneOffset,
+  zonedTimeToUtc,
+  findSessionConflicts,
+} = require('./availabilityService');
+const { getBookedSessionsForMentors, withScheduleLock } = require('./schedulingService');
+
+/**
+ * Office Hours Service
+ * Publishes recurring group sessions onto a mentor's calendar and keeps
+ * attendees informed when seats, times or meeting details change
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Days between occurrences for each recurrence
+const RECURRENCE_STEP_DAYS = {
+  once: 0,
+  weekly: 7,
+  biweekly: 14,
+};
+
+// =============================================================================
+// OCCURRENCES
+// =============================================================================
+
+/**
+ * Expand a series into occurrence start times
+ * Occurrences keep the first session's wall-clock time in the series
+ * timezone, so a 17:00 weekly slot stays at 17:00 across DST changes
+ * @param {Date} firstSessionAt - Start of the first occurrence
+ * @param {Object} recurrence - { frequency, occurrences }
+ * @param {string} timeZone - Series timezone
+ * @returns {Array} Start instants
+ */
+const buildOccurrences = (firstSessionAt, recurrence = {}, timeZone = 'UTC') => {
+  const zone = resolveTimezone(timeZone);
+  const first = new Date(firstSessionAt);
+  const step = RECURRENCE_STEP_DAYS[recurrence.frequency] || 0;
+  const count = step ? Math.max(1, recurrence.occurrences || 1) : 1;
+
+  // Wall clock of the first occurrence in the series timezone
+  const local = new Date(first.getTime() + getTimezoneOffset(zone, first) * MINUTE_MS);
+  const minutes = local.getUTCHours() * 60 + local.getUTCMinutes();
+
+  return Array.from({ length: count }, (_, i) => {
+    const day = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() + i * step));
+    return zonedTimeToUtc({
+      year: day.getUTCFullYear(),
+      month: day.getUTCMonth() + 1,
+      day: day.getUTCDate(),
+    }, minutes, zone);
+  });
+};
+
+/**
+ * Find occurrences that overlap the mentor's booked sessions
+ * Office hours are published time, so the mentor's weekly availability
+ * windows are not enforced; only real bookings and the buffer are
+ * @param {Mentor} mentor - Mentor document
+ * @param {Array} occurrences - Start instants
+ * @param {number} duration - Minutes per occurrence
+ * @returns {Promise<Array>} [{ scheduledAt, conflicts }] for clashing occurrences
+ */
+const findOccurrenceConflicts = async (mentor, occurrences, duration) => {
+  const bufferMinutes = mentor.sessionBufferMinutes || 0;
+  const last = occurrences[occurrences.length - 1];
+
+  const sessionsByMentor = await getBookedSessionsForMentors(
+    [mentor._id],
+    occurrences[0],
+    new Date(last.getTime() + (duration + bufferMinutes) * MINUTE_MS + DAY_MS)
+  );
+  const sessions = sessionsByMentor.get(mentor._id.toString()) || [];
+
+  return occurrences
+    .map((start) => {
+      const end = new Date(start.getTime() + duration * MINUTE_MS);
+      return {
+        scheduledAt: start,
+        conflicts: findSessionConflicts(sessions, start, end, bufferMinutes).map(s => ({
+          request: s.request,
+          officeHours: s.officeHours,
+          session: s.session,
+          scheduledAt: s.scheduledAt,
+          duration: s.duration,
+        })),
+      };
+    })
+    .filter(occurrence => occurrence.conflicts.length > 0);
+};
+
+/**
+ * Publish an office-hours series if none of its occurrences clash
+ * Runs under the mentor's calendar lock like one-to-one bookings
+ * @param {Mentor} mentor - Hosting mentor
+ * @param {Object} data - { title, description, format, topics, capacity,
+ *                          firstSessionAt, duration, recurrence, timezone,
+ *                          meetingLink, notes }
+ * @param {ObjectId} userId - Publishing user
+ * @returns {Promise<Object>} { created, officeHours } or { created: false, busy }
+ *                            or { created: false, conflicts }
+ */
+const publishOfficeHours = async (mentor, data, userId) => {
+  const timezone = resolveTimezone(data.timezone || mentor.timezone);
+  const duration = data.duration || 60;
+  const recurrence = {
+    frequency: data.recurrence?.frequency || 'once',
+    occurrences: data.recurrence?.occurrences || 1,
+  };
+  const occurrences = buildOccurrences(data.firstSessionAt, recurrence, timezone);
+
+  const { acquired, result } = await withScheduleLock(mentor._id, async () => {
+    const conflicts = await findOccurrenceConflicts(mentor, occurrences, duration);
+    if (conflicts.length > 0) {
+      return { created: false, conflicts };
+    }
+
+    const officeHours = new OfficeHours({
+      mentor: mentor._id,
+      title: data.title,
+      description: data.description,
+      format: data.format,
+      topics: data.topics,
+      capacity: data.capacity,
+      recurrence: { ...recurrence, occurrences: occurrences.length },
+      timezone,
+      sessions: occurrences.map(scheduledAt => ({
+        scheduledAt,
+        duration,
+        meetingLink: data.meetingLink,
+        notes: data.notes,
+      })),
+      createdBy: userId,
+    });
+    await officeHours.save();
+
+    return { created: true, officeHours };
+  });
+
+  return acquired ? result : { created: false, busy: true };
+};
+
+// =============================================================================
+// NOTIFICATIONS
+// =============================================================================
+
+/**
+ * Tell attendees moved off the waitlist that they have a seat
+ * @param {OfficeHours} officeHours - Series document
+ * @param {Object} session - Occurrence subdocument
+ * @param {Array} promoted - Promoted attendee entries
+ */
+const notifyPromotedAttendees = async (officeHours, session, promoted) => {
+  for (const attendee of promoted) {
+    await sendNotification(
+      attendee.user,
+      'office_hours_promoted',
+      'Seat Confirmed',
+      `A seat opened up for "${officeHours.title}" on ${session.scheduledAt.toLocaleString()}. You are now booked.`,
+      'OfficeHours',
+      officeHours._id,
+      { priority: 'high' }
+    );
+  }
+};
+
+/**
+ * Notify everyone booked or waitlisted on an occurrence
+ * @param {OfficeHours} officeHours - Series document
+ * @param {Object} session - Occurrence subdocument
+ * @param {string} type - Notification type
+ * @param {string} title - Notification title
+ * @param {string} message - Notification message
+ */
+const notifySessionAttendees = async (officeHours, session, type, title, message) => {
+  const recipients = session.attendees.filter(a => a.status !== 'Cancelled');
+
+  for (const attendee of recipients) {
+    await sendNotification(attendee.user, type, title, message, 'OfficeHours', officeHours._id);
+  }
+};
+
+module.exports = {
+  buildOccurrences,
+  findOccurrenceConflicts,
+  publishOfficeHours,
+  notifyPromotedAttendees,
+  notifySessionAttendees,
+};
@@ -0,0 +1,171 @@
+const FundingApplication = require('../models/FundingApplication');
+const MentorshipRequest = require('../models/MentorshipRequest');
+const Startup = require('../models/Startup');
+const User = require('../models/User');
+const { sendNotification } = require('./notificationService');
+const { withOptionalTransaction } = require('../utils/transaction');
+
+/**
+ * Ownership Service
+ * Hands a startup to a new founder: the audit entry, the User.startup
+ * links and the open applications and requests filed by the old founder.
+ * Each handover is written in one transaction where the deployment
+ * supports it
+ */
+
+// Funding applications that can still change hands
+const OPEN_FUNDING_STATUSES = ['Draft', 'Submitted', 'Under Review', 'Needs More Info'];
+
+// Mentorship requests that are still being arranged or run
+const OPEN_MENTORSHIP_STATUSES = ['Pending', 'Matched', 'Scheduled'];
+
+/**
+ * Move the startup's open funding applications and mentorship requests
+ * from one user to another; closed ones keep their original author
+ * @param {ObjectId} startupId - Startup
+ * @param {ObjectId} fromUserId - Previous founder
+ * @param {ObjectId} toUserId - New founder
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Promise<Object>} { fundingApplications, mentorshipRequests } counts
+ */
+const reassignOpenRecords = async (startupId, fromUserId, toUserId, session = null) => {
+  // One after the other: a transaction runs a single operation at a time
+  const funding = await FundingApplication.updateMany(
+    { startup: startupId, applicant: fromUserId, status: { $in: OPEN_FUNDING_STATUSES } },
+    { $set: { applicant: toUserId } },
+    { session }
+  );
+  const mentorship = await MentorshipRequest.updateMany(
+    { startup: startupId, requestedBy: fromUserId, status: { $in: OPEN_MENTORSHIP_STATUSES } },
+    { $set: { requestedBy: toUserId } },
+    { session }
+  );
+
+  return {
+    fundingApplications: funding.modifiedCount,
+    mentorshipRequests: mentorship.modifiedCount,
+  };
+};
+
+/**
+ * Write a transfer: the startup, its open records and the User.startup links
+ * Notifications are left to the caller so nothing is sent for a transfer
+ * that is rolled back
+ * @param {Startup} startup - Startup document, loaded in the session
+ * @param {ObjectId} newOwnerId - New founder
+ * @param {Object} options - { changedBy, note, keepPreviousOwner }
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Promise<Object>} { startup, newOwner, previousOwner, handover, reassigned }
+ */
+const applyOwnershipTransfer = async (startup, newOwnerId, options, session = null) => {
+  const { changedBy, note, keepPreviousOwner = true } = options;
+
+  const previous = startup.founder
+    ? await User.findById(startup.founder).select('name').session(session)
+    : null;
+  const next = await User.findById(newOwnerId).select('name startup').session(session);
+
+  const handover = `${previous ? ` from ${previous.name}` : ''} to ${next ? next.name : 'a new owner'}`;
+  const reason = `Ownership transferred${handover}${note ? `: ${note}` : ''}`;
+
+  const previousOwner = await startup.transferOwnership(newOwnerId, changedBy, { reason, keepPreviousOwner, session });
+
+  const reassigned = previousOwner
+    ? await reassignOpenRecords(startup._id, previousOwner, newOwnerId, session)
+    : { fundingApplications: 0, mentorshipRequests: 0 };
+
+  // Give the new founder this startup by default unless they already have one
+  if (next && !next.startup) {
+    await User.updateOne({ _id: newOwnerId }, { $set: { startup: startup._id } }, { session });
+  }
+  if (previousOwner && !keepPreviousOwner) {
+    await User.updateOne({ _id: previousOwner, startup: startup._id }, { $unset: { startup: 1 } }, { session });
+  }
+
+  return { startup, newOwner: newOwnerId, previousOwner, handover, reassigned };
+};
+
+/**
+ * Tell both owners about a committed transfer, except whoever made it
+ * @param {Object} transfer - Result of a transfer
+ * @param {ObjectId} changedBy - User who made the transfer
+ * @returns {Promise<void>}
+ */
+const notifyOwnershipTransfer = async (transfer, changedBy) => {
+  const { startup, newOwner, previousOwner, handover } = transfer;
+  const recipients = [newOwner, previousOwner]
+    .filter(id => id && (!changedBy || id.toString() !== changedBy.toString()));
+
+  for (const recipient of recipients) {
+    await sendNotification(
+      recipient,
+      'ownership_transfer',
+      'Ownership Transferred',
+      `Ownership of ${startup.name} was transferred${handover}.`,
+      'Startup',
+      startup._id,
+      { actionUrl: `/startups/${startup._id}` }
+    );
+  }
+};
+
+/**
+ * Transfer a startup to a new founder in one transaction, then notify
+ * @param {ObjectId} startupId - Startup
+ * @param {ObjectId} newOwnerId - New founder
+ * @param {Object} options - { changedBy, note, keepPreviousOwner }
+ * @returns {Promise<Object>} { startup, newOwner, previousOwner, handover, reassigned }
+ */
+const transferStartupOwnership = async (startupId, newOwnerId, options = {}) => {
+  const { result: transfer } = await withOptionalTransaction(async (session) => {
+    // Loaded on every attempt - the driver may retry the transaction
+    const startup = await Startup.findById(startupId).session(session);
+    if (!startup) {
+      throw new Error('Startup not found');
+    }
+    return applyOwnershipTransfer(startup, newOwnerId, options, session);
+  });
+
+  await notifyOwnershipTransfer(transfer, options.changedBy);
+
+  return transfer;
+};
+
+/**
+ * Release a departing user from every startup: founded startups pass to
+ * their successor, and team seats and offers made to the user are dropped
+ * Callers check first that each founded startup has a successor, run this
+ * inside their transaction and notify once it commits
+ * @param {ObjectId} userId - Departing user
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Promise<Array>} The transfers made, for notifyOwnershipTransfer
+ */
+const releaseUserStartups = async (userId, session = null) => {
+  const founded = await Startup.find({ founder: userId }).session(session);
+
+  const transfers = [];
+  for (const startup of founded) {
+    const successor = startup.getSuccessor();
+    if (!successor) continue;
+
+    transfers.push(await applyOwnershipTransfer(startup, successor, {
+      changedBy: userId,
+      note: 'founder account closed',
+      keepPreviousOwner: false,
+    }, session));
+  }
+
+  await Startup.updateMany({ 'team.user': userId }, { $pull: { team: { user: userId } } }, { session });
+  await Startup.updateMany({ 'pendingTransfer.to': userId }, { $unset: { pendingTransfer: 1 } }, { session });
+
+  return transfers;
+};
+
+module.exports = {
+  OPEN_FUNDING_STATUSES,
+  OPEN_MENTORSHIP_STATUSES,
+  reassignOpenRecords,
+  notifyOwnershipTransfer,
+  transferStartupOwnership,
+  releaseUserStartups,
+};
@@ -0,0 +1,156 @@
+const MentorshipRequest = require('../models/MentorshipRequest');
+const Mentor = require('../models/Mentor');
+const Startup = require('../models/Startup');
+const { sendNotification } = require('./notificationService');
+const { expireMentorProposals } = require('./mentorProposalService');
+const { openCheckInReports, sendCheckInReminders } = require('./checkInService');
+
+/**
+ * Reminder Service
+ * Periodically notifies users about work that is coming due and
+ * follows up on deadlines that have passed
+ */
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// How long before its due date an action item is reminded
+const ACTION_ITEM_REMINDER_HOURS = parseInt(process.env.ACTION_ITEM_REMINDER_HOURS, 10) || 24;
+
+// =============================================================================
+// ACTION ITEMS
+// =============================================================================
+
+/**
+ * Notify owners of open action items that are due soon or overdue
+ * Each item is reminded once per due date
+ * @param {Date} now - Reference time
+ * @returns {Promise<number>} Reminders sent
+ */
+const sendActionItemReminders = async (now = new Date()) => {
+  const due = await MentorshipRequest.getDueActionItems(
+    new Date(now.getTime() + ACTION_ITEM_REMINDER_HOURS * HOUR_MS)
+  );
+
+  const mentorUsers = new Map();
+  const getMentorUser = async (mentorId) => {
+    const key = mentorId.toString();
+    if (!mentorUsers.has(key)) {
+      const mentor = await Mentor.findById(mentorId).select('user');
+      mentorUsers.set(key, mentor ? mentor.user : null);
+    }
+    return mentorUsers.get(key);
+  };
+
+  let sent = 0;
+
+  for (const { request, requestedBy, topic, session, mentor, item } of due) {
+    const recipient = item.owner === 'mentor'
+      ? (mentor && await getMentorUser(mentor))
+      : requestedBy;
+
+    if (recipient) {
+      const overdue = item.dueDate < now;
+      await sendNotification(
+        recipient,
+        'action_item_due',
+        overdue ? 'Action Item Overdue' : 'Action Item Due Soon',
+        `"${item.description}" from your session on "${topic}" is due ${item.dueDate.toLocaleString()}`,
+        'MentorshipRequest',
+        request,
+        { priority: overdue ? 'high' : 'medium' }
+      );
+      sent += 1;
+    }
+
+    await MentorshipRequest.markActionItemReminded(request, session, item._id, now);
+  }
+
+  return sent;
+};
+
+// =============================================================================
+// MILESTONES
+// =============================================================================
+
+/**
+ * Notify milestone owners (and the founder) of open milestones that have
+ * passed their target date
+ * Each milestone is flagged once per target date
+ * @param {Date} now - Reference time
+ * @returns {Promise<number>} Notices sent
+ */
+const sendMilestoneReminders = async (now = new Date()) => {
+  const overdue = await Startup.getOverdueMilestones(now);
+
+  let sent = 0;
+
+  for (const { startup, name, founder, milestone } of overdue) {
+    const recipients = new Set([milestone.owner, founder].filter(Boolean).map(id => id.toString()));
+
+    for (const recipient of recipients) {
+      await sendNotification(
+        recipient,
+        'milestone_overdue',
+        'Milestone Overdue',
+        `"${milestone.title}" for ${name} was due ${milestone.targetDate.toDateString()}. Complete it or set a new target date.`,
+        'Startup',
+        startup,
+        { priority: 'high', actionUrl: `/startups/${startup}` }
+      );
+      sent += 1;
+    }
+
+    await Startup.markMilestoneNotified(startup, milestone._id, now);
+  }
+
+  return sent;
+};
+
+// =============================================================================
+// WORKER
+// =============================================================================
+
+/**
+ * Start the background reminder worker
+ * Sends action item reminders, expires unanswered mentor proposals,
+ * opens, reminds and flags monthly check-in reports and flags overdue
+ * milestones
+ * @param {Object} options - { intervalMs }
+ * @returns {Function} Stop function
+ */
+const startReminderWorker = ({ intervalMs } = {}) => {
+  const interval = intervalMs || parseInt(process.env.REMINDER_INTERVAL_MS, 10) || 15 * 60 * 1000;
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      await sendActionItemReminders();
+      await expireMentorProposals();
+      await openCheckInReports();
+      await sendCheckInReminders();
+      await sendMilestoneReminders();
+    } catch (error) {
+      console.error('Reminder worker error:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, interval);
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  sendActionItemReminders,
+  sendMilestoneReminders,
+  startReminderWorker,
+};
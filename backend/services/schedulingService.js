@@ -0,0 +1,186 @@
+const Mentor = require('../models/Mentor');
+const MentorshipRequest = require('../models/MentorshipRequest');
+const OfficeHours = require('../models/OfficeHours');
+const { getEventUid } = require('./calendarService');
+const {
+  isWithinAvailability,
+  findSessionConflicts,
+  suggestAlternativeSlots,
+} = require('./availabilityService');
+
+/**
+ * Scheduling Service
+ * Books mentorship sessions without double-booking a mentor
+ * Conflicts are checked across all of the mentor's requests and office
+ * hours while holding the mentor's calendar lock, so two bookings cannot
+ * race past the check
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// How far either side of the requested time alternatives are searched
+const SUGGESTION_SEARCH_DAYS = 7;
+
+const LOCK_TTL_MS = 10000;
+const LOCK_RETRIES = 5;
+const LOCK_RETRY_DELAY_MS = 200;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Get the scheduled one-to-one and office-hours sessions of mentors
+ * @param {Array} mentorIds - Mentor IDs
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Promise<Map>} Mentor ID -> sessions ({ request } or { officeHours })
+ */
+const getBookedSessionsForMentors = async (mentorIds, from, to) => {
+  const [oneToOne, officeHours] = await Promise.all([
+    MentorshipRequest.getScheduledSessionsForMentors(mentorIds, from, to),
+    OfficeHours.getScheduledSessionsForMentors(mentorIds, from, to),
+  ]);
+
+  officeHours.forEach((sessions, mentorId) => {
+    oneToOne.set(mentorId, [...(oneToOne.get(mentorId) || []), ...sessions]);
+  });
+
+  return oneToOne;
+};
+
+/**
+ * Check a proposed session against a mentor's calendar
+ * @param {Mentor} mentor - Mentor document
+ * @param {Object} proposal - { scheduledAt, duration, excludeSessionId }
+ * @returns {Promise<Object>} { hasConflict, conflicts, outsideAvailability, bufferMinutes, suggestions }
+ */
+const checkScheduleConflicts = async (mentor, { scheduledAt, duration = 60, excludeSessionId = null }) => {
+  const start = new Date(scheduledAt);
+  const end = new Date(start.getTime() + duration * MINUTE_MS);
+  const bufferMinutes = mentor.sessionBufferMinutes || 0;
+
+  const sessionsByMentor = await getBookedSessionsForMentors(
+    [mentor._id],
+    new Date(start.getTime() - SUGGESTION_SEARCH_DAYS * DAY_MS),
+    new Date(end.getTime() + SUGGESTION_SEARCH_DAYS * DAY_MS)
+  );
+  const sessions = (sessionsByMentor.get(mentor._id.toString()) || [])
+    .filter(s => !excludeSessionId || s.session.toString() !== excludeSessionId.toString());
+
+  const conflicts = findSessionConflicts(sessions, start, end, bufferMinutes);
+  const outsideAvailability = !isWithinAvailability(mentor, start, end);
+  const hasConflict = conflicts.length > 0 || outsideAvailability;
+
+  return {
+    hasConflict,
+    conflicts: conflicts.map(s => ({
+      request: s.request,
+      officeHours: s.officeHours,
+      session: s.session,
+      scheduledAt: s.scheduledAt,
+      duration: s.duration,
+      endsAt: new Date(new Date(s.scheduledAt).getTime() + (s.duration || 60) * MINUTE_MS),
+    })),
+    outsideAvailability,
+    bufferMinutes,
+    suggestions: hasConflict
+      ? suggestAlternativeSlots(mentor, sessions, {
+        around: start,
+        duration,
+        bufferMinutes,
+        searchDays: SUGGESTION_SEARCH_DAYS,
+      })
+      : [],
+  };
+};
+
+/**
+ * Run work while holding a mentor's calendar lock
+ * @param {ObjectId} mentorId - Mentor ID
+ * @param {Function} work - async () => result
+ * @returns {Promise<Object>} { acquired, result }
+ */
+const withScheduleLock = async (mentorId, work) => {
+  let lockedUntil = null;
+  for (let attempt = 0; attempt < LOCK_RETRIES && !lockedUntil; attempt++) {
+    if (attempt > 0) await sleep(LOCK_RETRY_DELAY_MS);
+    lockedUntil = await Mentor.acquireScheduleLock(mentorId, LOCK_TTL_MS);
+  }
+
+  if (!lockedUntil) {
+    return { acquired: false };
+  }
+
+  try {
+    return { acquired: true, result: await work() };
+  } finally {
+    await Mentor.releaseScheduleLock(mentorId, lockedUntil);
+  }
+};
+
+/**
+ * Run a calendar write if the proposed time is free, under the mentor's lock
+ * @param {Mentor} mentor - Mentor whose calendar is written
+ * @param {Object} proposal - { scheduledAt, duration, excludeSessionId }
+ * @param {Function} write - async () => session
+ * @returns {Promise<Object>} { booked, session } or { booked: false, busy } or
+ *                            { booked: false, ...conflict check }
+ */
+const writeIfFree = async (mentor, proposal, write) => {
+  const { acquired, result } = await withScheduleLock(mentor._id, async () => {
+    const check = await checkScheduleConflicts(mentor, proposal);
+    if (check.hasConflict) {
+      return { booked: false, ...check };
+    }
+
+    return { booked: true, session: await write() };
+  });
+
+  return acquired ? result : { booked: false, busy: true };
+};
+
+/**
+ * Book a session on a request if the mentor is free
+ * @param {MentorshipRequest} request - Request document
+ * @param {Mentor} mentor - Selected mentor
+ * @param {Object} sessionData - { scheduledAt, duration, meetingLink, notes }
+ * @returns {Promise<Object>} See writeIfFree
+ */
+const bookSession = async (request, mentor, sessionData) => writeIfFree(
+  mentor,
+  { scheduledAt: sessionData.scheduledAt, duration: sessionData.duration || 60 },
+  () => request.scheduleSession({ ...sessionData, mentorId: mentor._id })
+);
+
+/**
+ * Move a session if the mentor is free at the new time
+ * The session being moved does not count as a conflict, and its
+ * replacement keeps the calendar UID so subscribed calendars move the event
+ * @param {MentorshipRequest} request - Request document
+ * @param {Mentor} mentor - Session mentor
+ * @param {ObjectId} sessionId - Session to move
+ * @param {Object} sessionData - { scheduledAt, duration, meetingLink, notes }
+ * @param {Object} options - Passed to request.rescheduleSession
+ * @returns {Promise<Object>} See writeIfFree; session is the replacement
+ */
+const rescheduleSession = async (request, mentor, sessionId, sessionData, options = {}) => {
+  const original = request.sessions.id(sessionId);
+
+  return writeIfFree(
+    mentor,
+    {
+      scheduledAt: sessionData.scheduledAt,
+      duration: sessionData.duration || original.duration,
+      excludeSessionId: sessionId,
+    },
+    () => request.rescheduleSession(sessionId, { ...sessionData, calendarEventId: getEventUid(original) }, options)
+  );
+};
+
+module.exports = {
+  getBookedSessionsForMentors,
+  checkScheduleConflicts,
+  withScheduleLock,
+  bookSession,
+  rescheduleSession,
+};
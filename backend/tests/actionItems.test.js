@@ -0,0 +1,197 @@
+// Set test environment BEFORE importing app
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test_jwt_secret_for_ci';
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../server');
+const Mentor = require('../models/Mentor');
+const MentorshipRequest = require('../models/MentorshipRequest');
+const Notification = require('../models/Notification');
+const Startup = require('../models/Startup');
+const User = require('../models/User');
+const { sendActionItemReminders } = require('../services/reminderService');
+
+const HOUR = 60 * 60 * 1000;
+
+let mongoServer;
+let founder;
+let mentorUser;
+let outsider;
+let startup;
+let mentor;
+let mentorship;
+
+const auth = user => ({ Authorization: `Bearer ${user.getSignedJwtToken()}` });
+
+const itemsUrl = (sessionIndex = 0) =>
+  `/api/mentorship/requests/${mentorship._id}/sessions/${mentorship.sessions[sessionIndex]._id}/action-items`;
+
+/**
+ * Test Suite for the action item routes
+ */
+describe('Action Item Routes', () => {
+  beforeAll(async () => {
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.disconnect();
+    }
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    [founder, mentorUser, outsider] = await User.create([
+      { name: 'Fay Founder', email: 'fay@example.com', password: 'password123', role: 'founder' },
+      { name: 'Mia Mentor', email: 'mia@example.com', password: 'password123', role: 'mentor' },
+      { name: 'Oscar Outsider', email: 'oscar@example.com', password: 'password123', role: 'founder' },
+    ]);
+
+    startup = await Startup.create({
+      name: 'Action Startup',
+      shortDesc: 'A startup with follow-ups',
+      domain: 'SaaS',
+      stage: 'MVP',
+      founder: founder._id,
+      founders: [{ name: 'Fay Founder', email: 'fay@example.com' }],
+      contact: { email: 'contact@action.io' },
+    });
+
+    mentor = await Mentor.create({ user: mentorUser._id, name: 'Mia Mentor', expertise: ['Pricing'] });
+  });
+
+  beforeEach(async () => {
+    mentorship = await MentorshipRequest.create({
+      startup: startup._id,
+      requestedBy: founder._id,
+      topic: 'Pricing',
+      description: 'Work out our pricing',
+      status: 'Scheduled',
+      selectedMentor: mentor._id,
+      sessions: [
+        { mentor: mentor._id, scheduledAt: new Date(Date.now() - 2 * HOUR), status: 'Completed' },
+        { mentor: mentor._id, scheduledAt: new Date(Date.now() + 72 * HOUR), status: 'Cancelled' },
+      ],
+    });
+  });
+
+  afterEach(async () => {
+    await MentorshipRequest.deleteMany({});
+    await Notification.deleteMany({});
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (mongoServer) {
+      await mongoServer.stop();
+    }
+  });
+
+  it('should add an item and notify its owner', async () => {
+    const res = await request(app)
+      .post(itemsUrl())
+      .set(auth(founder))
+      .send({ description: 'Send the intro deck', owner: 'mentor' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.owner).toBe('mentor');
+    expect(res.body.data.createdBy).toBe(founder._id.toString());
+    expect(await Notification.countDocuments({ recipient: mentorUser._id, type: 'action_item_assigned' })).toBe(1);
+  });
+
+  it('should refuse users outside the request', async () => {
+    const res = await request(app)
+      .post(itemsUrl())
+      .set(auth(outsider))
+      .send({ description: 'Sneak in' });
+
+    expect(res.status).toBe(403);
+    expect((await MentorshipRequest.findById(mentorship._id)).sessions[0].actionItems).toHaveLength(0);
+  });
+
+  it('should not add items to cancelled sessions', async () => {
+    const res = await request(app)
+      .post(itemsUrl(1))
+      .set(auth(mentorUser))
+      .send({ description: 'Too late' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Action items cannot be added to a cancelled session');
+  });
+
+  it('should complete, reopen, re-arm and remove an item', async () => {
+    const created = await request(app)
+      .post(itemsUrl())
+      .set(auth(mentorUser))
+      .send({ description: 'Draft pricing page', dueDate: new Date(Date.now() + HOUR).toISOString() });
+    const itemUrl = `${itemsUrl()}/${created.body.data._id}`;
+
+    const done = await request(app).put(itemUrl).set(auth(founder)).send({ completed: true });
+    expect(done.status).toBe(200);
+    expect(done.body.data.completedAt).toBeDefined();
+
+    const reopened = await request(app).put(itemUrl).set(auth(founder)).send({ completed: false });
+    expect(reopened.body.data.completedAt).toBeUndefined();
+
+    await MentorshipRequest.updateOne(
+      { _id: mentorship._id },
+      { $set: { 'sessions.0.actionItems.0.reminderSentAt': new Date() } }
+    );
+    const moved = await request(app)
+      .put(itemUrl)
+      .set(auth(founder))
+      .send({ dueDate: new Date(Date.now() + 48 * HOUR).toISOString() });
+    expect(moved.body.data.reminderSentAt).toBeUndefined();
+
+    const removed = await request(app).delete(itemUrl).set(auth(mentorUser));
+    expect(removed.status).toBe(200);
+
+    const again = await request(app).delete(itemUrl).set(auth(mentorUser));
+    expect(again.status).toBe(404);
+  });
+
+  it('should list the open items owned by the caller\'s side', async () => {
+    await MentorshipRequest.updateOne({ _id: mentorship._id }, {
+      $set: {
+        'sessions.0.actionItems': [
+          { description: 'Later', owner: 'founder', dueDate: new Date(Date.now() + 48 * HOUR) },
+          { description: 'Sooner', owner: 'founder', dueDate: new Date(Date.now() + HOUR) },
+          { description: 'Intro to investor', owner: 'mentor' },
+          { description: 'Done', owner: 'founder', completed: true },
+        ],
+      },
+    });
+
+    const mine = await request(app).get('/api/mentorship/action-items').set(auth(founder));
+    expect(mine.status).toBe(200);
+    expect(mine.body.data.map(item => item.description)).toEqual(['Sooner', 'Later']);
+    expect(mine.body.data[0].role).toBe('founder');
+
+    const all = await request(app)
+      .get('/api/mentorship/action-items?scope=all&status=all')
+      .set(auth(founder));
+    expect(all.body.count).toBe(4);
+
+    const mentorView = await request(app).get('/api/mentorship/action-items').set(auth(mentorUser));
+    expect(mentorView.body.data.map(item => item.description)).toEqual(['Intro to investor']);
+
+    const outsiderView = await request(app).get('/api/mentorship/action-items').set(auth(outsider));
+    expect(outsiderView.body.count).toBe(0);
+  });
+
+  it('should remind each owner once', async () => {
+    await MentorshipRequest.updateOne({ _id: mentorship._id }, {
+      $set: {
+        'sessions.0.actionItems': [
+          { description: 'Overdue', owner: 'founder', dueDate: new Date(Date.now() - HOUR) },
+          { description: 'Soon', owner: 'mentor', dueDate: new Date(Date.now() + HOUR) },
+        ],
+      },
+    });
+
+    expect(await sendActionItemReminders(new Date())).toBe(2);
+    expect(await sendActionItemReminders(new Date())).toBe(0);
+
+    const reminders = await Notification.find({ type: 'action_item_due' });
+    expect(reminders.map(n => n.recipient.toString()).sort())
+      .toEqual([founder._id.toString(), mentorUser._id.toString()].sort());
+  });
+});
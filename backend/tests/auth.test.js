@@ -7,6 +7,7 @@ const mongoose = require('mongoose');
 const { MongoMemoryServer } = require('mongodb-memory-server');
 const app = require('../server');
 const User = require('../models/User');
+const mailService = require('../services/mailService');
 
 let mongoServer;
 
@@ -200,4 +201,130 @@ describe('Auth API Routes', () => {
       expect(res.statusCode).toBe(401);
     });
   });
+
+  describe('Email verification', () => {
+    let user;
+
+    beforeEach(async () => {
+      user = await User.create({
+        name: 'Unverified User',
+        email: 'unverified@example.com',
+        password: 'password123',
+      });
+    });
+
+    it('should send a verification email on registration', async () => {
+      const sendMail = jest.spyOn(mailService, 'sendMail').mockResolvedValue({ id: 'test' });
+
+      await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'New User', email: 'new@example.com', password: 'password123' })
+        .expect(201);
+
+      expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'new@example.com' }));
+      sendMail.mockRestore();
+    });
+
+    it('should verify email with a valid token', async () => {
+      const rawToken = user.generateVerificationToken();
+      await user.save();
+
+      const res = await request(app)
+        .post(`/api/auth/verify-email/${rawToken}`)
+        .expect(200);
+
+      expect(res.body.success).toBe(true);
+      const updated = await User.findById(user._id);
+      expect(updated.verified).toBe(true);
+    });
+
+    it('should reject an invalid token', async () => {
+      const res = await request(app)
+        .post(`/api/auth/verify-email/${'a'.repeat(64)}`)
+        .expect(400);
+
+      expect(res.body.code).toBe('INVALID_TOKEN');
+    });
+
+    it('should resend the verification email', async () => {
+      const sendMail = jest.spyOn(mailService, 'sendMail').mockResolvedValue({ id: 'test' });
+
+      await request(app)
+        .post('/api/auth/resend-verification')
+        .set('Authorization', `Bearer ${user.getSignedJwtToken()}`)
+        .expect(200);
+
+      expect(sendMail).toHaveBeenCalledTimes(1);
+      sendMail.mockRestore();
+    });
+  });
+
+  describe('Password reset', () => {
+    let user;
+
+    beforeEach(async () => {
+      user = await User.create({
+        name: 'Forgetful User',
+        email: 'forgetful@example.com',
+        password: 'password123',
+      });
+    });
+
+    it('should respond identically for unknown emails', async () => {
+      const res = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@example.com' })
+        .expect(200);
+
+      expect(res.body.success).toBe(true);
+    });
+
+    it('should send a reset email for known accounts', async () => {
+      const sendMail = jest.spyOn(mailService, 'sendMail').mockResolvedValue({ id: 'test' });
+
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'forgetful@example.com' })
+        .expect(200);
+
+      expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'forgetful@example.com' }));
+      sendMail.mockRestore();
+    });
+
+    it('should escape the account name in the reset email', async () => {
+      await User.updateOne({ _id: user._id }, { name: '<b>Mallory</b>' });
+      const sendMail = jest.spyOn(mailService, 'sendMail').mockResolvedValue({ id: 'test' });
+
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'forgetful@example.com' })
+        .expect(200);
+
+      const [message] = sendMail.mock.calls[0];
+      expect(message.html).toContain('Hi &lt;b&gt;Mallory&lt;/b&gt;,');
+      expect(message.html).not.toContain('<b>Mallory</b>');
+      sendMail.mockRestore();
+    });
+
+    it('should reset the password with a valid token', async () => {
+      const rawToken = user.generatePasswordResetToken();
+      await user.save();
+
+      await request(app)
+        .post(`/api/auth/reset-password/${rawToken}`)
+        .send({ password: 'newPassword456', confirmPassword: 'newPassword456' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'forgetful@example.com', password: 'newPassword456' })
+        .expect(200);
+
+      // Token is single-use
+      await request(app)
+        .post(`/api/auth/reset-password/${rawToken}`)
+        .send({ password: 'another789' })
+        .expect(400);
+    });
+  });
 });
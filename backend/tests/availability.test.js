@@ -0,0 +1,143 @@
+process.env.NODE_ENV = 'test';
+
+const {
+  zonedTimeToUtc,
+  expandWeeklyWindows,
+  getOpenSlots,
+  calculateSlotOverlap,
+  normalizeTimezone,
+  formatSlot,
+} = require('../services/availabilityService');
+const { calculateAvailabilityScore } = require('../services/matchingService');
+
+// Monday, 5 January 2026
+const MONDAY = new Date('2026-01-05T00:00:00.000Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Availability Service', () => {
+  describe('timezones', () => {
+    it('should convert wall-clock times across daylight saving changes', () => {
+      expect(zonedTimeToUtc({ year: 2026, month: 1, day: 5 }, 9 * 60, 'America/New_York').toISOString())
+        .toBe('2026-01-05T14:00:00.000Z');
+      expect(zonedTimeToUtc({ year: 2026, month: 7, day: 6 }, 9 * 60, 'America/New_York').toISOString())
+        .toBe('2026-07-06T13:00:00.000Z');
+      // US clocks spring forward on 8 March 2026
+      expect(zonedTimeToUtc({ year: 2026, month: 3, day: 8 }, 9 * 60, 'America/New_York').toISOString())
+        .toBe('2026-03-08T13:00:00.000Z');
+    });
+
+    it('should accept sanitized timezone input and reject unknown zones', () => {
+      expect(normalizeTimezone('Europe&#x2F;Berlin')).toBe('Europe/Berlin');
+      expect(normalizeTimezone('Mars/Olympus')).toBeNull();
+    });
+  });
+
+  describe('expandWeeklyWindows', () => {
+    it('should expand windows in the owner timezone', () => {
+      const windows = [{ day: 'Monday', startTime: '09:00', endTime: '12:00' }];
+
+      const intervals = expandWeeklyWindows(windows, 'Europe/Berlin', MONDAY, new Date(MONDAY.getTime() + 7 * DAY_MS));
+
+      expect(intervals).toHaveLength(1);
+      expect(intervals[0].start.toISOString()).toBe('2026-01-05T08:00:00.000Z');
+      expect(intervals[0].end.toISOString()).toBe('2026-01-05T11:00:00.000Z');
+    });
+
+    it('should run windows past midnight into the next day', () => {
+      const windows = [{ day: 'Friday', startTime: '22:00', endTime: '02:00' }];
+
+      const intervals = expandWeeklyWindows(windows, 'UTC', MONDAY, new Date(MONDAY.getTime() + 7 * DAY_MS));
+
+      expect(intervals[0].start.toISOString()).toBe('2026-01-09T22:00:00.000Z');
+      expect(intervals[0].end.toISOString()).toBe('2026-01-10T02:00:00.000Z');
+    });
+  });
+
+  describe('getOpenSlots', () => {
+    const mentor = {
+      timezone: 'UTC',
+      availability: 'Available',
+      preferredTimes: [{ day: 'Monday', startTime: '09:00', endTime: '12:00' }],
+    };
+
+    it('should remove booked sessions from the open slots', () => {
+      const sessions = [{ scheduledAt: new Date('2026-01-05T09:00:00.000Z'), duration: 60, status: 'Scheduled' }];
+
+      const slots = getOpenSlots(mentor, sessions, {
+        from: MONDAY,
+        to: new Date(MONDAY.getTime() + DAY_MS),
+        now: MONDAY,
+      });
+
+      expect(slots.map(s => s.start.toISOString())).toEqual([
+        '2026-01-05T10:00:00.000Z',
+        '2026-01-05T10:30:00.000Z',
+        '2026-01-05T11:00:00.000Z',
+      ]);
+    });
+
+    it('should ignore cancelled sessions and past time', () => {
+      const sessions = [{ scheduledAt: new Date('2026-01-05T09:00:00.000Z'), duration: 60, status: 'Cancelled' }];
+
+      const slots = getOpenSlots(mentor, sessions, {
+        from: MONDAY,
+        to: new Date(MONDAY.getTime() + DAY_MS),
+        now: new Date('2026-01-05T10:15:00.000Z'),
+      });
+
+      expect(slots[0].start.toISOString()).toBe('2026-01-05T10:30:00.000Z');
+      expect(slots).toHaveLength(2);
+    });
+
+    it('should format slots in the viewer timezone', () => {
+      const slot = { start: new Date('2026-01-05T14:00:00.000Z'), end: new Date('2026-01-05T15:00:00.000Z') };
+
+      expect(formatSlot(slot, 'America/New_York').localStart).toBe('2026-01-05T09:00');
+    });
+  });
+
+  describe('calculateSlotOverlap', () => {
+    it('should compare windows across timezones', () => {
+      const mentor = {
+        timezone: 'Europe/Berlin',
+        preferredTimes: [{ day: 'Monday', startTime: '09:00', endTime: '17:00' }],
+      };
+      // 10:00-12:00 New York is 16:00-18:00 Berlin - half inside the mentor's window
+      const overlap = calculateSlotOverlap(mentor, [{ day: 'Monday', timeSlot: '10:00-12:00' }], {
+        requestTimezone: 'America/New_York',
+        from: MONDAY,
+      });
+
+      expect(overlap.coverage).toBe(0.5);
+      expect(overlap.requestedMinutes).toBe(240);
+    });
+  });
+});
+
+describe('calculateAvailabilityScore', () => {
+  const mentor = {
+    timezone: 'UTC',
+    availability: 'Available',
+    preferredTimes: [{ day: 'Monday', startTime: '09:00', endTime: '11:00' }],
+  };
+  const preferredTimes = [{ day: 'Monday', timeSlot: '09:00-11:00' }];
+
+  it('should fall back to the availability status without time data', () => {
+    expect(calculateAvailabilityScore([], 'Available')).toBe(100);
+    expect(calculateAvailabilityScore(preferredTimes, 'Busy', { mentor: { ...mentor, preferredTimes: [] } })).toBe(50);
+  });
+
+  it('should score full overlap as the status score', () => {
+    expect(calculateAvailabilityScore(preferredTimes, 'Available', { mentor, from: MONDAY })).toBe(100);
+    expect(calculateAvailabilityScore(preferredTimes, 'Busy', { mentor, from: MONDAY })).toBe(50);
+  });
+
+  it('should lower the score when sessions are already booked', () => {
+    const sessions = [
+      { scheduledAt: new Date('2026-01-05T09:00:00.000Z'), duration: 120, status: 'Scheduled' },
+    ];
+
+    // One of the two Mondays in the horizon is fully booked
+    expect(calculateAvailabilityScore(preferredTimes, 'Available', { mentor, sessions, from: MONDAY })).toBe(50);
+  });
+});
@@ -0,0 +1,159 @@
+process.env.NODE_ENV = 'test';
+
+const mongoose = require('mongoose');
+const MentorshipRequest = require('../models/MentorshipRequest');
+const User = require('../models/User');
+const {
+  buildSessionEvent,
+  buildSessionInvite,
+  buildCalendar,
+  foldLine,
+  getEventUid,
+  getSessionPeople,
+} = require('../services/calendarService');
+
+/**
+ * Build a request shaped like findForCalendar's populated result
+ */
+const buildPopulatedRequest = (sessionOverrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  startup: { _id: new mongoose.Types.ObjectId(), name: 'Acme, Inc' },
+  requestedBy: { _id: new mongoose.Types.ObjectId(), name: 'Fay Founder', email: 'fay@example.com' },
+  topic: 'Fundraising; seed round',
+  status: 'Scheduled',
+  sessions: [{
+    _id: new mongoose.Types.ObjectId(),
+    mentor: {
+      _id: new mongoose.Types.ObjectId(),
+      name: 'Grace Mentor',
+      user: { _id: new mongoose.Types.ObjectId(), email: 'grace@example.com' },
+    },
+    scheduledAt: new Date('2030-01-15T10:00:00Z'),
+    duration: 45,
+    meetingLink: 'https://meet.example.com/abc',
+    status: 'Scheduled',
+    sequence: 0,
+    ...sessionOverrides,
+  }],
+});
+
+/**
+ * Build a loaded (non-new) request document with one session
+ */
+const buildRequest = () => MentorshipRequest.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  startup: new mongoose.Types.ObjectId(),
+  requestedBy: new mongoose.Types.ObjectId(),
+  topic: 'Fundraising',
+  status: 'Scheduled',
+  sessions: [{
+    _id: new mongoose.Types.ObjectId(),
+    scheduledAt: new Date('2030-01-15T10:00:00Z'),
+    duration: 45,
+    status: 'Scheduled',
+    sequence: 0,
+  }],
+});
+
+describe('Calendar Service', () => {
+  it('should build an invite with organizer, attendee, link and reminders', () => {
+    const request = buildPopulatedRequest();
+    const session = request.sessions[0];
+
+    const ics = buildSessionInvite(request, session, getSessionPeople(request, session));
+    const unfolded = ics.replace(/\r\n /g, '');
+
+    expect(ics.endsWith('\r\n')).toBe(true);
+    expect(unfolded).toContain('METHOD:REQUEST');
+    expect(unfolded).toContain(`UID:mentorship-session-${session._id}@tasavur`);
+    expect(unfolded).toContain('DTSTART:20300115T100000Z');
+    expect(unfolded).toContain('DTEND:20300115T104500Z');
+    expect(unfolded).toContain('SUMMARY:Mentorship: Fundraising\\; seed round');
+    expect(unfolded).toContain('ORGANIZER;CN=Grace Mentor:mailto:grace@example.com');
+    expect(unfolded).toContain('ATTENDEE;CN=Fay Founder;ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED:mailto:fay@example.com');
+    expect(unfolded).toContain('URL:https://meet.example.com/abc');
+    expect(unfolded).toContain('Startup: Acme\\, Inc');
+    expect(unfolded.match(/BEGIN:VALARM/g)).toHaveLength(2);
+  });
+
+  it('should publish cancelled sessions as CANCEL without reminders', () => {
+    const request = buildPopulatedRequest({ status: 'Cancelled', sequence: 2 });
+
+    const ics = buildSessionInvite(request, request.sessions[0], {});
+
+    expect(ics).toContain('METHOD:CANCEL');
+    expect(ics).toContain('STATUS:CANCELLED');
+    expect(ics).toContain('SEQUENCE:2');
+    expect(ics).not.toContain('VALARM');
+  });
+
+  it('should fold long lines to 75 octets', () => {
+    const folded = foldLine(`DESCRIPTION:${'é'.repeat(100)}`);
+
+    folded.split('\r\n').forEach((line) => {
+      expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+    });
+    expect(folded.replace(/\r\n /g, '')).toBe(`DESCRIPTION:${'é'.repeat(100)}`);
+  });
+
+  it('should combine events into one feed', () => {
+    const first = buildPopulatedRequest();
+    const second = buildPopulatedRequest();
+
+    const feed = buildCalendar([
+      buildSessionEvent(first, first.sessions[0]),
+      buildSessionEvent(second, second.sessions[0]),
+    ], { name: 'Sessions' });
+
+    expect(feed).toContain('METHOD:PUBLISH');
+    expect(feed).toContain('X-WR-CALNAME:Sessions');
+    expect(feed.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+  });
+});
+
+describe('Session calendar sync', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should bump the sequence when a session is cancelled', async () => {
+    const request = buildRequest();
+    const session = request.sessions[0];
+    jest.spyOn(request, 'save').mockResolvedValue(request);
+
+    await request.cancelSession(session._id, new mongoose.Types.ObjectId(), 'Clash', { enforceCutoff: false });
+
+    expect(session.status).toBe('Cancelled');
+    expect(session.sequence).toBe(1);
+  });
+
+  it('should cancel upcoming sessions when the request is cancelled', async () => {
+    const request = buildRequest();
+    jest.spyOn(request, 'save').mockResolvedValue(request);
+
+    await request.cancel(new mongoose.Types.ObjectId(), 'No longer needed');
+
+    expect(request.sessions[0].status).toBe('Cancelled');
+    expect(request.sessions[0].sequence).toBe(1);
+  });
+
+  it('should publish new sessions under a UID derived from the session', async () => {
+    const request = buildRequest();
+    jest.spyOn(request, 'save').mockResolvedValue(request);
+
+    const session = await request.scheduleSession({ scheduledAt: '2030-02-01T09:00:00Z' });
+
+    expect(getEventUid(session)).toBe(`mentorship-session-${session._id}@tasavur`);
+  });
+});
+
+describe('Calendar feed token', () => {
+  it('should store only a hash of the token', () => {
+    const user = new User({ name: 'Fay', email: 'fay@example.com', password: 'Password1!' });
+
+    const token = user.generateCalendarFeedToken();
+
+    expect(token).toMatch(/^[a-f0-9]{48}$/);
+    expect(user.calendarFeedToken).not.toBe(token);
+    expect(user.calendarFeedToken).toHaveLength(64);
+    expect(user.toJSON().calendarFeedToken).toBeUndefined();
+  });
+});
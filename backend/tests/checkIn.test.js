@@ -0,0 +1,297 @@
+// Set test environment BEFORE importing app
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test_jwt_secret_for_ci';
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../server');
+const CheckInReport = require('../models/CheckInReport');
+const Cohort = require('../models/Cohort');
+const KpiSnapshot = require('../models/KpiSnapshot');
+const Notification = require('../models/Notification');
+const Startup = require('../models/Startup');
+const User = require('../models/User');
+const { sendCheckInReminders } = require('../services/checkInService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const currentPeriod = () => KpiSnapshot.periodOf(new Date());
+const pastPeriod = months => KpiSnapshot.shiftPeriod(currentPeriod(), -months);
+
+let mongoServer;
+let founder;
+let editor;
+let viewer;
+let outsider;
+let programManager;
+let otherMentor;
+let admin;
+let cohort;
+let startup;
+
+const auth = user => ({ Authorization: `Bearer ${user.getSignedJwtToken()}` });
+
+/**
+ * A complete check-in for the startup, answering the cohort's question
+ */
+const checkIn = (overrides = {}) => ({
+  startup: startup._id.toString(),
+  highlights: 'Launched v2',
+  lowlights: 'Churn rose',
+  asks: 'Intros to retail buyers',
+  answers: [{ question: cohort.checkIns.questions[0]._id.toString(), answer: 'Hiring' }],
+  ...overrides,
+});
+
+/**
+ * Test Suite for the check-in routes
+ */
+describe('Check-in Routes', () => {
+  beforeAll(async () => {
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.disconnect();
+    }
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    [founder, editor, viewer, outsider, programManager, otherMentor, admin] = await User.create([
+      { name: 'Fay Founder', email: 'fay@example.com', password: 'password123', role: 'founder' },
+      { name: 'Ed Editor', email: 'ed@example.com', password: 'password123', role: 'founder' },
+      { name: 'Vi Viewer', email: 'vi@example.com', password: 'password123', role: 'founder' },
+      { name: 'Oscar Outsider', email: 'oscar@example.com', password: 'password123', role: 'founder' },
+      { name: 'Pam Manager', email: 'pam@example.com', password: 'password123', role: 'mentor' },
+      { name: 'Otto Mentor', email: 'otto@example.com', password: 'password123', role: 'mentor' },
+      { name: 'Ann Admin', email: 'ann@example.com', password: 'password123', role: 'admin' },
+    ]);
+
+    cohort = await Cohort.create({
+      name: 'Fall Batch',
+      startDate: new Date(Date.now() - 180 * DAY),
+      endDate: new Date(Date.now() + 180 * DAY),
+      capacity: 10,
+      programManager: programManager._id,
+      checkIns: { dueDay: 28, questions: [{ prompt: 'Biggest risk?', required: true }] },
+    });
+
+    startup = await Startup.create({
+      name: 'Check-in Startup',
+      shortDesc: 'A startup that reports monthly',
+      domain: 'SaaS',
+      stage: 'MVP',
+      status: 'Active',
+      founder: founder._id,
+      founders: [{ name: 'Fay Founder', email: 'fay@example.com' }],
+      contact: { email: 'contact@checkin.io' },
+      cohort: cohort._id,
+      team: [
+        { user: editor._id, role: 'editor' },
+        { user: viewer._id, role: 'viewer' },
+      ],
+    });
+  });
+
+  afterEach(async () => {
+    await CheckInReport.deleteMany({});
+    await KpiSnapshot.deleteMany({});
+    await Notification.deleteMany({});
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (mongoServer) {
+      await mongoServer.stop();
+    }
+  });
+
+  describe('POST /api/check-ins', () => {
+    it('should let editors submit and then revise a report', async () => {
+      const period = currentPeriod();
+
+      const res = await request(app)
+        .post('/api/check-ins')
+        .set(auth(editor))
+        .send(checkIn({ period }));
+
+      expect(res.status).toBe(201);
+      expect(res.body.message).toBe(`Check-in for ${period} submitted`);
+      expect(res.body.data.answers[0]).toMatchObject({ prompt: 'Biggest risk?', answer: 'Hiring' });
+      expect(res.body.data.submittedBy).toBe(editor._id.toString());
+
+      const revised = await request(app)
+        .post('/api/check-ins')
+        .set(auth(founder))
+        .send({ startup: startup._id.toString(), period, asks: 'A pricing review' });
+
+      expect(revised.status).toBe(200);
+      expect(revised.body.message).toBe(`Check-in for ${period} updated`);
+      expect(revised.body.data.asks).toBe('A pricing review');
+      expect(await CheckInReport.countDocuments({ startup: startup._id })).toBe(1);
+    });
+
+    it('should only let editors, owners and admins report', async () => {
+      const asViewer = await request(app).post('/api/check-ins').set(auth(viewer)).send(checkIn());
+      expect(asViewer.status).toBe(403);
+      expect(asViewer.body.message).toBe('Not authorized to report for this startup');
+
+      const asOutsider = await request(app).post('/api/check-ins').set(auth(outsider)).send(checkIn());
+      expect(asOutsider.status).toBe(403);
+      expect(await CheckInReport.countDocuments()).toBe(0);
+
+      const asAdmin = await request(app).post('/api/check-ins').set(auth(admin)).send(checkIn());
+      expect(asAdmin.status).toBe(201);
+    });
+
+    it('should mark reports submitted after the due date as late', async () => {
+      const period = pastPeriod(3);
+
+      const res = await request(app)
+        .post('/api/check-ins')
+        .set(auth(founder))
+        .send(checkIn({ period }));
+
+      expect(res.status).toBe(201);
+      expect(res.body.message).toBe(`Check-in for ${period} submitted (late)`);
+      expect(res.body.data.isLate).toBe(true);
+    });
+
+    it('should refuse future periods and missing answers', async () => {
+      const future = await request(app)
+        .post('/api/check-ins')
+        .set(auth(founder))
+        .send(checkIn({ period: KpiSnapshot.shiftPeriod(currentPeriod(), 1) }));
+
+      expect(future.status).toBe(400);
+      expect(future.body.errors[0].message).toBe('Period cannot be in the future');
+
+      const unanswered = await request(app)
+        .post('/api/check-ins')
+        .set(auth(founder))
+        .send(checkIn({ answers: [] }));
+
+      expect(unanswered.status).toBe(400);
+      expect(unanswered.body.errors).toContainEqual({ field: 'answers', message: 'An answer to "Biggest risk?" is required' });
+      expect(await CheckInReport.countDocuments()).toBe(0);
+    });
+
+    it('should not accept changes once the report was reviewed', async () => {
+      const period = pastPeriod(1);
+      const submitted = await request(app)
+        .post('/api/check-ins')
+        .set(auth(founder))
+        .send(checkIn({ period }));
+      await request(app)
+        .put(`/api/check-ins/${submitted.body.data._id}/review`)
+        .set(auth(programManager))
+        .send({ note: 'Thanks' });
+
+      const res = await request(app)
+        .post('/api/check-ins')
+        .set(auth(founder))
+        .send(checkIn({ period, highlights: 'Rewritten' }));
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe(`The ${period} check-in has already been reviewed`);
+    });
+  });
+
+  describe('Reading and reviewing reports', () => {
+    let report;
+
+    beforeEach(async () => {
+      const res = await request(app).post('/api/check-ins').set(auth(founder)).send(checkIn());
+      report = res.body.data;
+    });
+
+    it('should show a report to the team and the program manager only', async () => {
+      const asViewer = await request(app).get(`/api/check-ins/${report._id}`).set(auth(viewer));
+      expect(asViewer.status).toBe(200);
+      expect(asViewer.body.data.state).toBeDefined();
+
+      const asManager = await request(app).get(`/api/check-ins/${report._id}`).set(auth(programManager));
+      expect(asManager.status).toBe(200);
+
+      const asOutsider = await request(app).get(`/api/check-ins/${report._id}`).set(auth(outsider));
+      expect(asOutsider.status).toBe(403);
+
+      const asMentor = await request(app).get(`/api/check-ins/${report._id}`).set(auth(otherMentor));
+      expect(asMentor.status).toBe(403);
+    });
+
+    it('should let only the program manager or an admin review a report once', async () => {
+      const asFounder = await request(app).put(`/api/check-ins/${report._id}/review`).set(auth(founder));
+      expect(asFounder.status).toBe(403);
+
+      const asMentor = await request(app).put(`/api/check-ins/${report._id}/review`).set(auth(otherMentor));
+      expect(asMentor.status).toBe(403);
+
+      const reviewed = await request(app)
+        .put(`/api/check-ins/${report._id}/review`)
+        .set(auth(programManager))
+        .send({ note: 'Good progress' });
+      expect(reviewed.status).toBe(200);
+      expect(reviewed.body.data.status).toBe('Reviewed');
+      expect(reviewed.body.data.reviewNote).toBe('Good progress');
+
+      const again = await request(app).put(`/api/check-ins/${report._id}/review`).set(auth(admin));
+      expect(again.status).toBe(400);
+      expect(again.body.message).toBe('This check-in has already been reviewed');
+    });
+
+    it('should list the reports of every startup the founder is on', async () => {
+      const res = await request(app).get('/api/check-ins/mine').set(auth(viewer));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.startups.map(s => s.name)).toEqual(['Check-in Startup']);
+      expect(res.body.data.startups[0].checkIns.dueDay).toBe(28);
+      expect(res.body.data.reports.map(r => r._id)).toEqual([report._id]);
+
+      const asOutsider = await request(app).get('/api/check-ins/mine').set(auth(outsider));
+      expect(asOutsider.body.count).toBe(0);
+    });
+  });
+
+  describe('GET /api/check-ins/compliance', () => {
+    it('should only show compliance to admins and the cohort\'s program manager', async () => {
+      const asFounder = await request(app).get('/api/check-ins/compliance').set(auth(founder));
+      expect(asFounder.status).toBe(403);
+
+      const withoutCohort = await request(app).get('/api/check-ins/compliance').set(auth(programManager));
+      expect(withoutCohort.status).toBe(403);
+
+      const otherCohort = await request(app)
+        .get(`/api/check-ins/compliance?cohort=${cohort._id}`)
+        .set(auth(otherMentor));
+      expect(otherCohort.status).toBe(403);
+
+      const asManager = await request(app)
+        .get(`/api/check-ins/compliance?cohort=${cohort._id}&months=3`)
+        .set(auth(programManager));
+      expect(asManager.status).toBe(200);
+      expect(asManager.body.data.cohort.name).toBe('Fall Batch');
+      expect(asManager.body.data.periods).toHaveLength(3);
+
+      const asAdmin = await request(app).get('/api/check-ins/compliance').set(auth(admin));
+      expect(asAdmin.status).toBe(200);
+    });
+  });
+
+  describe('Reminders', () => {
+    it('should flag a missed report to the founder and program manager once', async () => {
+      const period = pastPeriod(3);
+      await CheckInReport.create({
+        startup: startup._id,
+        cohort: cohort._id,
+        period,
+        dueDate: CheckInReport.dueDateFor(period, 28),
+      });
+
+      expect(await sendCheckInReminders(new Date())).toEqual({ reminded: 0, overdue: 1 });
+      expect(await sendCheckInReminders(new Date())).toEqual({ reminded: 0, overdue: 0 });
+
+      const notices = await Notification.find({ type: 'check_in_overdue' });
+      expect(notices.map(n => n.recipient.toString()).sort())
+        .toEqual([founder._id.toString(), programManager._id.toString()].sort());
+    });
+  });
+});
@@ -0,0 +1,314 @@
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test_jwt_secret_for_ci';
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../server');
+const Cohort = require('../models/Cohort');
+const Startup = require('../models/Startup');
+const User = require('../models/User');
+const { migrateLegacyCohorts } = require('../migrations/cohortReferences');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Build an unsaved cohort whose save() is stubbed
+ */
+const buildCohort = (overrides = {}) => {
+  const now = Date.now();
+  const cohort = new Cohort({
+    name: 'Spring 2026',
+    startDate: new Date(now + 30 * DAY),
+    endDate: new Date(now + 200 * DAY),
+    capacity: 2,
+    applicationWindow: {
+      opensAt: new Date(now - DAY),
+      closesAt: new Date(now + 10 * DAY),
+    },
+    ...overrides,
+  });
+  jest.spyOn(cohort, 'save').mockResolvedValue(cohort);
+  return cohort;
+};
+
+/**
+ * Stub a Startup query chain resolving to the given value
+ */
+const stubQuery = (value) => {
+  const chain = {
+    populate: () => chain,
+    select: () => chain,
+    session: () => Promise.resolve(value),
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return chain;
+};
+
+describe('Cohort Model', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should require the end date to be after the start date', () => {
+    const cohort = new Cohort({
+      name: 'Backwards',
+      startDate: new Date('2026-06-01'),
+      endDate: new Date('2026-01-01'),
+      capacity: 5,
+    });
+
+    const error = cohort.validateSync();
+
+    expect(error.errors.endDate.message).toBe('End date must be after the start date');
+  });
+
+  it('should only accept applications inside the window', () => {
+    const cohort = buildCohort();
+    const now = Date.now();
+
+    expect(cohort.isApplicationWindowOpen()).toBe(true);
+    expect(cohort.isApplicationWindowOpen(new Date(now + 20 * DAY))).toBe(false);
+
+    cohort.status = 'Archived';
+    expect(cohort.isApplicationWindowOpen()).toBe(false);
+  });
+
+  it('should reject duplicate applications', async () => {
+    const cohort = buildCohort();
+    const startupId = new mongoose.Types.ObjectId();
+    const userId = new mongoose.Types.ObjectId();
+
+    const application = await cohort.submitApplication(startupId, userId, 'We want to grow');
+
+    expect(application.status).toBe('Pending');
+    expect(cohort.pendingApplicationCount).toBe(1);
+    await expect(cohort.submitApplication(startupId, userId)).rejects.toThrow('already applied');
+  });
+
+  it('should let admins and the program manager manage the cohort', () => {
+    const managerId = new mongoose.Types.ObjectId();
+    const cohort = buildCohort({ programManager: managerId });
+
+    expect(cohort.isManagedBy({ _id: new mongoose.Types.ObjectId(), role: 'admin' })).toBe(true);
+    expect(cohort.isManagedBy({ _id: managerId, role: 'mentor' })).toBe(true);
+    expect(cohort.isManagedBy({ _id: new mongoose.Types.ObjectId(), role: 'mentor' })).toBe(false);
+  });
+
+  it('should refuse members beyond capacity', async () => {
+    const cohort = buildCohort();
+    jest.spyOn(Cohort, 'reserveSeat').mockResolvedValue(null);
+    const startup = new Startup({ name: 'Acme', shortDesc: 'Test', domain: 'SaaS' });
+
+    await expect(cohort.addMember(startup)).rejects.toThrow('Cohort is at capacity');
+    expect(startup.cohort).toBeUndefined();
+  });
+
+  it('should free the previous seat on a move and the new one when saving fails', async () => {
+    const cohort = buildCohort();
+    const previous = new mongoose.Types.ObjectId();
+    jest.spyOn(Cohort, 'reserveSeat').mockResolvedValue(cohort);
+    const released = jest.spyOn(Cohort, 'releaseSeat').mockResolvedValue({});
+    const startup = new Startup({ name: 'Acme', shortDesc: 'Test', domain: 'SaaS', cohort: previous });
+    const save = jest.spyOn(startup, 'save').mockResolvedValue(startup);
+
+    await cohort.addMember(startup);
+
+    expect(startup.cohort).toEqual(cohort._id);
+    expect(released).toHaveBeenCalledWith(previous, null);
+
+    released.mockClear();
+    const other = buildCohort({ name: 'Autumn 2026' });
+    save.mockRejectedValue(new Error('write failed'));
+
+    await expect(other.addMember(startup)).rejects.toThrow('write failed');
+    expect(startup.cohort).toEqual(cohort._id);
+    expect(released.mock.calls).toEqual([[other._id, null]]);
+  });
+
+  it('should load startups that still hold a cohort name', () => {
+    const startup = Startup.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      name: 'Acme',
+      shortDesc: 'Test',
+      domain: 'SaaS',
+      cohort: 'Spring 2024',
+    });
+
+    expect(startup.cohort).toBeUndefined();
+    expect(startup.legacyCohort).toBe('Spring 2024');
+    expect(startup.validateSync(['cohort'])).toBeUndefined();
+  });
+
+  it('should aggregate member KPIs on the dashboard', async () => {
+    const cohort = buildCohort({ capacity: 4 });
+    const members = [
+      new Startup({ name: 'Alpha', shortDesc: 'A', domain: 'SaaS', status: 'Active', kpis: { revenue: 1000, users: 50, growth: 10 } }),
+      new Startup({ name: 'Beta', shortDesc: 'B', domain: 'FinTech', status: 'Approved', kpis: { revenue: 3000, users: 150, growth: 20 } }),
+    ];
+    jest.spyOn(Startup, 'find').mockReturnValue(stubQuery(members));
+    jest.spyOn(Startup, 'getGraduationCandidates').mockResolvedValue([]);
+
+    const dashboard = await cohort.getDashboard();
+
+    expect(dashboard.members.count).toBe(2);
+    expect(dashboard.members.utilization).toBe(50);
+    expect(dashboard.members.byStatus).toEqual({ Active: 1, Approved: 1 });
+    expect(dashboard.kpis.totalRevenue).toBe(4000);
+    expect(dashboard.kpis.avgGrowth).toBe(15);
+    expect(Startup.getGraduationCandidates).toHaveBeenCalledWith({ cohort: cohort._id });
+  });
+});
+
+describe('Cohort Membership Routes', () => {
+  let mongoServer;
+  let admin;
+  let founder;
+  let editor;
+  let viewer;
+  let startups;
+
+  const auth = user => ({ Authorization: `Bearer ${user.getSignedJwtToken()}` });
+
+  const startupFields = (name, founderId) => ({
+    name,
+    shortDesc: 'A cohort startup',
+    domain: 'SaaS',
+    founder: founderId,
+    founders: [{ name: 'Ada Founder', email: 'ada@example.com' }],
+    contact: { email: `${name.toLowerCase().replace(/\s+/g, '')}@example.com` },
+  });
+
+  const createCohort = (overrides = {}) => Cohort.create({
+    name: `Cohort ${new mongoose.Types.ObjectId()}`,
+    startDate: new Date(Date.now() + 30 * DAY),
+    endDate: new Date(Date.now() + 200 * DAY),
+    capacity: 1,
+    ...overrides,
+  });
+
+  beforeAll(async () => {
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.disconnect();
+    }
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    [admin, founder, editor, viewer] = await User.create([
+      { name: 'Ann Admin', email: 'ann@example.com', password: 'password123', role: 'admin' },
+      { name: 'Ada Founder', email: 'ada@example.com', password: 'password123', role: 'founder' },
+      { name: 'Ed Editor', email: 'ed@example.com', password: 'password123', role: 'founder' },
+      { name: 'Vi Viewer', email: 'vi@example.com', password: 'password123', role: 'founder' },
+    ]);
+
+    startups = await Startup.create([
+      startupFields('Alpha', founder._id),
+      {
+        ...startupFields('Beta', founder._id),
+        team: [{ user: editor._id, role: 'editor' }, { user: viewer._id, role: 'viewer' }],
+      },
+    ]);
+    founder.startup = startups[0]._id;
+    await founder.save();
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (mongoServer) {
+      await mongoServer.stop();
+    }
+  });
+
+  it('should not overfill a cohort when startups are added at the same time', async () => {
+    const cohort = await createCohort();
+
+    const responses = await Promise.all(startups.map(startup => request(app)
+      .post(`/api/cohorts/${cohort._id}/members`)
+      .set(auth(admin))
+      .send({ startupId: startup._id.toString() })));
+
+    expect(responses.map(r => r.status).sort()).toEqual([200, 400]);
+    expect(responses.find(r => r.status === 400).body.message).toBe('Cohort is at capacity');
+    expect(await Startup.countDocuments({ cohort: cohort._id })).toBe(1);
+    expect((await Cohort.findById(cohort._id)).memberCount).toBe(1);
+
+    const member = await Startup.findOne({ cohort: cohort._id });
+    const res = await request(app)
+      .delete(`/api/cohorts/${cohort._id}/members/${member._id}`)
+      .set(auth(admin));
+
+    expect(res.status).toBe(200);
+    expect((await Cohort.findById(cohort._id)).memberCount).toBe(0);
+  });
+
+  it('should refuse applications through the model rules', async () => {
+    const closed = await createCohort({
+      applicationWindow: { opensAt: new Date(Date.now() - 10 * DAY), closesAt: new Date(Date.now() - DAY) },
+    });
+    const open = await createCohort({
+      applicationWindow: { opensAt: new Date(Date.now() - DAY), closesAt: new Date(Date.now() + 10 * DAY) },
+    });
+
+    const closedRes = await request(app)
+      .post(`/api/cohorts/${closed._id}/apply`)
+      .set(auth(founder))
+      .send({ motivation: 'We want to grow' });
+
+    expect(closedRes.status).toBe(400);
+    expect(closedRes.body.message).toBe('Applications for this cohort are closed');
+
+    const first = await request(app).post(`/api/cohorts/${open._id}/apply`).set(auth(founder)).send({});
+    const second = await request(app).post(`/api/cohorts/${open._id}/apply`).set(auth(founder)).send({});
+
+    expect(first.status).toBe(201);
+    expect(second.status).toBe(400);
+    expect(second.body.message).toBe('Startup has already applied to this cohort');
+  });
+
+  it('should let team editors apply for their startup but not viewers', async () => {
+    const cohort = await createCohort({
+      applicationWindow: { opensAt: new Date(Date.now() - DAY), closesAt: new Date(Date.now() + 10 * DAY) },
+    });
+    const applyUrl = `/api/cohorts/${cohort._id}/apply`;
+    const beta = startups[1]._id.toString();
+
+    const withoutStartup = await request(app).post(applyUrl).set(auth(editor)).send({});
+    expect(withoutStartup.status).toBe(400);
+    expect(withoutStartup.body.message).toBe('You need a startup profile to apply to a cohort');
+
+    const asViewer = await request(app).post(applyUrl).set(auth(viewer)).send({ startup: beta });
+    expect(asViewer.status).toBe(403);
+
+    const asEditor = await request(app).post(applyUrl).set(auth(editor)).send({ startup: beta });
+    expect(asEditor.status).toBe(201);
+
+    const stored = await Cohort.findById(cohort._id);
+    expect(stored.applications.map(a => a.startup.toString())).toEqual([beta]);
+  });
+
+  it('should load, save and migrate a startup that stored its cohort by name', async () => {
+    const { insertedId } = await Startup.collection.insertOne({
+      ...startupFields('Legacy', founder._id),
+      founder: founder._id,
+      status: 'Active',
+      cohort: 'Spring 2024',
+    });
+
+    const legacy = await Startup.findById(insertedId);
+    legacy.shortDesc = 'Still editable before the migration';
+    await expect(legacy.save()).resolves.toBeDefined();
+
+    const result = await migrateLegacyCohorts();
+
+    const cohort = await Cohort.findOne({ name: 'Spring 2024' });
+    expect(result).toMatchObject({ startups: 1, cohortsCreated: 1, cohortsLinked: 1 });
+    expect(cohort.memberCount).toBe(1);
+
+    const migrated = await Startup.findById(insertedId);
+    expect(migrated.cohort).toEqual(cohort._id);
+    expect(migrated.legacyCohort).toBe('Spring 2024');
+    migrated.shortDesc = 'Saved after the migration';
+    await expect(migrated.save()).resolves.toBeDefined();
+
+    // A second run finds nothing left to do
+    expect(await migrateLegacyCohorts()).toMatchObject({ startups: 0, cohortsCreated: 0 });
+  });
+});
@@ -0,0 +1,268 @@
+// Set test environment BEFORE importing app
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test_jwt_secret_for_ci';
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../server');
+const ContactMessage = require('../models/ContactMessage');
+const Notification = require('../models/Notification');
+const OutboundEmail = require('../models/OutboundEmail');
+const User = require('../models/User');
+const { screenSubmission } = require('../utils/sanitizer');
+const { renderContactReplyEmail } = require('../services/emailTemplates');
+
+const SUCCESS_MESSAGE = 'Message sent successfully! We\'ll get back to you soon.';
+
+/**
+ * A contact form submission from a person who took their time
+ */
+const submission = (overrides = {}) => ({
+  name: 'Jane Doe',
+  email: 'jane@example.com',
+  subject: 'Partnership',
+  message: 'We would like to sponsor the next demo day.',
+  website: '',
+  formStartedAt: Date.now() - 60000,
+  ...overrides,
+});
+
+describe('Contact Spam Screening', () => {
+  it('should pass a normal submission', () => {
+    const screen = screenSubmission({
+      honeypot: '',
+      startedAt: Date.now() - 60000,
+      text: 'Hello, see https://example.com for details',
+    });
+
+    expect(screen.isSpam).toBe(false);
+    expect(screen.reasons).toEqual([]);
+  });
+
+  it('should treat a filled honeypot as a bot', () => {
+    const screen = screenSubmission({ honeypot: 'https://spam.example.com', text: 'Hi' });
+
+    expect(screen.isBot).toBe(true);
+    expect(screen.reasons).toContain('honeypot');
+  });
+
+  it('should flag submissions that arrive too fast', () => {
+    const screen = screenSubmission({ startedAt: Date.now() - 500, text: 'Hi' });
+
+    expect(screen.isBot).toBe(true);
+    expect(screen.reasons).toEqual(['too_fast']);
+  });
+
+  it('should flag link-stuffed messages as spam but not as a bot', () => {
+    const text = 'http://a.com http://b.com www.c.com https://d.com';
+    const screen = screenSubmission({ text });
+
+    expect(screen.isSpam).toBe(true);
+    expect(screen.isBot).toBe(false);
+    expect(screen.reasons).toEqual(['too_many_links']);
+  });
+
+  it('should count links in text already escaped by the sanitizer', () => {
+    const text = 'http:&#x2F;&#x2F;a.com http:&#x2F;&#x2F;b.com www.c.com https:&#x2F;&#x2F;d.com';
+
+    expect(screenSubmission({ text }).reasons).toEqual(['too_many_links']);
+  });
+});
+
+describe('Contact Reply Email', () => {
+  it('should render the reply email with the original message quoted', () => {
+    const contactMessage = new ContactMessage(submission());
+
+    const { subject, text, html } = renderContactReplyEmail(contactMessage, 'Happy to talk.');
+
+    expect(subject).toBe('Re: Partnership');
+    expect(text).toContain('Happy to talk.');
+    expect(text).toContain('We would like to sponsor the next demo day.');
+    expect(html).toContain('<blockquote');
+    expect(html).not.toContain('Manage preferences');
+  });
+});
+
+/**
+ * Test Suite for the contact form and admin inbox routes
+ */
+describe('Contact Routes', () => {
+  let mongoServer;
+  let admin;
+  let otherAdmin;
+  let founder;
+
+  const auth = user => ({ Authorization: `Bearer ${user.getSignedJwtToken()}` });
+
+  beforeAll(async () => {
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.disconnect();
+    }
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    [admin, otherAdmin, founder] = await User.create([
+      { name: 'Ann Admin', email: 'ann@example.com', password: 'password123', role: 'admin' },
+      { name: 'Bob Admin', email: 'bob@example.com', password: 'password123', role: 'admin' },
+      { name: 'Fay Founder', email: 'fay@example.com', password: 'password123', role: 'founder' },
+    ]);
+  });
+
+  afterEach(async () => {
+    await ContactMessage.deleteMany({});
+    await Notification.deleteMany({});
+    await OutboundEmail.deleteMany({});
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (mongoServer) {
+      await mongoServer.stop();
+    }
+  });
+
+  describe('POST /api/contact', () => {
+    it('should store the message and tell every admin', async () => {
+      const res = await request(app).post('/api/contact').send(submission());
+
+      expect(res.status).toBe(201);
+      expect(res.body.message).toBe(SUCCESS_MESSAGE);
+
+      const stored = await ContactMessage.findOne({ email: 'jane@example.com' });
+      expect(stored.status).toBe('New');
+      expect(stored.subject).toBe('Partnership');
+      expect(await Notification.countDocuments({ type: 'contact_message_received' })).toBe(2);
+    });
+
+    it('should answer bots as if the message was sent but keep nothing', async () => {
+      const res = await request(app)
+        .post('/api/contact')
+        .send(submission({ website: 'https://spam.example.com' }));
+
+      expect(res.status).toBe(201);
+      expect(res.body.message).toBe(SUCCESS_MESSAGE);
+      expect(await ContactMessage.countDocuments()).toBe(0);
+    });
+
+    it('should store link-stuffed messages as spam without notifying admins', async () => {
+      const res = await request(app)
+        .post('/api/contact')
+        .send(submission({ message: 'Cheap deals http://a.com http://b.com www.c.com https://d.com' }));
+
+      expect(res.status).toBe(201);
+      const stored = await ContactMessage.findOne();
+      expect(stored.status).toBe('Spam');
+      expect(stored.spamReasons).toEqual(['too_many_links']);
+      expect(await Notification.countDocuments()).toBe(0);
+    });
+
+    it('should validate the form', async () => {
+      const res = await request(app)
+        .post('/api/contact')
+        .send(submission({ email: 'not-an-email', message: 'Too short' }));
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors.map(e => e.field).sort()).toEqual(['email', 'message']);
+      expect(await ContactMessage.countDocuments()).toBe(0);
+    });
+
+    it('should limit how many messages one address can send an hour', async () => {
+      await ContactMessage.create(Array.from({ length: 5 }, (_, i) => submission({ subject: `Follow up ${i}` })));
+
+      const res = await request(app).post('/api/contact').send(submission({ email: 'JANE@example.com' }));
+
+      expect(res.status).toBe(429);
+      expect(await ContactMessage.countDocuments()).toBe(5);
+
+      const other = await request(app).post('/api/contact').send(submission({ email: 'john@example.com' }));
+      expect(other.status).toBe(201);
+    });
+  });
+
+  describe('Admin inbox', () => {
+    let contactMessage;
+
+    beforeEach(async () => {
+      contactMessage = await ContactMessage.create(submission());
+    });
+
+    it('should keep the inbox to admins', async () => {
+      const list = await request(app).get('/api/contact/messages').set(auth(founder));
+      expect(list.status).toBe(403);
+
+      const close = await request(app).put(`/api/contact/messages/${contactMessage._id}/close`).set(auth(founder));
+      expect(close.status).toBe(403);
+      expect((await ContactMessage.findById(contactMessage._id)).status).toBe('New');
+    });
+
+    it('should list open messages and leave spam out unless asked for', async () => {
+      await ContactMessage.create(submission({ email: 'bot@example.com', status: 'Spam' }));
+
+      const inbox = await request(app).get('/api/contact/messages').set(auth(admin));
+      expect(inbox.status).toBe(200);
+      expect(inbox.body.count).toBe(1);
+      expect(inbox.body.data[0]._id).toBe(contactMessage._id.toString());
+
+      const spam = await request(app).get('/api/contact/messages?status=Spam').set(auth(admin));
+      expect(spam.body.data.map(m => m.email)).toEqual(['bot@example.com']);
+    });
+
+    it('should assign, close and reopen a message', async () => {
+      const assigned = await request(app)
+        .put(`/api/contact/messages/${contactMessage._id}/assign`)
+        .set(auth(admin))
+        .send({ assigneeId: otherAdmin._id.toString() });
+      expect(assigned.status).toBe(200);
+      expect(assigned.body.data.status).toBe('Open');
+      expect(await Notification.countDocuments({ recipient: otherAdmin._id })).toBe(1);
+
+      const toFounder = await request(app)
+        .put(`/api/contact/messages/${contactMessage._id}/assign`)
+        .set(auth(admin))
+        .send({ assigneeId: founder._id.toString() });
+      expect(toFounder.status).toBe(400);
+
+      const closed = await request(app).put(`/api/contact/messages/${contactMessage._id}/close`).set(auth(admin));
+      expect(closed.status).toBe(200);
+      expect(closed.body.data.status).toBe('Closed');
+
+      const assignClosed = await request(app).put(`/api/contact/messages/${contactMessage._id}/assign`).set(auth(admin));
+      expect(assignClosed.status).toBe(400);
+      expect(assignClosed.body.message).toBe('Cannot assign a closed message');
+
+      const reopened = await request(app).put(`/api/contact/messages/${contactMessage._id}/reopen`).set(auth(admin));
+      expect(reopened.status).toBe(200);
+      expect(reopened.body.data.status).toBe('Open');
+
+      const again = await request(app).put(`/api/contact/messages/${contactMessage._id}/reopen`).set(auth(admin));
+      expect(again.status).toBe(400);
+    });
+
+    it('should queue replies by email and refuse to answer spam', async () => {
+      const replied = await request(app)
+        .post(`/api/contact/messages/${contactMessage._id}/reply`)
+        .set(auth(admin))
+        .send({ message: 'Happy to talk.' });
+
+      expect(replied.status).toBe(200);
+      expect(replied.body.data.status).toBe('Replied');
+      const email = await OutboundEmail.findOne({ kind: 'transactional' });
+      expect(email.to).toBe('jane@example.com');
+      expect(replied.body.data.replies[0].email).toBe(email._id.toString());
+
+      await request(app)
+        .put(`/api/contact/messages/${contactMessage._id}/close`)
+        .set(auth(admin))
+        .send({ spam: true })
+        .expect(200);
+
+      const toSpam = await request(app)
+        .post(`/api/contact/messages/${contactMessage._id}/reply`)
+        .set(auth(admin))
+        .send({ message: 'Hello?' });
+      expect(toSpam.status).toBe(400);
+      expect(toSpam.body.message).toBe('Cannot reply to a spam message');
+    });
+  });
+});
@@ -0,0 +1,207 @@
+// Set test environment BEFORE importing app
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test_jwt_secret_for_ci';
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../server');
+const User = require('../models/User');
+const Startup = require('../models/Startup');
+const Mentor = require('../models/Mentor');
+const Cohort = require('../models/Cohort');
+
+let mongoServer;
+let adminToken;
+let founderToken;
+let adminUser;
+
+const createStartup = (overrides = {}) => Startup.create({
+  name: `Startup ${Math.random().toString(36).slice(2, 8)}`,
+  shortDesc: 'A startup used in bulk action tests',
+  domain: 'FinTech',
+  stage: 'MVP',
+  founders: [{ name: 'Jane Founder', email: 'jane@example.com' }],
+  contact: { email: 'contact@example.com' },
+  ...overrides,
+});
+
+/**
+ * Test Suite for Dashboard Bulk Actions
+ */
+describe('Dashboard Bulk Actions', () => {
+  beforeAll(async () => {
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.disconnect();
+    }
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    adminUser = await User.create({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'admin',
+    });
+    await User.create({
+      name: 'Founder User',
+      email: 'founder@example.com',
+      password: 'password123',
+      role: 'founder',
+    });
+
+    const adminLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'admin@example.com', password: 'password123' });
+    adminToken = adminLogin.body.token;
+
+    const founderLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'founder@example.com', password: 'password123' });
+    founderToken = founderLogin.body.token;
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (mongoServer) {
+      await mongoServer.stop();
+    }
+  });
+
+  afterEach(async () => {
+    await Startup.deleteMany({});
+    await Mentor.deleteMany({});
+    await Cohort.deleteMany({});
+  });
+
+  describe('PUT /api/dashboard/bulk-action', () => {
+    it('should reject non-admin users', async () => {
+      const startup = await createStartup();
+
+      const res = await request(app)
+        .put('/api/dashboard/bulk-action')
+        .set('Authorization', `Bearer ${founderToken}`)
+        .send({ action: 'approve', startupIds: [startup._id] });
+
+      expect(res.statusCode).toBe(403);
+    });
+
+    it('should validate the action', async () => {
+      const res = await request(app)
+        .put('/api/dashboard/bulk-action')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ action: 'explode', startupIds: [new mongoose.Types.ObjectId()] });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should change status through updateStatus and report each item', async () => {
+      const pending = await createStartup();
+      const approved = await createStartup({ status: 'Approved' });
+      const missingId = new mongoose.Types.ObjectId().toString();
+
+      const res = await request(app)
+        .put('/api/dashboard/bulk-action')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          action: 'approve',
+          startupIds: [pending._id, approved._id, missingId],
+          reason: 'Committee decision',
+        });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.succeeded).toBe(1);
+      expect(res.body.data.failed).toBe(2);
+      expect(res.body.data.results.find(r => r.id === missingId).message).toBe('Startup not found');
+
+      const updated = await Startup.findById(pending._id);
+      expect(updated.status).toBe('Approved');
+      expect(updated.statusHistory).toHaveLength(1);
+      expect(updated.statusHistory[0].changedBy.toString()).toBe(adminUser._id.toString());
+      expect(updated.statusHistory[0].reason).toBe('Committee decision');
+    });
+
+    it('should tag, flag and assign cohorts', async () => {
+      const startup = await createStartup();
+      const cohort = await Cohort.create({
+        name: 'Spring 2026',
+        startDate: new Date('2026-03-01'),
+        endDate: new Date('2026-08-31'),
+        capacity: 10,
+      });
+
+      await request(app)
+        .put('/api/dashboard/bulk-action')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ action: 'tag', startupIds: [startup._id], tags: ['FinTech', 'Priority'] });
+
+      await request(app)
+        .put('/api/dashboard/bulk-action')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ action: 'flag', startupIds: [startup._id] });
+
+      await request(app)
+        .put('/api/dashboard/bulk-action')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ action: 'assign-cohort', startupIds: [startup._id], cohortId: cohort._id });
+
+      const updated = await Startup.findById(startup._id);
+      expect(updated.tags).toEqual(['fintech', 'priority', 'flagged']);
+      expect(updated.cohort.toString()).toBe(cohort._id.toString());
+    });
+
+    it('should assign a mentor until capacity is reached', async () => {
+      const mentorUser = await User.create({
+        name: 'Mentor User',
+        email: 'mentor@example.com',
+        password: 'password123',
+        role: 'mentor',
+      });
+      const mentor = await Mentor.create({
+        user: mentorUser._id,
+        name: 'Mentor User',
+        expertise: ['Fundraising'],
+        maxMentees: 1,
+      });
+      const first = await createStartup();
+      const second = await createStartup();
+
+      const res = await request(app)
+        .put('/api/dashboard/bulk-action')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ action: 'assign-mentor', startupIds: [first._id, second._id], mentorId: mentor._id });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.succeeded).toBe(1);
+      expect(res.body.data.results[1].message).toBe('Mentor is at capacity');
+
+      const updatedMentor = await Mentor.findById(mentor._id);
+      expect(updatedMentor.currentMentees).toHaveLength(1);
+    });
+
+    it('should delete startups and unlink their founder and team', async () => {
+      const founder = await User.findOne({ email: 'founder@example.com' });
+      const member = await User.create({
+        name: 'Team Member',
+        email: 'member@example.com',
+        password: 'password123',
+        role: 'founder',
+      });
+      const startup = await createStartup({
+        founder: founder._id,
+        team: [{ user: member._id, role: 'editor' }],
+      });
+      await User.updateMany({ _id: { $in: [founder._id, member._id] } }, { $set: { startup: startup._id } });
+
+      const res = await request(app)
+        .put('/api/dashboard/bulk-action')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ action: 'delete', startupIds: [startup._id] });
+
+      expect(res.statusCode).toBe(200);
+      expect(await Startup.findById(startup._id)).toBeNull();
+      expect((await User.findById(founder._id)).startup).toBeUndefined();
+      expect((await User.findById(member._id)).startup).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,249 @@
+process.env.NODE_ENV = 'test';
+
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const Notification = require('../models/Notification');
+const OutboundEmail = require('../models/OutboundEmail');
+const User = require('../models/User');
+const { notificationTemplates, renderNotificationEmail, renderDigestEmail } = require('../services/emailTemplates');
+const mailService = require('../services/mailService');
+const { queueNotificationEmail, processQueue, sendDailyDigests } = require('../services/emailQueue');
+
+/**
+ * Stub User.findById(...).select(...) to resolve with the given user
+ */
+const mockRecipient = (user) => {
+  jest.spyOn(User, 'findById').mockReturnValue({
+    select: jest.fn().mockResolvedValue(user),
+  });
+};
+
+const buildNotification = (overrides = {}) => new Notification({
+  recipient: new mongoose.Types.ObjectId(),
+  type: 'session_scheduled',
+  title: 'Session Scheduled',
+  message: 'Your session is booked for Monday',
+  actionUrl: '/mentorship/sessions',
+  createdAt: new Date(),
+  ...overrides,
+});
+
+describe('Email Templates', () => {
+  it('should define a template for every notification type', () => {
+    const types = Notification.schema.path('type').enumValues;
+    types.forEach((type) => {
+      expect(notificationTemplates[type]).toBeDefined();
+    });
+  });
+
+  it('should render subject, text and html for a notification', () => {
+    const email = renderNotificationEmail(buildNotification(), { name: 'Sara' });
+
+    expect(email.subject).toBe('[Session] Session Scheduled');
+    expect(email.text).toContain('Hi Sara,');
+    expect(email.text).toContain('/mentorship/sessions');
+    expect(email.html).toContain('Your session is booked for Monday');
+  });
+
+  it('should escape HTML in notification content', () => {
+    const email = renderNotificationEmail(
+      buildNotification({ title: '<script>alert(1)</script>' }),
+      { name: 'Sara' }
+    );
+
+    expect(email.html).not.toContain('<script>');
+    expect(email.html).toContain('&lt;script&gt;');
+  });
+
+  it('should list every notification in a digest', () => {
+    const email = renderDigestEmail([
+      buildNotification({ title: 'First' }),
+      buildNotification({ title: 'Second' }),
+    ], { name: 'Sara' });
+
+    expect(email.subject).toContain('2 new notifications');
+    expect(email.text).toContain('First');
+    expect(email.text).toContain('Second');
+  });
+});
+
+describe('Outbound Email Backoff', () => {
+  it('should double the retry delay up to one hour', () => {
+    const email = new OutboundEmail({ to: 'a@test.com', subject: 'Hi' });
+
+    email.attempts = 1;
+    expect(email.getRetryDelay()).toBe(60 * 1000);
+    email.attempts = 3;
+    expect(email.getRetryDelay()).toBe(4 * 60 * 1000);
+    email.attempts = 20;
+    expect(email.getRetryDelay()).toBe(60 * 60 * 1000);
+  });
+
+  it('should reschedule until max attempts then mark failed', async () => {
+    const email = new OutboundEmail({ to: 'a@test.com', subject: 'Hi', maxAttempts: 2 });
+    jest.spyOn(email, 'save').mockResolvedValue(email);
+
+    email.attempts = 1;
+    await email.markFailed(new Error('Connection refused'));
+    expect(email.status).toBe('Pending');
+    expect(email.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+    expect(email.lastError).toBe('Connection refused');
+
+    email.attempts = 2;
+    await email.markFailed(new Error('Connection refused'));
+    expect(email.status).toBe('Failed');
+  });
+});
+
+describe('Queue Notification Email', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should queue immediately for immediate preference', async () => {
+    mockRecipient({
+      _id: new mongoose.Types.ObjectId(),
+      name: 'Sara',
+      email: 'sara@test.com',
+      isActive: true,
+      notificationPreferences: { emailFrequency: 'immediate' },
+    });
+    const create = jest.spyOn(OutboundEmail, 'create').mockImplementation(async doc => doc);
+
+    const queued = await queueNotificationEmail(buildNotification());
+
+    expect(create).toHaveBeenCalledTimes(1);
+    expect(queued.to).toBe('sara@test.com');
+    expect(queued.kind).toBe('notification');
+  });
+
+  it('should leave non-urgent notifications for the daily digest', async () => {
+    mockRecipient({
+      _id: new mongoose.Types.ObjectId(),
+      email: 'sara@test.com',
+      isActive: true,
+      notificationPreferences: { emailFrequency: 'daily' },
+    });
+    const create = jest.spyOn(OutboundEmail, 'create');
+
+    expect(await queueNotificationEmail(buildNotification())).toBeNull();
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('should send urgent notifications immediately for digest users', async () => {
+    mockRecipient({
+      _id: new mongoose.Types.ObjectId(),
+      email: 'sara@test.com',
+      isActive: true,
+      notificationPreferences: { emailFrequency: 'daily' },
+    });
+    jest.spyOn(OutboundEmail, 'create').mockImplementation(async doc => doc);
+
+    const queued = await queueNotificationEmail(buildNotification({ priority: 'urgent' }));
+    expect(queued).not.toBeNull();
+  });
+
+  it('should skip users who opted out of email', async () => {
+    mockRecipient({
+      _id: new mongoose.Types.ObjectId(),
+      email: 'sara@test.com',
+      isActive: true,
+      notificationPreferences: { emailFrequency: 'none' },
+    });
+    const create = jest.spyOn(OutboundEmail, 'create');
+
+    expect(await queueNotificationEmail(buildNotification({ priority: 'urgent' }))).toBeNull();
+    expect(create).not.toHaveBeenCalled();
+  });
+});
+
+describe('Email Queue Delivery', () => {
+  let mongoServer;
+  let sara;
+
+  /**
+   * Store a notification without the post-save hook, then queue its email
+   * so the test can wait for it
+   */
+  const notify = async (overrides = {}) => {
+    const notification = buildNotification({ recipient: sara._id, ...overrides });
+    await Notification.collection.insertOne(notification.toObject());
+    await queueNotificationEmail(notification);
+    return notification;
+  };
+
+  beforeAll(async () => {
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.disconnect();
+    }
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  beforeEach(async () => {
+    sara = await User.create({
+      name: 'Sara',
+      email: 'sara@test.com',
+      password: 'password123',
+      role: 'founder',
+      notificationPreferences: { emailFrequency: 'immediate' },
+    });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await OutboundEmail.deleteMany({});
+    await Notification.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (mongoServer) {
+      await mongoServer.stop();
+    }
+  });
+
+  it('should retry a failed delivery after the backoff and then mark it sent', async () => {
+    const sendMail = jest.spyOn(mailService, 'sendMail')
+      .mockRejectedValueOnce(new Error('Connection refused'))
+      .mockResolvedValue({ id: 'msg-1', transport: 'test' });
+    const notification = await notify();
+
+    expect(await processQueue()).toEqual({ processed: 1, sent: 0, failed: 1 });
+    const retrying = await OutboundEmail.findOne({ notifications: notification._id });
+    expect(retrying.status).toBe('Pending');
+    expect(retrying.lastError).toBe('Connection refused');
+    expect(retrying.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+
+    // Not due yet
+    expect(await processQueue()).toEqual({ processed: 0, sent: 0, failed: 0 });
+
+    await OutboundEmail.updateOne({ _id: retrying._id }, { $set: { nextAttemptAt: new Date() } });
+    expect(await processQueue()).toEqual({ processed: 1, sent: 1, failed: 0 });
+
+    const sent = await OutboundEmail.findById(retrying._id);
+    expect(sent.status).toBe('Sent');
+    expect(sent.attempts).toBe(2);
+    expect(sent.providerMessageId).toBe('msg-1');
+    expect((await Notification.findById(notification._id)).emailSent).toBe(true);
+    expect(sendMail).toHaveBeenCalledTimes(2);
+  });
+
+  it('should leave urgent notifications already queued out of the digest', async () => {
+    await User.updateOne({ _id: sara._id }, { $set: { 'notificationPreferences.emailFrequency': 'daily' } });
+    const urgent = await notify({ title: 'Session Cancelled', priority: 'urgent' });
+    const routine = await notify({ title: 'Session Scheduled' });
+
+    expect(await OutboundEmail.countDocuments()).toBe(1);
+
+    expect(await sendDailyDigests(new Date(Date.now() + 1000))).toBe(1);
+
+    const digest = await OutboundEmail.findOne({ kind: 'digest' });
+    expect(digest.notifications.map(id => id.toString())).toEqual([routine._id.toString()]);
+    expect(digest.text).not.toContain('Session Cancelled');
+
+    const immediate = await OutboundEmail.findOne({ kind: 'notification' });
+    expect(immediate.notifications.map(id => id.toString())).toEqual([urgent._id.toString()]);
+  });
+});
@@ -0,0 +1,136 @@
+process.env.NODE_ENV = 'test';
+delete process.env.OPENAI_API_KEY;
+
+const axios = require('axios');
+const mongoose = require('mongoose');
+const Mentor = require('../models/Mentor');
+const {
+  LOCAL_DIMENSIONS,
+  tokenize,
+  buildTermVector,
+  getEmbeddingProvider,
+  getMentorText,
+  hashSource,
+  hasCurrentEmbedding,
+  scoreMentorSimilarity,
+  calculateTextSimilarity,
+} = require('../services/embeddingService');
+const { matchMentors } = require('../services/matchingService');
+
+const buildMentor = (overrides = {}) => new Mentor({
+  user: new mongoose.Types.ObjectId(),
+  name: 'Mentor',
+  expertise: ['Fundraising'],
+  isActive: true,
+  availability: 'Available',
+  ...overrides,
+});
+
+describe('Local embeddings', () => {
+  let bulkWrite;
+
+  beforeEach(() => {
+    bulkWrite = jest.spyOn(Mentor, 'bulkWrite').mockResolvedValue({});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should use the local provider without an OpenAI key', () => {
+    expect(getEmbeddingProvider().name).toBe('local');
+  });
+
+  it('should normalize terms and drop stopwords', () => {
+    expect(tokenize('Scaling the sales teams and scaled pricing')).toEqual(
+      ['scal', 'sale', 'team', 'scal', 'pric']
+    );
+
+    const vector = buildTermVector('growth growth marketing');
+    expect(vector).toHaveLength(LOCAL_DIMENSIONS);
+    expect(vector.filter(v => v > 0)).toHaveLength(2);
+  });
+
+  it('should rank mentors by profile similarity', async () => {
+    const growth = buildMentor({
+      bio: 'Led growth marketing and customer acquisition at two consumer startups',
+      expertise: ['Growth Marketing', 'SEO'],
+    });
+    const hardware = buildMentor({
+      bio: 'Built embedded firmware and supply chains for hardware products',
+      expertise: ['Manufacturing', 'Firmware'],
+    });
+
+    const scores = await scoreMentorSimilarity(
+      'We need help with customer acquisition and growth marketing',
+      [growth, hardware]
+    );
+
+    expect(scores.get(growth._id.toString())).toBeGreaterThan(scores.get(hardware._id.toString()));
+    expect(await calculateTextSimilarity('seed fundraising', 'seed fundraising')).toBe(100);
+  });
+
+  it('should cache mentor vectors and rebuild them when the bio changes', async () => {
+    const mentor = buildMentor({ bio: 'Fintech payments operator' });
+    const provider = getEmbeddingProvider();
+
+    await scoreMentorSimilarity('payments', [mentor]);
+    expect(bulkWrite).toHaveBeenCalledTimes(1);
+    expect(hasCurrentEmbedding(mentor, provider)).toBe(true);
+
+    await scoreMentorSimilarity('payments', [mentor]);
+    expect(bulkWrite).toHaveBeenCalledTimes(1);
+
+    mentor.bio = 'Healthcare operations';
+    expect(hasCurrentEmbedding(mentor, provider)).toBe(false);
+
+    await scoreMentorSimilarity('payments', [mentor]);
+    expect(bulkWrite).toHaveBeenCalledTimes(2);
+    expect(mentor.embedding.sourceHash).toBeDefined();
+  });
+
+  it('should include semantic scores in matches', async () => {
+    const mentor = buildMentor({ bio: 'Raised three seed rounds', expertise: ['Fundraising'] });
+
+    const [match] = await matchMentors(
+      { skills: ['Fundraising'], domains: [], preferredTimes: [], description: 'Preparing to raise our seed round' },
+      [mentor]
+    );
+
+    expect(match.semanticScore).toBeGreaterThan(0);
+  });
+});
+
+describe('OpenAI fallback', () => {
+  let bulkWrite;
+
+  beforeEach(() => {
+    process.env.OPENAI_API_KEY = 'test-key';
+    bulkWrite = jest.spyOn(Mentor, 'bulkWrite').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    delete process.env.OPENAI_API_KEY;
+    jest.restoreAllMocks();
+  });
+
+  it('should score with local vectors without overwriting cached OpenAI vectors', async () => {
+    const cached = buildMentor({ bio: 'Fintech payments operator' });
+    cached.embedding = {
+      provider: 'openai',
+      model: 'text-embedding-3-small',
+      sourceHash: hashSource(getMentorText(cached)),
+      vector: [0.1, 0.2, 0.3],
+    };
+    const uncached = buildMentor({ bio: 'Healthcare operations lead' });
+    const openai = getEmbeddingProvider();
+    jest.spyOn(axios, 'post').mockRejectedValue(new Error('Service unavailable'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const scores = await scoreMentorSimilarity('payments', [cached, uncached]);
+
+    expect(openai.name).toBe('openai');
+    expect(scores.get(cached._id.toString())).toBeGreaterThan(scores.get(uncached._id.toString()));
+    expect(bulkWrite).not.toHaveBeenCalled();
+    expect(hasCurrentEmbedding(cached, openai)).toBe(true);
+    expect(uncached.embedding.provider).toBeUndefined();
+  });
+});
@@ -0,0 +1,253 @@
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test_jwt_secret_for_ci';
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../server');
+const FundingApplication = require('../models/FundingApplication');
+const Startup = require('../models/Startup');
+const User = require('../models/User');
+const { FUNDING_DOCUMENTS_DIR } = require('../middleware/upload');
+
+/**
+ * Build an unsaved application whose save() is stubbed
+ */
+const buildApplication = () => {
+  const application = new FundingApplication({
+    startup: new mongoose.Types.ObjectId(),
+    applicant: new mongoose.Types.ObjectId(),
+    roundType: 'Seed',
+    amountRequested: 100000,
+    purpose: 'Expand engineering team',
+  });
+  jest.spyOn(application, 'save').mockResolvedValue(application);
+  return application;
+};
+
+const buildFile = (overrides = {}) => ({
+  filename: `deck-${Date.now()}.pdf`,
+  originalname: 'deck.pdf',
+  mimetype: 'application/pdf',
+  size: 1024,
+  ...overrides,
+});
+
+describe('Funding Application Documents', () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  it('should add a new document with an authorized download path', async () => {
+    const application = buildApplication();
+
+    const doc = await application.addDocumentVersion(buildFile(), { type: 'Pitch Deck' }, userId);
+
+    expect(doc.name).toBe('deck.pdf');
+    expect(doc.version).toBe(1);
+    expect(doc.versions).toHaveLength(1);
+    expect(doc.url).toBe(`/api/funding/applications/${application._id}/documents/${doc._id}/download`);
+    expect(doc.url.startsWith('/uploads')).toBe(false);
+  });
+
+  it('should keep earlier versions when a document is replaced', async () => {
+    const application = buildApplication();
+    const doc = await application.addDocumentVersion(buildFile(), { type: 'Cap Table' }, userId);
+
+    const replaced = await application.addDocumentVersion(
+      buildFile({ originalname: 'cap-table-v2.xlsx', size: 2048 }),
+      { documentId: doc._id },
+      userId
+    );
+
+    expect(replaced._id.toString()).toBe(doc._id.toString());
+    expect(replaced.version).toBe(2);
+    expect(replaced.fileSize).toBe(2048);
+    expect(replaced.versions.map(v => v.version)).toEqual([1, 2]);
+    expect(replaced.versions[0].originalName).toBe('deck.pdf');
+    expect(application.documents).toHaveLength(1);
+  });
+
+  it('should hide deleted documents but keep their history', async () => {
+    const application = buildApplication();
+    const doc = await application.addDocumentVersion(buildFile(), { type: 'Other' }, userId);
+
+    doc.deletedAt = new Date();
+
+    expect(application.getActiveDocuments()).toHaveLength(0);
+    expect(application.documents[0].versions).toHaveLength(1);
+    await expect(
+      application.addDocumentVersion(buildFile(), { documentId: doc._id }, userId)
+    ).rejects.toThrow('Document not found');
+  });
+});
+
+describe('Funding Document Routes', () => {
+  let mongoServer;
+  let founder;
+  let editor;
+  let viewer;
+  let outsider;
+  let reviewer;
+  let application;
+  let documentId;
+
+  const auth = user => ({ Authorization: `Bearer ${user.getSignedJwtToken()}` });
+  const documentsUrl = () => `/api/funding/applications/${application._id}/documents`;
+  const pdf = Buffer.from('%PDF-1.4 test document');
+
+  beforeAll(async () => {
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.disconnect();
+    }
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    [founder, editor, viewer, outsider, reviewer] = await User.create([
+      { name: 'Ada Founder', email: 'ada@example.com', password: 'password123', role: 'founder' },
+      { name: 'Eddie Editor', email: 'eddie@example.com', password: 'password123', role: 'founder' },
+      { name: 'Vera Viewer', email: 'vera@example.com', password: 'password123', role: 'founder' },
+      { name: 'Oscar Outsider', email: 'oscar@example.com', password: 'password123', role: 'founder' },
+      { name: 'Rita Reviewer', email: 'rita@example.com', password: 'password123', role: 'mentor' },
+    ]);
+
+    const startup = await Startup.create({
+      name: 'Document Startup',
+      shortDesc: 'A startup with documents',
+      domain: 'FinTech',
+      stage: 'MVP',
+      founder: founder._id,
+      team: [{ user: editor._id, role: 'editor' }, { user: viewer._id, role: 'viewer' }],
+      founders: [{ name: 'Ada Founder', email: 'ada@example.com' }],
+      contact: { email: 'contact@documents.io' },
+    });
+
+    application = await FundingApplication.create({
+      startup: startup._id,
+      applicant: founder._id,
+      roundType: 'Seed',
+      amountRequested: 100000,
+      purpose: 'Expand engineering team',
+      reviewers: [{ reviewer: reviewer._id, decision: 'Pending' }],
+    });
+  });
+
+  afterAll(async () => {
+    // Remove the uploaded files from the private document store
+    const stored = application && await FundingApplication.findById(application._id);
+    const files = (stored ? stored.documents : []).flatMap(d => d.versions.map(v => v.storedName));
+    await Promise.all(files.map(name => fs.promises.unlink(path.join(FUNDING_DOCUMENTS_DIR, name)).catch(() => {})));
+
+    await mongoose.disconnect();
+    if (mongoServer) {
+      await mongoServer.stop();
+    }
+  });
+
+  it('should let the applicant upload a document', async () => {
+    const res = await request(app)
+      .post(documentsUrl())
+      .set(auth(founder))
+      .field('type', 'Pitch Deck')
+      .attach('document', pdf, { filename: 'deck.pdf', contentType: 'application/pdf' })
+      .expect(201);
+
+    expect(res.body.data.version).toBe(1);
+    expect(res.body.data.url).toBe(`${documentsUrl()}/${res.body.data._id}/download`);
+    documentId = res.body.data._id;
+  });
+
+  it('should let a startup editor replace it with a new version', async () => {
+    const res = await request(app)
+      .put(`${documentsUrl()}/${documentId}`)
+      .set(auth(editor))
+      .attach('document', pdf, { filename: 'deck-v2.pdf', contentType: 'application/pdf' })
+      .expect(200);
+
+    expect(res.body.data.version).toBe(2);
+    expect(res.body.data.versions).toHaveLength(2);
+  });
+
+  it('should refuse changes from viewers, reviewers and outsiders', async () => {
+    for (const user of [viewer, reviewer]) {
+      const res = await request(app)
+        .post(documentsUrl())
+        .set(auth(user))
+        .send({ type: 'Other' })
+        .expect(403);
+
+      expect(res.body.success).toBe(false);
+    }
+
+    await request(app)
+      .delete(`${documentsUrl()}/${documentId}`)
+      .set(auth(viewer))
+      .expect(403);
+
+    await request(app)
+      .get(documentsUrl())
+      .set(auth(outsider))
+      .expect(403);
+
+    await request(app)
+      .get(`${documentsUrl()}/${documentId}/download`)
+      .set(auth(outsider))
+      .expect(403);
+  });
+
+  it('should let reviewers list documents and download through a signed URL', async () => {
+    const list = await request(app)
+      .get(documentsUrl())
+      .set(auth(reviewer))
+      .expect(200);
+
+    expect(list.body.count).toBe(1);
+
+    const signed = await request(app)
+      .get(`${documentsUrl()}/${documentId}/download?version=1`)
+      .set(auth(reviewer))
+      .expect(200);
+
+    expect(signed.body.data.version).toBe(1);
+
+    const file = await request(app).get(signed.body.data.url).expect(200);
+    expect(file.headers['content-disposition']).toContain('deck.pdf');
+    expect(file.headers['cache-control']).toBe('private, no-store');
+
+    const tampered = await request(app)
+      .get(`${signed.body.data.url.slice(0, -4)}abcd`)
+      .expect(401);
+
+    expect(tampered.body.code).toBe('INVALID_LINK');
+  });
+
+  it('should lock documents once the application is under review', async () => {
+    await FundingApplication.updateOne({ _id: application._id }, { status: 'Under Review' });
+
+    await request(app)
+      .delete(`${documentsUrl()}/${documentId}`)
+      .set(auth(founder))
+      .expect(400);
+
+    await FundingApplication.updateOne({ _id: application._id }, { status: 'Draft' });
+  });
+
+  it('should hide deleted documents from everyone but admins', async () => {
+    await request(app)
+      .delete(`${documentsUrl()}/${documentId}`)
+      .set(auth(founder))
+      .expect(200);
+
+    const list = await request(app)
+      .get(documentsUrl())
+      .set(auth(founder))
+      .expect(200);
+
+    expect(list.body.count).toBe(0);
+
+    await request(app)
+      .get(`${documentsUrl()}/${documentId}/download`)
+      .set(auth(reviewer))
+      .expect(404);
+  });
+});
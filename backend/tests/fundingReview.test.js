@@ -0,0 +1,342 @@
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test_jwt_secret_for_ci';
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../server');
+const FundingApplication = require('../models/FundingApplication');
+const ScoringRubric = require('../models/ScoringRubric');
+const Startup = require('../models/Startup');
+const User = require('../models/User');
+
+const rule = { quorum: 2, approveScore: 70, rejectScore: 50 };
+
+/**
+ * Build an unsaved application with the given reviews
+ */
+const buildApplication = (reviews = [], overrides = {}) => new FundingApplication({
+  startup: new mongoose.Types.ObjectId(),
+  applicant: new mongoose.Types.ObjectId(),
+  roundType: 'Seed',
+  amountRequested: 100000,
+  purpose: 'Expand engineering team',
+  status: 'Under Review',
+  reviewers: reviews.map(r => ({ reviewer: new mongoose.Types.ObjectId(), ...r })),
+  ...overrides,
+});
+
+describe('Funding Review Decision Rule', () => {
+  it('should wait until quorum is reached', () => {
+    const application = buildApplication([
+      { decision: 'Approved', score: 90 },
+      { decision: 'Pending' },
+      { decision: 'Pending' },
+    ]);
+
+    const summary = application.evaluateDecision(rule);
+    expect(summary.ready).toBe(false);
+    expect(summary.decision).toBeNull();
+    expect(summary.completedReviews).toBe(1);
+  });
+
+  it('should approve when the average score meets the threshold', () => {
+    const application = buildApplication([
+      { decision: 'Approved', score: 80 },
+      { decision: 'Rejected', score: 65 },
+    ]);
+
+    const summary = application.evaluateDecision(rule);
+    expect(summary.ready).toBe(true);
+    expect(summary.averageScore).toBe(73);
+    expect(summary.decision).toBe('Approved');
+  });
+
+  it('should reject when the average score is below the reject threshold', () => {
+    const application = buildApplication([
+      { decision: 'Rejected', score: 30 },
+      { decision: 'Approved', score: 60 },
+    ]);
+
+    expect(application.evaluateDecision(rule).decision).toBe('Rejected');
+  });
+
+  it('should ask for more info between the thresholds', () => {
+    const application = buildApplication([
+      { decision: 'Approved', score: 65 },
+      { decision: 'Approved', score: 55 },
+    ]);
+
+    expect(application.evaluateDecision(rule).decision).toBe('Needs More Info');
+  });
+
+  it('should ask for more info when most reviewers request it', () => {
+    const application = buildApplication([
+      { decision: 'Needs More Info', score: 90 },
+      { decision: 'Needs More Info', score: 85 },
+      { decision: 'Approved', score: 95 },
+    ]);
+
+    expect(application.evaluateDecision(rule).decision).toBe('Needs More Info');
+  });
+
+  it('should count a score of zero in the average', () => {
+    const application = buildApplication([
+      { decision: 'Rejected', score: 0 },
+      { decision: 'Approved', score: 80 },
+    ]);
+
+    expect(application.averageScore).toBe(40);
+  });
+
+  it('should cap quorum at the number of assigned reviewers', () => {
+    const application = buildApplication([{ decision: 'Approved', score: 85 }]);
+
+    const summary = application.evaluateDecision({ ...rule, quorum: 3 });
+    expect(summary.quorum).toBe(1);
+    expect(summary.decision).toBe('Approved');
+  });
+});
+
+describe('Funding Decision Application', () => {
+  it('should default the approved amount to the requested amount', async () => {
+    const application = buildApplication([{ decision: 'Approved', score: 85 }]);
+    jest.spyOn(application, 'save').mockResolvedValue(application);
+
+    await application.applyDecision('Approved', { terms: { investmentType: 'SAFE' } });
+
+    expect(application.status).toBe('Approved');
+    expect(application.amountApproved).toBe(100000);
+    expect(application.terms.investmentType).toBe('SAFE');
+  });
+
+  it('should reset reviews when resubmitted after a Needs More Info decision', async () => {
+    const application = buildApplication(
+      [{ decision: 'Needs More Info', score: 60 }],
+      { status: 'Needs More Info' }
+    );
+    jest.spyOn(application, 'save').mockResolvedValue(application);
+
+    await application.resubmit();
+
+    expect(application.status).toBe('Under Review');
+    expect(application.reviewers[0].decision).toBe('Pending');
+    expect(application.averageScore).toBeNull();
+  });
+
+  it('should refuse to decide applications that are not under review', async () => {
+    const application = buildApplication([], { status: 'Draft' });
+
+    await expect(application.applyDecision('Approved')).rejects.toThrow();
+  });
+});
+
+describe('Scoring Rubrics', () => {
+  const rubric = new ScoringRubric({
+    roundType: 'Seed',
+    version: 1,
+    criteria: [
+      { key: 'team', label: 'Team', weight: 3 },
+      { key: 'market', label: 'Market', weight: 2 },
+      { key: 'traction', label: 'Traction', weight: 1, maxScore: 5 },
+    ],
+  });
+
+  it('should compute a weighted composite score out of 100', () => {
+    const score = rubric.computeScore([
+      { criterion: 'team', score: 10 },
+      { criterion: 'market', score: 5 },
+      { criterion: 'traction', score: 0 },
+    ]);
+
+    // (1.0 * 3 + 0.5 * 2 + 0 * 1) / 6 = 0.667
+    expect(score).toBe(66.7);
+  });
+
+  it('should report missing, out of range and unknown criteria', () => {
+    const errors = rubric.validateScores([
+      { criterion: 'team', score: 11 },
+      { criterion: 'traction', score: 3 },
+      { criterion: 'financials', score: 4 },
+    ]);
+
+    expect(errors).toEqual([
+      'Score for "Team" must be between 0 and 10',
+      'Score for "Market" is required',
+      'Unknown criterion "financials"',
+    ]);
+  });
+
+  it('should reject duplicate criterion keys', () => {
+    const invalid = new ScoringRubric({
+      roundType: 'Seed',
+      version: 2,
+      criteria: [
+        { key: 'team', label: 'Team', weight: 1 },
+        { key: 'team', label: 'Team again', weight: 1 },
+      ],
+    });
+
+    expect(invalid.validateSync().errors.criteria).toBeDefined();
+  });
+
+  it('should flag reviewer disagreement for calibration', () => {
+    const application = buildApplication([
+      {
+        decision: 'Approved',
+        score: 90,
+        criteriaScores: [
+          { criterion: 'team', score: 10 },
+          { criterion: 'market', score: 8 },
+          { criterion: 'traction', score: 4 },
+        ],
+      },
+      {
+        decision: 'Rejected',
+        score: 40,
+        criteriaScores: [
+          { criterion: 'team', score: 3 },
+          { criterion: 'market', score: 7 },
+          { criterion: 'traction', score: 4 },
+        ],
+      },
+    ]);
+
+    expect(application.scoreVariance).toBe(625);
+
+    const breakdown = application.getScoreBreakdown(rubric, 15);
+    const team = breakdown.criteria.find(c => c.key === 'team');
+    const traction = breakdown.criteria.find(c => c.key === 'traction');
+
+    expect(breakdown.composite.stdDev).toBe(25);
+    expect(team.needsCalibration).toBe(true);
+    expect(traction.stdDev).toBe(0);
+    expect(traction.needsCalibration).toBe(false);
+    expect(breakdown.needsCalibration).toBe(true);
+  });
+});
+
+describe('Funding Review Routes', () => {
+  let mongoServer;
+  let founder;
+  let admin;
+  let reviewer;
+  let application;
+
+  const auth = user => ({ Authorization: `Bearer ${user.getSignedJwtToken()}` });
+  const criteria = [{ key: 'team', label: 'Team', weight: 1 }];
+
+  beforeAll(async () => {
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.disconnect();
+    }
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    [founder, admin, reviewer] = await User.create([
+      { name: 'Ada Founder', email: 'ada@example.com', password: 'password123', role: 'founder', verified: true },
+      { name: 'Admin User', email: 'admin@example.com', password: 'password123', role: 'admin', verified: true },
+      { name: 'Rita Reviewer', email: 'rita@example.com', password: 'password123', role: 'mentor', verified: true },
+    ]);
+
+    const startup = await Startup.create({
+      name: 'Review Startup',
+      shortDesc: 'A startup under review',
+      domain: 'FinTech',
+      stage: 'MVP',
+      founder: founder._id,
+      founders: [{ name: 'Ada Founder', email: 'ada@example.com' }],
+      contact: { email: 'contact@review.io' },
+    });
+
+    application = await FundingApplication.create({
+      startup: startup._id,
+      applicant: founder._id,
+      roundType: 'Seed',
+      amountRequested: 100000,
+      purpose: 'Expand engineering team',
+    });
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (mongoServer) {
+      await mongoServer.stop();
+    }
+  });
+
+  it('should lock the rubric in force when the application is submitted', async () => {
+    await ScoringRubric.publishVersion('Seed', { name: 'Seed v1', criteria }, admin._id);
+
+    await request(app)
+      .post(`/api/funding/applications/${application._id}/submit`)
+      .set(auth(founder))
+      .expect(200);
+
+    // A rubric published before review starts does not apply
+    await ScoringRubric.publishVersion('Seed', { name: 'Seed v2', criteria }, admin._id);
+
+    await request(app)
+      .post(`/api/funding/applications/${application._id}/reviewers`)
+      .set(auth(admin))
+      .send({ reviewerId: reviewer._id.toString() })
+      .expect(200);
+
+    const updated = await FundingApplication.findById(application._id);
+    expect(updated.status).toBe('Under Review');
+    expect(updated.rubricVersion).toBe(1);
+  });
+
+  it('should only show reviews to the committee', async () => {
+    const asApplicant = await request(app)
+      .get(`/api/funding/applications/${application._id}`)
+      .set(auth(founder))
+      .expect(200);
+
+    expect(asApplicant.body.data.reviewers).toBeUndefined();
+    expect(asApplicant.body.scoreBreakdown).toBeUndefined();
+
+    const list = await request(app)
+      .get('/api/funding/applications')
+      .set(auth(founder))
+      .expect(200);
+
+    expect(list.body.data[0].reviewers).toBeUndefined();
+
+    const asReviewer = await request(app)
+      .get(`/api/funding/applications/${application._id}`)
+      .set(auth(reviewer))
+      .expect(200);
+
+    expect(asReviewer.body.data.reviewers).toHaveLength(1);
+
+    const asAdmin = await request(app)
+      .get(`/api/funding/applications/${application._id}`)
+      .set(auth(admin))
+      .expect(200);
+
+    expect(asAdmin.body.data.reviewers[0].reviewer.name).toBe('Rita Reviewer');
+  });
+
+  it('should take a single valid score when the locked rubric no longer exists', async () => {
+    await ScoringRubric.deleteMany({});
+    const reviewUrl = `/api/funding/applications/${application._id}/review`;
+
+    const missing = await request(app).post(reviewUrl).set(auth(reviewer)).send({ decision: 'Approved' });
+    expect(missing.status).toBe(400);
+    expect(missing.body.errors).toEqual([{ field: 'score', message: 'Score is required' }]);
+
+    const notANumber = await request(app).post(reviewUrl).set(auth(reviewer)).send({ decision: 'Approved', score: 'high' });
+    expect(notANumber.status).toBe(400);
+
+    const outOfRange = await request(app).post(reviewUrl).set(auth(reviewer)).send({ decision: 'Approved', score: 150 });
+    expect(outOfRange.status).toBe(400);
+
+    const res = await request(app).post(reviewUrl).set(auth(reviewer)).send({ decision: 'Approved', score: '82.5' });
+    expect(res.status).toBe(200);
+
+    const reviewed = await FundingApplication.findById(application._id);
+    expect(reviewed.reviewers[0].score).toBe(82.5);
+    expect(reviewed.reviewers[0].criteriaScores).toHaveLength(0);
+  });
+});
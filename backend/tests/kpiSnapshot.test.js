@@ -0,0 +1,351 @@
+// Set test environment BEFORE importing app
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test_jwt_secret_for_ci';
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../server');
+const Startup = require('../models/Startup');
+const KpiSnapshot = require('../models/KpiSnapshot');
+const User = require('../models/User');
+const {
+  deriveMetrics,
+  calculateTrends,
+  buildChartSeries,
+} = require('../services/kpiService');
+
+const month = (period, figures) => ({ period, revenue: 0, users: 0, funding: 0, monthlyBurnRate: 0, ...figures });
+
+/**
+ * Derive a series the way recordKpiSnapshot does, month by month
+ */
+const derive = months => months.map((m, i, all) => deriveMetrics(m, i > 0 ? all[i - 1] : null));
+
+describe('Derived metrics', () => {
+  it('should derive growth from the previous month and runway from cash and burn', () => {
+    const [first, second] = derive([
+      month('2026-01', { revenue: 1000, users: 100 }),
+      month('2026-02', { revenue: 1250, users: 90, cashBalance: 60000, monthlyBurnRate: 8000 }),
+    ]);
+
+    expect(first.growth).toBeNull();
+    expect(second.growth).toBe(25);
+    expect(second.userGrowth).toBe(-10);
+    expect(second.runway).toBe(7.5);
+    expect(first.runway).toBeNull();
+  });
+
+  it('should summarize recent growth and its consistency', () => {
+    const series = derive([
+      month('2026-01', { revenue: 1000, users: 100, monthlyBurnRate: 5000 }),
+      month('2026-02', { revenue: 1100, users: 120, monthlyBurnRate: 5000 }),
+      month('2026-03', { revenue: 1050, users: 150, monthlyBurnRate: 5500 }),
+      month('2026-04', { revenue: 1260, users: 180, monthlyBurnRate: 6000, cashBalance: 72000 }),
+    ]);
+
+    expect(calculateTrends(series)).toEqual({
+      monthsReported: 4,
+      lastPeriod: '2026-04',
+      revenueGrowth: 8.5,
+      userGrowth: 21.7,
+      growthConsistency: 0.67,
+      burnChange: 20,
+      runway: 12,
+    });
+  });
+
+  it('should keep unreported months as gaps in chart series', () => {
+    const chart = buildChartSeries(derive([
+      month('2025-11', { revenue: 500 }),
+      month('2026-01', { revenue: 800 }),
+    ]));
+
+    expect(chart.periods).toEqual(['2025-11', '2025-12', '2026-01']);
+    expect(chart.series.find(s => s.key === 'revenue').values).toEqual([500, null, 800]);
+    expect(chart.latest.period).toBe('2026-01');
+  });
+});
+
+describe('Progress score', () => {
+  const base = { name: 'Acme', shortDesc: 'A', domain: 'SaaS', status: 'Active', stage: 'MVP' };
+
+  it('should score point values until enough months are reported', () => {
+    const startup = new Startup({ ...base, kpis: { revenue: 1000, users: 150, growth: 5, funding: 10000 } });
+
+    expect(startup.calculateProgressScore()).toBe(40 + 15 + 10);
+  });
+
+  it('should reward sustained growth over a single good month', () => {
+    const kpis = { revenue: 1000, users: 150, growth: 5, funding: 10000 };
+    const steady = new Startup({
+      ...base,
+      kpis,
+      kpiTrends: { monthsReported: 6, revenueGrowth: 12, userGrowth: 10, growthConsistency: 1, runway: 14 },
+    });
+    const erratic = new Startup({
+      ...base,
+      kpis,
+      kpiTrends: { monthsReported: 6, revenueGrowth: 2, userGrowth: -3, growthConsistency: 0.4, runway: 3 },
+    });
+
+    expect(steady.calculateProgressScore()).toBe(40 + 25);
+    expect(erratic.calculateProgressScore()).toBeLessThan(steady.calculateProgressScore());
+    expect(erratic.calculateProgressScore({ monthsReported: 1 })).toBe(40 + 25);
+  });
+});
+
+/**
+ * Test Suite for the KPI routes
+ */
+describe('KPI Routes', () => {
+  let mongoServer;
+  let founder;
+  let editor;
+  let viewer;
+  let outsider;
+  let mentorUser;
+  let admin;
+  let startup;
+
+  const auth = user => ({ Authorization: `Bearer ${user.getSignedJwtToken()}` });
+
+  const thisMonth = KpiSnapshot.periodOf(new Date());
+  const monthsAgo = months => KpiSnapshot.shiftPeriod(thisMonth, -months);
+
+  const report = (figures, user = editor) => request(app)
+    .post(`/api/startups/${startup._id}/kpis`)
+    .set(auth(user))
+    .send(figures);
+
+  beforeAll(async () => {
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.disconnect();
+    }
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  beforeEach(async () => {
+    [founder, editor, viewer, outsider, mentorUser, admin] = await User.create([
+      { name: 'Fay Founder', email: 'fay@example.com', password: 'password123', role: 'founder' },
+      { name: 'Ed Editor', email: 'ed@example.com', password: 'password123', role: 'founder' },
+      { name: 'Vi Viewer', email: 'vi@example.com', password: 'password123', role: 'founder' },
+      { name: 'Oscar Outsider', email: 'oscar@example.com', password: 'password123', role: 'founder' },
+      { name: 'Grace Mentor', email: 'grace@example.com', password: 'password123', role: 'mentor' },
+      { name: 'Ann Admin', email: 'ann@example.com', password: 'password123', role: 'admin' },
+    ]);
+
+    startup = await Startup.create({
+      name: 'Metrics Startup',
+      shortDesc: 'A startup reporting its numbers',
+      domain: 'SaaS',
+      stage: 'MVP',
+      status: 'Active',
+      founder: founder._id,
+      founders: [{ name: 'Fay Founder', email: 'fay@example.com' }],
+      contact: { email: 'contact@metrics.io' },
+      team: [
+        { user: editor._id, role: 'editor' },
+        { user: viewer._id, role: 'viewer' },
+      ],
+    });
+  });
+
+  afterEach(async () => {
+    await KpiSnapshot.deleteMany({});
+    await Startup.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (mongoServer) {
+      await mongoServer.stop();
+    }
+  });
+
+  describe('POST /api/startups/:id/kpis', () => {
+    it('should record a month, derive growth and runway, and sync the startup', async () => {
+      await report({ period: monthsAgo(1), revenue: 2000, users: 40, funding: 50000 }).expect(201);
+
+      const res = await report({
+        period: thisMonth,
+        revenue: 2500,
+        users: 50,
+        funding: 50000,
+        monthlyBurnRate: 10000,
+        cashBalance: 45000,
+      });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data).toMatchObject({ period: thisMonth, growth: 25, userGrowth: 25, runway: 4.5 });
+
+      const stored = await Startup.findById(startup._id);
+      expect(stored.kpis).toMatchObject({ revenue: 2500, users: 50, growth: 25, runway: 4.5 });
+      expect(stored.kpiTrends).toMatchObject({ monthsReported: 2, lastPeriod: thisMonth, revenueGrowth: 25 });
+    });
+
+    it('should correct a month in place and re-derive the month after it', async () => {
+      await report({ period: monthsAgo(1), revenue: 2000, users: 40 }).expect(201);
+      await report({ period: thisMonth, revenue: 2500, users: 50 }).expect(201);
+
+      const res = await report({ period: monthsAgo(1), revenue: 2500, users: 40 });
+
+      expect(res.status).toBe(200);
+      expect(res.body.message).toBe(`KPIs for ${monthsAgo(1)} updated`);
+      expect(res.body.data.revisedAt).toBeDefined();
+      expect(await KpiSnapshot.countDocuments()).toBe(2);
+      expect((await KpiSnapshot.findOne({ period: thisMonth })).growth).toBe(0);
+    });
+
+    it('should reject total funding that drops below the month before', async () => {
+      await report({ period: monthsAgo(1), revenue: 2000, users: 40, funding: 50000 }).expect(201);
+
+      const res = await report({ period: thisMonth, revenue: 2500, users: 50, funding: 20000 });
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors).toEqual([
+        { field: 'funding', message: `Total funding cannot be lower than reported for ${monthsAgo(1)}` },
+      ]);
+      expect(await KpiSnapshot.countDocuments({ period: thisMonth })).toBe(0);
+    });
+
+    it('should reject a correction that raises funding above the month after', async () => {
+      await report({ period: monthsAgo(2), revenue: 1000, users: 20, funding: 10000 }).expect(201);
+      await report({ period: monthsAgo(1), revenue: 2000, users: 40, funding: 20000 }).expect(201);
+
+      const res = await report({ period: monthsAgo(2), revenue: 1000, users: 20, funding: 30000 });
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors).toEqual([
+        { field: 'funding', message: `Total funding cannot be higher than reported for ${monthsAgo(1)}` },
+      ]);
+      expect((await KpiSnapshot.findOne({ period: monthsAgo(2) })).funding).toBe(10000);
+    });
+
+    it('should answer a duplicate first report for the same month with a conflict', async () => {
+      const responses = await Promise.all([
+        report({ period: thisMonth, revenue: 1000, users: 10 }),
+        report({ period: thisMonth, revenue: 1200, users: 12 }, founder),
+      ]);
+      const statuses = responses.map(r => r.status).sort();
+
+      // Whichever way the two interleave, neither fails with a server error
+      expect([[201, 409], [200, 201]]).toContainEqual(statuses);
+      const conflict = responses.find(r => r.status === 409);
+      if (conflict) {
+        expect(conflict.body.code).toBe('DUPLICATE_KPI_PERIOD');
+      }
+      expect(await KpiSnapshot.countDocuments({ period: thisMonth })).toBe(1);
+    });
+
+    it('should validate the period and figures', async () => {
+      const future = await report({ period: KpiSnapshot.shiftPeriod(thisMonth, 1), revenue: 1000, users: 10 });
+      expect(future.status).toBe(400);
+      expect(future.body.errors[0].message).toBe('Period cannot be in the future');
+
+      const negative = await report({ revenue: -5, users: 10 });
+      expect(negative.status).toBe(400);
+      expect(negative.body.errors[0]).toEqual({ field: 'revenue', message: 'Revenue must be a non-negative number' });
+    });
+
+    it('should only let editors, owners and admins report', async () => {
+      const asViewer = await report({ revenue: 1000, users: 10 }, viewer);
+      expect(asViewer.status).toBe(403);
+      expect(asViewer.body.message).toBe('Not authorized to report KPIs for this startup');
+
+      const asOutsider = await report({ revenue: 1000, users: 10 }, outsider);
+      expect(asOutsider.status).toBe(403);
+
+      const asMentor = await report({ revenue: 1000, users: 10 }, mentorUser);
+      expect(asMentor.status).toBe(403);
+
+      expect(await KpiSnapshot.countDocuments()).toBe(0);
+
+      await report({ revenue: 1000, users: 10 }, founder).expect(201);
+      await report({ revenue: 1100, users: 11 }, admin).expect(200);
+    });
+  });
+
+  describe('GET /api/startups/:id/kpis', () => {
+    it('should return chart series to the team and reviewers but not other founders', async () => {
+      await report({ period: monthsAgo(2), revenue: 1000, users: 20 }).expect(201);
+      await report({ period: thisMonth, revenue: 1500, users: 30 }).expect(201);
+
+      const res = await request(app).get(`/api/startups/${startup._id}/kpis?months=3`).set(auth(viewer));
+
+      expect(res.status).toBe(200);
+      expect(res.body.count).toBe(2);
+      expect(res.body.data.periods).toEqual([monthsAgo(2), monthsAgo(1), thisMonth]);
+      expect(res.body.data.series.find(s => s.key === 'revenue').values).toEqual([1000, null, 1500]);
+      expect(res.body.data.trends.monthsReported).toBe(2);
+
+      const asMentor = await request(app).get(`/api/startups/${startup._id}/kpis`).set(auth(mentorUser));
+      expect(asMentor.status).toBe(200);
+
+      const asOutsider = await request(app).get(`/api/startups/${startup._id}/kpis`).set(auth(outsider));
+      expect(asOutsider.status).toBe(403);
+
+      const anonymous = await request(app).get(`/api/startups/${startup._id}/kpis`);
+      expect(anonymous.status).toBe(401);
+    });
+  });
+
+  describe('PUT /api/startups/:id', () => {
+    it('should record the KPIs as this month once the update succeeds', async () => {
+      const res = await request(app)
+        .put(`/api/startups/${startup._id}`)
+        .set(auth(editor))
+        .send({ shortDesc: 'Now with revenue', kpis: { revenue: 3000, users: 60 } });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.shortDesc).toBe('Now with revenue');
+      expect(res.body.data.kpis).toMatchObject({ revenue: 3000, users: 60 });
+
+      const snapshot = await KpiSnapshot.findOne({ startup: startup._id, period: thisMonth });
+      expect(snapshot).toMatchObject({ revenue: 3000, users: 60 });
+      expect(snapshot.submittedBy.toString()).toBe(editor._id.toString());
+    });
+
+    it('should not record KPIs when the startup update fails validation', async () => {
+      const res = await request(app)
+        .put(`/api/startups/${startup._id}`)
+        .set(auth(editor))
+        .send({ stage: 'Unicorn', kpis: { revenue: 3000, users: 60 } });
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors.map(e => e.field)).toContain('stage');
+      expect(await KpiSnapshot.countDocuments()).toBe(0);
+      expect((await Startup.findById(startup._id)).kpis.revenue).not.toBe(3000);
+    });
+
+    it('should not let viewers update the KPIs', async () => {
+      const res = await request(app)
+        .put(`/api/startups/${startup._id}`)
+        .set(auth(viewer))
+        .send({ kpis: { revenue: 3000, users: 60 } });
+
+      expect(res.status).toBe(403);
+      expect(await KpiSnapshot.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('DELETE /api/startups/:id', () => {
+    it('should delete the startup\'s KPI history with it', async () => {
+      await report({ period: monthsAgo(1), revenue: 1000, users: 20 }).expect(201);
+      await report({ period: thisMonth, revenue: 1500, users: 30 }).expect(201);
+      const other = await KpiSnapshot.create({
+        startup: new mongoose.Types.ObjectId(),
+        period: thisMonth,
+        revenue: 10,
+        users: 1,
+      });
+
+      await request(app).delete(`/api/startups/${startup._id}`).set(auth(admin)).expect(200);
+
+      expect(await KpiSnapshot.countDocuments({ startup: startup._id })).toBe(0);
+      expect(await KpiSnapshot.exists({ _id: other._id })).toBeTruthy();
+    });
+  });
+});
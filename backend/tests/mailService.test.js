@@ -0,0 +1,38 @@
+const { getTransport } = require('../services/mailService');
+
+const ENV_KEYS = ['NODE_ENV', 'MAIL_TRANSPORT', 'EMAIL_HOST'];
+const originalEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+
+const setEnv = (values) => {
+  ENV_KEYS.forEach((key) => {
+    if (values[key] === undefined) delete process.env[key];
+    else process.env[key] = values[key];
+  });
+};
+
+afterEach(() => setEnv(originalEnv));
+
+describe('Mail transport selection', () => {
+  it('should write to the outbox outside production', () => {
+    setEnv({ NODE_ENV: 'development' });
+    expect(getTransport().name).toBe('file');
+
+    setEnv({ NODE_ENV: 'test', MAIL_TRANSPORT: 'console' });
+    expect(getTransport().name).toBe('console');
+  });
+
+  it('should use SMTP in production when EMAIL_HOST is set', () => {
+    setEnv({ NODE_ENV: 'production', EMAIL_HOST: 'smtp.example.com' });
+    expect(getTransport().name).toBe('smtp');
+  });
+
+  it('should refuse to send in production without a transport', () => {
+    setEnv({ NODE_ENV: 'production' });
+    expect(() => getTransport()).toThrow('No mail transport configured');
+  });
+
+  it('should never log messages to the console in production', () => {
+    setEnv({ NODE_ENV: 'production', MAIL_TRANSPORT: 'console' });
+    expect(() => getTransport()).toThrow('only available in development and test');
+  });
+});
@@ -0,0 +1,223 @@
+// Set test environment BEFORE importing app
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test_jwt_secret_for_ci';
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../server');
+const Mentor = require('../models/Mentor');
+const MatchingConfig = require('../models/MatchingConfig');
+const User = require('../models/User');
+const {
+  DEFAULT_MATCHING_CONFIG,
+  calculateWeightedScore,
+  matchMentors,
+  explainMatch,
+} = require('../services/matchingService');
+
+const buildMentor = (overrides = {}) => new Mentor({
+  user: new mongoose.Types.ObjectId(),
+  name: 'Mentor',
+  expertise: ['Fundraising', 'Pitch Deck'],
+  domains: ['FinTech'],
+  bio: 'Helped startups raise seed rounds',
+  rating: 4.5,
+  sessionsCompleted: 12,
+  isActive: true,
+  availability: 'Available',
+  maxMentees: 5,
+  ...overrides,
+});
+
+const mentorshipRequest = {
+  skills: ['Fundraising', 'Hiring'],
+  domains: ['FinTech'],
+  preferredTimes: [],
+  description: 'Preparing for a seed round',
+};
+
+describe('Matching configuration', () => {
+  it('should redistribute the weight of missing components', () => {
+    const scores = { skill: 80, domain: 60, availability: 50, rating: 70, capacity: 100, semantic: null };
+    const { weights } = DEFAULT_MATCHING_CONFIG;
+
+    // Previous fixed formula: base score scaled up by the semantic share
+    const base = 80 * 0.30 + 60 * 0.20 + 50 * 0.15 + 70 * 0.15 + 100 * 0.10;
+
+    expect(calculateWeightedScore(scores, weights)).toBeCloseTo(base * (1 + 0.10 / 0.90), 2);
+    expect(calculateWeightedScore({ ...scores, semantic: 40 }, weights)).toBeCloseTo(base + 40 * 0.10, 2);
+  });
+
+  it('should record the weight set on each match', async () => {
+    const config = {
+      _id: new mongoose.Types.ObjectId(),
+      version: 3,
+      weights: { skill: 1, domain: 0, availability: 0, rating: 0, capacity: 0, semantic: 0 },
+      minScore: 0,
+      maxResults: 10,
+    };
+
+    const [match] = await matchMentors(mentorshipRequest, [buildMentor()], { includeAI: false, config });
+
+    expect(match.score).toBe(match.skillMatchScore);
+    expect(match.matchingConfig).toEqual(config._id);
+    expect(match.matchingConfigVersion).toBe(3);
+    expect(match.weights).toEqual(config.weights);
+  });
+
+  it('should apply the minimum score and result limit from the config', async () => {
+    const mentors = [
+      buildMentor(),
+      buildMentor({ expertise: ['Hiring'] }),
+      buildMentor({ expertise: ['Design'], domains: ['Health'] }),
+    ];
+    const config = { ...DEFAULT_MATCHING_CONFIG, minScore: 50, maxResults: 1 };
+
+    const matches = await matchMentors(mentorshipRequest, mentors, { includeAI: false, config });
+
+    expect(matches).toHaveLength(1);
+    expect(matches[0].score).toBeGreaterThanOrEqual(50);
+  });
+
+  it('should explain a match from its stored scores and weights', async () => {
+    const mentor = buildMentor();
+    const [match] = await matchMentors(mentorshipRequest, [mentor], { includeAI: false });
+
+    const explanation = explainMatch(match, mentorshipRequest, mentor);
+
+    expect(explanation.configVersion).toBe(0);
+    expect(explanation.reasons).toContain('Matches 1 of 2 requested skills: Fundraising');
+    expect(explanation.reasons).toContain('Works in FinTech');
+    expect(explanation.reasons).toContain('Rated 4.5/5 over 12 sessions');
+    expect(explanation.components.map(c => c.key)).not.toContain('semantic');
+
+    const contributions = explanation.components.map(c => c.contribution);
+    expect([...contributions].sort((a, b) => b - a)).toEqual(contributions);
+    expect(contributions.reduce((sum, c) => sum + c, 0)).toBeCloseTo(match.score, 0);
+  });
+
+  it('should require a positive non-semantic weight', async () => {
+    const config = new MatchingConfig({
+      version: 1,
+      weights: { skill: 0, domain: 0, availability: 0, rating: 0, capacity: 0, semantic: 1 },
+    });
+
+    await expect(config.validate()).rejects.toThrow('At least one non-semantic weight must be positive');
+  });
+});
+
+/**
+ * Test Suite for the matching configuration routes
+ */
+describe('Matching Configuration Routes', () => {
+  let mongoServer;
+  let admin;
+  let founder;
+
+  const auth = user => ({ Authorization: `Bearer ${user.getSignedJwtToken()}` });
+
+  const weights = { skill: 0.4, domain: 0.2, availability: 0.1, rating: 0.1, capacity: 0.1, semantic: 0.1 };
+
+  const publish = (body, user = admin) => request(app)
+    .post('/api/mentorship/matching/config')
+    .set(auth(user))
+    .send(body);
+
+  beforeAll(async () => {
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.disconnect();
+    }
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    [admin, founder] = await User.create([
+      { name: 'Ann Admin', email: 'ann@example.com', password: 'password123', role: 'admin' },
+      { name: 'Fay Founder', email: 'fay@example.com', password: 'password123', role: 'founder' },
+    ]);
+  });
+
+  afterEach(async () => {
+    await MatchingConfig.deleteMany({});
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (mongoServer) {
+      await mongoServer.stop();
+    }
+  });
+
+  it('should serve the built-in defaults until a version is published', async () => {
+    const res = await request(app).get('/api/mentorship/matching/config/active').set(auth(admin));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.version).toBe(0);
+    expect(res.body.data.weights).toEqual(DEFAULT_MATCHING_CONFIG.weights);
+  });
+
+  it('should publish numbered versions and activate the newest', async () => {
+    const first = await publish({ weights, minScore: 20, maxResults: 5, notes: 'Favour skills' });
+
+    expect(first.status).toBe(201);
+    expect(first.body.data).toMatchObject({ version: 1, isActive: true, minScore: 20, maxResults: 5 });
+    expect(first.body.data.createdBy).toBe(admin._id.toString());
+
+    const second = await publish({ weights: { ...weights, skill: 0.2, domain: 0.4 } });
+    expect(second.status).toBe(201);
+    expect(second.body.data.version).toBe(2);
+
+    const active = await request(app).get('/api/mentorship/matching/config/active').set(auth(admin));
+    expect(active.body.data.version).toBe(2);
+    expect(active.body.data.weights.domain).toBe(0.4);
+
+    const list = await request(app).get('/api/mentorship/matching/config').set(auth(admin));
+    expect(list.body.count).toBe(2);
+    expect(list.body.data.map(c => [c.version, c.isActive])).toEqual([[2, true], [1, false]]);
+
+    // Roll back to the first version
+    const rolledBack = await request(app)
+      .post(`/api/mentorship/matching/config/${first.body.data._id}/activate`)
+      .set(auth(admin));
+    expect(rolledBack.status).toBe(200);
+    expect((await MatchingConfig.getActive()).version).toBe(1);
+  });
+
+  it('should validate the weights', async () => {
+    const outOfRange = await publish({ weights: { ...weights, skill: 1.5 } });
+    expect(outOfRange.status).toBe(400);
+    expect(outOfRange.body.errors).toEqual([
+      { field: 'weights.skill', message: 'Skill weight must be between 0 and 1' },
+    ]);
+
+    const missing = await publish({ weights: { skill: 0.5 } });
+    expect(missing.status).toBe(400);
+    expect(missing.body.errors.map(e => e.field)).toContain('weights.semantic');
+
+    const semanticOnly = await publish({
+      weights: { skill: 0, domain: 0, availability: 0, rating: 0, capacity: 0, semantic: 1 },
+    });
+    expect(semanticOnly.status).toBe(400);
+    expect(semanticOnly.body.errors).toEqual([
+      { field: 'weights', message: 'At least one non-semantic weight must be positive' },
+    ]);
+
+    expect(await MatchingConfig.countDocuments()).toBe(0);
+  });
+
+  it('should be limited to admins', async () => {
+    const published = await publish({ weights }, founder);
+    expect(published.status).toBe(403);
+
+    const listed = await request(app).get('/api/mentorship/matching/config').set(auth(founder));
+    expect(listed.status).toBe(403);
+
+    const active = await request(app).get('/api/mentorship/matching/config/active').set(auth(founder));
+    expect(active.status).toBe(403);
+
+    const anonymous = await request(app).post('/api/mentorship/matching/config').send({ weights });
+    expect(anonymous.status).toBe(401);
+
+    expect(await MatchingConfig.countDocuments()).toBe(0);
+  });
+});
@@ -0,0 +1,218 @@
+// Set test environment BEFORE importing app
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test_jwt_secret_for_ci';
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../server');
+const MentorshipRequest = require('../models/MentorshipRequest');
+const MatchingConfig = require('../models/MatchingConfig');
+const User = require('../models/User');
+const { getMatchOutcome, correlate } = require('../services/matchingEvaluationService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const buildMatch = (mentor, scores, status) => ({
+  mentor,
+  score: 50,
+  skillMatchScore: scores.skill,
+  domainMatchScore: 50,
+  availabilityScore: 50,
+  ratingScore: 50,
+  capacityScore: scores.capacity,
+  semanticScore: null,
+  status,
+});
+
+/**
+ * Historical requests where the mentor who worked out and the one who
+ * declined had the given skill and capacity scores
+ */
+const buildHistory = (count, scores = { good: { skill: 80, capacity: 40 }, poor: { skill: 40, capacity: 90 } }) => (
+  Array.from({ length: count }, (_, index) => {
+    const good = id();
+    const poor = id();
+    return {
+      _id: id(),
+      startup: id(),
+      requestedBy: id(),
+      topic: 'Fundraising',
+      status: 'Completed',
+      selectedMentor: good,
+      matchedMentors: [
+        buildMatch(poor, { ...scores.poor, skill: scores.poor.skill + (index % 5) }, 'Declined'),
+        buildMatch(good, { ...scores.good, skill: scores.good.skill + (index % 5) }, 'Accepted'),
+      ],
+      sessions: [{ mentor: good, status: 'Completed', founderFeedback: { rating: 5 } }],
+      createdAt: new Date(),
+    };
+  })
+);
+
+// History the default weights rank wrongly: capacity outweighs a small skill gap
+const MISRANKED = { good: { skill: 80, capacity: 0 }, poor: { skill: 70, capacity: 100 } };
+
+describe('Matching evaluation', () => {
+  it('should derive outcomes from proposals, sessions and ratings', () => {
+    const mentor = id();
+    const mentorship = {
+      status: 'Scheduled',
+      selectedMentor: mentor,
+      sessions: [
+        { mentor, status: 'Completed', founderFeedback: { rating: 4 } },
+        { mentor, status: 'Completed' },
+      ],
+    };
+
+    expect(getMatchOutcome(mentorship, { mentor, status: 'Accepted' })).toEqual({
+      proposed: true,
+      accepted: 1,
+      completedSessions: 2,
+      rating: 4,
+      success: 0.75,
+    });
+    expect(getMatchOutcome(mentorship, { mentor: id(), status: 'Expired' }).success).toBe(0);
+    expect(getMatchOutcome(mentorship, { mentor: id(), status: 'Suggested' }).proposed).toBe(false);
+  });
+
+  it('should correlate paired values', () => {
+    expect(correlate([[1, 2], [2, 4], [3, 6]])).toBeCloseTo(1);
+    expect(correlate([[1, 1], [2, 1]])).toBeNull();
+  });
+});
+
+/**
+ * Test Suite for the matching evaluation routes
+ */
+describe('Matching Evaluation Routes', () => {
+  let mongoServer;
+  let admin;
+  let founder;
+
+  const auth = user => ({ Authorization: `Bearer ${user.getSignedJwtToken()}` });
+
+  const apply = (body = {}, user = admin) => request(app)
+    .post('/api/mentorship/matching/evaluation/apply')
+    .set(auth(user))
+    .send(body);
+
+  // Stored as-is, the way past matches were recorded
+  const seedHistory = (...args) => MentorshipRequest.collection.insertMany(buildHistory(...args));
+
+  beforeAll(async () => {
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.disconnect();
+    }
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    [admin, founder] = await User.create([
+      { name: 'Ann Admin', email: 'ann@example.com', password: 'password123', role: 'admin' },
+      { name: 'Fay Founder', email: 'fay@example.com', password: 'password123', role: 'founder' },
+    ]);
+  });
+
+  afterEach(async () => {
+    await MentorshipRequest.deleteMany({});
+    await MatchingConfig.deleteMany({});
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (mongoServer) {
+      await mongoServer.stop();
+    }
+  });
+
+  describe('GET /api/mentorship/matching/evaluation', () => {
+    it('should report predictive components and propose weights without applying them', async () => {
+      await seedHistory(15);
+
+      const res = await request(app)
+        .get('/api/mentorship/matching/evaluation?days=90')
+        .set(auth(admin));
+
+      expect(res.status).toBe(200);
+      const report = res.body.data;
+      const byKey = Object.fromEntries(report.components.map(c => [c.key, c]));
+      expect(report.period.days).toBe(90);
+      expect(report.outcomes).toBe(30);
+      expect(byKey.skill.predictiveValue).toBeGreaterThan(0.9);
+      expect(byKey.capacity.predictiveValue).toBeLessThan(-0.9);
+      expect(byKey.domain.predictiveValue).toBeNull();
+
+      expect(report.proposedWeights.skill).toBeGreaterThan(report.currentWeights.skill);
+      expect(report.proposedWeights.capacity).toBeLessThan(report.currentWeights.capacity);
+      expect(report.changed).toBe(true);
+      expect(report.dryRun.proposed.meanReciprocalRank).toBe(1);
+
+      expect(await MatchingConfig.countDocuments()).toBe(0);
+    });
+
+    it('should validate the period', async () => {
+      const res = await request(app)
+        .get('/api/mentorship/matching/evaluation?days=3')
+        .set(auth(admin));
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors[0].message).toBe('Days must be between 7 and 730');
+    });
+  });
+
+  describe('POST /api/mentorship/matching/evaluation/apply', () => {
+    it('should publish the proposed weights when the replay improves ranking', async () => {
+      await seedHistory(15, MISRANKED);
+
+      const res = await apply();
+
+      expect(res.status).toBe(201);
+      const { config, report } = res.body.data;
+      expect(report.dryRun.current.pairwiseAccuracy).toBe(0);
+      expect(report.dryRun.proposed.pairwiseAccuracy).toBe(1);
+      expect(report.dryRun.improves).toBe(true);
+      expect(config.version).toBe(1);
+      expect(config.weights).toEqual(report.proposedWeights);
+      expect(config.notes).toContain('Pairwise accuracy 0 -> 1');
+
+      const active = await MatchingConfig.getActive();
+      expect(active.version).toBe(1);
+      expect(active.createdBy.toString()).toBe(admin._id.toString());
+    });
+
+    it('should refuse weights that do not improve ranking unless forced', async () => {
+      await seedHistory(15);
+
+      const refused = await apply();
+      expect(refused.status).toBe(400);
+      expect(refused.body.message).toBe('Proposed weights do not improve ranking on historical requests');
+      expect(refused.body.data.dryRun.improves).toBe(false);
+      expect(await MatchingConfig.countDocuments()).toBe(0);
+
+      const forced = await apply({ force: true });
+      expect(forced.status).toBe(201);
+      expect(forced.body.data.config.version).toBe(1);
+      expect(await MatchingConfig.countDocuments()).toBe(1);
+    });
+
+    it('should refuse when there are too few outcomes to change the weights', async () => {
+      const res = await apply({ force: true });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Not enough outcomes to propose different weights');
+      expect(await MatchingConfig.countDocuments()).toBe(0);
+    });
+
+    it('should be limited to admins', async () => {
+      await seedHistory(15, MISRANKED);
+
+      const evaluated = await request(app).get('/api/mentorship/matching/evaluation').set(auth(founder));
+      expect(evaluated.status).toBe(403);
+
+      const applied = await apply({ force: true }, founder);
+      expect(applied.status).toBe(403);
+
+      expect(await MatchingConfig.countDocuments()).toBe(0);
+    });
+  });
+});
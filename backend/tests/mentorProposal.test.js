@@ -0,0 +1,303 @@
+// Set test environment BEFORE importing app
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test_jwt_secret_for_ci';
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../server');
+const Mentor = require('../models/Mentor');
+const MentorshipRequest = require('../models/MentorshipRequest');
+const Notification = require('../models/Notification');
+const Startup = require('../models/Startup');
+const User = require('../models/User');
+const { canTakeMentee, expireMentorProposals } = require('../services/mentorProposalService');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Mentor capacity', () => {
+  it('should only offer mentors who are active, available and under capacity', () => {
+    const mentor = overrides => new Mentor({
+      user: new mongoose.Types.ObjectId(),
+      name: 'Mentor',
+      maxMentees: 1,
+      ...overrides,
+    });
+
+    expect(canTakeMentee(mentor())).toBe(true);
+    expect(canTakeMentee(mentor({ currentMentees: [new mongoose.Types.ObjectId()] }))).toBe(false);
+    expect(canTakeMentee(mentor({ availability: 'Unavailable' }))).toBe(false);
+    expect(canTakeMentee(mentor({ isActive: false }))).toBe(false);
+    expect(canTakeMentee(null)).toBe(false);
+  });
+
+  it('should explain why a mentor cannot be proposed', () => {
+    const [asked, declined] = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+    const mentorship = new MentorshipRequest({
+      startup: new mongoose.Types.ObjectId(),
+      requestedBy: new mongoose.Types.ObjectId(),
+      topic: 'Fundraising',
+      status: 'Matched',
+      matchedMentors: [
+        { mentor: asked, score: 90, status: 'Pending' },
+        { mentor: declined, score: 80, status: 'Declined' },
+      ],
+    });
+
+    expect(mentorship.getProposalError(asked)).toBe('This mentor has already been asked');
+    expect(mentorship.getProposalError(declined)).toBe('This mentor has declined the request');
+    expect(mentorship.getProposalError(new mongoose.Types.ObjectId())).toBe('Mentor not in matched list');
+  });
+});
+
+/**
+ * Test Suite for the mentor proposal routes and proposal expiry
+ */
+describe('Mentor Proposal Routes', () => {
+  let mongoServer;
+  let founder;
+  let outsider;
+  let danaUser;
+  let fullUser;
+  let noorUser;
+  let strangerUser;
+  let startup;
+  let dana;
+  let full;
+  let noor;
+  let stranger;
+
+  const auth = user => ({ Authorization: `Bearer ${user.getSignedJwtToken()}` });
+
+  /**
+   * Create a request matched with Dana, a full mentor and Noor, best score first
+   */
+  const createRequest = () => MentorshipRequest.create({
+    startup: startup._id,
+    requestedBy: founder._id,
+    topic: 'Fundraising',
+    description: 'Need help with our seed round',
+    status: 'Matched',
+    matchedMentors: [
+      { mentor: dana._id, score: 90, status: 'Suggested' },
+      { mentor: full._id, score: 80, status: 'Suggested' },
+      { mentor: noor._id, score: 70, status: 'Suggested' },
+    ],
+  });
+
+  const propose = (mentorship, mentor, user = founder) => request(app)
+    .post(`/api/mentorship/requests/${mentorship._id}/select-mentor`)
+    .set(auth(user))
+    .send({ mentorId: mentor._id.toString() });
+
+  const respond = (mentorship, action, user, body = {}) => request(app)
+    .post(`/api/mentorship/requests/${mentorship._id}/${action}`)
+    .set(auth(user))
+    .send(body);
+
+  const statuses = async (mentorship) => {
+    const stored = await MentorshipRequest.findById(mentorship._id);
+    return stored.matchedMentors.map(m => m.status);
+  };
+
+  beforeAll(async () => {
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.disconnect();
+    }
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    [founder, outsider, danaUser, fullUser, noorUser, strangerUser] = await User.create([
+      { name: 'Fay Founder', email: 'fay@example.com', password: 'password123', role: 'founder' },
+      { name: 'Oscar Outsider', email: 'oscar@example.com', password: 'password123', role: 'founder' },
+      { name: 'Dana Mentor', email: 'dana@example.com', password: 'password123', role: 'mentor' },
+      { name: 'Finn Mentor', email: 'finn@example.com', password: 'password123', role: 'mentor' },
+      { name: 'Noor Mentor', email: 'noor@example.com', password: 'password123', role: 'mentor' },
+      { name: 'Sam Mentor', email: 'sam@example.com', password: 'password123', role: 'mentor' },
+    ]);
+
+    startup = await Startup.create({
+      name: 'Proposal Startup',
+      shortDesc: 'A startup looking for a mentor',
+      domain: 'SaaS',
+      stage: 'MVP',
+      founder: founder._id,
+      founders: [{ name: 'Fay Founder', email: 'fay@example.com' }],
+      contact: { email: 'contact@proposal.io' },
+    });
+  });
+
+  beforeEach(async () => {
+    [dana, full, noor, stranger] = await Mentor.create([
+      { user: danaUser._id, name: 'Dana Mentor', expertise: ['Fundraising'], maxMentees: 3 },
+      {
+        user: fullUser._id,
+        name: 'Finn Mentor',
+        expertise: ['Fundraising'],
+        maxMentees: 1,
+        currentMentees: [new mongoose.Types.ObjectId()],
+      },
+      { user: noorUser._id, name: 'Noor Mentor', expertise: ['Fundraising'], maxMentees: 3 },
+      { user: strangerUser._id, name: 'Sam Mentor', expertise: ['Fundraising'], maxMentees: 3, isActive: false },
+    ]);
+  });
+
+  afterEach(async () => {
+    await MentorshipRequest.deleteMany({});
+    await Notification.deleteMany({});
+    await Mentor.deleteMany({});
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (mongoServer) {
+      await mongoServer.stop();
+    }
+  });
+
+  describe('POST /api/mentorship/requests/:id/select-mentor', () => {
+    it('should ask the mentor without assigning them', async () => {
+      const mentorship = await createRequest();
+
+      const res = await propose(mentorship, dana);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.selectedMentor).toBeUndefined();
+      expect(await statuses(mentorship)).toEqual(['Pending', 'Suggested', 'Suggested']);
+
+      const stored = await MentorshipRequest.findById(mentorship._id);
+      expect(stored.matchedMentors[0].expiresAt - stored.matchedMentors[0].proposedAt).toBe(48 * HOUR);
+      expect(await Notification.countDocuments({ recipient: danaUser._id, type: 'mentor_selected' })).toBe(1);
+    });
+
+    it('should refuse mentors who are not matched or not taking mentees', async () => {
+      const mentorship = await createRequest();
+
+      const unmatched = await propose(mentorship, stranger);
+      expect(unmatched.status).toBe(400);
+      expect(unmatched.body.message).toBe('Mentor not in matched list');
+
+      const atCapacity = await propose(mentorship, full);
+      expect(atCapacity.status).toBe(400);
+      expect(atCapacity.body.message).toBe('This mentor is not taking new mentees');
+
+      const notMember = await propose(mentorship, dana, outsider);
+      expect(notMember.status).toBe(403);
+
+      expect(await statuses(mentorship)).toEqual(['Suggested', 'Suggested', 'Suggested']);
+    });
+  });
+
+  describe('POST /api/mentorship/requests/:id/accept', () => {
+    it('should assign the mentor and add the startup to their mentees', async () => {
+      const mentorship = await createRequest();
+      await propose(mentorship, dana).expect(200);
+
+      const res = await respond(mentorship, 'accept', danaUser);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.selectedMentor._id).toBe(dana._id.toString());
+      expect(await statuses(mentorship)).toEqual(['Accepted', 'Suggested', 'Suggested']);
+
+      const mentor = await Mentor.findById(dana._id);
+      expect(mentor.currentMentees.map(String)).toEqual([startup._id.toString()]);
+      expect(await Notification.countDocuments({ recipient: founder._id, type: 'mentor_accepted' })).toBe(1);
+    });
+
+    it('should refuse when the mentor has filled up since being asked', async () => {
+      const mentorship = await createRequest();
+      await propose(mentorship, dana).expect(200);
+      await Mentor.updateOne({ _id: dana._id }, { $set: { maxMentees: 1, currentMentees: [new mongoose.Types.ObjectId()] } });
+
+      const res = await respond(mentorship, 'accept', danaUser);
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('You are at your mentee capacity');
+
+      const stored = await MentorshipRequest.findById(mentorship._id);
+      expect(stored.selectedMentor).toBeUndefined();
+      expect(stored.matchedMentors[0].status).toBe('Pending');
+      expect((await Mentor.findById(dana._id)).currentMentees).toHaveLength(1);
+    });
+
+    it('should reject mentors who were not asked', async () => {
+      const mentorship = await createRequest();
+      await propose(mentorship, dana).expect(200);
+
+      const accepted = await respond(mentorship, 'accept', noorUser);
+      expect(accepted.status).toBe(400);
+      expect(accepted.body.message).toBe('No pending proposal for you on this request, or it has expired');
+
+      const declined = await respond(mentorship, 'decline', noorUser);
+      expect(declined.status).toBe(400);
+
+      const asFounder = await respond(mentorship, 'accept', founder);
+      expect(asFounder.status).toBe(403);
+
+      expect(await statuses(mentorship)).toEqual(['Pending', 'Suggested', 'Suggested']);
+    });
+  });
+
+  describe('POST /api/mentorship/requests/:id/decline', () => {
+    it('should ask the next mentor with capacity', async () => {
+      const mentorship = await createRequest();
+      await propose(mentorship, dana).expect(200);
+
+      const res = await respond(mentorship, 'decline', danaUser, { reason: 'Travelling' });
+
+      expect(res.status).toBe(200);
+
+      const stored = await MentorshipRequest.findById(mentorship._id);
+      expect(stored.matchedMentors[0]).toMatchObject({ status: 'Declined', declineReason: 'Travelling' });
+      // The full mentor is skipped, not closed
+      expect(stored.matchedMentors.map(m => m.status)).toEqual(['Declined', 'Suggested', 'Pending']);
+      expect(stored.getActiveProposal().mentor.toString()).toBe(noor._id.toString());
+      expect((await Mentor.findById(dana._id)).currentMentees).toHaveLength(0);
+
+      expect(await Notification.countDocuments({ recipient: noorUser._id, type: 'mentor_selected' })).toBe(1);
+      const told = await Notification.findOne({ recipient: founder._id, type: 'mentor_declined' });
+      expect(told.title).toBe('Mentor Unavailable');
+    });
+  });
+
+  describe('Proposal expiry', () => {
+    it('should close an unanswered proposal and ask the next mentor', async () => {
+      const mentorship = await createRequest();
+      await propose(mentorship, dana).expect(200);
+      await MentorshipRequest.updateOne(
+        { _id: mentorship._id },
+        { $set: { 'matchedMentors.0.expiresAt': new Date(Date.now() - HOUR) } }
+      );
+
+      const late = await respond(mentorship, 'accept', danaUser);
+      expect(late.status).toBe(400);
+
+      expect(await expireMentorProposals()).toBe(1);
+
+      expect(await statuses(mentorship)).toEqual(['Expired', 'Suggested', 'Pending']);
+      const told = await Notification.findOne({ recipient: founder._id, type: 'mentor_declined' });
+      expect(told.title).toBe('Mentor Did Not Respond');
+
+      // Nothing else has run out
+      expect(await expireMentorProposals()).toBe(0);
+    });
+
+    it('should tell the founder when no mentor is left', async () => {
+      await Mentor.updateOne({ _id: noor._id }, { $set: { availability: 'Unavailable' } });
+      const mentorship = await createRequest();
+      await propose(mentorship, dana).expect(200);
+      await MentorshipRequest.updateOne(
+        { _id: mentorship._id },
+        { $set: { 'matchedMentors.0.expiresAt': new Date(Date.now() - HOUR) } }
+      );
+
+      expect(await expireMentorProposals()).toBe(1);
+
+      const stored = await MentorshipRequest.findById(mentorship._id);
+      expect(stored.getActiveProposal()).toBeUndefined();
+      expect(stored.matchedMentors.map(m => m.status)).toEqual(['Expired', 'Suggested', 'Suggested']);
+      const told = await Notification.findOne({ recipient: founder._id, type: 'mentor_declined' });
+      expect(told.title).toBe('No Mentor Available');
+    });
+  });
+});
@@ -0,0 +1,257 @@
+// Set test environment BEFORE importing app
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test_jwt_secret_for_ci';
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../server');
+const Mentor = require('../models/Mentor');
+const Notification = require('../models/Notification');
+const Startup = require('../models/Startup');
+const User = require('../models/User');
+const { sendMilestoneReminders } = require('../services/reminderService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let mongoServer;
+let founder;
+let editor;
+let viewer;
+let outsider;
+let mentorUser;
+let otherMentorUser;
+let admin;
+let startup;
+
+const auth = user => ({ Authorization: `Bearer ${user.getSignedJwtToken()}` });
+
+const milestonesUrl = () => `/api/startups/${startup._id}/milestones`;
+
+/**
+ * Add a milestone through the route as the founder
+ */
+const addMilestone = async (fields = {}) => {
+  const res = await request(app)
+    .post(milestonesUrl())
+    .set(auth(founder))
+    .send({ title: 'Launch beta', targetDate: new Date(Date.now() + 30 * DAY).toISOString(), ...fields });
+  return res.body.data;
+};
+
+/**
+ * Test Suite for the milestone routes
+ */
+describe('Milestone Routes', () => {
+  beforeAll(async () => {
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.disconnect();
+    }
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    [founder, editor, viewer, outsider, mentorUser, otherMentorUser, admin] = await User.create([
+      { name: 'Fay Founder', email: 'fay@example.com', password: 'password123', role: 'founder' },
+      { name: 'Ed Editor', email: 'ed@example.com', password: 'password123', role: 'founder' },
+      { name: 'Vi Viewer', email: 'vi@example.com', password: 'password123', role: 'founder' },
+      { name: 'Oscar Outsider', email: 'oscar@example.com', password: 'password123', role: 'founder' },
+      { name: 'Mia Mentor', email: 'mia@example.com', password: 'password123', role: 'mentor' },
+      { name: 'Otto Mentor', email: 'otto@example.com', password: 'password123', role: 'mentor' },
+      { name: 'Ann Admin', email: 'ann@example.com', password: 'password123', role: 'admin' },
+    ]);
+
+    const mentor = await Mentor.create({ user: mentorUser._id, name: 'Mia Mentor', expertise: ['Product'] });
+    await Mentor.create({ user: otherMentorUser._id, name: 'Otto Mentor', expertise: ['Sales'] });
+
+    startup = await Startup.create({
+      name: 'Milestone Startup',
+      shortDesc: 'A startup with goals',
+      domain: 'SaaS',
+      stage: 'MVP',
+      status: 'Active',
+      founder: founder._id,
+      founders: [{ name: 'Fay Founder', email: 'fay@example.com' }],
+      contact: { email: 'contact@milestone.io' },
+      mentors: [mentor._id],
+      team: [
+        { user: editor._id, role: 'editor' },
+        { user: viewer._id, role: 'viewer' },
+      ],
+    });
+  });
+
+  afterEach(async () => {
+    await Startup.updateOne({ _id: startup._id }, { $set: { milestones: [] } });
+    await Notification.deleteMany({});
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (mongoServer) {
+      await mongoServer.stop();
+    }
+  });
+
+  describe('Team access', () => {
+    it('should keep founders off other startups\' milestones and KPIs', async () => {
+      const milestones = await request(app).get(milestonesUrl()).set(auth(outsider));
+      expect(milestones.status).toBe(403);
+      expect(milestones.body.message).toBe('Not authorized to view this startup\'s milestones');
+
+      const kpis = await request(app).get(`/api/startups/${startup._id}/kpis`).set(auth(outsider));
+      expect(kpis.status).toBe(403);
+      expect(kpis.body.message).toBe('Not authorized to view this startup\'s KPIs');
+
+      const asViewer = await request(app).get(milestonesUrl()).set(auth(viewer));
+      expect(asViewer.status).toBe(200);
+
+      const asMentor = await request(app).get(milestonesUrl()).set(auth(otherMentorUser));
+      expect(asMentor.status).toBe(200);
+    });
+
+    it('should only let editors, owners and admins change milestones', async () => {
+      const asViewer = await request(app)
+        .post(milestonesUrl())
+        .set(auth(viewer))
+        .send({ title: 'Sneak in', targetDate: new Date().toISOString() });
+      expect(asViewer.status).toBe(403);
+      expect(asViewer.body.message).toBe('Not authorized to manage this startup\'s milestones');
+
+      const milestone = await addMilestone();
+
+      const removeAsViewer = await request(app).delete(`${milestonesUrl()}/${milestone._id}`).set(auth(viewer));
+      expect(removeAsViewer.status).toBe(403);
+
+      const removed = await request(app).delete(`${milestonesUrl()}/${milestone._id}`).set(auth(editor));
+      expect(removed.status).toBe(200);
+
+      const again = await request(app).delete(`${milestonesUrl()}/${milestone._id}`).set(auth(admin));
+      expect(again.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/startups/:id/milestones', () => {
+    it('should default the owner to the founder and track KPI progress', async () => {
+      const res = await request(app)
+        .post(milestonesUrl())
+        .set(auth(editor))
+        .send({
+          title: 'First 100 users',
+          targetDate: new Date(Date.now() + 30 * DAY).toISOString(),
+          target: { metric: 'users', value: 100 },
+        });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.owner).toBe(founder._id.toString());
+      expect(res.body.data.status).toBe('Planned');
+      expect(res.body.data.targetProgress).toBe(0);
+      expect(res.body.data.isOverdue).toBe(false);
+    });
+
+    it('should refuse evidence that is not a link', async () => {
+      const milestone = await addMilestone();
+
+      const bad = await request(app)
+        .post(`${milestonesUrl()}/${milestone._id}/evidence`)
+        .set(auth(founder))
+        .send({ url: 'not a link' });
+      expect(bad.status).toBe(400);
+
+      const good = await request(app)
+        .post(`${milestonesUrl()}/${milestone._id}/evidence`)
+        .set(auth(founder))
+        .send({ url: 'https://example.com/beta', label: 'Beta signups' });
+      expect(good.status).toBe(201);
+      expect(good.body.data.evidence).toHaveLength(1);
+    });
+  });
+
+  describe('Sign-off', () => {
+    it('should ask the assigned mentors to sign off a completed milestone', async () => {
+      const milestone = await addMilestone();
+
+      const res = await request(app)
+        .put(`${milestonesUrl()}/${milestone._id}`)
+        .set(auth(founder))
+        .send({ status: 'Completed' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.signOff.status).toBe('Pending');
+      expect(await Notification.countDocuments({ recipient: mentorUser._id, type: 'milestone_signoff_requested' })).toBe(1);
+      expect(await Notification.countDocuments({ recipient: otherMentorUser._id })).toBe(0);
+    });
+
+    it('should only let assigned mentors sign off, and only once', async () => {
+      const milestone = await addMilestone({ status: 'Completed' });
+      const signOffUrl = `${milestonesUrl()}/${milestone._id}/sign-off`;
+
+      const asFounder = await request(app).post(signOffUrl).set(auth(founder)).send({ decision: 'Approved' });
+      expect(asFounder.status).toBe(403);
+
+      const unassigned = await request(app).post(signOffUrl).set(auth(otherMentorUser)).send({ decision: 'Approved' });
+      expect(unassigned.status).toBe(403);
+      expect(unassigned.body.message).toBe('Only mentors assigned to this startup can sign off its milestones');
+
+      const rejected = await request(app)
+        .post(signOffUrl)
+        .set(auth(mentorUser))
+        .send({ decision: 'Rejected', note: 'Show the retention numbers' });
+      expect(rejected.status).toBe(200);
+      expect(rejected.body.message).toBe('Milestone sent back');
+      expect(rejected.body.data.status).toBe('In Progress');
+      expect(rejected.body.data.signOff).toMatchObject({ status: 'Rejected', note: 'Show the retention numbers' });
+      expect(await Notification.countDocuments({ recipient: founder._id, type: 'milestone_signed_off' })).toBe(1);
+
+      const again = await request(app).post(signOffUrl).set(auth(mentorUser)).send({ decision: 'Approved' });
+      expect(again.status).toBe(400);
+      expect(again.body.message).toBe('This milestone is not awaiting sign-off');
+    });
+  });
+
+  describe('GET /api/startups/:id/milestones', () => {
+    it('should count only signed-off milestones that fell due', async () => {
+      const past = new Date(Date.now() - 10 * DAY);
+      const future = new Date(Date.now() + 10 * DAY);
+      await Startup.updateOne({ _id: startup._id }, {
+        $set: {
+          milestones: [
+            { title: 'Signed off', targetDate: past, status: 'Completed', signOff: { status: 'Approved' } },
+            { title: 'Awaiting sign-off', targetDate: future, status: 'Completed', signOff: { status: 'Pending' } },
+            { title: 'Missed', targetDate: past, status: 'In Progress' },
+            { title: 'Dropped', targetDate: past, status: 'Cancelled' },
+            { title: 'Later', targetDate: future },
+          ],
+        },
+      });
+
+      const res = await request(app).get(milestonesUrl()).set(auth(founder));
+
+      expect(res.status).toBe(200);
+      expect(res.body.count).toBe(5);
+      expect(res.body.data.completionRate).toBe(33);
+      expect(res.body.data.milestones.filter(m => m.isOverdue).map(m => m.title)).toEqual(['Missed']);
+    });
+  });
+
+  describe('Overdue reminders', () => {
+    it('should notify the owner and founder once per overdue milestone', async () => {
+      await Startup.updateOne({ _id: startup._id }, {
+        $set: {
+          milestones: [
+            { title: 'Hire CTO', targetDate: new Date(Date.now() - DAY), owner: editor._id },
+            { title: 'Close seed', targetDate: new Date(Date.now() - DAY), owner: founder._id },
+            { title: 'Later', targetDate: new Date(Date.now() + DAY), owner: editor._id },
+          ],
+        },
+      });
+
+      expect(await sendMilestoneReminders(new Date())).toBe(3);
+      expect(await sendMilestoneReminders(new Date())).toBe(0);
+
+      const notices = await Notification.find({ type: 'milestone_overdue' });
+      expect(notices.map(n => n.recipient.toString()).sort()).toEqual(
+        [editor._id, founder._id, founder._id].map(id => id.toString()).sort()
+      );
+    });
+  });
+});
@@ -0,0 +1,200 @@
+// Set test environment BEFORE importing app
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test_jwt_secret_for_ci';
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../server');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+
+let mongoServer;
+let userToken;
+let otherToken;
+let user;
+let otherUser;
+
+/**
+ * Test Suite for Notification Routes
+ */
+describe('Notification API Routes', () => {
+  beforeAll(async () => {
+    // Disconnect any existing connection first
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.disconnect();
+    }
+    mongoServer = await MongoMemoryServer.create();
+    const mongoUri = mongoServer.getUri();
+    await mongoose.connect(mongoUri);
+
+    user = await User.create({
+      name: 'Notified User',
+      email: 'notified@test.com',
+      password: 'password123',
+      role: 'founder',
+    });
+
+    otherUser = await User.create({
+      name: 'Other User',
+      email: 'other@test.com',
+      password: 'password123',
+      role: 'mentor',
+    });
+
+    userToken = user.getSignedJwtToken();
+    otherToken = otherUser.getSignedJwtToken();
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (mongoServer) {
+      await mongoServer.stop();
+    }
+  });
+
+  beforeEach(async () => {
+    await Notification.create([
+      { recipient: user._id, type: 'welcome', title: 'Welcome', message: 'Hello there' },
+      { recipient: user._id, type: 'session_scheduled', title: 'Session', message: 'Session booked', priority: 'high' },
+      { recipient: user._id, type: 'other', title: 'Read one', message: 'Already read', read: true },
+      { recipient: otherUser._id, type: 'welcome', title: 'Welcome', message: 'Not yours' },
+    ]);
+  });
+
+  afterEach(async () => {
+    await Notification.deleteMany({});
+  });
+
+  describe('GET /api/notifications', () => {
+    it('should only return the current user\'s notifications', async () => {
+      const res = await request(app)
+        .get('/api/notifications')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(res.body.success).toBe(true);
+      expect(res.body.count).toBe(3);
+      expect(res.body.unreadCount).toBe(2);
+      res.body.data.forEach(n => {
+        expect(n.recipient.toString()).toBe(user._id.toString());
+      });
+    });
+
+    it('should filter by type, priority and read state', async () => {
+      const byType = await request(app)
+        .get('/api/notifications?type=session_scheduled')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+      expect(byType.body.count).toBe(1);
+
+      const byPriority = await request(app)
+        .get('/api/notifications?priority=high')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+      expect(byPriority.body.count).toBe(1);
+
+      const readOnly = await request(app)
+        .get('/api/notifications?read=true')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+      expect(readOnly.body.count).toBe(1);
+      expect(readOnly.body.data[0].title).toBe('Read one');
+    });
+
+    it('should paginate results', async () => {
+      const res = await request(app)
+        .get('/api/notifications?page=2&limit=2')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(res.body.data.length).toBe(1);
+      expect(res.body.totalPages).toBe(2);
+      expect(res.body.currentPage).toBe(2);
+    });
+
+    it('should reject invalid filters', async () => {
+      await request(app)
+        .get('/api/notifications?type=not_a_type')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(400);
+    });
+
+    it('should require authentication', async () => {
+      await request(app).get('/api/notifications').expect(401);
+    });
+  });
+
+  describe('GET /api/notifications/unread-count', () => {
+    it('should return the unread count', async () => {
+      const res = await request(app)
+        .get('/api/notifications/unread-count')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(res.body.data.count).toBe(2);
+    });
+  });
+
+  describe('PUT /api/notifications/:id/read', () => {
+    it('should mark own notification as read', async () => {
+      const notification = await Notification.findOne({ recipient: user._id, read: false });
+
+      const res = await request(app)
+        .put(`/api/notifications/${notification._id}/read`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(res.body.data.read).toBe(true);
+      expect(res.body.data.readAt).toBeDefined();
+    });
+
+    it('should not allow marking another user\'s notification', async () => {
+      const notification = await Notification.findOne({ recipient: user._id, read: false });
+
+      await request(app)
+        .put(`/api/notifications/${notification._id}/read`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(404);
+
+      const unchanged = await Notification.findById(notification._id);
+      expect(unchanged.read).toBe(false);
+    });
+  });
+
+  describe('PUT /api/notifications/read-all', () => {
+    it('should mark all of the user\'s notifications as read', async () => {
+      await request(app)
+        .put('/api/notifications/read-all')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(await Notification.getUnreadCount(user._id)).toBe(0);
+      expect(await Notification.getUnreadCount(otherUser._id)).toBe(1);
+    });
+  });
+
+  describe('DELETE /api/notifications/:id', () => {
+    it('should delete own notification', async () => {
+      const notification = await Notification.findOne({ recipient: user._id });
+
+      await request(app)
+        .delete(`/api/notifications/${notification._id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(await Notification.findById(notification._id)).toBeNull();
+    });
+
+    it('should not delete another user\'s notification', async () => {
+      const notification = await Notification.findOne({ recipient: otherUser._id });
+
+      await request(app)
+        .delete(`/api/notifications/${notification._id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(404);
+
+      expect(await Notification.findById(notification._id)).not.toBeNull();
+    });
+  });
+});
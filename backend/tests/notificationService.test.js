@@ -0,0 +1,63 @@
+process.env.NODE_ENV = 'test';
+
+const Notification = require('../models/Notification');
+const {
+  attachSocketServer,
+  emitToUser,
+  pushNotification,
+} = require('../services/notificationService');
+
+/**
+ * Build a fake Socket.IO server that records emitted events
+ */
+const createFakeIO = () => {
+  const emitted = [];
+  return {
+    emitted,
+    to: (room) => ({
+      emit: (event, payload) => emitted.push({ room, event, payload }),
+    }),
+  };
+};
+
+describe('Notification Service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    attachSocketServer(null);
+  });
+
+  it('should not emit before a socket server is attached', () => {
+    expect(emitToUser('abc', 'notification:new', {})).toBe(false);
+  });
+
+  it('should emit to the user room', () => {
+    const io = createFakeIO();
+    attachSocketServer(io);
+
+    expect(emitToUser('abc', 'notification:new', { title: 'Hi' })).toBe(true);
+    expect(io.emitted).toEqual([
+      { room: 'user:abc', event: 'notification:new', payload: { title: 'Hi' } },
+    ]);
+  });
+
+  it('should push the notification and the updated unread count', async () => {
+    const io = createFakeIO();
+    attachSocketServer(io);
+    jest.spyOn(Notification, 'getUnreadCount').mockResolvedValue(4);
+
+    const notification = new Notification({
+      recipient: '64b7f0c2a1b2c3d4e5f60718',
+      type: 'welcome',
+      title: 'Welcome',
+      message: 'Hello',
+      createdAt: new Date(),
+    });
+
+    await pushNotification(notification);
+
+    expect(io.emitted.map(e => e.event)).toEqual(['notification:new', 'notification:count']);
+    expect(io.emitted[0].room).toBe('user:64b7f0c2a1b2c3d4e5f60718');
+    expect(io.emitted[0].payload.title).toBe('Welcome');
+    expect(io.emitted[1].payload).toEqual({ count: 4 });
+  });
+});
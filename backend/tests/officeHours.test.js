@@ -0,0 +1,268 @@
+// Set test environment BEFORE importing app
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test_jwt_secret_for_ci';
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../server');
+const Mentor = require('../models/Mentor');
+const MentorshipRequest = require('../models/MentorshipRequest');
+const Notification = require('../models/Notification');
+const OfficeHours = require('../models/OfficeHours');
+const User = require('../models/User');
+const { buildOccurrences } = require('../services/officeHoursService');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+describe('Office hours occurrences', () => {
+  it('should keep the local start time across a DST change', () => {
+    // 17:00 in Berlin on Thursday 2026-10-22 (UTC+2), weekly into winter time (UTC+1)
+    const occurrences = buildOccurrences(
+      new Date('2026-10-22T15:00:00Z'),
+      { frequency: 'weekly', occurrences: 3 },
+      'Europe/Berlin'
+    );
+
+    expect(occurrences.map(d => d.toISOString())).toEqual([
+      '2026-10-22T15:00:00.000Z',
+      '2026-10-29T16:00:00.000Z',
+      '2026-11-05T16:00:00.000Z',
+    ]);
+    expect(buildOccurrences(new Date('2026-10-22T15:00:00Z'), { frequency: 'once', occurrences: 5 })).toHaveLength(1);
+  });
+});
+
+/**
+ * Test Suite for the office hours routes
+ */
+describe('Office Hours Routes', () => {
+  let mongoServer;
+  let host;
+  let otherMentorUser;
+  let founders;
+  let mentor;
+
+  const auth = user => ({ Authorization: `Bearer ${user.getSignedJwtToken()}` });
+
+  /**
+   * Publish a single occurrence through the model, starting at the given offset
+   */
+  const createOfficeHours = (startOffsetMs, overrides = {}) => OfficeHours.create({
+    mentor: mentor._id,
+    title: 'Fundraising office hours',
+    capacity: 2,
+    sessions: [{ scheduledAt: new Date(Date.now() + startOffsetMs), duration: 60 }],
+    createdBy: host._id,
+    ...overrides,
+  });
+
+  const sessionUrl = (officeHours, action) =>
+    `/api/office-hours/${officeHours._id}/sessions/${officeHours.sessions[0]._id}/${action}`;
+
+  beforeAll(async () => {
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.disconnect();
+    }
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    let rest;
+    [host, otherMentorUser, ...rest] = await User.create([
+      { name: 'Grace Mentor', email: 'grace@example.com', password: 'password123', role: 'mentor' },
+      { name: 'Otto Mentor', email: 'otto@example.com', password: 'password123', role: 'mentor' },
+      { name: 'Fay Founder', email: 'fay@example.com', password: 'password123', role: 'founder' },
+      { name: 'Sam Founder', email: 'sam@example.com', password: 'password123', role: 'founder' },
+      { name: 'Tia Founder', email: 'tia@example.com', password: 'password123', role: 'founder' },
+    ]);
+    founders = rest;
+
+    mentor = await Mentor.create({ user: host._id, name: 'Grace Mentor', expertise: ['Fundraising'] });
+    await Mentor.create({ user: otherMentorUser._id, name: 'Otto Mentor', expertise: ['Sales'] });
+  });
+
+  afterEach(async () => {
+    await OfficeHours.deleteMany({});
+    await MentorshipRequest.deleteMany({});
+    await Notification.deleteMany({});
+    await Mentor.updateOne({ _id: mentor._id }, { $unset: { scheduleLockedUntil: 1 } });
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (mongoServer) {
+      await mongoServer.stop();
+    }
+  });
+
+  describe('POST /api/office-hours', () => {
+    const firstSessionAt = () => {
+      const first = new Date(Date.now() + 7 * DAY);
+      first.setUTCHours(15, 0, 0, 0);
+      return first;
+    };
+
+    it('should publish a recurring series for the mentor', async () => {
+      const res = await request(app)
+        .post('/api/office-hours')
+        .set(auth(host))
+        .send({
+          title: 'Pitch practice',
+          capacity: 5,
+          firstSessionAt: firstSessionAt().toISOString(),
+          recurrence: { frequency: 'weekly', occurrences: 3 },
+        });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.sessions).toHaveLength(3);
+      expect(res.body.data.mentor).toBe(mentor._id.toString());
+    });
+
+    it('should not let founders publish office hours', async () => {
+      const res = await request(app)
+        .post('/api/office-hours')
+        .set(auth(founders[0]))
+        .send({ title: 'Not a mentor', capacity: 5, firstSessionAt: firstSessionAt().toISOString() });
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should answer 409 when an occurrence clashes with a one-to-one session', async () => {
+      const first = firstSessionAt();
+      const clash = new Date(first.getTime() + 14 * DAY);
+      await MentorshipRequest.create({
+        startup: new mongoose.Types.ObjectId(),
+        requestedBy: founders[0]._id,
+        topic: 'Fundraising',
+        description: 'Seed round',
+        status: 'Scheduled',
+        sessions: [{ mentor: mentor._id, scheduledAt: clash, duration: 60, status: 'Scheduled' }],
+      });
+
+      const res = await request(app)
+        .post('/api/office-hours')
+        .set(auth(host))
+        .send({
+          title: 'Pitch practice',
+          capacity: 5,
+          firstSessionAt: first.toISOString(),
+          recurrence: { frequency: 'weekly', occurrences: 4 },
+        });
+
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe('SCHEDULE_CONFLICT');
+      expect(res.body.data.conflicts).toHaveLength(1);
+      expect(new Date(res.body.data.conflicts[0].scheduledAt).toISOString()).toBe(clash.toISOString());
+      expect(await OfficeHours.countDocuments()).toBe(0);
+    });
+
+    it('should answer 409 while the mentor\'s calendar is locked', async () => {
+      await Mentor.updateOne({ _id: mentor._id }, { $set: { scheduleLockedUntil: new Date(Date.now() + HOUR) } });
+
+      const res = await request(app)
+        .post('/api/office-hours')
+        .set(auth(host))
+        .send({ title: 'Pitch practice', capacity: 5, firstSessionAt: firstSessionAt().toISOString() });
+
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe('CALENDAR_BUSY');
+    });
+  });
+
+  describe('Seat booking', () => {
+    it('should waitlist founders beyond capacity and promote them when a seat frees up', async () => {
+      const officeHours = await createOfficeHours(7 * DAY);
+      const [first, second, third] = founders;
+
+      await request(app).post(sessionUrl(officeHours, 'book')).set(auth(first));
+      await request(app).post(sessionUrl(officeHours, 'book')).set(auth(second));
+      const waitlisted = await request(app).post(sessionUrl(officeHours, 'book')).set(auth(third));
+
+      expect(waitlisted.status).toBe(201);
+      expect(waitlisted.body.message).toBe('Session is full. You are number 1 on the waitlist.');
+      expect(waitlisted.body.data.seats).toMatchObject({ booked: 2, waitlisted: 1, available: 0 });
+      expect(waitlisted.body.data.meetingLink).toBeUndefined();
+
+      const cancelled = await request(app).delete(sessionUrl(officeHours, 'book')).set(auth(first));
+
+      expect(cancelled.status).toBe(200);
+      const stored = await OfficeHours.findById(officeHours._id);
+      expect(stored.getAttendee(stored.sessions[0], third._id).status).toBe('Booked');
+      expect(await Notification.countDocuments({ recipient: third._id, type: 'office_hours_promoted' })).toBe(1);
+    });
+
+    it('should only let founders book seats', async () => {
+      const officeHours = await createOfficeHours(7 * DAY);
+
+      const res = await request(app).post(sessionUrl(officeHours, 'book')).set(auth(otherMentorUser));
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('Host actions', () => {
+    it('should only let the host or an admin manage a session', async () => {
+      const officeHours = await createOfficeHours(7 * DAY);
+
+      const outsider = await request(app)
+        .post(sessionUrl(officeHours, 'cancel'))
+        .set(auth(otherMentorUser))
+        .send({ reason: 'Not mine' });
+      expect(outsider.status).toBe(403);
+      expect(outsider.body.message).toBe('Only the hosting mentor can manage this session');
+
+      const attendee = await request(app)
+        .post(sessionUrl(officeHours, 'attendance'))
+        .set(auth(founders[0]))
+        .send({ attendees: [] });
+      expect(attendee.status).toBe(403);
+
+      const hosted = await request(app)
+        .post(sessionUrl(officeHours, 'cancel'))
+        .set(auth(host))
+        .send({ reason: 'Travel' });
+      expect(hosted.status).toBe(200);
+      expect(hosted.body.data.status).toBe('Cancelled');
+    });
+
+    it('should record attendance once and take feedback only from attendees', async () => {
+      const officeHours = await createOfficeHours(7 * DAY);
+      const [present, absent] = founders;
+      await request(app).post(sessionUrl(officeHours, 'book')).set(auth(present));
+      await request(app).post(sessionUrl(officeHours, 'book')).set(auth(absent));
+      await OfficeHours.updateOne(
+        { _id: officeHours._id },
+        { $set: { 'sessions.0.scheduledAt': new Date(Date.now() - 2 * HOUR) } }
+      );
+      const before = (await Mentor.findById(mentor._id)).sessionsCompleted;
+
+      const recorded = await request(app)
+        .post(sessionUrl(officeHours, 'attendance'))
+        .set(auth(host))
+        .send({ attendees: [present._id.toString()] });
+      await request(app)
+        .post(sessionUrl(officeHours, 'attendance'))
+        .set(auth(host))
+        .send({ attendees: [present._id.toString()] });
+
+      expect(recorded.status).toBe(200);
+      expect(recorded.body.data.status).toBe('Completed');
+      expect((await Mentor.findById(mentor._id)).sessionsCompleted).toBe(before + 1);
+
+      const feedback = await request(app)
+        .post(sessionUrl(officeHours, 'feedback'))
+        .set(auth(present))
+        .send({ rating: 5, comment: 'Very useful' });
+      expect(feedback.status).toBe(200);
+      expect(feedback.body.data.feedback.rating).toBe(5);
+
+      const refused = await request(app)
+        .post(sessionUrl(officeHours, 'feedback'))
+        .set(auth(absent))
+        .send({ rating: 4 });
+      expect(refused.body.success).toBe(false);
+      expect(refused.body.message).toBe('Only attendees can give feedback on this session');
+    });
+  });
+});
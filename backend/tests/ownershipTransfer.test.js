@@ -0,0 +1,267 @@
+// Set test environment BEFORE importing app
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test_jwt_secret_for_ci';
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../server');
+const MentorshipRequest = require('../models/MentorshipRequest');
+const Notification = require('../models/Notification');
+const Startup = require('../models/Startup');
+const User = require('../models/User');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let mongoServer;
+let founder;
+let editor;
+let viewer;
+let coOwner;
+let outsider;
+let admin;
+let startup;
+
+const auth = user => ({ Authorization: `Bearer ${user.getSignedJwtToken()}` });
+
+/**
+ * Test Suite for the ownership transfer routes and account closure
+ */
+describe('Ownership Transfer Routes', () => {
+  beforeAll(async () => {
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.disconnect();
+    }
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  beforeEach(async () => {
+    [founder, editor, viewer, coOwner, outsider, admin] = await User.create([
+      { name: 'Fay Founder', email: 'fay@example.com', password: 'password123', role: 'founder', verified: true },
+      { name: 'Ed Editor', email: 'ed@example.com', password: 'password123', role: 'founder', verified: true },
+      { name: 'Vi Viewer', email: 'vi@example.com', password: 'password123', role: 'founder', verified: true },
+      { name: 'Cora Owner', email: 'cora@example.com', password: 'password123', role: 'founder', verified: true },
+      { name: 'Oscar Outsider', email: 'oscar@example.com', password: 'password123', role: 'founder', verified: true },
+      { name: 'Ann Admin', email: 'ann@example.com', password: 'password123', role: 'admin', verified: true },
+    ]);
+
+    startup = await Startup.create({
+      name: 'Handover Startup',
+      shortDesc: 'A startup changing hands',
+      domain: 'SaaS',
+      stage: 'MVP',
+      status: 'Active',
+      founder: founder._id,
+      founders: [{ name: 'Fay Founder', email: 'fay@example.com' }],
+      contact: { email: 'contact@handover.io' },
+      team: [
+        { user: editor._id, role: 'editor' },
+        { user: viewer._id, role: 'viewer' },
+      ],
+    });
+    await User.updateOne({ _id: founder._id }, { $set: { startup: startup._id } });
+  });
+
+  afterEach(async () => {
+    await Startup.deleteMany({});
+    await User.deleteMany({});
+    await MentorshipRequest.deleteMany({});
+    await Notification.deleteMany({});
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (mongoServer) {
+      await mongoServer.stop();
+    }
+  });
+
+  describe('POST /api/startups/:id/transfer', () => {
+    it('should only let the founder offer ownership to a team member', async () => {
+      const asViewer = await request(app)
+        .post(`/api/startups/${startup._id}/transfer`)
+        .set(auth(viewer))
+        .send({ userId: editor._id.toString() });
+      expect(asViewer.status).toBe(403);
+      expect(asViewer.body.code).toBe('INSUFFICIENT_TEAM_ROLE');
+
+      await Startup.updateOne({ _id: startup._id }, { $push: { team: { user: coOwner._id, role: 'owner' } } });
+      const asCoOwner = await request(app)
+        .post(`/api/startups/${startup._id}/transfer`)
+        .set(auth(coOwner))
+        .send({ userId: editor._id.toString() });
+      expect(asCoOwner.status).toBe(403);
+      expect(asCoOwner.body.message).toBe('Only the founder can transfer ownership');
+
+      const toOutsider = await request(app)
+        .post(`/api/startups/${startup._id}/transfer`)
+        .set(auth(founder))
+        .send({ userId: outsider._id.toString() });
+      expect(toOutsider.status).toBe(400);
+      expect(toOutsider.body.message).toBe('Invite the new owner to the team first');
+
+      const offered = await request(app)
+        .post(`/api/startups/${startup._id}/transfer`)
+        .set(auth(founder))
+        .send({ userId: editor._id.toString(), note: 'Moving on' });
+      expect(offered.status).toBe(200);
+      expect(offered.body.data.to).toBe(editor._id.toString());
+
+      // Nothing changes hands until the offer is accepted
+      const stored = await Startup.findById(startup._id);
+      expect(stored.founder.toString()).toBe(founder._id.toString());
+    });
+  });
+
+  describe('POST /api/startups/:id/transfer/accept', () => {
+    beforeEach(async () => {
+      await request(app)
+        .post(`/api/startups/${startup._id}/transfer`)
+        .set(auth(founder))
+        .send({ userId: editor._id.toString(), note: 'Moving on' });
+    });
+
+    it('should hand over the startup and its open requests to the new owner', async () => {
+      const [open, closed] = await MentorshipRequest.create([
+        { startup: startup._id, requestedBy: founder._id, topic: 'Hiring', description: 'First hires' },
+        { startup: startup._id, requestedBy: founder._id, topic: 'Pricing', description: 'Done', status: 'Completed' },
+      ]);
+
+      const other = await request(app).post(`/api/startups/${startup._id}/transfer/accept`).set(auth(viewer));
+      expect(other.status).toBe(403);
+      expect(other.body.message).toBe('This transfer was offered to someone else');
+
+      const res = await request(app).post(`/api/startups/${startup._id}/transfer/accept`).set(auth(editor));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.reassigned).toEqual({ fundingApplications: 0, mentorshipRequests: 1 });
+
+      const stored = await Startup.findById(startup._id);
+      expect(stored.founder.toString()).toBe(editor._id.toString());
+      expect(stored.getMemberRole(founder._id)).toBe('owner');
+      expect(stored.isTransferOpen()).toBe(false);
+      expect(stored.statusHistory[stored.statusHistory.length - 1].reason)
+        .toBe('Ownership transferred from Fay Founder to Ed Editor: Moving on');
+
+      expect((await MentorshipRequest.findById(open._id)).requestedBy.toString()).toBe(editor._id.toString());
+      expect((await MentorshipRequest.findById(closed._id)).requestedBy.toString()).toBe(founder._id.toString());
+      expect((await User.findById(editor._id)).startup.toString()).toBe(startup._id.toString());
+      expect(await Notification.countDocuments({ recipient: founder._id, type: 'ownership_transfer' })).toBe(1);
+    });
+
+    it('should ask the new owner to verify their email first', async () => {
+      await User.updateOne({ _id: editor._id }, { $set: { verified: false } });
+
+      const res = await request(app).post(`/api/startups/${startup._id}/transfer/accept`).set(auth(editor));
+
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe('EMAIL_NOT_VERIFIED');
+      expect((await Startup.findById(startup._id)).isTransferOpen()).toBe(true);
+    });
+
+    it('should refuse an offer that has expired', async () => {
+      await Startup.updateOne(
+        { _id: startup._id },
+        { $set: { 'pendingTransfer.expiresAt': new Date(Date.now() - DAY) } }
+      );
+
+      const res = await request(app).post(`/api/startups/${startup._id}/transfer/accept`).set(auth(editor));
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('This transfer request has expired. Ask the founder for a new one.');
+      expect((await Startup.findById(startup._id)).founder.toString()).toBe(founder._id.toString());
+    });
+  });
+
+  describe('PUT /api/startups/:id/owner', () => {
+    it('should let only admins reassign ownership straight away', async () => {
+      const asFounder = await request(app)
+        .put(`/api/startups/${startup._id}/owner`)
+        .set(auth(founder))
+        .send({ userId: viewer._id.toString() });
+      expect(asFounder.status).toBe(403);
+
+      const res = await request(app)
+        .put(`/api/startups/${startup._id}/owner`)
+        .set(auth(admin))
+        .send({ userId: viewer._id.toString(), reason: 'founder left', keepPreviousOwner: false });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.startup.founder).toBe(viewer._id.toString());
+
+      const stored = await Startup.findById(startup._id);
+      expect(stored.getMemberRole(viewer._id)).toBe('owner');
+      expect(stored.getMemberRole(founder._id)).toBeNull();
+      expect((await User.findById(founder._id)).startup).toBeUndefined();
+
+      const notified = await Notification.find({ type: 'ownership_transfer' });
+      expect(notified.map(n => n.recipient.toString()).sort())
+        .toEqual([founder._id.toString(), viewer._id.toString()].sort());
+    });
+
+    it('should refuse inactive accounts as the new owner', async () => {
+      await User.updateOne({ _id: viewer._id }, { $set: { isActive: false } });
+
+      const res = await request(app)
+        .put(`/api/startups/${startup._id}/owner`)
+        .set(auth(admin))
+        .send({ userId: viewer._id.toString() });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('The new owner must have an active account');
+    });
+  });
+
+  describe('DELETE /api/auth/account', () => {
+    it('should refuse to close the account while a startup has no successor', async () => {
+      const res = await request(app).delete('/api/auth/account').set(auth(founder));
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('OWNERSHIP_TRANSFER_REQUIRED');
+      expect(res.body.data.map(s => s.name)).toEqual(['Handover Startup']);
+      expect((await User.findById(founder._id)).isActive).toBe(true);
+    });
+
+    it('should hand the startup to the longest-serving owner and release the user', async () => {
+      await Startup.updateOne({ _id: startup._id }, {
+        $push: {
+          team: {
+            $each: [
+              { user: outsider._id, role: 'owner', joinedAt: new Date('2026-03-01') },
+              { user: coOwner._id, role: 'owner', joinedAt: new Date('2026-01-01') },
+            ],
+          },
+        },
+      });
+      const other = await Startup.create({
+        name: 'Other Startup',
+        shortDesc: 'Where the founder helps out',
+        domain: 'FinTech',
+        stage: 'Idea',
+        founder: outsider._id,
+        founders: [{ name: 'Oscar Outsider', email: 'oscar@example.com' }],
+        contact: { email: 'contact@other.io' },
+        team: [{ user: founder._id, role: 'editor' }],
+        pendingTransfer: { to: founder._id, requestedBy: outsider._id, expiresAt: new Date(Date.now() + DAY) },
+      });
+
+      const res = await request(app).delete('/api/auth/account').set(auth(founder));
+
+      expect(res.status).toBe(200);
+
+      const handedOver = await Startup.findById(startup._id);
+      expect(handedOver.founder.toString()).toBe(coOwner._id.toString());
+      expect(handedOver.getMemberRole(founder._id)).toBeNull();
+
+      const helped = await Startup.findById(other._id);
+      expect(helped.getMemberRole(founder._id)).toBeNull();
+      expect(helped.isTransferOpen()).toBe(false);
+
+      const closed = await User.findById(founder._id);
+      expect(closed.isActive).toBe(false);
+      expect(closed.startup).toBeUndefined();
+      expect(await Notification.countDocuments({ recipient: coOwner._id, type: 'ownership_transfer' })).toBe(1);
+    });
+  });
+});
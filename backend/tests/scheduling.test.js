@@ -0,0 +1,238 @@
+// Set test environment BEFORE importing app
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test_jwt_secret_for_ci';
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../server');
+const Mentor = require('../models/Mentor');
+const MentorshipRequest = require('../models/MentorshipRequest');
+const Startup = require('../models/Startup');
+const User = require('../models/User');
+const {
+  findSessionConflicts,
+  suggestAlternativeSlots,
+  isWithinAvailability,
+} = require('../services/availabilityService');
+
+const at = iso => new Date(iso);
+
+/**
+ * ISO time on the first Monday at least a week from now
+ */
+const nextMondayAt = (time) => {
+  const date = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+  date.setUTCDate(date.getUTCDate() + ((8 - date.getUTCDay()) % 7));
+  return `${date.toISOString().slice(0, 10)}T${time}:00.000Z`;
+};
+
+/**
+ * Build an unsaved mentor with Monday and Tuesday morning windows
+ */
+const buildMentor = (overrides = {}) => new Mentor({
+  user: new mongoose.Types.ObjectId(),
+  name: 'Grace Mentor',
+  timezone: 'UTC',
+  sessionBufferMinutes: 15,
+  preferredTimes: [
+    { day: 'Monday', startTime: '09:00', endTime: '12:00' },
+    { day: 'Tuesday', startTime: '09:00', endTime: '12:00' },
+  ],
+  ...overrides,
+});
+
+describe('Conflict detection', () => {
+  const sessions = [{ scheduledAt: at('2026-01-05T10:00:00Z'), duration: 60, status: 'Scheduled' }];
+
+  it('should treat the buffer around a session as busy', () => {
+    expect(findSessionConflicts(sessions, at('2026-01-05T11:00:00Z'), at('2026-01-05T11:30:00Z'), 0)).toHaveLength(0);
+    expect(findSessionConflicts(sessions, at('2026-01-05T11:00:00Z'), at('2026-01-05T11:30:00Z'), 15)).toHaveLength(1);
+    expect(findSessionConflicts(sessions, at('2026-01-05T11:15:00Z'), at('2026-01-05T11:45:00Z'), 15)).toHaveLength(0);
+  });
+
+  it('should require the session to fit inside the weekly windows', () => {
+    const mentor = buildMentor();
+
+    expect(isWithinAvailability(mentor, at('2026-01-05T09:00:00Z'), at('2026-01-05T10:00:00Z'))).toBe(true);
+    expect(isWithinAvailability(mentor, at('2026-01-05T11:30:00Z'), at('2026-01-05T12:30:00Z'))).toBe(false);
+    expect(isWithinAvailability(buildMentor({ preferredTimes: [] }), at('2026-01-07T20:00:00Z'), at('2026-01-07T21:00:00Z'))).toBe(true);
+    expect(isWithinAvailability(buildMentor({ availability: 'Unavailable' }), at('2026-01-05T09:00:00Z'), at('2026-01-05T10:00:00Z'))).toBe(false);
+  });
+
+  it('should suggest the nearest free slots', () => {
+    const suggestions = suggestAlternativeSlots(buildMentor(), sessions, {
+      around: at('2026-01-05T10:00:00Z'),
+      duration: 30,
+      bufferMinutes: 15,
+      now: at('2026-01-04T00:00:00Z'),
+    });
+
+    expect(suggestions.map(s => s.start.toISOString())).toEqual([
+      '2026-01-05T09:00:00.000Z',
+      '2026-01-05T09:15:00.000Z',
+      '2026-01-05T11:15:00.000Z',
+    ]);
+  });
+});
+
+/**
+ * Test Suite for the session scheduling route
+ */
+describe('Schedule Route', () => {
+  let mongoServer;
+  let founder;
+  let mentorUser;
+  let outsider;
+  let startup;
+  let mentor;
+
+  const auth = user => ({ Authorization: `Bearer ${user.getSignedJwtToken()}` });
+
+  /**
+   * Create a request matched with the mentor and ready to schedule
+   */
+  const createRequest = () => MentorshipRequest.create({
+    startup: startup._id,
+    requestedBy: founder._id,
+    topic: 'Fundraising',
+    description: 'Need help with our seed round',
+    status: 'Matched',
+    selectedMentor: mentor._id,
+  });
+
+  const schedule = (mentorshipRequest, scheduledAt, user = founder) => request(app)
+    .post(`/api/mentorship/requests/${mentorshipRequest._id}/schedule`)
+    .set(auth(user))
+    .send({ scheduledAt, duration: 60 });
+
+  beforeAll(async () => {
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.disconnect();
+    }
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    [founder, mentorUser, outsider] = await User.create([
+      { name: 'Fay Founder', email: 'fay@example.com', password: 'password123', role: 'founder' },
+      { name: 'Grace Mentor', email: 'grace@example.com', password: 'password123', role: 'mentor' },
+      { name: 'Oscar Outsider', email: 'oscar@example.com', password: 'password123', role: 'founder' },
+    ]);
+
+    startup = await Startup.create({
+      name: 'Scheduling Startup',
+      shortDesc: 'A startup booking sessions',
+      domain: 'SaaS',
+      stage: 'MVP',
+      founder: founder._id,
+      founders: [{ name: 'Fay Founder', email: 'fay@example.com' }],
+      contact: { email: 'contact@scheduling.io' },
+    });
+
+    mentor = await Mentor.create({
+      user: mentorUser._id,
+      name: 'Grace Mentor',
+      expertise: ['Fundraising'],
+      timezone: 'UTC',
+      sessionBufferMinutes: 15,
+      preferredTimes: [
+        { day: 'Monday', startTime: '09:00', endTime: '12:00' },
+        { day: 'Tuesday', startTime: '09:00', endTime: '12:00' },
+      ],
+    });
+  });
+
+  afterEach(async () => {
+    await MentorshipRequest.deleteMany({});
+    await Mentor.updateOne({ _id: mentor._id }, { $unset: { scheduleLockedUntil: 1 } });
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (mongoServer) {
+      await mongoServer.stop();
+    }
+  });
+
+  it('should book a free slot and release the calendar lock', async () => {
+    const mentorship = await createRequest();
+
+    const res = await schedule(mentorship, nextMondayAt('09:00'));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.request.status).toBe('Scheduled');
+    expect(res.body.data.session.scheduledAt).toBe(nextMondayAt('09:00'));
+    expect((await Mentor.findById(mentor._id)).scheduleLockedUntil).toBeUndefined();
+  });
+
+  it('should refuse a time that overlaps another session plus its buffer', async () => {
+    const booked = await createRequest();
+    await schedule(booked, nextMondayAt('09:00')).expect(200);
+    const mentorship = await createRequest();
+
+    const res = await schedule(mentorship, nextMondayAt('10:05'));
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('SCHEDULE_CONFLICT');
+    expect(res.body.message).toBe('The mentor already has a session at this time');
+    expect(res.body.data.bufferMinutes).toBe(15);
+    expect(res.body.data.outsideAvailability).toBe(false);
+    expect(res.body.data.conflicts).toHaveLength(1);
+    expect(res.body.data.conflicts[0].request).toBe(booked._id.toString());
+    expect(res.body.data.suggestions.length).toBeGreaterThan(0);
+    expect(res.body.data.suggestions[0]).toMatchObject({ timezone: 'UTC' });
+    // Every suggestion clears the booked hour and its buffer
+    const busyFrom = new Date(nextMondayAt('08:45'));
+    const busyUntil = new Date(nextMondayAt('10:15'));
+    res.body.data.suggestions.forEach((slot) => {
+      expect(new Date(slot.end) <= busyFrom || new Date(slot.start) >= busyUntil).toBe(true);
+    });
+
+    const unchanged = await MentorshipRequest.findById(mentorship._id);
+    expect(unchanged.sessions).toHaveLength(0);
+    expect(unchanged.status).toBe('Matched');
+  });
+
+  it('should refuse a time outside the mentor\'s weekly windows', async () => {
+    const mentorship = await createRequest();
+
+    const res = await schedule(mentorship, nextMondayAt('14:00'));
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('The requested time is outside the mentor\'s availability');
+    expect(res.body.data.outsideAvailability).toBe(true);
+    expect(res.body.data.conflicts).toEqual([]);
+  });
+
+  it('should let only one of two simultaneous bookings take the same slot', async () => {
+    const [first, second] = await Promise.all([createRequest(), createRequest()]);
+
+    const responses = await Promise.all([
+      schedule(first, nextMondayAt('10:00')),
+      schedule(second, nextMondayAt('10:00')),
+    ]);
+
+    expect(responses.map(r => r.status).sort()).toEqual([200, 409]);
+    const sessions = await MentorshipRequest.find({ 'sessions.0': { $exists: true } });
+    expect(sessions).toHaveLength(1);
+  });
+
+  it('should ask the caller to retry while the calendar is locked', async () => {
+    const mentorship = await createRequest();
+    await Mentor.updateOne({ _id: mentor._id }, { $set: { scheduleLockedUntil: new Date(Date.now() + 60000) } });
+
+    const res = await schedule(mentorship, nextMondayAt('09:00'));
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('CALENDAR_BUSY');
+    expect((await MentorshipRequest.findById(mentorship._id)).sessions).toHaveLength(0);
+  });
+
+  it('should refuse users outside the request', async () => {
+    const mentorship = await createRequest();
+
+    const res = await schedule(mentorship, nextMondayAt('09:00'), outsider);
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,280 @@
+// Set test environment BEFORE importing app
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test_jwt_secret_for_ci';
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../server');
+const Mentor = require('../models/Mentor');
+const MentorshipRequest = require('../models/MentorshipRequest');
+const Startup = require('../models/Startup');
+const User = require('../models/User');
+
+const HOUR = 60 * 60 * 1000;
+
+let mongoServer;
+let founder;
+let mentorUser;
+let outsider;
+let admin;
+let startup;
+let mentor;
+
+const auth = user => ({ Authorization: `Bearer ${user.getSignedJwtToken()}` });
+
+/**
+ * Create a Scheduled request with one session starting at the given offset
+ */
+const createRequest = (startOffsetMs, overrides = {}) => MentorshipRequest.create({
+  startup: startup._id,
+  requestedBy: founder._id,
+  topic: 'Go-to-market',
+  description: 'Plan the launch',
+  status: 'Scheduled',
+  selectedMentor: mentor._id,
+  sessions: [{
+    mentor: mentor._id,
+    scheduledAt: new Date(Date.now() + startOffsetMs),
+    duration: 60,
+    status: 'Scheduled',
+  }],
+  ...overrides,
+});
+
+const sessionUrl = (mentorshipRequest, action) =>
+  `/api/mentorship/requests/${mentorshipRequest._id}/sessions/${mentorshipRequest.sessions[0]._id}/${action}`;
+
+/**
+ * Test Suite for the session lifecycle routes
+ */
+describe('Session Lifecycle Routes', () => {
+  beforeAll(async () => {
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.disconnect();
+    }
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    [founder, mentorUser, outsider, admin] = await User.create([
+      { name: 'Fay Founder', email: 'fay@example.com', password: 'password123', role: 'founder' },
+      { name: 'Mia Mentor', email: 'mia@example.com', password: 'password123', role: 'mentor' },
+      { name: 'Oscar Outsider', email: 'oscar@example.com', password: 'password123', role: 'founder' },
+      { name: 'Ann Admin', email: 'ann@example.com', password: 'password123', role: 'admin' },
+    ]);
+
+    startup = await Startup.create({
+      name: 'Lifecycle Startup',
+      shortDesc: 'A startup with sessions',
+      domain: 'SaaS',
+      stage: 'MVP',
+      founder: founder._id,
+      founders: [{ name: 'Fay Founder', email: 'fay@example.com' }],
+      contact: { email: 'contact@lifecycle.io' },
+    });
+
+    mentor = await Mentor.create({ user: mentorUser._id, name: 'Mia Mentor', expertise: ['Sales'] });
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (mongoServer) {
+      await mongoServer.stop();
+    }
+  });
+
+  afterEach(async () => {
+    await MentorshipRequest.deleteMany({});
+    await Mentor.updateOne({ _id: mentor._id }, { $unset: { scheduleLockedUntil: 1 } });
+  });
+
+  describe('Authorization', () => {
+    it('should refuse users outside the request', async () => {
+      const mentorship = await createRequest(72 * HOUR);
+
+      const res = await request(app)
+        .post(sessionUrl(mentorship, 'cancel'))
+        .set(auth(outsider))
+        .send({ reason: 'Not mine' });
+
+      expect(res.status).toBe(403);
+      expect((await MentorshipRequest.findById(mentorship._id)).sessions[0].status).toBe('Scheduled');
+    });
+
+    it('should only let the mentor or an admin complete a session', async () => {
+      const mentorship = await createRequest(-2 * HOUR);
+
+      const res = await request(app)
+        .post(sessionUrl(mentorship, 'complete'))
+        .set(auth(founder));
+
+      expect(res.status).toBe(403);
+      expect(res.body.message).toBe('Only the mentor can mark a session as completed');
+    });
+
+    it('should only let participants report the other side', async () => {
+      const mentorship = await createRequest(-2 * HOUR);
+
+      const res = await request(app)
+        .post(sessionUrl(mentorship, 'no-show'))
+        .set(auth(mentorUser))
+        .send({ party: 'mentor' });
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('POST /sessions/:sessionId/cancel', () => {
+    it('should refuse founders inside the cutoff and let admins through', async () => {
+      const mentorship = await createRequest(2 * HOUR);
+
+      const late = await request(app)
+        .post(sessionUrl(mentorship, 'cancel'))
+        .set(auth(founder))
+        .send({ reason: 'Travel' });
+
+      expect(late.status).toBe(400);
+      expect(late.body.message).toMatch(/cannot be cancelled within 24 hours/);
+
+      const override = await request(app)
+        .post(sessionUrl(mentorship, 'cancel'))
+        .set(auth(admin))
+        .send({ reason: 'Mentor is ill' });
+
+      expect(override.status).toBe(200);
+      expect(override.body.data.status).toBe('Cancelled');
+      expect(override.body.data.sequence).toBe(1);
+    });
+
+    it('should cancel ahead of the cutoff once', async () => {
+      const mentorship = await createRequest(72 * HOUR);
+
+      const res = await request(app)
+        .post(sessionUrl(mentorship, 'cancel'))
+        .set(auth(founder))
+        .send({ reason: 'Travel' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.cancellationReason).toBe('Travel');
+
+      const again = await request(app)
+        .post(sessionUrl(mentorship, 'cancel'))
+        .set(auth(founder));
+
+      expect(again.status).toBe(400);
+      expect(again.body.message).toBe('Session is already cancelled');
+    });
+  });
+
+  describe('POST /sessions/:sessionId/reschedule', () => {
+    it('should move the session and keep its calendar UID', async () => {
+      const mentorship = await createRequest(72 * HOUR);
+      const original = mentorship.sessions[0];
+      // Overlaps the old slot, which must not count as a conflict
+      const scheduledAt = new Date(original.scheduledAt.getTime() + HOUR / 2).toISOString();
+
+      const res = await request(app)
+        .post(sessionUrl(mentorship, 'reschedule'))
+        .set(auth(mentorUser))
+        .send({ scheduledAt });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.session.rescheduledFrom).toBe(original._id.toString());
+      expect(res.body.data.session.calendarEventId).toBe(`mentorship-session-${original._id}@tasavur`);
+      expect(res.body.data.session.sequence).toBe(1);
+
+      const stored = await MentorshipRequest.findById(mentorship._id);
+      expect(stored.sessions.id(original._id).status).toBe('Rescheduled');
+    });
+
+    it('should refuse founders inside the cutoff', async () => {
+      const mentorship = await createRequest(2 * HOUR);
+
+      const res = await request(app)
+        .post(sessionUrl(mentorship, 'reschedule'))
+        .set(auth(founder))
+        .send({ scheduledAt: new Date(Date.now() + 96 * HOUR).toISOString() });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toMatch(/cannot be rescheduled within 24 hours/);
+    });
+
+    it('should answer 409 when the mentor is booked at the new time', async () => {
+      const mentorship = await createRequest(72 * HOUR);
+      const other = await createRequest(96 * HOUR, { topic: 'Pricing' });
+
+      const res = await request(app)
+        .post(sessionUrl(mentorship, 'reschedule'))
+        .set(auth(founder))
+        .send({ scheduledAt: other.sessions[0].scheduledAt.toISOString() });
+
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe('SCHEDULE_CONFLICT');
+      expect(res.body.data.conflicts[0].session).toBe(other.sessions[0]._id.toString());
+      expect((await MentorshipRequest.findById(mentorship._id)).sessions).toHaveLength(1);
+    });
+
+    it('should answer 409 while the mentor\'s calendar is locked', async () => {
+      const mentorship = await createRequest(72 * HOUR);
+      await Mentor.updateOne({ _id: mentor._id }, { $set: { scheduleLockedUntil: new Date(Date.now() + HOUR) } });
+
+      const res = await request(app)
+        .post(sessionUrl(mentorship, 'reschedule'))
+        .set(auth(founder))
+        .send({ scheduledAt: new Date(Date.now() + 96 * HOUR).toISOString() });
+
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe('CALENDAR_BUSY');
+    });
+  });
+
+  describe('POST /sessions/:sessionId/complete', () => {
+    it('should complete a held session and credit the mentor once', async () => {
+      const mentorship = await createRequest(-2 * HOUR);
+      const before = (await Mentor.findById(mentor._id)).sessionsCompleted;
+
+      const upcoming = await createRequest(HOUR);
+      const early = await request(app).post(sessionUrl(upcoming, 'complete')).set(auth(mentorUser));
+      expect(early.status).toBe(400);
+      expect(early.body.message).toBe('Session has not started yet');
+
+      const res = await request(app).post(sessionUrl(mentorship, 'complete')).set(auth(mentorUser));
+      expect(res.status).toBe(200);
+      expect(res.body.data.status).toBe('Completed');
+
+      const again = await request(app).post(sessionUrl(mentorship, 'complete')).set(auth(mentorUser));
+      expect(again.status).toBe(400);
+      expect(again.body.message).toBe('Session is already completed');
+
+      expect((await Mentor.findById(mentor._id)).sessionsCompleted).toBe(before + 1);
+    });
+  });
+
+  describe('POST /sessions/:sessionId/no-show', () => {
+    it('should count founder no-shows and flag repeat offenders', async () => {
+      const mentorship = await createRequest(-2 * HOUR, { founderNoShows: 1 });
+
+      const res = await request(app)
+        .post(sessionUrl(mentorship, 'no-show'))
+        .set(auth(mentorUser))
+        .send({});
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.session.noShowParty).toBe('founder');
+      expect(res.body.data.founderNoShows).toBe(2);
+      expect(res.body.data.attentionFlags).toEqual(['repeated_no_shows']);
+    });
+
+    it('should require admins to name the absent party', async () => {
+      const mentorship = await createRequest(-2 * HOUR);
+
+      const res = await request(app)
+        .post(sessionUrl(mentorship, 'no-show'))
+        .set(auth(admin))
+        .send({});
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Party is required');
+    });
+  });
+});
@@ -0,0 +1,286 @@
+// Set test environment BEFORE importing app
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test_jwt_secret_for_ci';
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../server');
+const MentorshipRequest = require('../models/MentorshipRequest');
+const Notification = require('../models/Notification');
+const Startup = require('../models/Startup');
+const StartupInvitation = require('../models/StartupInvitation');
+const User = require('../models/User');
+
+describe('Startup invitation tokens', () => {
+  it('should store only a hash of the token and expire after a week', () => {
+    const invitation = new StartupInvitation({
+      startup: new mongoose.Types.ObjectId(),
+      email: 'Grace@Acme.io',
+      role: 'viewer',
+      invitedBy: new mongoose.Types.ObjectId(),
+    });
+
+    const rawToken = invitation.generateToken();
+
+    expect(invitation.email).toBe('grace@acme.io');
+    expect(invitation.token).toBe(StartupInvitation.hashToken(rawToken));
+    expect(invitation.isOpen()).toBe(true);
+    expect(invitation.isOpen(new Date(Date.now() + 8 * 24 * 60 * 60 * 1000))).toBe(false);
+  });
+});
+
+/**
+ * Test Suite for the startup team routes
+ */
+describe('Team Routes', () => {
+  let mongoServer;
+  let founder;
+  let editor;
+  let viewer;
+  let outsider;
+  let startup;
+  let issuedTokens;
+
+  const auth = user => ({ Authorization: `Bearer ${user.getSignedJwtToken()}` });
+
+  const teamUrl = () => `/api/startups/${startup._id}/team`;
+
+  /**
+   * Invite an address as the founder; resolves the response and the raw
+   * token that was emailed
+   */
+  const invite = async (email, role = 'editor') => {
+    const res = await request(app).post(`${teamUrl()}/invitations`).set(auth(founder)).send({ email, role });
+    const token = issuedTokens.mock.results[issuedTokens.mock.results.length - 1].value;
+    return { res, token };
+  };
+
+  beforeAll(async () => {
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.disconnect();
+    }
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    [founder, editor, viewer, outsider] = await User.create([
+      { name: 'Fay Founder', email: 'fay@example.com', password: 'password123', role: 'founder', verified: true },
+      { name: 'Ed Editor', email: 'ed@example.com', password: 'password123', role: 'founder', verified: true },
+      { name: 'Vi Viewer', email: 'vi@example.com', password: 'password123', role: 'founder', verified: true },
+      { name: 'Oscar Outsider', email: 'oscar@example.com', password: 'password123', role: 'founder', verified: true },
+    ]);
+
+    startup = await Startup.create({
+      name: 'Team Startup',
+      shortDesc: 'A startup with a team',
+      domain: 'SaaS',
+      stage: 'MVP',
+      status: 'Active',
+      founder: founder._id,
+      founders: [{ name: 'Fay Founder', email: 'fay@example.com' }],
+      contact: { email: 'contact@team.io' },
+    });
+  });
+
+  beforeEach(async () => {
+    issuedTokens = jest.spyOn(StartupInvitation.prototype, 'generateToken');
+    await Startup.updateOne({ _id: startup._id }, {
+      $set: {
+        team: [
+          { user: editor._id, role: 'editor' },
+          { user: viewer._id, role: 'viewer' },
+        ],
+      },
+    });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await StartupInvitation.deleteMany({});
+    await MentorshipRequest.deleteMany({});
+    await Notification.deleteMany({});
+    await User.deleteMany({ email: 'janedoe@gmail.com' });
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (mongoServer) {
+      await mongoServer.stop();
+    }
+  });
+
+  describe('GET /api/startups/:id/team', () => {
+    it('should show the team to members and keep invitations for owners', async () => {
+      await invite('new@example.com');
+
+      const asViewer = await request(app).get(teamUrl()).set(auth(viewer));
+      expect(asViewer.status).toBe(200);
+      expect(asViewer.body.data.myRole).toBe('viewer');
+      expect(asViewer.body.count).toBe(3);
+      expect(asViewer.body.data.invitations).toEqual([]);
+
+      const asFounder = await request(app).get(teamUrl()).set(auth(founder));
+      expect(asFounder.body.data.invitations).toHaveLength(1);
+
+      const asOutsider = await request(app).get(teamUrl()).set(auth(outsider));
+      expect(asOutsider.status).toBe(403);
+      expect(asOutsider.body.code).toBe('NOT_OWNER');
+    });
+  });
+
+  describe('Invitations', () => {
+    it('should only let owners invite', async () => {
+      const res = await request(app)
+        .post(`${teamUrl()}/invitations`)
+        .set(auth(editor))
+        .send({ email: 'new@example.com' });
+
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe('INSUFFICIENT_TEAM_ROLE');
+      expect(await StartupInvitation.countDocuments()).toBe(0);
+    });
+
+    it('should ask owners to verify their email before inviting', async () => {
+      await User.updateOne({ _id: founder._id }, { $set: { verified: false } });
+
+      const res = await request(app)
+        .post(`${teamUrl()}/invitations`)
+        .set(auth(founder))
+        .send({ email: 'new@example.com' });
+
+      await User.updateOne({ _id: founder._id }, { $set: { verified: true } });
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe('EMAIL_NOT_VERIFIED');
+      expect(await StartupInvitation.countDocuments()).toBe(0);
+    });
+
+    it('should re-issue the link for a pending address and refuse current members', async () => {
+      const first = await invite('new@example.com');
+      expect(first.res.status).toBe(201);
+
+      const again = await invite('new@example.com', 'viewer');
+      expect(again.res.status).toBe(200);
+      expect(again.res.body.message).toBe('Invitation to new@example.com resent');
+      expect(again.token).not.toBe(first.token);
+      expect(await StartupInvitation.countDocuments()).toBe(1);
+
+      const member = await request(app)
+        .post(`${teamUrl()}/invitations`)
+        .set(auth(founder))
+        .send({ email: 'ed@example.com' });
+      expect(member.status).toBe(400);
+      expect(member.body.message).toBe('ed@example.com is already on the team');
+    });
+
+    it('should match the invited address the way sign-up stores it', async () => {
+      const registered = await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'Jane Doe', email: 'Jane.Doe@gmail.com', password: 'password123' });
+      expect(registered.status).toBe(201);
+      const invitee = await User.findOne({ email: 'janedoe@gmail.com' });
+
+      const { res, token } = await invite('jane.doe@gmail.com', 'viewer');
+      expect(res.body.data.email).toBe(invitee.email);
+
+      const preview = await request(app).get(`/api/startups/invitations/${token}`).set(auth(invitee));
+      expect(preview.status).toBe(200);
+      expect(preview.body.data.emailMatches).toBe(true);
+
+      const wrongAccount = await request(app).post(`/api/startups/invitations/${token}/accept`).set(auth(outsider));
+      expect(wrongAccount.status).toBe(403);
+
+      const accepted = await request(app).post(`/api/startups/invitations/${token}/accept`).set(auth(invitee));
+      expect(accepted.status).toBe(200);
+      expect(accepted.body.data.role).toBe('viewer');
+
+      const stored = await Startup.findById(startup._id);
+      expect(stored.getMemberRole(invitee._id)).toBe('viewer');
+      expect((await User.findById(invitee._id)).startup.toString()).toBe(startup._id.toString());
+      expect(await Notification.countDocuments({ recipient: founder._id, type: 'team_update' })).toBe(1);
+
+      const twice = await request(app).post(`/api/startups/invitations/${token}/accept`).set(auth(invitee));
+      expect(twice.status).toBe(400);
+      expect(twice.body.message).toBe('This invitation has already been accepted');
+    });
+
+    it('should not accept a revoked invitation', async () => {
+      const { res, token } = await invite('oscar@example.com');
+
+      const revoked = await request(app)
+        .delete(`${teamUrl()}/invitations/${res.body.data._id}`)
+        .set(auth(founder));
+      expect(revoked.status).toBe(200);
+
+      const accepted = await request(app).post(`/api/startups/invitations/${token}/accept`).set(auth(outsider));
+      expect(accepted.status).toBe(400);
+      expect(accepted.body.message).toBe('This invitation has already been revoked');
+      expect((await Startup.findById(startup._id)).getMemberRole(outsider._id)).toBeNull();
+    });
+  });
+
+  describe('Member management', () => {
+    it('should let only owners change roles and keep the founder an owner', async () => {
+      const asEditor = await request(app).put(`${teamUrl()}/${viewer._id}`).set(auth(editor)).send({ role: 'editor' });
+      expect(asEditor.status).toBe(403);
+
+      const promoted = await request(app).put(`${teamUrl()}/${viewer._id}`).set(auth(founder)).send({ role: 'editor' });
+      expect(promoted.status).toBe(200);
+      expect(promoted.body.data.role).toBe('editor');
+
+      const founderRole = await request(app).put(`${teamUrl()}/${founder._id}`).set(auth(founder)).send({ role: 'viewer' });
+      expect(founderRole.status).toBe(400);
+    });
+
+    it('should let members leave and only owners remove others', async () => {
+      const byEditor = await request(app).delete(`${teamUrl()}/${viewer._id}`).set(auth(editor));
+      expect(byEditor.status).toBe(403);
+      expect(byEditor.body.message).toBe('Only owners can remove team members');
+
+      const left = await request(app).delete(`${teamUrl()}/${viewer._id}`).set(auth(viewer));
+      expect(left.status).toBe(200);
+      expect(left.body.message).toBe('You left Team Startup');
+
+      const removeFounder = await request(app).delete(`${teamUrl()}/${founder._id}`).set(auth(founder));
+      expect(removeFounder.status).toBe(400);
+
+      const stored = await Startup.findById(startup._id);
+      expect(stored.getMemberRole(viewer._id)).toBeNull();
+    });
+  });
+
+  describe('Team roles in mentorship', () => {
+    let mentorship;
+
+    beforeEach(async () => {
+      mentorship = await MentorshipRequest.create({
+        startup: startup._id,
+        requestedBy: founder._id,
+        topic: 'Hiring',
+        description: 'Plan our first hires',
+      });
+    });
+
+    it('should list the startup\'s requests for every team member', async () => {
+      const asEditor = await request(app).get('/api/mentorship/requests').set(auth(editor));
+      expect(asEditor.body.count).toBe(1);
+
+      const asOutsider = await request(app).get('/api/mentorship/requests').set(auth(outsider));
+      expect(asOutsider.body.count).toBe(0);
+    });
+
+    it('should let editors act on the startup\'s requests but not viewers', async () => {
+      const asViewer = await request(app)
+        .post(`/api/mentorship/requests/${mentorship._id}/cancel`)
+        .set(auth(viewer))
+        .send({ reason: 'Not needed' });
+      expect(asViewer.status).toBe(403);
+
+      const asEditor = await request(app)
+        .post(`/api/mentorship/requests/${mentorship._id}/cancel`)
+        .set(auth(editor))
+        .send({ reason: 'Not needed' });
+      expect(asEditor.status).toBe(200);
+      expect((await MentorshipRequest.findById(mentorship._id)).status).toBe('Cancelled');
+    });
+  });
+});
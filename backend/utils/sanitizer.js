@@ -352,6 +352,46 @@ const sanitizeNumber = (value, options = {}) => {
   return num;
 };
 
+// =============================================================================
+// SPAM SCREENING
+// =============================================================================
+
+/**
+ * Screen a public form submission for spam
+ * The honeypot is a field hidden from people, so any value means a bot
+ * filled it in. Submissions that arrive faster than a person could type
+ * or that are stuffed with links are flagged as well. Links are counted
+ * in the text as sanitizeMiddleware leaves it, with slashes escaped.
+ * @param {Object} submission - { honeypot, startedAt, text }
+ * @param {Object} options - { minFillMs, maxLinks }
+ * @returns {Object} { isSpam, isBot, reasons }
+ */
+const screenSubmission = (submission = {}, options = {}) => {
+  const { minFillMs = 3000, maxLinks = 3 } = options;
+  const { honeypot, startedAt, text = '' } = submission;
+  const reasons = [];
+
+  if (typeof honeypot === 'string' ? honeypot.trim() !== '' : Boolean(honeypot)) {
+    reasons.push('honeypot');
+  }
+
+  const started = Number(startedAt);
+  if (Number.isFinite(started) && started > 0 && Date.now() - started < minFillMs) {
+    reasons.push('too_fast');
+  }
+
+  const links = String(text).match(/(https?:(\/|&#x2F;){2}|www\.)/gi) || [];
+  if (links.length > maxLinks) {
+    reasons.push('too_many_links');
+  }
+
+  return {
+    isSpam: reasons.length > 0,
+    isBot: reasons.includes('honeypot') || reasons.includes('too_fast'),
+    reasons,
+  };
+};
+
 module.exports = {
   sanitizeString,
   sanitizeHtml,
@@ -362,4 +402,5 @@ module.exports = {
   sanitizeMiddleware,
   sanitizeNumber,
   isValidObjectId,
+  screenSubmission,
 };
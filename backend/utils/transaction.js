@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+/**
+ * Transaction Utilities
+ * Runs work inside a MongoDB transaction when the deployment supports it
+ * (replica set or sharded cluster) and falls back to plain writes otherwise
+ */
+
+let transactionSupport = null;
+
+/**
+ * Check whether the connected deployment supports transactions
+ * The result is cached once a connection is established
+ * @returns {Promise<boolean>}
+ */
+const supportsTransactions = async () => {
+  if (transactionSupport !== null) return transactionSupport;
+
+  if (mongoose.connection.readyState !== 1) {
+    return false;
+  }
+
+  try {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    transactionSupport = Boolean(hello.setName || hello.msg === 'isdbgrid');
+  } catch (error) {
+    transactionSupport = false;
+  }
+
+  return transactionSupport;
+};
+
+/**
+ * Run work inside a transaction when supported
+ * The work function receives the session (or null without transactions)
+ * and may be retried by the driver on transient errors, so it must not
+ * keep state between calls
+ * @param {Function} work - async (session) => result
+ * @returns {Promise<Object>} { result, transactional }
+ */
+const withOptionalTransaction = async (work) => {
+  if (!(await supportsTransactions())) {
+    return { result: await work(null), transactional: false };
+  }
+
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return { result, transactional: true };
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = {
+  supportsTransactions,
+  withOptionalTransaction,
+};
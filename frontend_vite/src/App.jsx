@@ -10,6 +10,13 @@ import MentorDashboard from './pages/MentorDashboard';
 import InvestorDashboard from './pages/InvestorDashboard';
 import MentorRequest from './pages/MentorRequest';
 import MyRequests from './pages/MyRequests';
+import MentorshipRequestDetails from './pages/MentorshipRequestDetails';
+import OfficeHours from './pages/OfficeHours';
+import CheckIns from './pages/CheckIns';
+import AcceptInvitation from './pages/AcceptInvitation';
+import VerifyEmail from './pages/VerifyEmail';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
 import ResourceHub from './pages/ResourceHub';
 import ResourceManagement from './pages/ResourceManagement';
 import FundingApplication from './pages/FundingApplication';
@@ -164,6 +171,30 @@ function App() {
               </PublicRoute>
             }
           />
+          <Route
+            path="/forgot-password"
+            element={
+              <PublicRoute redirectIfAuth>
+                <ForgotPassword />
+              </PublicRoute>
+            }
+          />
+          <Route
+            path="/reset-password/:token"
+            element={
+              <PublicRoute>
+                <ResetPassword />
+              </PublicRoute>
+            }
+          />
+          <Route
+            path="/verify-email/:token"
+            element={
+              <PublicRoute>
+                <VerifyEmail />
+              </PublicRoute>
+            }
+          />
           <Route path="/onboard" element={<Onboard />} />
           <Route
             path="/dashboard"
@@ -225,7 +256,31 @@ function App() {
             path="/mentorship/requests/:id"
             element={
               <ProtectedRoute>
-                <PlaceholderPage title="Request Details" />
+                <MentorshipRequestDetails />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/office-hours"
+            element={
+              <ProtectedRoute>
+                <OfficeHours />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/check-ins"
+            element={
+              <ProtectedRoute roles={['founder', 'admin']}>
+                <CheckIns />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/invitations/:token"
+            element={
+              <ProtectedRoute>
+                <AcceptInvitation />
               </ProtectedRoute>
             }
           />
@@ -706,9 +761,9 @@ const Login = () => {
           </form>
 
           <div className="mt-6 text-center">
-            <a href="/forgot-password" className="text-white/50 hover:text-white text-sm transition-colors">
+            <Link to="/forgot-password" className="text-white/50 hover:text-white text-sm transition-colors">
               Forgot password?
-            </a>
+            </Link>
           </div>
 
           <div className="mt-8 pt-6 border-t border-white/10 text-center">
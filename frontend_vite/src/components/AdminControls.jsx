@@ -39,7 +39,13 @@ const AdminControls = ({
         startupIds: selectedStartups,
       });
 
-      toast.success(response.data.message);
+      const { failed = 0, results = [] } = response.data.data || {};
+      if (failed > 0) {
+        const firstFailure = results.find((r) => !r.success);
+        toast.error(`${response.data.message}${firstFailure ? `: ${firstFailure.message}` : ''}`);
+      } else {
+        toast.success(response.data.message);
+      }
       onActionComplete();
       setShowConfirm(false);
       setPendingAction(null);
@@ -29,16 +29,20 @@ const DashboardNav = () => {
       admin: [
         ...commonLinks,
         { to: '/resources/admin/manage', label: 'Manage Resources' },
+        { to: '/check-ins', label: 'Check-ins' },
       ],
       founder: [
         ...commonLinks,
         { to: '/onboard', label: 'Register Startup' },
         { to: '/mentor-request', label: 'Find Mentors' },
+        { to: '/office-hours', label: 'Office Hours' },
+        { to: '/check-ins', label: 'Check-ins' },
         { to: '/funding', label: 'Apply for Funding' },
       ],
       mentor: [
         ...commonLinks,
         { to: '/mentorship/my-requests', label: 'My Sessions' },
+        { to: '/office-hours', label: 'Office Hours' },
       ],
       investor: [
         ...commonLinks,
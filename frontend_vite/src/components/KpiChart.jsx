@@ -0,0 +1,118 @@
+/**
+ * KpiChart Component
+ * Small SVG line chart for a monthly KPI series
+ * Months without a report (null values) break the line instead of dropping to zero
+ */
+
+const WIDTH = 320;
+const HEIGHT = 120;
+const PADDING = { top: 12, right: 8, bottom: 20, left: 8 };
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Format a KPI value for display
+ * @param {number|null} value - Value to format
+ * @param {string} unit - currency | count | percent | months
+ */
+export const formatKpiValue = (value, unit) => {
+  if (value === null || value === undefined) return '—';
+
+  switch (unit) {
+    case 'currency':
+      return Math.abs(value) >= 1000 ? `$${(value / 1000).toFixed(1)}k` : `$${value}`;
+    case 'percent':
+      return `${value > 0 ? '+' : ''}${value}%`;
+    case 'months':
+      return `${value} mo`;
+    default:
+      return value.toLocaleString();
+  }
+};
+
+/**
+ * Short label for a YYYY-MM period
+ */
+export const formatPeriod = (period) => {
+  const [year, month] = period.split('-');
+  return `${MONTHS[Number(month) - 1]} ${year.slice(2)}`;
+};
+
+const KpiChart = ({ periods = [], series, color = '#9B7FCB' }) => {
+  const values = series?.values || [];
+  const reported = values.filter(v => v !== null);
+  const latest = [...values].reverse().find(v => v !== null);
+
+  const innerWidth = WIDTH - PADDING.left - PADDING.right;
+  const innerHeight = HEIGHT - PADDING.top - PADDING.bottom;
+
+  // Include zero so growth charts show which side of it a month falls on
+  const min = Math.min(0, ...reported);
+  const max = Math.max(0, ...reported);
+  const range = max - min || 1;
+
+  const x = i => PADDING.left + (periods.length > 1 ? (i / (periods.length - 1)) * innerWidth : innerWidth / 2);
+  const y = v => PADDING.top + innerHeight - ((v - min) / range) * innerHeight;
+
+  // Split the line at unreported months
+  const segments = values.reduce((acc, value, i) => {
+    if (value === null) {
+      acc.push([]);
+    } else {
+      acc[acc.length - 1].push(`${x(i)},${y(value)}`);
+    }
+    return acc;
+  }, [[]]).filter(points => points.length > 0);
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', marginBottom: '0.5rem' }}>
+        <span style={{ fontSize: '0.85rem', color: 'rgba(255, 255, 255, 0.6)' }}>{series?.label}</span>
+        <span style={{ fontSize: '1.1rem', fontWeight: '600', color }}>
+          {formatKpiValue(latest ?? null, series?.unit)}
+        </span>
+      </div>
+
+      {reported.length === 0 ? (
+        <div style={{ height: HEIGHT, display: 'flex', alignItems: 'center', justifyContent: 'center', fontSize: '0.8rem', color: 'rgba(255, 255, 255, 0.4)' }}>
+          Not reported yet
+        </div>
+      ) : (
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} width="100%" height={HEIGHT} role="img" aria-label={`${series.label} by month`}>
+          {/* Zero line */}
+          <line
+            x1={PADDING.left}
+            x2={WIDTH - PADDING.right}
+            y1={y(0)}
+            y2={y(0)}
+            stroke="rgba(255, 255, 255, 0.15)"
+            strokeDasharray="4 4"
+          />
+
+          {segments.map((points, i) => (
+            <polyline key={i} points={points.join(' ')} fill="none" stroke={color} strokeWidth="2" strokeLinejoin="round" />
+          ))}
+
+          {values.map((value, i) => value !== null && (
+            <circle key={periods[i]} cx={x(i)} cy={y(value)} r="3" fill={color}>
+              <title>{`${formatPeriod(periods[i])}: ${formatKpiValue(value, series.unit)}`}</title>
+            </circle>
+          ))}
+
+          {periods.length > 0 && (
+            <>
+              <text x={PADDING.left} y={HEIGHT - 4} fontSize="10" fill="rgba(255, 255, 255, 0.4)">
+                {formatPeriod(periods[0])}
+              </text>
+              <text x={WIDTH - PADDING.right} y={HEIGHT - 4} fontSize="10" fill="rgba(255, 255, 255, 0.4)" textAnchor="end">
+                {formatPeriod(periods[periods.length - 1])}
+              </text>
+            </>
+          )}
+        </svg>
+      )}
+    </div>
+  );
+};
+
+export default KpiChart;
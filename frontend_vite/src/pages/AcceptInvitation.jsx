@@ -0,0 +1,115 @@
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { startupAPI, handleAPIError } from '../services/api';
+import useAuthStore from '../store/authStore';
+import { format } from 'date-fns';
+
+/**
+ * AcceptInvitation Page
+ * Shows a startup team invitation from an emailed link and lets the
+ * invited account join the team
+ */
+const AcceptInvitation = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuthStore();
+
+  const [invitation, setInvitation] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [accepting, setAccepting] = useState(false);
+
+  useEffect(() => {
+    const fetchInvitation = async () => {
+      try {
+        const response = await startupAPI.getInvitation(token);
+        setInvitation(response.data.data);
+      } catch (err) {
+        setError(handleAPIError(err));
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchInvitation();
+  }, [token]);
+
+  const handleAccept = async () => {
+    setAccepting(true);
+    try {
+      const response = await startupAPI.acceptInvitation(token);
+      toast.success(response.data.message);
+      navigate(`/startups/${response.data.data.startup._id}`);
+    } catch (err) {
+      toast.error(handleAPIError(err));
+    } finally {
+      setAccepting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  const canAccept = invitation
+    && invitation.status === 'Pending'
+    && !invitation.isExpired
+    && invitation.emailMatches;
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-12">
+      <div className="max-w-lg mx-auto px-4">
+        <div className="bg-white rounded-lg shadow-md p-8 text-center">
+          {error || !invitation ? (
+            <>
+              <h1 className="text-2xl font-bold text-gray-900 mb-2">Invitation not found</h1>
+              <p className="text-gray-600 mb-6">{error || 'This invitation link is not valid.'}</p>
+              <Link to="/dashboard" className="btn btn-primary">Go to Dashboard</Link>
+            </>
+          ) : (
+            <>
+              <h1 className="text-2xl font-bold text-gray-900 mb-2">Join {invitation.startup.name}</h1>
+              <p className="text-gray-600 mb-6">
+                {invitation.invitedBy?.name || 'A team owner'} invited {invitation.email} to join as{' '}
+                <span className="font-semibold">{invitation.role}</span>.
+              </p>
+
+              {invitation.status !== 'Pending' && (
+                <p className="text-red-600 mb-6">This invitation has already been {invitation.status.toLowerCase()}.</p>
+              )}
+              {invitation.status === 'Pending' && invitation.isExpired && (
+                <p className="text-red-600 mb-6">This invitation expired. Ask the team to send a new one.</p>
+              )}
+              {invitation.status === 'Pending' && !invitation.isExpired && !invitation.emailMatches && (
+                <p className="text-red-600 mb-6">
+                  You are signed in as {user?.email}. Sign in with {invitation.email} to accept.
+                </p>
+              )}
+              {canAccept && (
+                <p className="text-sm text-gray-500 mb-6">
+                  Expires {format(new Date(invitation.expiresAt), 'MMM d, yyyy')}
+                </p>
+              )}
+
+              <button
+                type="button"
+                onClick={handleAccept}
+                disabled={!canAccept || accepting}
+                className="btn btn-primary disabled:opacity-50"
+              >
+                {accepting ? 'Joining...' : 'Accept Invitation'}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AcceptInvitation;
@@ -30,6 +30,8 @@ const AdminMentorship = () => {
     const [requests, setRequests] = useState([]);
     const [mentorSearch, setMentorSearch] = useState('');
     const [requestFilter, setRequestFilter] = useState('all');
+    const [evaluation, setEvaluation] = useState(null);
+    const [evaluating, setEvaluating] = useState(false);
     const [stats, setStats] = useState({
         totalMentors: 0,
         activeMentors: 0,
@@ -72,6 +74,33 @@ const AdminMentorship = () => {
         }
     };
 
+    const fetchEvaluation = async () => {
+        try {
+            setEvaluating(true);
+            const response = await mentorshipAPI.getMatchingEvaluation();
+            setEvaluation(response.data.data);
+        } catch (error) {
+            toast.error(handleAPIError(error));
+        } finally {
+            setEvaluating(false);
+        }
+    };
+
+    const handleApplyEvaluation = async () => {
+        try {
+            setEvaluating(true);
+            const response = await mentorshipAPI.applyMatchingEvaluation();
+            toast.success(response.data.message);
+            setEvaluation(response.data.data.report);
+        } catch (error) {
+            toast.error(handleAPIError(error));
+        } finally {
+            setEvaluating(false);
+        }
+    };
+
+    const formatCorrelation = (value) => (value === null || value === undefined ? '—' : value.toFixed(2));
+
     const filteredMentors = mentors.filter(mentor => {
         if (!mentorSearch) return true;
         const search = mentorSearch.toLowerCase();
@@ -197,6 +226,15 @@ const AdminMentorship = () => {
                         >
                             Requests ({requests.length})
                         </button>
+                        <button
+                            onClick={() => {
+                                setActiveTab('quality');
+                                if (!evaluation) fetchEvaluation();
+                            }}
+                            className={`admin-tab ${activeTab === 'quality' ? 'active' : ''}`}
+                        >
+                            Matching Quality
+                        </button>
                     </div>
 
                     {/* Overview Tab */}
@@ -355,6 +393,11 @@ const AdminMentorship = () => {
                                                 <div className="flex items-center gap-3 mb-1">
                                                     <h3 className="font-semibold text-black text-lg">{request.topic}</h3>
                                                     <span className={`admin-badge ${getStatusBadge(request.status)}`}>{request.status}</span>
+                                                    {request.attentionFlags?.includes('repeated_no_shows') && (
+                                                        <span className="admin-badge admin-badge-error" title={`${request.founderNoShows} founder no-shows`}>
+                                                            Repeated no-shows
+                                                        </span>
+                                                    )}
                                                 </div>
                                                 <p className="text-gray-500 text-sm mb-2 line-clamp-2">{request.description}</p>
                                                 <div className="flex flex-wrap gap-2 mb-2">
@@ -380,6 +423,91 @@ const AdminMentorship = () => {
                             </div>
                         </div>
                     )}
+
+                    {/* Matching Quality Tab */}
+                    {activeTab === 'quality' && (
+                        <div className="admin-section">
+                            <div className="admin-section-header">
+                                <div>
+                                    <h2 className="admin-section-title">Matching Quality</h2>
+                                    {evaluation && (
+                                        <p className="text-sm text-gray-500">
+                                            {evaluation.outcomes} outcomes from {evaluation.requests} requests over the last {evaluation.period.days} days · weights v{evaluation.config.version}
+                                        </p>
+                                    )}
+                                </div>
+                                <div className="flex gap-2">
+                                    <button onClick={fetchEvaluation} disabled={evaluating} className="admin-btn admin-btn-secondary">
+                                        {evaluating ? 'Evaluating...' : 'Re-run'}
+                                    </button>
+                                    <button
+                                        onClick={handleApplyEvaluation}
+                                        disabled={evaluating || !evaluation?.changed || !evaluation?.dryRun.improves}
+                                        className="admin-btn admin-btn-primary disabled:opacity-50"
+                                        title="Publishes the proposed weights as a new matching version"
+                                    >
+                                        Apply Proposed Weights
+                                    </button>
+                                </div>
+                            </div>
+                            <div className="admin-section-content">
+                                {!evaluation && evaluating && <p className="text-sm text-gray-500">Evaluating past matches...</p>}
+                                {evaluation && (
+                                    <>
+                                        <table className="w-full text-sm mb-6">
+                                            <thead>
+                                                <tr className="text-left text-gray-500">
+                                                    <th className="py-2">Component</th>
+                                                    <th>Samples</th>
+                                                    <th>Acceptance</th>
+                                                    <th>Completion</th>
+                                                    <th>Rating</th>
+                                                    <th>Predictive value</th>
+                                                    <th>Current</th>
+                                                    <th>Proposed</th>
+                                                </tr>
+                                            </thead>
+                                            <tbody>
+                                                {evaluation.components.map((component) => (
+                                                    <tr key={component.key} className="border-t border-gray-50">
+                                                        <td className="py-2 font-medium text-black capitalize">{component.key}</td>
+                                                        <td>{component.samples}</td>
+                                                        <td>{formatCorrelation(component.acceptance)}</td>
+                                                        <td>{formatCorrelation(component.completion)}</td>
+                                                        <td>{formatCorrelation(component.rating)}</td>
+                                                        <td>{formatCorrelation(component.predictiveValue)}</td>
+                                                        <td>{evaluation.currentWeights[component.key]}</td>
+                                                        <td>{evaluation.proposedWeights[component.key]}</td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                                            <div className="admin-stat-card">
+                                                <p className="text-sm text-gray-500">Pairwise accuracy</p>
+                                                <p className="text-xl font-bold text-black">
+                                                    {formatCorrelation(evaluation.dryRun.current.pairwiseAccuracy)} → {formatCorrelation(evaluation.dryRun.proposed.pairwiseAccuracy)}
+                                                </p>
+                                            </div>
+                                            <div className="admin-stat-card">
+                                                <p className="text-sm text-gray-500">Mean reciprocal rank</p>
+                                                <p className="text-xl font-bold text-black">
+                                                    {formatCorrelation(evaluation.dryRun.current.meanReciprocalRank)} → {formatCorrelation(evaluation.dryRun.proposed.meanReciprocalRank)}
+                                                </p>
+                                            </div>
+                                            <div className="admin-stat-card">
+                                                <p className="text-sm text-gray-500">Top picks changed</p>
+                                                <p className="text-xl font-bold text-black">{evaluation.dryRun.changedTopPicks}</p>
+                                            </div>
+                                        </div>
+                                        <p className="text-xs text-gray-400 mt-4">
+                                            Components need {evaluation.minSamples} outcomes before their weight is adjusted.
+                                        </p>
+                                    </>
+                                )}
+                            </div>
+                        </div>
+                    )}
                 </div>
                 {/* End admin-content */}
             </div>
@@ -0,0 +1,424 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { checkInAPI, handleAPIError } from '../services/api';
+import useAuthStore from '../store/authStore';
+import { format } from 'date-fns';
+
+const emptyForm = {
+  period: '',
+  highlights: '',
+  lowlights: '',
+  asks: '',
+  answers: {},
+  includeKpis: false,
+  revenue: '',
+  users: '',
+  monthlyBurnRate: '',
+  cashBalance: '',
+};
+
+const stateStyles = {
+  on_time: { label: 'On time', className: 'bg-green-100 text-green-700' },
+  late: { label: 'Late', className: 'bg-yellow-100 text-yellow-700' },
+  overdue: { label: 'Overdue', className: 'bg-red-100 text-red-700' },
+  open: { label: 'Open', className: 'bg-blue-100 text-blue-700' },
+};
+
+const StateBadge = ({ state }) => {
+  const style = stateStyles[state];
+  if (!style) return <span className="text-gray-300">—</span>;
+
+  return (
+    <span className={`px-2 py-1 rounded-full text-xs font-semibold ${style.className}`}>
+      {style.label}
+    </span>
+  );
+};
+
+/**
+ * CheckIns Page
+ * Founders submit their monthly check-in (highlights, lowlights, asks
+ * and KPIs); admins track submission compliance across startups
+ */
+const CheckIns = () => {
+  const { user } = useAuthStore();
+  const isAdmin = user?.role === 'admin';
+
+  const [mine, setMine] = useState({ startups: [], reports: [], defaultPeriod: '' });
+  const [compliance, setCompliance] = useState(null);
+  const [months, setMonths] = useState(6);
+  const [selectedStartup, setSelectedStartup] = useState('');
+  const [form, setForm] = useState(emptyForm);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (isAdmin) {
+      fetchCompliance();
+    } else {
+      fetchMine();
+    }
+  }, [isAdmin, months]);
+
+  const fetchMine = async () => {
+    setLoading(true);
+    try {
+      const response = await checkInAPI.getMine();
+      const data = response.data.data;
+      setMine(data);
+      setSelectedStartup(current => current || data.startups[0]?._id || '');
+      setForm(current => ({ ...current, period: current.period || data.defaultPeriod }));
+    } catch (error) {
+      toast.error(handleAPIError(error));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchCompliance = async () => {
+    setLoading(true);
+    try {
+      const response = await checkInAPI.getCompliance({ months });
+      setCompliance(response.data.data);
+    } catch (error) {
+      toast.error(handleAPIError(error));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startup = mine.startups.find(s => s._id === selectedStartup);
+  const questions = startup?.checkIns.questions || [];
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+
+    try {
+      const response = await checkInAPI.submit({
+        startup: selectedStartup,
+        period: form.period,
+        highlights: form.highlights,
+        lowlights: form.lowlights,
+        asks: form.asks || undefined,
+        answers: questions.map(q => ({ question: q._id, answer: form.answers[q._id] || '' })),
+        kpis: form.includeKpis
+          ? {
+            revenue: Number(form.revenue),
+            users: Number(form.users),
+            monthlyBurnRate: form.monthlyBurnRate !== '' ? Number(form.monthlyBurnRate) : undefined,
+            cashBalance: form.cashBalance !== '' ? Number(form.cashBalance) : undefined,
+          }
+          : undefined,
+      });
+      toast.success(response.data.message);
+      setForm({ ...emptyForm, period: mine.defaultPeriod });
+      fetchMine();
+    } catch (error) {
+      toast.error(handleAPIError(error));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleReview = async (reportId) => {
+    try {
+      const response = await checkInAPI.review(reportId);
+      toast.success(response.data.message);
+      return true;
+    } catch (error) {
+      toast.error(handleAPIError(error));
+      return false;
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  // Admin compliance view
+  if (isAdmin) {
+    const summary = compliance?.summary || {};
+
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center mb-6">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">Check-in Compliance</h1>
+              <p className="text-gray-600">Monthly reports from Active startups</p>
+            </div>
+            <select className="input" value={months} onChange={(e) => setMonths(Number(e.target.value))}>
+              {[3, 6, 12].map(m => <option key={m} value={m}>Last {m} months</option>)}
+            </select>
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+            {[
+              { label: 'Compliance', value: summary.complianceRate !== null && summary.complianceRate !== undefined ? `${summary.complianceRate}%` : '—' },
+              { label: 'On time', value: summary.onTime || 0 },
+              { label: 'Late', value: summary.late || 0 },
+              { label: 'Overdue', value: summary.overdue || 0 },
+            ].map(card => (
+              <div key={card.label} className="bg-white rounded-lg shadow-md p-4">
+                <p className="text-sm text-gray-500">{card.label}</p>
+                <p className="text-2xl font-bold text-gray-900">{card.value}</p>
+              </div>
+            ))}
+          </div>
+
+          <div className="bg-white rounded-lg shadow-md overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b border-gray-100">
+                  <th className="p-3">Startup</th>
+                  {compliance?.periods.map(period => <th key={period} className="p-3">{period}</th>)}
+                  <th className="p-3">Rate</th>
+                </tr>
+              </thead>
+              <tbody>
+                {compliance?.startups.map(row => (
+                  <tr key={row.startup._id} className="border-b border-gray-50">
+                    <td className="p-3">
+                      <Link to={`/startups/${row.startup._id}`} className="font-medium text-gray-900 hover:text-primary-600">
+                        {row.startup.name}
+                      </Link>
+                      {row.startup.cohort && <div className="text-xs text-gray-500">{row.startup.cohort.name}</div>}
+                    </td>
+                    {row.periods.map(cell => (
+                      <td key={cell.period} className="p-3">
+                        <StateBadge state={cell.state} />
+                      </td>
+                    ))}
+                    <td className="p-3 font-semibold text-gray-900">
+                      {row.complianceRate !== null ? `${row.complianceRate}%` : '—'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {compliance?.startups.length === 0 && (
+              <p className="p-6 text-center text-gray-500">No Active startups yet</p>
+            )}
+          </div>
+
+          <SubmittedReports startups={compliance?.startups || []} onReview={handleReview} />
+        </div>
+      </div>
+    );
+  }
+
+  // Founder view
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="mb-6">
+          <h1 className="text-3xl font-bold text-gray-900">Monthly Check-ins</h1>
+          <p className="text-gray-600">Share how the month went with the program team</p>
+        </div>
+
+        {mine.startups.length === 0 ? (
+          <div className="bg-white rounded-lg shadow-md p-6 text-center text-gray-600">
+            Register a startup to start reporting.
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-md p-6 mb-8 space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <label className="text-sm text-gray-600">
+                Startup
+                <select className="input w-full" value={selectedStartup} onChange={(e) => setSelectedStartup(e.target.value)}>
+                  {mine.startups.map(s => <option key={s._id} value={s._id}>{s.name}</option>)}
+                </select>
+              </label>
+              <label className="text-sm text-gray-600">
+                Month
+                <input
+                  type="month"
+                  className="input w-full"
+                  value={form.period}
+                  max={format(new Date(), 'yyyy-MM')}
+                  onChange={(e) => setForm({ ...form, period: e.target.value })}
+                  required
+                />
+              </label>
+            </div>
+            {startup && (
+              <p className="text-xs text-gray-500">
+                Reports are due on day {startup.checkIns.dueDay} of the following month.
+              </p>
+            )}
+
+            {[
+              { key: 'highlights', label: 'Highlights', placeholder: 'What went well?', required: true },
+              { key: 'lowlights', label: 'Lowlights', placeholder: 'What did not go to plan?', required: true },
+              { key: 'asks', label: 'Asks', placeholder: 'Where could the program help?', required: false },
+            ].map(section => (
+              <label key={section.key} className="block text-sm text-gray-600">
+                {section.label}
+                <textarea
+                  className="input w-full"
+                  rows="3"
+                  maxLength={2000}
+                  placeholder={section.placeholder}
+                  value={form[section.key]}
+                  onChange={(e) => setForm({ ...form, [section.key]: e.target.value })}
+                  required={section.required}
+                />
+              </label>
+            ))}
+
+            {questions.map(question => (
+              <label key={question._id} className="block text-sm text-gray-600">
+                {question.prompt}{question.required && ' *'}
+                <textarea
+                  className="input w-full"
+                  rows="2"
+                  maxLength={2000}
+                  value={form.answers[question._id] || ''}
+                  onChange={(e) => setForm({ ...form, answers: { ...form.answers, [question._id]: e.target.value } })}
+                  required={question.required}
+                />
+              </label>
+            ))}
+
+            <label className="flex items-center space-x-2 text-sm text-gray-600">
+              <input
+                type="checkbox"
+                checked={form.includeKpis}
+                onChange={(e) => setForm({ ...form, includeKpis: e.target.checked })}
+              />
+              <span>Report this month's KPIs too</span>
+            </label>
+            {form.includeKpis && (
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                {[
+                  { key: 'revenue', label: 'Revenue ($)', required: true },
+                  { key: 'users', label: 'Users', required: true },
+                  { key: 'monthlyBurnRate', label: 'Monthly burn ($)' },
+                  { key: 'cashBalance', label: 'Cash balance ($)' },
+                ].map(field => (
+                  <label key={field.key} className="text-sm text-gray-600">
+                    {field.label}
+                    <input
+                      type="number"
+                      min="0"
+                      className="input w-full"
+                      value={form[field.key]}
+                      onChange={(e) => setForm({ ...form, [field.key]: e.target.value })}
+                      required={field.required}
+                    />
+                  </label>
+                ))}
+              </div>
+            )}
+
+            <button type="submit" disabled={submitting} className="btn btn-primary disabled:opacity-60">
+              {submitting ? 'Submitting...' : 'Submit Check-in'}
+            </button>
+          </form>
+        )}
+
+        <h2 className="text-xl font-bold text-gray-900 mb-4">History</h2>
+        {mine.reports.length === 0 ? (
+          <p className="text-gray-500">No check-ins yet</p>
+        ) : (
+          <div className="space-y-3">
+            {mine.reports.map(report => (
+              <div key={report._id} className="bg-white rounded-lg shadow-md p-4">
+                <div className="flex justify-between items-center mb-2">
+                  <div>
+                    <span className="font-semibold text-gray-900">{report.period}</span>
+                    <span className="text-sm text-gray-500 ml-2">
+                      due {format(new Date(report.dueDate), 'MMM dd, yyyy')}
+                    </span>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    {report.status === 'Reviewed' && <span className="text-xs text-gray-500">Reviewed</span>}
+                    <StateBadge state={report.state} />
+                  </div>
+                </div>
+                {report.highlights && <p className="text-sm text-gray-700"><strong>Highlights:</strong> {report.highlights}</p>}
+                {report.lowlights && <p className="text-sm text-gray-700"><strong>Lowlights:</strong> {report.lowlights}</p>}
+                {report.asks && <p className="text-sm text-gray-700"><strong>Asks:</strong> {report.asks}</p>}
+                {report.reviewNote && <p className="text-sm text-primary-700 mt-2">Program note: {report.reviewNote}</p>}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Submitted reports awaiting review, opened one at a time
+ */
+const SubmittedReports = ({ startups, onReview }) => {
+  const [report, setReport] = useState(null);
+
+  const awaiting = startups.flatMap(row => row.periods
+    .filter(cell => cell.reportId && ['on_time', 'late'].includes(cell.state))
+    .map(cell => ({ ...cell, startupName: row.startup.name })));
+
+  const openReport = async (reportId) => {
+    try {
+      const response = await checkInAPI.getOne(reportId);
+      setReport(response.data.data);
+    } catch (error) {
+      toast.error(handleAPIError(error));
+    }
+  };
+
+  if (awaiting.length === 0) return null;
+
+  return (
+    <div className="mt-8">
+      <h2 className="text-xl font-bold text-gray-900 mb-4">Submitted Reports</h2>
+      <div className="flex flex-wrap gap-2 mb-4">
+        {awaiting.map(cell => (
+          <button key={cell.reportId} onClick={() => openReport(cell.reportId)} className="btn btn-secondary">
+            {cell.startupName} · {cell.period}
+          </button>
+        ))}
+      </div>
+
+      {report && (
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <div className="flex justify-between items-center mb-3">
+            <h3 className="text-lg font-semibold text-gray-900">{report.startup?.name} · {report.period}</h3>
+            {report.status === 'Submitted' && (
+              <button
+                onClick={async () => {
+                  if (await onReview(report._id)) {
+                    setReport({ ...report, status: 'Reviewed' });
+                  }
+                }}
+                className="btn btn-primary"
+              >
+                Mark Reviewed
+              </button>
+            )}
+          </div>
+          <p className="text-sm text-gray-700 mb-2"><strong>Highlights:</strong> {report.highlights}</p>
+          <p className="text-sm text-gray-700 mb-2"><strong>Lowlights:</strong> {report.lowlights}</p>
+          {report.asks && <p className="text-sm text-gray-700 mb-2"><strong>Asks:</strong> {report.asks}</p>}
+          {report.answers?.map(a => (
+            <p key={a._id} className="text-sm text-gray-700 mb-2"><strong>{a.prompt}</strong> {a.answer || '—'}</p>
+          ))}
+          {report.kpis && (
+            <p className="text-xs text-gray-500">
+              Revenue ${report.kpis.revenue ?? 0} · Users {report.kpis.users ?? 0} · Growth {report.kpis.growth ?? 0}%
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CheckIns;
@@ -1,6 +1,7 @@
-import { useState } from 'react';
+import { useRef, useState } from 'react';
 import { Link } from 'react-router-dom';
 import toast from 'react-hot-toast';
+import api from '../services/api';
 
 /**
  * Contact Page
@@ -12,8 +13,10 @@ const Contact = () => {
         email: '',
         subject: '',
         message: '',
+        website: '', // Honeypot - hidden from people, bots fill it in
     });
     const [loading, setLoading] = useState(false);
+    const formStartedAt = useRef(Date.now());
 
     const handleChange = (e) => {
         const { name, value } = e.target;
@@ -24,12 +27,22 @@ const Contact = () => {
         e.preventDefault();
         setLoading(true);
 
-        // Simulate sending
-        await new Promise(resolve => setTimeout(resolve, 1500));
+        try {
+            const response = await api.post('/contact', {
+                ...formData,
+                formStartedAt: formStartedAt.current,
+            });
 
-        toast.success('Message sent successfully! We\'ll get back to you soon.');
-        setFormData({ name: '', email: '', subject: '', message: '' });
-        setLoading(false);
+            toast.success(response.data.message || 'Message sent successfully! We\'ll get back to you soon.');
+            setFormData({ name: '', email: '', subject: '', message: '', website: '' });
+            formStartedAt.current = Date.now();
+        } catch (error) {
+            const fieldError = error.response?.data?.errors?.[0]?.message;
+            toast.error(fieldError || error.response?.data?.message || 'Failed to send message');
+            console.error('Contact form error:', error);
+        } finally {
+            setLoading(false);
+        }
     };
 
     const styles = {
@@ -258,6 +271,21 @@ const Contact = () => {
                                 />
                             </div>
 
+                            {/* Honeypot field - leave empty */}
+                            <div style={{ position: 'absolute', left: '-10000px' }} aria-hidden="true">
+                                <label>
+                                    Website
+                                    <input
+                                        type="text"
+                                        name="website"
+                                        value={formData.website}
+                                        onChange={handleChange}
+                                        tabIndex={-1}
+                                        autoComplete="off"
+                                    />
+                                </label>
+                            </div>
+
                             <button
                                 type="submit"
                                 disabled={loading}
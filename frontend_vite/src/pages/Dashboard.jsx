@@ -49,12 +49,19 @@ const Dashboard = () => {
   // Socket.IO for real-time updates
   useEffect(() => {
     const socketUrl = import.meta.env.VITE_SOCKET_URL || import.meta.env.VITE_API_URL?.replace('/api', '') || '';
-    const socket = io(socketUrl, { transports: ['websocket', 'polling'] });
+    const socket = io(socketUrl, {
+      transports: ['websocket', 'polling'],
+      auth: { token: localStorage.getItem('token') },
+    });
 
     socket.on('connect', () => {
       // Connected to real-time updates
     });
 
+    socket.on('notification:new', (notification) => {
+      toast(notification.title, { icon: notification.icon || '🔔' });
+    });
+
     socket.on('startup:updated', (data) => {
       fetchStartups();
       toast.success('Dashboard updated with latest data');
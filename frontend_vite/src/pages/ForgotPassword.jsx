@@ -0,0 +1,81 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { authAPI, handleAPIError } from '../services/api';
+
+/**
+ * ForgotPassword Page
+ * Requests a password reset link by email
+ */
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [sent, setSent] = useState(null);
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      const response = await authAPI.forgotPassword({ email });
+      setSent(response.data.message);
+    } catch (err) {
+      setError(handleAPIError(err));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-[#0a0a0a] flex items-center justify-center p-4">
+      <div className="w-full max-w-md glass-card p-8">
+        <div className="text-center mb-8">
+          <h1 className="text-3xl font-bold text-white font-display">Reset your password</h1>
+          <p className="text-white/50 mt-2">We will email you a link to choose a new one</p>
+        </div>
+
+        {sent ? (
+          <p className="text-white/70 text-center">{sent}</p>
+        ) : (
+          <>
+            {error && (
+              <div className="mb-6 p-4 bg-red-500/10 border border-red-500/30 rounded-xl text-red-400 text-sm">
+                {error}
+              </div>
+            )}
+
+            <form onSubmit={handleSubmit} className="space-y-6">
+              <div>
+                <label className="block text-sm font-medium mb-2 text-white/70">Email</label>
+                <input
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  className="input input-glow"
+                  placeholder="you@example.com"
+                  required
+                />
+              </div>
+
+              <button
+                type="submit"
+                disabled={submitting}
+                className="w-full btn btn-primary py-3.5 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {submitting ? 'Sending...' : 'Send Reset Link'}
+              </button>
+            </form>
+          </>
+        )}
+
+        <div className="mt-6 text-center">
+          <Link to="/login" className="text-white/50 hover:text-white text-sm transition-colors">
+            Back to sign in
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
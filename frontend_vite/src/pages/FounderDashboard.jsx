@@ -6,10 +6,11 @@ import {
   UserGroupIcon,
   ChartBarIcon,
   PlusIcon,
-  CurrencyDollarIcon
+  CurrencyDollarIcon,
+  ClipboardDocumentCheckIcon
 } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
-import { startupAPI, handleAPIError } from '../services/api';
+import { startupAPI, mentorshipAPI, handleAPIError } from '../services/api';
 import useAuthStore from '../store/authStore';
 import DashboardNav from '../components/DashboardNav';
 
@@ -21,12 +22,33 @@ const FounderDashboard = () => {
   const navigate = useNavigate();
   const { user } = useAuthStore();
   const [myStartups, setMyStartups] = useState([]);
+  const [actionItems, setActionItems] = useState([]);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
     fetchMyStartups();
+    fetchActionItems();
   }, []);
 
+  const fetchActionItems = async () => {
+    try {
+      const response = await mentorshipAPI.getActionItems({ status: 'open' });
+      setActionItems(response.data.data);
+    } catch (error) {
+      toast.error(handleAPIError(error));
+    }
+  };
+
+  const handleCompleteActionItem = async (item) => {
+    try {
+      await mentorshipAPI.updateActionItem(item.request._id, item.session._id, item._id, { completed: true });
+      setActionItems(items => items.filter(i => i._id !== item._id));
+      toast.success('Action item completed');
+    } catch (error) {
+      toast.error(handleAPIError(error));
+    }
+  };
+
   const fetchMyStartups = async () => {
     try {
       setLoading(true);
@@ -131,6 +153,50 @@ const FounderDashboard = () => {
           </Link>
         </div>
 
+        {/* Open Action Items */}
+        <div className="glass-card p-6 mb-8">
+          <div className="flex items-center justify-between mb-6">
+            <h2 className="text-2xl font-bold text-white">Open Action Items</h2>
+            <Link to="/mentorship/my-requests" className="text-accent-orange text-sm">
+              View sessions
+            </Link>
+          </div>
+
+          {actionItems.length === 0 ? (
+            <div className="text-center py-8">
+              <ClipboardDocumentCheckIcon className="w-12 h-12 text-white/20 mx-auto mb-3" />
+              <p className="text-white/60">No open action items from your mentorship sessions</p>
+            </div>
+          ) : (
+            <ul className="space-y-3">
+              {actionItems.map((item) => (
+                <li
+                  key={item._id}
+                  className="flex items-start justify-between bg-white/5 rounded-xl p-4"
+                >
+                  <div>
+                    <p className="text-white font-medium">{item.description}</p>
+                    <p className="text-white/60 text-sm mt-1">
+                      {item.request.topic}
+                      {item.dueDate && (
+                        <span className={item.overdue ? 'text-red-400 ml-2' : 'ml-2'}>
+                          · {item.overdue ? 'Overdue' : 'Due'} {new Date(item.dueDate).toLocaleDateString()}
+                        </span>
+                      )}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => handleCompleteActionItem(item)}
+                    className="btn btn-secondary text-sm"
+                  >
+                    Mark done
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
         {/* My Startups */}
         <div className="glass-card p-6">
           <div className="flex items-center justify-between mb-6">
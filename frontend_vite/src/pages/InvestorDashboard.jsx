@@ -10,7 +10,17 @@ import {
 } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
 import useAuthStore from '../store/authStore';
+import { dashboardAPI } from '../services/api';
 import DashboardNav from '../components/DashboardNav';
+import KpiChart from '../components/KpiChart';
+
+// Portfolio series charted on the dashboard, with their colors
+const PORTFOLIO_CHARTS = [
+  { key: 'revenue', color: '#22C55E' },
+  { key: 'users', color: '#3B82F6' },
+  { key: 'growth', color: '#A855F7' },
+  { key: 'monthlyBurnRate', color: '#F97316' },
+];
 
 /**
  * Investor Dashboard
@@ -25,6 +35,7 @@ const InvestorDashboard = () => {
     portfolioValue: 0,
     avgROI: 0,
   });
+  const [portfolioKpis, setPortfolioKpis] = useState(null);
 
   useEffect(() => {
     // Mock data - implement actual API calls
@@ -34,8 +45,19 @@ const InvestorDashboard = () => {
       portfolioValue: 5200000,
       avgROI: 23.5,
     });
+
+    fetchPortfolioKpis();
   }, []);
 
+  const fetchPortfolioKpis = async () => {
+    try {
+      const response = await dashboardAPI.getStats();
+      setPortfolioKpis(response.data.data.charts?.kpis || null);
+    } catch (error) {
+      console.error('Error fetching portfolio KPIs:', error);
+    }
+  };
+
   const portfolioStartups = [
     {
       id: 1,
@@ -151,6 +173,29 @@ const InvestorDashboard = () => {
           </Link>
         </div>
 
+        {/* Portfolio KPIs */}
+        {portfolioKpis?.periods?.length > 0 && (
+          <div className="glass-card p-6 mb-8">
+            <div className="flex items-center justify-between mb-6">
+              <h2 className="text-2xl font-bold text-white">Portfolio KPIs</h2>
+              <p className="text-white/60 text-sm">
+                Monthly totals across active startups, last {portfolioKpis.periods.length} months
+              </p>
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+              {PORTFOLIO_CHARTS.map(({ key, color }) => (
+                <div key={key} className="bg-white/5 rounded-xl p-4">
+                  <KpiChart
+                    periods={portfolioKpis.periods}
+                    series={portfolioKpis.series.find(s => s.key === key)}
+                    color={color}
+                  />
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Portfolio Overview */}
         <div className="glass-card p-6 mb-8">
           <div className="flex items-center justify-between mb-6">
@@ -9,6 +9,7 @@ import {
   CheckCircleIcon
 } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
+import { mentorshipAPI, handleAPIError } from '../services/api';
 import useAuthStore from '../store/authStore';
 import DashboardNav from '../components/DashboardNav';
 
@@ -26,6 +27,45 @@ const MentorDashboard = () => {
     avgRating: 0,
   });
 
+  const [proposals, setProposals] = useState([]);
+  const [decliningId, setDecliningId] = useState(null);
+  const [declineReason, setDeclineReason] = useState('');
+
+  useEffect(() => {
+    fetchProposals();
+  }, []);
+
+  const fetchProposals = async () => {
+    try {
+      const response = await mentorshipAPI.getMyProposals();
+      setProposals(response.data.data);
+    } catch (error) {
+      toast.error(handleAPIError(error));
+    }
+  };
+
+  const handleAcceptProposal = async (proposal) => {
+    try {
+      await mentorshipAPI.acceptProposal(proposal._id);
+      setProposals(items => items.filter(p => p._id !== proposal._id));
+      toast.success(`You are now mentoring ${proposal.startup?.name || 'this startup'}`);
+    } catch (error) {
+      toast.error(handleAPIError(error));
+    }
+  };
+
+  const handleDeclineProposal = async (proposal) => {
+    try {
+      await mentorshipAPI.declineProposal(proposal._id, declineReason || undefined);
+      setProposals(items => items.filter(p => p._id !== proposal._id));
+      setDecliningId(null);
+      setDeclineReason('');
+      toast.success('Request declined');
+    } catch (error) {
+      toast.error(handleAPIError(error));
+    }
+  };
+
   useEffect(() => {
     // Mock data - implement actual API calls
     setStats({
@@ -122,6 +162,62 @@ const MentorDashboard = () => {
           ))}
         </div>
 
+        {/* Mentorship Invitations */}
+        {proposals.length > 0 && (
+          <div className="glass-card p-6 mb-8">
+            <h2 className="text-2xl font-bold text-white mb-6">Mentorship Invitations</h2>
+            <div className="space-y-4">
+              {proposals.map((proposal) => (
+                <div key={proposal._id} className="bg-white/5 rounded-xl p-6">
+                  <div className="flex items-start justify-between gap-4">
+                    <div className="flex-1">
+                      <h3 className="text-white font-bold text-lg mb-1">{proposal.startup?.name}</h3>
+                      <p className="text-accent-orange text-sm mb-2">{proposal.topic}</p>
+                      <p className="text-white/60 text-sm mb-3 line-clamp-2">{proposal.description}</p>
+                      <div className="flex items-center gap-2 text-sm text-white/60">
+                        <ClockIcon className="w-4 h-4" />
+                        <span>Respond by {new Date(proposal.expiresAt).toLocaleString()}</span>
+                      </div>
+                    </div>
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => handleAcceptProposal(proposal)}
+                        className="btn btn-primary text-sm"
+                      >
+                        Accept
+                      </button>
+                      <button
+                        onClick={() => setDecliningId(decliningId === proposal._id ? null : proposal._id)}
+                        className="btn btn-secondary text-sm"
+                      >
+                        Decline
+                      </button>
+                    </div>
+                  </div>
+                  {decliningId === proposal._id && (
+                    <div className="mt-4 flex gap-2">
+                      <input
+                        type="text"
+                        value={declineReason}
+                        onChange={(e) => setDeclineReason(e.target.value)}
+                        placeholder="Reason (optional)"
+                        maxLength={500}
+                        className="input flex-1"
+                      />
+                      <button
+                        onClick={() => handleDeclineProposal(proposal)}
+                        className="btn btn-secondary text-sm"
+                      >
+                        Confirm Decline
+                      </button>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Quick Actions */}
         <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
           <Link
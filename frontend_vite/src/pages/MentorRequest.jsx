@@ -122,7 +122,10 @@ const MentorRequest = () => {
     setLoading(true);
 
     try {
-      const response = await api.post('/mentorship/requests', formData);
+      const response = await api.post('/mentorship/requests', {
+        ...formData,
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      });
       toast.success('Mentorship request submitted! 🎉');
       setMatchResults(response.data.data.request);
       setAiSummary(response.data.data.aiSummary);
@@ -860,18 +863,26 @@ const MentorMatchCard = ({ match, rank, requestId, styles }) => {
   const handleSelectMentor = async () => {
     setSelecting(true);
     try {
-      await api.put(`/mentorship/requests/${requestId}/select-mentor`, {
+      const response = await api.post(`/mentorship/requests/${requestId}/select-mentor`, {
         mentorId: match.mentor._id,
       });
-      toast.success('Mentor selected! Proceed to schedule a session.');
+      toast.success(response.data.message);
       navigate(`/mentorship/requests/${requestId}`);
     } catch (error) {
-      toast.error('Error selecting mentor');
+      toast.error(handleAPIError(error));
     } finally {
       setSelecting(false);
     }
   };
 
+  // Matches the founder can no longer request
+  const proposalLabels = {
+    Pending: 'Awaiting Response',
+    Accepted: 'Accepted',
+    Declined: 'Declined',
+    Expired: 'No Response',
+  };
+
   const mentor = match.mentor;
   const rankColors = {
     1: '#FFD700',
@@ -948,13 +959,13 @@ const MentorMatchCard = ({ match, rank, requestId, styles }) => {
 
       <button
         onClick={handleSelectMentor}
-        disabled={selecting}
+        disabled={selecting || !!proposalLabels[match.status]}
         style={{
           ...styles.selectBtn,
-          opacity: selecting ? 0.6 : 1,
+          opacity: selecting || proposalLabels[match.status] ? 0.6 : 1,
         }}
       >
-        {selecting ? 'Selecting...' : 'Select This Mentor'}
+        {selecting ? 'Sending...' : proposalLabels[match.status] || 'Request This Mentor'}
       </button>
     </div>
   );
@@ -0,0 +1,207 @@
+import { useState, useEffect } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { mentorshipAPI, handleAPIError } from '../services/api';
+import useAuthStore from '../store/authStore';
+import { format } from 'date-fns';
+
+/**
+ * MentorshipRequestDetails Page
+ * Shows a single request with its matched mentors and why each was suggested
+ */
+const MentorshipRequestDetails = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuthStore();
+  const [request, setRequest] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [selecting, setSelecting] = useState(null);
+
+  useEffect(() => {
+    fetchRequest();
+  }, [id]);
+
+  const fetchRequest = async () => {
+    setLoading(true);
+    try {
+      const response = await mentorshipAPI.getRequest(id);
+      setRequest(response.data.data);
+    } catch (error) {
+      toast.error(handleAPIError(error));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSelectMentor = async (mentorId) => {
+    setSelecting(mentorId);
+    try {
+      const response = await mentorshipAPI.selectMentor(id, mentorId);
+      toast.success(response.data.message);
+      fetchRequest();
+    } catch (error) {
+      toast.error(handleAPIError(error));
+    } finally {
+      setSelecting(null);
+    }
+  };
+
+  const statusColors = {
+    Pending: 'bg-yellow-100 text-yellow-800',
+    Matched: 'bg-blue-100 text-blue-800',
+    Scheduled: 'bg-purple-100 text-purple-800',
+    Completed: 'bg-green-100 text-green-800',
+    Cancelled: 'bg-red-100 text-red-800',
+  };
+
+  const proposalLabels = {
+    Pending: 'Awaiting Response',
+    Accepted: 'Accepted',
+    Declined: 'Declined',
+    Expired: 'No Response',
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  if (!request) {
+    return (
+      <div className="text-center py-12">
+        <h3 className="text-xl font-semibold text-gray-900 mb-2">Request not found</h3>
+        <button onClick={() => navigate('/mentorship/my-requests')} className="btn btn-primary">
+          Back to My Requests
+        </button>
+      </div>
+    );
+  }
+
+  const canSelect = ['founder', 'admin'].includes(user?.role)
+    && ['Pending', 'Matched'].includes(request.status);
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8">
+        <button
+          onClick={() => navigate('/mentorship/my-requests')}
+          className="text-sm text-primary-600 hover:text-primary-700 mb-4"
+        >
+          ← Back to My Requests
+        </button>
+
+        {/* Request Summary */}
+        <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+          <div className="flex items-center space-x-3 mb-2">
+            <h1 className="text-2xl font-bold text-gray-900">{request.topic}</h1>
+            <span className={`px-3 py-1 rounded-full text-xs font-semibold ${statusColors[request.status]}`}>
+              {request.status}
+            </span>
+          </div>
+          <p className="text-gray-600 mb-4">{request.description}</p>
+          <div className="flex items-center space-x-4 text-sm text-gray-500 mb-4">
+            <span>🏢 {request.startup?.name}</span>
+            <span>📅 {format(new Date(request.createdAt), 'MMM dd, yyyy')}</span>
+            {request.urgency && <span>⚡ {request.urgency}</span>}
+          </div>
+          {request.skills?.length > 0 && (
+            <div className="flex flex-wrap gap-2">
+              {request.skills.map((skill) => (
+                <span key={skill} className="px-2 py-1 bg-primary-50 text-primary-700 text-xs rounded-full">
+                  {skill}
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Matched Mentors */}
+        <h2 className="text-xl font-bold text-gray-900 mb-4">Matched Mentors</h2>
+
+        {request.matchedMentors?.length === 0 && (
+          <div className="bg-white rounded-lg shadow-md p-6 text-gray-600">
+            No mentors have been matched yet.
+          </div>
+        )}
+
+        <div className="space-y-4">
+          {request.matchedMentors?.map((match) => {
+            const mentor = match.mentor || {};
+            const explanation = match.explanation || { reasons: [], components: [] };
+
+            return (
+              <div key={mentor._id || match._id} className="bg-white rounded-lg shadow-md p-6">
+                <div className="flex justify-between items-start mb-3">
+                  <div className="flex items-center space-x-3">
+                    <img
+                      src={mentor.avatar || 'https://via.placeholder.com/48'}
+                      alt={mentor.name}
+                      className="w-12 h-12 rounded-full"
+                    />
+                    <div>
+                      <h3 className="text-lg font-semibold text-gray-900">{mentor.name}</h3>
+                      {mentor.company && <p className="text-sm text-gray-500">{mentor.company}</p>}
+                    </div>
+                  </div>
+                  <div className="text-right">
+                    <div className="text-2xl font-bold text-primary-600">{match.score}%</div>
+                    <div className="text-xs text-gray-500">
+                      Weights v{explanation.configVersion}
+                    </div>
+                  </div>
+                </div>
+
+                {/* Why this mentor */}
+                {explanation.reasons.length > 0 && (
+                  <ul className="text-sm text-gray-700 space-y-1 mb-4">
+                    {explanation.reasons.map((reason) => (
+                      <li key={reason}>✓ {reason}</li>
+                    ))}
+                  </ul>
+                )}
+
+                {/* Score breakdown */}
+                <div className="grid grid-cols-2 md:grid-cols-3 gap-3 mb-4">
+                  {explanation.components.map((component) => (
+                    <div key={component.key} className="bg-gray-50 rounded-lg p-2">
+                      <div className="flex justify-between text-xs text-gray-600 mb-1">
+                        <span>{component.label}</span>
+                        <span>{component.score}% × {Math.round(component.weight * 100)}%</span>
+                      </div>
+                      <div className="h-1.5 bg-gray-200 rounded-full">
+                        <div
+                          className="h-1.5 bg-primary-600 rounded-full"
+                          style={{ width: `${component.score}%` }}
+                        />
+                      </div>
+                    </div>
+                  ))}
+                </div>
+
+                {canSelect && (
+                  <button
+                    onClick={() => handleSelectMentor(mentor._id)}
+                    disabled={selecting === mentor._id || !!proposalLabels[match.status]}
+                    className="btn btn-primary disabled:opacity-60"
+                  >
+                    {selecting === mentor._id
+                      ? 'Sending...'
+                      : proposalLabels[match.status] || 'Request This Mentor'}
+                  </button>
+                )}
+                {!canSelect && proposalLabels[match.status] && (
+                  <span className="text-sm text-gray-500">{proposalLabels[match.status]}</span>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MentorshipRequestDetails;
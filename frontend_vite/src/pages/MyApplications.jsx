@@ -55,6 +55,7 @@ const MyApplications = () => {
       Draft: 'bg-gray-500/20 text-gray-300 border-gray-500/30',
       Submitted: 'bg-blue-500/20 text-blue-300 border-blue-500/30',
       'Under Review': 'bg-yellow-500/20 text-yellow-300 border-yellow-500/30',
+      'Needs More Info': 'bg-orange-500/20 text-orange-300 border-orange-500/30',
       Approved: 'bg-green-500/20 text-green-300 border-green-500/30',
       Rejected: 'bg-red-500/20 text-red-300 border-red-500/30',
       Withdrawn: 'bg-purple-500/20 text-purple-300 border-purple-500/30',
@@ -129,7 +130,7 @@ const MyApplications = () => {
 
         {/* Filters */}
         <div className="flex flex-wrap gap-2 mb-6">
-          {['all', 'Draft', 'Submitted', 'Under Review', 'Approved', 'Rejected', 'Withdrawn'].map((status) => (
+          {['all', 'Draft', 'Submitted', 'Under Review', 'Needs More Info', 'Approved', 'Rejected', 'Withdrawn'].map((status) => (
             <button
               key={status}
               onClick={() => setFilter(status)}
@@ -223,7 +224,7 @@ const MyApplications = () => {
                       </div>
                     )}
                     
-                    {app.status === 'Draft' && (
+                    {['Draft', 'Needs More Info'].includes(app.status) && (
                       <button
                         onClick={() => navigate('/funding', { state: { startup: app.startup, applicationId: app._id } })}
                         className="btn btn-secondary text-sm"
@@ -232,7 +233,7 @@ const MyApplications = () => {
                       </button>
                     )}
                     
-                    {['Draft', 'Submitted', 'Under Review'].includes(app.status) && (
+                    {['Draft', 'Submitted', 'Under Review', 'Needs More Info'].includes(app.status) && (
                       <button
                         onClick={() => handleWithdraw(app._id)}
                         className="btn bg-red-500/20 text-red-400 hover:bg-red-500/30 text-sm"
@@ -34,6 +34,34 @@ const MyRequests = () => {
     }
   };
 
+  const handleDownloadInvite = async (requestId, session) => {
+    try {
+      const response = await api.get(
+        `/mentorship/requests/${requestId}/sessions/${session._id}/ics`,
+        { responseType: 'blob' }
+      );
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `mentorship-session-${session._id}.ics`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error(handleAPIError(error));
+    }
+  };
+
+  const handleSubscribeCalendar = async () => {
+    try {
+      const response = await api.post('/calendar/feed');
+      const { url } = response.data.data;
+      await navigator.clipboard.writeText(url);
+      toast.success('Calendar feed link copied. Add it to your calendar app as a subscription.');
+    } catch (error) {
+      toast.error(handleAPIError(error));
+    }
+  };
+
   const statusColors = {
     Pending: 'bg-yellow-100 text-yellow-800',
     Matched: 'bg-blue-100 text-blue-800',
@@ -51,12 +79,21 @@ const MyRequests = () => {
             <h1 className="text-3xl font-bold text-gray-900">My Mentorship Requests</h1>
             <p className="text-gray-600 mt-1">Track and manage your mentorship sessions</p>
           </div>
-          <button
-            onClick={() => navigate('/mentor-request')}
-            className="btn btn-primary"
-          >
-            + New Request
-          </button>
+          <div className="flex space-x-3">
+            <button
+              onClick={handleSubscribeCalendar}
+              className="btn btn-secondary"
+              title="Creates a new private feed link; older links stop working"
+            >
+              📅 Subscribe to Calendar
+            </button>
+            <button
+              onClick={() => navigate('/mentor-request')}
+              className="btn btn-primary"
+            >
+              + New Request
+            </button>
+          </div>
         </div>
 
         {/* Filter Tabs */}
@@ -160,6 +197,26 @@ const MyRequests = () => {
                     <span className="text-sm font-medium text-gray-700">
                       {request.sessions.length} Session{request.sessions.length !== 1 ? 's' : ''} Scheduled
                     </span>
+                    <ul className="mt-2 space-y-1">
+                      {request.sessions.map((session) => (
+                        <li key={session._id} className="flex justify-between items-center text-sm text-gray-600">
+                          <span>
+                            {format(new Date(session.scheduledAt), 'MMM dd, yyyy HH:mm')} · {session.duration} min · {session.status}
+                          </span>
+                          {session.status === 'Scheduled' && (
+                            <button
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                handleDownloadInvite(request._id, session);
+                              }}
+                              className="text-primary-600 hover:text-primary-700 font-medium"
+                            >
+                              Add to calendar
+                            </button>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
                   </div>
                 )}
               </div>
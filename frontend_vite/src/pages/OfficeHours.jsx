@@ -0,0 +1,415 @@
+import { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { officeHoursAPI, handleAPIError } from '../services/api';
+import useAuthStore from '../store/authStore';
+import { format } from 'date-fns';
+
+const emptyForm = {
+  title: '',
+  description: '',
+  format: 'Office Hours',
+  topics: '',
+  capacity: 8,
+  firstSessionAt: '',
+  duration: 60,
+  frequency: 'weekly',
+  occurrences: 4,
+  meetingLink: '',
+};
+
+/**
+ * OfficeHours Page
+ * Founders browse and book group sessions; mentors publish series,
+ * record attendance and see who is coming
+ */
+const OfficeHours = () => {
+  const { user } = useAuthStore();
+  const [upcoming, setUpcoming] = useState([]);
+  const [mine, setMine] = useState({ hosting: [], attending: [] });
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [attendance, setAttendance] = useState({});
+  const [ratings, setRatings] = useState({});
+
+  const isMentor = user?.role === 'mentor';
+
+  useEffect(() => {
+    fetchOfficeHours();
+  }, []);
+
+  const fetchOfficeHours = async () => {
+    setLoading(true);
+    try {
+      const [upcomingRes, mineRes] = await Promise.all([
+        officeHoursAPI.getUpcoming(),
+        officeHoursAPI.getMine(),
+      ]);
+      setUpcoming(upcomingRes.data.data);
+      setMine(mineRes.data.data);
+    } catch (error) {
+      toast.error(handleAPIError(error));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const runAction = async (key, action) => {
+    setWorking(key);
+    try {
+      const response = await action();
+      toast.success(response.data.message);
+      fetchOfficeHours();
+    } catch (error) {
+      toast.error(handleAPIError(error));
+    } finally {
+      setWorking(null);
+    }
+  };
+
+  const handlePublish = (e) => {
+    e.preventDefault();
+    runAction('publish', async () => {
+      const response = await officeHoursAPI.publish({
+        title: form.title,
+        description: form.description || undefined,
+        format: form.format,
+        topics: form.topics.split(',').map(t => t.trim()).filter(Boolean),
+        capacity: Number(form.capacity),
+        firstSessionAt: new Date(form.firstSessionAt).toISOString(),
+        duration: Number(form.duration),
+        recurrence: { frequency: form.frequency, occurrences: Number(form.occurrences) },
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        meetingLink: form.meetingLink || undefined,
+      });
+      setForm(emptyForm);
+      setShowForm(false);
+      return response;
+    });
+  };
+
+  const toggleAttendee = (sessionId, userId) => {
+    const current = attendance[sessionId] || [];
+    setAttendance({
+      ...attendance,
+      [sessionId]: current.includes(userId)
+        ? current.filter(id => id !== userId)
+        : [...current, userId],
+    });
+  };
+
+  const renderSeats = (session) => (
+    <span className="text-sm text-gray-500">
+      {session.seats.booked}/{session.seats.capacity} booked
+      {session.seats.waitlisted > 0 && ` · ${session.seats.waitlisted} waiting`}
+    </span>
+  );
+
+  const renderAttendeeActions = (series, session) => {
+    const key = `${series._id}:${session._id}`;
+    const registration = session.registration;
+
+    if (session.status === 'Completed' && registration?.attended && !registration.feedback?.submittedAt) {
+      return (
+        <div className="flex items-center space-x-2">
+          <select
+            value={ratings[session._id] || 5}
+            onChange={(e) => setRatings({ ...ratings, [session._id]: Number(e.target.value) })}
+            className="input py-1"
+          >
+            {[5, 4, 3, 2, 1].map(r => <option key={r} value={r}>{r} ★</option>)}
+          </select>
+          <button
+            onClick={() => runAction(key, () => officeHoursAPI.submitFeedback(series._id, session._id, { rating: ratings[session._id] || 5 }))}
+            disabled={working === key}
+            className="btn btn-primary disabled:opacity-60"
+          >
+            Rate Session
+          </button>
+        </div>
+      );
+    }
+
+    if (session.status !== 'Scheduled' || user?.role !== 'founder') {
+      return null;
+    }
+
+    if (registration && registration.status !== 'Cancelled') {
+      return (
+        <div className="flex items-center space-x-3">
+          <span className="text-sm text-gray-600">
+            {registration.status === 'Booked' ? '✓ Booked' : `Waitlist #${registration.waitlistPosition}`}
+          </span>
+          <button
+            onClick={() => runAction(key, () => officeHoursAPI.cancelBooking(series._id, session._id))}
+            disabled={working === key}
+            className="btn btn-secondary disabled:opacity-60"
+          >
+            Leave
+          </button>
+        </div>
+      );
+    }
+
+    return (
+      <button
+        onClick={() => runAction(key, () => officeHoursAPI.book(series._id, session._id))}
+        disabled={working === key}
+        className="btn btn-primary disabled:opacity-60"
+      >
+        {session.seats.available > 0 ? 'Book Seat' : 'Join Waitlist'}
+      </button>
+    );
+  };
+
+  const renderHostSession = (series, session) => {
+    const key = `${series._id}:${session._id}`;
+    const booked = (session.attendees || []).filter(a => a.status === 'Booked');
+    const started = new Date(session.scheduledAt) <= new Date();
+
+    return (
+      <div key={session._id} className="border-t border-gray-100 py-3">
+        <div className="flex justify-between items-center">
+          <div>
+            <div className="font-medium text-gray-900">
+              {format(new Date(session.scheduledAt), 'EEE, MMM dd yyyy · HH:mm')}
+            </div>
+            {renderSeats(session)}
+            <span className="text-sm text-gray-500 ml-2">· {session.status}</span>
+          </div>
+          {session.status === 'Scheduled' && !started && (
+            <button
+              onClick={() => runAction(key, () => officeHoursAPI.cancelSession(series._id, session._id))}
+              disabled={working === key}
+              className="btn btn-secondary disabled:opacity-60"
+            >
+              Cancel Session
+            </button>
+          )}
+        </div>
+
+        {session.status === 'Scheduled' && started && booked.length > 0 && (
+          <div className="mt-3">
+            <p className="text-sm text-gray-600 mb-2">Who attended?</p>
+            <div className="flex flex-wrap gap-3 mb-2">
+              {booked.map((attendee) => (
+                <label key={attendee._id} className="flex items-center space-x-1 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={(attendance[session._id] || []).includes(attendee.user?._id)}
+                    onChange={() => toggleAttendee(session._id, attendee.user?._id)}
+                  />
+                  <span>{attendee.user?.name}</span>
+                </label>
+              ))}
+            </div>
+            <button
+              onClick={() => runAction(key, () => officeHoursAPI.recordAttendance(series._id, session._id, attendance[session._id] || []))}
+              disabled={working === key}
+              className="btn btn-primary disabled:opacity-60"
+            >
+              Record Attendance
+            </button>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderSeries = (series, renderSession) => (
+    <div key={series._id} className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex justify-between items-start mb-2">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">{series.title}</h3>
+          <p className="text-sm text-gray-500">
+            {series.format} with {series.mentor?.name || 'a mentor'}
+          </p>
+        </div>
+        <span className="px-3 py-1 rounded-full text-xs font-semibold bg-primary-50 text-primary-700">
+          {series.capacity} seats
+        </span>
+      </div>
+      {series.description && <p className="text-gray-600 mb-3">{series.description}</p>}
+      {series.topics?.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-3">
+          {series.topics.map((topic) => (
+            <span key={topic} className="px-2 py-1 bg-gray-100 text-gray-700 text-xs rounded-full">
+              {topic}
+            </span>
+          ))}
+        </div>
+      )}
+      {series.sessions.map(session => renderSession(series, session))}
+    </div>
+  );
+
+  const renderAttendeeSession = (series, session) => (
+    <div key={session._id} className="border-t border-gray-100 py-3 flex justify-between items-center">
+      <div>
+        <div className="font-medium text-gray-900">
+          {format(new Date(session.scheduledAt), 'EEE, MMM dd yyyy · HH:mm')}
+        </div>
+        {renderSeats(session)}
+        {session.meetingLink && (
+          <a href={session.meetingLink} target="_blank" rel="noreferrer" className="text-sm text-primary-600 ml-2">
+            Join link
+          </a>
+        )}
+      </div>
+      {renderAttendeeActions(series, session)}
+    </div>
+  );
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="flex justify-between items-center mb-6">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Office Hours</h1>
+            <p className="text-gray-600">Group sessions and workshops open to every startup</p>
+          </div>
+          {isMentor && (
+            <button onClick={() => setShowForm(!showForm)} className="btn btn-primary">
+              {showForm ? 'Close' : 'Publish Office Hours'}
+            </button>
+          )}
+        </div>
+
+        {/* Publish form */}
+        {isMentor && showForm && (
+          <form onSubmit={handlePublish} className="bg-white rounded-lg shadow-md p-6 mb-6 grid grid-cols-1 md:grid-cols-2 gap-4">
+            <input
+              className="input md:col-span-2"
+              placeholder="Title"
+              value={form.title}
+              onChange={(e) => setForm({ ...form, title: e.target.value })}
+              required
+            />
+            <textarea
+              className="input md:col-span-2"
+              placeholder="What will you cover?"
+              value={form.description}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+            />
+            <select className="input" value={form.format} onChange={(e) => setForm({ ...form, format: e.target.value })}>
+              <option>Office Hours</option>
+              <option>Workshop</option>
+            </select>
+            <input
+              className="input"
+              placeholder="Topics (comma separated)"
+              value={form.topics}
+              onChange={(e) => setForm({ ...form, topics: e.target.value })}
+            />
+            <label className="text-sm text-gray-600">
+              First session
+              <input
+                type="datetime-local"
+                className="input w-full"
+                value={form.firstSessionAt}
+                onChange={(e) => setForm({ ...form, firstSessionAt: e.target.value })}
+                required
+              />
+            </label>
+            <label className="text-sm text-gray-600">
+              Duration (minutes)
+              <input
+                type="number"
+                min="15"
+                max="240"
+                className="input w-full"
+                value={form.duration}
+                onChange={(e) => setForm({ ...form, duration: e.target.value })}
+              />
+            </label>
+            <label className="text-sm text-gray-600">
+              Seats
+              <input
+                type="number"
+                min="1"
+                max="50"
+                className="input w-full"
+                value={form.capacity}
+                onChange={(e) => setForm({ ...form, capacity: e.target.value })}
+              />
+            </label>
+            <div className="grid grid-cols-2 gap-2">
+              <label className="text-sm text-gray-600">
+                Repeats
+                <select className="input w-full" value={form.frequency} onChange={(e) => setForm({ ...form, frequency: e.target.value })}>
+                  <option value="once">Once</option>
+                  <option value="weekly">Weekly</option>
+                  <option value="biweekly">Every two weeks</option>
+                </select>
+              </label>
+              <label className="text-sm text-gray-600">
+                Sessions
+                <input
+                  type="number"
+                  min="1"
+                  max="12"
+                  className="input w-full"
+                  value={form.occurrences}
+                  disabled={form.frequency === 'once'}
+                  onChange={(e) => setForm({ ...form, occurrences: e.target.value })}
+                />
+              </label>
+            </div>
+            <input
+              className="input md:col-span-2"
+              placeholder="Meeting link"
+              value={form.meetingLink}
+              onChange={(e) => setForm({ ...form, meetingLink: e.target.value })}
+            />
+            <button type="submit" disabled={working === 'publish'} className="btn btn-primary md:col-span-2 disabled:opacity-60">
+              {working === 'publish' ? 'Publishing...' : 'Publish'}
+            </button>
+          </form>
+        )}
+
+        {/* Hosting */}
+        {isMentor && mine.hosting.length > 0 && (
+          <>
+            <h2 className="text-xl font-bold text-gray-900 mb-4">Hosting</h2>
+            <div className="space-y-4 mb-8">
+              {mine.hosting.map(series => renderSeries(series, renderHostSession))}
+            </div>
+          </>
+        )}
+
+        {/* Registered */}
+        {mine.attending.length > 0 && (
+          <>
+            <h2 className="text-xl font-bold text-gray-900 mb-4">My Bookings</h2>
+            <div className="space-y-4 mb-8">
+              {mine.attending.map(series => renderSeries(series, renderAttendeeSession))}
+            </div>
+          </>
+        )}
+
+        {/* Upcoming */}
+        <h2 className="text-xl font-bold text-gray-900 mb-4">Upcoming</h2>
+        {upcoming.length === 0 ? (
+          <div className="bg-white rounded-lg shadow-md p-6 text-gray-600">
+            No office hours are scheduled in the next 30 days.
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {upcoming.map(series => renderSeries(series, renderAttendeeSession))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OfficeHours;
@@ -3,6 +3,38 @@ import { useParams, useNavigate, Link } from 'react-router-dom';
 import toast from 'react-hot-toast';
 import { startupAPI, handleAPIError } from '../services/api';
 import useAuthStore from '../store/authStore';
+import KpiChart from '../components/KpiChart';
+
+// Series charted on the details page, with their colors
+const KPI_CHARTS = [
+    { key: 'revenue', color: '#9B7FCB' },
+    { key: 'users', color: '#3B82F6' },
+    { key: 'growth', color: '#22C55E' },
+    { key: 'runway', color: '#EAB308' },
+];
+
+const currentPeriod = () => new Date().toISOString().slice(0, 7);
+
+const MILESTONE_STATUSES = ['Planned', 'In Progress', 'Completed', 'Cancelled'];
+
+const emptyMilestoneForm = () => ({
+    title: '',
+    targetDate: '',
+    metric: '',
+    value: '',
+});
+
+const TEAM_ROLES = ['viewer', 'editor', 'owner'];
+
+const emptyKpiForm = () => ({
+    period: currentPeriod(),
+    revenue: '',
+    users: '',
+    funding: '',
+    monthlyBurnRate: '',
+    cashBalance: '',
+    notes: '',
+});
 
 /**
  * StartupDetails Page
@@ -16,11 +48,28 @@ const StartupDetails = () => {
     const [startup, setStartup] = useState(null);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
+    const [kpiHistory, setKpiHistory] = useState(null);
+    const [kpiForm, setKpiForm] = useState(emptyKpiForm);
+    const [submittingKpis, setSubmittingKpis] = useState(false);
+    const [milestoneData, setMilestoneData] = useState(null);
+    const [milestoneForm, setMilestoneForm] = useState(emptyMilestoneForm);
+    const [evidenceDrafts, setEvidenceDrafts] = useState({});
+    const [team, setTeam] = useState(null);
+    const [inviteForm, setInviteForm] = useState({ email: '', role: 'editor' });
+    const [transferTo, setTransferTo] = useState('');
 
     useEffect(() => {
         fetchStartup();
     }, [id]);
 
+    useEffect(() => {
+        if (isAuthenticated) {
+            fetchKpis();
+            fetchMilestones();
+            fetchTeam();
+        }
+    }, [id, isAuthenticated]);
+
     const fetchStartup = async () => {
         try {
             setLoading(true);
@@ -34,6 +83,134 @@ const StartupDetails = () => {
         }
     };
 
+    const fetchKpis = async () => {
+        try {
+            const response = await startupAPI.getKpis(id, { months: 12 });
+            setKpiHistory(response.data.data);
+        } catch (err) {
+            // KPI history is only shared with the owner, staff and investors
+            setKpiHistory(null);
+        }
+    };
+
+    const fetchMilestones = async () => {
+        try {
+            const response = await startupAPI.getMilestones(id);
+            setMilestoneData(response.data.data);
+        } catch (err) {
+            setMilestoneData(null);
+        }
+    };
+
+    const fetchTeam = async () => {
+        try {
+            const response = await startupAPI.getTeam(id);
+            setTeam(response.data.data);
+        } catch (err) {
+            // The team is only shown to its members and admins
+            setTeam(null);
+        }
+    };
+
+    // Run a team change, then reload the team
+    const runTeamAction = async (action) => {
+        try {
+            const response = await action();
+            toast.success(response.data.message);
+            fetchTeam();
+            return true;
+        } catch (err) {
+            toast.error(handleAPIError(err));
+            return false;
+        }
+    };
+
+    const handleInviteSubmit = async (e) => {
+        e.preventDefault();
+        const sent = await runTeamAction(() => startupAPI.inviteMember(id, inviteForm));
+        if (sent) setInviteForm({ email: '', role: 'editor' });
+    };
+
+    // Founders offer ownership and wait for acceptance; admins reassign it at once
+    const handleTransferSubmit = async (e) => {
+        e.preventDefault();
+        const member = team.members.find(m => m.user._id === transferTo);
+        if (!member || !window.confirm(`Make ${member.user.name} the owner of ${startup.name}?`)) return;
+
+        const sent = await runTeamAction(() => (isFounder
+            ? startupAPI.requestTransfer(id, { userId: transferTo })
+            : startupAPI.reassignOwner(id, { userId: transferTo })));
+        if (sent) setTransferTo('');
+    };
+
+    // Run a milestone change, then reload the list
+    const runMilestoneAction = async (action) => {
+        try {
+            const response = await action();
+            toast.success(response.data.message);
+            fetchMilestones();
+            return true;
+        } catch (err) {
+            toast.error(handleAPIError(err));
+            return false;
+        }
+    };
+
+    const handleMilestoneSubmit = async (e) => {
+        e.preventDefault();
+        const { title, targetDate, metric, value } = milestoneForm;
+        const payload = { title, targetDate };
+        if (metric && value !== '') {
+            payload.target = { metric, value: Number(value) };
+        }
+
+        const saved = await runMilestoneAction(() => startupAPI.addMilestone(id, payload));
+        if (saved) setMilestoneForm(emptyMilestoneForm());
+    };
+
+    const handleEvidenceSubmit = async (milestoneId) => {
+        const url = (evidenceDrafts[milestoneId] || '').trim();
+        if (!url) return;
+
+        const saved = await runMilestoneAction(() => startupAPI.addMilestoneEvidence(id, milestoneId, { url }));
+        if (saved) setEvidenceDrafts({ ...evidenceDrafts, [milestoneId]: '' });
+    };
+
+    const handleSignOff = (milestoneId, decision) => {
+        const note = decision === 'Rejected' ? window.prompt('What still needs doing?') : undefined;
+        if (note === null) return;
+        runMilestoneAction(() => startupAPI.signOffMilestone(id, milestoneId, { decision, note: note || undefined }));
+    };
+
+    const handleKpiChange = (e) => {
+        setKpiForm({ ...kpiForm, [e.target.name]: e.target.value });
+    };
+
+    const handleKpiSubmit = async (e) => {
+        e.preventDefault();
+        setSubmittingKpis(true);
+
+        // Leave optional figures out rather than sending empty strings
+        const payload = Object.fromEntries(
+            Object.entries(kpiForm).filter(([, value]) => value !== '')
+        );
+
+        try {
+            const response = await startupAPI.submitKpis(id, payload);
+            toast.success(response.data.message);
+            setKpiForm(emptyKpiForm());
+            fetchKpis();
+
+            // Key Metrics follow the latest month; refresh without the page spinner
+            const updated = await startupAPI.getById(id);
+            setStartup(updated.data.data);
+        } catch (err) {
+            toast.error(handleAPIError(err));
+        } finally {
+            setSubmittingKpis(false);
+        }
+    };
+
     // Styles
     const styles = {
         page: {
@@ -277,6 +454,64 @@ const StartupDetails = () => {
             borderRadius: '50%',
             animation: 'spin 0.8s linear infinite',
         },
+        chartGrid: {
+            display: 'grid',
+            gridTemplateColumns: 'repeat(auto-fit, minmax(240px, 1fr))',
+            gap: '1.5rem',
+        },
+        chartCard: {
+            background: 'rgba(255, 255, 255, 0.05)',
+            borderRadius: '16px',
+            padding: '1.25rem',
+        },
+        trendRow: {
+            display: 'flex',
+            flexWrap: 'wrap',
+            gap: '1rem',
+            marginBottom: '1.5rem',
+        },
+        formGrid: {
+            display: 'grid',
+            gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))',
+            gap: '1rem',
+            marginBottom: '1rem',
+        },
+        inputLabel: {
+            display: 'block',
+            fontSize: '0.8rem',
+            color: 'rgba(255, 255, 255, 0.5)',
+            marginBottom: '0.35rem',
+        },
+        input: {
+            width: '100%',
+            padding: '0.75rem 1rem',
+            background: 'rgba(255, 255, 255, 0.05)',
+            border: '1px solid rgba(255, 255, 255, 0.15)',
+            borderRadius: '12px',
+            color: 'white',
+            fontSize: '0.95rem',
+        },
+        milestoneRow: {
+            padding: '1.25rem',
+            background: 'rgba(255, 255, 255, 0.05)',
+            borderRadius: '16px',
+            marginBottom: '1rem',
+        },
+        milestoneHeader: {
+            display: 'flex',
+            flexWrap: 'wrap',
+            alignItems: 'center',
+            justifyContent: 'space-between',
+            gap: '0.75rem',
+        },
+        smallButton: {
+            padding: '0.5rem 1rem',
+            borderRadius: '10px',
+            fontSize: '0.85rem',
+            fontWeight: '600',
+            cursor: 'pointer',
+            border: 'none',
+        },
         errorCard: {
             gridColumn: 'span 12',
             background: '#1a1a1a',
@@ -337,6 +572,17 @@ const StartupDetails = () => {
     }
 
     const statusStyle = getStatusStyle(startup.status);
+    // Editors and owners on the startup's team can update it
+    const myRole = team?.myRole;
+    const canEdit = myRole === 'owner' || myRole === 'editor';
+    const canManageTeam = myRole === 'owner' || user?.role === 'admin';
+    const isFounder = !!team?.members.some(m => m.isFounder && m.user._id === myId);
+    const pendingTransfer = team?.pendingTransfer;
+    // Login returns `id`, the profile endpoint `_id`
+    const myId = user?._id || user?.id;
+    const trends = kpiHistory?.trends;
+    const canSignOff = isAuthenticated && ['mentor', 'admin'].includes(user?.role);
+    const canEditMilestones = canEdit || user?.role === 'admin';
 
     return (
         <div style={styles.page}>
@@ -430,6 +676,468 @@ const StartupDetails = () => {
                         </div>
                     </div>
 
+                    {/* KPI History Card */}
+                    {kpiHistory && (
+                        <div style={styles.fullCard}>
+                            <h3 style={styles.sectionTitle}>
+                                <span>📊</span> KPI History
+                            </h3>
+                            {trends?.monthsReported > 0 ? (
+                                <>
+                                    <div style={styles.trendRow}>
+                                        <div style={styles.metaItem}>
+                                            {trends.monthsReported} month{trends.monthsReported === 1 ? '' : 's'} reported
+                                        </div>
+                                        {trends.revenueGrowth !== null && (
+                                            <div style={styles.metaItem}>
+                                                Avg revenue growth {trends.revenueGrowth > 0 ? '+' : ''}{trends.revenueGrowth}%
+                                            </div>
+                                        )}
+                                        {trends.growthConsistency !== null && (
+                                            <div style={styles.metaItem}>
+                                                Grew in {Math.round(trends.growthConsistency * 100)}% of months
+                                            </div>
+                                        )}
+                                        {trends.runway !== null && (
+                                            <div style={styles.metaItem}>
+                                                Runway {trends.runway} months
+                                            </div>
+                                        )}
+                                    </div>
+                                    <div style={styles.chartGrid}>
+                                        {KPI_CHARTS.map(({ key, color }) => (
+                                            <div key={key} style={styles.chartCard}>
+                                                <KpiChart
+                                                    periods={kpiHistory.periods}
+                                                    series={kpiHistory.series.find(s => s.key === key)}
+                                                    color={color}
+                                                />
+                                            </div>
+                                        ))}
+                                    </div>
+                                </>
+                            ) : (
+                                <p style={{ color: 'rgba(255, 255, 255, 0.6)' }}>
+                                    No monthly KPIs reported in the last 12 months.
+                                </p>
+                            )}
+                        </div>
+                    )}
+
+                    {/* Monthly KPI Report Card */}
+                    {canEdit && (
+                        <div style={styles.fullCard}>
+                            <h3 style={styles.sectionTitle}>
+                                <span>📝</span> Report Monthly KPIs
+                            </h3>
+                            <p style={{ color: 'rgba(255, 255, 255, 0.6)', marginBottom: '1.5rem', fontSize: '0.9rem' }}>
+                                Growth and runway are calculated from your reports. Submitting a month again corrects it.
+                            </p>
+                            <form onSubmit={handleKpiSubmit}>
+                                <div style={styles.formGrid}>
+                                    <div>
+                                        <label style={styles.inputLabel} htmlFor="kpi-period">Month</label>
+                                        <input
+                                            id="kpi-period"
+                                            type="month"
+                                            name="period"
+                                            value={kpiForm.period}
+                                            max={currentPeriod()}
+                                            onChange={handleKpiChange}
+                                            style={styles.input}
+                                            required
+                                        />
+                                    </div>
+                                    <div>
+                                        <label style={styles.inputLabel} htmlFor="kpi-revenue">Revenue ($)</label>
+                                        <input id="kpi-revenue" type="number" min="0" step="any" name="revenue" value={kpiForm.revenue} onChange={handleKpiChange} style={styles.input} required />
+                                    </div>
+                                    <div>
+                                        <label style={styles.inputLabel} htmlFor="kpi-users">Users</label>
+                                        <input id="kpi-users" type="number" min="0" step="1" name="users" value={kpiForm.users} onChange={handleKpiChange} style={styles.input} required />
+                                    </div>
+                                    <div>
+                                        <label style={styles.inputLabel} htmlFor="kpi-funding">Total funding raised ($)</label>
+                                        <input id="kpi-funding" type="number" min="0" step="any" name="funding" value={kpiForm.funding} onChange={handleKpiChange} style={styles.input} />
+                                    </div>
+                                    <div>
+                                        <label style={styles.inputLabel} htmlFor="kpi-burn">Monthly burn ($)</label>
+                                        <input id="kpi-burn" type="number" min="0" step="any" name="monthlyBurnRate" value={kpiForm.monthlyBurnRate} onChange={handleKpiChange} style={styles.input} />
+                                    </div>
+                                    <div>
+                                        <label style={styles.inputLabel} htmlFor="kpi-cash">Cash balance ($)</label>
+                                        <input id="kpi-cash" type="number" min="0" step="any" name="cashBalance" value={kpiForm.cashBalance} onChange={handleKpiChange} style={styles.input} />
+                                    </div>
+                                </div>
+                                <div style={{ marginBottom: '1rem' }}>
+                                    <label style={styles.inputLabel} htmlFor="kpi-notes">Notes</label>
+                                    <textarea
+                                        id="kpi-notes"
+                                        name="notes"
+                                        rows="2"
+                                        maxLength={1000}
+                                        value={kpiForm.notes}
+                                        onChange={handleKpiChange}
+                                        style={{ ...styles.input, resize: 'vertical' }}
+                                    />
+                                </div>
+                                <button
+                                    type="submit"
+                                    disabled={submittingKpis}
+                                    style={{ ...styles.actionButton, ...styles.primaryBtn, opacity: submittingKpis ? 0.6 : 1 }}
+                                >
+                                    {submittingKpis ? 'Saving...' : 'Submit KPIs'}
+                                </button>
+                            </form>
+                        </div>
+                    )}
+
+                    {/* Milestones Card */}
+                    {milestoneData && (
+                        <div style={styles.fullCard}>
+                            <h3 style={styles.sectionTitle}>
+                                <span>🏁</span> Milestones
+                            </h3>
+                            {milestoneData.completionRate !== null && (
+                                <div style={styles.trendRow}>
+                                    <div style={styles.metaItem}>
+                                        {milestoneData.completionRate}% of due milestones signed off
+                                    </div>
+                                </div>
+                            )}
+
+                            {milestoneData.milestones.length === 0 && (
+                                <p style={{ color: 'rgba(255, 255, 255, 0.6)', marginBottom: '1rem' }}>
+                                    No milestones set yet.
+                                </p>
+                            )}
+
+                            {milestoneData.milestones.map((milestone) => (
+                                <div key={milestone._id} style={styles.milestoneRow}>
+                                    <div style={styles.milestoneHeader}>
+                                        <div>
+                                            <div style={{ fontWeight: '600' }}>{milestone.title}</div>
+                                            <div style={{ fontSize: '0.85rem', color: milestone.isOverdue ? '#EF4444' : 'rgba(255, 255, 255, 0.5)' }}>
+                                                Target {new Date(milestone.targetDate).toLocaleDateString()}
+                                                {milestone.isOverdue && ' · overdue'}
+                                                {milestone.owner?.name && ` · ${milestone.owner.name}`}
+                                            </div>
+                                        </div>
+                                        {canEditMilestones ? (
+                                            <select
+                                                value={milestone.status}
+                                                onChange={(e) => runMilestoneAction(() => startupAPI.updateMilestone(id, milestone._id, { status: e.target.value }))}
+                                                style={{ ...styles.input, width: 'auto' }}
+                                            >
+                                                {MILESTONE_STATUSES.map(status => (
+                                                    <option key={status} value={status}>{status}</option>
+                                                ))}
+                                            </select>
+                                        ) : (
+                                            <div style={styles.metaItem}>{milestone.status}</div>
+                                        )}
+                                    </div>
+
+                                    {milestone.targetProgress !== null && (
+                                        <div style={{ fontSize: '0.85rem', color: 'rgba(255, 255, 255, 0.7)', marginTop: '0.5rem' }}>
+                                            {milestone.targetProgress}% of {milestone.target.value.toLocaleString()} {milestone.target.metric}
+                                        </div>
+                                    )}
+
+                                    {milestone.signOff?.status && (
+                                        <div style={{ fontSize: '0.85rem', color: 'rgba(255, 255, 255, 0.7)', marginTop: '0.5rem' }}>
+                                            Sign-off: {milestone.signOff.status}
+                                            {milestone.signOff.by?.name && ` by ${milestone.signOff.by.name}`}
+                                            {milestone.signOff.note && ` — ${milestone.signOff.note}`}
+                                        </div>
+                                    )}
+
+                                    {milestone.evidence?.length > 0 && (
+                                        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.75rem', marginTop: '0.5rem' }}>
+                                            {milestone.evidence.map(item => (
+                                                <a
+                                                    key={item._id}
+                                                    href={item.url}
+                                                    target="_blank"
+                                                    rel="noopener noreferrer"
+                                                    style={{ color: '#9B7FCB', fontSize: '0.85rem' }}
+                                                >
+                                                    🔗 {item.label || item.url}
+                                                </a>
+                                            ))}
+                                        </div>
+                                    )}
+
+                                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', marginTop: '0.75rem' }}>
+                                        {canEditMilestones && (
+                                            <>
+                                                <input
+                                                    type="url"
+                                                    placeholder="Evidence link (https://...)"
+                                                    value={evidenceDrafts[milestone._id] || ''}
+                                                    onChange={(e) => setEvidenceDrafts({ ...evidenceDrafts, [milestone._id]: e.target.value })}
+                                                    style={{ ...styles.input, flex: '1 1 220px', width: 'auto' }}
+                                                />
+                                                <button
+                                                    type="button"
+                                                    onClick={() => handleEvidenceSubmit(milestone._id)}
+                                                    style={{ ...styles.smallButton, ...styles.secondaryBtn }}
+                                                >
+                                                    Add Evidence
+                                                </button>
+                                                <button
+                                                    type="button"
+                                                    onClick={() => runMilestoneAction(() => startupAPI.deleteMilestone(id, milestone._id))}
+                                                    style={{ ...styles.smallButton, ...styles.secondaryBtn }}
+                                                >
+                                                    Remove
+                                                </button>
+                                            </>
+                                        )}
+                                        {canSignOff && milestone.signOff?.status === 'Pending' && (
+                                            <>
+                                                <button
+                                                    type="button"
+                                                    onClick={() => handleSignOff(milestone._id, 'Approved')}
+                                                    style={{ ...styles.smallButton, ...styles.primaryBtn }}
+                                                >
+                                                    Sign Off
+                                                </button>
+                                                <button
+                                                    type="button"
+                                                    onClick={() => handleSignOff(milestone._id, 'Rejected')}
+                                                    style={{ ...styles.smallButton, ...styles.secondaryBtn }}
+                                                >
+                                                    Send Back
+                                                </button>
+                                            </>
+                                        )}
+                                    </div>
+                                </div>
+                            ))}
+
+                            {canEditMilestones && (
+                                <form onSubmit={handleMilestoneSubmit} style={{ marginTop: '1.5rem' }}>
+                                    <div style={styles.formGrid}>
+                                        <div>
+                                            <label style={styles.inputLabel} htmlFor="milestone-title">Milestone</label>
+                                            <input
+                                                id="milestone-title"
+                                                maxLength={200}
+                                                value={milestoneForm.title}
+                                                onChange={(e) => setMilestoneForm({ ...milestoneForm, title: e.target.value })}
+                                                style={styles.input}
+                                                required
+                                            />
+                                        </div>
+                                        <div>
+                                            <label style={styles.inputLabel} htmlFor="milestone-date">Target date</label>
+                                            <input
+                                                id="milestone-date"
+                                                type="date"
+                                                value={milestoneForm.targetDate}
+                                                onChange={(e) => setMilestoneForm({ ...milestoneForm, targetDate: e.target.value })}
+                                                style={styles.input}
+                                                required
+                                            />
+                                        </div>
+                                        <div>
+                                            <label style={styles.inputLabel} htmlFor="milestone-metric">KPI target (optional)</label>
+                                            <select
+                                                id="milestone-metric"
+                                                value={milestoneForm.metric}
+                                                onChange={(e) => setMilestoneForm({ ...milestoneForm, metric: e.target.value })}
+                                                style={styles.input}
+                                            >
+                                                <option value="">None</option>
+                                                <option value="revenue">Revenue</option>
+                                                <option value="users">Users</option>
+                                                <option value="funding">Funding</option>
+                                            </select>
+                                        </div>
+                                        <div>
+                                            <label style={styles.inputLabel} htmlFor="milestone-value">Target value</label>
+                                            <input
+                                                id="milestone-value"
+                                                type="number"
+                                                min="0"
+                                                step="any"
+                                                value={milestoneForm.value}
+                                                disabled={!milestoneForm.metric}
+                                                onChange={(e) => setMilestoneForm({ ...milestoneForm, value: e.target.value })}
+                                                style={styles.input}
+                                            />
+                                        </div>
+                                    </div>
+                                    <button type="submit" style={{ ...styles.actionButton, ...styles.primaryBtn }}>
+                                        Add Milestone
+                                    </button>
+                                </form>
+                            )}
+                        </div>
+                    )}
+
+                    {/* Team Card */}
+                    {team && (
+                        <div style={styles.fullCard}>
+                            <h3 style={styles.sectionTitle}>
+                                <span>🧑‍🤝‍🧑</span> Team
+                            </h3>
+                            {team.members.map((member) => (
+                                <div key={member.user._id} style={{ ...styles.founderCard, marginBottom: '0.75rem' }}>
+                                    <div style={styles.founderAvatar}>
+                                        {member.user.name?.charAt(0).toUpperCase()}
+                                    </div>
+                                    <div style={styles.founderInfo}>
+                                        <div style={styles.founderName}>{member.user.name}</div>
+                                        <div style={styles.founderRole}>
+                                            {member.user.email}{member.isFounder && ' · founder'}
+                                        </div>
+                                    </div>
+                                    {canManageTeam && !member.isFounder ? (
+                                        <select
+                                            value={member.role}
+                                            onChange={(e) => runTeamAction(() => startupAPI.updateMember(id, member.user._id, { role: e.target.value }))}
+                                            style={{ ...styles.input, width: 'auto' }}
+                                        >
+                                            {TEAM_ROLES.map(role => (
+                                                <option key={role} value={role}>{role}</option>
+                                            ))}
+                                        </select>
+                                    ) : (
+                                        <div style={styles.metaItem}>{member.role}</div>
+                                    )}
+                                    {!member.isFounder && (canManageTeam || member.user._id === myId) && (
+                                        <button
+                                            type="button"
+                                            onClick={() => runTeamAction(() => startupAPI.removeMember(id, member.user._id))}
+                                            style={{ ...styles.smallButton, ...styles.secondaryBtn }}
+                                        >
+                                            {member.user._id === myId ? 'Leave' : 'Remove'}
+                                        </button>
+                                    )}
+                                </div>
+                            ))}
+
+                            {team.invitations.length > 0 && (
+                                <div style={{ marginTop: '1.5rem' }}>
+                                    <div style={styles.inputLabel}>Pending invitations</div>
+                                    {team.invitations.map(invitation => (
+                                        <div key={invitation._id} style={{ ...styles.milestoneHeader, padding: '0.5rem 0' }}>
+                                            <div style={{ fontSize: '0.9rem' }}>
+                                                {invitation.email} · {invitation.role}
+                                                <span style={{ color: 'rgba(255, 255, 255, 0.5)' }}>
+                                                    {' '}· expires {new Date(invitation.expiresAt).toLocaleDateString()}
+                                                </span>
+                                            </div>
+                                            <button
+                                                type="button"
+                                                onClick={() => runTeamAction(() => startupAPI.revokeInvitation(id, invitation._id))}
+                                                style={{ ...styles.smallButton, ...styles.secondaryBtn }}
+                                            >
+                                                Revoke
+                                            </button>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+
+                            {pendingTransfer && (
+                                <div style={{ marginTop: '1.5rem' }}>
+                                    <div style={styles.inputLabel}>Ownership transfer</div>
+                                    <div style={{ ...styles.milestoneHeader, padding: '0.5rem 0' }}>
+                                        <div style={{ fontSize: '0.9rem' }}>
+                                            {pendingTransfer.to._id === myId ? 'You have been offered ownership' : `Waiting for ${pendingTransfer.to.name} to accept`}
+                                            <span style={{ color: 'rgba(255, 255, 255, 0.5)' }}>
+                                                {' '}· expires {new Date(pendingTransfer.expiresAt).toLocaleDateString()}
+                                            </span>
+                                            {pendingTransfer.note && (
+                                                <div style={{ color: 'rgba(255, 255, 255, 0.6)' }}>{pendingTransfer.note}</div>
+                                            )}
+                                        </div>
+                                        <div style={{ display: 'flex', gap: '0.5rem' }}>
+                                            {pendingTransfer.to._id === myId && (
+                                                <button
+                                                    type="button"
+                                                    onClick={() => runTeamAction(() => startupAPI.acceptTransfer(id))}
+                                                    style={{ ...styles.smallButton, ...styles.primaryBtn }}
+                                                >
+                                                    Accept
+                                                </button>
+                                            )}
+                                            <button
+                                                type="button"
+                                                onClick={() => runTeamAction(() => startupAPI.cancelTransfer(id))}
+                                                style={{ ...styles.smallButton, ...styles.secondaryBtn }}
+                                            >
+                                                {pendingTransfer.to._id === myId ? 'Decline' : 'Cancel'}
+                                            </button>
+                                        </div>
+                                    </div>
+                                </div>
+                            )}
+
+                            {(isFounder || user?.role === 'admin') && team.members.length > 1 && (
+                                <form onSubmit={handleTransferSubmit} style={{ marginTop: '1.5rem' }}>
+                                    <label style={styles.inputLabel} htmlFor="transfer-to">
+                                        {isFounder ? 'Transfer ownership' : 'Reassign owner'}
+                                    </label>
+                                    <div style={{ display: 'flex', gap: '0.5rem' }}>
+                                        <select
+                                            id="transfer-to"
+                                            value={transferTo}
+                                            onChange={(e) => setTransferTo(e.target.value)}
+                                            style={styles.input}
+                                            required
+                                        >
+                                            <option value="">Choose a team member</option>
+                                            {team.members.filter(m => !m.isFounder).map(member => (
+                                                <option key={member.user._id} value={member.user._id}>{member.user.name}</option>
+                                            ))}
+                                        </select>
+                                        <button type="submit" style={{ ...styles.smallButton, ...styles.secondaryBtn }}>
+                                            {isFounder ? 'Request' : 'Reassign'}
+                                        </button>
+                                    </div>
+                                </form>
+                            )}
+
+                            {canManageTeam && (
+                                <form onSubmit={handleInviteSubmit} style={{ marginTop: '1.5rem' }}>
+                                    <div style={styles.formGrid}>
+                                        <div>
+                                            <label style={styles.inputLabel} htmlFor="invite-email">Invite by email</label>
+                                            <input
+                                                id="invite-email"
+                                                type="email"
+                                                value={inviteForm.email}
+                                                onChange={(e) => setInviteForm({ ...inviteForm, email: e.target.value })}
+                                                style={styles.input}
+                                                required
+                                            />
+                                        </div>
+                                        <div>
+                                            <label style={styles.inputLabel} htmlFor="invite-role">Role</label>
+                                            <select
+                                                id="invite-role"
+                                                value={inviteForm.role}
+                                                onChange={(e) => setInviteForm({ ...inviteForm, role: e.target.value })}
+                                                style={styles.input}
+                                            >
+                                                {TEAM_ROLES.map(role => (
+                                                    <option key={role} value={role}>{role}</option>
+                                                ))}
+                                            </select>
+                                        </div>
+                                    </div>
+                                    <button type="submit" style={{ ...styles.actionButton, ...styles.primaryBtn }}>
+                                        Send Invitation
+                                    </button>
+                                </form>
+                            )}
+                        </div>
+                    )}
+
                     {/* Founders Card */}
                     <div style={styles.contactCard}>
                         <h3 style={styles.sectionTitle}>
@@ -0,0 +1,97 @@
+import { useState, useEffect, useRef } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { authAPI, handleAPIError } from '../services/api';
+import useAuthStore from '../store/authStore';
+
+/**
+ * VerifyEmail Page
+ * Confirms the email address from the link in the verification email
+ */
+const VerifyEmail = () => {
+  const { token } = useParams();
+  const { isAuthenticated, loadUser } = useAuthStore();
+
+  const [status, setStatus] = useState('verifying');
+  const [message, setMessage] = useState('');
+  const [resending, setResending] = useState(false);
+
+  // The token is single-use, so verify once even if the effect runs twice
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (requested.current) return;
+    requested.current = true;
+
+    const verify = async () => {
+      try {
+        const response = await authAPI.verifyEmail(token);
+        setStatus('verified');
+        setMessage(response.data.message);
+        if (isAuthenticated) {
+          loadUser();
+        }
+      } catch (err) {
+        setStatus('failed');
+        setMessage(handleAPIError(err));
+      }
+    };
+
+    verify();
+  }, [token, isAuthenticated, loadUser]);
+
+  const handleResend = async () => {
+    setResending(true);
+    try {
+      const response = await authAPI.resendVerification();
+      setMessage(response.data.message);
+    } catch (err) {
+      setMessage(handleAPIError(err));
+    } finally {
+      setResending(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-[#0a0a0a] flex items-center justify-center p-4">
+      <div className="w-full max-w-md glass-card p-8 text-center">
+        {status === 'verifying' && (
+          <>
+            <div className="w-10 h-10 mx-auto mb-6 border-2 border-white/30 border-t-white rounded-full animate-spin"></div>
+            <h1 className="text-2xl font-bold text-white font-display">Verifying your email...</h1>
+          </>
+        )}
+
+        {status === 'verified' && (
+          <>
+            <h1 className="text-2xl font-bold text-white font-display mb-2">Email verified</h1>
+            <p className="text-white/50 mb-6">{message}</p>
+            <Link to={isAuthenticated ? '/dashboard' : '/login'} className="btn btn-primary">
+              {isAuthenticated ? 'Go to Dashboard' : 'Sign In'}
+            </Link>
+          </>
+        )}
+
+        {status === 'failed' && (
+          <>
+            <h1 className="text-2xl font-bold text-white font-display mb-2">Link not valid</h1>
+            <p className="text-white/50 mb-6">{message}</p>
+            {isAuthenticated ? (
+              <button
+                type="button"
+                onClick={handleResend}
+                disabled={resending}
+                className="btn btn-primary disabled:opacity-50"
+              >
+                {resending ? 'Sending...' : 'Send a new link'}
+              </button>
+            ) : (
+              <Link to="/login" className="btn btn-primary">Sign in to get a new link</Link>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
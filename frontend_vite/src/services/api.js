@@ -141,6 +141,31 @@ export const startupAPI = {
   },
   delete: (id) => api.delete(`/startups/${id}`),
   updateStatus: (id, data) => api.put(`/startups/${id}/status`, data),
+
+  // Monthly KPIs
+  getKpis: (id, params) => api.get(`/startups/${id}/kpis`, { params }),
+  submitKpis: (id, data) => api.post(`/startups/${id}/kpis`, data),
+
+  // Milestones
+  getMilestones: (id) => api.get(`/startups/${id}/milestones`),
+  addMilestone: (id, data) => api.post(`/startups/${id}/milestones`, data),
+  updateMilestone: (id, milestoneId, data) => api.put(`/startups/${id}/milestones/${milestoneId}`, data),
+  addMilestoneEvidence: (id, milestoneId, data) => api.post(`/startups/${id}/milestones/${milestoneId}/evidence`, data),
+  signOffMilestone: (id, milestoneId, data) => api.post(`/startups/${id}/milestones/${milestoneId}/sign-off`, data),
+  deleteMilestone: (id, milestoneId) => api.delete(`/startups/${id}/milestones/${milestoneId}`),
+
+  // Team membership
+  getTeam: (id) => api.get(`/startups/${id}/team`),
+  inviteMember: (id, data) => api.post(`/startups/${id}/team/invitations`, data),
+  revokeInvitation: (id, invitationId) => api.delete(`/startups/${id}/team/invitations/${invitationId}`),
+  updateMember: (id, userId, data) => api.put(`/startups/${id}/team/${userId}`, data),
+  removeMember: (id, userId) => api.delete(`/startups/${id}/team/${userId}`),
+  getInvitation: (token) => api.get(`/startups/invitations/${token}`),
+  acceptInvitation: (token) => api.post(`/startups/invitations/${token}/accept`),
+  requestTransfer: (id, data) => api.post(`/startups/${id}/transfer`, data),
+  cancelTransfer: (id) => api.delete(`/startups/${id}/transfer`),
+  acceptTransfer: (id) => api.post(`/startups/${id}/transfer/accept`),
+  reassignOwner: (id, data) => api.put(`/startups/${id}/owner`, data),
 };
 
 // =============================================================================
@@ -160,15 +185,66 @@ export const mentorshipAPI = {
   // Mentors
   getMentors: (params) => api.get('/mentorship/mentors', { params }),
   getMentor: (id) => api.get(`/mentorship/mentors/${id}`),
+  getMyProposals: () => api.get('/mentorship/mentors/me/proposals'),
 
   // Requests
   createRequest: (data) => api.post('/mentorship/requests', data),
   getRequests: (params) => api.get('/mentorship/requests', { params }),
   getRequest: (id) => api.get(`/mentorship/requests/${id}`),
   selectMentor: (id, mentorId) => api.post(`/mentorship/requests/${id}/select-mentor`, { mentorId }),
+  acceptProposal: (id) => api.post(`/mentorship/requests/${id}/accept`),
+  declineProposal: (id, reason) => api.post(`/mentorship/requests/${id}/decline`, { reason }),
   scheduleSession: (id, data) => api.post(`/mentorship/requests/${id}/schedule`, data),
+  rescheduleSession: (id, sessionId, data) => api.post(`/mentorship/requests/${id}/sessions/${sessionId}/reschedule`, data),
+  cancelSession: (id, sessionId, reason) => api.post(`/mentorship/requests/${id}/sessions/${sessionId}/cancel`, { reason }),
+  completeSession: (id, sessionId) => api.post(`/mentorship/requests/${id}/sessions/${sessionId}/complete`),
+  reportNoShow: (id, sessionId, party) => api.post(`/mentorship/requests/${id}/sessions/${sessionId}/no-show`, { party }),
+  getNeedingAttention: () => api.get('/mentorship/requests/attention'),
   submitFeedback: (id, data) => api.post(`/mentorship/requests/${id}/feedback`, data),
   cancelRequest: (id, reason) => api.post(`/mentorship/requests/${id}/cancel`, { reason }),
+
+  // Action items
+  getActionItems: (params) => api.get('/mentorship/action-items', { params }),
+  addActionItem: (id, sessionId, data) => api.post(`/mentorship/requests/${id}/sessions/${sessionId}/action-items`, data),
+  updateActionItem: (id, sessionId, itemId, data) => api.put(`/mentorship/requests/${id}/sessions/${sessionId}/action-items/${itemId}`, data),
+  deleteActionItem: (id, sessionId, itemId) => api.delete(`/mentorship/requests/${id}/sessions/${sessionId}/action-items/${itemId}`),
+
+  // Matching configuration (admin)
+  getMatchingConfigs: () => api.get('/mentorship/matching/config'),
+  getActiveMatchingConfig: () => api.get('/mentorship/matching/config/active'),
+  publishMatchingConfig: (data) => api.post('/mentorship/matching/config', data),
+  activateMatchingConfig: (id) => api.post(`/mentorship/matching/config/${id}/activate`),
+  getMatchingEvaluation: (params) => api.get('/mentorship/matching/evaluation', { params }),
+  applyMatchingEvaluation: (data) => api.post('/mentorship/matching/evaluation/apply', data),
+};
+
+// =============================================================================
+// OFFICE HOURS API
+// =============================================================================
+
+export const officeHoursAPI = {
+  getUpcoming: (params) => api.get('/office-hours', { params }),
+  getMine: () => api.get('/office-hours/mine'),
+  getOne: (id) => api.get(`/office-hours/${id}`),
+  publish: (data) => api.post('/office-hours', data),
+  updateSession: (id, sessionId, data) => api.put(`/office-hours/${id}/sessions/${sessionId}`, data),
+  cancelSession: (id, sessionId, reason) => api.post(`/office-hours/${id}/sessions/${sessionId}/cancel`, { reason }),
+  book: (id, sessionId) => api.post(`/office-hours/${id}/sessions/${sessionId}/book`),
+  cancelBooking: (id, sessionId) => api.delete(`/office-hours/${id}/sessions/${sessionId}/book`),
+  recordAttendance: (id, sessionId, attendees) => api.post(`/office-hours/${id}/sessions/${sessionId}/attendance`, { attendees }),
+  submitFeedback: (id, sessionId, data) => api.post(`/office-hours/${id}/sessions/${sessionId}/feedback`, data),
+};
+
+// =============================================================================
+// CHECK-IN API
+// =============================================================================
+
+export const checkInAPI = {
+  getMine: () => api.get('/check-ins/mine'),
+  getOne: (id) => api.get(`/check-ins/${id}`),
+  submit: (data) => api.post('/check-ins', data),
+  review: (id, note) => api.put(`/check-ins/${id}/review`, { note }),
+  getCompliance: (params) => api.get('/check-ins/compliance', { params }),
 };
 
 // =============================================================================